@@ -42,6 +42,7 @@ CREATE TABLE IF NOT EXISTS human_resource (
     employment_end_date DATE,
     contracted_hours DECIMAL(4,2) DEFAULT 36.0,
     pay_rate DECIMAL(6,2) DEFAULT 14.24,
+    version INTEGER NOT NULL DEFAULT 1,
     created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
     updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
 );
@@ -53,11 +54,27 @@ CREATE TABLE IF NOT EXISTS periods (
     start_date DATE NOT NULL,
     end_date DATE NOT NULL,
     is_active BOOLEAN DEFAULT true,
+    status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'published')),
     created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
     updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
     CONSTRAINT valid_date_range CHECK (end_date >= start_date)
 );
 
+-- Shift types catalogue (drives shift validation and the rota grid rows)
+-- category: 'work' = rota row, 'holiday' / 'sick' = Time-Off row
+CREATE TABLE IF NOT EXISTS shift_types (
+    shift_type_id UUID PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    default_start_time TIME NOT NULL DEFAULT '08:00',
+    default_end_time TIME NOT NULL DEFAULT '20:00',
+    category TEXT NOT NULL DEFAULT 'work' CHECK (category IN ('work', 'holiday', 'sick')),
+    color_code VARCHAR(7) DEFAULT '#3b82f6',
+    display_order INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
 -- Shifts table (staff assignments) - ACTUAL SCHEMA USED IN SERVER.JS
 CREATE TABLE IF NOT EXISTS shifts (
     id UUID PRIMARY KEY,
@@ -66,7 +83,7 @@ CREATE TABLE IF NOT EXISTS shifts (
     staff_name TEXT NOT NULL REFERENCES human_resource(staff_name) ON DELETE CASCADE,
     shift_start_datetime TIMESTAMPTZ NOT NULL,
     shift_end_datetime TIMESTAMPTZ NOT NULL,
-    shift_type TEXT NOT NULL CHECK (shift_type IN ('Tom Day', 'Charlotte Day', 'Double Up', 'Tom Night', 'Charlotte Night', 'HOLIDAY', 'SSP', 'CSP')),
+    shift_type TEXT NOT NULL REFERENCES shift_types(name) ON UPDATE CASCADE,
     solo_shift BOOLEAN DEFAULT FALSE,
     training BOOLEAN DEFAULT FALSE,
     short_notice BOOLEAN DEFAULT FALSE,
@@ -75,6 +92,8 @@ CREATE TABLE IF NOT EXISTS shifts (
     financial_year_end BOOLEAN DEFAULT FALSE,
     overtime BOOLEAN DEFAULT FALSE,
     notes TEXT,
+    version INTEGER NOT NULL DEFAULT 1,
+    leave_request_id UUID,
     created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
     updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
 );
@@ -94,6 +113,49 @@ CREATE TABLE IF NOT EXISTS change_requests (
     reason TEXT
 );
 
+-- Rota templates (saved periods/weeks and rolling patterns applied to new periods)
+-- Template shift day_offset N lands on day N of the target period, repeating every cycle_days
+CREATE TABLE IF NOT EXISTS rota_templates (
+    template_id UUID PRIMARY KEY,
+    template_name TEXT NOT NULL UNIQUE,
+    description TEXT DEFAULT '',
+    cycle_days INTEGER NOT NULL DEFAULT 28 CHECK (cycle_days BETWEEN 1 AND 366),
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+-- Rota template shifts (staff_name is not a foreign key - leavers are skipped when the template is applied)
+CREATE TABLE IF NOT EXISTS rota_template_shifts (
+    template_shift_id UUID PRIMARY KEY,
+    template_id UUID NOT NULL REFERENCES rota_templates(template_id) ON DELETE CASCADE,
+    day_offset INTEGER NOT NULL CHECK (day_offset >= 0),
+    staff_name TEXT NOT NULL,
+    shift_type TEXT NOT NULL REFERENCES shift_types(name) ON UPDATE CASCADE,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    solo_shift BOOLEAN DEFAULT FALSE,
+    training BOOLEAN DEFAULT FALSE,
+    notes TEXT DEFAULT '',
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT unique_rota_template_shift UNIQUE (template_id, day_offset, staff_name, shift_type, start_time)
+);
+
+-- Rolling shift patterns per staff member (e.g. 4 on / 4 off from cycle_start_date)
+CREATE TABLE IF NOT EXISTS rota_template_patterns (
+    pattern_id UUID PRIMARY KEY,
+    template_id UUID NOT NULL REFERENCES rota_templates(template_id) ON DELETE CASCADE,
+    staff_name TEXT NOT NULL,
+    shift_type TEXT NOT NULL REFERENCES shift_types(name) ON UPDATE CASCADE,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    days_on INTEGER NOT NULL CHECK (days_on >= 1),
+    days_off INTEGER NOT NULL DEFAULT 0 CHECK (days_off >= 0),
+    cycle_start_date DATE NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT unique_rota_template_pattern UNIQUE (template_id, staff_name, shift_type, cycle_start_date)
+);
+
 -- =====================================================
 -- 2. SETTINGS TABLE
 -- =====================================================
@@ -107,6 +169,71 @@ CREATE TABLE IF NOT EXISTS settings (
     updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
 );
 
+-- Pay rules (shift flag multipliers) - one row per effective date
+-- The rule with the latest effective_from on or before the shift date applies
+-- combine_mode: 'max' = highest multiplier wins, 'stack' = premiums are added together
+CREATE TABLE IF NOT EXISTS pay_rules (
+    pay_rule_id UUID PRIMARY KEY,
+    effective_from DATE NOT NULL UNIQUE,
+    solo_shift_multiplier NUMERIC(4,2) NOT NULL DEFAULT 1.75 CHECK (solo_shift_multiplier >= 1),
+    training_multiplier NUMERIC(4,2) NOT NULL DEFAULT 1.75 CHECK (training_multiplier >= 1),
+    short_notice_multiplier NUMERIC(4,2) NOT NULL DEFAULT 1.75 CHECK (short_notice_multiplier >= 1),
+    call_out_multiplier NUMERIC(4,2) NOT NULL DEFAULT 2.00 CHECK (call_out_multiplier >= 1),
+    overtime_multiplier NUMERIC(4,2) NOT NULL DEFAULT 2.00 CHECK (overtime_multiplier >= 1),
+    combine_mode TEXT NOT NULL DEFAULT 'max' CHECK (combine_mode IN ('max', 'stack')),
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+-- User accounts (login for a human_resource record)
+-- Permissions come from human_resource.role, is_admin adds the admin routes
+CREATE TABLE IF NOT EXISTS user_accounts (
+    account_id UUID PRIMARY KEY,
+    staff_id UUID NOT NULL UNIQUE REFERENCES human_resource(unique_id) ON DELETE CASCADE,
+    username TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    is_admin BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    last_login_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+-- Login sessions (only a SHA-256 hash of the session token is stored)
+CREATE TABLE IF NOT EXISTS user_sessions (
+    session_id UUID PRIMARY KEY,
+    account_id UUID NOT NULL REFERENCES user_accounts(account_id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+-- Calendar feed links (only a SHA-256 hash of the feed token is stored, one link per staff member)
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+    token_id UUID PRIMARY KEY,
+    staff_id UUID NOT NULL UNIQUE REFERENCES human_resource(unique_id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+-- Audit events (append-only record of who changed what, with before/after values)
+-- No foreign keys so events survive deletion of the account, shift or staff member
+CREATE TABLE IF NOT EXISTS audit_events (
+    audit_id UUID PRIMARY KEY,
+    occurred_at TIMESTAMPTZ NOT NULL DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    actor_account_id UUID,
+    actor_username TEXT NOT NULL DEFAULT 'system',
+    action TEXT NOT NULL,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT,
+    staff_name TEXT,
+    entity_date DATE,
+    before_value JSONB,
+    after_value JSONB,
+    reason TEXT
+);
+
 -- =====================================================
 -- 3. TIME-OFF MANAGEMENT TABLES
 -- =====================================================
@@ -118,6 +245,7 @@ CREATE TABLE IF NOT EXISTS unavailable_staff_daily (
     date DATE NOT NULL,
     unavailable TEXT NOT NULL DEFAULT '',
     notes TEXT DEFAULT '',
+    version INTEGER NOT NULL DEFAULT 1,
     created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
     updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
     CONSTRAINT unique_period_date_unavailable UNIQUE (period_id, date)
@@ -145,6 +273,237 @@ CREATE TABLE IF NOT EXISTS holiday_entitlements (
     CONSTRAINT unique_staff_holiday_year UNIQUE (staff_id, holiday_year_start)
 );
 
+-- Holiday requests submitted by staff for a team leader to approve
+CREATE TABLE IF NOT EXISTS leave_requests (
+    leave_request_id UUID PRIMARY KEY,
+    staff_id UUID NOT NULL REFERENCES human_resource(unique_id) ON DELETE CASCADE,
+    staff_name TEXT NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    hours_requested DECIMAL(6,2) NOT NULL CHECK (hours_requested > 0),
+    notes TEXT DEFAULT '',
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+    decided_by TEXT,
+    decided_at TIMESTAMPTZ,
+    decision_notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT valid_leave_request_dates CHECK (end_date >= start_date)
+);
+
+-- HOLIDAY shifts created by approving a leave request (shifts is created before leave_requests)
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'shifts_leave_request_id_fkey'
+    ) THEN
+        ALTER TABLE shifts ADD CONSTRAINT shifts_leave_request_id_fkey
+            FOREIGN KEY (leave_request_id) REFERENCES leave_requests(leave_request_id) ON DELETE SET NULL;
+    END IF;
+END $$;
+
+-- Shift swaps - a staff member offers a shift, another accepts it with one of theirs, a team leader approves
+CREATE TABLE IF NOT EXISTS shift_swap_requests (
+    swap_request_id UUID PRIMARY KEY,
+    offered_shift_id UUID NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+    offered_by TEXT NOT NULL,
+    accepted_shift_id UUID REFERENCES shifts(id) ON DELETE CASCADE,
+    accepted_by TEXT,
+    accepted_at TIMESTAMPTZ,
+    notes TEXT DEFAULT '',
+    status TEXT NOT NULL DEFAULT 'offered' CHECK (status IN ('offered', 'accepted', 'approved', 'rejected', 'cancelled')),
+    decided_by TEXT,
+    decided_at TIMESTAMPTZ,
+    decision_notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT different_swap_shifts CHECK (accepted_shift_id IS NULL OR accepted_shift_id <> offered_shift_id)
+);
+
+-- Open shifts - uncovered shifts published for staff to volunteer for; a team leader picks the volunteer
+CREATE TABLE IF NOT EXISTS open_shifts (
+    open_shift_id UUID PRIMARY KEY,
+    period_id UUID NOT NULL REFERENCES periods(period_id) ON DELETE CASCADE,
+    week_number INTEGER NOT NULL,
+    shift_type TEXT NOT NULL,
+    shift_start_datetime TIMESTAMPTZ NOT NULL,
+    shift_end_datetime TIMESTAMPTZ NOT NULL,
+    notes TEXT DEFAULT '',
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'filled', 'cancelled')),
+    created_by TEXT,
+    filled_by TEXT,
+    filled_shift_id UUID REFERENCES shifts(id) ON DELETE SET NULL,
+    filled_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT valid_open_shift_times CHECK (shift_end_datetime > shift_start_datetime)
+);
+
+-- Staff members who volunteered for an open shift
+CREATE TABLE IF NOT EXISTS open_shift_volunteers (
+    volunteer_id UUID PRIMARY KEY,
+    open_shift_id UUID NOT NULL REFERENCES open_shifts(open_shift_id) ON DELETE CASCADE,
+    staff_name TEXT NOT NULL,
+    notes TEXT DEFAULT '',
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT unique_open_shift_volunteer UNIQUE (open_shift_id, staff_name)
+);
+
+-- Minimum staffing rules per shift type (day_of_week is ISO 1 = Monday .. 7 = Sunday, NULL = every day)
+-- A rule for a specific day overrides the every-day rule for the same shift type
+CREATE TABLE IF NOT EXISTS staffing_rules (
+    staffing_rule_id UUID PRIMARY KEY,
+    shift_type TEXT NOT NULL REFERENCES shift_types(name) ON UPDATE CASCADE ON DELETE CASCADE,
+    day_of_week INTEGER CHECK (day_of_week BETWEEN 1 AND 7),
+    min_staff INTEGER NOT NULL DEFAULT 1 CHECK (min_staff >= 0),
+    max_staff INTEGER CHECK (max_staff IS NULL OR max_staff >= min_staff),
+    min_non_training INTEGER NOT NULL DEFAULT 0 CHECK (min_non_training >= 0),
+    notes TEXT DEFAULT '',
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+-- Published rota versions - publishing a period freezes a snapshot of its shifts (version_number counts up per period)
+CREATE TABLE IF NOT EXISTS rota_versions (
+    version_id UUID PRIMARY KEY,
+    period_id UUID NOT NULL REFERENCES periods(period_id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL CHECK (version_number >= 1),
+    shifts JSONB NOT NULL DEFAULT '[]'::jsonb,
+    shift_count INTEGER NOT NULL DEFAULT 0,
+    notes TEXT DEFAULT '',
+    published_by TEXT,
+    published_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT unique_rota_version UNIQUE (period_id, version_number)
+);
+
+-- Rota edit operation log - each rota edit (assign, clear, flag change) keeps its before/after shift rows so it can be undone and redone as a group
+CREATE TABLE IF NOT EXISTS rota_operations (
+    operation_id UUID PRIMARY KEY,
+    period_id UUID REFERENCES periods(period_id) ON DELETE CASCADE,
+    operation_type TEXT NOT NULL,
+    description TEXT NOT NULL,
+    before_shifts JSONB NOT NULL DEFAULT '[]'::jsonb,
+    after_shifts JSONB NOT NULL DEFAULT '[]'::jsonb,
+    shift_count INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'applied' CHECK (status IN ('applied', 'undone')),
+    actor_account_id UUID,
+    actor_username TEXT NOT NULL DEFAULT 'system',
+    session_token_hash TEXT,
+    group_key TEXT,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    undone_at TIMESTAMPTZ,
+    redone_at TIMESTAMPTZ
+);
+
+-- Email notification settings per staff member (address, on/off, immediate or daily digest, muted event types)
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    staff_id UUID PRIMARY KEY REFERENCES human_resource(unique_id) ON DELETE CASCADE,
+    email TEXT,
+    email_enabled BOOLEAN NOT NULL DEFAULT true,
+    digest TEXT NOT NULL DEFAULT 'immediate' CHECK (digest IN ('immediate', 'daily')),
+    muted_event_types TEXT[] NOT NULL DEFAULT '{}',
+    last_digest_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+-- Notification outbox - queued in the same transaction as the change, sent over SMTP by the notification worker
+CREATE TABLE IF NOT EXISTS notification_outbox (
+    notification_id UUID PRIMARY KEY,
+    staff_id UUID NOT NULL REFERENCES human_resource(unique_id) ON DELETE CASCADE,
+    staff_name TEXT NOT NULL,
+    event_type TEXT NOT NULL CHECK (event_type IN (
+        'shift_created', 'shift_removed', 'flag_changed',
+        'holiday_entitlement_exhausted', 'change_request_applied'
+    )),
+    subject TEXT NOT NULL,
+    body TEXT NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed', 'skipped')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+-- Timesheets - actual start and end times of a shift (kiosk or team leader), approved ones are used for pay
+-- shift_id has no foreign key: saving a rota cell re-inserts its shifts with the same deterministic ID
+CREATE TABLE IF NOT EXISTS timesheets (
+    timesheet_id UUID PRIMARY KEY,
+    shift_id UUID NOT NULL UNIQUE,
+    staff_name TEXT NOT NULL,
+    actual_start_datetime TIMESTAMPTZ NOT NULL,
+    actual_end_datetime TIMESTAMPTZ,
+    clock_in_source TEXT NOT NULL DEFAULT 'manual' CHECK (clock_in_source IN ('kiosk', 'manual')),
+    clock_out_source TEXT CHECK (clock_out_source IN ('kiosk', 'manual')),
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'submitted', 'approved', 'rejected')),
+    notes TEXT,
+    recorded_by TEXT NOT NULL DEFAULT 'system',
+    decided_by TEXT,
+    decided_at TIMESTAMPTZ,
+    decision_notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT timesheets_actual_times_check CHECK (actual_end_datetime IS NULL OR actual_end_datetime > actual_start_datetime),
+    CONSTRAINT timesheets_end_recorded_check CHECK (status = 'open' OR actual_end_datetime IS NOT NULL)
+);
+
+-- Kiosk clock-in PINs (scrypt hash only, locked after repeated wrong PINs)
+CREATE TABLE IF NOT EXISTS kiosk_pins (
+    staff_id UUID PRIMARY KEY REFERENCES human_resource(unique_id) ON DELETE CASCADE,
+    pin_hash TEXT NOT NULL,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+-- Unpaid break rules - minutes deducted from paid hours of work shifts over a length (per shift type or all)
+-- A shift type with rules of its own only uses those; paid_flags (e.g. solo_shift) make the break paid
+CREATE TABLE IF NOT EXISTS break_rules (
+    break_rule_id UUID PRIMARY KEY,
+    shift_type TEXT REFERENCES shift_types(name) ON UPDATE CASCADE ON DELETE CASCADE,
+    min_shift_hours NUMERIC(4,2) NOT NULL DEFAULT 0 CHECK (min_shift_hours >= 0),
+    unpaid_minutes INTEGER NOT NULL CHECK (unpaid_minutes >= 0),
+    paid_flags TEXT[] NOT NULL DEFAULT '{}',
+    notes TEXT DEFAULT '',
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT break_rules_paid_flags_check CHECK (
+        paid_flags <@ ARRAY['solo_shift', 'training', 'short_notice', 'call_out', 'overtime']::TEXT[]
+    )
+);
+
+-- Time-band pay premiums (nights, weekends, bank holidays) in Europe/London wall-clock time
+-- end_time at or before start_time runs into the next day; highest multiplier band wins, per-hour premiums add
+CREATE TABLE IF NOT EXISTS pay_bands (
+    pay_band_id UUID PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    day_of_week INTEGER CHECK (day_of_week BETWEEN 1 AND 7),
+    bank_holiday BOOLEAN NOT NULL DEFAULT false,
+    start_time TIME NOT NULL DEFAULT '00:00',
+    end_time TIME NOT NULL DEFAULT '00:00',
+    premium_type TEXT NOT NULL DEFAULT 'multiplier' CHECK (premium_type IN ('multiplier', 'per_hour')),
+    premium NUMERIC(6,2) NOT NULL CHECK (premium > 0),
+    effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+    effective_to DATE,
+    notes TEXT DEFAULT '',
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT pay_bands_day_check CHECK (NOT bank_holiday OR day_of_week IS NULL),
+    CONSTRAINT pay_bands_multiplier_check CHECK (premium_type <> 'multiplier' OR premium >= 1),
+    CONSTRAINT pay_bands_effective_check CHECK (effective_to IS NULL OR effective_to >= effective_from)
+);
+
+-- Bank holiday calendar used by pay bands with bank_holiday = true
+CREATE TABLE IF NOT EXISTS bank_holidays (
+    bank_holiday_id UUID PRIMARY KEY,
+    holiday_date DATE NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
 -- =====================================================
 -- 3.5. REPLICA IDENTITY FOR LOGICAL REPLICATION
 -- =====================================================
@@ -153,11 +512,34 @@ CREATE TABLE IF NOT EXISTS holiday_entitlements (
 -- This is required for tables that will be updated via logical replication
 ALTER TABLE human_resource REPLICA IDENTITY FULL;
 ALTER TABLE periods REPLICA IDENTITY FULL;
+ALTER TABLE shift_types REPLICA IDENTITY FULL;
 ALTER TABLE shifts REPLICA IDENTITY FULL;
 ALTER TABLE change_requests REPLICA IDENTITY FULL;
+ALTER TABLE rota_templates REPLICA IDENTITY FULL;
+ALTER TABLE rota_template_shifts REPLICA IDENTITY FULL;
+ALTER TABLE rota_template_patterns REPLICA IDENTITY FULL;
 ALTER TABLE settings REPLICA IDENTITY FULL;
+ALTER TABLE pay_rules REPLICA IDENTITY FULL;
+ALTER TABLE user_accounts REPLICA IDENTITY FULL;
+ALTER TABLE user_sessions REPLICA IDENTITY FULL;
+ALTER TABLE calendar_feed_tokens REPLICA IDENTITY FULL;
+ALTER TABLE audit_events REPLICA IDENTITY FULL;
 ALTER TABLE unavailable_staff_daily REPLICA IDENTITY FULL;
 ALTER TABLE holiday_entitlements REPLICA IDENTITY FULL;
+ALTER TABLE leave_requests REPLICA IDENTITY FULL;
+ALTER TABLE shift_swap_requests REPLICA IDENTITY FULL;
+ALTER TABLE open_shifts REPLICA IDENTITY FULL;
+ALTER TABLE open_shift_volunteers REPLICA IDENTITY FULL;
+ALTER TABLE staffing_rules REPLICA IDENTITY FULL;
+ALTER TABLE rota_versions REPLICA IDENTITY FULL;
+ALTER TABLE rota_operations REPLICA IDENTITY FULL;
+ALTER TABLE notification_preferences REPLICA IDENTITY FULL;
+ALTER TABLE notification_outbox REPLICA IDENTITY FULL;
+ALTER TABLE timesheets REPLICA IDENTITY FULL;
+ALTER TABLE kiosk_pins REPLICA IDENTITY FULL;
+ALTER TABLE break_rules REPLICA IDENTITY FULL;
+ALTER TABLE pay_bands REPLICA IDENTITY FULL;
+ALTER TABLE bank_holidays REPLICA IDENTITY FULL;
 
 -- =====================================================
 -- 4. INDEXES FOR PERFORMANCE (ONLY USED COLUMNS)
@@ -176,6 +558,10 @@ CREATE INDEX IF NOT EXISTS idx_periods_start_date ON periods(start_date);
 CREATE INDEX IF NOT EXISTS idx_periods_end_date ON periods(end_date);
 CREATE INDEX IF NOT EXISTS idx_periods_is_active ON periods(is_active);
 
+-- Shift types indexes
+CREATE INDEX IF NOT EXISTS idx_shift_types_category ON shift_types(category);
+CREATE INDEX IF NOT EXISTS idx_shift_types_display_order ON shift_types(display_order);
+
 -- Shifts indexes - ACTUAL SCHEMA
 CREATE INDEX IF NOT EXISTS idx_shifts_period_id ON shifts(period_id);
 CREATE INDEX IF NOT EXISTS idx_shifts_week_number ON shifts(week_number);
@@ -187,6 +573,7 @@ CREATE INDEX IF NOT EXISTS idx_shifts_overtime ON shifts(overtime);
 CREATE INDEX IF NOT EXISTS idx_shifts_solo_shift ON shifts(solo_shift);
 CREATE INDEX IF NOT EXISTS idx_shifts_shift_start_datetime ON shifts(shift_start_datetime);
 CREATE INDEX IF NOT EXISTS idx_shifts_shift_end_datetime ON shifts(shift_end_datetime);
+CREATE INDEX IF NOT EXISTS idx_shifts_staff_name_start ON shifts(staff_name, shift_start_datetime);
 
 -- Change Requests indexes
 CREATE INDEX IF NOT EXISTS idx_change_requests_staff_id ON change_requests(staff_id);
@@ -195,10 +582,25 @@ CREATE INDEX IF NOT EXISTS idx_change_requests_change_type ON change_requests(ch
 CREATE INDEX IF NOT EXISTS idx_change_requests_changed_at ON change_requests(changed_at);
 CREATE INDEX IF NOT EXISTS idx_change_requests_effective_from_date ON change_requests(effective_from_date);
 
+-- Rota template indexes
+CREATE INDEX IF NOT EXISTS idx_rota_template_shifts_template_id ON rota_template_shifts(template_id);
+CREATE INDEX IF NOT EXISTS idx_rota_template_patterns_template_id ON rota_template_patterns(template_id);
+
 -- Settings indexes
 CREATE INDEX IF NOT EXISTS idx_settings_type ON settings(type_of_setting);
 CREATE INDEX IF NOT EXISTS idx_settings_updated_at ON settings(updated_at);
 
+-- Pay rules indexes
+CREATE INDEX IF NOT EXISTS idx_pay_rules_effective_from ON pay_rules(effective_from);
+
+-- User account and session indexes
+CREATE INDEX IF NOT EXISTS idx_user_sessions_account_id ON user_sessions(account_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_expires_at ON user_sessions(expires_at);
+CREATE INDEX IF NOT EXISTS idx_audit_events_occurred_at ON audit_events(occurred_at);
+CREATE INDEX IF NOT EXISTS idx_audit_events_staff_name ON audit_events(staff_name);
+CREATE INDEX IF NOT EXISTS idx_audit_events_entity ON audit_events(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_entity_date ON audit_events(entity_date);
+
 -- Unavailable staff daily indexes
 CREATE INDEX IF NOT EXISTS idx_unavailable_staff_daily_period_id ON unavailable_staff_daily(period_id);
 CREATE INDEX IF NOT EXISTS idx_unavailable_staff_daily_date ON unavailable_staff_daily(date);
@@ -210,6 +612,38 @@ CREATE INDEX IF NOT EXISTS idx_holiday_entitlements_staff_name ON holiday_entitl
 CREATE INDEX IF NOT EXISTS idx_holiday_entitlements_year ON holiday_entitlements(holiday_year_start, holiday_year_end);
 CREATE INDEX IF NOT EXISTS idx_holiday_entitlements_zero_hours ON holiday_entitlements(is_zero_hours);
 
+-- Leave requests indexes
+CREATE INDEX IF NOT EXISTS idx_leave_requests_staff_name ON leave_requests(staff_name);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_status ON leave_requests(status);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_dates ON leave_requests(start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_shifts_leave_request_id ON shifts(leave_request_id) WHERE leave_request_id IS NOT NULL;
+
+-- Shift swap request indexes (one open swap per offered shift)
+CREATE INDEX IF NOT EXISTS idx_shift_swap_requests_status ON shift_swap_requests(status);
+CREATE INDEX IF NOT EXISTS idx_shift_swap_requests_offered_by ON shift_swap_requests(offered_by);
+CREATE INDEX IF NOT EXISTS idx_shift_swap_requests_accepted_by ON shift_swap_requests(accepted_by);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shift_swap_requests_open_shift ON shift_swap_requests(offered_shift_id) WHERE status IN ('offered', 'accepted');
+
+-- Open shift indexes
+CREATE INDEX IF NOT EXISTS idx_open_shifts_period_id ON open_shifts(period_id);
+CREATE INDEX IF NOT EXISTS idx_open_shifts_status ON open_shifts(status);
+CREATE INDEX IF NOT EXISTS idx_open_shifts_start ON open_shifts(shift_start_datetime);
+CREATE INDEX IF NOT EXISTS idx_open_shift_volunteers_staff_name ON open_shift_volunteers(staff_name);
+
+-- Staffing rule indexes (one rule per shift type and day, NULL day = every day)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_staffing_rules_shift_day ON staffing_rules(shift_type, COALESCE(day_of_week, 0));
+
+-- Rota operation indexes (the undo stack is listed per session)
+CREATE INDEX IF NOT EXISTS idx_rota_operations_session ON rota_operations(session_token_hash, created_at);
+CREATE INDEX IF NOT EXISTS idx_rota_operations_period_id ON rota_operations(period_id);
+
+-- Notification outbox indexes (the worker looks up pending notifications per staff member)
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_pending ON notification_outbox(staff_id, next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_created_at ON notification_outbox(created_at);
+CREATE INDEX IF NOT EXISTS idx_timesheets_status ON timesheets(status);
+CREATE INDEX IF NOT EXISTS idx_timesheets_staff_name ON timesheets(staff_name);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_break_rules_shift_type_hours ON break_rules(COALESCE(shift_type, ''), min_shift_hours);
+
 -- Composite indexes for common queries
 CREATE INDEX IF NOT EXISTS idx_shifts_period_week_datetime ON shifts(period_id, week_number, shift_start_datetime);
 CREATE INDEX IF NOT EXISTS idx_shifts_staff_datetime ON shifts(staff_name, shift_start_datetime);
@@ -228,178 +662,570 @@ CREATE INDEX IF NOT EXISTS idx_shifts_flags ON shifts(solo_shift, training, shor
 -- ensuring the same record gets the same UUID across different databases.
 -- =====================================================
 
--- Core UUID v5 generation function
--- Uses RFC 4122 UUID v5 specification (SHA-1 based)
-CREATE OR REPLACE FUNCTION generate_uuid_v5(namespace_uuid UUID, name TEXT)
+-- Core UUID v5 generation function
+-- Uses RFC 4122 UUID v5 specification (SHA-1 based)
+CREATE OR REPLACE FUNCTION generate_uuid_v5(namespace_uuid UUID, name TEXT)
+RETURNS UUID AS $$
+BEGIN
+    -- Use PostgreSQL's uuid-ossp extension for UUID v5 generation
+    -- UUID v5 uses SHA-1 hashing: namespace UUID + name string
+    RETURN uuid_generate_v5(namespace_uuid, name);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION generate_uuid_v5 IS 'Core UUID v5 generation function using RFC 4122 specification. Deterministic: same namespace + name = same UUID.';
+
+-- Generic wrapper function for generating deterministic UUIDs
+-- Uses application namespace + table name + seed value
+CREATE OR REPLACE FUNCTION generate_deterministic_uuid(table_name TEXT, seed_value TEXT)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    combined_name TEXT;
+BEGIN
+    -- Combine table name and seed value to create unique identifier
+    -- Format: "table_name:seed_value"
+    combined_name := table_name || ':' || COALESCE(seed_value, '');
+    
+    -- Generate UUID v5 using application namespace
+    RETURN generate_uuid_v5(app_namespace_uuid, combined_name);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION generate_deterministic_uuid IS 'Generic wrapper for generating deterministic UUIDs. Uses application namespace + table name + seed value.';
+
+-- Human Resource UUID generation
+-- Natural key: staff_name (unique)
+CREATE OR REPLACE FUNCTION uuid_human_resource(staff_name TEXT)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Use staff_name as the seed (it's unique)
+    seed_value := 'human_resource:' || COALESCE(staff_name, '');
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_human_resource IS 'Generates deterministic UUID for human_resource table based on staff_name.';
+
+-- Period UUID generation
+-- Natural key: period_name + start_date (combination should be unique)
+CREATE OR REPLACE FUNCTION uuid_period(period_name TEXT, start_date DATE)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine period_name and start_date as seed
+    seed_value := 'period:' || COALESCE(period_name, '') || ':' || COALESCE(start_date::TEXT, '');
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_period IS 'Generates deterministic UUID for periods table based on period_name and start_date.';
+
+-- Shift Type UUID generation
+-- Natural key: name (unique)
+CREATE OR REPLACE FUNCTION uuid_shift_type(name TEXT)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Use name as the seed (it's unique)
+    seed_value := 'shift_type:' || COALESCE(name, '');
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_shift_type IS 'Generates deterministic UUID for shift_types table based on name.';
+
+-- Shift UUID generation
+-- Natural key: period_id + staff_name + shift_start_datetime + shift_type
+CREATE OR REPLACE FUNCTION uuid_shift(
+    period_id UUID,
+    staff_name TEXT,
+    shift_start_datetime TIMESTAMPTZ,
+    shift_type TEXT
+)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine all natural key components
+    seed_value := 'shift:' || 
+                  COALESCE(period_id::TEXT, '') || ':' ||
+                  COALESCE(staff_name, '') || ':' ||
+                  COALESCE(shift_start_datetime::TEXT, '') || ':' ||
+                  COALESCE(shift_type, '');
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_shift IS 'Generates deterministic UUID for shifts table based on period_id, staff_name, shift_start_datetime, and shift_type.';
+
+-- Change Request UUID generation
+-- Natural key: staff_id + change_type + field_name + changed_at
+CREATE OR REPLACE FUNCTION uuid_change_request(
+    staff_id UUID,
+    change_type TEXT,
+    field_name TEXT,
+    changed_at TIMESTAMPTZ
+)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine all natural key components
+    seed_value := 'change_request:' ||
+                  COALESCE(staff_id::TEXT, '') || ':' ||
+                  COALESCE(change_type, '') || ':' ||
+                  COALESCE(field_name, '') || ':' ||
+                  COALESCE(changed_at::TEXT, '');
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_change_request IS 'Generates deterministic UUID for change_requests table based on staff_id, change_type, field_name, and changed_at.';
+
+-- Rota Template UUID generation
+-- Natural key: template_name (unique)
+CREATE OR REPLACE FUNCTION uuid_rota_template(template_name TEXT)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Use template_name as the seed (it's unique)
+    seed_value := 'rota_template:' || COALESCE(template_name, '');
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_rota_template IS 'Generates deterministic UUID for rota_templates table based on template_name.';
+
+-- Rota Template Shift UUID generation
+-- Natural key: template_id + day_offset + staff_name + shift_type + start_time
+CREATE OR REPLACE FUNCTION uuid_rota_template_shift(template_id UUID, day_offset INTEGER, staff_name TEXT, shift_type TEXT, start_time TIME)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine template, day, staff member, shift type and start time as seed
+    seed_value := 'rota_template_shift:' ||
+                  COALESCE(template_id::TEXT, '') || ':' ||
+                  COALESCE(day_offset::TEXT, '') || ':' ||
+                  COALESCE(staff_name, '') || ':' ||
+                  COALESCE(shift_type, '') || ':' ||
+                  COALESCE(start_time::TEXT, '');
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_rota_template_shift IS 'Generates deterministic UUID for rota_template_shifts table based on template_id, day_offset, staff_name, shift_type and start_time.';
+
+-- Rota Template Pattern UUID generation
+-- Natural key: template_id + staff_name + shift_type + cycle_start_date
+CREATE OR REPLACE FUNCTION uuid_rota_template_pattern(template_id UUID, staff_name TEXT, shift_type TEXT, cycle_start_date DATE)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine template, staff member, shift type and cycle start as seed
+    seed_value := 'rota_template_pattern:' ||
+                  COALESCE(template_id::TEXT, '') || ':' ||
+                  COALESCE(staff_name, '') || ':' ||
+                  COALESCE(shift_type, '') || ':' ||
+                  COALESCE(cycle_start_date::TEXT, '');
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_rota_template_pattern IS 'Generates deterministic UUID for rota_template_patterns table based on template_id, staff_name, shift_type and cycle_start_date.';
+
+-- Setting UUID generation
+-- Natural key: type_of_setting (unique)
+CREATE OR REPLACE FUNCTION uuid_setting(type_of_setting TEXT)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Use type_of_setting as the seed (it's unique)
+    seed_value := 'setting:' || COALESCE(type_of_setting, '');
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_setting IS 'Generates deterministic UUID for settings table based on type_of_setting.';
+
+-- Pay Rule UUID generation
+-- Natural key: effective_from (unique)
+CREATE OR REPLACE FUNCTION uuid_pay_rule(effective_from DATE)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Use effective_from as the seed (it's unique)
+    seed_value := 'pay_rule:' || COALESCE(effective_from::TEXT, '');
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_pay_rule IS 'Generates deterministic UUID for pay_rules table based on effective_from.';
+
+-- User Account UUID generation
+-- Natural key: username (unique)
+CREATE OR REPLACE FUNCTION uuid_user_account(username TEXT)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Use username as the seed (it's unique)
+    seed_value := 'user_account:' || COALESCE(username, '');
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_user_account IS 'Generates deterministic UUID for user_accounts table based on username.';
+
+-- User Session UUID generation
+-- Natural key: token_hash (unique)
+CREATE OR REPLACE FUNCTION uuid_user_session(token_hash TEXT)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Use token_hash as the seed (it's unique)
+    seed_value := 'user_session:' || COALESCE(token_hash, '');
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_user_session IS 'Generates deterministic UUID for user_sessions table based on token_hash.';
+
+-- Calendar Feed Token UUID generation
+-- Natural key: staff_id (one calendar link per staff member)
+CREATE OR REPLACE FUNCTION uuid_calendar_feed_token(staff_id UUID)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Use staff_id as the seed (it's unique)
+    seed_value := 'calendar_feed_token:' || COALESCE(staff_id::TEXT, '');
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_calendar_feed_token IS 'Generates deterministic UUID for calendar_feed_tokens table based on staff_id.';
+
+-- Audit Event UUID generation
+-- Natural key: entity_type + entity_id + action + occurred_at + before/after values
+CREATE OR REPLACE FUNCTION uuid_audit_event(entity_type TEXT, entity_id TEXT, action TEXT, occurred_at TIMESTAMPTZ, before_value JSONB, after_value JSONB)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine the event fields (several events can share occurred_at inside one transaction)
+    seed_value := 'audit_event:' || 
+                  COALESCE(entity_type, '') || ':' ||
+                  COALESCE(entity_id, '') || ':' ||
+                  COALESCE(action, '') || ':' ||
+                  COALESCE(occurred_at::TEXT, '') || ':' ||
+                  md5(COALESCE(before_value::TEXT, '') || '|' || COALESCE(after_value::TEXT, ''));
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_audit_event IS 'Generates deterministic UUID for audit_events table based on entity_type, entity_id, action, occurred_at and the before/after values.';
+
+-- Unavailable Staff Daily UUID generation
+-- Natural key: period_id + date (unique constraint exists)
+CREATE OR REPLACE FUNCTION uuid_unavailable_staff_daily(period_id UUID, date DATE)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine period_id and date as seed
+    seed_value := 'unavailable_staff_daily:' ||
+                  COALESCE(period_id::TEXT, '') || ':' ||
+                  COALESCE(date::TEXT, '');
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_unavailable_staff_daily IS 'Generates deterministic UUID for unavailable_staff_daily table based on period_id and date.';
+
+-- Holiday Entitlement UUID generation
+-- Natural key: staff_id + holiday_year_start (unique constraint exists)
+CREATE OR REPLACE FUNCTION uuid_holiday_entitlement(staff_id UUID, holiday_year_start DATE)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine staff_id and holiday_year_start as seed
+    seed_value := 'holiday_entitlement:' ||
+                  COALESCE(staff_id::TEXT, '') || ':' ||
+                  COALESCE(holiday_year_start::TEXT, '');
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_holiday_entitlement IS 'Generates deterministic UUID for holiday_entitlements table based on staff_id and holiday_year_start.';
+
+-- Leave Request UUID generation
+-- Natural key: staff_id + start_date + end_date + created_at
+CREATE OR REPLACE FUNCTION uuid_leave_request(staff_id UUID, start_date DATE, end_date DATE, created_at TIMESTAMPTZ)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine staff_id, dates and submission time as seed (the same dates can be requested again)
+    seed_value := 'leave_request:' ||
+                  COALESCE(staff_id::TEXT, '') || ':' ||
+                  COALESCE(start_date::TEXT, '') || ':' ||
+                  COALESCE(end_date::TEXT, '') || ':' ||
+                  COALESCE(created_at::TEXT, '');
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_leave_request IS 'Generates deterministic UUID for leave_requests table based on staff_id, start_date, end_date and created_at.';
+
+-- Shift Swap Request UUID generation
+-- Natural key: offered_shift_id + created_at
+CREATE OR REPLACE FUNCTION uuid_shift_swap_request(offered_shift_id UUID, created_at TIMESTAMPTZ)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine the offered shift and offer time as seed (a shift can be offered again after a swap is rejected)
+    seed_value := 'shift_swap_request:' ||
+                  COALESCE(offered_shift_id::TEXT, '') || ':' ||
+                  COALESCE(created_at::TEXT, '');
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_shift_swap_request IS 'Generates deterministic UUID for shift_swap_requests table based on offered_shift_id and created_at.';
+
+-- Open Shift UUID generation
+-- Natural key: period_id + shift_type + shift_start_datetime + created_at
+CREATE OR REPLACE FUNCTION uuid_open_shift(period_id UUID, shift_type TEXT, shift_start_datetime TIMESTAMPTZ, created_at TIMESTAMPTZ)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine the shift slot and publish time as seed (the same slot can be published again after a cancel)
+    seed_value := 'open_shift:' ||
+                  COALESCE(period_id::TEXT, '') || ':' ||
+                  COALESCE(shift_type, '') || ':' ||
+                  COALESCE(shift_start_datetime::TEXT, '') || ':' ||
+                  COALESCE(created_at::TEXT, '');
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_open_shift IS 'Generates deterministic UUID for open_shifts table based on period_id, shift_type, shift_start_datetime and created_at.';
+
+-- Open Shift Volunteer UUID generation
+-- Natural key: open_shift_id + staff_name (unique)
+CREATE OR REPLACE FUNCTION uuid_open_shift_volunteer(open_shift_id UUID, staff_name TEXT)
 RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
 BEGIN
-    -- Use PostgreSQL's uuid-ossp extension for UUID v5 generation
-    -- UUID v5 uses SHA-1 hashing: namespace UUID + name string
-    RETURN uuid_generate_v5(namespace_uuid, name);
+    -- Combine open_shift_id and staff_name as seed (one volunteer row per staff member)
+    seed_value := 'open_shift_volunteer:' ||
+                  COALESCE(open_shift_id::TEXT, '') || ':' ||
+                  COALESCE(staff_name, '');
+    
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
 END;
 $$ LANGUAGE plpgsql IMMUTABLE;
 
-COMMENT ON FUNCTION generate_uuid_v5 IS 'Core UUID v5 generation function using RFC 4122 specification. Deterministic: same namespace + name = same UUID.';
+COMMENT ON FUNCTION uuid_open_shift_volunteer IS 'Generates deterministic UUID for open_shift_volunteers table based on open_shift_id and staff_name.';
 
--- Generic wrapper function for generating deterministic UUIDs
--- Uses application namespace + table name + seed value
-CREATE OR REPLACE FUNCTION generate_deterministic_uuid(table_name TEXT, seed_value TEXT)
+-- Staffing Rule UUID generation
+-- Natural key: shift_type + day_of_week (unique)
+CREATE OR REPLACE FUNCTION uuid_staffing_rule(shift_type TEXT, day_of_week INTEGER)
 RETURNS UUID AS $$
 DECLARE
     app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
-    combined_name TEXT;
+    seed_value TEXT;
 BEGIN
-    -- Combine table name and seed value to create unique identifier
-    -- Format: "table_name:seed_value"
-    combined_name := table_name || ':' || COALESCE(seed_value, '');
+    -- Combine shift_type and day_of_week as seed (one rule per shift type and day)
+    seed_value := 'staffing_rule:' ||
+                  COALESCE(shift_type, '') || ':' ||
+                  COALESCE(day_of_week::TEXT, '');
     
-    -- Generate UUID v5 using application namespace
-    RETURN generate_uuid_v5(app_namespace_uuid, combined_name);
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
 END;
 $$ LANGUAGE plpgsql IMMUTABLE;
 
-COMMENT ON FUNCTION generate_deterministic_uuid IS 'Generic wrapper for generating deterministic UUIDs. Uses application namespace + table name + seed value.';
+COMMENT ON FUNCTION uuid_staffing_rule IS 'Generates deterministic UUID for staffing_rules table based on shift_type and day_of_week.';
 
--- Human Resource UUID generation
--- Natural key: staff_name (unique)
-CREATE OR REPLACE FUNCTION uuid_human_resource(staff_name TEXT)
+-- Rota Version UUID generation
+-- Natural key: period_id + version_number (unique)
+CREATE OR REPLACE FUNCTION uuid_rota_version(period_id UUID, version_number INTEGER)
 RETURNS UUID AS $$
 DECLARE
     app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
     seed_value TEXT;
 BEGIN
-    -- Use staff_name as the seed (it's unique)
-    seed_value := 'human_resource:' || COALESCE(staff_name, '');
+    -- Combine period_id and version_number as seed (one row per published version)
+    seed_value := 'rota_version:' ||
+                  COALESCE(period_id::TEXT, '') || ':' ||
+                  COALESCE(version_number::TEXT, '');
     
     RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
 END;
 $$ LANGUAGE plpgsql IMMUTABLE;
 
-COMMENT ON FUNCTION uuid_human_resource IS 'Generates deterministic UUID for human_resource table based on staff_name.';
+COMMENT ON FUNCTION uuid_rota_version IS 'Generates deterministic UUID for rota_versions table based on period_id and version_number.';
 
--- Period UUID generation
--- Natural key: period_name + start_date (combination should be unique)
-CREATE OR REPLACE FUNCTION uuid_period(period_name TEXT, start_date DATE)
+-- Rota Operation UUID generation
+-- Natural key: actor_username + operation_type + created_at
+CREATE OR REPLACE FUNCTION uuid_rota_operation(actor_username TEXT, operation_type TEXT, created_at TIMESTAMPTZ)
 RETURNS UUID AS $$
 DECLARE
     app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
     seed_value TEXT;
 BEGIN
-    -- Combine period_name and start_date as seed
-    seed_value := 'period:' || COALESCE(period_name, '') || ':' || COALESCE(start_date::TEXT, '');
+    -- Combine the acting user, operation type and time as seed (one row per rota edit)
+    seed_value := 'rota_operation:' ||
+                  COALESCE(actor_username, '') || ':' ||
+                  COALESCE(operation_type, '') || ':' ||
+                  COALESCE(created_at::TEXT, '');
     
     RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
 END;
 $$ LANGUAGE plpgsql IMMUTABLE;
 
-COMMENT ON FUNCTION uuid_period IS 'Generates deterministic UUID for periods table based on period_name and start_date.';
+COMMENT ON FUNCTION uuid_rota_operation IS 'Generates deterministic UUID for rota_operations table based on actor_username, operation_type and created_at.';
 
--- Shift UUID generation
--- Natural key: period_id + staff_name + shift_start_datetime + shift_type
-CREATE OR REPLACE FUNCTION uuid_shift(
-    period_id UUID,
-    staff_name TEXT,
-    shift_start_datetime TIMESTAMPTZ,
-    shift_type TEXT
-)
+-- Notification UUID generation
+-- Natural key: staff_id + event_type + created_at + payload
+CREATE OR REPLACE FUNCTION uuid_notification(staff_id UUID, event_type TEXT, created_at TIMESTAMPTZ, payload JSONB)
 RETURNS UUID AS $$
 DECLARE
     app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
     seed_value TEXT;
 BEGIN
-    -- Combine all natural key components
-    seed_value := 'shift:' || 
-                  COALESCE(period_id::TEXT, '') || ':' ||
-                  COALESCE(staff_name, '') || ':' ||
-                  COALESCE(shift_start_datetime::TEXT, '') || ':' ||
-                  COALESCE(shift_type, '');
+    -- Include the payload (one transaction can queue several notifications for the same staff member)
+    seed_value := 'notification:' ||
+                  COALESCE(staff_id::TEXT, '') || ':' ||
+                  COALESCE(event_type, '') || ':' ||
+                  COALESCE(created_at::TEXT, '') || ':' ||
+                  md5(COALESCE(payload::TEXT, ''));
     
     RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
 END;
 $$ LANGUAGE plpgsql IMMUTABLE;
 
-COMMENT ON FUNCTION uuid_shift IS 'Generates deterministic UUID for shifts table based on period_id, staff_name, shift_start_datetime, and shift_type.';
+COMMENT ON FUNCTION uuid_notification IS 'Generates deterministic UUID for notification_outbox table based on staff_id, event_type, created_at and payload.';
 
--- Change Request UUID generation
--- Natural key: staff_id + change_type + field_name + changed_at
-CREATE OR REPLACE FUNCTION uuid_change_request(
-    staff_id UUID,
-    change_type TEXT,
-    field_name TEXT,
-    changed_at TIMESTAMPTZ
-)
+-- Timesheet UUID generation
+-- Natural key: shift_id (one timesheet per shift)
+CREATE OR REPLACE FUNCTION uuid_timesheet(shift_id UUID)
 RETURNS UUID AS $$
 DECLARE
     app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
     seed_value TEXT;
 BEGIN
-    -- Combine all natural key components
-    seed_value := 'change_request:' ||
-                  COALESCE(staff_id::TEXT, '') || ':' ||
-                  COALESCE(change_type, '') || ':' ||
-                  COALESCE(field_name, '') || ':' ||
-                  COALESCE(changed_at::TEXT, '');
+    seed_value := 'timesheet:' || COALESCE(shift_id::TEXT, '');
     
     RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
 END;
 $$ LANGUAGE plpgsql IMMUTABLE;
 
-COMMENT ON FUNCTION uuid_change_request IS 'Generates deterministic UUID for change_requests table based on staff_id, change_type, field_name, and changed_at.';
+COMMENT ON FUNCTION uuid_timesheet IS 'Generates deterministic UUID for timesheets table based on shift_id.';
 
--- Setting UUID generation
--- Natural key: type_of_setting (unique)
-CREATE OR REPLACE FUNCTION uuid_setting(type_of_setting TEXT)
+-- Break Rule UUID generation
+-- Natural key: shift_type + min_shift_hours (unique)
+CREATE OR REPLACE FUNCTION uuid_break_rule(shift_type TEXT, min_shift_hours NUMERIC)
 RETURNS UUID AS $$
 DECLARE
     app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
     seed_value TEXT;
 BEGIN
-    -- Use type_of_setting as the seed (it's unique)
-    seed_value := 'setting:' || COALESCE(type_of_setting, '');
+    seed_value := 'break_rule:' ||
+                  COALESCE(shift_type, '') || ':' ||
+                  COALESCE(ROUND(min_shift_hours, 2)::TEXT, '');
     
     RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
 END;
 $$ LANGUAGE plpgsql IMMUTABLE;
 
-COMMENT ON FUNCTION uuid_setting IS 'Generates deterministic UUID for settings table based on type_of_setting.';
+COMMENT ON FUNCTION uuid_break_rule IS 'Generates deterministic UUID for break_rules table based on shift_type and min_shift_hours.';
 
--- Unavailable Staff Daily UUID generation
--- Natural key: period_id + date (unique constraint exists)
-CREATE OR REPLACE FUNCTION uuid_unavailable_staff_daily(period_id UUID, date DATE)
+-- Pay Band UUID generation
+-- Natural key: name (unique)
+CREATE OR REPLACE FUNCTION uuid_pay_band(name TEXT)
 RETURNS UUID AS $$
 DECLARE
     app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
     seed_value TEXT;
 BEGIN
-    -- Combine period_id and date as seed
-    seed_value := 'unavailable_staff_daily:' ||
-                  COALESCE(period_id::TEXT, '') || ':' ||
-                  COALESCE(date::TEXT, '');
+    seed_value := 'pay_band:' || COALESCE(name, '');
     
     RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
 END;
 $$ LANGUAGE plpgsql IMMUTABLE;
 
-COMMENT ON FUNCTION uuid_unavailable_staff_daily IS 'Generates deterministic UUID for unavailable_staff_daily table based on period_id and date.';
+COMMENT ON FUNCTION uuid_pay_band IS 'Generates deterministic UUID for pay_bands table based on name.';
 
--- Holiday Entitlement UUID generation
--- Natural key: staff_id + holiday_year_start (unique constraint exists)
-CREATE OR REPLACE FUNCTION uuid_holiday_entitlement(staff_id UUID, holiday_year_start DATE)
+-- Bank Holiday UUID generation
+-- Natural key: holiday_date (unique)
+CREATE OR REPLACE FUNCTION uuid_bank_holiday(holiday_date DATE)
 RETURNS UUID AS $$
 DECLARE
     app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
     seed_value TEXT;
 BEGIN
-    -- Combine staff_id and holiday_year_start as seed
-    seed_value := 'holiday_entitlement:' ||
-                  COALESCE(staff_id::TEXT, '') || ':' ||
-                  COALESCE(holiday_year_start::TEXT, '');
+    seed_value := 'bank_holiday:' || COALESCE(holiday_date::TEXT, '');
     
     RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
 END;
 $$ LANGUAGE plpgsql IMMUTABLE;
 
-COMMENT ON FUNCTION uuid_holiday_entitlement IS 'Generates deterministic UUID for holiday_entitlements table based on staff_id and holiday_year_start.';
+COMMENT ON FUNCTION uuid_bank_holiday IS 'Generates deterministic UUID for bank_holidays table based on holiday_date.';
 
 -- Test function to verify UUID determinism
 CREATE OR REPLACE FUNCTION test_uuid_determinism()
@@ -1055,112 +1881,372 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- =====================================================
--- 6. DETERMINISTIC UUID TRIGGERS
--- =====================================================
+-- =====================================================
+-- 6. DETERMINISTIC UUID TRIGGERS
+-- =====================================================
+
+-- Trigger function to automatically generate deterministic UUID for human_resource
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_human_resource()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.unique_id IS NULL THEN
+        NEW.unique_id := uuid_human_resource(NEW.staff_name);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for periods
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_periods()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.period_id IS NULL THEN
+        NEW.period_id := uuid_period(NEW.period_name, NEW.start_date);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for shift_types
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_shift_types()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.shift_type_id IS NULL THEN
+        NEW.shift_type_id := uuid_shift_type(NEW.name);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for shifts
+-- Handles duplicates by including the old UUID if a collision would occur
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_shifts()
+RETURNS TRIGGER AS $$
+DECLARE
+    proposed_uuid UUID;
+    existing_count INTEGER;
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.id IS NULL THEN
+        proposed_uuid := uuid_shift(NEW.period_id, NEW.staff_name, NEW.shift_start_datetime, NEW.shift_type);
+        
+        -- Check if this UUID already exists (duplicate natural key)
+        SELECT COUNT(*) INTO existing_count
+        FROM shifts
+        WHERE id = proposed_uuid;
+        
+        -- If duplicate exists, include a unique identifier (timestamp or sequence)
+        IF existing_count > 0 THEN
+            -- Use generate_deterministic_uuid with old UUID as fallback for uniqueness
+            -- In practice, this should rarely happen if natural keys are truly unique
+            NEW.id := generate_deterministic_uuid('shift', 
+                NEW.period_id::TEXT || ':' || 
+                NEW.staff_name || ':' || 
+                NEW.shift_start_datetime::TEXT || ':' || 
+                NEW.shift_type || ':' || 
+                NOW()::TEXT);
+        ELSE
+            NEW.id := proposed_uuid;
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for change_requests
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_change_requests()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.id IS NULL THEN
+        NEW.id := uuid_change_request(NEW.staff_id, NEW.change_type, COALESCE(NEW.field_name, ''), NEW.changed_at);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for rota_templates
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_rota_templates()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.template_id IS NULL THEN
+        NEW.template_id := uuid_rota_template(NEW.template_name);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for rota_template_shifts
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_rota_template_shifts()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.template_shift_id IS NULL THEN
+        NEW.template_shift_id := uuid_rota_template_shift(NEW.template_id, NEW.day_offset, NEW.staff_name, NEW.shift_type, NEW.start_time);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for rota_template_patterns
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_rota_template_patterns()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.pattern_id IS NULL THEN
+        NEW.pattern_id := uuid_rota_template_pattern(NEW.template_id, NEW.staff_name, NEW.shift_type, NEW.cycle_start_date);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for settings
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_settings()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.setting_id IS NULL THEN
+        NEW.setting_id := uuid_setting(NEW.type_of_setting);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for pay_rules
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_pay_rules()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.pay_rule_id IS NULL THEN
+        NEW.pay_rule_id := uuid_pay_rule(NEW.effective_from);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for user_accounts
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_user_accounts()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.account_id IS NULL THEN
+        NEW.account_id := uuid_user_account(NEW.username);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for user_sessions
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_user_sessions()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.session_id IS NULL THEN
+        NEW.session_id := uuid_user_session(NEW.token_hash);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for calendar_feed_tokens
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_calendar_feed_tokens()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.token_id IS NULL THEN
+        NEW.token_id := uuid_calendar_feed_token(NEW.staff_id);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for audit_events
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_audit_events()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.audit_id IS NULL THEN
+        NEW.audit_id := uuid_audit_event(NEW.entity_type, NEW.entity_id, NEW.action, NEW.occurred_at, NEW.before_value, NEW.after_value);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to keep audit_events append-only
+CREATE OR REPLACE FUNCTION prevent_audit_event_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_events is append-only: % is not allowed', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for unavailable_staff_daily
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_unavailable_staff_daily()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.id IS NULL THEN
+        NEW.id := uuid_unavailable_staff_daily(NEW.period_id, NEW.date);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for holiday_entitlements
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_holiday_entitlements()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.entitlement_id IS NULL THEN
+        NEW.entitlement_id := uuid_holiday_entitlement(NEW.staff_id, NEW.holiday_year_start);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
 
--- Trigger function to automatically generate deterministic UUID for human_resource
-CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_human_resource()
+-- Trigger function to automatically generate deterministic UUID for leave_requests
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_leave_requests()
 RETURNS TRIGGER AS $$
 BEGIN
     -- Generate deterministic UUID if not provided
-    IF NEW.unique_id IS NULL THEN
-        NEW.unique_id := uuid_human_resource(NEW.staff_name);
+    IF NEW.leave_request_id IS NULL THEN
+        NEW.leave_request_id := uuid_leave_request(NEW.staff_id, NEW.start_date, NEW.end_date, NEW.created_at);
     END IF;
     RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
 
--- Trigger function to automatically generate deterministic UUID for periods
-CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_periods()
+-- Trigger function to automatically generate deterministic UUID for shift_swap_requests
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_shift_swap_requests()
 RETURNS TRIGGER AS $$
 BEGIN
     -- Generate deterministic UUID if not provided
-    IF NEW.period_id IS NULL THEN
-        NEW.period_id := uuid_period(NEW.period_name, NEW.start_date);
+    IF NEW.swap_request_id IS NULL THEN
+        NEW.swap_request_id := uuid_shift_swap_request(NEW.offered_shift_id, NEW.created_at);
     END IF;
     RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
 
--- Trigger function to automatically generate deterministic UUID for shifts
--- Handles duplicates by including the old UUID if a collision would occur
-CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_shifts()
+-- Trigger function to automatically generate deterministic UUID for open_shifts
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_open_shifts()
 RETURNS TRIGGER AS $$
-DECLARE
-    proposed_uuid UUID;
-    existing_count INTEGER;
 BEGIN
     -- Generate deterministic UUID if not provided
-    IF NEW.id IS NULL THEN
-        proposed_uuid := uuid_shift(NEW.period_id, NEW.staff_name, NEW.shift_start_datetime, NEW.shift_type);
-        
-        -- Check if this UUID already exists (duplicate natural key)
-        SELECT COUNT(*) INTO existing_count
-        FROM shifts
-        WHERE id = proposed_uuid;
-        
-        -- If duplicate exists, include a unique identifier (timestamp or sequence)
-        IF existing_count > 0 THEN
-            -- Use generate_deterministic_uuid with old UUID as fallback for uniqueness
-            -- In practice, this should rarely happen if natural keys are truly unique
-            NEW.id := generate_deterministic_uuid('shift', 
-                NEW.period_id::TEXT || ':' || 
-                NEW.staff_name || ':' || 
-                NEW.shift_start_datetime::TEXT || ':' || 
-                NEW.shift_type || ':' || 
-                NOW()::TEXT);
-        ELSE
-            NEW.id := proposed_uuid;
-        END IF;
+    IF NEW.open_shift_id IS NULL THEN
+        NEW.open_shift_id := uuid_open_shift(NEW.period_id, NEW.shift_type, NEW.shift_start_datetime, NEW.created_at);
     END IF;
     RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
 
--- Trigger function to automatically generate deterministic UUID for change_requests
-CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_change_requests()
+-- Trigger function to automatically generate deterministic UUID for open_shift_volunteers
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_open_shift_volunteers()
 RETURNS TRIGGER AS $$
 BEGIN
     -- Generate deterministic UUID if not provided
-    IF NEW.id IS NULL THEN
-        NEW.id := uuid_change_request(NEW.staff_id, NEW.change_type, COALESCE(NEW.field_name, ''), NEW.changed_at);
+    IF NEW.volunteer_id IS NULL THEN
+        NEW.volunteer_id := uuid_open_shift_volunteer(NEW.open_shift_id, NEW.staff_name);
     END IF;
     RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
 
--- Trigger function to automatically generate deterministic UUID for settings
-CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_settings()
+-- Trigger function to automatically generate deterministic UUID for staffing_rules
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_staffing_rules()
 RETURNS TRIGGER AS $$
 BEGIN
     -- Generate deterministic UUID if not provided
-    IF NEW.setting_id IS NULL THEN
-        NEW.setting_id := uuid_setting(NEW.type_of_setting);
+    IF NEW.staffing_rule_id IS NULL THEN
+        NEW.staffing_rule_id := uuid_staffing_rule(NEW.shift_type, NEW.day_of_week);
     END IF;
     RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
 
--- Trigger function to automatically generate deterministic UUID for unavailable_staff_daily
-CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_unavailable_staff_daily()
+-- Trigger function to automatically generate deterministic UUID for rota_versions
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_rota_versions()
 RETURNS TRIGGER AS $$
 BEGIN
     -- Generate deterministic UUID if not provided
-    IF NEW.id IS NULL THEN
-        NEW.id := uuid_unavailable_staff_daily(NEW.period_id, NEW.date);
+    IF NEW.version_id IS NULL THEN
+        NEW.version_id := uuid_rota_version(NEW.period_id, NEW.version_number);
     END IF;
     RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
 
--- Trigger function to automatically generate deterministic UUID for holiday_entitlements
-CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_holiday_entitlements()
+-- Trigger function to automatically generate deterministic UUID for rota_operations
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_rota_operations()
 RETURNS TRIGGER AS $$
 BEGIN
     -- Generate deterministic UUID if not provided
-    IF NEW.entitlement_id IS NULL THEN
-        NEW.entitlement_id := uuid_holiday_entitlement(NEW.staff_id, NEW.holiday_year_start);
+    IF NEW.operation_id IS NULL THEN
+        NEW.operation_id := uuid_rota_operation(NEW.actor_username, NEW.operation_type, NEW.created_at);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for notification_outbox
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_notification_outbox()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.notification_id IS NULL THEN
+        NEW.notification_id := uuid_notification(NEW.staff_id, NEW.event_type, NEW.created_at, NEW.payload);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for timesheets
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_timesheets()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.timesheet_id IS NULL THEN
+        NEW.timesheet_id := uuid_timesheet(NEW.shift_id);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for break_rules
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_break_rules()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.break_rule_id IS NULL THEN
+        NEW.break_rule_id := uuid_break_rule(NEW.shift_type, NEW.min_shift_hours);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for pay_bands
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_pay_bands()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.pay_band_id IS NULL THEN
+        NEW.pay_band_id := uuid_pay_band(NEW.name);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for bank_holidays
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_bank_holidays()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.bank_holiday_id IS NULL THEN
+        NEW.bank_holiday_id := uuid_bank_holiday(NEW.holiday_date);
     END IF;
     RETURN NEW;
 END;
@@ -1179,6 +2265,12 @@ CREATE TRIGGER trigger_deterministic_uuid_periods
     WHEN (NEW.period_id IS NULL)
     EXECUTE FUNCTION trigger_generate_deterministic_uuid_periods();
 
+CREATE TRIGGER trigger_deterministic_uuid_shift_types
+    BEFORE INSERT ON shift_types
+    FOR EACH ROW
+    WHEN (NEW.shift_type_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_shift_types();
+
 CREATE TRIGGER trigger_deterministic_uuid_shifts
     BEFORE INSERT ON shifts
     FOR EACH ROW
@@ -1191,12 +2283,70 @@ CREATE TRIGGER trigger_deterministic_uuid_change_requests
     WHEN (NEW.id IS NULL)
     EXECUTE FUNCTION trigger_generate_deterministic_uuid_change_requests();
 
+CREATE TRIGGER trigger_deterministic_uuid_rota_templates
+    BEFORE INSERT ON rota_templates
+    FOR EACH ROW
+    WHEN (NEW.template_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_rota_templates();
+
+CREATE TRIGGER trigger_deterministic_uuid_rota_template_shifts
+    BEFORE INSERT ON rota_template_shifts
+    FOR EACH ROW
+    WHEN (NEW.template_shift_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_rota_template_shifts();
+
+CREATE TRIGGER trigger_deterministic_uuid_rota_template_patterns
+    BEFORE INSERT ON rota_template_patterns
+    FOR EACH ROW
+    WHEN (NEW.pattern_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_rota_template_patterns();
+
 CREATE TRIGGER trigger_deterministic_uuid_settings
     BEFORE INSERT ON settings
     FOR EACH ROW
     WHEN (NEW.setting_id IS NULL)
     EXECUTE FUNCTION trigger_generate_deterministic_uuid_settings();
 
+CREATE TRIGGER trigger_deterministic_uuid_pay_rules
+    BEFORE INSERT ON pay_rules
+    FOR EACH ROW
+    WHEN (NEW.pay_rule_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_pay_rules();
+
+CREATE TRIGGER trigger_deterministic_uuid_user_accounts
+    BEFORE INSERT ON user_accounts
+    FOR EACH ROW
+    WHEN (NEW.account_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_user_accounts();
+
+CREATE TRIGGER trigger_deterministic_uuid_user_sessions
+    BEFORE INSERT ON user_sessions
+    FOR EACH ROW
+    WHEN (NEW.session_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_user_sessions();
+
+CREATE TRIGGER trigger_deterministic_uuid_calendar_feed_tokens
+    BEFORE INSERT ON calendar_feed_tokens
+    FOR EACH ROW
+    WHEN (NEW.token_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_calendar_feed_tokens();
+
+CREATE TRIGGER trigger_deterministic_uuid_audit_events
+    BEFORE INSERT ON audit_events
+    FOR EACH ROW
+    WHEN (NEW.audit_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_audit_events();
+
+CREATE TRIGGER trigger_audit_events_append_only
+    BEFORE UPDATE OR DELETE ON audit_events
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_audit_event_changes();
+
+CREATE TRIGGER trigger_audit_events_no_truncate
+    BEFORE TRUNCATE ON audit_events
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION prevent_audit_event_changes();
+
 CREATE TRIGGER trigger_deterministic_uuid_unavailable_staff_daily
     BEFORE INSERT ON unavailable_staff_daily
     FOR EACH ROW
@@ -1209,6 +2359,78 @@ CREATE TRIGGER trigger_deterministic_uuid_holiday_entitlements
     WHEN (NEW.entitlement_id IS NULL)
     EXECUTE FUNCTION trigger_generate_deterministic_uuid_holiday_entitlements();
 
+CREATE TRIGGER trigger_deterministic_uuid_leave_requests
+    BEFORE INSERT ON leave_requests
+    FOR EACH ROW
+    WHEN (NEW.leave_request_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_leave_requests();
+
+CREATE TRIGGER trigger_deterministic_uuid_shift_swap_requests
+    BEFORE INSERT ON shift_swap_requests
+    FOR EACH ROW
+    WHEN (NEW.swap_request_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_shift_swap_requests();
+
+CREATE TRIGGER trigger_deterministic_uuid_open_shifts
+    BEFORE INSERT ON open_shifts
+    FOR EACH ROW
+    WHEN (NEW.open_shift_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_open_shifts();
+
+CREATE TRIGGER trigger_deterministic_uuid_open_shift_volunteers
+    BEFORE INSERT ON open_shift_volunteers
+    FOR EACH ROW
+    WHEN (NEW.volunteer_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_open_shift_volunteers();
+
+CREATE TRIGGER trigger_deterministic_uuid_staffing_rules
+    BEFORE INSERT ON staffing_rules
+    FOR EACH ROW
+    WHEN (NEW.staffing_rule_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_staffing_rules();
+
+CREATE TRIGGER trigger_deterministic_uuid_rota_versions
+    BEFORE INSERT ON rota_versions
+    FOR EACH ROW
+    WHEN (NEW.version_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_rota_versions();
+
+CREATE TRIGGER trigger_deterministic_uuid_rota_operations
+    BEFORE INSERT ON rota_operations
+    FOR EACH ROW
+    WHEN (NEW.operation_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_rota_operations();
+
+CREATE TRIGGER trigger_deterministic_uuid_notification_outbox
+    BEFORE INSERT ON notification_outbox
+    FOR EACH ROW
+    WHEN (NEW.notification_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_notification_outbox();
+
+CREATE TRIGGER trigger_deterministic_uuid_timesheets
+    BEFORE INSERT ON timesheets
+    FOR EACH ROW
+    WHEN (NEW.timesheet_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_timesheets();
+
+CREATE TRIGGER trigger_deterministic_uuid_break_rules
+    BEFORE INSERT ON break_rules
+    FOR EACH ROW
+    WHEN (NEW.break_rule_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_break_rules();
+
+CREATE TRIGGER trigger_deterministic_uuid_pay_bands
+    BEFORE INSERT ON pay_bands
+    FOR EACH ROW
+    WHEN (NEW.pay_band_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_pay_bands();
+
+CREATE TRIGGER trigger_deterministic_uuid_bank_holidays
+    BEFORE INSERT ON bank_holidays
+    FOR EACH ROW
+    WHEN (NEW.bank_holiday_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_bank_holidays();
+
 -- =====================================================
 -- 7. TRIGGERS (ACTUALLY USED)
 -- =====================================================
@@ -1320,6 +2542,11 @@ BEGIN
             BEFORE UPDATE ON periods 
             FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+        DROP TRIGGER IF EXISTS update_shift_types_updated_at ON shift_types;
+        CREATE TRIGGER update_shift_types_updated_at 
+            BEFORE UPDATE ON shift_types 
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
         DROP TRIGGER IF EXISTS update_shifts_updated_at ON shifts;
         CREATE TRIGGER update_shifts_updated_at 
             BEFORE UPDATE ON shifts 
@@ -1335,10 +2562,55 @@ BEGIN
             BEFORE UPDATE ON settings 
             FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+        DROP TRIGGER IF EXISTS update_rota_templates_updated_at ON rota_templates;
+        CREATE TRIGGER update_rota_templates_updated_at
+            BEFORE UPDATE ON rota_templates
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+        DROP TRIGGER IF EXISTS update_pay_rules_updated_at ON pay_rules;
+        CREATE TRIGGER update_pay_rules_updated_at 
+            BEFORE UPDATE ON pay_rules 
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+        DROP TRIGGER IF EXISTS update_user_accounts_updated_at ON user_accounts;
+        CREATE TRIGGER update_user_accounts_updated_at 
+            BEFORE UPDATE ON user_accounts 
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
         DROP TRIGGER IF EXISTS update_unavailable_staff_daily_updated_at ON unavailable_staff_daily;
         CREATE TRIGGER update_unavailable_staff_daily_updated_at
             BEFORE UPDATE ON unavailable_staff_daily
             FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+        DROP TRIGGER IF EXISTS update_leave_requests_updated_at ON leave_requests;
+        CREATE TRIGGER update_leave_requests_updated_at
+            BEFORE UPDATE ON leave_requests
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+        DROP TRIGGER IF EXISTS update_shift_swap_requests_updated_at ON shift_swap_requests;
+        CREATE TRIGGER update_shift_swap_requests_updated_at
+            BEFORE UPDATE ON shift_swap_requests
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+        DROP TRIGGER IF EXISTS update_open_shifts_updated_at ON open_shifts;
+        CREATE TRIGGER update_open_shifts_updated_at
+            BEFORE UPDATE ON open_shifts
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+        DROP TRIGGER IF EXISTS update_staffing_rules_updated_at ON staffing_rules;
+        CREATE TRIGGER update_staffing_rules_updated_at
+            BEFORE UPDATE ON staffing_rules
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+        DROP TRIGGER IF EXISTS update_break_rules_updated_at ON break_rules;
+        CREATE TRIGGER update_break_rules_updated_at
+            BEFORE UPDATE ON break_rules
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+        DROP TRIGGER IF EXISTS update_pay_bands_updated_at ON pay_bands;
+        CREATE TRIGGER update_pay_bands_updated_at
+            BEFORE UPDATE ON pay_bands
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
     END IF;
 END $$;
 
@@ -1425,6 +2697,106 @@ CREATE TRIGGER trigger_holiday_renewal_on_financial_year_end
     FOR EACH ROW
     EXECUTE FUNCTION trigger_holiday_entitlement_renewal();
 
+-- Row versions: shifts, staff and unavailability rows go up one version per update
+-- (edits sent with an older version in If-Match get 409 Conflict)
+CREATE OR REPLACE FUNCTION increment_row_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.version := OLD.version + 1;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS increment_shifts_version ON shifts;
+CREATE TRIGGER increment_shifts_version
+    BEFORE UPDATE ON shifts
+    FOR EACH ROW
+    EXECUTE FUNCTION increment_row_version();
+
+DROP TRIGGER IF EXISTS increment_human_resource_version ON human_resource;
+CREATE TRIGGER increment_human_resource_version
+    BEFORE UPDATE ON human_resource
+    FOR EACH ROW
+    EXECUTE FUNCTION increment_row_version();
+
+DROP TRIGGER IF EXISTS increment_unavailable_staff_daily_version ON unavailable_staff_daily;
+CREATE TRIGGER increment_unavailable_staff_daily_version
+    BEFORE UPDATE ON unavailable_staff_daily
+    FOR EACH ROW
+    EXECUTE FUNCTION increment_row_version();
+
+-- Live updates: changed rows are announced on the 'live_updates' channel (pg_notify) when the
+-- transaction commits - the server pushes them to open rota grids over Server-Sent Events
+-- Build the notification payload for one changed row
+CREATE OR REPLACE FUNCTION live_update_payload(table_name TEXT, changed_row JSONB)
+RETURNS JSONB AS $$
+BEGIN
+    RETURN CASE table_name
+        WHEN 'shifts' THEN jsonb_build_object(
+            'type', 'shifts',
+            'periodId', changed_row->>'period_id',
+            'date', to_char((changed_row->>'shift_start_datetime')::TIMESTAMPTZ AT TIME ZONE 'Europe/London', 'YYYY-MM-DD'),
+            'shiftType', changed_row->>'shift_type'
+        )
+        WHEN 'unavailable_staff_daily' THEN jsonb_build_object(
+            'type', 'unavailability',
+            'periodId', changed_row->>'period_id',
+            'date', changed_row->>'date'
+        )
+        WHEN 'human_resource' THEN jsonb_build_object(
+            'type', 'staff',
+            'staffName', changed_row->>'staff_name'
+        )
+        WHEN 'settings' THEN jsonb_build_object(
+            'type', 'settings',
+            'setting', changed_row->>'type_of_setting'
+        )
+    END;
+END;
+$$ LANGUAGE plpgsql STABLE; -- not IMMUTABLE: the TIMESTAMPTZ cast depends on the session TimeZone
+
+-- Trigger function to announce a changed row on the live_updates channel
+CREATE OR REPLACE FUNCTION trigger_notify_live_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- The cell the row was in (a moved shift also clears its old cell)
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM pg_notify('live_updates', live_update_payload(TG_TABLE_NAME, to_jsonb(OLD))::TEXT);
+    END IF;
+
+    -- The cell the row is in now (same payload as above is only sent once)
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM pg_notify('live_updates', live_update_payload(TG_TABLE_NAME, to_jsonb(NEW))::TEXT);
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS notify_live_update_shifts ON shifts;
+CREATE TRIGGER notify_live_update_shifts
+    AFTER INSERT OR UPDATE OR DELETE ON shifts
+    FOR EACH ROW
+    EXECUTE FUNCTION trigger_notify_live_update();
+
+DROP TRIGGER IF EXISTS notify_live_update_unavailable_staff_daily ON unavailable_staff_daily;
+CREATE TRIGGER notify_live_update_unavailable_staff_daily
+    AFTER INSERT OR UPDATE OR DELETE ON unavailable_staff_daily
+    FOR EACH ROW
+    EXECUTE FUNCTION trigger_notify_live_update();
+
+DROP TRIGGER IF EXISTS notify_live_update_human_resource ON human_resource;
+CREATE TRIGGER notify_live_update_human_resource
+    AFTER INSERT OR UPDATE OR DELETE ON human_resource
+    FOR EACH ROW
+    EXECUTE FUNCTION trigger_notify_live_update();
+
+DROP TRIGGER IF EXISTS notify_live_update_settings ON settings;
+CREATE TRIGGER notify_live_update_settings
+    AFTER INSERT OR UPDATE OR DELETE ON settings
+    FOR EACH ROW
+    EXECUTE FUNCTION trigger_notify_live_update();
+
 -- =====================================================
 -- 8. VIEWS FOR COMMON QUERIES (ACTUALLY USED)
 -- =====================================================
@@ -1686,12 +3058,60 @@ INSERT INTO human_resource (staff_name, role, is_active, contracted_hours, pay_r
     ('Yasser', 'staff member', true, 0.0, 13.13, '#C4BC96')
 ON CONFLICT (staff_name) DO NOTHING;
 
+-- Insert default shift types (the original fixed rota rows plus time-off types)
+INSERT INTO shift_types (name, default_start_time, default_end_time, category, color_code, display_order) VALUES
+    ('Tom Day', '08:00', '20:00', 'work', '#3b82f6', 1),
+    ('Charlotte Day', '08:00', '20:00', 'work', '#10b981', 2),
+    ('Double Up', '08:00', '20:00', 'work', '#f59e0b', 3),
+    ('Tom Night', '20:00', '08:00', 'work', '#6366f1', 4),
+    ('Charlotte Night', '20:00', '08:00', 'work', '#8b5cf6', 5),
+    ('HOLIDAY', '08:00', '20:00', 'holiday', '#28a745', 6),
+    ('SSP', '08:00', '20:00', 'sick', '#17a2b8', 7),
+    ('CSP', '08:00', '20:00', 'sick', '#fd7e14', 8)
+ON CONFLICT (name) DO NOTHING;
+
 -- Insert default settings
 INSERT INTO settings (type_of_setting, value) VALUES
     ('Flat rate for SSP per week', '109.40'),
-    ('Flat rate for CSP', '49')
+    ('Flat rate for CSP', '49'),
+    ('Minimum rest between shifts (hours)', '11'),
+    ('Future periods to keep', '13'),
+    ('Short notice window (hours)', '12')
 ON CONFLICT (type_of_setting) DO NOTHING;
 
+-- Insert default pay rule (the original multipliers: 1.75x solo/training/short notice, 2x call-out/overtime)
+INSERT INTO pay_rules (effective_from, solo_shift_multiplier, training_multiplier, short_notice_multiplier, call_out_multiplier, overtime_multiplier, combine_mode, notes) VALUES
+    ('2000-01-01', 1.75, 1.75, 1.75, 2.00, 2.00, 'max', 'Original multipliers')
+ON CONFLICT (effective_from) DO NOTHING;
+
+-- Insert England and Wales bank holidays (check against https://www.gov.uk/bank-holidays and add later years)
+INSERT INTO bank_holidays (holiday_date, name) VALUES
+    ('2025-01-01', 'New Year''s Day'),
+    ('2025-04-18', 'Good Friday'),
+    ('2025-04-21', 'Easter Monday'),
+    ('2025-05-05', 'Early May bank holiday'),
+    ('2025-05-26', 'Spring bank holiday'),
+    ('2025-08-25', 'Summer bank holiday'),
+    ('2025-12-25', 'Christmas Day'),
+    ('2025-12-26', 'Boxing Day'),
+    ('2026-01-01', 'New Year''s Day'),
+    ('2026-04-03', 'Good Friday'),
+    ('2026-04-06', 'Easter Monday'),
+    ('2026-05-04', 'Early May bank holiday'),
+    ('2026-05-25', 'Spring bank holiday'),
+    ('2026-08-31', 'Summer bank holiday'),
+    ('2026-12-25', 'Christmas Day'),
+    ('2026-12-28', 'Boxing Day (substitute day)'),
+    ('2027-01-01', 'New Year''s Day'),
+    ('2027-03-26', 'Good Friday'),
+    ('2027-03-29', 'Easter Monday'),
+    ('2027-05-03', 'Early May bank holiday'),
+    ('2027-05-31', 'Spring bank holiday'),
+    ('2027-08-30', 'Summer bank holiday'),
+    ('2027-12-27', 'Christmas Day (substitute day)'),
+    ('2027-12-28', 'Boxing Day (substitute day)')
+ON CONFLICT (holiday_date) DO NOTHING;
+
 -- Note: shifts and change_requests tables are intentionally left empty
 -- Only periods, human_resource, holiday_entitlements, and settings tables are populated
 
@@ -1739,12 +3159,18 @@ UNION ALL
 SELECT 
     'periods' as table_name, COUNT(*) as record_count FROM periods
 UNION ALL
+SELECT 
+    'shift_types' as table_name, COUNT(*) as record_count FROM shift_types
+UNION ALL
 SELECT 
     'shifts' as table_name, COUNT(*) as record_count FROM shifts
 UNION ALL
 SELECT 
     'change_requests' as table_name, COUNT(*) as record_count FROM change_requests
 UNION ALL
+SELECT 
+    'rota_templates' as table_name, COUNT(*) as record_count FROM rota_templates
+UNION ALL
 SELECT 
     'unavailable_staff_daily' as table_name, COUNT(*) as record_count FROM unavailable_staff_daily
 UNION ALL
@@ -1752,7 +3178,61 @@ SELECT
     'holiday_entitlements' as table_name, COUNT(*) as record_count FROM holiday_entitlements
 UNION ALL
 SELECT 
-    'settings' as table_name, COUNT(*) as record_count FROM settings;
+    'leave_requests' as table_name, COUNT(*) as record_count FROM leave_requests
+UNION ALL
+SELECT 
+    'shift_swap_requests' as table_name, COUNT(*) as record_count FROM shift_swap_requests
+UNION ALL
+SELECT 
+    'open_shifts' as table_name, COUNT(*) as record_count FROM open_shifts
+UNION ALL
+SELECT 
+    'open_shift_volunteers' as table_name, COUNT(*) as record_count FROM open_shift_volunteers
+UNION ALL
+SELECT 
+    'staffing_rules' as table_name, COUNT(*) as record_count FROM staffing_rules
+UNION ALL
+SELECT 
+    'rota_versions' as table_name, COUNT(*) as record_count FROM rota_versions
+UNION ALL
+SELECT 
+    'rota_operations' as table_name, COUNT(*) as record_count FROM rota_operations
+UNION ALL
+SELECT 
+    'notification_preferences' as table_name, COUNT(*) as record_count FROM notification_preferences
+UNION ALL
+SELECT 
+    'notification_outbox' as table_name, COUNT(*) as record_count FROM notification_outbox
+UNION ALL
+SELECT 
+    'timesheets' as table_name, COUNT(*) as record_count FROM timesheets
+UNION ALL
+SELECT 
+    'kiosk_pins' as table_name, COUNT(*) as record_count FROM kiosk_pins
+UNION ALL
+SELECT 
+    'break_rules' as table_name, COUNT(*) as record_count FROM break_rules
+UNION ALL
+SELECT 
+    'pay_bands' as table_name, COUNT(*) as record_count FROM pay_bands
+UNION ALL
+SELECT 
+    'bank_holidays' as table_name, COUNT(*) as record_count FROM bank_holidays
+UNION ALL
+SELECT 
+    'settings' as table_name, COUNT(*) as record_count FROM settings
+UNION ALL
+SELECT 
+    'pay_rules' as table_name, COUNT(*) as record_count FROM pay_rules
+UNION ALL
+SELECT 
+    'user_accounts' as table_name, COUNT(*) as record_count FROM user_accounts
+UNION ALL
+SELECT 
+    'calendar_feed_tokens' as table_name, COUNT(*) as record_count FROM calendar_feed_tokens
+UNION ALL
+SELECT 
+    'audit_events' as table_name, COUNT(*) as record_count FROM audit_events;
 
 -- Note: shifts and change_requests tables are intentionally empty
 -- Only periods, human_resource, and holiday_entitlements are populated with data
@@ -1803,21 +3283,89 @@ SELECT 'Database Features', 'ACTUAL SCHEMA MATCHING SERVER.JS IMPLEMENTATION';
 
 COMMENT ON TABLE human_resource IS 'Main staff information table with employment details and color coding - ONLY USED COLUMNS';
 COMMENT ON TABLE periods IS 'Work periods for organizing schedules into manageable chunks';
+COMMENT ON COLUMN periods.is_active IS 'false = archived period (kept with its shifts, listed separately in the period selector)';
+COMMENT ON TABLE shift_types IS 'Configurable shift type catalogue - work types become rota rows, holiday/sick types use the Time-Off row';
 COMMENT ON TABLE shifts IS 'Staff shift assignments with comprehensive flags and validation - uses shift_start_datetime and shift_end_datetime';
 COMMENT ON TABLE change_requests IS 'Complete audit trail for all staff changes with effective dates - RENAMED FROM human_resource_history';
+COMMENT ON TABLE rota_templates IS 'Named rota templates saved from a period or week, applied to new periods with POST /api/rota-templates/:id/apply';
+COMMENT ON TABLE rota_template_shifts IS 'Shifts of a rota template - day_offset N lands on day N of the target period, repeating every cycle_days';
+COMMENT ON TABLE rota_template_patterns IS 'Rolling shift patterns per staff member (days_on working days then days_off rest days from cycle_start_date)';
 COMMENT ON TABLE unavailable_staff_daily IS 'Stores information about staff members unavailable for a specific period and date';
 COMMENT ON TABLE holiday_entitlements IS 'Holiday entitlement tracking per UK financial year with dynamic usage calculation';
+COMMENT ON TABLE leave_requests IS 'Holiday requests submitted by staff - approving creates the HOLIDAY shifts, cancelling an approved request removes them';
+COMMENT ON TABLE open_shifts IS 'Uncovered shifts published for staff to volunteer for - filling one creates the shift for the chosen volunteer';
+COMMENT ON TABLE open_shift_volunteers IS 'Staff members who volunteered for an open shift';
+COMMENT ON TABLE staffing_rules IS 'Minimum (and optional maximum) headcount per shift type and day of week - compared with shifts by the coverage report';
+COMMENT ON TABLE rota_versions IS 'Published versions of a period''s rota - a frozen snapshot of its shifts per publish, compared by the version diff';
+COMMENT ON TABLE rota_operations IS 'Log of rota edits with the shift rows before and after each one - undo restores before_shifts, redo restores after_shifts';
+COMMENT ON TABLE notification_preferences IS 'Email notification settings per staff member - address, on/off, immediate or daily digest and muted event types';
+COMMENT ON TABLE notification_outbox IS 'Email notifications queued with the change they describe and sent over SMTP by the notification worker';
+COMMENT ON TABLE timesheets IS 'Actual start and end times of shifts from the kiosk or a team leader - approved timesheets replace the rota times for pay';
+COMMENT ON TABLE kiosk_pins IS 'Kiosk clock-in PINs per staff member - only a scrypt hash is stored, locked for a while after repeated wrong PINs';
+COMMENT ON TABLE break_rules IS 'Unpaid break minutes deducted from paid hours of work shifts longer than min_shift_hours, per shift type or for all work shifts';
+COMMENT ON TABLE pay_bands IS 'Time-band pay premiums (nights, weekends, bank holidays) for the hours of a work shift inside the band, in Europe/London time';
+COMMENT ON TABLE bank_holidays IS 'Bank holiday calendar used by pay bands with bank_holiday = true';
+COMMENT ON TABLE shift_swap_requests IS 'Shift swaps between staff - offered, accepted with a shift in return, then approved (staff_name swapped on both shifts) or rejected by a team leader';
+COMMENT ON TABLE pay_rules IS 'Shift flag pay multipliers with effective dates - the rule in force on the shift date is used for pay';
+COMMENT ON TABLE user_accounts IS 'Login accounts for staff members - permissions follow human_resource.role, is_admin grants admin routes';
+COMMENT ON TABLE user_sessions IS 'Login sessions - the session cookie token is stored as a SHA-256 hash';
+COMMENT ON TABLE calendar_feed_tokens IS 'Per-staff calendar feed links - the ?token= of GET /api/calendar/:staffId.ics is stored as a SHA-256 hash';
+COMMENT ON TABLE audit_events IS 'Append-only audit trail of shift, flag, notes, unavailability, pay rule and settings changes with before/after values';
 
 COMMENT ON COLUMN shifts.shift_start_datetime IS 'Start datetime of the shift (TIMESTAMPTZ)';
 COMMENT ON COLUMN shifts.shift_end_datetime IS 'End datetime of the shift (TIMESTAMPTZ)';
-COMMENT ON COLUMN shifts.call_out IS 'Call-out flag for 2x pay multiplier';
-COMMENT ON COLUMN shifts.overtime IS 'Overtime flag for 1.5x pay multiplier';
-COMMENT ON COLUMN shifts.shift_type IS 'Type of shift: regular shifts (Tom Day, Charlotte Day, etc.), HOLIDAY, SSP (Sick Pay), or CSP (Company Sick Pay)';
+COMMENT ON COLUMN shifts.call_out IS 'Call-out flag - pay multiplier from pay_rules (default 2x)';
+COMMENT ON COLUMN shifts.overtime IS 'Overtime flag - pay multiplier from pay_rules (default 2x)';
+COMMENT ON COLUMN shifts.shift_type IS 'Type of shift - references shift_types.name (e.g. Tom Day, Charlotte Day, HOLIDAY, SSP, CSP)';
+COMMENT ON COLUMN shifts.leave_request_id IS 'Leave request whose approval created this HOLIDAY shift - cancelling the request removes it (NULL for shifts added on the rota)';
+COMMENT ON COLUMN shifts.version IS 'Row version (1 when created, +1 per update) - edits sent with an older version get 409 Conflict';
+COMMENT ON COLUMN shift_types.category IS 'work = rota row, holiday = counts against holiday entitlement, sick = SSP/CSP style sick leave';
+COMMENT ON COLUMN shift_types.display_order IS 'Order of the shift type rows in the rota grid';
 COMMENT ON COLUMN human_resource.color_code IS 'Hex color code for staff identification in UI';
+COMMENT ON COLUMN human_resource.version IS 'Row version (1 when created, +1 per update) - edits sent with an older version get 409 Conflict';
+COMMENT ON COLUMN change_requests.changed_by IS 'Username of the signed-in account that made the change';
 COMMENT ON COLUMN change_requests.effective_from_date IS 'When the change becomes effective (for future-dated changes)';
+COMMENT ON COLUMN rota_templates.cycle_days IS 'Length of the template in days - 28 for a saved period, 7 for a saved week';
+COMMENT ON COLUMN rota_template_patterns.cycle_start_date IS 'First working day of the cycle - the pattern runs forwards and backwards from this date';
 COMMENT ON COLUMN unavailable_staff_daily.date IS 'Specific date for unavailability';
 COMMENT ON COLUMN unavailable_staff_daily.unavailable IS 'Comma-separated list of staff names who are unavailable';
 COMMENT ON COLUMN unavailable_staff_daily.notes IS 'Additional notes regarding staff unavailability';
+COMMENT ON COLUMN unavailable_staff_daily.version IS 'Row version (1 when created, +1 per update) - a date with no row is version 0';
+COMMENT ON COLUMN leave_requests.hours_requested IS 'Holiday hours requested - defaults to 12 hours per day in the date range';
+COMMENT ON COLUMN leave_requests.decided_by IS 'Username of the team leader who approved or rejected the request';
+COMMENT ON COLUMN shift_swap_requests.offered_by IS 'Staff member who held offered_shift_id when it was offered (keeps the original holder after the swap)';
+COMMENT ON COLUMN shift_swap_requests.accepted_by IS 'Staff member who accepted the offer and gives accepted_shift_id in return';
+COMMENT ON COLUMN shift_swap_requests.decided_by IS 'Username of the team leader who approved or rejected the swap';
+COMMENT ON COLUMN open_shifts.filled_shift_id IS 'Shift created for the chosen volunteer (short_notice set when it starts within the short notice window)';
+COMMENT ON COLUMN open_shifts.created_by IS 'Username of the team leader who published the open shift';
+COMMENT ON COLUMN staffing_rules.day_of_week IS 'ISO day of week (1 = Monday .. 7 = Sunday) - NULL applies every day unless a rule for that day exists';
+COMMENT ON COLUMN staffing_rules.min_non_training IS 'Minimum number of the shift''s staff who are not on a training shift';
+COMMENT ON COLUMN periods.status IS 'draft = work shifts hidden from staff members until the rota is published, published = visible (later edits are tracked against the latest rota_versions snapshot)';
+COMMENT ON COLUMN rota_versions.shifts IS 'Snapshot of the period''s shifts when published (id, staff, type, times, pay flags and notes)';
+COMMENT ON COLUMN rota_versions.published_by IS 'Username of the team leader who published the version';
+COMMENT ON COLUMN rota_operations.before_shifts IS 'Shift rows the edit changed or deleted, as they were before it (empty for shifts it created)';
+COMMENT ON COLUMN rota_operations.after_shifts IS 'Shift rows the edit created or changed, as they were after it (undo is refused when a later edit changed them)';
+COMMENT ON COLUMN rota_operations.session_token_hash IS 'Hash of the login session that made the edit - the rota grid''s undo stack is per session';
+COMMENT ON COLUMN rota_operations.group_key IS 'X-Rota-Operation-Group header sent with the edit - later edits of the session with the same key join this operation (bulk delete is undone as one)';
+COMMENT ON COLUMN notification_preferences.digest IS 'immediate = sent after the batching window (NOTIFICATION_BATCH_SECONDS), daily = one email a day at NOTIFICATION_DIGEST_HOUR';
+COMMENT ON COLUMN notification_preferences.muted_event_types IS 'Event types the staff member does not want emails for (their notifications are marked skipped)';
+COMMENT ON COLUMN notification_outbox.status IS 'pending (waiting or retrying), sent, failed (gave up after max attempts) or skipped (no address, email off or event muted)';
+COMMENT ON COLUMN timesheets.status IS 'open (clocked in), submitted (waiting for approval), approved (actual times paid) or rejected (rota times paid)';
+COMMENT ON COLUMN timesheets.clock_in_source IS 'kiosk = clocked in with a PIN on kiosk.html, manual = entered by a team leader';
+COMMENT ON COLUMN break_rules.shift_type IS 'Work shift type the rule applies to - NULL applies to every shift type without rules of its own';
+COMMENT ON COLUMN break_rules.min_shift_hours IS 'The rule applies to shifts longer than this - the rule with the highest value below the shift length wins';
+COMMENT ON COLUMN break_rules.paid_flags IS 'Shift flags (e.g. solo_shift) that make the break paid - nothing is deducted from those shifts';
+COMMENT ON COLUMN pay_bands.day_of_week IS 'ISO day of week the band starts on (1 = Monday .. 7 = Sunday) - NULL every day (or bank holidays only when bank_holiday is true)';
+COMMENT ON COLUMN pay_bands.end_time IS 'Wall-clock end time - at or before start_time runs into the next day (00:00-00:00 is the whole day)';
+COMMENT ON COLUMN pay_bands.premium IS 'multiplier: rate multiplier for the band hours (1.5 = time-and-a-half); per_hour: pounds added per band hour';
+COMMENT ON COLUMN notification_outbox.next_attempt_at IS 'Earliest time the worker sends the notification - end of the batching window, then the retry delay after a failed send';
+COMMENT ON COLUMN pay_rules.effective_from IS 'Date the rule comes into force - applies until the next rule''s effective_from';
+COMMENT ON COLUMN pay_rules.combine_mode IS 'max = highest flag multiplier applies, stack = flag premiums are added (e.g. 1.75x + 2x = 2.75x)';
+COMMENT ON COLUMN user_accounts.password_hash IS 'scrypt password hash with a random salt (scrypt:<salt>:<hash>)';
+COMMENT ON COLUMN user_accounts.is_admin IS 'Admin accounts can also use destructive and maintenance routes (clear shifts, migrations, user accounts)';
+COMMENT ON COLUMN audit_events.actor_username IS 'Username of the signed-in account that made the change (system for background jobs)';
+COMMENT ON COLUMN audit_events.entity_date IS 'Date the change applies to (shift date, unavailability date, pay rule effective date)';
+COMMENT ON COLUMN audit_events.reason IS 'Optional reason supplied with the change (reason field or X-Audit-Reason header)';
 
 COMMENT ON FUNCTION calculate_holiday_entitlement IS 'Calculates statutory holiday entitlement based on contracted hours (5.6 weeks * hours/12, rounded up to nearest full day)';
 COMMENT ON FUNCTION get_holiday_year_dates IS 'Returns the current holiday year start and end dates (April 6th to April 5th)';
@@ -1830,14 +3378,38 @@ COMMENT ON FUNCTION update_all_holiday_entitlement_usage IS 'Updates holiday usa
 COMMENT ON FUNCTION create_new_financial_year_entitlements IS 'Creates new holiday entitlements for all active staff for the current financial year - call annually on April 6th';
 COMMENT ON FUNCTION check_and_renew_holiday_entitlements IS 'Automatically checks for financial year end flags in shifts table and creates new holiday entitlements for next financial year';
 COMMENT ON FUNCTION trigger_holiday_entitlement_renewal IS 'Trigger function that automatically creates new holiday entitlements when financial_year_end flag is set on shifts';
+COMMENT ON FUNCTION live_update_payload IS 'Builds the live_updates notification for a changed shifts, unavailable_staff_daily, human_resource or settings row';
+COMMENT ON FUNCTION trigger_notify_live_update IS 'Trigger function that sends changed rows on the live_updates channel - the server pushes them to open rota grids over Server-Sent Events';
+COMMENT ON FUNCTION increment_row_version IS 'Trigger function that adds one to the row''s version on every update - used for If-Match checks on shifts, staff and unavailability';
 
 COMMENT ON FUNCTION uuid_human_resource IS 'Generates deterministic UUID for human_resource table based on staff_name. Used for database synchronization.';
 COMMENT ON FUNCTION uuid_period IS 'Generates deterministic UUID for periods table based on period_name and start_date. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_shift_type IS 'Generates deterministic UUID for shift_types table based on name. Used for database synchronization.';
 COMMENT ON FUNCTION uuid_shift IS 'Generates deterministic UUID for shifts table based on period_id, staff_name, shift_start_datetime, and shift_type. Used for database synchronization.';
 COMMENT ON FUNCTION uuid_change_request IS 'Generates deterministic UUID for change_requests table based on staff_id, change_type, field_name, and changed_at. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_rota_template IS 'Generates deterministic UUID for rota_templates table based on template_name. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_rota_template_shift IS 'Generates deterministic UUID for rota_template_shifts table based on template_id, day_offset, staff_name, shift_type and start_time. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_rota_template_pattern IS 'Generates deterministic UUID for rota_template_patterns table based on template_id, staff_name, shift_type and cycle_start_date. Used for database synchronization.';
 COMMENT ON FUNCTION uuid_setting IS 'Generates deterministic UUID for settings table based on type_of_setting. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_pay_rule IS 'Generates deterministic UUID for pay_rules table based on effective_from. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_user_account IS 'Generates deterministic UUID for user_accounts table based on username. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_user_session IS 'Generates deterministic UUID for user_sessions table based on token_hash. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_calendar_feed_token IS 'Generates deterministic UUID for calendar_feed_tokens table based on staff_id. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_audit_event IS 'Generates deterministic UUID for audit_events table based on entity_type, entity_id, action, occurred_at and the before/after values. Used for database synchronization.';
 COMMENT ON FUNCTION uuid_unavailable_staff_daily IS 'Generates deterministic UUID for unavailable_staff_daily table based on period_id and date. Used for database synchronization.';
 COMMENT ON FUNCTION uuid_holiday_entitlement IS 'Generates deterministic UUID for holiday_entitlements table based on staff_id and holiday_year_start. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_leave_request IS 'Generates deterministic UUID for leave_requests table based on staff_id, start_date, end_date and created_at. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_shift_swap_request IS 'Generates deterministic UUID for shift_swap_requests table based on offered_shift_id and created_at. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_open_shift IS 'Generates deterministic UUID for open_shifts table based on period_id, shift_type, shift_start_datetime and created_at. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_open_shift_volunteer IS 'Generates deterministic UUID for open_shift_volunteers table based on open_shift_id and staff_name. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_staffing_rule IS 'Generates deterministic UUID for staffing_rules table based on shift_type and day_of_week. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_rota_version IS 'Generates deterministic UUID for rota_versions table based on period_id and version_number. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_rota_operation IS 'Generates deterministic UUID for rota_operations table based on actor_username, operation_type and created_at. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_notification IS 'Generates deterministic UUID for notification_outbox table based on staff_id, event_type, created_at and payload. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_timesheet IS 'Generates deterministic UUID for timesheets table based on shift_id. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_break_rule IS 'Generates deterministic UUID for break_rules table based on shift_type and min_shift_hours. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_pay_band IS 'Generates deterministic UUID for pay_bands table based on name. Used for database synchronization.';
+COMMENT ON FUNCTION uuid_bank_holiday IS 'Generates deterministic UUID for bank_holidays table based on holiday_date. Used for database synchronization.';
 
 -- =====================================================
 -- 13. PRODUCTION RECOMMENDATIONS
@@ -1914,7 +3486,7 @@ FEATURES INCLUDED (ONLY ACTUALLY USED):
 - Historical data tracking (change_requests table)
 - Performance optimized indexes
 - Automatic data validation
-- Pay calculation support (1.5x overtime, 2x call-out)
+- Pay calculation support (flag multipliers from pay_rules)
 - Dynamic holiday usage calculation from shifts
 - SSP and CSP pay calculation support
 - ACTUAL SCHEMA MATCHING SERVER.JS IMPLEMENTATION
@@ -1922,12 +3494,31 @@ FEATURES INCLUDED (ONLY ACTUALLY USED):
 - Deterministic UUID generation (UUID v5) for perfect database synchronization
 - Logical replication support (REPLICA IDENTITY FULL)
 - Automatic deterministic UUID triggers (no code changes needed)
+- Configurable shift type catalogue (shift_types table, no schema change for new types)
+- Configurable pay multipliers with effective dates (pay_rules table)
+- Login accounts and sessions with role-based API permissions (user_accounts, user_sessions tables)
+- Append-only audit trail with acting user and before/after values (audit_events table)
+- Holiday request workflow - pending, approved (creates HOLIDAY shifts), rejected, cancelled (leave_requests table)
+- Shift swap workflow - offered, accepted, approved (staff swapped on both shifts) or rejected (shift_swap_requests table)
+- Open shift board - uncovered shifts staff volunteer for; filling one sets short_notice inside the 'Short notice window (hours)' setting (open_shifts, open_shift_volunteers tables)
+- Minimum staffing rules per shift type and day of week with a period coverage gap report (staffing_rules table)
+- Draft and published rotas - publishing freezes a numbered snapshot, later edits and any two versions can be compared (periods.status, rota_versions table)
+- Server-side undo and redo of rota edits, grouped per operation with conflict checks against later edits (rota_operations table)
+- Live rota updates - shift, unavailability, staff and settings changes announced on the 'live_updates' channel and pushed to open rota grids (trigger_notify_live_update)
+- Optimistic concurrency - shifts, staff and unavailability rows carry a version checked against If-Match, stale edits get 409 Conflict (increment_row_version)
+- Email notifications - shift, flag, holiday entitlement and change request events queued in an outbox and sent over SMTP with retries, per-staff preferences and digests (notification_outbox, notification_preferences tables)
+- Timesheets - actual clock-in/clock-out per shift from a PIN kiosk or a team leader, variance against the rota and approval; approved actual hours are used for pay (timesheets, kiosk_pins tables)
+- Unpaid break rules per shift type or shift length (paid on flagged shifts, e.g. solo) deducted from paid hours; paid and unpaid hours reported separately (break_rules table)
+- Time-band premiums - night, weekend and bank holiday bands (multiplier or per hour) split across Europe/London local time including DST changeovers (pay_bands, bank_holidays tables)
+- Rota templates and rolling shift patterns applied to new periods (rota_templates, rota_template_shifts, rota_template_patterns tables)
+- Per-staff iCalendar shift feeds protected by a revocable link token (calendar_feed_tokens table)
+- Period management API with overlap checks, archiving and a rolling horizon of generated future periods ('Future periods to keep' setting)
 
 SSP AND CSP PAY CALCULATION FEATURES:
 - SSP (Statutory Sick Pay) calculation: Flat rate per week ÷ (Contracted hours ÷ 12)
 - CSP (Company Sick Pay) calculation: Flat rate from settings table
 - Settings table stores: 'Flat rate for SSP per week' (£109.40) and 'Flat rate for CSP' (£49.00)
-- Shift types: 'SSP' and 'CSP' added to shifts.shift_type constraint
+- Shift types: 'SSP' and 'CSP' seeded in shift_types with category 'sick'
 - Frontend automatically calculates correct pay based on shift type
 - API endpoints return proper success/data format for settings and staff data
 */
\ No newline at end of file
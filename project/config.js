@@ -81,8 +81,52 @@ const uuidConfig = {
   deterministicEnabled: process.env.DETERMINISTIC_UUID_ENABLED !== 'false',  // Default: true
 };
 
+// Authentication configuration
+// You can override these settings with environment variables:
+// CORS_ORIGINS, SESSION_TTL_HOURS, SESSION_COOKIE_SECURE
+const authConfig = {
+  // Origins allowed to call the API from a browser (comma-separated)
+  corsOrigins: (process.env.CORS_ORIGINS || 'http://localhost:3001,http://127.0.0.1:3001')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean),
+  
+  // Session cookie settings
+  sessionCookieName: 'rota_session',
+  sessionTtlHours: parseInt(process.env.SESSION_TTL_HOURS) || 12,  // Sessions expire after this many hours
+  secureCookies: process.env.SESSION_COOKIE_SECURE === 'true',  // Set to true when served over HTTPS
+  
+  // Minimum password length for user accounts
+  minPasswordLength: 8,
+};
+
+// Notification email configuration
+// You can override these settings with environment variables:
+// SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD, NOTIFICATION_FROM,
+// NOTIFICATION_BATCH_SECONDS, NOTIFICATION_DIGEST_HOUR, NOTIFICATION_MAX_ATTEMPTS
+// For local testing point SMTP_HOST/SMTP_PORT at an SMTP stand-in such as Mailpit or MailHog (localhost:1025)
+const notificationConfig = {
+  // SMTP relay - notifications stay queued in notification_outbox while no host is set
+  smtp: {
+    host: process.env.SMTP_HOST || '',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',  // true = TLS from the start (port 465), false = STARTTLS when offered
+    user: process.env.SMTP_USER || '',
+    password: process.env.SMTP_PASSWORD || '',
+  },
+  from: process.env.NOTIFICATION_FROM || 'Staff Rota <rota@localhost>',
+  
+  // Delivery settings
+  batchSeconds: parseInt(process.env.NOTIFICATION_BATCH_SECONDS) || 120,  // Changes within this window are sent as one email
+  digestHour: parseInt(process.env.NOTIFICATION_DIGEST_HOUR) || 18,  // London hour the daily digest is sent
+  maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5,  // Give up (status 'failed') after this many failed sends
+  retryDelayMinutes: [1, 5, 15, 60, 240],  // Delay before each retry (the last value repeats)
+};
+
 module.exports = {
   db: dbConfig,
   replication: replicationConfig,
   uuid: uuidConfig,
+  auth: authConfig,
+  notifications: notificationConfig,
 }; 
\ No newline at end of file
@@ -0,0 +1,152 @@
+-- =====================================================
+-- Migration 009: Add Shift Types Table
+-- =====================================================
+-- This migration replaces the hard-coded shifts.shift_type CHECK constraint
+-- with a configurable shift_types catalogue.
+--
+-- Each shift type has a name, default start/end times, a category
+-- ('work', 'holiday' or 'sick') and a colour. Work types become rows in the
+-- rota grid; holiday and sick types are shown in the Time-Off row.
+--
+-- shifts.shift_type now references shift_types(name), so new shift types
+-- can be added through /api/shift-types without a schema change.
+-- =====================================================
+
+-- Create shift_types table
+CREATE TABLE IF NOT EXISTS shift_types (
+    shift_type_id UUID PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    default_start_time TIME NOT NULL DEFAULT '08:00',
+    default_end_time TIME NOT NULL DEFAULT '20:00',
+    category TEXT NOT NULL DEFAULT 'work' CHECK (category IN ('work', 'holiday', 'sick')),
+    color_code VARCHAR(7) DEFAULT '#3b82f6',
+    display_order INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+ALTER TABLE shift_types REPLICA IDENTITY FULL;
+
+CREATE INDEX IF NOT EXISTS idx_shift_types_category ON shift_types(category);
+CREATE INDEX IF NOT EXISTS idx_shift_types_display_order ON shift_types(display_order);
+
+-- Shift Type UUID generation
+-- Natural key: name (unique)
+CREATE OR REPLACE FUNCTION uuid_shift_type(name TEXT)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Use name as the seed (it's unique)
+    seed_value := 'shift_type:' || COALESCE(name, '');
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_shift_type IS 'Generates deterministic UUID for shift_types table based on name. Used for database synchronization.';
+
+-- Trigger function to automatically generate deterministic UUID for shift_types
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_shift_types()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.shift_type_id IS NULL THEN
+        NEW.shift_type_id := uuid_shift_type(NEW.name);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_shift_types ON shift_types;
+
+CREATE TRIGGER trigger_deterministic_uuid_shift_types
+    BEFORE INSERT ON shift_types
+    FOR EACH ROW
+    WHEN (NEW.shift_type_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_shift_types();
+
+DROP TRIGGER IF EXISTS update_shift_types_updated_at ON shift_types;
+
+CREATE TRIGGER update_shift_types_updated_at
+    BEFORE UPDATE ON shift_types
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Seed the original hard-coded shift types
+INSERT INTO shift_types (name, default_start_time, default_end_time, category, color_code, display_order) VALUES
+    ('Tom Day', '08:00', '20:00', 'work', '#3b82f6', 1),
+    ('Charlotte Day', '08:00', '20:00', 'work', '#10b981', 2),
+    ('Double Up', '08:00', '20:00', 'work', '#f59e0b', 3),
+    ('Tom Night', '20:00', '08:00', 'work', '#6366f1', 4),
+    ('Charlotte Night', '20:00', '08:00', 'work', '#8b5cf6', 5),
+    ('HOLIDAY', '08:00', '20:00', 'holiday', '#28a745', 6),
+    ('SSP', '08:00', '20:00', 'sick', '#17a2b8', 7),
+    ('CSP', '08:00', '20:00', 'sick', '#fd7e14', 8)
+ON CONFLICT (name) DO NOTHING;
+
+-- Add any shift types already used in shifts that are not in the catalogue
+-- (so the foreign key below can be created on existing data)
+INSERT INTO shift_types (name, category, display_order)
+SELECT DISTINCT s.shift_type, 'work', 100
+FROM shifts s
+WHERE NOT EXISTS (SELECT 1 FROM shift_types st WHERE st.name = s.shift_type)
+ON CONFLICT (name) DO NOTHING;
+
+-- Replace the hard-coded CHECK constraint with a foreign key to shift_types
+ALTER TABLE shifts DROP CONSTRAINT IF EXISTS shifts_shift_type_check;
+ALTER TABLE shifts DROP CONSTRAINT IF EXISTS shifts_shift_type_fkey;
+
+ALTER TABLE shifts
+    ADD CONSTRAINT shifts_shift_type_fkey
+    FOREIGN KEY (shift_type) REFERENCES shift_types(name) ON UPDATE CASCADE;
+
+COMMENT ON TABLE shift_types IS 'Configurable shift type catalogue - work types become rota rows, holiday/sick types use the Time-Off row';
+COMMENT ON COLUMN shifts.shift_type IS 'Type of shift - references shift_types.name (e.g. Tom Day, Charlotte Day, HOLIDAY, SSP, CSP)';
+COMMENT ON COLUMN shift_types.category IS 'work = rota row, holiday = counts against holiday entitlement, sick = SSP/CSP style sick leave';
+COMMENT ON COLUMN shift_types.display_order IS 'Order of the shift type rows in the rota grid';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the table was created and seeded successfully
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'shift_types'
+    ) THEN
+        RAISE NOTICE '✅ Migration 009: shift_types table created successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 009: Table shift_types not found';
+    END IF;
+END $$;
+
+-- Verify the CHECK constraint was replaced by the foreign key
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM pg_constraint
+        WHERE conname = 'shifts_shift_type_fkey'
+        AND conrelid = 'shifts'::regclass
+    ) THEN
+        RAISE NOTICE '✅ Migration 009: shifts.shift_type now references shift_types(name)';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 009: Foreign key shifts_shift_type_fkey not found';
+    END IF;
+END $$;
+
+-- Show shift types for verification
+SELECT
+    name,
+    category,
+    default_start_time,
+    default_end_time,
+    color_code,
+    display_order
+FROM shift_types
+ORDER BY display_order, name;
@@ -0,0 +1,43 @@
+-- =====================================================
+-- Migration 010: Add Minimum Rest Setting
+-- =====================================================
+-- Shift saves are now checked for conflicts before they are committed:
+--   - overlapping shifts for the same staff member
+--   - less than the minimum rest between consecutive work shifts
+--   - staff marked unavailable on the day of the shift
+--
+-- The minimum rest gap is configurable from the Settings tab and stored
+-- in the settings table. Default is 11 hours (Working Time Regulations).
+-- =====================================================
+
+INSERT INTO settings (type_of_setting, value) VALUES
+    ('Minimum rest between shifts (hours)', '11')
+ON CONFLICT (type_of_setting) DO NOTHING;
+
+-- Speeds up the per-staff overlap and rest gap lookups
+CREATE INDEX IF NOT EXISTS idx_shifts_staff_name_start ON shifts(staff_name, shift_start_datetime);
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the setting was added successfully
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM settings
+        WHERE type_of_setting = 'Minimum rest between shifts (hours)'
+    ) THEN
+        RAISE NOTICE '✅ Migration 010: Minimum rest setting added successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 010: Minimum rest setting not found';
+    END IF;
+END $$;
+
+-- Show settings for verification
+SELECT
+    type_of_setting,
+    value
+FROM settings
+ORDER BY type_of_setting;
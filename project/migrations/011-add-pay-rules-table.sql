@@ -0,0 +1,117 @@
+-- =====================================================
+-- Migration 011: Add Pay Rules Table
+-- =====================================================
+-- This migration moves the hard-coded shift flag multipliers
+-- (1.75x solo / training / short notice, 2x call-out / overtime)
+-- into a pay_rules table edited from the Settings tab.
+--
+-- Each rule has a multiplier per flag, a combine mode and an
+-- effective_from date. Pay for a shift uses the rule with the latest
+-- effective_from on or before the shift date, so historical pay stays
+-- correct after a rule change.
+--
+-- combine_mode:
+--   'max'   - the highest multiplier of the flags set applies (original behaviour)
+--   'stack' - the premiums are added together (1.75x + 2x = 2.75x)
+-- =====================================================
+
+-- Create pay_rules table
+CREATE TABLE IF NOT EXISTS pay_rules (
+    pay_rule_id UUID PRIMARY KEY,
+    effective_from DATE NOT NULL UNIQUE,
+    solo_shift_multiplier NUMERIC(4,2) NOT NULL DEFAULT 1.75 CHECK (solo_shift_multiplier >= 1),
+    training_multiplier NUMERIC(4,2) NOT NULL DEFAULT 1.75 CHECK (training_multiplier >= 1),
+    short_notice_multiplier NUMERIC(4,2) NOT NULL DEFAULT 1.75 CHECK (short_notice_multiplier >= 1),
+    call_out_multiplier NUMERIC(4,2) NOT NULL DEFAULT 2.00 CHECK (call_out_multiplier >= 1),
+    overtime_multiplier NUMERIC(4,2) NOT NULL DEFAULT 2.00 CHECK (overtime_multiplier >= 1),
+    combine_mode TEXT NOT NULL DEFAULT 'max' CHECK (combine_mode IN ('max', 'stack')),
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+ALTER TABLE pay_rules REPLICA IDENTITY FULL;
+
+CREATE INDEX IF NOT EXISTS idx_pay_rules_effective_from ON pay_rules(effective_from);
+
+-- Pay Rule UUID generation
+-- Natural key: effective_from (unique)
+CREATE OR REPLACE FUNCTION uuid_pay_rule(effective_from DATE)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Use effective_from as the seed (it's unique)
+    seed_value := 'pay_rule:' || COALESCE(effective_from::TEXT, '');
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_pay_rule IS 'Generates deterministic UUID for pay_rules table based on effective_from. Used for database synchronization.';
+
+-- Trigger function to automatically generate deterministic UUID for pay_rules
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_pay_rules()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.pay_rule_id IS NULL THEN
+        NEW.pay_rule_id := uuid_pay_rule(NEW.effective_from);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_pay_rules ON pay_rules;
+
+CREATE TRIGGER trigger_deterministic_uuid_pay_rules
+    BEFORE INSERT ON pay_rules
+    FOR EACH ROW
+    WHEN (NEW.pay_rule_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_pay_rules();
+
+DROP TRIGGER IF EXISTS update_pay_rules_updated_at ON pay_rules;
+
+CREATE TRIGGER update_pay_rules_updated_at
+    BEFORE UPDATE ON pay_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Seed the original hard-coded multipliers, effective for all existing shifts
+INSERT INTO pay_rules (effective_from, solo_shift_multiplier, training_multiplier, short_notice_multiplier, call_out_multiplier, overtime_multiplier, combine_mode, notes) VALUES
+    ('2000-01-01', 1.75, 1.75, 1.75, 2.00, 2.00, 'max', 'Original multipliers')
+ON CONFLICT (effective_from) DO NOTHING;
+
+COMMENT ON TABLE pay_rules IS 'Shift flag pay multipliers with effective dates - the rule in force on the shift date is used for pay';
+COMMENT ON COLUMN pay_rules.effective_from IS 'Date the rule comes into force - applies until the next rule''s effective_from';
+COMMENT ON COLUMN pay_rules.combine_mode IS 'max = highest flag multiplier applies, stack = flag premiums are added (e.g. 1.75x + 2x = 2.75x)';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the table was created and seeded successfully
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM pay_rules
+        WHERE effective_from = '2000-01-01'
+    ) THEN
+        RAISE NOTICE '✅ Migration 011: pay_rules table created and seeded successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 011: Default pay rule not found';
+    END IF;
+END $$;
+
+-- Show pay rules for verification
+SELECT
+    effective_from,
+    solo_shift_multiplier,
+    training_multiplier,
+    short_notice_multiplier,
+    call_out_multiplier,
+    overtime_multiplier,
+    combine_mode
+FROM pay_rules
+ORDER BY effective_from;
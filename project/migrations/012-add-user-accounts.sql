@@ -0,0 +1,165 @@
+-- =====================================================
+-- Migration 012: Add User Accounts and Sessions
+-- =====================================================
+-- This migration adds login accounts for staff members and the sessions
+-- used by the API permission checks.
+--
+-- Each account belongs to one human_resource record. Permissions follow
+-- human_resource.role:
+--   'team leader'  - can edit rotas, pay rates and settings
+--   'staff member' - can only read their own shifts, entitlements and pay
+-- is_admin additionally allows destructive and maintenance routes
+-- (DELETE /api/shifts/clear, /api/migrate/*, user account management).
+--
+-- Passwords are hashed by the server (scrypt). Sessions store a SHA-256
+-- hash of the session cookie token, never the token itself.
+--
+-- The first admin account is created from the login page while no
+-- accounts exist (POST /api/auth/setup).
+-- =====================================================
+
+-- Create user_accounts table
+CREATE TABLE IF NOT EXISTS user_accounts (
+    account_id UUID PRIMARY KEY,
+    staff_id UUID NOT NULL UNIQUE REFERENCES human_resource(unique_id) ON DELETE CASCADE,
+    username TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    is_admin BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    last_login_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+-- Create user_sessions table
+CREATE TABLE IF NOT EXISTS user_sessions (
+    session_id UUID PRIMARY KEY,
+    account_id UUID NOT NULL REFERENCES user_accounts(account_id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+ALTER TABLE user_accounts REPLICA IDENTITY FULL;
+ALTER TABLE user_sessions REPLICA IDENTITY FULL;
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_account_id ON user_sessions(account_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_expires_at ON user_sessions(expires_at);
+
+-- User Account UUID generation
+-- Natural key: username (unique)
+CREATE OR REPLACE FUNCTION uuid_user_account(username TEXT)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Use username as the seed (it's unique)
+    seed_value := 'user_account:' || COALESCE(username, '');
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_user_account IS 'Generates deterministic UUID for user_accounts table based on username. Used for database synchronization.';
+
+-- User Session UUID generation
+-- Natural key: token_hash (unique)
+CREATE OR REPLACE FUNCTION uuid_user_session(token_hash TEXT)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Use token_hash as the seed (it's unique)
+    seed_value := 'user_session:' || COALESCE(token_hash, '');
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_user_session IS 'Generates deterministic UUID for user_sessions table based on token_hash. Used for database synchronization.';
+
+-- Trigger function to automatically generate deterministic UUID for user_accounts
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_user_accounts()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.account_id IS NULL THEN
+        NEW.account_id := uuid_user_account(NEW.username);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for user_sessions
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_user_sessions()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.session_id IS NULL THEN
+        NEW.session_id := uuid_user_session(NEW.token_hash);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_user_accounts ON user_accounts;
+
+CREATE TRIGGER trigger_deterministic_uuid_user_accounts
+    BEFORE INSERT ON user_accounts
+    FOR EACH ROW
+    WHEN (NEW.account_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_user_accounts();
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_user_sessions ON user_sessions;
+
+CREATE TRIGGER trigger_deterministic_uuid_user_sessions
+    BEFORE INSERT ON user_sessions
+    FOR EACH ROW
+    WHEN (NEW.session_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_user_sessions();
+
+DROP TRIGGER IF EXISTS update_user_accounts_updated_at ON user_accounts;
+
+CREATE TRIGGER update_user_accounts_updated_at
+    BEFORE UPDATE ON user_accounts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE user_accounts IS 'Login accounts for staff members - permissions follow human_resource.role, is_admin grants admin routes';
+COMMENT ON TABLE user_sessions IS 'Login sessions - the session cookie token is stored as a SHA-256 hash';
+COMMENT ON COLUMN user_accounts.password_hash IS 'scrypt password hash with a random salt (scrypt:<salt>:<hash>)';
+COMMENT ON COLUMN user_accounts.is_admin IS 'Admin accounts can also use destructive and maintenance routes (clear shifts, migrations, user accounts)';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the tables were created successfully
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'user_accounts'
+    ) AND EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'user_sessions'
+    ) THEN
+        RAISE NOTICE '✅ Migration 012: user_accounts and user_sessions tables created successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 012: Table user_accounts or user_sessions not found';
+    END IF;
+END $$;
+
+-- Show user accounts for verification
+SELECT
+    ua.username,
+    hr.staff_name,
+    hr.role,
+    ua.is_admin,
+    ua.is_active
+FROM user_accounts ua
+JOIN human_resource hr ON hr.unique_id = ua.staff_id
+ORDER BY ua.username;
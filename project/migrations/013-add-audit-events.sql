@@ -0,0 +1,142 @@
+-- =====================================================
+-- Migration 013: Add Audit Events Table
+-- =====================================================
+-- This migration adds an append-only audit trail. The server records an
+-- event for every shift create/delete, flag toggle, notes edit,
+-- unavailability change, pay rule change and settings change.
+--
+-- Each event stores the signed-in user (actor_username), the before and
+-- after values (JSONB) and an optional reason (reason field or
+-- X-Audit-Reason header). change_requests.changed_by now also holds the
+-- signed-in username instead of a value supplied by the browser.
+--
+-- Rows cannot be updated, deleted or truncated - the triggers below raise
+-- an exception. There are no foreign keys so events survive deletion of
+-- the account, shift or staff member they refer to.
+--
+-- Query with GET /api/audit?staffName=&entityType=&fromDate=&toDate=
+-- =====================================================
+
+-- Create audit_events table
+CREATE TABLE IF NOT EXISTS audit_events (
+    audit_id UUID PRIMARY KEY,
+    occurred_at TIMESTAMPTZ NOT NULL DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    actor_account_id UUID,
+    actor_username TEXT NOT NULL DEFAULT 'system',
+    action TEXT NOT NULL,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT,
+    staff_name TEXT,
+    entity_date DATE,
+    before_value JSONB,
+    after_value JSONB,
+    reason TEXT
+);
+
+ALTER TABLE audit_events REPLICA IDENTITY FULL;
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_occurred_at ON audit_events(occurred_at);
+CREATE INDEX IF NOT EXISTS idx_audit_events_staff_name ON audit_events(staff_name);
+CREATE INDEX IF NOT EXISTS idx_audit_events_entity ON audit_events(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_entity_date ON audit_events(entity_date);
+
+-- Audit Event UUID generation
+-- Natural key: entity_type + entity_id + action + occurred_at + before/after values
+CREATE OR REPLACE FUNCTION uuid_audit_event(entity_type TEXT, entity_id TEXT, action TEXT, occurred_at TIMESTAMPTZ, before_value JSONB, after_value JSONB)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine the event fields (several events can share occurred_at inside one transaction)
+    seed_value := 'audit_event:' ||
+                  COALESCE(entity_type, '') || ':' ||
+                  COALESCE(entity_id, '') || ':' ||
+                  COALESCE(action, '') || ':' ||
+                  COALESCE(occurred_at::TEXT, '') || ':' ||
+                  md5(COALESCE(before_value::TEXT, '') || '|' || COALESCE(after_value::TEXT, ''));
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_audit_event IS 'Generates deterministic UUID for audit_events table based on entity_type, entity_id, action, occurred_at and the before/after values. Used for database synchronization.';
+
+-- Trigger function to automatically generate deterministic UUID for audit_events
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_audit_events()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.audit_id IS NULL THEN
+        NEW.audit_id := uuid_audit_event(NEW.entity_type, NEW.entity_id, NEW.action, NEW.occurred_at, NEW.before_value, NEW.after_value);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to keep audit_events append-only
+CREATE OR REPLACE FUNCTION prevent_audit_event_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_events is append-only: % is not allowed', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_audit_events ON audit_events;
+
+CREATE TRIGGER trigger_deterministic_uuid_audit_events
+    BEFORE INSERT ON audit_events
+    FOR EACH ROW
+    WHEN (NEW.audit_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_audit_events();
+
+DROP TRIGGER IF EXISTS trigger_audit_events_append_only ON audit_events;
+
+CREATE TRIGGER trigger_audit_events_append_only
+    BEFORE UPDATE OR DELETE ON audit_events
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_audit_event_changes();
+
+DROP TRIGGER IF EXISTS trigger_audit_events_no_truncate ON audit_events;
+
+CREATE TRIGGER trigger_audit_events_no_truncate
+    BEFORE TRUNCATE ON audit_events
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION prevent_audit_event_changes();
+
+COMMENT ON TABLE audit_events IS 'Append-only audit trail of shift, flag, notes, unavailability, pay rule and settings changes with before/after values';
+COMMENT ON COLUMN audit_events.actor_username IS 'Username of the signed-in account that made the change (system for background jobs)';
+COMMENT ON COLUMN audit_events.entity_date IS 'Date the change applies to (shift date, unavailability date, pay rule effective date)';
+COMMENT ON COLUMN audit_events.reason IS 'Optional reason supplied with the change (reason field or X-Audit-Reason header)';
+COMMENT ON COLUMN change_requests.changed_by IS 'Username of the signed-in account that made the change';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the table and append-only trigger were created successfully
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'audit_events'
+    ) AND EXISTS (
+        SELECT 1
+        FROM pg_trigger
+        WHERE tgname = 'trigger_audit_events_append_only'
+    ) THEN
+        RAISE NOTICE '✅ Migration 013: audit_events table created successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 013: Table audit_events or its append-only trigger not found';
+    END IF;
+END $$;
+
+-- Show audit event counts for verification
+SELECT
+    entity_type,
+    action,
+    COUNT(*) as event_count
+FROM audit_events
+GROUP BY entity_type, action
+ORDER BY entity_type, action;
@@ -0,0 +1,112 @@
+-- =====================================================
+-- Migration 014: Add Leave Requests Table
+-- =====================================================
+-- This migration adds holiday requests submitted by staff from the
+-- self-service page (staff.html).
+--
+-- Requests start as 'pending'. A team leader approves or rejects them
+-- from the Time-Off tab; decided_by holds the team leader's username.
+-- hours_requested defaults to 12 hours per day in the date range, the
+-- same day length used by holiday_entitlements.
+-- =====================================================
+
+-- Create leave_requests table
+CREATE TABLE IF NOT EXISTS leave_requests (
+    leave_request_id UUID PRIMARY KEY,
+    staff_id UUID NOT NULL REFERENCES human_resource(unique_id) ON DELETE CASCADE,
+    staff_name TEXT NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    hours_requested DECIMAL(6,2) NOT NULL CHECK (hours_requested > 0),
+    notes TEXT DEFAULT '',
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    decided_by TEXT,
+    decided_at TIMESTAMPTZ,
+    decision_notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT valid_leave_request_dates CHECK (end_date >= start_date)
+);
+
+ALTER TABLE leave_requests REPLICA IDENTITY FULL;
+
+CREATE INDEX IF NOT EXISTS idx_leave_requests_staff_name ON leave_requests(staff_name);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_status ON leave_requests(status);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_dates ON leave_requests(start_date, end_date);
+
+-- Leave Request UUID generation
+-- Natural key: staff_id + start_date + end_date + created_at
+CREATE OR REPLACE FUNCTION uuid_leave_request(staff_id UUID, start_date DATE, end_date DATE, created_at TIMESTAMPTZ)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine staff_id, dates and submission time as seed (the same dates can be requested again)
+    seed_value := 'leave_request:' ||
+                  COALESCE(staff_id::TEXT, '') || ':' ||
+                  COALESCE(start_date::TEXT, '') || ':' ||
+                  COALESCE(end_date::TEXT, '') || ':' ||
+                  COALESCE(created_at::TEXT, '');
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_leave_request IS 'Generates deterministic UUID for leave_requests table based on staff_id, start_date, end_date and created_at. Used for database synchronization.';
+
+-- Trigger function to automatically generate deterministic UUID for leave_requests
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_leave_requests()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.leave_request_id IS NULL THEN
+        NEW.leave_request_id := uuid_leave_request(NEW.staff_id, NEW.start_date, NEW.end_date, NEW.created_at);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_leave_requests ON leave_requests;
+
+CREATE TRIGGER trigger_deterministic_uuid_leave_requests
+    BEFORE INSERT ON leave_requests
+    FOR EACH ROW
+    WHEN (NEW.leave_request_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_leave_requests();
+
+DROP TRIGGER IF EXISTS update_leave_requests_updated_at ON leave_requests;
+
+CREATE TRIGGER update_leave_requests_updated_at
+    BEFORE UPDATE ON leave_requests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE leave_requests IS 'Holiday requests submitted by staff from the self-service page - pending until a team leader approves or rejects them';
+COMMENT ON COLUMN leave_requests.hours_requested IS 'Holiday hours requested - defaults to 12 hours per day in the date range';
+COMMENT ON COLUMN leave_requests.decided_by IS 'Username of the team leader who approved or rejected the request';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the table was created successfully
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'leave_requests'
+    ) THEN
+        RAISE NOTICE '✅ Migration 014: leave_requests table created successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 014: Table leave_requests not found';
+    END IF;
+END $$;
+
+-- Show leave request counts for verification
+SELECT
+    status,
+    COUNT(*) as request_count
+FROM leave_requests
+GROUP BY status
+ORDER BY status;
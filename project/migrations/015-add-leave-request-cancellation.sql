@@ -0,0 +1,51 @@
+-- =====================================================
+-- Migration 015: Leave Request Approval Workflow
+-- =====================================================
+-- This migration adds the 'cancelled' state to leave_requests.
+--
+-- Workflow:
+--   pending  -> approved  - creates one HOLIDAY shift per day and updates
+--                           holiday_entitlements.hours_taken through
+--                           update_holiday_entitlement_usage()
+--   pending  -> rejected
+--   pending  -> cancelled
+--   approved -> cancelled - removes the HOLIDAY shifts and gives the hours
+--                           back to the entitlement
+--
+-- Requests over holiday_entitlements.hours_remaining are refused by the
+-- server unless a team leader overrides the check.
+-- =====================================================
+
+ALTER TABLE leave_requests DROP CONSTRAINT IF EXISTS leave_requests_status_check;
+
+ALTER TABLE leave_requests ADD CONSTRAINT leave_requests_status_check
+    CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled'));
+
+COMMENT ON TABLE leave_requests IS 'Holiday requests submitted by staff - approving creates the HOLIDAY shifts, cancelling an approved request removes them';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the status constraint allows cancelled requests
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM pg_constraint
+        WHERE conname = 'leave_requests_status_check'
+          AND pg_get_constraintdef(oid) LIKE '%cancelled%'
+    ) THEN
+        RAISE NOTICE '✅ Migration 015: leave_requests accepts the cancelled status';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 015: leave_requests_status_check does not include cancelled';
+    END IF;
+END $$;
+
+-- Show leave request counts for verification
+SELECT
+    status,
+    COUNT(*) as request_count
+FROM leave_requests
+GROUP BY status
+ORDER BY status;
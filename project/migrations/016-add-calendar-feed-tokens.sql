@@ -0,0 +1,89 @@
+-- =====================================================
+-- Migration 016: Add Calendar Feed Tokens Table
+-- =====================================================
+-- This migration adds per-staff calendar feed links. A staff member
+-- creates a link from the self-service page (staff.html) and subscribes
+-- to it from Google Calendar, Outlook or Apple Calendar:
+--
+--   GET /api/calendar/:staffId.ics?token=<token>
+--
+-- The feed needs no login session - the token in the link is the only
+-- credential, so only its SHA-256 hash is stored. Each staff member has
+-- one link; creating a new link replaces the hash and the old link stops
+-- working. Deleting the row revokes the link.
+-- =====================================================
+
+-- Create calendar_feed_tokens table
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+    token_id UUID PRIMARY KEY,
+    staff_id UUID NOT NULL UNIQUE REFERENCES human_resource(unique_id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+ALTER TABLE calendar_feed_tokens REPLICA IDENTITY FULL;
+
+-- Calendar Feed Token UUID generation
+-- Natural key: staff_id (one calendar link per staff member)
+CREATE OR REPLACE FUNCTION uuid_calendar_feed_token(staff_id UUID)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Use staff_id as the seed (it's unique)
+    seed_value := 'calendar_feed_token:' || COALESCE(staff_id::TEXT, '');
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_calendar_feed_token IS 'Generates deterministic UUID for calendar_feed_tokens table based on staff_id. Used for database synchronization.';
+
+-- Trigger function to automatically generate deterministic UUID for calendar_feed_tokens
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_calendar_feed_tokens()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.token_id IS NULL THEN
+        NEW.token_id := uuid_calendar_feed_token(NEW.staff_id);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_calendar_feed_tokens ON calendar_feed_tokens;
+
+CREATE TRIGGER trigger_deterministic_uuid_calendar_feed_tokens
+    BEFORE INSERT ON calendar_feed_tokens
+    FOR EACH ROW
+    WHEN (NEW.token_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_calendar_feed_tokens();
+
+COMMENT ON TABLE calendar_feed_tokens IS 'Per-staff calendar feed links - the ?token= of GET /api/calendar/:staffId.ics is stored as a SHA-256 hash';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the table was created successfully
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'calendar_feed_tokens'
+    ) THEN
+        RAISE NOTICE '✅ Migration 016: calendar_feed_tokens table created successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 016: Table calendar_feed_tokens not found';
+    END IF;
+END $$;
+
+-- Show calendar links for verification (token hashes are not shown)
+SELECT
+    hr.staff_name,
+    cft.created_at
+FROM calendar_feed_tokens cft
+JOIN human_resource hr ON hr.unique_id = cft.staff_id
+ORDER BY hr.staff_name;
@@ -0,0 +1,233 @@
+-- =====================================================
+-- Migration 017: Add Rota Templates
+-- =====================================================
+-- This migration adds rota templates so a new 4-week period no longer
+-- has to be built cell by cell.
+--
+-- A template is saved from a period (28-day template) or one week of it
+-- (7-day template) with POST /api/rota-templates/from-period, or created
+-- with rolling patterns such as "4 on / 4 off" per staff member.
+--
+-- POST /api/rota-templates/:id/apply copies the template onto a target
+-- period. Template day N lands on day N of the period (repeating every
+-- cycle_days); a rolling pattern works days_on days then rests days_off
+-- days, counted from cycle_start_date. Leavers, inactive staff, staff
+-- marked in unavailable_staff_daily and overlapping shifts are skipped.
+-- =====================================================
+
+-- Rota templates (saved periods/weeks and rolling patterns applied to new periods)
+-- Template shift day_offset N lands on day N of the target period, repeating every cycle_days
+CREATE TABLE IF NOT EXISTS rota_templates (
+    template_id UUID PRIMARY KEY,
+    template_name TEXT NOT NULL UNIQUE,
+    description TEXT DEFAULT '',
+    cycle_days INTEGER NOT NULL DEFAULT 28 CHECK (cycle_days BETWEEN 1 AND 366),
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+-- Rota template shifts (staff_name is not a foreign key - leavers are skipped when the template is applied)
+CREATE TABLE IF NOT EXISTS rota_template_shifts (
+    template_shift_id UUID PRIMARY KEY,
+    template_id UUID NOT NULL REFERENCES rota_templates(template_id) ON DELETE CASCADE,
+    day_offset INTEGER NOT NULL CHECK (day_offset >= 0),
+    staff_name TEXT NOT NULL,
+    shift_type TEXT NOT NULL REFERENCES shift_types(name) ON UPDATE CASCADE,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    solo_shift BOOLEAN DEFAULT FALSE,
+    training BOOLEAN DEFAULT FALSE,
+    notes TEXT DEFAULT '',
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT unique_rota_template_shift UNIQUE (template_id, day_offset, staff_name, shift_type, start_time)
+);
+
+-- Rolling shift patterns per staff member (e.g. 4 on / 4 off from cycle_start_date)
+CREATE TABLE IF NOT EXISTS rota_template_patterns (
+    pattern_id UUID PRIMARY KEY,
+    template_id UUID NOT NULL REFERENCES rota_templates(template_id) ON DELETE CASCADE,
+    staff_name TEXT NOT NULL,
+    shift_type TEXT NOT NULL REFERENCES shift_types(name) ON UPDATE CASCADE,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    days_on INTEGER NOT NULL CHECK (days_on >= 1),
+    days_off INTEGER NOT NULL DEFAULT 0 CHECK (days_off >= 0),
+    cycle_start_date DATE NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT unique_rota_template_pattern UNIQUE (template_id, staff_name, shift_type, cycle_start_date)
+);
+
+ALTER TABLE rota_templates REPLICA IDENTITY FULL;
+ALTER TABLE rota_template_shifts REPLICA IDENTITY FULL;
+ALTER TABLE rota_template_patterns REPLICA IDENTITY FULL;
+
+CREATE INDEX IF NOT EXISTS idx_rota_template_shifts_template_id ON rota_template_shifts(template_id);
+CREATE INDEX IF NOT EXISTS idx_rota_template_patterns_template_id ON rota_template_patterns(template_id);
+
+-- Rota Template UUID generation
+-- Natural key: template_name (unique)
+CREATE OR REPLACE FUNCTION uuid_rota_template(template_name TEXT)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Use template_name as the seed (it's unique)
+    seed_value := 'rota_template:' || COALESCE(template_name, '');
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_rota_template IS 'Generates deterministic UUID for rota_templates table based on template_name. Used for database synchronization.';
+
+-- Rota Template Shift UUID generation
+-- Natural key: template_id + day_offset + staff_name + shift_type + start_time
+CREATE OR REPLACE FUNCTION uuid_rota_template_shift(template_id UUID, day_offset INTEGER, staff_name TEXT, shift_type TEXT, start_time TIME)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine template, day, staff member, shift type and start time as seed
+    seed_value := 'rota_template_shift:' ||
+                  COALESCE(template_id::TEXT, '') || ':' ||
+                  COALESCE(day_offset::TEXT, '') || ':' ||
+                  COALESCE(staff_name, '') || ':' ||
+                  COALESCE(shift_type, '') || ':' ||
+                  COALESCE(start_time::TEXT, '');
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_rota_template_shift IS 'Generates deterministic UUID for rota_template_shifts table based on template_id, day_offset, staff_name, shift_type and start_time. Used for database synchronization.';
+
+-- Rota Template Pattern UUID generation
+-- Natural key: template_id + staff_name + shift_type + cycle_start_date
+CREATE OR REPLACE FUNCTION uuid_rota_template_pattern(template_id UUID, staff_name TEXT, shift_type TEXT, cycle_start_date DATE)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine template, staff member, shift type and cycle start as seed
+    seed_value := 'rota_template_pattern:' ||
+                  COALESCE(template_id::TEXT, '') || ':' ||
+                  COALESCE(staff_name, '') || ':' ||
+                  COALESCE(shift_type, '') || ':' ||
+                  COALESCE(cycle_start_date::TEXT, '');
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_rota_template_pattern IS 'Generates deterministic UUID for rota_template_patterns table based on template_id, staff_name, shift_type and cycle_start_date. Used for database synchronization.';
+
+-- Trigger function to automatically generate deterministic UUID for rota_templates
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_rota_templates()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.template_id IS NULL THEN
+        NEW.template_id := uuid_rota_template(NEW.template_name);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for rota_template_shifts
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_rota_template_shifts()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.template_shift_id IS NULL THEN
+        NEW.template_shift_id := uuid_rota_template_shift(NEW.template_id, NEW.day_offset, NEW.staff_name, NEW.shift_type, NEW.start_time);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for rota_template_patterns
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_rota_template_patterns()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.pattern_id IS NULL THEN
+        NEW.pattern_id := uuid_rota_template_pattern(NEW.template_id, NEW.staff_name, NEW.shift_type, NEW.cycle_start_date);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_rota_templates ON rota_templates;
+
+CREATE TRIGGER trigger_deterministic_uuid_rota_templates
+    BEFORE INSERT ON rota_templates
+    FOR EACH ROW
+    WHEN (NEW.template_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_rota_templates();
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_rota_template_shifts ON rota_template_shifts;
+
+CREATE TRIGGER trigger_deterministic_uuid_rota_template_shifts
+    BEFORE INSERT ON rota_template_shifts
+    FOR EACH ROW
+    WHEN (NEW.template_shift_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_rota_template_shifts();
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_rota_template_patterns ON rota_template_patterns;
+
+CREATE TRIGGER trigger_deterministic_uuid_rota_template_patterns
+    BEFORE INSERT ON rota_template_patterns
+    FOR EACH ROW
+    WHEN (NEW.pattern_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_rota_template_patterns();
+
+DROP TRIGGER IF EXISTS update_rota_templates_updated_at ON rota_templates;
+
+CREATE TRIGGER update_rota_templates_updated_at
+    BEFORE UPDATE ON rota_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE rota_templates IS 'Named rota templates saved from a period or week, applied to new periods with POST /api/rota-templates/:id/apply';
+COMMENT ON TABLE rota_template_shifts IS 'Shifts of a rota template - day_offset N lands on day N of the target period, repeating every cycle_days';
+COMMENT ON TABLE rota_template_patterns IS 'Rolling shift patterns per staff member (days_on working days then days_off rest days from cycle_start_date)';
+COMMENT ON COLUMN rota_templates.cycle_days IS 'Length of the template in days - 28 for a saved period, 7 for a saved week';
+COMMENT ON COLUMN rota_template_patterns.cycle_start_date IS 'First working day of the cycle - the pattern runs forwards and backwards from this date';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the tables were created successfully
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'rota_templates'
+    ) AND EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'rota_template_shifts'
+    ) AND EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'rota_template_patterns'
+    ) THEN
+        RAISE NOTICE '✅ Migration 017: rota_templates, rota_template_shifts and rota_template_patterns tables created successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 017: Table rota_templates, rota_template_shifts or rota_template_patterns not found';
+    END IF;
+END $$;
+
+-- Show rota templates for verification
+SELECT
+    rt.template_name,
+    rt.cycle_days,
+    (SELECT COUNT(*) FROM rota_template_shifts ts WHERE ts.template_id = rt.template_id) as shift_count,
+    (SELECT COUNT(*) FROM rota_template_patterns tp WHERE tp.template_id = rt.template_id) as pattern_count
+FROM rota_templates rt
+ORDER BY rt.template_name;
@@ -0,0 +1,49 @@
+-- =====================================================
+-- Migration 018: Add Period Management
+-- =====================================================
+-- Periods can now be created, edited and archived from the API
+-- (POST /api/periods, PUT /api/periods/:id, PUT /api/periods/:id/archive).
+-- The server refuses periods that overlap another period.
+--
+-- periods.is_active is now used as the archive flag: archived periods
+-- keep their shifts and are listed separately in the period selector.
+--
+-- A scheduled job on the server keeps a rolling horizon of 4-week
+-- periods after today. The number of future periods is configurable from
+-- the Settings tab and stored in the settings table. Default is 13
+-- periods (one year).
+-- =====================================================
+
+INSERT INTO settings (type_of_setting, value) VALUES
+    ('Future periods to keep', '13')
+ON CONFLICT (type_of_setting) DO NOTHING;
+
+COMMENT ON COLUMN periods.is_active IS 'false = archived period (kept with its shifts, listed separately in the period selector)';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the setting was added successfully
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM settings
+        WHERE type_of_setting = 'Future periods to keep'
+    ) THEN
+        RAISE NOTICE '✅ Migration 018: Future periods setting added successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 018: Future periods setting not found';
+    END IF;
+END $$;
+
+-- Show the latest periods for verification
+SELECT
+    period_name,
+    start_date,
+    end_date,
+    is_active
+FROM periods
+ORDER BY start_date DESC
+LIMIT 5;
@@ -0,0 +1,115 @@
+-- =====================================================
+-- Migration 019: Add Shift Swap Requests Table
+-- =====================================================
+-- This migration adds shift swaps between staff members.
+--
+-- A staff member offers one of their future work shifts ('offered').
+-- Another staff member accepts it, giving one of their own future work
+-- shifts in return ('accepted'). A team leader then approves or rejects
+-- the swap from the Time-Off tab. Approving swaps staff_name on both
+-- shifts in one transaction; flags and notes stay with the shifts.
+--
+-- offered_by and accepted_by keep the original holders of the two
+-- shifts, and every swap is also written to audit_events.
+-- =====================================================
+
+-- Create shift_swap_requests table
+CREATE TABLE IF NOT EXISTS shift_swap_requests (
+    swap_request_id UUID PRIMARY KEY,
+    offered_shift_id UUID NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+    offered_by TEXT NOT NULL,
+    accepted_shift_id UUID REFERENCES shifts(id) ON DELETE CASCADE,
+    accepted_by TEXT,
+    accepted_at TIMESTAMPTZ,
+    notes TEXT DEFAULT '',
+    status TEXT NOT NULL DEFAULT 'offered' CHECK (status IN ('offered', 'accepted', 'approved', 'rejected', 'cancelled')),
+    decided_by TEXT,
+    decided_at TIMESTAMPTZ,
+    decision_notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT different_swap_shifts CHECK (accepted_shift_id IS NULL OR accepted_shift_id <> offered_shift_id)
+);
+
+ALTER TABLE shift_swap_requests REPLICA IDENTITY FULL;
+
+CREATE INDEX IF NOT EXISTS idx_shift_swap_requests_status ON shift_swap_requests(status);
+CREATE INDEX IF NOT EXISTS idx_shift_swap_requests_offered_by ON shift_swap_requests(offered_by);
+CREATE INDEX IF NOT EXISTS idx_shift_swap_requests_accepted_by ON shift_swap_requests(accepted_by);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shift_swap_requests_open_shift ON shift_swap_requests(offered_shift_id) WHERE status IN ('offered', 'accepted');
+
+-- Shift Swap Request UUID generation
+-- Natural key: offered_shift_id + created_at
+CREATE OR REPLACE FUNCTION uuid_shift_swap_request(offered_shift_id UUID, created_at TIMESTAMPTZ)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine the offered shift and offer time as seed (a shift can be offered again after a swap is rejected)
+    seed_value := 'shift_swap_request:' ||
+                  COALESCE(offered_shift_id::TEXT, '') || ':' ||
+                  COALESCE(created_at::TEXT, '');
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_shift_swap_request IS 'Generates deterministic UUID for shift_swap_requests table based on offered_shift_id and created_at. Used for database synchronization.';
+
+-- Trigger function to automatically generate deterministic UUID for shift_swap_requests
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_shift_swap_requests()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.swap_request_id IS NULL THEN
+        NEW.swap_request_id := uuid_shift_swap_request(NEW.offered_shift_id, NEW.created_at);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_shift_swap_requests ON shift_swap_requests;
+
+CREATE TRIGGER trigger_deterministic_uuid_shift_swap_requests
+    BEFORE INSERT ON shift_swap_requests
+    FOR EACH ROW
+    WHEN (NEW.swap_request_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_shift_swap_requests();
+
+DROP TRIGGER IF EXISTS update_shift_swap_requests_updated_at ON shift_swap_requests;
+
+CREATE TRIGGER update_shift_swap_requests_updated_at
+    BEFORE UPDATE ON shift_swap_requests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE shift_swap_requests IS 'Shift swaps between staff - offered, accepted with a shift in return, then approved (staff_name swapped on both shifts) or rejected by a team leader';
+COMMENT ON COLUMN shift_swap_requests.offered_by IS 'Staff member who held offered_shift_id when it was offered (keeps the original holder after the swap)';
+COMMENT ON COLUMN shift_swap_requests.accepted_by IS 'Staff member who accepted the offer and gives accepted_shift_id in return';
+COMMENT ON COLUMN shift_swap_requests.decided_by IS 'Username of the team leader who approved or rejected the swap';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the table was created successfully
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'shift_swap_requests'
+    ) THEN
+        RAISE NOTICE '✅ Migration 019: shift_swap_requests table created successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 019: Table shift_swap_requests not found';
+    END IF;
+END $$;
+
+-- Show shift swap counts for verification
+SELECT
+    status,
+    COUNT(*) as swap_count
+FROM shift_swap_requests
+GROUP BY status
+ORDER BY status;
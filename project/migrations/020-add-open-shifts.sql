@@ -0,0 +1,174 @@
+-- =====================================================
+-- Migration 020: Add Open Shifts
+-- =====================================================
+-- This migration adds the open shift board. A team leader publishes an
+-- uncovered shift (for example after a short-notice sickness) and staff
+-- members volunteer for it from the self-service page (staff.html).
+--
+-- The team leader picks one volunteer; the server then creates the shift
+-- for them and marks the open shift 'filled'. short_notice is set on the
+-- new shift when it starts within the 'Short notice window (hours)'
+-- setting (default 12 hours, the rota's "<12h Notice" flag).
+-- =====================================================
+
+-- Create open_shifts table
+CREATE TABLE IF NOT EXISTS open_shifts (
+    open_shift_id UUID PRIMARY KEY,
+    period_id UUID NOT NULL REFERENCES periods(period_id) ON DELETE CASCADE,
+    week_number INTEGER NOT NULL,
+    shift_type TEXT NOT NULL,
+    shift_start_datetime TIMESTAMPTZ NOT NULL,
+    shift_end_datetime TIMESTAMPTZ NOT NULL,
+    notes TEXT DEFAULT '',
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'filled', 'cancelled')),
+    created_by TEXT,
+    filled_by TEXT,
+    filled_shift_id UUID REFERENCES shifts(id) ON DELETE SET NULL,
+    filled_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT valid_open_shift_times CHECK (shift_end_datetime > shift_start_datetime)
+);
+
+-- Create open_shift_volunteers table
+CREATE TABLE IF NOT EXISTS open_shift_volunteers (
+    volunteer_id UUID PRIMARY KEY,
+    open_shift_id UUID NOT NULL REFERENCES open_shifts(open_shift_id) ON DELETE CASCADE,
+    staff_name TEXT NOT NULL,
+    notes TEXT DEFAULT '',
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT unique_open_shift_volunteer UNIQUE (open_shift_id, staff_name)
+);
+
+ALTER TABLE open_shifts REPLICA IDENTITY FULL;
+ALTER TABLE open_shift_volunteers REPLICA IDENTITY FULL;
+
+CREATE INDEX IF NOT EXISTS idx_open_shifts_period_id ON open_shifts(period_id);
+CREATE INDEX IF NOT EXISTS idx_open_shifts_status ON open_shifts(status);
+CREATE INDEX IF NOT EXISTS idx_open_shifts_start ON open_shifts(shift_start_datetime);
+CREATE INDEX IF NOT EXISTS idx_open_shift_volunteers_staff_name ON open_shift_volunteers(staff_name);
+
+-- Open Shift UUID generation
+-- Natural key: period_id + shift_type + shift_start_datetime + created_at
+CREATE OR REPLACE FUNCTION uuid_open_shift(period_id UUID, shift_type TEXT, shift_start_datetime TIMESTAMPTZ, created_at TIMESTAMPTZ)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine the shift slot and publish time as seed (the same slot can be published again after a cancel)
+    seed_value := 'open_shift:' ||
+                  COALESCE(period_id::TEXT, '') || ':' ||
+                  COALESCE(shift_type, '') || ':' ||
+                  COALESCE(shift_start_datetime::TEXT, '') || ':' ||
+                  COALESCE(created_at::TEXT, '');
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_open_shift IS 'Generates deterministic UUID for open_shifts table based on period_id, shift_type, shift_start_datetime and created_at. Used for database synchronization.';
+
+-- Open Shift Volunteer UUID generation
+-- Natural key: open_shift_id + staff_name (unique)
+CREATE OR REPLACE FUNCTION uuid_open_shift_volunteer(open_shift_id UUID, staff_name TEXT)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine open_shift_id and staff_name as seed (one volunteer row per staff member)
+    seed_value := 'open_shift_volunteer:' ||
+                  COALESCE(open_shift_id::TEXT, '') || ':' ||
+                  COALESCE(staff_name, '');
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_open_shift_volunteer IS 'Generates deterministic UUID for open_shift_volunteers table based on open_shift_id and staff_name. Used for database synchronization.';
+
+-- Trigger function to automatically generate deterministic UUID for open_shifts
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_open_shifts()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.open_shift_id IS NULL THEN
+        NEW.open_shift_id := uuid_open_shift(NEW.period_id, NEW.shift_type, NEW.shift_start_datetime, NEW.created_at);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for open_shift_volunteers
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_open_shift_volunteers()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.volunteer_id IS NULL THEN
+        NEW.volunteer_id := uuid_open_shift_volunteer(NEW.open_shift_id, NEW.staff_name);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_open_shifts ON open_shifts;
+
+CREATE TRIGGER trigger_deterministic_uuid_open_shifts
+    BEFORE INSERT ON open_shifts
+    FOR EACH ROW
+    WHEN (NEW.open_shift_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_open_shifts();
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_open_shift_volunteers ON open_shift_volunteers;
+
+CREATE TRIGGER trigger_deterministic_uuid_open_shift_volunteers
+    BEFORE INSERT ON open_shift_volunteers
+    FOR EACH ROW
+    WHEN (NEW.volunteer_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_open_shift_volunteers();
+
+DROP TRIGGER IF EXISTS update_open_shifts_updated_at ON open_shifts;
+
+CREATE TRIGGER update_open_shifts_updated_at
+    BEFORE UPDATE ON open_shifts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO settings (type_of_setting, value) VALUES
+    ('Short notice window (hours)', '12')
+ON CONFLICT (type_of_setting) DO NOTHING;
+
+COMMENT ON TABLE open_shifts IS 'Uncovered shifts published for staff to volunteer for - filling one creates the shift for the chosen volunteer';
+COMMENT ON TABLE open_shift_volunteers IS 'Staff members who volunteered for an open shift';
+COMMENT ON COLUMN open_shifts.filled_shift_id IS 'Shift created for the chosen volunteer (short_notice set when it starts within the short notice window)';
+COMMENT ON COLUMN open_shifts.created_by IS 'Username of the team leader who published the open shift';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the tables were created successfully
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'open_shifts'
+    ) AND EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'open_shift_volunteers'
+    ) THEN
+        RAISE NOTICE '✅ Migration 020: open_shifts and open_shift_volunteers tables created successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 020: Table open_shifts or open_shift_volunteers not found';
+    END IF;
+END $$;
+
+-- Show open shift counts for verification
+SELECT
+    status,
+    COUNT(*) as open_shift_count
+FROM open_shifts
+GROUP BY status
+ORDER BY status;
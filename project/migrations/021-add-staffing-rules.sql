@@ -0,0 +1,108 @@
+-- =====================================================
+-- Migration 021: Add Staffing Rules Table
+-- =====================================================
+-- This migration adds minimum staffing levels per shift type and day of
+-- week, for example 'Double Up' needs two staff and a night needs one
+-- worker who is not on a training shift.
+--
+-- day_of_week is ISO (1 = Monday .. 7 = Sunday); NULL applies every day.
+-- A rule for a specific day overrides the every-day rule for the same
+-- shift type. max_staff is optional and flags over-staffed cells.
+--
+-- GET /api/periods/:periodId/coverage compares these rules with the
+-- shifts in the period and the rota grid colours the gaps.
+-- =====================================================
+
+-- Create staffing_rules table
+CREATE TABLE IF NOT EXISTS staffing_rules (
+    staffing_rule_id UUID PRIMARY KEY,
+    shift_type TEXT NOT NULL REFERENCES shift_types(name) ON UPDATE CASCADE ON DELETE CASCADE,
+    day_of_week INTEGER CHECK (day_of_week BETWEEN 1 AND 7),
+    min_staff INTEGER NOT NULL DEFAULT 1 CHECK (min_staff >= 0),
+    max_staff INTEGER CHECK (max_staff IS NULL OR max_staff >= min_staff),
+    min_non_training INTEGER NOT NULL DEFAULT 0 CHECK (min_non_training >= 0),
+    notes TEXT DEFAULT '',
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+ALTER TABLE staffing_rules REPLICA IDENTITY FULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_staffing_rules_shift_day ON staffing_rules(shift_type, COALESCE(day_of_week, 0));
+
+-- Staffing Rule UUID generation
+-- Natural key: shift_type + day_of_week (unique)
+CREATE OR REPLACE FUNCTION uuid_staffing_rule(shift_type TEXT, day_of_week INTEGER)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine shift_type and day_of_week as seed (one rule per shift type and day)
+    seed_value := 'staffing_rule:' ||
+                  COALESCE(shift_type, '') || ':' ||
+                  COALESCE(day_of_week::TEXT, '');
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_staffing_rule IS 'Generates deterministic UUID for staffing_rules table based on shift_type and day_of_week. Used for database synchronization.';
+
+-- Trigger function to automatically generate deterministic UUID for staffing_rules
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_staffing_rules()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.staffing_rule_id IS NULL THEN
+        NEW.staffing_rule_id := uuid_staffing_rule(NEW.shift_type, NEW.day_of_week);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_staffing_rules ON staffing_rules;
+
+CREATE TRIGGER trigger_deterministic_uuid_staffing_rules
+    BEFORE INSERT ON staffing_rules
+    FOR EACH ROW
+    WHEN (NEW.staffing_rule_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_staffing_rules();
+
+DROP TRIGGER IF EXISTS update_staffing_rules_updated_at ON staffing_rules;
+
+CREATE TRIGGER update_staffing_rules_updated_at
+    BEFORE UPDATE ON staffing_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE staffing_rules IS 'Minimum (and optional maximum) headcount per shift type and day of week - compared with shifts by the coverage report';
+COMMENT ON COLUMN staffing_rules.day_of_week IS 'ISO day of week (1 = Monday .. 7 = Sunday) - NULL applies every day unless a rule for that day exists';
+COMMENT ON COLUMN staffing_rules.min_non_training IS 'Minimum number of the shift''s staff who are not on a training shift';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the table was created successfully
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'staffing_rules'
+    ) THEN
+        RAISE NOTICE '✅ Migration 021: staffing_rules table created successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 021: Table staffing_rules not found';
+    END IF;
+END $$;
+
+-- Show staffing rules for verification
+SELECT
+    shift_type,
+    day_of_week,
+    min_staff,
+    max_staff,
+    min_non_training
+FROM staffing_rules
+ORDER BY shift_type, day_of_week NULLS FIRST;
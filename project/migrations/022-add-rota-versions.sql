@@ -0,0 +1,150 @@
+-- =====================================================
+-- Migration 022: Add Draft and Published Rotas
+-- =====================================================
+-- This migration adds a draft/published lifecycle to periods.
+--
+-- New periods start as 'draft': their work shifts are hidden from staff
+-- members (staff.html, calendar feeds) until a team leader publishes the
+-- rota. Holiday and sick shifts stay visible. Publishing
+-- (POST /api/periods/:id/publish) freezes a numbered snapshot of the
+-- period's shifts in rota_versions. Later edits to a published period
+-- are listed against the latest snapshot (GET /api/periods/:id/changes)
+-- until it is published again, and any two versions can be compared
+-- (GET /api/periods/:id/versions/diff?from=&to=).
+--
+-- Existing periods were already visible to staff, so they are marked
+-- 'published' and get a version 1 snapshot of their current shifts.
+-- =====================================================
+
+-- Add status to periods (existing periods are published)
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'periods' AND column_name = 'status'
+    ) THEN
+        ALTER TABLE periods ADD COLUMN status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'published'));
+        UPDATE periods SET status = 'published';
+    END IF;
+END $$;
+
+-- Create rota_versions table
+CREATE TABLE IF NOT EXISTS rota_versions (
+    version_id UUID PRIMARY KEY,
+    period_id UUID NOT NULL REFERENCES periods(period_id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL CHECK (version_number >= 1),
+    shifts JSONB NOT NULL DEFAULT '[]'::jsonb,
+    shift_count INTEGER NOT NULL DEFAULT 0,
+    notes TEXT DEFAULT '',
+    published_by TEXT,
+    published_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT unique_rota_version UNIQUE (period_id, version_number)
+);
+
+ALTER TABLE rota_versions REPLICA IDENTITY FULL;
+
+-- Rota Version UUID generation
+-- Natural key: period_id + version_number (unique)
+CREATE OR REPLACE FUNCTION uuid_rota_version(period_id UUID, version_number INTEGER)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine period_id and version_number as seed (one row per published version)
+    seed_value := 'rota_version:' ||
+                  COALESCE(period_id::TEXT, '') || ':' ||
+                  COALESCE(version_number::TEXT, '');
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_rota_version IS 'Generates deterministic UUID for rota_versions table based on period_id and version_number. Used for database synchronization.';
+
+-- Trigger function to automatically generate deterministic UUID for rota_versions
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_rota_versions()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.version_id IS NULL THEN
+        NEW.version_id := uuid_rota_version(NEW.period_id, NEW.version_number);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_rota_versions ON rota_versions;
+
+CREATE TRIGGER trigger_deterministic_uuid_rota_versions
+    BEFORE INSERT ON rota_versions
+    FOR EACH ROW
+    WHEN (NEW.version_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_rota_versions();
+
+-- Version 1 snapshot for published periods that have no version yet
+-- (same fields as the snapshot the server takes when a rota is published)
+INSERT INTO rota_versions (period_id, version_number, shifts, shift_count, notes, published_by)
+SELECT
+    p.period_id,
+    1,
+    COALESCE(jsonb_agg(jsonb_build_object(
+        'id', s.id,
+        'week_number', s.week_number,
+        'staff_name', s.staff_name,
+        'shift_type', s.shift_type,
+        'shift_start_datetime', s.shift_start_datetime,
+        'shift_end_datetime', s.shift_end_datetime,
+        'solo_shift', COALESCE(s.solo_shift, false),
+        'training', COALESCE(s.training, false),
+        'short_notice', COALESCE(s.short_notice, false),
+        'call_out', COALESCE(s.call_out, false),
+        'overtime', COALESCE(s.overtime, false),
+        'notes', COALESCE(s.notes, '')
+    ) ORDER BY s.shift_start_datetime, s.shift_type, s.staff_name) FILTER (WHERE s.id IS NOT NULL), '[]'::jsonb),
+    COUNT(s.id),
+    'Published before rota versions were added',
+    'system'
+FROM periods p
+LEFT JOIN shifts s ON s.period_id = p.period_id
+WHERE p.status = 'published'
+  AND NOT EXISTS (SELECT 1 FROM rota_versions v WHERE v.period_id = p.period_id)
+GROUP BY p.period_id;
+
+COMMENT ON TABLE rota_versions IS 'Published versions of a period''s rota - a frozen snapshot of its shifts per publish, compared by the version diff';
+COMMENT ON COLUMN periods.status IS 'draft = work shifts hidden from staff members until the rota is published, published = visible (later edits are tracked against the latest rota_versions snapshot)';
+COMMENT ON COLUMN rota_versions.shifts IS 'Snapshot of the period''s shifts when published (id, staff, type, times, pay flags and notes)';
+COMMENT ON COLUMN rota_versions.published_by IS 'Username of the team leader who published the version';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the column and table were created successfully
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'periods' AND column_name = 'status'
+    ) AND EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'rota_versions'
+    ) THEN
+        RAISE NOTICE '✅ Migration 022: periods.status and rota_versions table created successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 022: Column periods.status or table rota_versions not found';
+    END IF;
+END $$;
+
+-- Show period statuses for verification
+SELECT
+    p.status,
+    COUNT(*) as period_count,
+    COUNT(v.version_id) as versioned_period_count
+FROM periods p
+LEFT JOIN rota_versions v ON v.period_id = p.period_id AND v.version_number = 1
+GROUP BY p.status
+ORDER BY p.status;
@@ -0,0 +1,115 @@
+-- =====================================================
+-- Migration 023: Add Rota Operations Table
+-- =====================================================
+-- This migration adds an operation log of rota edits so they can be
+-- undone and redone on the server.
+--
+-- Each rota edit (assigning a cell, clearing cells or a week, changing a
+-- shift flag or notes, applying a template or an auto-fill draft) stores
+-- the shift rows it touched before and after the edit. Undo
+-- (POST /api/operations/:id/undo) restores before_shifts as one group and
+-- redo (POST /api/operations/:id/redo) restores after_shifts. Both are
+-- refused with the list of conflicts when a later edit changed the same
+-- shifts.
+--
+-- session_token_hash ties each operation to the login session that made
+-- it; the rota grid's undo stack lists the current session's operations.
+-- Requests sent with the same X-Rota-Operation-Group header (the grid's
+-- bulk delete) are joined into one operation.
+-- =====================================================
+
+-- Create rota_operations table
+CREATE TABLE IF NOT EXISTS rota_operations (
+    operation_id UUID PRIMARY KEY,
+    period_id UUID REFERENCES periods(period_id) ON DELETE CASCADE,
+    operation_type TEXT NOT NULL,
+    description TEXT NOT NULL,
+    before_shifts JSONB NOT NULL DEFAULT '[]'::jsonb,
+    after_shifts JSONB NOT NULL DEFAULT '[]'::jsonb,
+    shift_count INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'applied' CHECK (status IN ('applied', 'undone')),
+    actor_account_id UUID,
+    actor_username TEXT NOT NULL DEFAULT 'system',
+    session_token_hash TEXT,
+    group_key TEXT,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    undone_at TIMESTAMPTZ,
+    redone_at TIMESTAMPTZ
+);
+
+ALTER TABLE rota_operations REPLICA IDENTITY FULL;
+
+CREATE INDEX IF NOT EXISTS idx_rota_operations_session ON rota_operations(session_token_hash, created_at);
+CREATE INDEX IF NOT EXISTS idx_rota_operations_period_id ON rota_operations(period_id);
+
+-- Rota Operation UUID generation
+-- Natural key: actor_username + operation_type + created_at
+CREATE OR REPLACE FUNCTION uuid_rota_operation(actor_username TEXT, operation_type TEXT, created_at TIMESTAMPTZ)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine the acting user, operation type and time as seed (one row per rota edit)
+    seed_value := 'rota_operation:' ||
+                  COALESCE(actor_username, '') || ':' ||
+                  COALESCE(operation_type, '') || ':' ||
+                  COALESCE(created_at::TEXT, '');
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_rota_operation IS 'Generates deterministic UUID for rota_operations table based on actor_username, operation_type and created_at. Used for database synchronization.';
+
+-- Trigger function to automatically generate deterministic UUID for rota_operations
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_rota_operations()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.operation_id IS NULL THEN
+        NEW.operation_id := uuid_rota_operation(NEW.actor_username, NEW.operation_type, NEW.created_at);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_rota_operations ON rota_operations;
+
+CREATE TRIGGER trigger_deterministic_uuid_rota_operations
+    BEFORE INSERT ON rota_operations
+    FOR EACH ROW
+    WHEN (NEW.operation_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_rota_operations();
+
+COMMENT ON TABLE rota_operations IS 'Log of rota edits with the shift rows before and after each one - undo restores before_shifts, redo restores after_shifts';
+COMMENT ON COLUMN rota_operations.before_shifts IS 'Shift rows the edit changed or deleted, as they were before it (empty for shifts it created)';
+COMMENT ON COLUMN rota_operations.after_shifts IS 'Shift rows the edit created or changed, as they were after it (undo is refused when a later edit changed them)';
+COMMENT ON COLUMN rota_operations.session_token_hash IS 'Hash of the login session that made the edit - the rota grid''s undo stack is per session';
+COMMENT ON COLUMN rota_operations.group_key IS 'X-Rota-Operation-Group header sent with the edit - later edits of the session with the same key join this operation (bulk delete is undone as one)';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the table was created successfully
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'rota_operations'
+    ) THEN
+        RAISE NOTICE '✅ Migration 023: rota_operations table created successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 023: Table rota_operations not found';
+    END IF;
+END $$;
+
+-- Show rota operation counts for verification
+SELECT
+    status,
+    COUNT(*) as operation_count
+FROM rota_operations
+GROUP BY status
+ORDER BY status;
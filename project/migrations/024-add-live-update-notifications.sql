@@ -0,0 +1,123 @@
+-- =====================================================
+-- Migration 024: Add Live Update Notifications
+-- =====================================================
+-- This migration adds triggers that announce committed changes on the
+-- 'live_updates' channel (pg_notify) so open rota grids are updated
+-- straight away instead of polling every 30 seconds.
+--
+-- The server LISTENs on the channel and pushes the changes to the
+-- browsers over Server-Sent Events (GET /api/events?periodId=):
+--   shifts                  -> 'shifts' (period, London date and shift type
+--                              of the cell, before and after the change)
+--   unavailable_staff_daily -> 'unavailability' (period and date)
+--   human_resource          -> 'staff' (staff name)
+--   settings                -> 'settings' (setting name)
+-- Shift and unavailability changes only go to the grids viewing that
+-- period. Notifications are delivered when the transaction commits, and
+-- repeats of the same cell within one transaction are sent once.
+-- =====================================================
+
+-- Build the notification payload for one changed row
+CREATE OR REPLACE FUNCTION live_update_payload(table_name TEXT, changed_row JSONB)
+RETURNS JSONB AS $$
+BEGIN
+    RETURN CASE table_name
+        WHEN 'shifts' THEN jsonb_build_object(
+            'type', 'shifts',
+            'periodId', changed_row->>'period_id',
+            'date', to_char((changed_row->>'shift_start_datetime')::TIMESTAMPTZ AT TIME ZONE 'Europe/London', 'YYYY-MM-DD'),
+            'shiftType', changed_row->>'shift_type'
+        )
+        WHEN 'unavailable_staff_daily' THEN jsonb_build_object(
+            'type', 'unavailability',
+            'periodId', changed_row->>'period_id',
+            'date', changed_row->>'date'
+        )
+        WHEN 'human_resource' THEN jsonb_build_object(
+            'type', 'staff',
+            'staffName', changed_row->>'staff_name'
+        )
+        WHEN 'settings' THEN jsonb_build_object(
+            'type', 'settings',
+            'setting', changed_row->>'type_of_setting'
+        )
+    END;
+END;
+$$ LANGUAGE plpgsql STABLE; -- not IMMUTABLE: the TIMESTAMPTZ cast depends on the session TimeZone
+
+-- Trigger function to announce a changed row on the live_updates channel
+CREATE OR REPLACE FUNCTION trigger_notify_live_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- The cell the row was in (a moved shift also clears its old cell)
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM pg_notify('live_updates', live_update_payload(TG_TABLE_NAME, to_jsonb(OLD))::TEXT);
+    END IF;
+
+    -- The cell the row is in now (same payload as above is only sent once)
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM pg_notify('live_updates', live_update_payload(TG_TABLE_NAME, to_jsonb(NEW))::TEXT);
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS notify_live_update_shifts ON shifts;
+CREATE TRIGGER notify_live_update_shifts
+    AFTER INSERT OR UPDATE OR DELETE ON shifts
+    FOR EACH ROW
+    EXECUTE FUNCTION trigger_notify_live_update();
+
+DROP TRIGGER IF EXISTS notify_live_update_unavailable_staff_daily ON unavailable_staff_daily;
+CREATE TRIGGER notify_live_update_unavailable_staff_daily
+    AFTER INSERT OR UPDATE OR DELETE ON unavailable_staff_daily
+    FOR EACH ROW
+    EXECUTE FUNCTION trigger_notify_live_update();
+
+DROP TRIGGER IF EXISTS notify_live_update_human_resource ON human_resource;
+CREATE TRIGGER notify_live_update_human_resource
+    AFTER INSERT OR UPDATE OR DELETE ON human_resource
+    FOR EACH ROW
+    EXECUTE FUNCTION trigger_notify_live_update();
+
+DROP TRIGGER IF EXISTS notify_live_update_settings ON settings;
+CREATE TRIGGER notify_live_update_settings
+    AFTER INSERT OR UPDATE OR DELETE ON settings
+    FOR EACH ROW
+    EXECUTE FUNCTION trigger_notify_live_update();
+
+COMMENT ON FUNCTION live_update_payload IS 'Builds the live_updates notification for a changed shifts, unavailable_staff_daily, human_resource or settings row';
+COMMENT ON FUNCTION trigger_notify_live_update IS 'Trigger function that sends changed rows on the live_updates channel - the server pushes them to open rota grids over Server-Sent Events';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the triggers were created successfully
+DO $$
+BEGIN
+    IF (
+        SELECT COUNT(*)
+        FROM pg_trigger
+        WHERE tgname IN (
+            'notify_live_update_shifts',
+            'notify_live_update_unavailable_staff_daily',
+            'notify_live_update_human_resource',
+            'notify_live_update_settings'
+        )
+    ) = 4 THEN
+        RAISE NOTICE '✅ Migration 024: live update triggers created successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 024: Live update triggers not found';
+    END IF;
+END $$;
+
+-- Show trigger information for verification
+SELECT
+    tgname as trigger_name,
+    tgrelid::regclass as table_name,
+    tgenabled as enabled
+FROM pg_trigger
+WHERE tgname LIKE 'notify_live_update_%'
+ORDER BY tgname;
@@ -0,0 +1,109 @@
+-- =====================================================
+-- Migration 025: Add Row Versions
+-- =====================================================
+-- This migration adds a version number to shifts, staff members and
+-- daily unavailability so two team leaders editing the same rota cannot
+-- silently overwrite each other.
+--
+-- version starts at 1 and goes up by one on every update (trigger). The
+-- API returns it with each row and as an ETag ("3"); edits sent with an
+-- If-Match header (or expectedVersions for a rota cell save) are refused
+-- with 409 Conflict and the current row when the version has moved on.
+-- An unavailability date with no row counts as version 0.
+-- =====================================================
+
+-- Add version to shifts, human_resource and unavailable_staff_daily
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'shifts' AND column_name = 'version'
+    ) THEN
+        ALTER TABLE shifts ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'human_resource' AND column_name = 'version'
+    ) THEN
+        ALTER TABLE human_resource ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'unavailable_staff_daily' AND column_name = 'version'
+    ) THEN
+        ALTER TABLE unavailable_staff_daily ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+    END IF;
+END $$;
+
+-- Trigger function to move a row to its next version on every update
+CREATE OR REPLACE FUNCTION increment_row_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.version := OLD.version + 1;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS increment_shifts_version ON shifts;
+CREATE TRIGGER increment_shifts_version
+    BEFORE UPDATE ON shifts
+    FOR EACH ROW
+    EXECUTE FUNCTION increment_row_version();
+
+DROP TRIGGER IF EXISTS increment_human_resource_version ON human_resource;
+CREATE TRIGGER increment_human_resource_version
+    BEFORE UPDATE ON human_resource
+    FOR EACH ROW
+    EXECUTE FUNCTION increment_row_version();
+
+DROP TRIGGER IF EXISTS increment_unavailable_staff_daily_version ON unavailable_staff_daily;
+CREATE TRIGGER increment_unavailable_staff_daily_version
+    BEFORE UPDATE ON unavailable_staff_daily
+    FOR EACH ROW
+    EXECUTE FUNCTION increment_row_version();
+
+COMMENT ON FUNCTION increment_row_version IS 'Trigger function that adds one to the row''s version on every update - used for If-Match checks on shifts, staff and unavailability';
+COMMENT ON COLUMN shifts.version IS 'Row version (1 when created, +1 per update) - edits sent with an older version get 409 Conflict';
+COMMENT ON COLUMN human_resource.version IS 'Row version (1 when created, +1 per update) - edits sent with an older version get 409 Conflict';
+COMMENT ON COLUMN unavailable_staff_daily.version IS 'Row version (1 when created, +1 per update) - a date with no row is version 0';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the columns and triggers were created successfully
+DO $$
+BEGIN
+    IF (
+        SELECT COUNT(*)
+        FROM information_schema.columns
+        WHERE column_name = 'version'
+          AND table_name IN ('shifts', 'human_resource', 'unavailable_staff_daily')
+    ) = 3 AND (
+        SELECT COUNT(*)
+        FROM pg_trigger
+        WHERE tgname IN (
+            'increment_shifts_version',
+            'increment_human_resource_version',
+            'increment_unavailable_staff_daily_version'
+        )
+    ) = 3 THEN
+        RAISE NOTICE '✅ Migration 025: row version columns and triggers created successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 025: Row version columns or triggers not found';
+    END IF;
+END $$;
+
+-- Show trigger information for verification
+SELECT
+    tgname as trigger_name,
+    tgrelid::regclass as table_name,
+    tgenabled as enabled
+FROM pg_trigger
+WHERE tgname LIKE 'increment_%_version'
+ORDER BY tgname;
@@ -0,0 +1,140 @@
+-- =====================================================
+-- Migration 026: Add Notification Outbox
+-- =====================================================
+-- This migration adds an outbox of email notifications for staff members
+-- and their notification preferences.
+--
+-- The server adds a row to notification_outbox in the same transaction
+-- as the change it describes, so a notification is only sent for a change
+-- that was committed:
+--   shift_created                 - a shift was added for the staff member
+--   shift_removed                 - one of their shifts was removed
+--   flag_changed                  - a flag or the notes of their shift changed
+--   holiday_entitlement_exhausted - their holiday for the year is used up
+--   change_request_applied        - a scheduled change (pay rate, hours,
+--                                   role...) took effect
+-- Work shifts of a draft rota are not notified (staff cannot see them).
+--
+-- A background worker sends pending rows over SMTP. Messages for one
+-- staff member are sent together as one email (digest): straight after
+-- the batching window, or once a day when they chose a daily digest.
+-- Failed sends are retried with a growing delay until max attempts.
+-- Staff members without an email address, with email turned off or who
+-- muted the event type get status 'skipped'.
+-- =====================================================
+
+-- Create notification_preferences table (one row per staff member)
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    staff_id UUID PRIMARY KEY REFERENCES human_resource(unique_id) ON DELETE CASCADE,
+    email TEXT,
+    email_enabled BOOLEAN NOT NULL DEFAULT true,
+    digest TEXT NOT NULL DEFAULT 'immediate' CHECK (digest IN ('immediate', 'daily')),
+    muted_event_types TEXT[] NOT NULL DEFAULT '{}',
+    last_digest_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+-- Create notification_outbox table
+CREATE TABLE IF NOT EXISTS notification_outbox (
+    notification_id UUID PRIMARY KEY,
+    staff_id UUID NOT NULL REFERENCES human_resource(unique_id) ON DELETE CASCADE,
+    staff_name TEXT NOT NULL,
+    event_type TEXT NOT NULL CHECK (event_type IN (
+        'shift_created', 'shift_removed', 'flag_changed',
+        'holiday_entitlement_exhausted', 'change_request_applied'
+    )),
+    subject TEXT NOT NULL,
+    body TEXT NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed', 'skipped')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+ALTER TABLE notification_preferences REPLICA IDENTITY FULL;
+ALTER TABLE notification_outbox REPLICA IDENTITY FULL;
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_pending ON notification_outbox(staff_id, next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_created_at ON notification_outbox(created_at);
+
+-- Notification UUID generation
+-- Natural key: staff_id + event_type + created_at + payload (one transaction can queue several
+-- notifications for the same staff member, e.g. a cleared week)
+CREATE OR REPLACE FUNCTION uuid_notification(staff_id UUID, event_type TEXT, created_at TIMESTAMPTZ, payload JSONB)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    seed_value := 'notification:' ||
+                  COALESCE(staff_id::TEXT, '') || ':' ||
+                  COALESCE(event_type, '') || ':' ||
+                  COALESCE(created_at::TEXT, '') || ':' ||
+                  md5(COALESCE(payload::TEXT, ''));
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_notification IS 'Generates deterministic UUID for notification_outbox table based on staff_id, event_type, created_at and payload. Used for database synchronization.';
+
+-- Trigger function to automatically generate deterministic UUID for notification_outbox
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_notification_outbox()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.notification_id IS NULL THEN
+        NEW.notification_id := uuid_notification(NEW.staff_id, NEW.event_type, NEW.created_at, NEW.payload);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_notification_outbox ON notification_outbox;
+
+CREATE TRIGGER trigger_deterministic_uuid_notification_outbox
+    BEFORE INSERT ON notification_outbox
+    FOR EACH ROW
+    WHEN (NEW.notification_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_notification_outbox();
+
+COMMENT ON TABLE notification_preferences IS 'Email notification settings per staff member - address, on/off, immediate or daily digest and muted event types';
+COMMENT ON COLUMN notification_preferences.digest IS 'immediate = sent after the batching window (NOTIFICATION_BATCH_SECONDS), daily = one email a day at NOTIFICATION_DIGEST_HOUR';
+COMMENT ON COLUMN notification_preferences.muted_event_types IS 'Event types the staff member does not want emails for (their notifications are marked skipped)';
+COMMENT ON TABLE notification_outbox IS 'Email notifications queued with the change they describe and sent over SMTP by the notification worker';
+COMMENT ON COLUMN notification_outbox.status IS 'pending (waiting or retrying), sent, failed (gave up after max attempts) or skipped (no address, email off or event muted)';
+COMMENT ON COLUMN notification_outbox.next_attempt_at IS 'Earliest time the worker sends the notification - end of the batching window, then the retry delay after a failed send';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the tables were created successfully
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'notification_outbox'
+    ) AND EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'notification_preferences'
+    ) THEN
+        RAISE NOTICE '✅ Migration 026: notification_outbox and notification_preferences tables created successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 026: Table notification_outbox or notification_preferences not found';
+    END IF;
+END $$;
+
+-- Show notification counts for verification
+SELECT
+    status,
+    COUNT(*) as notification_count
+FROM notification_outbox
+GROUP BY status
+ORDER BY status;
@@ -0,0 +1,132 @@
+-- =====================================================
+-- Migration 027: Add Timesheets
+-- =====================================================
+-- This migration adds timesheets - the actual start and end time of a
+-- shift - and the PINs staff members use to clock in and out at the
+-- kiosk page (kiosk.html).
+--
+-- One timesheet per shift:
+--   open      - clocked in, no end time yet
+--   submitted - start and end recorded, waiting for a team leader
+--   approved  - the actual times are used for pay instead of the rota times
+--   rejected  - the rota times are used for pay
+-- Times come from the kiosk (clock_in_source/clock_out_source = 'kiosk')
+-- or are entered by a team leader ('manual'). Changing an approved
+-- timesheet sends it back for approval.
+--
+-- shift_id has no foreign key on purpose: saving a rota cell deletes and
+-- re-inserts its shifts with the same deterministic ID, which would
+-- cascade away the timesheets. A timesheet whose shift is really gone is
+-- no longer joined to anything and is ignored.
+--
+-- Kiosk PINs are stored as scrypt hashes (like passwords). After 5 wrong
+-- PINs in a row the PIN is locked for 15 minutes.
+-- =====================================================
+
+-- Create timesheets table
+CREATE TABLE IF NOT EXISTS timesheets (
+    timesheet_id UUID PRIMARY KEY,
+    shift_id UUID NOT NULL UNIQUE,
+    staff_name TEXT NOT NULL,
+    actual_start_datetime TIMESTAMPTZ NOT NULL,
+    actual_end_datetime TIMESTAMPTZ,
+    clock_in_source TEXT NOT NULL DEFAULT 'manual' CHECK (clock_in_source IN ('kiosk', 'manual')),
+    clock_out_source TEXT CHECK (clock_out_source IN ('kiosk', 'manual')),
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'submitted', 'approved', 'rejected')),
+    notes TEXT,
+    recorded_by TEXT NOT NULL DEFAULT 'system',
+    decided_by TEXT,
+    decided_at TIMESTAMPTZ,
+    decision_notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT timesheets_actual_times_check CHECK (actual_end_datetime IS NULL OR actual_end_datetime > actual_start_datetime),
+    CONSTRAINT timesheets_end_recorded_check CHECK (status = 'open' OR actual_end_datetime IS NOT NULL)
+);
+
+-- Create kiosk_pins table (one PIN per staff member)
+CREATE TABLE IF NOT EXISTS kiosk_pins (
+    staff_id UUID PRIMARY KEY REFERENCES human_resource(unique_id) ON DELETE CASCADE,
+    pin_hash TEXT NOT NULL,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+ALTER TABLE timesheets REPLICA IDENTITY FULL;
+ALTER TABLE kiosk_pins REPLICA IDENTITY FULL;
+
+CREATE INDEX IF NOT EXISTS idx_timesheets_status ON timesheets(status);
+CREATE INDEX IF NOT EXISTS idx_timesheets_staff_name ON timesheets(staff_name);
+
+-- Timesheet UUID generation
+-- Natural key: shift_id (one timesheet per shift)
+CREATE OR REPLACE FUNCTION uuid_timesheet(shift_id UUID)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    seed_value := 'timesheet:' || COALESCE(shift_id::TEXT, '');
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_timesheet IS 'Generates deterministic UUID for timesheets table based on shift_id. Used for database synchronization.';
+
+-- Trigger function to automatically generate deterministic UUID for timesheets
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_timesheets()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.timesheet_id IS NULL THEN
+        NEW.timesheet_id := uuid_timesheet(NEW.shift_id);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_timesheets ON timesheets;
+
+CREATE TRIGGER trigger_deterministic_uuid_timesheets
+    BEFORE INSERT ON timesheets
+    FOR EACH ROW
+    WHEN (NEW.timesheet_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_timesheets();
+
+COMMENT ON TABLE timesheets IS 'Actual start and end times of shifts from the kiosk or a team leader - approved timesheets replace the rota times for pay';
+COMMENT ON COLUMN timesheets.status IS 'open (clocked in), submitted (waiting for approval), approved (actual times paid) or rejected (rota times paid)';
+COMMENT ON COLUMN timesheets.clock_in_source IS 'kiosk = clocked in with a PIN on kiosk.html, manual = entered by a team leader';
+COMMENT ON TABLE kiosk_pins IS 'Kiosk clock-in PINs per staff member - only a scrypt hash is stored, locked for a while after repeated wrong PINs';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the tables were created successfully
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'timesheets'
+    ) AND EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'kiosk_pins'
+    ) THEN
+        RAISE NOTICE '✅ Migration 027: timesheets and kiosk_pins tables created successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 027: Table timesheets or kiosk_pins not found';
+    END IF;
+END $$;
+
+-- Show timesheet counts for verification
+SELECT
+    status,
+    COUNT(*) as timesheet_count
+FROM timesheets
+GROUP BY status
+ORDER BY status;
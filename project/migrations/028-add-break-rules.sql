@@ -0,0 +1,116 @@
+-- =====================================================
+-- Migration 028: Add Break Rules Table
+-- =====================================================
+-- This migration adds unpaid break rules. Shift hours used to be the
+-- raw difference between start and end, so a 12 hour day was paid as
+-- 12 hours even when the break is unpaid.
+--
+-- A rule deducts unpaid_minutes from work shifts longer than
+-- min_shift_hours, for example 30 minutes unpaid over 6 hours. The rule
+-- with the highest min_shift_hours below the shift length applies.
+-- shift_type NULL applies to every work shift type; a shift type with
+-- rules of its own only uses those (add a 0 minute rule to exempt it).
+--
+-- The break is paid instead when the shift has one of the rule's
+-- paid_flags, for example {solo_shift} - a lone worker cannot take an
+-- unpaid break. Holiday and sick leave never have breaks deducted.
+--
+-- calculateHistoricalPay, the shift APIs (paid_hours), the payroll
+-- export and the Shift Summary report paid and unpaid hours separately.
+-- =====================================================
+
+-- Create break_rules table
+CREATE TABLE IF NOT EXISTS break_rules (
+    break_rule_id UUID PRIMARY KEY,
+    shift_type TEXT REFERENCES shift_types(name) ON UPDATE CASCADE ON DELETE CASCADE,
+    min_shift_hours NUMERIC(4,2) NOT NULL DEFAULT 0 CHECK (min_shift_hours >= 0),
+    unpaid_minutes INTEGER NOT NULL CHECK (unpaid_minutes >= 0),
+    paid_flags TEXT[] NOT NULL DEFAULT '{}',
+    notes TEXT DEFAULT '',
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT break_rules_paid_flags_check CHECK (
+        paid_flags <@ ARRAY['solo_shift', 'training', 'short_notice', 'call_out', 'overtime']::TEXT[]
+    )
+);
+
+ALTER TABLE break_rules REPLICA IDENTITY FULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_break_rules_shift_type_hours ON break_rules(COALESCE(shift_type, ''), min_shift_hours);
+
+-- Break Rule UUID generation
+-- Natural key: shift_type + min_shift_hours (unique)
+CREATE OR REPLACE FUNCTION uuid_break_rule(shift_type TEXT, min_shift_hours NUMERIC)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    -- Combine shift_type and min_shift_hours as seed (one rule per shift type and length)
+    seed_value := 'break_rule:' ||
+                  COALESCE(shift_type, '') || ':' ||
+                  COALESCE(ROUND(min_shift_hours, 2)::TEXT, '');
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_break_rule IS 'Generates deterministic UUID for break_rules table based on shift_type and min_shift_hours. Used for database synchronization.';
+
+-- Trigger function to automatically generate deterministic UUID for break_rules
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_break_rules()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.break_rule_id IS NULL THEN
+        NEW.break_rule_id := uuid_break_rule(NEW.shift_type, NEW.min_shift_hours);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_break_rules ON break_rules;
+
+CREATE TRIGGER trigger_deterministic_uuid_break_rules
+    BEFORE INSERT ON break_rules
+    FOR EACH ROW
+    WHEN (NEW.break_rule_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_break_rules();
+
+DROP TRIGGER IF EXISTS update_break_rules_updated_at ON break_rules;
+
+CREATE TRIGGER update_break_rules_updated_at
+    BEFORE UPDATE ON break_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE break_rules IS 'Unpaid break minutes deducted from paid hours of work shifts longer than min_shift_hours, per shift type or for all work shifts';
+COMMENT ON COLUMN break_rules.shift_type IS 'Work shift type the rule applies to - NULL applies to every shift type without rules of its own';
+COMMENT ON COLUMN break_rules.min_shift_hours IS 'The rule applies to shifts longer than this - the rule with the highest value below the shift length wins';
+COMMENT ON COLUMN break_rules.paid_flags IS 'Shift flags (e.g. solo_shift) that make the break paid - nothing is deducted from those shifts';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the table was created successfully
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'break_rules'
+    ) THEN
+        RAISE NOTICE '✅ Migration 028: break_rules table created successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 028: Table break_rules not found';
+    END IF;
+END $$;
+
+-- Show break rules for verification
+SELECT
+    shift_type,
+    min_shift_hours,
+    unpaid_minutes,
+    paid_flags
+FROM break_rules
+ORDER BY shift_type NULLS FIRST, min_shift_hours;
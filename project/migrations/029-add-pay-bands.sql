@@ -0,0 +1,198 @@
+-- =====================================================
+-- Migration 029: Add Time-Band Pay Premiums
+-- =====================================================
+-- This migration adds pay bands - premiums for the part of a work shift
+-- that falls in a time band - and the bank holiday calendar they use.
+-- Shift flags (pay_rules) apply to the whole shift; a band only applies
+-- to the hours inside it, for example:
+--   Night premium  every day    22:00-06:00  +£1.00 per hour
+--   Sunday         Sunday       00:00-00:00  1.5x (time-and-a-half)
+--   Bank holiday   bank holiday 00:00-00:00  2x (double time)
+--
+-- Times are Europe/London wall-clock times. An end time at or before the
+-- start time runs into the next day (00:00-00:00 is the whole day), and
+-- day_of_week/bank_holiday refer to the day the band starts. On DST
+-- changeover nights a 22:00-06:00 band is 7 or 9 hours long.
+--
+-- Where bands overlap, the highest multiplier band wins and per-hour
+-- premiums are added on top. A multiplier band combines with the shift's
+-- flag multiplier using the pay rule's combine mode (highest or stack).
+-- Unpaid breaks (break_rules) are spread evenly over the shift.
+-- Holiday and sick leave shifts get no band premiums.
+--
+-- Bank holidays for England and Wales 2025-2027 are seeded; check them
+-- against https://www.gov.uk/bank-holidays and add later years.
+-- =====================================================
+
+-- Create pay_bands table
+CREATE TABLE IF NOT EXISTS pay_bands (
+    pay_band_id UUID PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    day_of_week INTEGER CHECK (day_of_week BETWEEN 1 AND 7),
+    bank_holiday BOOLEAN NOT NULL DEFAULT false,
+    start_time TIME NOT NULL DEFAULT '00:00',
+    end_time TIME NOT NULL DEFAULT '00:00',
+    premium_type TEXT NOT NULL DEFAULT 'multiplier' CHECK (premium_type IN ('multiplier', 'per_hour')),
+    premium NUMERIC(6,2) NOT NULL CHECK (premium > 0),
+    effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+    effective_to DATE,
+    notes TEXT DEFAULT '',
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+    CONSTRAINT pay_bands_day_check CHECK (NOT bank_holiday OR day_of_week IS NULL),
+    CONSTRAINT pay_bands_multiplier_check CHECK (premium_type <> 'multiplier' OR premium >= 1),
+    CONSTRAINT pay_bands_effective_check CHECK (effective_to IS NULL OR effective_to >= effective_from)
+);
+
+-- Create bank_holidays table
+CREATE TABLE IF NOT EXISTS bank_holidays (
+    bank_holiday_id UUID PRIMARY KEY,
+    holiday_date DATE NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+);
+
+ALTER TABLE pay_bands REPLICA IDENTITY FULL;
+ALTER TABLE bank_holidays REPLICA IDENTITY FULL;
+
+-- Pay Band UUID generation
+-- Natural key: name (unique)
+CREATE OR REPLACE FUNCTION uuid_pay_band(name TEXT)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    seed_value := 'pay_band:' || COALESCE(name, '');
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_pay_band IS 'Generates deterministic UUID for pay_bands table based on name. Used for database synchronization.';
+
+-- Bank Holiday UUID generation
+-- Natural key: holiday_date (unique)
+CREATE OR REPLACE FUNCTION uuid_bank_holiday(holiday_date DATE)
+RETURNS UUID AS $$
+DECLARE
+    app_namespace_uuid UUID := '6ba7b810-9dad-11d1-80b4-00c04fd430c8';
+    seed_value TEXT;
+BEGIN
+    seed_value := 'bank_holiday:' || COALESCE(holiday_date::TEXT, '');
+
+    RETURN generate_uuid_v5(app_namespace_uuid, seed_value);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION uuid_bank_holiday IS 'Generates deterministic UUID for bank_holidays table based on holiday_date. Used for database synchronization.';
+
+-- Trigger function to automatically generate deterministic UUID for pay_bands
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_pay_bands()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.pay_band_id IS NULL THEN
+        NEW.pay_band_id := uuid_pay_band(NEW.name);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to automatically generate deterministic UUID for bank_holidays
+CREATE OR REPLACE FUNCTION trigger_generate_deterministic_uuid_bank_holidays()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Generate deterministic UUID if not provided
+    IF NEW.bank_holiday_id IS NULL THEN
+        NEW.bank_holiday_id := uuid_bank_holiday(NEW.holiday_date);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_pay_bands ON pay_bands;
+
+CREATE TRIGGER trigger_deterministic_uuid_pay_bands
+    BEFORE INSERT ON pay_bands
+    FOR EACH ROW
+    WHEN (NEW.pay_band_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_pay_bands();
+
+DROP TRIGGER IF EXISTS trigger_deterministic_uuid_bank_holidays ON bank_holidays;
+
+CREATE TRIGGER trigger_deterministic_uuid_bank_holidays
+    BEFORE INSERT ON bank_holidays
+    FOR EACH ROW
+    WHEN (NEW.bank_holiday_id IS NULL)
+    EXECUTE FUNCTION trigger_generate_deterministic_uuid_bank_holidays();
+
+DROP TRIGGER IF EXISTS update_pay_bands_updated_at ON pay_bands;
+
+CREATE TRIGGER update_pay_bands_updated_at
+    BEFORE UPDATE ON pay_bands
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Seed England and Wales bank holidays
+INSERT INTO bank_holidays (holiday_date, name) VALUES
+    ('2025-01-01', 'New Year''s Day'),
+    ('2025-04-18', 'Good Friday'),
+    ('2025-04-21', 'Easter Monday'),
+    ('2025-05-05', 'Early May bank holiday'),
+    ('2025-05-26', 'Spring bank holiday'),
+    ('2025-08-25', 'Summer bank holiday'),
+    ('2025-12-25', 'Christmas Day'),
+    ('2025-12-26', 'Boxing Day'),
+    ('2026-01-01', 'New Year''s Day'),
+    ('2026-04-03', 'Good Friday'),
+    ('2026-04-06', 'Easter Monday'),
+    ('2026-05-04', 'Early May bank holiday'),
+    ('2026-05-25', 'Spring bank holiday'),
+    ('2026-08-31', 'Summer bank holiday'),
+    ('2026-12-25', 'Christmas Day'),
+    ('2026-12-28', 'Boxing Day (substitute day)'),
+    ('2027-01-01', 'New Year''s Day'),
+    ('2027-03-26', 'Good Friday'),
+    ('2027-03-29', 'Easter Monday'),
+    ('2027-05-03', 'Early May bank holiday'),
+    ('2027-05-31', 'Spring bank holiday'),
+    ('2027-08-30', 'Summer bank holiday'),
+    ('2027-12-27', 'Christmas Day (substitute day)'),
+    ('2027-12-28', 'Boxing Day (substitute day)')
+ON CONFLICT (holiday_date) DO NOTHING;
+
+COMMENT ON TABLE pay_bands IS 'Time-band pay premiums (nights, weekends, bank holidays) for the hours of a work shift inside the band, in Europe/London time';
+COMMENT ON COLUMN pay_bands.day_of_week IS 'ISO day of week the band starts on (1 = Monday .. 7 = Sunday) - NULL every day (or bank holidays only when bank_holiday is true)';
+COMMENT ON COLUMN pay_bands.end_time IS 'Wall-clock end time - at or before start_time runs into the next day (00:00-00:00 is the whole day)';
+COMMENT ON COLUMN pay_bands.premium IS 'multiplier: rate multiplier for the band hours (1.5 = time-and-a-half); per_hour: pounds added per band hour';
+COMMENT ON TABLE bank_holidays IS 'Bank holiday calendar used by pay bands with bank_holiday = true';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the tables were created successfully
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'pay_bands'
+    ) AND EXISTS (
+        SELECT 1
+        FROM information_schema.tables
+        WHERE table_name = 'bank_holidays'
+    ) THEN
+        RAISE NOTICE '✅ Migration 029: pay_bands and bank_holidays tables created successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 029: Table pay_bands or bank_holidays not found';
+    END IF;
+END $$;
+
+-- Show bank holidays for verification
+SELECT
+    EXTRACT(YEAR FROM holiday_date) as year,
+    COUNT(*) as bank_holiday_count
+FROM bank_holidays
+GROUP BY EXTRACT(YEAR FROM holiday_date)
+ORDER BY year;
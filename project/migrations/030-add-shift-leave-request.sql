@@ -0,0 +1,68 @@
+-- =====================================================
+-- Migration 030: Link HOLIDAY Shifts to Their Leave Request
+-- =====================================================
+-- This migration records which leave request an approved HOLIDAY shift
+-- was created by (shifts.leave_request_id).
+--
+-- Cancelling an approved request removes only the shifts its approval
+-- created. HOLIDAY shifts entered on the rota by hand (or created by
+-- another request) in the same dates are left alone.
+--
+-- Existing shifts are linked to the approved request whose approval
+-- created them: the approval inserts the shifts in the same transaction
+-- that sets decided_at, so their created_at matches it exactly.
+-- =====================================================
+
+-- Add leave_request_id to shifts
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'shifts' AND column_name = 'leave_request_id'
+    ) THEN
+        ALTER TABLE shifts ADD COLUMN leave_request_id UUID REFERENCES leave_requests(leave_request_id) ON DELETE SET NULL;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_shifts_leave_request_id ON shifts(leave_request_id) WHERE leave_request_id IS NOT NULL;
+
+-- Link the HOLIDAY shifts of already approved requests
+UPDATE shifts s
+SET leave_request_id = lr.leave_request_id
+FROM leave_requests lr
+WHERE s.leave_request_id IS NULL
+  AND lr.status = 'approved'
+  AND s.staff_name = lr.staff_name
+  AND s.shift_type = 'HOLIDAY'
+  AND (s.shift_start_datetime AT TIME ZONE 'Europe/London')::date BETWEEN lr.start_date AND lr.end_date
+  AND s.created_at = lr.decided_at;
+
+COMMENT ON COLUMN shifts.leave_request_id IS 'Leave request whose approval created this HOLIDAY shift - cancelling the request removes it (NULL for shifts added on the rota)';
+
+-- =====================================================
+-- Verification
+-- =====================================================
+
+-- Verify the column was created successfully
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'shifts' AND column_name = 'leave_request_id'
+    ) THEN
+        RAISE NOTICE '✅ Migration 030: shifts.leave_request_id created successfully';
+    ELSE
+        RAISE EXCEPTION '❌ Migration 030: Column shifts.leave_request_id not found';
+    END IF;
+END $$;
+
+-- Show linked HOLIDAY shifts for verification
+SELECT
+    lr.status,
+    COUNT(s.id) as linked_shift_count
+FROM leave_requests lr
+LEFT JOIN shifts s ON s.leave_request_id = lr.leave_request_id
+GROUP BY lr.status
+ORDER BY lr.status;
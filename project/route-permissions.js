@@ -0,0 +1,121 @@
+// Route permissions for the API
+// Used by the authorizeApiRequest middleware in server.js (and test-route-permissions.js)
+
+// Access levels - a higher level can use every route a lower level can
+// 'team leader' and 'staff member' come from human_resource.role,
+// 'admin' from user_accounts.is_admin
+const ACCESS_LEVELS = {
+  'public': 0,
+  'staff member': 1,
+  'team leader': 2,
+  'admin': 3
+};
+
+// Route permissions (first match wins, routes not listed need 'team leader')
+// path: Express-style pattern (':param' segments, trailing '*' matches the rest)
+// owner: staff members may only use the route for their own record
+//   source/key: where the staff member is identified in the request (params, query or body)
+//   matches: the session field it must equal ('staffName' or 'staffId')
+const ROUTE_PERMISSIONS = [
+  // Public routes
+  { method: 'GET', path: '/api/test', access: 'public' },
+  { method: 'GET', path: '/api/auth/status', access: 'public' },
+  { method: 'POST', path: '/api/auth/login', access: 'public' },
+  { method: 'POST', path: '/api/auth/logout', access: 'public' },
+  { method: 'POST', path: '/api/auth/setup', access: 'public' },
+  // Calendar feeds are read by calendar apps without a session - the ?token= is checked in the route
+  { method: 'GET', path: '/api/calendar/*', access: 'public' },
+  // The kiosk page has no session - the staff member's PIN is checked in the route
+  { method: 'GET', path: '/api/kiosk/staff', access: 'public' },
+  { method: 'POST', path: '/api/kiosk/clock', access: 'public' },
+  
+  // Admin only - destructive and maintenance routes
+  { method: 'DELETE', path: '/api/shifts/clear', access: 'admin' },
+  { method: '*', path: '/api/migrate/*', access: 'admin' },
+  { method: '*', path: '/api/setup/*', access: 'admin' },
+  { method: '*', path: '/api/debug/*', access: 'admin' },
+  { method: 'GET', path: '/api/test-timezone', access: 'admin' },
+  { method: '*', path: '/api/auth/accounts*', access: 'admin' },
+  { method: 'POST', path: '/api/notifications/process', access: 'admin' },
+  { method: 'POST', path: '/api/notifications/test', access: 'admin' },
+  
+  // Staff members - own account
+  { method: 'GET', path: '/api/auth/me', access: 'staff member' },
+  { method: 'PUT', path: '/api/auth/password', access: 'staff member' },
+  
+  // Staff members - reference data needed to display their shifts and pay
+  { method: 'GET', path: '/api/periods', access: 'staff member' },
+  { method: 'GET', path: '/api/shift-types', access: 'staff member' },
+  { method: 'GET', path: '/api/shift-types/:id', access: 'staff member' },
+  { method: 'GET', path: '/api/pay-rules', access: 'staff member' },
+  { method: 'GET', path: '/api/pay-rules/effective', access: 'staff member' },
+  { method: 'GET', path: '/api/break-rules', access: 'staff member' },
+  { method: 'GET', path: '/api/pay-bands', access: 'staff member' },
+  { method: 'GET', path: '/api/bank-holidays', access: 'staff member' },
+  { method: 'GET', path: '/api/settings', access: 'staff member' },
+  { method: 'GET', path: '/api/financial-year/dates', access: 'staff member' },
+  
+  // Staff members - their own shifts, entitlements and pay
+  { method: 'GET', path: '/api/staff/:id', access: 'staff member', owner: { source: 'params', key: 'id', matches: 'staffId' } },
+  { method: 'GET', path: '/api/shifts/staff/:staffName', access: 'staff member', owner: { source: 'params', key: 'staffName', matches: 'staffName' } },
+  { method: 'GET', path: '/api/shifts/employee/:staffName', access: 'staff member', owner: { source: 'params', key: 'staffName', matches: 'staffName' } },
+  { method: 'GET', path: '/api/time-off/holiday-entitlements/:staffId', access: 'staff member', owner: { source: 'params', key: 'staffId', matches: 'staffId' } },
+  { method: 'GET', path: '/api/time-off/holiday-entitlements/:staffId/status', access: 'staff member', owner: { source: 'params', key: 'staffId', matches: 'staffId' } },
+  { method: 'POST', path: '/api/staff/historical-pay', access: 'staff member', owner: { source: 'body', key: 'staff_name', matches: 'staffName' } },
+  { method: 'POST', path: '/api/staff/historical-holiday-pay', access: 'staff member', owner: { source: 'body', key: 'staff_name', matches: 'staffName' } },
+  { method: 'GET', path: '/api/leave-requests/staff/:staffName', access: 'staff member', owner: { source: 'params', key: 'staffName', matches: 'staffName' } },
+  { method: 'POST', path: '/api/leave-requests', access: 'staff member', owner: { source: 'body', key: 'staff_name', matches: 'staffName' } },
+  // Ownership is checked in the route (the request ID does not name the staff member)
+  { method: 'PUT', path: '/api/leave-requests/:id/cancel', access: 'staff member' },
+  { method: 'GET', path: '/api/shift-swaps/open', access: 'staff member' },
+  { method: 'GET', path: '/api/shift-swaps/staff/:staffName', access: 'staff member', owner: { source: 'params', key: 'staffName', matches: 'staffName' } },
+  { method: 'POST', path: '/api/shift-swaps', access: 'staff member', owner: { source: 'body', key: 'staff_name', matches: 'staffName' } },
+  { method: 'PUT', path: '/api/shift-swaps/:id/accept', access: 'staff member', owner: { source: 'body', key: 'staff_name', matches: 'staffName' } },
+  // Ownership is checked in the route (the swap ID does not name the staff member)
+  { method: 'PUT', path: '/api/shift-swaps/:id/cancel', access: 'staff member' },
+  { method: 'GET', path: '/api/open-shifts/staff/:staffName', access: 'staff member', owner: { source: 'params', key: 'staffName', matches: 'staffName' } },
+  { method: 'POST', path: '/api/open-shifts/:id/volunteers', access: 'staff member', owner: { source: 'body', key: 'staff_name', matches: 'staffName' } },
+  { method: 'DELETE', path: '/api/open-shifts/:id/volunteers/:staffName', access: 'staff member', owner: { source: 'params', key: 'staffName', matches: 'staffName' } },
+  { method: '*', path: '/api/calendar/:staffId/link', access: 'staff member', owner: { source: 'params', key: 'staffId', matches: 'staffId' } },
+  { method: 'GET', path: '/api/periods/:periodId/staff/:staffId/rota.pdf', access: 'staff member', owner: { source: 'params', key: 'staffId', matches: 'staffId' } },
+  { method: '*', path: '/api/notifications/preferences/:staffId', access: 'staff member', owner: { source: 'params', key: 'staffId', matches: 'staffId' } },
+  { method: 'GET', path: '/api/kiosk/pins/:staffId', access: 'staff member', owner: { source: 'params', key: 'staffId', matches: 'staffId' } },
+  { method: 'PUT', path: '/api/kiosk/pins/:staffId', access: 'staff member', owner: { source: 'params', key: 'staffId', matches: 'staffId' } }
+].map(rule => ({ ...rule, pattern: compileRoutePattern(rule.path) }));
+
+const DEFAULT_ROUTE_ACCESS = 'team leader';
+
+// Helper function to turn an Express-style path into a RegExp with named groups
+// Case-insensitive like Express routing - /api/Shifts/clear reaches the same handler as /api/shifts/clear
+function compileRoutePattern(routePath) {
+  const source = routePath
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        return `(?<${segment.substring(1)}>[^/]+)`;
+      }
+      return segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*$/, '.*');
+    })
+    .join('/');
+  return new RegExp(`^${source}/?$`, 'i');
+}
+
+// Helper function to find the permission rule for a request
+function findRoutePermission(method, requestPath) {
+  for (const rule of ROUTE_PERMISSIONS) {
+    if (rule.method !== '*' && rule.method !== method) continue;
+    const match = requestPath.match(rule.pattern);
+    if (match) {
+      return { rule, params: match.groups || {} };
+    }
+  }
+  return { rule: { access: DEFAULT_ROUTE_ACCESS }, params: {} };
+}
+
+module.exports = {
+  ACCESS_LEVELS,
+  ROUTE_PERMISSIONS,
+  DEFAULT_ROUTE_ACCESS,
+  compileRoutePattern,
+  findRoutePermission
+};
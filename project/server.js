@@ -2,17 +2,24 @@
 require('dotenv').config();
 
 const express = require('express');
-const { Pool } = require('pg');
+const { Pool, Client } = require('pg');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
+const puppeteer = require('puppeteer');
+const nodemailer = require('nodemailer');
 const config = require('./config');
+const { ACCESS_LEVELS, compileRoutePattern, findRoutePermission } = require('./route-permissions');
 const dbConfig = config.db;
+const authConfig = config.auth;
+const notificationConfig = config.notifications;
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
-app.use(cors());
+// Only the configured origins may call the API from a browser (session cookie included)
+app.use(cors({ origin: authConfig.corsOrigins, credentials: true, exposedHeaders: ['ETag'] }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.static(path.join(__dirname)));
 
@@ -158,23 +165,63 @@ function getCacheKey(staffName, calculationDate) {
 }
 
 // Function to calculate historical pay based on role history (optimized)
-async function calculateHistoricalPay(staffName, calculationDate, hoursWorked = null, shiftFlags = {}) {
+// With a shiftId the shift's own hours, type and flags are used - its approved timesheet's actual
+// hours when there is one, otherwise the rota hours (hoursWorked is ignored)
+// Unpaid breaks (break_rules) are deducted from hoursWorked - base_pay and weekly_pay are for the
+// paid hours. The contracted-hours default has no breaks deducted.
+// Time-band premiums (pay_bands) need the shift's times, so they are only priced with a shiftId -
+// the result then has time_bands and time_band_pay, and weekly_pay includes them
+async function calculateHistoricalPay(staffName, calculationDate, hoursWorked = null, shiftFlags = {}, shiftId = null, shiftType = null) {
   try {
+    let shiftPayHours = null;
+    if (shiftId) {
+      shiftPayHours = await getShiftPayHours(shiftId);
+      if (!shiftPayHours || shiftPayHours.staffName !== staffName) {
+        throw new Error(`Shift ${shiftId} not found for ${staffName}`);
+      }
+      hoursWorked = shiftPayHours.hours;
+      shiftType = shiftPayHours.shiftType;
+      if (Object.keys(shiftFlags).length === 0) shiftFlags = shiftPayHours.flags;
+    }
+    
+    let breakSplit = null;
+    let payBandHours = null;
+    if (hoursWorked) {
+      const shiftTypeRow = shiftType ? await findShiftType(shiftType) : null;
+      const category = shiftTypeRow ? shiftTypeRow.category : 'work';
+      breakSplit = splitShiftHours(await getBreakRules(), {
+        ...shiftFlags,
+        shift_type: shiftType,
+        category: category
+      }, hoursWorked);
+      
+      if (shiftPayHours) {
+        payBandHours = category === 'work'
+          ? splitShiftPayBands(await getPayBands(), await getBankHolidayDates(), shiftPayHours.workedStart, shiftPayHours.workedEnd, breakSplit.paidHours / hoursWorked)
+          : [];
+      }
+    }
+    
     // Check cache first
     const cacheKey = getCacheKey(staffName, calculationDate);
     const cached = historicalPayRateCache.get(cacheKey);
     if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
       // Return cached result with updated hours/flags if needed
       const result = { ...cached.data };
-      if (hoursWorked !== null) result.hours_worked = hoursWorked;
-      if (Object.keys(shiftFlags).length > 0) {
+      if (hoursWorked) result.hours_worked = hoursWorked;
+      if (hoursWorked || Object.keys(shiftFlags).length > 0) {
         result.shift_flags = shiftFlags;
-        // Recalculate pay with new flags
-        const multiplier = calculateMultiplier(shiftFlags);
+        Object.assign(result, getBreakPayFields(result.hours_worked, breakSplit));
+        // Recalculate pay with new hours/flags (using the pay rule in force on this date)
+        const payRule = await getPayRuleForDate(calculationDate);
+        const multiplier = calculateMultiplier(shiftFlags, payRule);
         result.multiplier = multiplier;
-        result.weekly_pay = Math.round((result.effective_pay_rate * (hoursWorked || result.hours_worked)) * multiplier * 100) / 100;
+        result.pay_rule_effective_from = payRule.effective_from;
+        result.base_pay = Math.round(result.effective_pay_rate * result.paid_hours * 100) / 100;
+        result.weekly_pay = Math.round((result.effective_pay_rate * result.paid_hours) * multiplier * 100) / 100;
+        return addShiftPayHours(addPayBandPay(result, payBandHours, payRule), shiftId, shiftPayHours);
       }
-      return result;
+      return addShiftPayHours(result, shiftId, shiftPayHours);
     }
     
     // Get current staff info and pay rate history in a single optimized query
@@ -230,11 +277,13 @@ async function calculateHistoricalPay(staffName, calculationDate, hoursWorked =
     }
     
     const actualHours = hoursWorked || parseFloat(currentStaff.contracted_hours) || 12;
+    const breakPayFields = getBreakPayFields(actualHours, breakSplit);
     
-    // Calculate pay with multipliers based on shift flags
-    const multiplier = calculateMultiplier(shiftFlags);
+    // Calculate pay with multipliers based on shift flags (using the pay rule in force on this date)
+    const payRule = await getPayRuleForDate(calculationDate);
+    const multiplier = calculateMultiplier(shiftFlags, payRule);
     
-    const basePay = effectivePayRate * actualHours;
+    const basePay = effectivePayRate * breakPayFields.paid_hours;
     const weeklyPay = basePay * multiplier;
     
     const result = {
@@ -243,50 +292,474 @@ async function calculateHistoricalPay(staffName, calculationDate, hoursWorked =
       pay_rate: effectivePayRate.toString(),
       contracted_hours: currentStaff.contracted_hours,
       hours_worked: actualHours,
+      ...breakPayFields,
       base_pay: Math.round(basePay * 100) / 100,
       multiplier: multiplier,
       weekly_pay: Math.round(weeklyPay * 100) / 100,
       calculation_date: calculationDate,
       effective_rate_date: effectiveRateDate,
+      pay_rule_effective_from: payRule.effective_from,
       shift_flags: shiftFlags
     };
     
-    // Cache the result (without shift flags for base rate)
-    if (Object.keys(shiftFlags).length === 0) {
+    // Cache the result (base rate only - without shift hours or flags)
+    if (!hoursWorked && Object.keys(shiftFlags).length === 0) {
       historicalPayRateCache.set(cacheKey, {
         data: { ...result },
         timestamp: Date.now()
       });
     }
     
-    return result;
+    return addShiftPayHours(addPayBandPay(result, payBandHours, payRule), shiftId, shiftPayHours);
   } catch (error) {
     console.error('❌ Error calculating historical pay:', error);
     throw error;
   }
 }
 
-// Helper function to calculate multiplier from shift flags
-function calculateMultiplier(shiftFlags) {
-  let multiplier = 1.0;
+// Helper function to get the paid/unpaid hour fields of a historical pay result
+function getBreakPayFields(hours, breakSplit) {
+  const unpaidHours = breakSplit ? breakSplit.unpaidHours : 0;
+  return {
+    paid_hours: Math.round((hours - unpaidHours) * 100) / 100,
+    unpaid_break_hours: Math.round(unpaidHours * 100) / 100,
+    break_rule_id: breakSplit && breakSplit.breakRule ? breakSplit.breakRule.break_rule_id : null,
+    break_paid: breakSplit ? breakSplit.breakIsPaid : false
+  };
+}
+
+// Helper function to add a shift's time-band premiums to a historical pay result (null payBandHours: not priced)
+function addPayBandPay(result, payBandHours, payRule) {
+  if (!payBandHours) {
+    return result;
+  }
+  const timeBands = priceShiftPayBands(payBandHours, result.effective_pay_rate, result.multiplier, payRule);
+  const timeBandPay = Math.round(timeBands.reduce((total, band) => total + band.premium_pay, 0) * 100) / 100;
+  return {
+    ...result,
+    time_bands: timeBands,
+    time_band_pay: timeBandPay,
+    weekly_pay: Math.round((result.weekly_pay + timeBandPay) * 100) / 100
+  };
+}
+
+// Helper function to add where a shift's paid hours came from to a historical pay result
+function addShiftPayHours(result, shiftId, shiftPayHours) {
+  if (!shiftPayHours) {
+    return result;
+  }
+  return {
+    ...result,
+    shift_id: shiftId,
+    hours_source: shiftPayHours.source,
+    planned_hours: Math.round(shiftPayHours.plannedHours * 100) / 100
+  };
+}
+
+// Default pay rule - matches the seeded pay_rules row, used if no rules exist
+const DEFAULT_PAY_RULE = {
+  pay_rule_id: null,
+  effective_from: '2000-01-01',
+  solo_shift_multiplier: 1.75,
+  training_multiplier: 1.75,
+  short_notice_multiplier: 1.75,
+  call_out_multiplier: 2.0,
+  overtime_multiplier: 2.0,
+  combine_mode: 'max'
+};
+
+// Shift flags and the pay_rules column holding each flag's multiplier
+const PAY_RULE_FLAG_COLUMNS = {
+  solo_shift: 'solo_shift_multiplier',
+  training: 'training_multiplier',
+  short_notice: 'short_notice_multiplier',
+  call_out: 'call_out_multiplier',
+  overtime: 'overtime_multiplier'
+};
+
+const PAY_RULE_COLUMNS = `
+  pay_rule_id,
+  TO_CHAR(effective_from, 'YYYY-MM-DD') as effective_from,
+  solo_shift_multiplier,
+  training_multiplier,
+  short_notice_multiplier,
+  call_out_multiplier,
+  overtime_multiplier,
+  combine_mode,
+  notes,
+  created_at,
+  updated_at
+`;
+
+// Server-side cache for pay rules (cleared whenever a rule changes)
+let payRulesCache = null;
+let payRulesCacheTimestamp = 0;
+
+// Helper function to parse a pay_rules row (NUMERIC columns come back as strings)
+function parsePayRule(rule) {
+  const parsedRule = { ...rule };
+  Object.values(PAY_RULE_FLAG_COLUMNS).forEach(column => {
+    parsedRule[column] = parseFloat(rule[column]);
+  });
+  return parsedRule;
+}
+
+// Function to load all pay rules ordered by effective date (cached)
+async function getPayRules() {
+  if (payRulesCache && (Date.now() - payRulesCacheTimestamp) < CACHE_TTL) {
+    return payRulesCache;
+  }
+  
+  const result = await executeQueryWithRetry(`
+    SELECT ${PAY_RULE_COLUMNS}
+    FROM pay_rules
+    ORDER BY effective_from
+  `);
+  
+  payRulesCache = result.rows.map(parsePayRule);
+  payRulesCacheTimestamp = Date.now();
+  return payRulesCache;
+}
+
+// Function to clear the pay rules cache after a rule change
+function clearPayRulesCache() {
+  payRulesCache = null;
+  payRulesCacheTimestamp = 0;
+}
+
+// Function to get the pay rule in force on a date (YYYY-MM-DD, ISO string or Date - a Date is read as its Europe/London day)
+// Dates before the first rule use the earliest rule
+async function getPayRuleForDate(date) {
+  const payRules = await getPayRules();
+  if (payRules.length === 0) {
+    return DEFAULT_PAY_RULE;
+  }
+  
+  const dateKey = date instanceof Date ? getLondonDate(date) : String(date).substring(0, 10);
+  let payRule = payRules[0];
+  payRules.forEach(rule => {
+    if (rule.effective_from <= dateKey) {
+      payRule = rule;
+    }
+  });
+  return payRule;
+}
+
+// Helper function to calculate multiplier from shift flags using a pay rule
+// 'max' mode: highest multiplier of the flags set; 'stack' mode: premiums added (1.75x + 2x = 2.75x)
+function calculateMultiplier(shiftFlags, payRule = DEFAULT_PAY_RULE) {
+  const multipliers = Object.keys(PAY_RULE_FLAG_COLUMNS)
+    .filter(flag => shiftFlags[flag])
+    .map(flag => payRule[PAY_RULE_FLAG_COLUMNS[flag]]);
+  
+  if (multipliers.length === 0) {
+    return 1.0;
+  }
+  
+  if (payRule.combine_mode === 'stack') {
+    const stacked = multipliers.reduce((total, multiplier) => total + (multiplier - 1), 1.0);
+    return Math.round(stacked * 100) / 100;
+  }
+  
+  return Math.max(1.0, ...multipliers);
+}
+
+const BREAK_RULE_COLUMNS = `
+  break_rule_id,
+  shift_type,
+  min_shift_hours,
+  unpaid_minutes,
+  paid_flags,
+  notes,
+  created_at,
+  updated_at
+`;
+
+// Server-side cache for break rules (cleared whenever a rule changes)
+let breakRulesCache = null;
+let breakRulesCacheTimestamp = 0;
+
+// Helper function to parse a break_rules row (NUMERIC columns come back as strings)
+function parseBreakRule(rule) {
+  return {
+    ...rule,
+    min_shift_hours: parseFloat(rule.min_shift_hours)
+  };
+}
+
+// Function to load all break rules, general rules (no shift type) first then by shift length (cached)
+async function getBreakRules() {
+  if (breakRulesCache && (Date.now() - breakRulesCacheTimestamp) < CACHE_TTL) {
+    return breakRulesCache;
+  }
+  
+  const result = await executeQueryWithRetry(`
+    SELECT ${BREAK_RULE_COLUMNS}
+    FROM break_rules
+    ORDER BY shift_type NULLS FIRST, min_shift_hours
+  `);
+  
+  breakRulesCache = result.rows.map(parseBreakRule);
+  breakRulesCacheTimestamp = Date.now();
+  return breakRulesCache;
+}
+
+// Function to clear the break rules cache after a rule change
+function clearBreakRulesCache() {
+  breakRulesCache = null;
+  breakRulesCacheTimestamp = 0;
+}
+
+// Helper function to find the break rule for a shift of a type and length (null if none applies)
+// A shift type with rules of its own only uses those, otherwise the general rules apply;
+// the rule with the highest min_shift_hours below the shift length wins
+function findBreakRule(breakRules, shiftType, hours) {
+  const typeRules = breakRules.filter(rule => rule.shift_type === shiftType);
+  const candidates = typeRules.length > 0 ? typeRules : breakRules.filter(rule => rule.shift_type === null);
+  
+  let breakRule = null;
+  candidates.forEach(rule => {
+    if (hours > rule.min_shift_hours && (!breakRule || rule.min_shift_hours > breakRule.min_shift_hours)) {
+      breakRule = rule;
+    }
+  });
+  return breakRule;
+}
+
+// Helper function to split a shift's hours into paid hours and the unpaid break
+// shift: { shift_type, category, solo_shift, training, ... } - holiday and sick leave have no breaks,
+// and the break is paid when the shift has one of the rule's paid_flags
+function splitShiftHours(breakRules, shift, hours) {
+  const breakRule = shift.category && shift.category !== 'work' ? null : findBreakRule(breakRules, shift.shift_type, hours);
+  const breakIsPaid = !!breakRule && breakRule.paid_flags.some(flag => shift[flag]);
+  const unpaidHours = breakRule && !breakIsPaid ? Math.min(hours, breakRule.unpaid_minutes / 60) : 0;
+  
+  return {
+    paidHours: hours - unpaidHours,
+    unpaidHours: unpaidHours,
+    breakRule: breakRule,
+    breakIsPaid: breakIsPaid
+  };
+}
+
+// Function to add paid_hours, unpaid_break_hours and pay_band_hours to shift rows (worked times, see WORKED_SHIFT_COLUMNS)
+async function addShiftPaidHours(rows) {
+  if (rows.length === 0) {
+    return rows;
+  }
+  
+  const breakRules = await getBreakRules();
+  const shiftTypes = await getShiftTypes();
+  const payBands = await getPayBands();
+  const bankHolidayDates = await getBankHolidayDates();
+  return rows.map(row => {
+    const shiftType = shiftTypes.find(type => type.name === row.shift_type);
+    const category = shiftType ? shiftType.category : 'work';
+    const hours = (new Date(row.worked_end_datetime) - new Date(row.worked_start_datetime)) / (1000 * 60 * 60);
+    const split = splitShiftHours(breakRules, { ...row, category: category }, hours);
+    return {
+      ...row,
+      paid_hours: Math.round(split.paidHours * 100) / 100,
+      unpaid_break_hours: Math.round(split.unpaidHours * 100) / 100,
+      pay_band_hours: category === 'work'
+        ? splitShiftPayBands(payBands, bankHolidayDates, row.worked_start_datetime, row.worked_end_datetime, hours > 0 ? split.paidHours / hours : 1)
+        : []
+    };
+  });
+}
+
+const PAY_BAND_COLUMNS = `
+  pay_band_id,
+  name,
+  day_of_week,
+  bank_holiday,
+  TO_CHAR(start_time, 'HH24:MI') as start_time,
+  TO_CHAR(end_time, 'HH24:MI') as end_time,
+  premium_type,
+  premium,
+  TO_CHAR(effective_from, 'YYYY-MM-DD') as effective_from,
+  TO_CHAR(effective_to, 'YYYY-MM-DD') as effective_to,
+  notes,
+  created_at,
+  updated_at
+`;
+
+// Server-side caches for pay bands and bank holiday dates (cleared whenever either changes)
+let payBandsCache = null;
+let payBandsCacheTimestamp = 0;
+let bankHolidayDatesCache = null;
+let bankHolidayDatesCacheTimestamp = 0;
+
+// Helper function to parse a pay_bands row (NUMERIC columns come back as strings)
+function parsePayBand(band) {
+  return {
+    ...band,
+    premium: parseFloat(band.premium)
+  };
+}
+
+// Function to load all pay bands (cached)
+async function getPayBands() {
+  if (payBandsCache && (Date.now() - payBandsCacheTimestamp) < CACHE_TTL) {
+    return payBandsCache;
+  }
+  
+  const result = await executeQueryWithRetry(`
+    SELECT ${PAY_BAND_COLUMNS}
+    FROM pay_bands
+    ORDER BY bank_holiday, day_of_week NULLS FIRST, start_time, name
+  `);
   
-  if (shiftFlags.solo_shift) {
-    multiplier = Math.max(multiplier, 1.75);
+  payBandsCache = result.rows.map(parsePayBand);
+  payBandsCacheTimestamp = Date.now();
+  return payBandsCache;
+}
+
+// Function to load the bank holiday dates (YYYY-MM-DD) as a Set (cached)
+async function getBankHolidayDates() {
+  if (bankHolidayDatesCache && (Date.now() - bankHolidayDatesCacheTimestamp) < CACHE_TTL) {
+    return bankHolidayDatesCache;
   }
   
-  if (shiftFlags.training || shiftFlags.short_notice) {
-    multiplier = Math.max(multiplier, 1.75);
+  const result = await executeQueryWithRetry(`
+    SELECT TO_CHAR(holiday_date, 'YYYY-MM-DD') as holiday_date
+    FROM bank_holidays
+  `);
+  
+  bankHolidayDatesCache = new Set(result.rows.map(row => row.holiday_date));
+  bankHolidayDatesCacheTimestamp = Date.now();
+  return bankHolidayDatesCache;
+}
+
+// Function to clear the pay band and bank holiday caches after a change
+function clearPayBandsCache() {
+  payBandsCache = null;
+  payBandsCacheTimestamp = 0;
+  bankHolidayDatesCache = null;
+  bankHolidayDatesCacheTimestamp = 0;
+}
+
+// Reused formatter for Europe/London wall-clock times (formatting is called for every band boundary)
+const LONDON_WALL_CLOCK_FORMAT = new Intl.DateTimeFormat('en-GB', {
+  timeZone: 'Europe/London',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+
+// Helper function to get the Europe/London offset from UTC in minutes (0 GMT, 60 BST) at an instant (ms)
+function getLondonOffsetMinutes(instant) {
+  const parts = {};
+  LONDON_WALL_CLOCK_FORMAT.formatToParts(new Date(instant)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallClock - instant) / (60 * 1000));
+}
+
+// Helper function to get the instant (ms) of a Europe/London wall-clock time on a YYYY-MM-DD date
+// A time skipped when the clocks go forward falls after the change (01:30 is 02:30 BST); a time that
+// happens twice when they go back is the second one (GMT)
+function getLondonInstant(date, time) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const firstGuess = wallClock - getLondonOffsetMinutes(wallClock) * 60 * 1000;
+  return wallClock - getLondonOffsetMinutes(firstGuess) * 60 * 1000;
+}
+
+// Helper function to split a worked shift across the pay bands it covers, in Europe/London wall-clock time
+// Returns the hours in each band: [{ pay_band_id, name, premium_type, premium, hours }]
+// A band applies on the London date it starts (its day_of_week, or a bank holiday) and runs into the next
+// day when end_time is at or before start_time, so DST changeover nights are an hour shorter or longer.
+// Where bands overlap the highest multiplier band wins and every per-hour band applies.
+// paidRatio (paid hours / worked hours) spreads an unpaid break evenly over the shift.
+// Only work shifts have band premiums - the caller skips holiday and sick leave.
+function splitShiftPayBands(payBands, bankHolidayDates, shiftStart, shiftEnd, paidRatio = 1) {
+  const start = new Date(shiftStart).getTime();
+  const end = new Date(shiftEnd).getTime();
+  if (payBands.length === 0 || !(end > start)) {
+    return [];
   }
   
-  if (shiftFlags.call_out) {
-    multiplier = Math.max(multiplier, 2.0);
+  // Band intervals clipped to the shift, starting the day before so a band running over midnight is included
+  const intervals = [];
+  const lastDate = getLondonDate(end);
+  for (let date = addDaysToDateString(getLondonDate(start), -1); date <= lastDate; date = addDaysToDateString(date, 1)) {
+    const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay() || 7;
+    const isBankHoliday = bankHolidayDates.has(date);
+    
+    payBands.forEach(band => {
+      if (band.effective_from > date || (band.effective_to && band.effective_to < date)) return;
+      if (band.bank_holiday ? !isBankHoliday : (band.day_of_week && band.day_of_week !== dayOfWeek)) return;
+      
+      const bandStart = getLondonInstant(date, band.start_time);
+      const bandEnd = getLondonInstant(band.end_time > band.start_time ? date : addDaysToDateString(date, 1), band.end_time);
+      if (bandStart < end && bandEnd > start) {
+        intervals.push({ band: band, start: Math.max(bandStart, start), end: Math.min(bandEnd, end) });
+      }
+    });
   }
   
-  if (shiftFlags.overtime) {
-    multiplier = Math.max(multiplier, 2.0);
+  // Give each stretch between band boundaries to the bands covering it
+  const boundaries = [...new Set([start, end, ...intervals.flatMap(interval => [interval.start, interval.end])])].sort((a, b) => a - b);
+  const bandHours = new Map();
+  const addBandHours = (band, hours) => {
+    const entry = bandHours.get(band.pay_band_id) || {
+      pay_band_id: band.pay_band_id,
+      name: band.name,
+      premium_type: band.premium_type,
+      premium: band.premium,
+      hours: 0
+    };
+    entry.hours += hours;
+    bandHours.set(band.pay_band_id, entry);
+  };
+  
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const covering = intervals.filter(interval => interval.start <= boundaries[i] && interval.end >= boundaries[i + 1]);
+    const hours = (boundaries[i + 1] - boundaries[i]) / (1000 * 60 * 60) * paidRatio;
+    let multiplierBand = null;
+    covering.forEach(({ band }) => {
+      if (band.premium_type === 'per_hour') {
+        addBandHours(band, hours);
+      } else if (!multiplierBand || band.premium > multiplierBand.premium) {
+        multiplierBand = band;
+      }
+    });
+    if (multiplierBand) addBandHours(multiplierBand, hours);
   }
   
-  return multiplier;
+  return [...bandHours.values()].map(entry => ({
+    ...entry,
+    hours: Math.round(entry.hours * 100) / 100
+  }));
+}
+
+// Helper function to price a shift's pay band hours (splitShiftPayBands) at a pay rate
+// A multiplier band combines with the shift's flag multiplier using the pay rule's combine_mode
+// ('max': the higher applies, 'stack': premiums added) - only the extra over the flag multiplier is
+// band premium. Per-hour bands add their premium for every hour.
+function priceShiftPayBands(payBandHours, payRate, flagMultiplier, payRule = DEFAULT_PAY_RULE) {
+  return payBandHours.map(band => {
+    let premiumPay;
+    if (band.premium_type === 'per_hour') {
+      premiumPay = band.premium * band.hours;
+    } else {
+      const combined = payRule.combine_mode === 'stack'
+        ? flagMultiplier + (band.premium - 1)
+        : Math.max(flagMultiplier, band.premium);
+      premiumPay = payRate * band.hours * (combined - flagMultiplier);
+    }
+    return {
+      ...band,
+      premium_pay: Math.round(premiumPay * 100) / 100
+    };
+  });
 }
 
 // Function to calculate historical statutory holiday pay (UK)
@@ -367,1116 +840,1399 @@ async function calculateHistoricalHolidayPay(staffName, holidayDate, weeksWorked
 }
 
 
+// =====================================================
+// SHIFT TYPE CATALOGUE HELPERS
+// =====================================================
 
-// API Routes
+// Server-side cache for the shift type catalogue (cleared whenever a shift type changes)
+let shiftTypeCache = null;
+let shiftTypeCacheTimestamp = 0;
 
-// Test endpoint
-app.get('/api/test', (req, res) => {
-  res.json({ 
-    message: 'Server is running', 
-    timestamp: new Date().toISOString(),
-    status: 'healthy'
-  });
-});
+// Function to load all shift types from the shift_types table (cached)
+async function getShiftTypes() {
+  if (shiftTypeCache && (Date.now() - shiftTypeCacheTimestamp) < CACHE_TTL) {
+    return shiftTypeCache;
+  }
+  
+  const result = await executeQueryWithRetry(`
+    SELECT 
+      shift_type_id,
+      name,
+      TO_CHAR(default_start_time, 'HH24:MI') as default_start_time,
+      TO_CHAR(default_end_time, 'HH24:MI') as default_end_time,
+      category,
+      color_code,
+      display_order,
+      is_active,
+      created_at,
+      updated_at
+    FROM shift_types
+    ORDER BY display_order, name
+  `);
+  
+  shiftTypeCache = result.rows;
+  shiftTypeCacheTimestamp = Date.now();
+  return shiftTypeCache;
+}
 
-// Get a single staff member by ID
-// IMPORTANT: Specific routes must come BEFORE parameterized routes
-// Get all change requests (global) - must be before /api/staff/:id
-app.get('/api/staff/change-requests', async (req, res) => {
-  try {
-    console.log('📋 Fetching all change requests...');
-    
-    const result = await pool.query(`
-      SELECT 
-        id,
-        staff_id,
-        staff_name,
-        change_type,
-        old_value,
-        new_value,
-        effective_from_date,
-        changed_at,
-        changed_by,
-        reason
-      FROM change_requests
-      WHERE effective_from_date > NOW()
-      ORDER BY changed_at DESC
-    `);
-    
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows.length
-    });
-  } catch (err) {
-    console.error('Error fetching all change requests:', err);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch change requests',
-      message: err.message
-    });
+// Function to clear the shift type cache after a catalogue change
+function clearShiftTypeCache() {
+  shiftTypeCache = null;
+  shiftTypeCacheTimestamp = 0;
+}
+
+// Helper function to look up a shift type by name
+// Returns null if the shift type does not exist (or is inactive when activeOnly is true)
+async function findShiftType(name, activeOnly = false) {
+  const shiftTypes = await getShiftTypes();
+  const shiftType = shiftTypes.find(type => type.name === name);
+  if (!shiftType || (activeOnly && !shiftType.is_active)) {
+    return null;
   }
-});
+  return shiftType;
+}
 
-// Get all changes history (global) - must be before /api/staff/:id
-app.get('/api/staff/changes-history', async (req, res) => {
+// Helper function to check if a shift type is time off (holiday or sick leave)
+function isTimeOffShiftType(shiftType) {
+  return !!shiftType && shiftType.category !== 'work';
+}
+
+// Helper function to get the names of all time-off shift types (e.g. HOLIDAY, SSP, CSP)
+async function getTimeOffShiftTypeNames() {
+  const shiftTypes = await getShiftTypes();
+  return shiftTypes.filter(isTimeOffShiftType).map(type => type.name);
+}
+
+// Helper function to build the "Invalid shift type" validation message
+async function getInvalidShiftTypeMessage(activeOnly = false) {
+  const shiftTypes = await getShiftTypes();
+  const names = shiftTypes.filter(type => !activeOnly || type.is_active).map(type => type.name);
+  return `Shift type must be one of: ${names.join(', ')}`;
+}
+
+// =====================================================
+// SHIFT CONFLICT DETECTION
+// =====================================================
+
+const MINIMUM_REST_SETTING = 'Minimum rest between shifts (hours)';
+const DEFAULT_MINIMUM_REST_HOURS = 11;
+
+// Helper function to read a setting value from the settings table (falls back to defaultValue)
+async function getSettingValue(typeOfSetting, defaultValue = null) {
   try {
-    console.log('📋 Fetching all changes history...');
-    
-    const result = await pool.query(`
-      SELECT 
-        id,
-        staff_id,
-        staff_name,
-        change_type,
-        old_value,
-        new_value,
-        effective_from_date,
-        changed_at,
-        changed_by,
-        reason
-      FROM change_requests
-      WHERE effective_from_date <= NOW()
-      ORDER BY changed_at DESC
-    `);
-    
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows.length
+    const result = await executeQueryWithRetry(
+      'SELECT value FROM settings WHERE type_of_setting = $1',
+      [typeOfSetting]
+    );
+    return result.rows.length > 0 ? result.rows[0].value : defaultValue;
+  } catch (error) {
+    console.error(`⚠️ Could not read setting '${typeOfSetting}', using default:`, error.message);
+    return defaultValue;
+  }
+}
+
+// Helper function to get the configured minimum rest gap between work shifts
+async function getMinimumRestHours() {
+  const value = parseFloat(await getSettingValue(MINIMUM_REST_SETTING, DEFAULT_MINIMUM_REST_HOURS));
+  return isNaN(value) || value < 0 ? DEFAULT_MINIMUM_REST_HOURS : value;
+}
+
+// Helper function to calculate an assignment's start/end from the cell date and 'HH:MM' times
+// (end before start means the shift runs overnight into the next day)
+function calculateAssignmentTimes(shiftStartDatetime, startTime, endTime) {
+  const start = new Date(shiftStartDatetime);
+  const [startHour, startMinute] = startTime.split(':');
+  start.setHours(parseInt(startHour), parseInt(startMinute), 0, 0);
+  
+  const end = new Date(shiftStartDatetime);
+  const [endHour, endMinute] = endTime.split(':');
+  end.setHours(parseInt(endHour), parseInt(endMinute), 0, 0);
+  
+  if (end < start) {
+    end.setDate(end.getDate() + 1);
+  }
+  
+  return { start, end };
+}
+
+// Function to detect conflicts for a proposed shift
+// Checks: overlapping shifts, rest gap between work shifts, and unavailable_staff_daily entries
+// db can be the pool or a transaction client (so shifts written earlier in the transaction are seen)
+async function detectShiftConflicts(db, { staffName, shiftStart, shiftEnd, shiftType }, excludeShiftIds = [], minimumRestHours = null) {
+  const conflicts = [];
+  const startIso = new Date(shiftStart).toISOString();
+  const endIso = new Date(shiftEnd).toISOString();
+  const shiftTypeRecord = await findShiftType(shiftType);
+  const isWorkShift = !isTimeOffShiftType(shiftTypeRecord);
+  
+  // 1. Overlapping shifts for the same staff member
+  const overlapResult = await db.query(`
+    SELECT id, shift_type, shift_start_datetime, shift_end_datetime
+    FROM shifts
+    WHERE staff_name = $1
+      AND shift_start_datetime < $3::timestamptz
+      AND shift_end_datetime > $2::timestamptz
+      AND NOT (id = ANY($4::uuid[]))
+    ORDER BY shift_start_datetime
+  `, [staffName, startIso, endIso, excludeShiftIds]);
+  
+  overlapResult.rows.forEach(existing => {
+    conflicts.push({
+      type: 'overlap',
+      staffName: staffName,
+      shiftType: shiftType,
+      shiftStart: startIso,
+      shiftEnd: endIso,
+      conflictingShift: existing,
+      message: `${staffName} already has a ${existing.shift_type} shift that overlaps this shift`
     });
-  } catch (err) {
-    console.error('Error fetching all changes history:', err);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch changes history',
-      message: err.message
+  });
+  
+  // Rest and availability rules only apply to work shifts (not holiday / sick leave)
+  if (!isWorkShift) {
+    return conflicts;
+  }
+  
+  // 2. Minimum rest gap before and after the shift (work shifts only)
+  const restHours = minimumRestHours !== null ? minimumRestHours : await getMinimumRestHours();
+  if (restHours > 0) {
+    const restResult = await db.query(`
+      SELECT s.id, s.shift_type, s.shift_start_datetime, s.shift_end_datetime
+      FROM shifts s
+      JOIN shift_types st ON st.name = s.shift_type AND st.category = 'work'
+      WHERE s.staff_name = $1
+        AND NOT (s.id = ANY($4::uuid[]))
+        AND (
+          (s.shift_end_datetime <= $2::timestamptz AND s.shift_end_datetime > $2::timestamptz - make_interval(secs => $5 * 3600))
+          OR
+          (s.shift_start_datetime >= $3::timestamptz AND s.shift_start_datetime < $3::timestamptz + make_interval(secs => $5 * 3600))
+        )
+      ORDER BY s.shift_start_datetime
+    `, [staffName, startIso, endIso, excludeShiftIds, restHours]);
+    
+    restResult.rows.forEach(existing => {
+      const isBefore = new Date(existing.shift_end_datetime) <= new Date(startIso);
+      const gapMs = isBefore
+        ? new Date(startIso) - new Date(existing.shift_end_datetime)
+        : new Date(existing.shift_start_datetime) - new Date(endIso);
+      const gapHours = Math.round((gapMs / (1000 * 60 * 60)) * 100) / 100;
+      
+      conflicts.push({
+        type: 'insufficient_rest',
+        staffName: staffName,
+        shiftType: shiftType,
+        shiftStart: startIso,
+        shiftEnd: endIso,
+        conflictingShift: existing,
+        restHours: gapHours,
+        requiredRestHours: restHours,
+        message: `${staffName} only has ${gapHours}h rest ${isBefore ? 'after' : 'before'} their ${existing.shift_type} shift (minimum ${restHours}h)`
+      });
     });
   }
-});
+  
+  // 3. Staff member marked as unavailable on the shift date (London local date)
+  const unavailableResult = await db.query(`
+    SELECT date, unavailable, notes
+    FROM unavailable_staff_daily
+    WHERE date = ($1::timestamptz AT TIME ZONE 'Europe/London')::date
+  `, [startIso]);
+  
+  unavailableResult.rows.forEach(row => {
+    const unavailableNames = (row.unavailable || '').split(',').map(name => name.trim()).filter(Boolean);
+    if (unavailableNames.includes(staffName)) {
+      conflicts.push({
+        type: 'unavailable',
+        staffName: staffName,
+        shiftType: shiftType,
+        shiftStart: startIso,
+        shiftEnd: endIso,
+        unavailableDate: row.date,
+        notes: row.notes || '',
+        message: `${staffName} is marked as unavailable on this date`
+      });
+    }
+  });
+  
+  return conflicts;
+}
 
-// Get staff member by ID - must come AFTER specific routes
-app.get('/api/staff/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const result = await pool.query(`
-      SELECT 
-        unique_id,
-        staff_name,
-        role,
-        pay_rate,
-        contracted_hours,
-        employment_start_date,
-        employment_end_date,
-        color_code,
-        is_active,
-        created_at,
-        updated_at
-      FROM human_resource 
-      WHERE unique_id = $1
-    `, [id]);
+// Function to find a staff member's time-off shifts (holiday or sick leave) on the London date of shiftStart
+async function findTimeOffShiftsOnDate(db, staffName, shiftStart, excludeShiftIds = []) {
+  const result = await db.query(`
+    SELECT s.id, s.shift_type, s.shift_start_datetime, s.shift_end_datetime
+    FROM shifts s
+    JOIN shift_types st ON st.name = s.shift_type AND st.category <> 'work'
+    WHERE s.staff_name = $1
+      AND (s.shift_start_datetime AT TIME ZONE 'Europe/London')::date = ($2::timestamptz AT TIME ZONE 'Europe/London')::date
+      AND NOT (s.id = ANY($3::uuid[]))
+    ORDER BY s.shift_start_datetime
+  `, [staffName, new Date(shiftStart).toISOString(), excludeShiftIds]);
+  return result.rows;
+}
+
+// =====================================================
+// AUTHENTICATION AND PERMISSIONS
+// =====================================================
+
+// Access levels and route permissions are in route-permissions.js
+
+// Password hashing (scrypt with a random salt per password)
+// Stored as 'scrypt:<salt hex>:<hash hex>'
+const PASSWORD_KEY_LENGTH = 64;
+
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, PASSWORD_KEY_LENGTH, (err, derivedKey) => {
+      if (err) return reject(err);
+      resolve(`scrypt:${salt}:${derivedKey.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, storedHash) {
+  return new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = (storedHash || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+    
+    crypto.scrypt(password, salt, PASSWORD_KEY_LENGTH, (err, derivedKey) => {
+      if (err) return reject(err);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    });
+  });
+}
+
+// Helper function to hash a session token (only the hash is stored in the database)
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Helper function to read a cookie from the request
+function getRequestCookie(req, name) {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const separator = cookie.indexOf('=');
+    if (separator === -1) continue;
+    if (cookie.substring(0, separator).trim() === name) {
+      return decodeURIComponent(cookie.substring(separator + 1).trim());
+    }
+  }
+  return null;
+}
+
+// Helper function to set or clear the session cookie
+function setSessionCookie(res, token, maxAgeSeconds) {
+  const cookieParts = [
+    `${authConfig.sessionCookieName}=${token ? encodeURIComponent(token) : ''}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${token ? maxAgeSeconds : 0}`
+  ];
+  if (authConfig.secureCookies) {
+    cookieParts.push('Secure');
+  }
+  res.setHeader('Set-Cookie', cookieParts.join('; '));
+}
+
+// Helper function to build the session user returned to the client
+function buildSessionUser(row) {
+  return {
+    accountId: row.account_id,
+    username: row.username,
+    staffId: row.staff_id,
+    staffName: row.staff_name,
+    staffRole: row.role,
+    isAdmin: row.is_admin,
+    role: row.is_admin ? 'admin' : row.role
+  };
+}
+
+// Function to create a session for an account and set the session cookie
+async function createSession(res, accountId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const ttlSeconds = authConfig.sessionTtlHours * 60 * 60;
+  
+  // Remove expired sessions while we're here
+  await pool.query('DELETE FROM user_sessions WHERE expires_at <= NOW()');
+  
+  await pool.query(`
+    INSERT INTO user_sessions (account_id, token_hash, expires_at)
+    VALUES ($1, $2, NOW() + make_interval(secs => $3))
+  `, [accountId, hashSessionToken(token), ttlSeconds]);
+  
+  await pool.query(`
+    UPDATE user_accounts SET last_login_at = NOW() WHERE account_id = $1
+  `, [accountId]);
+  
+  setSessionCookie(res, token, ttlSeconds);
+}
+
+// Function to look up the user for the session cookie (null if missing, expired or deactivated)
+async function getSessionUser(req) {
+  const token = getRequestCookie(req, authConfig.sessionCookieName);
+  if (!token) return null;
+  
+  const result = await executeQueryWithRetry(`
+    SELECT 
+      ua.account_id,
+      ua.username,
+      ua.is_admin,
+      hr.unique_id as staff_id,
+      hr.staff_name,
+      hr.role
+    FROM user_sessions us
+    JOIN user_accounts ua ON ua.account_id = us.account_id
+    JOIN human_resource hr ON hr.unique_id = ua.staff_id
+    WHERE us.token_hash = $1
+      AND us.expires_at > NOW()
+      AND ua.is_active = true
+      AND hr.is_active = true
+  `, [hashSessionToken(token)]);
+  
+  return result.rows.length > 0 ? buildSessionUser(result.rows[0]) : null;
+}
+
+// Authentication and permission middleware for all /api routes
+// Sets req.user for signed-in requests and rejects requests the user's role cannot make
+async function authorizeApiRequest(req, res, next) {
+  try {
+    const requestPath = req.baseUrl + req.path;
+    const { rule, params } = findRoutePermission(req.method, requestPath);
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({
+    req.user = await getSessionUser(req);
+    
+    if (rule.access === 'public') {
+      return next();
+    }
+    
+    if (!req.user) {
+      return res.status(401).json({
         success: false,
-        error: 'Staff member not found',
-        message: 'No staff member found with the specified ID'
+        error: 'Authentication required',
+        message: 'Please log in to continue'
       });
     }
     
-    res.json({
-      success: true,
-      data: result.rows[0]
-    });
+    const userLevel = ACCESS_LEVELS[req.user.role] || 0;
+    if (userLevel < ACCESS_LEVELS[rule.access]) {
+      console.log(`🚫 ${req.user.username} (${req.user.role}) denied ${req.method} ${requestPath}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `This action requires the ${rule.access} role`
+      });
+    }
+    
+    // Staff members may only access their own records on owner-restricted routes
+    if (rule.owner && userLevel < ACCESS_LEVELS['team leader']) {
+      const source = rule.owner.source === 'params' ? params : req[rule.owner.source] || {};
+      let requested = source[rule.owner.key];
+      try {
+        requested = decodeURIComponent(requested || '');
+      } catch (e) {
+        // Leave malformed values as they are - they will not match
+      }
+      
+      if (requested !== req.user[rule.owner.matches]) {
+        console.log(`🚫 ${req.user.username} denied access to another staff member's record: ${req.method} ${requestPath}`);
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: 'Staff members can only access their own records'
+        });
+      }
+    }
     
+    next();
   } catch (err) {
-    console.error('Error getting staff member:', err);
+    console.error('❌ Error checking authentication:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to get staff member',
+      error: 'Failed to check authentication',
       message: err.message
     });
   }
-});
+}
 
-// Get all staff members (current state)
-app.get('/api/staff', async (req, res) => {
-  try {
-    console.log('👥 Fetching current staff members...');
-    
-    // Check if color_code column exists
-    const columnCheck = await pool.query(`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = 'human_resource' AND column_name = 'color_code'
-    `);
-    
-    let query;
-    if (columnCheck.rows.length > 0) {
-      // color_code column exists, include it in the query
-      query = `
-        SELECT 
-          unique_id,
-          staff_name,
-          role,
-          is_active,
-          created_at,
-          updated_at,
-          pay_rate,
-          contracted_hours,
-          color_code,
-          employment_start_date,
-          employment_end_date
-        FROM human_resource
-        ORDER BY staff_name
-      `;
-    } else {
-      // color_code column doesn't exist, exclude it from the query
-      query = `
-        SELECT 
-          unique_id,
-          staff_name,
-          role,
-          is_active,
-          created_at,
-          updated_at,
-          pay_rate,
-          contracted_hours,
-          employment_start_date,
-          employment_end_date
-        FROM human_resource
-        ORDER BY staff_name
-      `;
-    }
-    
-    const result = await pool.query(query);
-    console.log('✅ Staff query successful, found:', result.rows.length, 'staff members');
-    
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows.length
-    });
-  } catch (err) {
-    console.error('❌ Error fetching staff members:', err);
-    console.error('❌ Error details:', {
-      message: err.message,
-      code: err.code,
-      detail: err.detail,
-      hint: err.hint
-    });
-    
-    res.status(500).json({ 
+app.use('/api', authorizeApiRequest);
+
+// =====================================================
+// ROW VERSION CHECKS (OPTIMISTIC CONCURRENCY)
+// =====================================================
+
+// Shifts, staff members and unavailability rows carry a version that goes up by one on every update
+// (increment_row_version trigger). Edits sent with an If-Match header ("3", W/"3" or 3) are refused
+// with 409 and the current row when the version has moved on; requests without the header are not checked
+// The routes check the version in the write itself (AND version = $n), so nothing can change the row
+// between the check and the write - when the write matches no rows, sendVersionConflict answers 409
+// record: how the current row is found for the 409 (key = the route's ID params)
+// missingVersion: version of a row that does not exist yet (routes without it answer 404 themselves)
+const VERSIONED_RECORDS = {
+  shift: {
+    label: 'Shift',
+    query: 'SELECT * FROM shifts WHERE id = $1'
+  },
+  staff: {
+    label: 'Staff member',
+    query: 'SELECT * FROM human_resource WHERE unique_id = $1'
+  },
+  unavailability: {
+    label: 'Unavailable staff for this date',
+    query: 'SELECT * FROM unavailable_staff_daily WHERE period_id = $1 AND date = $2::date',
+    missingVersion: 0
+  }
+};
+
+// Routes that take If-Match (same pattern format as ROUTE_PERMISSIONS)
+// Rota cell saves and clears send expectedVersions in the body instead (see findShiftVersionConflicts)
+const VERSIONED_ROUTES = [
+  { method: 'PUT', path: '/api/shifts/:id/*' },
+  { method: 'PUT', path: '/api/staff/:id/*' },
+  { method: 'DELETE', path: '/api/staff/:id' },
+  { method: 'PUT', path: '/api/unavailable-staff/period/:periodId/date/:date' }
+].map(route => ({ ...route, pattern: compileRoutePattern(route.path) }));
+
+// Helper function to read the version from an If-Match header
+// Returns null when there is nothing to check (no header or '*'), NaN when the header is not a version
+function parseIfMatchVersion(header) {
+  if (!header || header.trim() === '*') return null;
+  const match = header.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+  return match ? parseInt(match[1], 10) : NaN;
+}
+
+// Helper function to send a row's version as its ETag
+function setVersionETag(res, version) {
+  res.set('ETag', `"${version}"`);
+}
+
+// Middleware to read the If-Match version of an edit into req.expectedVersion
+// (null when the route is not versioned or the request has no If-Match)
+function readExpectedVersion(req, res, next) {
+  const requestPath = req.baseUrl + req.path;
+  const route = VERSIONED_ROUTES.find(candidate => candidate.method === req.method && candidate.pattern.test(requestPath));
+  req.expectedVersion = route ? parseIfMatchVersion(req.get('If-Match')) : null;
+
+  if (Number.isNaN(req.expectedVersion)) {
+    return res.status(400).json({
       success: false,
-      error: 'Failed to fetch staff members',
-      message: err.message,
-      details: {
-        code: err.code,
-        detail: err.detail,
-        hint: err.hint
-      }
+      error: 'Invalid If-Match header',
+      message: 'If-Match must be the version from the ETag (e.g. "3")'
     });
   }
-});
 
+  next();
+}
+
+app.use('/api', readExpectedVersion);
+
+// Function to answer a versioned write (AND version = $n) that matched no rows
+// Sends 409 with the current row and returns true when the row is not at the If-Match version;
+// returns false when there is no conflict (no If-Match, or no row) so the route answers as usual
+async function sendVersionConflict(db, req, res, recordName, key) {
+  if (req.expectedVersion === null || req.expectedVersion === undefined) {
+    return false;
+  }
+
+  const record = VERSIONED_RECORDS[recordName];
+  const result = await db.query(record.query, key);
+  const current = result.rows[0] || null;
+  if (!current && record.missingVersion === undefined) {
+    return false;
+  }
+
+  const currentVersion = current ? current.version : record.missingVersion;
+  if (currentVersion === req.expectedVersion) {
+    return false;
+  }
+
+  console.log(`⚠️ Version conflict: ${req.method} ${req.originalUrl} sent version ${req.expectedVersion}, current version is ${currentVersion}`);
+  setVersionETag(res, currentVersion);
+  res.status(409).json({
+    success: false,
+    error: 'Version conflict',
+    message: `${record.label} was changed by someone else since you loaded it`,
+    current: current,
+    currentVersion: currentVersion
+  });
+  return true;
+}
+
+// Helper function to check a rota cell save's expectedVersions ({ shiftId: version })
+// Returns an error message, or null when valid
+function getInvalidExpectedVersionsMessage(expectedVersions) {
+  if (typeof expectedVersions !== 'object' || expectedVersions === null || Array.isArray(expectedVersions)) {
+    return 'expectedVersions must be an object of shift ID to version';
+  }
+  for (const [shiftId, version] of Object.entries(expectedVersions)) {
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(shiftId) || !Number.isInteger(version)) {
+      return 'expectedVersions must map shift UUIDs to integer versions';
+    }
+  }
+  return null;
+}
+
+// Function to lock a rota cell's shifts (and any expected shifts that moved out of it) for a save or clear
+// cell: { periodId, weekNumber, date (YYYY-MM-DD), shiftTypes, shiftIds }
+// Rows still in the cell have in_cell = true
+async function lockRotaCellShifts(db, { periodId, weekNumber, date, shiftTypes, shiftIds }) {
+  const result = await db.query(`
+    SELECT *, (period_id = $1 AND week_number = $2 AND shift_start_datetime::date = $3 AND shift_type = ANY($4::text[])) as in_cell
+    FROM shifts
+    WHERE (period_id = $1 AND week_number = $2 AND shift_start_datetime::date = $3 AND shift_type = ANY($4::text[]))
+       OR id = ANY($5::uuid[])
+    ORDER BY shift_start_datetime, staff_name
+    FOR UPDATE
+  `, [periodId, weekNumber, date, shiftTypes, shiftIds]);
+  return result.rows;
+}
+
+// Function to compare the shifts a browser showed in a rota cell with the cell's current shifts
+// expectedVersions: { shiftId: version } for every saved shift the browser showed in the cell
+// Returns the conflicts (empty when nobody else has changed the cell since it was loaded)
+function findShiftVersionConflicts(expectedVersions, currentShifts) {
+  const currentById = new Map(currentShifts.map(shift => [shift.id, shift]));
+  const conflicts = [];
+
+  for (const [shiftId, version] of Object.entries(expectedVersions)) {
+    const current = currentById.get(shiftId);
+    if (!current) {
+      conflicts.push({ type: 'deleted', shiftId, message: 'A shift in this cell was removed by someone else' });
+    } else if (current.version !== version) {
+      conflicts.push({
+        type: 'changed',
+        shiftId,
+        currentVersion: current.version,
+        message: `${current.staff_name}'s ${describeRotaShift(current)} was changed by someone else`
+      });
+    }
+  }
+
+  currentShifts
+    .filter(shift => shift.in_cell !== false && !Object.prototype.hasOwnProperty.call(expectedVersions, shift.id))
+    .forEach(shift => conflicts.push({
+      type: 'added',
+      shiftId: shift.id,
+      currentVersion: shift.version,
+      message: `${shift.staff_name}'s ${describeRotaShift(shift)} was added by someone else`
+    }));
+
+  return conflicts;
+}
+
+// Helper function to build the 409 response for a rota cell that changed since it was loaded
+// currentShifts is the cell as it is now - a save sent with their versions overwrites it
+function buildShiftVersionConflictResponse(conflicts, lockedShifts) {
+  return {
+    success: false,
+    error: 'Version conflict',
+    message: conflicts.map(conflict => conflict.message).join('; '),
+    conflicts: conflicts,
+    currentShifts: lockedShifts.filter(shift => shift.in_cell).map(({ in_cell, ...shift }) => shift)
+  };
+}
 
 // =====================================================
-// HISTORICAL PAY CALCULATION ENDPOINTS
+// AUTHENTICATION API ENDPOINTS
 // =====================================================
 
-// Check if there are any changes for a staff member before a specific date
-app.post('/api/staff/has-changes-before-date', async (req, res) => {
+// Helper function to check a new password against the password rules
+function getPasswordError(password) {
+  if (!password || typeof password !== 'string') {
+    return 'Password is required';
+  }
+  if (password.length < authConfig.minPasswordLength) {
+    return `Password must be at least ${authConfig.minPasswordLength} characters`;
+  }
+  return null;
+}
+
+// Get authentication status (public - used by the login page)
+app.get('/api/auth/status', async (req, res) => {
   try {
-    const { staff_name, before_date } = req.body;
-    
-    if (!staff_name || !before_date) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'staff_name and before_date are required'
-      });
-    }
-    
-    // Check if there are any changes in change_requests before the specified date
-    const result = await pool.query(`
-      SELECT COUNT(*) as change_count
-      FROM change_requests 
-      WHERE staff_name = $1 
-      AND effective_from_date <= $2::timestamp
-    `, [staff_name, before_date]);
-    
-    const changeCount = parseInt(result.rows[0].change_count);
-    const hasChanges = changeCount > 0;
+    const accountsResult = await pool.query('SELECT COUNT(*) as count FROM user_accounts');
     
     res.json({
       success: true,
-      has_changes: hasChanges,
-      change_count: changeCount,
-      message: hasChanges 
-        ? `Found ${changeCount} changes for ${staff_name} before ${before_date}`
-        : `No changes found for ${staff_name} before ${before_date}`
+      authenticated: !!req.user,
+      user: req.user,
+      setupRequired: parseInt(accountsResult.rows[0].count) === 0
     });
-    
-  } catch (error) {
-    console.error('❌ Error checking staff changes:', error);
+  } catch (err) {
+    console.error('❌ Error fetching authentication status:', err);
     res.status(500).json({
       success: false,
-      error: error.message,
-      message: 'Failed to check staff changes'
+      error: 'Failed to fetch authentication status',
+      message: err.message
     });
   }
 });
 
-// Calculate historical weekly pay (single)
-app.post('/api/staff/historical-pay', async (req, res) => {
+// Create the first admin account (only allowed while there are no accounts)
+app.post('/api/auth/setup', validateRequiredFields(['staffName', 'username', 'password']), async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { staff_name, calculation_date, hours_worked, shift_flags } = req.body;
+    const { staffName, username, password } = req.body;
     
-    if (!staff_name || !calculation_date) {
+    const passwordError = getPasswordError(password);
+    if (passwordError) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields',
-        message: 'staff_name and calculation_date are required'
+        error: 'Invalid password',
+        message: passwordError
       });
     }
     
-    const payCalculation = await calculateHistoricalPay(staff_name, calculation_date, hours_worked, shift_flags || {});
+    await client.query('BEGIN');
+    // Serialise concurrent setup requests so only one admin account is created
+    await client.query('LOCK TABLE user_accounts IN EXCLUSIVE MODE');
     
-    res.json({
-      success: true,
-      data: payCalculation,
-      message: `Historical pay calculated for ${staff_name} as of ${calculation_date}`
-    });
+    const accountsResult = await client.query('SELECT COUNT(*) as count FROM user_accounts');
+    if (parseInt(accountsResult.rows[0].count) > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Setup already completed',
+        message: 'User accounts already exist - ask an admin to create your account'
+      });
+    }
     
-  } catch (error) {
-    console.error('Error calculating historical pay:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to calculate historical pay',
-      message: error.message
-    });
-  }
-});
-
-// Batch endpoint for historical pay rates (optimized for performance)
-app.post('/api/staff/batch-historical-pay', async (req, res) => {
-  try {
-    const { requests } = req.body;
+    const staffResult = await client.query(`
+      SELECT unique_id FROM human_resource WHERE staff_name = $1 AND is_active = true
+    `, [staffName]);
     
-    if (!Array.isArray(requests) || requests.length === 0) {
-      return res.status(400).json({
+    if (staffResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
         success: false,
-        error: 'Invalid request',
-        message: 'requests must be a non-empty array'
+        error: 'Staff member not found',
+        message: `No active staff member named ${staffName}`
       });
     }
     
-    // Limit batch size to prevent overwhelming the database
-    const maxBatchSize = 50;
-    const batch = requests.slice(0, maxBatchSize);
-    
-    console.log(`📊 Processing batch of ${batch.length} historical pay rate requests`);
-    
-    // Process requests in smaller concurrent batches to avoid connection pool exhaustion
-    const concurrentLimit = 5; // Process 5 at a time
-    const results = new Map();
+    const accountResult = await client.query(`
+      INSERT INTO user_accounts (staff_id, username, password_hash, is_admin)
+      VALUES ($1, $2, $3, true)
+      RETURNING account_id
+    `, [staffResult.rows[0].unique_id, username.trim().toLowerCase(), await hashPassword(password)]);
     
-    for (let i = 0; i < batch.length; i += concurrentLimit) {
-      const chunk = batch.slice(i, i + concurrentLimit);
-      const chunkPromises = chunk.map(async (request) => {
-        const { staff_name, calculation_date } = request;
-        const key = `${staff_name}-${calculation_date}`;
-        
-        try {
-          const payCalculation = await calculateHistoricalPay(staff_name, calculation_date);
-          results.set(key, {
-            success: true,
-            pay_rate: payCalculation.effective_pay_rate,
-            data: payCalculation
-          });
-        } catch (error) {
-          console.error(`❌ Error calculating pay for ${staff_name} on ${calculation_date}:`, error.message);
-          results.set(key, {
-            success: false,
-            error: error.message,
-            pay_rate: null
-          });
-        }
-      });
-      
-      await Promise.all(chunkPromises);
-    }
+    await client.query('COMMIT');
     
-    // Convert Map to object for JSON response
-    const resultsObj = {};
-    results.forEach((value, key) => {
-      resultsObj[key] = value;
-    });
+    await createSession(res, accountResult.rows[0].account_id);
+    console.log(`🔐 Created first admin account for ${staffName}`);
     
-    res.json({
+    res.status(201).json({
       success: true,
-      data: resultsObj,
-      count: results.size,
-      message: `Processed ${results.size} historical pay rate requests`
+      message: 'Admin account created'
     });
-    
-  } catch (error) {
-    console.error('Error processing batch historical pay:', error);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error creating admin account:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to process batch historical pay',
-      message: error.message
+      error: 'Failed to create admin account',
+      message: err.message
     });
+  } finally {
+    client.release();
   }
 });
 
-// Calculate historical statutory holiday pay
-app.post('/api/staff/historical-holiday-pay', async (req, res) => {
+// Log in with username and password
+app.post('/api/auth/login', validateRequiredFields(['username', 'password']), async (req, res) => {
   try {
-    const { staff_name, holiday_date, weeks_worked = 52 } = req.body;
+    const { username, password } = req.body;
     
-    if (!staff_name || !holiday_date) {
-      return res.status(400).json({
+    const result = await pool.query(`
+      SELECT 
+        ua.account_id,
+        ua.username,
+        ua.password_hash,
+        ua.is_admin,
+        hr.unique_id as staff_id,
+        hr.staff_name,
+        hr.role
+      FROM user_accounts ua
+      JOIN human_resource hr ON hr.unique_id = ua.staff_id
+      WHERE ua.username = $1
+        AND ua.is_active = true
+        AND hr.is_active = true
+    `, [String(username).trim().toLowerCase()]);
+    
+    const account = result.rows[0];
+    const passwordValid = account ? await verifyPassword(password, account.password_hash) : false;
+    
+    if (!passwordValid) {
+      console.log(`🚫 Failed login attempt for ${username}`);
+      return res.status(401).json({
         success: false,
-        error: 'Missing required fields',
-        message: 'staff_name and holiday_date are required'
+        error: 'Invalid credentials',
+        message: 'Incorrect username or password'
       });
     }
     
-    const holidayPayCalculation = await calculateHistoricalHolidayPay(staff_name, holiday_date, weeks_worked);
+    await createSession(res, account.account_id);
+    console.log(`🔐 ${account.username} logged in`);
     
     res.json({
       success: true,
-      data: holidayPayCalculation,
-      message: `Historical holiday pay calculated for ${staff_name} as of ${holiday_date}`
+      data: buildSessionUser(account)
     });
-    
-  } catch (error) {
-    console.error('Error calculating historical holiday pay:', error);
+  } catch (err) {
+    console.error('❌ Error logging in:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to calculate historical holiday pay',
-      message: error.message
+      error: 'Failed to log in',
+      message: err.message
     });
   }
 });
 
-// Add new staff member
-app.post('/api/staff', 
-  validateRequiredFields(['name', 'employment_start_date', 'contracted_hours', 'pay_rate']),
-  async (req, res) => {
+// Log out (ends the current session)
+app.post('/api/auth/logout', async (req, res) => {
   try {
-    const { 
-      name, 
-      role = 'staff member', 
-      employment_start_date,
-      employment_end_date,
-      contracted_hours,
-      pay_rate
-    } = req.body;
-      
-      // Validate role
-      if (!['team leader', 'staff member'].includes(role)) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid role',
-          message: 'Role must be either "team leader" or "staff member"'
-        });
-      }
-
-      // Validate employment start date
-      if (!employment_start_date) {
-        return res.status(400).json({
-          success: false,
-          error: 'Missing employment start date',
-          message: 'Employment start date is required'
-        });
-      }
-
-      // Validate contracted hours
-      if (!contracted_hours || isNaN(parseFloat(contracted_hours)) || parseFloat(contracted_hours) < 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid contracted hours',
-          message: 'Contracted hours must be a valid number (0 or greater)'
-        });
-      }
-
-      // Validate pay rate
-      if (!pay_rate || isNaN(parseFloat(pay_rate)) || parseFloat(pay_rate) < 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid pay rate',
-          message: 'Pay rate must be a valid number (0 or greater)'
-        });
-      }
-    
-    const result = await pool.query(
-      `INSERT INTO human_resource (
-        unique_id,
-        staff_name, 
-        role, 
-        employment_start_date,
-        employment_end_date,
-        contracted_hours,
-        pay_rate
-      ) VALUES (uuid_human_resource($1), $1, $2, $3, $4, $5, $6) RETURNING *`,
-      [name, role, employment_start_date, employment_end_date, contracted_hours, pay_rate]
-    );
-    
-    const newStaff = result.rows[0];
-    
-    // Create holiday entitlement for the new staff member
-    try {
-      await pool.query('SELECT recalculate_holiday_entitlement($1, $2)', [
-        newStaff.unique_id, 
-        employment_end_date
-      ]);
-      
-      // Verify holiday entitlement was created
-      const entitlementCheck = await pool.query(
-        'SELECT COUNT(*) as entitlement_count FROM holiday_entitlements WHERE staff_id = $1',
-        [newStaff.unique_id]
-      );
-      
-      if (parseInt(entitlementCheck.rows[0].entitlement_count) > 0) {
-        console.log(`✅ Holiday entitlement created for new staff member: ${name}`);
-      } else {
-        console.warn(`⚠️ Warning: Holiday entitlement was not created for new staff member: ${name}`);
-      }
-    } catch (holidayError) {
-      console.error(`⚠️ Warning: Failed to create holiday entitlement for ${name}:`, holidayError.message);
-      // Don't fail the entire request if holiday entitlement creation fails
+    const token = getRequestCookie(req, authConfig.sessionCookieName);
+    if (token) {
+      await pool.query('DELETE FROM user_sessions WHERE token_hash = $1', [hashSessionToken(token)]);
     }
     
-      res.status(201).json({
-        success: true,
-        data: newStaff,
-        message: 'Staff member added successfully'
-      });
+    setSessionCookie(res, null);
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
   } catch (err) {
-    console.error('Error adding staff member:', err);
-      if (err.code === '23505') { // Unique constraint violation
-        res.status(409).json({
-          success: false,
-          error: 'Staff member already exists',
-          message: 'A staff member with this name already exists'
-        });
-      } else {
-        res.status(500).json({
-          success: false,
-          error: 'Failed to add staff member',
-          message: err.message
-        });
-      }
-    }
+    console.error('❌ Error logging out:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out',
+      message: err.message
+    });
   }
-);
+});
 
-// Delete staff member
-app.delete('/api/staff/:id', async (req, res) => {
+// Get the signed-in user
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+// Change the signed-in user's password (ends their other sessions)
+app.put('/api/auth/password', validateRequiredFields(['currentPassword', 'newPassword']), async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Check if staff member exists
-    const checkResult = await pool.query(
-      'SELECT staff_name FROM human_resource WHERE unique_id = $1',
-      [id]
-    );
+    const { currentPassword, newPassword } = req.body;
     
-    if (checkResult.rows.length === 0) {
-      return res.status(404).json({
+    const passwordError = getPasswordError(newPassword);
+    if (passwordError) {
+      return res.status(400).json({
         success: false,
-        error: 'Staff member not found',
-        message: 'No staff member found with the specified ID'
+        error: 'Invalid password',
+        message: passwordError
       });
     }
     
-    // Check if staff member has any shifts (for logging purposes)
-    const shiftsResult = await pool.query(
-      'SELECT COUNT(*) as shift_count FROM shifts WHERE staff_name = $1',
-      [checkResult.rows[0].staff_name]
-    );
-    
-    const shiftCount = parseInt(shiftsResult.rows[0].shift_count);
-    if (shiftCount > 0) {
-      console.log(`⚠️ Deleting staff member ${checkResult.rows[0].staff_name} with ${shiftCount} assigned shifts. Shifts will be cascade deleted.`);
-    }
-    
-    // Delete staff member - this will cascade to shifts and holiday_entitlements due to ON DELETE CASCADE
-    await pool.query('DELETE FROM human_resource WHERE unique_id = $1', [id]);
-    
-    // Verify shifts were deleted
-    const shiftsCheck = await pool.query(
-      'SELECT COUNT(*) as shift_count FROM shifts WHERE staff_name = $1',
-      [checkResult.rows[0].staff_name]
-    );
+    const accountResult = await pool.query(`
+      SELECT password_hash FROM user_accounts WHERE account_id = $1
+    `, [req.user.accountId]);
     
-    if (parseInt(shiftsCheck.rows[0].shift_count) > 0) {
-      console.warn(`⚠️ Warning: Shifts still exist for deleted staff member ${checkResult.rows[0].staff_name}`);
-    } else if (shiftCount > 0) {
-      console.log(`✅ ${shiftCount} shifts successfully cascade deleted for staff member: ${checkResult.rows[0].staff_name}`);
+    if (!(await verifyPassword(currentPassword, accountResult.rows[0].password_hash))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: 'Current password is incorrect'
+      });
     }
     
-    // Verify holiday entitlements were deleted
-    const holidayCheck = await pool.query(
-      'SELECT COUNT(*) as entitlement_count FROM holiday_entitlements WHERE staff_id = $1',
-      [id]
-    );
+    await pool.query(`
+      UPDATE user_accounts SET password_hash = $1 WHERE account_id = $2
+    `, [await hashPassword(newPassword), req.user.accountId]);
     
-    if (parseInt(holidayCheck.rows[0].entitlement_count) > 0) {
-      console.warn(`⚠️ Warning: Holiday entitlements still exist for deleted staff member ${checkResult.rows[0].staff_name}`);
-    } else {
-      console.log(`✅ Holiday entitlements successfully deleted for staff member: ${checkResult.rows[0].staff_name}`);
-    }
+    const token = getRequestCookie(req, authConfig.sessionCookieName);
+    await pool.query(`
+      DELETE FROM user_sessions WHERE account_id = $1 AND token_hash <> $2
+    `, [req.user.accountId, hashSessionToken(token)]);
     
+    console.log(`🔐 ${req.user.username} changed their password`);
     res.json({
       success: true,
-      message: 'Staff member deleted successfully',
-      deletedStaff: checkResult.rows[0].staff_name
+      message: 'Password changed'
     });
   } catch (err) {
-    console.error('Error deleting staff member:', err);
+    console.error('❌ Error changing password:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete staff member',
+      error: 'Failed to change password',
       message: err.message
     });
   }
 });
 
-// Helper function to validate change requests before insertion
-async function validateChangeRequest(staffId, changeType, oldValue, newValue) {
-  const warnings = [];
-  const errors = [];
-  
-  // Map change types to human_resource table columns
-  const changeTypeToColumn = {
-    'role_change': 'role',
-    'pay_rate_change': 'pay_rate',
-    'contracted_hours_change': 'contracted_hours',
-    'employment_date_change': 'employment_start_date',
-    'employment_end_date_change': 'employment_end_date',
-    'color_code_change': 'color_code',
-    'active_status_change': 'is_active'
-  };
-  
-  const columnName = changeTypeToColumn[changeType];
-  if (!columnName) {
-    errors.push(`Unknown change type: ${changeType}`);
-    return { warnings, errors, isValid: false };
-  }
-  
-  // Check for duplicate change requests (same change_type, old_value, new_value for same staff)
-  const duplicateCheck = await pool.query(`
-    SELECT COUNT(*) as duplicate_count
-    FROM change_requests
-    WHERE staff_id = $1
-      AND change_type = $2
-      AND old_value = $3
-      AND new_value = $4
-  `, [staffId, changeType, oldValue || 'NULL', newValue || 'NULL']);
-  
-  const duplicateCount = parseInt(duplicateCheck.rows[0].duplicate_count);
-  if (duplicateCount > 0) {
-    warnings.push(`Warning: ${duplicateCount} duplicate change request(s) already exist with the same change type, old value, and new value.`);
-  }
-  
-  // Check if new_value matches current value in human_resource table
-  const currentValueResult = await pool.query(`
-    SELECT ${columnName} as current_value
-    FROM human_resource
-    WHERE unique_id = $1
-  `, [staffId]);
-  
-  if (currentValueResult.rows.length === 0) {
-    errors.push('Staff member not found in human_resource table');
-    return { warnings, errors, isValid: false };
-  }
-  
-  const currentValue = currentValueResult.rows[0].current_value;
-  
-  // Normalize values for comparison (handle nulls, booleans, numbers, dates)
-  const normalizeValue = (val) => {
-    if (val === null || val === undefined || val === 'NULL' || val === '') return null;
-    if (typeof val === 'boolean') return val.toString();
-    if (typeof val === 'number') return val.toString();
-    if (val instanceof Date) return val.toISOString().split('T')[0];
-    return val.toString().trim();
-  };
-  
-  const normalizedCurrent = normalizeValue(currentValue);
-  const normalizedNew = normalizeValue(newValue);
-  
-  console.log(`🔍 Validation for ${changeType}: currentValue=${currentValue} (type: ${typeof currentValue}), newValue=${newValue} (type: ${typeof newValue})`);
-  console.log(`🔍 Normalized: current="${normalizedCurrent}", new="${normalizedNew}"`);
-  
-  // Special handling for boolean fields
-  if (changeType === 'active_status_change') {
-    const currentBool = currentValue === true || currentValue === 'true' || currentValue === 1;
-    const newBool = newValue === 'true' || newValue === true || newValue === 1;
-    if (currentBool === newBool) {
-      console.log(`❌ Validation failed: boolean values match (${currentBool} === ${newBool})`);
-      errors.push(`The new value (${newValue}) matches the current value in human_resource table (${currentValue}). No change will occur.`);
-      return { warnings, errors, isValid: false };
-    }
-  } else if (normalizedCurrent === normalizedNew) {
-    console.log(`❌ Validation failed: normalized values match ("${normalizedCurrent}" === "${normalizedNew}")`);
-    errors.push(`The new value (${newValue}) matches the current value in human_resource table (${currentValue}). No change will occur.`);
-    return { warnings, errors, isValid: false };
+// Get all user accounts (admin)
+app.get('/api/auth/accounts', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT 
+        ua.account_id,
+        ua.username,
+        ua.is_admin,
+        ua.is_active,
+        ua.last_login_at,
+        ua.created_at,
+        hr.unique_id as staff_id,
+        hr.staff_name,
+        hr.role
+      FROM user_accounts ua
+      JOIN human_resource hr ON hr.unique_id = ua.staff_id
+      ORDER BY hr.staff_name
+    `);
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (err) {
+    console.error('❌ Error fetching user accounts:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user accounts',
+      message: err.message
+    });
   }
-  
-  console.log(`✅ Validation passed for ${changeType}`);
-  return { warnings, errors, isValid: true };
-}
+});
 
-// Update staff member role
-app.put('/api/staff/:id/role', 
-  validateRequiredFields(['role']),
-  async (req, res) => {
+// Create a user account for a staff member (admin)
+app.post('/api/auth/accounts', validateRequiredFields(['staffName', 'username', 'password']), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { role, changed_by = 'system', reason = '', effective_from_date = null } = req.body;
+    const { staffName, username, password, isAdmin = false } = req.body;
     
-    // Validate role
-    if (!['team leader', 'staff member'].includes(role)) {
+    const passwordError = getPasswordError(password);
+    if (passwordError) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid role',
-        message: 'Role must be either "team leader" or "staff member"'
+        error: 'Invalid password',
+        message: passwordError
       });
     }
     
-    // Check if staff member exists
-    const checkResult = await pool.query(
-      'SELECT staff_name, role as current_role FROM human_resource WHERE unique_id = $1',
-      [id]
-    );
+    const staffResult = await pool.query(`
+      SELECT unique_id FROM human_resource WHERE staff_name = $1
+    `, [staffName]);
     
-    if (checkResult.rows.length === 0) {
+    if (staffResult.rows.length === 0) {
       return res.status(404).json({
         success: false,
         error: 'Staff member not found',
-        message: 'No staff member found with the specified ID'
+        message: `No staff member named ${staffName}`
       });
     }
     
-    const currentRole = checkResult.rows[0].current_role;
-    const staffName = checkResult.rows[0].staff_name;
+    const result = await pool.query(`
+      INSERT INTO user_accounts (staff_id, username, password_hash, is_admin)
+      VALUES ($1, $2, $3, $4)
+      RETURNING account_id, username, is_admin, is_active, created_at
+    `, [staffResult.rows[0].unique_id, username.trim().toLowerCase(), await hashPassword(password), !!isAdmin]);
     
-    // Validate change request before proceeding
-    const validation = await validateChangeRequest(id, 'role_change', currentRole, role);
+    console.log(`🔐 ${req.user.username} created an account for ${staffName}`);
+    res.status(201).json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (err) {
+    console.error('❌ Error creating user account:', err);
     
-    if (!validation.isValid) {
-      return res.status(400).json({
+    if (err.code === '23505') {
+      return res.status(409).json({
         success: false,
-        error: 'Change request validation failed',
-        message: validation.errors.join(' '),
-        warnings: validation.warnings
+        error: 'Account already exists',
+        message: 'That username is taken or the staff member already has an account'
       });
     }
     
-    // Determine effective date
-    const effectiveDate = effective_from_date ? new Date(effective_from_date).toISOString() : new Date().toISOString();
-    // Fix timezone issue: compare dates properly by adding seconds if needed
-    const effectiveDateTime = effective_from_date ? 
-      (effective_from_date.includes(':') && !effective_from_date.includes(':', 16) ? 
-        effective_from_date + ':00' : effective_from_date) : null;
-    const isImmediate = !effective_from_date || new Date(effectiveDateTime) <= new Date();
-
-    if (isImmediate) {
-      // Apply change immediately
-      const result = await pool.query(
-        'UPDATE human_resource SET role = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2 RETURNING *',
-        [role, id]
-      );
-      
-      // Log the change in history
-      try {
-        const insertResult = await pool.query(`
-          INSERT INTO change_requests (
-            id, staff_id, staff_name, change_type, field_name, old_value, new_value, effective_from_date, changed_at, changed_by, reason
-          ) VALUES (uuid_change_request($1, $3, 'role', $6), $1, $2, $3, 'role', $4, $5, $6, $6, $7, $8)
-          RETURNING id
-        `, [id, staffName, 'role_change', currentRole, role, effectiveDate, changed_by, reason]);
-        console.log(`✅ Change request inserted for role change: ${insertResult.rows[0].id}`);
-      } catch (insertError) {
-        console.error('❌ Error inserting change request for role change:', insertError);
-        throw insertError;
-      }
-      
-      res.json({
-        success: true,
-        data: result.rows[0],
-        message: `Staff member role updated to ${role} successfully`,
-        applied_immediately: true,
-        warnings: validation.warnings.length > 0 ? validation.warnings : undefined
-      });
-    } else {
-      // Create change request for future application
-      try {
-        const changeRequestResult = await pool.query(`
-          INSERT INTO change_requests (
-            id, staff_id, staff_name, change_type, field_name, old_value, new_value, 
-            effective_from_date, changed_at, changed_by, reason
-          ) VALUES (uuid_change_request($1, $3, 'role', $6), $1, $2, $3, 'role', $4, $5, $6, $6, $7, $8)
-          RETURNING *
-        `, [id, staffName, 'role_change', currentRole, role, effectiveDate, changed_by, reason]);
-        console.log(`✅ Change request inserted for future role change: ${changeRequestResult.rows[0].id}`);
-
-        res.json({
-          success: true,
-          data: changeRequestResult.rows[0],
-          message: `Change request created for role update to ${role} (effective ${new Date(effective_from_date).toLocaleString()})`,
-          applied_immediately: false,
-          effective_date: effectiveDate,
-          warnings: validation.warnings.length > 0 ? validation.warnings : undefined
-        });
-      } catch (insertError) {
-        console.error('❌ Error inserting change request for future role change:', insertError);
-        throw insertError;
-      }
-    }
-  } catch (err) {
-    console.error('Error updating staff member role:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to update staff member role',
+      error: 'Failed to create user account',
       message: err.message
     });
   }
 });
 
-// Get change requests for a staff member
-app.get('/api/staff/:id/change-requests', async (req, res) => {
+// Update a user account - reset password, admin flag or active status (admin)
+app.put('/api/auth/accounts/:id', async (req, res) => {
   try {
     const { id } = req.params;
+    const { password, isAdmin, isActive } = req.body;
     
-    // Check if staff member exists
-    const checkResult = await pool.query(
-      'SELECT staff_name FROM human_resource WHERE unique_id = $1',
-      [id]
-    );
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid account ID format',
+        message: 'Account ID must be a valid UUID'
+      });
+    }
     
-    if (checkResult.rows.length === 0) {
-      return res.status(404).json({
+    // Admins cannot lock themselves out
+    if (id === req.user.accountId && (isAdmin === false || isActive === false)) {
+      return res.status(400).json({
         success: false,
-        error: 'Staff member not found',
-        message: 'No staff member found with the specified ID'
+        error: 'Invalid update',
+        message: 'You cannot remove your own admin role or deactivate your own account'
       });
     }
     
-    // Get pending change requests (future effective dates)
+    if (password !== undefined) {
+      const passwordError = getPasswordError(password);
+      if (passwordError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid password',
+          message: passwordError
+        });
+      }
+    }
+    
     const result = await pool.query(`
-      SELECT 
-        id, staff_id, staff_name, change_type, old_value, new_value,
-        effective_from_date, changed_at, changed_by, reason
-      FROM change_requests 
-      WHERE staff_id = $1 AND effective_from_date > NOW()
-      ORDER BY effective_from_date ASC
-    `, [id]);
+      UPDATE user_accounts SET
+        password_hash = COALESCE($1, password_hash),
+        is_admin = COALESCE($2, is_admin),
+        is_active = COALESCE($3, is_active)
+      WHERE account_id = $4
+      RETURNING account_id, username, is_admin, is_active
+    `, [
+      password !== undefined ? await hashPassword(password) : null,
+      isAdmin !== undefined ? !!isAdmin : null,
+      isActive !== undefined ? !!isActive : null,
+      id
+    ]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found',
+        message: `No user account found with ID ${id}`
+      });
+    }
+    
+    // Password resets and deactivation end the account's sessions
+    if (password !== undefined || isActive === false) {
+      await pool.query('DELETE FROM user_sessions WHERE account_id = $1', [id]);
+    }
     
+    console.log(`🔐 ${req.user.username} updated account ${result.rows[0].username}`);
     res.json({
       success: true,
-      data: result.rows,
-      count: result.rows.length
+      data: result.rows[0]
     });
   } catch (err) {
-    console.error('Error getting change requests:', err);
+    console.error('❌ Error updating user account:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to get change requests',
+      error: 'Failed to update user account',
       message: err.message
     });
   }
 });
 
-
-// Get role history for a staff member
-app.get('/api/staff/:id/role-history', async (req, res) => {
+// Delete a user account (admin)
+app.delete('/api/auth/accounts/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Check if staff member exists
-    const checkResult = await pool.query(
-      'SELECT staff_name FROM human_resource WHERE unique_id = $1',
-      [id]
-    );
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid account ID format',
+        message: 'Account ID must be a valid UUID'
+      });
+    }
     
-    if (checkResult.rows.length === 0) {
-      return res.status(404).json({
+    if (id === req.user.accountId) {
+      return res.status(400).json({
         success: false,
-        error: 'Staff member not found',
-        message: 'No staff member found with the specified ID'
+        error: 'Invalid delete',
+        message: 'You cannot delete your own account'
       });
     }
     
-    // Get role history from change_requests
     const result = await pool.query(`
-      SELECT 
-        cr.id,
-        cr.staff_id,
-        cr.staff_name,
-        cr.old_value as previous_role,
-        cr.new_value as new_role,
-        cr.changed_at,
-        cr.changed_by,
-        cr.reason
-      FROM change_requests cr
-      WHERE cr.staff_id = $1 AND cr.change_type = 'role_change'
-      ORDER BY cr.changed_at DESC
+      DELETE FROM user_accounts WHERE account_id = $1 RETURNING username
     `, [id]);
     
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found',
+        message: `No user account found with ID ${id}`
+      });
+    }
+    
+    console.log(`🔐 ${req.user.username} deleted account ${result.rows[0].username}`);
     res.json({
       success: true,
-      data: result.rows,
-      count: result.rows.length
+      message: 'User account deleted'
     });
   } catch (err) {
-    console.error('Error fetching role history:', err);
+    console.error('❌ Error deleting user account:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch role history',
+      error: 'Failed to delete user account',
       message: err.message
     });
   }
 });
 
-// Update staff member pay rate
-app.put('/api/staff/:id/pay-rate', async (req, res) => {
+// =====================================================
+// AUDIT TRAIL
+// =====================================================
+
+// Shift columns that can be changed one at a time (flag toggles and notes)
+const AUDITED_SHIFT_FIELDS = ['solo_shift', 'training', 'short_notice', 'payment_period_end', 'overtime', 'call_out', 'notes'];
+
+// Helper function to get the user making the request ('system' for background jobs)
+function getAuditActor(req) {
+  return {
+    accountId: req && req.user ? req.user.accountId : null,
+    username: req && req.user ? req.user.username : 'system'
+  };
+}
+
+// Helper function to get the reason for a change (request body, query string or X-Audit-Reason header)
+function getAuditReason(req) {
+  if (!req) return null;
+  return (req.body && typeof req.body.reason === 'string' && req.body.reason) ||
+    req.query.reason ||
+    req.get('X-Audit-Reason') ||
+    null;
+}
+
+// Helper function to get the London calendar date (YYYY-MM-DD) of a timestamp
+function getLondonDate(value) {
+  if (!value) return null;
+  return new Date(value).toLocaleDateString('en-CA', { timeZone: 'Europe/London' });
+}
+
+// Function to record an audit event
+// Pass the transaction client as db so the event is committed or rolled back with the change
+// event: { action, entityType, entityId, staffName, entityDate (YYYY-MM-DD), before, after }
+async function recordAuditEvent(db, req, event) {
+  const actor = getAuditActor(req);
+  
+  await db.query(`
+    INSERT INTO audit_events (
+      actor_account_id, actor_username, action, entity_type, entity_id,
+      staff_name, entity_date, before_value, after_value, reason
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+  `, [
+    actor.accountId,
+    actor.username,
+    event.action,
+    event.entityType,
+    event.entityId !== undefined && event.entityId !== null ? String(event.entityId) : null,
+    event.staffName || null,
+    event.entityDate || null,
+    event.before !== undefined && event.before !== null ? JSON.stringify(event.before) : null,
+    event.after !== undefined && event.after !== null ? JSON.stringify(event.after) : null,
+    event.reason !== undefined ? event.reason : getAuditReason(req)
+  ]);
+}
+
+// Function to record create/delete audit events for shift rows
+// Created shifts are also queued as notifications for the staff members
+async function recordShiftAuditEvents(db, req, action, shifts) {
+  for (const shift of shifts) {
+    await recordAuditEvent(db, req, {
+      action: action,
+      entityType: 'shift',
+      entityId: shift.id,
+      staffName: shift.staff_name,
+      entityDate: getLondonDate(shift.shift_start_datetime),
+      before: action === 'delete' ? shift : null,
+      after: action === 'delete' ? null : shift
+    });
+  }
+  
+  if (action === 'create') {
+    await queueShiftNotifications(db, 'shift_created', shifts);
+    await queueHolidayExhaustedNotifications(db, shifts);
+  }
+}
+
+// Function to delete shifts and record a 'delete' audit event for each one in a single statement
+// whereClause uses $1..$n for params; returns the deleted rows (plus a 'date' column)
+// The staff members are notified of their removed shifts
+async function deleteShiftsWithAudit(db, req, whereClause, params) {
+  const actor = getAuditActor(req);
+  const next = params.length;
+  
+  const result = await db.query(`
+    WITH deleted AS (
+      DELETE FROM shifts WHERE ${whereClause} RETURNING *
+    ), audit AS (
+      INSERT INTO audit_events (
+        actor_account_id, actor_username, action, entity_type, entity_id,
+        staff_name, entity_date, before_value, reason
+      )
+      SELECT 
+        $${next + 1}::uuid, $${next + 2}, 'delete', 'shift', deleted.id::text,
+        deleted.staff_name, (deleted.shift_start_datetime AT TIME ZONE 'Europe/London')::date, to_jsonb(deleted), $${next + 3}
+      FROM deleted
+    )
+    SELECT deleted.*, deleted.shift_start_datetime::date as date FROM deleted
+  `, [...params, actor.accountId, actor.username, getAuditReason(req)]);
+  
+  await queueShiftNotifications(db, 'shift_removed', result.rows);
+  return result;
+}
+
+// Function to update one shift column and record the before/after values in a single statement
+// The change is also logged as a rota operation so it can be undone
+// Only updates the shift at the request's If-Match version (req.expectedVersion) when one was sent
+// Returns the query result (no rows if the shift does not exist or is at another version)
+async function updateShiftFieldWithAudit(db, req, shiftId, field, value) {
+  if (!AUDITED_SHIFT_FIELDS.includes(field)) {
+    throw new Error(`Shift field '${field}' cannot be updated`);
+  }
+  const actor = getAuditActor(req);
+  
+  const result = await db.query(`
+    WITH previous AS (
+      SELECT id, ${field} FROM shifts WHERE id = $2 FOR UPDATE
+    ), updated AS (
+      UPDATE shifts 
+      SET ${field} = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London')
+      WHERE id = $2 AND ($6::integer IS NULL OR version = $6)
+      RETURNING *
+    ), audit AS (
+      INSERT INTO audit_events (
+        actor_account_id, actor_username, action, entity_type, entity_id,
+        staff_name, entity_date, before_value, after_value, reason
+      )
+      SELECT 
+        $3::uuid, $4, 'update', 'shift', updated.id::text,
+        updated.staff_name, (updated.shift_start_datetime AT TIME ZONE 'Europe/London')::date,
+        jsonb_build_object('${field}', previous.${field}), jsonb_build_object('${field}', updated.${field}), $5
+      FROM updated
+      JOIN previous ON previous.id = updated.id
+    )
+    SELECT updated.*, previous.${field} as previous_value
+    FROM updated
+    JOIN previous ON previous.id = updated.id
+  `, [value, shiftId, actor.accountId, actor.username, getAuditReason(req), req.expectedVersion ?? null]);
+  
+  for (const shift of result.rows) {
+    const previousValue = shift.previous_value;
+    delete shift.previous_value;
+    
+    const label = field.replace(/_/g, ' ');
+    const change = field === 'notes' ? 'Notes changed' : `${label.charAt(0).toUpperCase()}${label.slice(1)} ${shift[field] ? 'on' : 'off'}`;
+    await recordRotaOperation(db, req, {
+      operationType: 'update',
+      description: `${change} for ${shift.staff_name}'s ${describeRotaShift(shift)}`,
+      before: [{ ...shift, [field]: previousValue }],
+      after: [shift]
+    });
+    
+    // payment_period_end is a payroll marker, not something the staff member needs to know about
+    if (field !== 'payment_period_end' && (previousValue || '') !== (shift[field] || '')) {
+      await queueShiftNotifications(db, 'flag_changed', [shift], change);
+    }
+  }
+  
+  return result;
+}
+
+// Get audit events
+// Query params: staffName, entityType, entityId, action, fromDate, toDate (YYYY-MM-DD),
+// dateField ('occurred' = when the change was made (default), 'entity' = the shift/unavailability date), limit
+app.get('/api/audit', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { pay_rate, changed_by = 'system', reason = '', effective_from_date = null } = req.body;
+    const { staffName, entityType, entityId, action, fromDate, toDate, dateField = 'occurred', limit = 500 } = req.query;
     
-    if (pay_rate === undefined || pay_rate === null || pay_rate < 0) {
+    if ((fromDate && !/^\d{4}-\d{2}-\d{2}$/.test(fromDate)) || (toDate && !/^\d{4}-\d{2}-\d{2}$/.test(toDate))) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid pay rate',
-        message: 'Pay rate must be a positive number'
+        error: 'Invalid date format',
+        message: 'fromDate and toDate must be in YYYY-MM-DD format'
       });
     }
     
-    // Check if staff member exists and get current data
-    const checkResult = await pool.query(`
-      SELECT staff_name, pay_rate as current_pay_rate
-      FROM human_resource
-      WHERE unique_id = $1
-    `, [id]);
-    
-    if (checkResult.rows.length === 0) {
-      return res.status(404).json({
+    if (!['occurred', 'entity'].includes(dateField)) {
+      return res.status(400).json({
         success: false,
-        error: 'Staff member not found',
-        message: 'No staff member found with the specified ID'
+        error: 'Invalid date field',
+        message: "dateField must be 'occurred' or 'entity'"
       });
     }
     
-    const currentPayRate = checkResult.rows[0].current_pay_rate || 0;
-    const staffName = checkResult.rows[0].staff_name;
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
     
-    // Validate change request before proceeding
-    const validation = await validateChangeRequest(id, 'pay_rate_change', currentPayRate.toString(), pay_rate.toString());
+    if (staffName) addCondition('staff_name = ?', staffName);
+    if (entityType) addCondition('entity_type = ?', entityType);
+    if (entityId) addCondition('entity_id = ?', entityId);
+    if (action) addCondition('action = ?', action);
     
-    if (!validation.isValid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Change request validation failed',
-        message: validation.errors.join(' '),
-        warnings: validation.warnings
-      });
-    }
+    const dateColumn = dateField === 'entity' ? 'entity_date' : 'occurred_at::date';
+    if (fromDate) addCondition(`${dateColumn} >= ?::date`, fromDate);
+    if (toDate) addCondition(`${dateColumn} <= ?::date`, toDate);
     
-    // Start transaction
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-      
-      // Update the human_resource table directly
-      await client.query(`
-        UPDATE human_resource 
-        SET pay_rate = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London') 
-        WHERE unique_id = $2
-      `, [pay_rate, id]);
-      
-      // Log the change in history
-      const effectiveDate = effective_from_date ? new Date(effective_from_date).toISOString() : new Date().toISOString();
-      try {
-        const insertResult = await client.query(`
-          INSERT INTO change_requests (
-            id, staff_id, staff_name, change_type, field_name, old_value, new_value, effective_from_date, changed_at, changed_by, reason
-          ) VALUES (uuid_change_request($1, $3, 'pay_rate', $6), $1, $2, $3, 'pay_rate', $4, $5, $6, $6, $7, $8)
-          RETURNING id
-        `, [id, staffName, 'pay_rate_change', currentPayRate.toString(), pay_rate.toString(), effectiveDate, changed_by, reason]);
-        console.log(`✅ Change request inserted for pay rate change: ${insertResult.rows[0].id}`);
-      } catch (insertError) {
-        console.error('❌ Error inserting change request for pay rate change:', insertError);
-        throw insertError;
-      }
-      
-      await client.query('COMMIT');
-      
-      // Get updated data
-      const result = await pool.query(`
-        SELECT * FROM human_resource WHERE unique_id = $1
-      `, [id]);
-      
-      res.json({
-        success: true,
-        data: result.rows[0],
-        message: 'Pay rate updated successfully in human_resource table',
-        warnings: validation.warnings.length > 0 ? validation.warnings : undefined
-      });
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
-    }
+    params.push(Math.min(Math.max(parseInt(limit) || 500, 1), 5000));
+    
+    const result = await pool.query(`
+      SELECT 
+        audit_id,
+        occurred_at,
+        actor_username,
+        action,
+        entity_type,
+        entity_id,
+        staff_name,
+        to_char(entity_date, 'YYYY-MM-DD') as entity_date,
+        before_value,
+        after_value,
+        reason
+      FROM audit_events
+      ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+      ORDER BY occurred_at DESC, audit_id
+      LIMIT $${params.length}
+    `, params);
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
   } catch (err) {
-    console.error('Error updating staff pay rate:', err);
+    console.error('❌ Error fetching audit events:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to update staff pay rate',
+      error: 'Failed to fetch audit events',
       message: err.message
     });
   }
 });
 
-// Update staff member contracted hours
-app.put('/api/staff/:id/contracted-hours', async (req, res) => {
+// API Routes
+
+// Test endpoint
+app.get('/api/test', (req, res) => {
+  res.json({ 
+    message: 'Server is running', 
+    timestamp: new Date().toISOString(),
+    status: 'healthy'
+  });
+});
+
+// Get a single staff member by ID
+// IMPORTANT: Specific routes must come BEFORE parameterized routes
+// Get all change requests (global) - must be before /api/staff/:id
+app.get('/api/staff/change-requests', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { contracted_hours, changed_by = 'system', reason = '', effective_from_date = null } = req.body;
-    
-    if (contracted_hours === undefined || contracted_hours === null || contracted_hours < 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid contracted hours',
-        message: 'Contracted hours must be a positive number'
-      });
-    }
-    
-    // Check if staff member exists and get current data
-    const checkResult = await pool.query(`
-      SELECT staff_name, contracted_hours as current_contracted_hours
-      FROM human_resource
-      WHERE unique_id = $1
-    `, [id]);
-    
-    if (checkResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Staff member not found',
-        message: 'No staff member found with the specified ID'
-      });
-    }
+    console.log('📋 Fetching all change requests...');
     
-    const currentContractedHours = checkResult.rows[0].current_contracted_hours || 0;
-    const staffName = checkResult.rows[0].staff_name;
+    const result = await pool.query(`
+      SELECT 
+        id,
+        staff_id,
+        staff_name,
+        change_type,
+        old_value,
+        new_value,
+        effective_from_date,
+        changed_at,
+        changed_by,
+        reason
+      FROM change_requests
+      WHERE effective_from_date > NOW()
+      ORDER BY changed_at DESC
+    `);
     
-    // Validate change request before proceeding
-    const validation = await validateChangeRequest(id, 'contracted_hours_change', currentContractedHours.toString(), contracted_hours.toString());
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (err) {
+    console.error('Error fetching all change requests:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch change requests',
+      message: err.message
+    });
+  }
+});
+
+// Get all changes history (global) - must be before /api/staff/:id
+app.get('/api/staff/changes-history', async (req, res) => {
+  try {
+    console.log('📋 Fetching all changes history...');
     
-    if (!validation.isValid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Change request validation failed',
-        message: validation.errors.join(' '),
-        warnings: validation.warnings
-      });
-    }
+    const result = await pool.query(`
+      SELECT 
+        id,
+        staff_id,
+        staff_name,
+        change_type,
+        old_value,
+        new_value,
+        effective_from_date,
+        changed_at,
+        changed_by,
+        reason
+      FROM change_requests
+      WHERE effective_from_date <= NOW()
+      ORDER BY changed_at DESC
+    `);
     
-    // Start transaction
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-      
-      // Update the human_resource table directly
-      await client.query(`
-        UPDATE human_resource 
-        SET contracted_hours = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London') 
-        WHERE unique_id = $2
-      `, [contracted_hours, id]);
-      
-      // Log the change in history
-      const effectiveDate = effective_from_date ? new Date(effective_from_date).toISOString() : new Date().toISOString();
-      try {
-        const insertResult = await client.query(`
-          INSERT INTO change_requests (
-            id, staff_id, staff_name, change_type, field_name, old_value, new_value, effective_from_date, changed_at, changed_by, reason
-          ) VALUES (uuid_change_request($1, $3, 'contracted_hours', $6), $1, $2, $3, 'contracted_hours', $4, $5, $6, $6, $7, $8)
-          RETURNING id
-        `, [id, staffName, 'contracted_hours_change', currentContractedHours.toString(), contracted_hours.toString(), effectiveDate, changed_by, reason]);
-        console.log(`✅ Change request inserted for contracted hours change: ${insertResult.rows[0].id}`);
-      } catch (insertError) {
-        console.error('❌ Error inserting change request for contracted hours change:', insertError);
-        throw insertError;
-      }
-      
-      await client.query('COMMIT');
-      
-      // Get updated data
-      const result = await pool.query(`
-        SELECT * FROM human_resource WHERE unique_id = $1
-      `, [id]);
-      
-      // Recalculate holiday entitlement after contracted hours change
-      try {
-        await pool.query('SELECT recalculate_holiday_entitlement($1, $2)', [
-          id, 
-          result.rows[0].employment_end_date
-        ]);
-        console.log('✅ Holiday entitlement recalculated after contracted hours change');
-      } catch (holidayError) {
-        console.error('⚠️ Failed to recalculate holiday entitlement after contracted hours change:', holidayError.message);
-        // Don't fail the entire request if holiday entitlement recalculation fails
-      }
-
-      res.json({
-        success: true,
-        data: result.rows[0],
-        message: 'Contracted hours updated successfully in human_resource table',
-        warnings: validation.warnings.length > 0 ? validation.warnings : undefined
-      });
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
-    }
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
   } catch (err) {
-    console.error('Error updating staff contracted hours:', err);
+    console.error('Error fetching all changes history:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to update staff contracted hours',
+      error: 'Failed to fetch changes history',
       message: err.message
     });
   }
 });
 
-// Update staff member employment start date
-app.put('/api/staff/:id/employment-date', async (req, res) => {
+// Get staff member by ID - must come AFTER specific routes
+app.get('/api/staff/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { employment_start_date, changed_by = 'system', reason = '', effective_from_date = null } = req.body;
-    
-    if (!employment_start_date) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'employment_start_date is required'
-      });
-    }
     
-    // Check if staff member exists and get current data
-    const checkResult = await pool.query(`
-      SELECT staff_name, employment_start_date as current_employment_date
-      FROM human_resource
+    const result = await pool.query(`
+      SELECT 
+        unique_id,
+        staff_name,
+        role,
+        pay_rate,
+        contracted_hours,
+        employment_start_date,
+        employment_end_date,
+        color_code,
+        is_active,
+        version,
+        created_at,
+        updated_at
+      FROM human_resource 
       WHERE unique_id = $1
     `, [id]);
     
-    if (checkResult.rows.length === 0) {
+    if (result.rows.length === 0) {
       return res.status(404).json({
         success: false,
         error: 'Staff member not found',
@@ -1484,501 +2240,609 @@ app.put('/api/staff/:id/employment-date', async (req, res) => {
       });
     }
     
-    const currentDate = checkResult.rows[0].current_employment_date || '';
-    const staffName = checkResult.rows[0].staff_name;
-    
-    // Validate change request before proceeding
-    const validation = await validateChangeRequest(id, 'employment_date_change', currentDate || 'NULL', employment_start_date);
-    
-    if (!validation.isValid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Change request validation failed',
-        message: validation.errors.join(' '),
-        warnings: validation.warnings
-      });
-    }
+    setVersionETag(res, result.rows[0].version);
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
     
-    // Start transaction
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-      
-      // Update the human_resource table directly
-      await client.query(`
-        UPDATE human_resource 
-        SET employment_start_date = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London') 
-        WHERE unique_id = $2
-      `, [employment_start_date, id]);
-      
-      // Log the change in history
-      const effectiveDate = effective_from_date ? new Date(effective_from_date).toISOString() : new Date().toISOString();
-      try {
-        const insertResult = await client.query(`
-          INSERT INTO change_requests (
-            id, staff_id, staff_name, change_type, field_name, old_value, new_value, effective_from_date, changed_at, changed_by, reason
-          ) VALUES (uuid_change_request($1, $3, 'employment_start_date', $6), $1, $2, $3, 'employment_start_date', $4, $5, $6, $6, $7, $8)
-          RETURNING id
-        `, [id, staffName, 'employment_date_change', currentDate || 'NULL', employment_start_date, effectiveDate, changed_by, reason]);
-        console.log(`✅ Change request inserted for employment date change: ${insertResult.rows[0].id}`);
-      } catch (insertError) {
-        console.error('❌ Error inserting change request for employment date change:', insertError);
-        throw insertError;
-      }
-      
-      await client.query('COMMIT');
-      
-      // Get updated data
-      const result = await pool.query(`
-        SELECT * FROM human_resource WHERE unique_id = $1
-      `, [id]);
-      
-      res.json({
-        success: true,
-        data: result.rows[0],
-        message: 'Employment start date updated successfully in human_resource table',
-        warnings: validation.warnings.length > 0 ? validation.warnings : undefined
-      });
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
-    }
   } catch (err) {
-    console.error('Error updating staff employment start date:', err);
+    console.error('Error getting staff member:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to update staff employment start date',
+      error: 'Failed to get staff member',
       message: err.message
     });
   }
 });
 
-// Update staff member employment end date
-app.put('/api/staff/:id/employment-end-date', async (req, res) => {
+// Get all staff members (current state)
+app.get('/api/staff', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { employment_end_date, changed_by, reason = '', effective_from_date = null } = req.body;
+    console.log('👥 Fetching current staff members...');
     
-    // Check if staff member exists and get current data
-    const checkResult = await pool.query(`
-      SELECT staff_name, employment_end_date as current_employment_end_date
-      FROM human_resource
-      WHERE unique_id = $1
-    `, [id]);
+    // Check if color_code column exists
+    const columnCheck = await pool.query(`
+      SELECT column_name 
+      FROM information_schema.columns 
+      WHERE table_name = 'human_resource' AND column_name = 'color_code'
+    `);
     
-    if (checkResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Staff member not found',
-        message: 'No staff member found with the specified ID'
-      });
+    let query;
+    if (columnCheck.rows.length > 0) {
+      // color_code column exists, include it in the query
+      query = `
+        SELECT 
+          unique_id,
+          staff_name,
+          role,
+          is_active,
+          created_at,
+          updated_at,
+          pay_rate,
+          contracted_hours,
+          color_code,
+          employment_start_date,
+          employment_end_date,
+          version
+        FROM human_resource
+        ORDER BY staff_name
+      `;
+    } else {
+      // color_code column doesn't exist, exclude it from the query
+      query = `
+        SELECT 
+          unique_id,
+          staff_name,
+          role,
+          is_active,
+          created_at,
+          updated_at,
+          pay_rate,
+          contracted_hours,
+          employment_start_date,
+          employment_end_date,
+          version
+        FROM human_resource
+        ORDER BY staff_name
+      `;
     }
     
-    const currentEndDate = checkResult.rows[0].current_employment_end_date || '';
-    const staffName = checkResult.rows[0].staff_name;
-    
-    // Validate change request before proceeding
-    const validation = await validateChangeRequest(id, 'employment_end_date_change', currentEndDate || 'NULL', employment_end_date || 'NULL');
+    const result = await pool.query(query);
+    console.log('✅ Staff query successful, found:', result.rows.length, 'staff members');
     
-    if (!validation.isValid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Change request validation failed',
-        message: validation.errors.join(' '),
-        warnings: validation.warnings
-      });
-    }
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (err) {
+    console.error('❌ Error fetching staff members:', err);
+    console.error('❌ Error details:', {
+      message: err.message,
+      code: err.code,
+      detail: err.detail,
+      hint: err.hint
+    });
     
-    // Start transaction
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-      
-      // Update the human_resource table directly
-      await client.query(`
-        UPDATE human_resource 
-        SET employment_end_date = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London') 
-        WHERE unique_id = $2
-      `, [employment_end_date || null, id]);
-      
-      // Log the change in history
-      const effectiveDate = effective_from_date ? new Date(effective_from_date).toISOString() : new Date().toISOString();
-      try {
-        const insertResult = await client.query(`
-          INSERT INTO change_requests (
-            id, staff_id, staff_name, change_type, field_name, old_value, new_value, effective_from_date, changed_at, changed_by, reason
-          ) VALUES (uuid_change_request($1, $3, 'employment_end_date', $6), $1, $2, $3, 'employment_end_date', $4, $5, $6, $6, $7, $8)
-          RETURNING id
-        `, [id, staffName, 'employment_end_date_change', currentEndDate || 'NULL', employment_end_date || 'NULL', effectiveDate, changed_by, reason]);
-        console.log(`✅ Change request inserted for employment end date change: ${insertResult.rows[0].id}`);
-      } catch (insertError) {
-        console.error('❌ Error inserting change request for employment end date change:', insertError);
-        throw insertError;
-      }
-      
-      await client.query('COMMIT');
-      
-      // Get updated data
-      const result = await pool.query(`
-        SELECT * FROM human_resource WHERE unique_id = $1
-      `, [id]);
-      
-      res.json({
-        success: true,
-        data: result.rows[0],
-        message: 'Employment end date updated successfully in human_resource table',
-        warnings: validation.warnings.length > 0 ? validation.warnings : undefined
-      });
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
-    }
-  } catch (err) {
-    console.error('Error updating staff employment end date:', err);
-    res.status(500).json({
+    res.status(500).json({ 
       success: false,
-      error: 'Failed to update staff employment end date',
-      message: err.message
+      error: 'Failed to fetch staff members',
+      message: err.message,
+      details: {
+        code: err.code,
+        detail: err.detail,
+        hint: err.hint
+      }
     });
   }
 });
 
-// Get contract history for a staff member
-app.get('/api/staff/:id/contract-history', async (req, res) => {
+
+// =====================================================
+// HISTORICAL PAY CALCULATION ENDPOINTS
+// =====================================================
+
+// Check if there are any changes for a staff member before a specific date
+app.post('/api/staff/has-changes-before-date', async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Check if staff member exists
-    const checkResult = await pool.query(
-      'SELECT staff_name FROM human_resource WHERE unique_id = $1',
-      [id]
-    );
+    const { staff_name, before_date } = req.body;
     
-    if (checkResult.rows.length === 0) {
-      return res.status(404).json({
+    if (!staff_name || !before_date) {
+      return res.status(400).json({
         success: false,
-        error: 'Staff member not found',
-        message: 'No staff member found with the specified ID'
+        error: 'Missing required fields',
+        message: 'staff_name and before_date are required'
       });
     }
     
-    // Get contract history
+    // Check if there are any changes in change_requests before the specified date
     const result = await pool.query(`
-      SELECT 
-        id,
-        staff_id,
-        staff_name,
-        contracted_hours,
-        pay_rate,
-        effective_from_date,
-        is_current,
-        created_at,
-        updated_at
-      FROM human_resource_contracts
-      WHERE staff_id = $1
-      ORDER BY effective_from_date DESC
-    `, [id]);
+      SELECT COUNT(*) as change_count
+      FROM change_requests 
+      WHERE staff_name = $1 
+      AND effective_from_date <= $2::timestamp
+    `, [staff_name, before_date]);
+    
+    const changeCount = parseInt(result.rows[0].change_count);
+    const hasChanges = changeCount > 0;
     
     res.json({
       success: true,
-      data: result.rows,
-      count: result.rows.length
+      has_changes: hasChanges,
+      change_count: changeCount,
+      message: hasChanges 
+        ? `Found ${changeCount} changes for ${staff_name} before ${before_date}`
+        : `No changes found for ${staff_name} before ${before_date}`
     });
-  } catch (err) {
-    console.error('Error fetching contract history:', err);
+    
+  } catch (error) {
+    console.error('❌ Error checking staff changes:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch contract history',
-      message: err.message
+      error: error.message,
+      message: 'Failed to check staff changes'
     });
   }
 });
 
-// Function to revert a staff change (without cascade deletion)
-async function revertStaffChange(changeRequest) {
+// Calculate historical weekly pay (single)
+// Body: { staff_name, calculation_date, hours_worked, shift_flags, shift_id, shift_type } - with shift_id the
+// shift is priced on its approved timesheet hours (or rota hours), type and flags
+// Unpaid breaks for shift_type (or the general break rules) are deducted from hours_worked
+// With shift_id the result also has the shift's time-band premiums (time_bands, time_band_pay)
+app.post('/api/staff/historical-pay', async (req, res) => {
   try {
-    const { staff_id, change_type, old_value, effective_from_date } = changeRequest;
-    
-    console.log(`🔍 Debug - revertStaffChange called with:`, {
-      staff_id,
-      change_type,
-      old_value,
-      old_value_type: typeof old_value,
-      effective_from_date
-    });
-    
-    // Find the latest change of the same type that was applied before the deleted change
-    const latestChangeResult = await pool.query(`
-      SELECT new_value, effective_from_date
-      FROM change_requests 
-      WHERE staff_id = $1 
-        AND change_type = $2
-        AND effective_from_date < $3
-        AND effective_from_date <= (NOW() AT TIME ZONE 'Europe/London')
-      ORDER BY effective_from_date DESC
-      LIMIT 1
-    `, [staff_id, change_type, effective_from_date]);
+    const { staff_name, calculation_date, hours_worked, shift_flags, shift_id, shift_type } = req.body;
     
-    let revertValue;
-    if (latestChangeResult.rows.length > 0) {
-      // Use the new_value from the latest change
-      revertValue = latestChangeResult.rows[0].new_value;
-      console.log(`🔄 Reverting ${change_type} for staff ${staff_id} to latest change value: ${revertValue}`);
-    } else {
-      // No previous change found, use the old_value from the deleted change
-      revertValue = old_value;
-      console.log(`🔄 No previous change found, reverting ${change_type} for staff ${staff_id} to old_value: ${revertValue} (type: ${typeof revertValue})`);
+    if (!staff_name || !calculation_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'staff_name and calculation_date are required'
+      });
     }
     
-    // Update the human_resource table with the revert value
-    switch (change_type) {
-      case 'role_change':
-        await pool.query('UPDATE human_resource SET role = $1 WHERE unique_id = $2', [revertValue, staff_id]);
-        break;
-      case 'pay_rate_change':
-        await pool.query('UPDATE human_resource SET pay_rate = $1 WHERE unique_id = $2', [parseFloat(revertValue), staff_id]);
-        break;
-      case 'contracted_hours_change':
-        await pool.query('UPDATE human_resource SET contracted_hours = $1 WHERE unique_id = $2', [parseFloat(revertValue), staff_id]);
-        break;
-      case 'employment_date_change':
-        const startDateValue = (revertValue === 'NULL' || revertValue === null || revertValue === undefined || revertValue === '') ? null : revertValue;
-        console.log(`🔍 Debug - Setting employment_start_date to: ${startDateValue} (type: ${typeof startDateValue})`);
-        await pool.query('UPDATE human_resource SET employment_start_date = $1 WHERE unique_id = $2', [startDateValue, staff_id]);
-        break;
-      case 'employment_end_date_change':
-        const endDateValue = (revertValue === 'NULL' || revertValue === null || revertValue === undefined || revertValue === '') ? null : revertValue;
-        console.log(`🔍 Debug - Setting employment_end_date to: ${endDateValue} (type: ${typeof endDateValue})`);
-        await pool.query('UPDATE human_resource SET employment_end_date = $1 WHERE unique_id = $2', [endDateValue, staff_id]);
-        break;
-      case 'color_code_change':
-        await pool.query('UPDATE human_resource SET color_code = $1 WHERE unique_id = $2', [revertValue, staff_id]);
-        break;
-      case 'active_status_change':
-        await pool.query('UPDATE human_resource SET is_active = $1 WHERE unique_id = $2', [revertValue === 'true', staff_id]);
-        break;
-      default:
-        console.warn('Unknown change type for reversion:', change_type);
+    if (shift_id && !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(shift_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid shift ID format',
+        message: 'shift_id must be a valid UUID'
+      });
     }
     
-    console.log(`✅ Reverted ${change_type} for staff ${staff_id} to ${revertValue}`);
+    const payCalculation = await calculateHistoricalPay(staff_name, calculation_date, hours_worked, shift_flags || {}, shift_id || null, shift_type || null);
+    
+    res.json({
+      success: true,
+      data: payCalculation,
+      message: `Historical pay calculated for ${staff_name} as of ${calculation_date}`
+    });
     
-    return {
-      revertedValue: revertValue
-    };
   } catch (error) {
-    console.error('❌ Error reverting staff change:', error);
-    throw error;
+    console.error('Error calculating historical pay:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to calculate historical pay',
+      message: error.message
+    });
   }
-}
+});
 
-// Delete a change request and revert to previous state
-app.delete('/api/staff/:id/change-request/:changeId', async (req, res) => {
+// Batch endpoint for historical pay rates (optimized for performance)
+// Body: { requests: [{ staff_name, calculation_date, shift_id }] } - results are keyed by shift_id when
+// given (the shift priced with its time-band breakdown), otherwise by staff_name-calculation_date
+app.post('/api/staff/batch-historical-pay', async (req, res) => {
   try {
-    const { id, changeId } = req.params;
-    
-    console.log(`🔍 DELETE request - Staff ID: ${id}, Change ID: ${changeId}`);
-    
-    // Get the change request details - try with explicit UUID casting
-    let changeResult = await pool.query(`
-      SELECT * FROM change_requests 
-      WHERE id::text = $1 AND staff_id::text = $2
-    `, [changeId, id]);
-    
-    // If not found, try without staff_id constraint (in case of ID mismatch)
-    if (changeResult.rows.length === 0) {
-      console.log(`⚠️ Not found with staff_id constraint, trying without...`);
-      changeResult = await pool.query(`
-        SELECT * FROM change_requests 
-        WHERE id::text = $1
-      `, [changeId]);
-      
-      // If found but staff_id doesn't match, return error
-      if (changeResult.rows.length > 0 && changeResult.rows[0].staff_id.toString() !== id) {
-        console.log(`❌ Change found but staff_id mismatch: ${changeResult.rows[0].staff_id} vs ${id}`);
-        return res.status(403).json({
-          success: false,
-          error: 'Change request belongs to different staff member',
-          message: 'The specified change request does not belong to this staff member'
-        });
-      }
-    }
+    const { requests } = req.body;
     
-    if (changeResult.rows.length === 0) {
-      // Log all change requests for this staff to help debug
-      const allChanges = await pool.query(`
-        SELECT id, staff_id, change_type, effective_from_date 
-        FROM change_requests 
-        WHERE staff_id::text = $1
-      `, [id]);
-      console.log(`❌ Change request not found. Available changes for staff ${id}:`, allChanges.rows);
-      
-      return res.status(404).json({
+    if (!Array.isArray(requests) || requests.length === 0) {
+      return res.status(400).json({
         success: false,
-        error: 'Change request not found',
-        message: 'The specified change request does not exist'
+        error: 'Invalid request',
+        message: 'requests must be a non-empty array'
       });
     }
     
-    const changeRequest = changeResult.rows[0];
-    const actualChangeId = changeRequest.id; // Use the actual ID from database
-    
-    console.log(`✅ Found change request: ${actualChangeId}, type: ${changeRequest.change_type}`);
+    // Limit batch size to prevent overwhelming the database
+    const maxBatchSize = 50;
+    const batch = requests.slice(0, maxBatchSize);
     
-    // Allow deletion of all change requests (both pending and applied)
-    const now = new Date();
-    const effectiveDate = new Date(changeRequest.effective_from_date);
+    console.log(`📊 Processing batch of ${batch.length} historical pay rate requests`);
     
-    let revertResult = null;
+    // Process requests in smaller concurrent batches to avoid connection pool exhaustion
+    const concurrentLimit = 5; // Process 5 at a time
+    const results = new Map();
     
-    // If this is an applied change, we need to revert the staff member to previous state
-    if (effectiveDate <= now) {
-      // This is an applied change, need to revert and delete future changes
-      revertResult = await revertStaffChange(changeRequest);
+    for (let i = 0; i < batch.length; i += concurrentLimit) {
+      const chunk = batch.slice(i, i + concurrentLimit);
+      const chunkPromises = chunk.map(async (request) => {
+        const { staff_name, calculation_date, shift_id } = request;
+        const key = shift_id || `${staff_name}-${calculation_date}`;
+        
+        try {
+          if (shift_id && !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(shift_id)) {
+            throw new Error('shift_id must be a valid UUID');
+          }
+          const payCalculation = await calculateHistoricalPay(staff_name, calculation_date, null, {}, shift_id || null);
+          results.set(key, {
+            success: true,
+            pay_rate: payCalculation.effective_pay_rate,
+            data: payCalculation
+          });
+        } catch (error) {
+          console.error(`❌ Error calculating pay for ${staff_name} on ${calculation_date}:`, error.message);
+          results.set(key, {
+            success: false,
+            error: error.message,
+            pay_rate: null
+          });
+        }
+      });
+      
+      await Promise.all(chunkPromises);
     }
     
-    // Delete the change request using the actual ID from database
-    await pool.query('DELETE FROM change_requests WHERE id = $1', [actualChangeId]);
+    // Convert Map to object for JSON response
+    const resultsObj = {};
+    results.forEach((value, key) => {
+      resultsObj[key] = value;
+    });
     
     res.json({
       success: true,
-      message: effectiveDate <= now ? 
-        'Change request deleted and reverted successfully.' : 
-        'Change request deleted successfully',
-      data: {
-        deleted_change: changeRequest,
-        reverted: effectiveDate <= now,
-        reverted_value: revertResult ? revertResult.revertedValue : null
-      }
+      data: resultsObj,
+      count: results.size,
+      message: `Processed ${results.size} historical pay rate requests`
     });
     
-  } catch (err) {
-    console.error('Error deleting change request:', err);
+  } catch (error) {
+    console.error('Error processing batch historical pay:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete change request',
-      message: err.message
+      error: 'Failed to process batch historical pay',
+      message: error.message
     });
   }
 });
 
-// Get all changes history for a staff member
-app.get('/api/staff/:id/changes-history', async (req, res) => {
+// Calculate historical statutory holiday pay
+app.post('/api/staff/historical-holiday-pay', async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Check if staff member exists
-    const checkResult = await executeQueryWithRetry(
-      'SELECT staff_name FROM human_resource WHERE unique_id = $1',
-      [id]
-    );
+    const { staff_name, holiday_date, weeks_worked = 52 } = req.body;
     
-    if (checkResult.rows.length === 0) {
-      return res.status(404).json({
+    if (!staff_name || !holiday_date) {
+      return res.status(400).json({
         success: false,
-        error: 'Staff member not found',
-        message: 'No staff member found with the specified ID'
+        error: 'Missing required fields',
+        message: 'staff_name and holiday_date are required'
       });
     }
     
-    // Get all changes history (only applied changes - past or current effective dates)
-    const result = await executeQueryWithRetry(`
-      SELECT 
-        id,
-        staff_id,
-        staff_name,
-        change_type,
-        old_value,
-        new_value,
-        effective_from_date,
-        changed_at,
-        changed_by,
-        reason
-      FROM change_requests
-      WHERE staff_id = $1 
-        AND effective_from_date <= NOW()
-      ORDER BY changed_at DESC
-    `, [id]);
+    const holidayPayCalculation = await calculateHistoricalHolidayPay(staff_name, holiday_date, weeks_worked);
     
     res.json({
       success: true,
-      data: result.rows,
-      count: result.rows.length
+      data: holidayPayCalculation,
+      message: `Historical holiday pay calculated for ${staff_name} as of ${holiday_date}`
     });
-  } catch (err) {
-    console.error('Error fetching changes history:', err);
+    
+  } catch (error) {
+    console.error('Error calculating historical holiday pay:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch changes history',
-      message: err.message
+      error: 'Failed to calculate historical holiday pay',
+      message: error.message
     });
   }
 });
 
-// Routes moved to before /api/staff/:id to prevent route conflicts
-
-// Update history field
-app.put('/api/history/:id/:field', async (req, res) => {
+// Add new staff member
+app.post('/api/staff', 
+  validateRequiredFields(['name', 'employment_start_date', 'contracted_hours', 'pay_rate']),
+  async (req, res) => {
   try {
-    const { id, field } = req.params;
-    const { value } = req.body;
+    const { 
+      name, 
+      role = 'staff member', 
+      employment_start_date,
+      employment_end_date,
+      contracted_hours,
+      pay_rate
+    } = req.body;
+      
+      // Validate role
+      if (!['team leader', 'staff member'].includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid role',
+          message: 'Role must be either "team leader" or "staff member"'
+        });
+      }
+
+      // Validate employment start date
+      if (!employment_start_date) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing employment start date',
+          message: 'Employment start date is required'
+        });
+      }
+
+      // Validate contracted hours
+      if (!contracted_hours || isNaN(parseFloat(contracted_hours)) || parseFloat(contracted_hours) < 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid contracted hours',
+          message: 'Contracted hours must be a valid number (0 or greater)'
+        });
+      }
+
+      // Validate pay rate
+      if (!pay_rate || isNaN(parseFloat(pay_rate)) || parseFloat(pay_rate) < 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid pay rate',
+          message: 'Pay rate must be a valid number (0 or greater)'
+        });
+      }
     
-    // Validate field name to prevent SQL injection
-    const allowedFields = ['changed_by', 'reason'];
-    if (!allowedFields.includes(field)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid field',
-        message: 'Only changed_by and reason fields can be updated'
+    const result = await pool.query(
+      `INSERT INTO human_resource (
+        unique_id,
+        staff_name, 
+        role, 
+        employment_start_date,
+        employment_end_date,
+        contracted_hours,
+        pay_rate
+      ) VALUES (uuid_human_resource($1), $1, $2, $3, $4, $5, $6) RETURNING *`,
+      [name, role, employment_start_date, employment_end_date, contracted_hours, pay_rate]
+    );
+    
+    const newStaff = result.rows[0];
+    
+    // Create holiday entitlement for the new staff member
+    try {
+      await pool.query('SELECT recalculate_holiday_entitlement($1, $2)', [
+        newStaff.unique_id, 
+        employment_end_date
+      ]);
+      
+      // Verify holiday entitlement was created
+      const entitlementCheck = await pool.query(
+        'SELECT COUNT(*) as entitlement_count FROM holiday_entitlements WHERE staff_id = $1',
+        [newStaff.unique_id]
+      );
+      
+      if (parseInt(entitlementCheck.rows[0].entitlement_count) > 0) {
+        console.log(`✅ Holiday entitlement created for new staff member: ${name}`);
+      } else {
+        console.warn(`⚠️ Warning: Holiday entitlement was not created for new staff member: ${name}`);
+      }
+    } catch (holidayError) {
+      console.error(`⚠️ Warning: Failed to create holiday entitlement for ${name}:`, holidayError.message);
+      // Don't fail the entire request if holiday entitlement creation fails
+    }
+    
+      res.status(201).json({
+        success: true,
+        data: newStaff,
+        message: 'Staff member added successfully'
       });
+  } catch (err) {
+    console.error('Error adding staff member:', err);
+      if (err.code === '23505') { // Unique constraint violation
+        res.status(409).json({
+          success: false,
+          error: 'Staff member already exists',
+          message: 'A staff member with this name already exists'
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to add staff member',
+          message: err.message
+        });
+      }
     }
+  }
+);
+
+// Delete staff member
+app.delete('/api/staff/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
     
-    // Update the specific field
-    const result = await pool.query(`
-      UPDATE change_requests 
-              SET ${field} = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London') 
-      WHERE id = $2
-      RETURNING *
-    `, [value, id]);
+    // Check if staff member exists
+    const checkResult = await pool.query(
+      'SELECT staff_name FROM human_resource WHERE unique_id = $1',
+      [id]
+    );
     
-    if (result.rows.length === 0) {
+    if (checkResult.rows.length === 0) {
       return res.status(404).json({
         success: false,
-        error: 'History record not found',
-        message: 'No history record found with the specified ID'
+        error: 'Staff member not found',
+        message: 'No staff member found with the specified ID'
+      });
+    }
+    
+    // Check if staff member has any shifts (for logging purposes)
+    const shiftsResult = await pool.query(
+      'SELECT COUNT(*) as shift_count FROM shifts WHERE staff_name = $1',
+      [checkResult.rows[0].staff_name]
+    );
+    
+    const shiftCount = parseInt(shiftsResult.rows[0].shift_count);
+    if (shiftCount > 0) {
+      console.log(`⚠️ Deleting staff member ${checkResult.rows[0].staff_name} with ${shiftCount} assigned shifts. Shifts will be cascade deleted.`);
+    }
+    
+    // Delete staff member - this will cascade to shifts and holiday_entitlements due to ON DELETE CASCADE
+    const deleteResult = await pool.query(
+      'DELETE FROM human_resource WHERE unique_id = $1 AND ($2::integer IS NULL OR version = $2)',
+      [id, req.expectedVersion]
+    );
+    
+    if (deleteResult.rowCount === 0) {
+      if (await sendVersionConflict(pool, req, res, 'staff', [id])) {
+        return;
+      }
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found',
+        message: 'No staff member found with the specified ID'
       });
     }
     
+    // Verify shifts were deleted
+    const shiftsCheck = await pool.query(
+      'SELECT COUNT(*) as shift_count FROM shifts WHERE staff_name = $1',
+      [checkResult.rows[0].staff_name]
+    );
+    
+    if (parseInt(shiftsCheck.rows[0].shift_count) > 0) {
+      console.warn(`⚠️ Warning: Shifts still exist for deleted staff member ${checkResult.rows[0].staff_name}`);
+    } else if (shiftCount > 0) {
+      console.log(`✅ ${shiftCount} shifts successfully cascade deleted for staff member: ${checkResult.rows[0].staff_name}`);
+    }
+    
+    // Verify holiday entitlements were deleted
+    const holidayCheck = await pool.query(
+      'SELECT COUNT(*) as entitlement_count FROM holiday_entitlements WHERE staff_id = $1',
+      [id]
+    );
+    
+    if (parseInt(holidayCheck.rows[0].entitlement_count) > 0) {
+      console.warn(`⚠️ Warning: Holiday entitlements still exist for deleted staff member ${checkResult.rows[0].staff_name}`);
+    } else {
+      console.log(`✅ Holiday entitlements successfully deleted for staff member: ${checkResult.rows[0].staff_name}`);
+    }
+    
     res.json({
       success: true,
-      data: result.rows[0],
-      message: `${field} updated successfully`
+      message: 'Staff member deleted successfully',
+      deletedStaff: checkResult.rows[0].staff_name
     });
   } catch (err) {
-    console.error('Error updating history field:', err);
+    console.error('Error deleting staff member:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to update history field',
+      error: 'Failed to delete staff member',
       message: err.message
     });
   }
 });
 
-// Toggle staff member active status
-app.put('/api/staff/:id/toggle-active', async (req, res) => {
+// Helper function to validate change requests before insertion
+async function validateChangeRequest(staffId, changeType, oldValue, newValue) {
+  const warnings = [];
+  const errors = [];
+  
+  // Map change types to human_resource table columns
+  const changeTypeToColumn = {
+    'role_change': 'role',
+    'pay_rate_change': 'pay_rate',
+    'contracted_hours_change': 'contracted_hours',
+    'employment_date_change': 'employment_start_date',
+    'employment_end_date_change': 'employment_end_date',
+    'color_code_change': 'color_code',
+    'active_status_change': 'is_active'
+  };
+  
+  const columnName = changeTypeToColumn[changeType];
+  if (!columnName) {
+    errors.push(`Unknown change type: ${changeType}`);
+    return { warnings, errors, isValid: false };
+  }
+  
+  // Check for duplicate change requests (same change_type, old_value, new_value for same staff)
+  const duplicateCheck = await pool.query(`
+    SELECT COUNT(*) as duplicate_count
+    FROM change_requests
+    WHERE staff_id = $1
+      AND change_type = $2
+      AND old_value = $3
+      AND new_value = $4
+  `, [staffId, changeType, oldValue || 'NULL', newValue || 'NULL']);
+  
+  const duplicateCount = parseInt(duplicateCheck.rows[0].duplicate_count);
+  if (duplicateCount > 0) {
+    warnings.push(`Warning: ${duplicateCount} duplicate change request(s) already exist with the same change type, old value, and new value.`);
+  }
+  
+  // Check if new_value matches current value in human_resource table
+  const currentValueResult = await pool.query(`
+    SELECT ${columnName} as current_value
+    FROM human_resource
+    WHERE unique_id = $1
+  `, [staffId]);
+  
+  if (currentValueResult.rows.length === 0) {
+    errors.push('Staff member not found in human_resource table');
+    return { warnings, errors, isValid: false };
+  }
+  
+  const currentValue = currentValueResult.rows[0].current_value;
+  
+  // Normalize values for comparison (handle nulls, booleans, numbers, dates)
+  const normalizeValue = (val) => {
+    if (val === null || val === undefined || val === 'NULL' || val === '') return null;
+    if (typeof val === 'boolean') return val.toString();
+    if (typeof val === 'number') return val.toString();
+    if (val instanceof Date) return val.toISOString().split('T')[0];
+    return val.toString().trim();
+  };
+  
+  const normalizedCurrent = normalizeValue(currentValue);
+  const normalizedNew = normalizeValue(newValue);
+  
+  console.log(`🔍 Validation for ${changeType}: currentValue=${currentValue} (type: ${typeof currentValue}), newValue=${newValue} (type: ${typeof newValue})`);
+  console.log(`🔍 Normalized: current="${normalizedCurrent}", new="${normalizedNew}"`);
+  
+  // Special handling for boolean fields
+  if (changeType === 'active_status_change') {
+    const currentBool = currentValue === true || currentValue === 'true' || currentValue === 1;
+    const newBool = newValue === 'true' || newValue === true || newValue === 1;
+    if (currentBool === newBool) {
+      console.log(`❌ Validation failed: boolean values match (${currentBool} === ${newBool})`);
+      errors.push(`The new value (${newValue}) matches the current value in human_resource table (${currentValue}). No change will occur.`);
+      return { warnings, errors, isValid: false };
+    }
+  } else if (normalizedCurrent === normalizedNew) {
+    console.log(`❌ Validation failed: normalized values match ("${normalizedCurrent}" === "${normalizedNew}")`);
+    errors.push(`The new value (${newValue}) matches the current value in human_resource table (${currentValue}). No change will occur.`);
+    return { warnings, errors, isValid: false };
+  }
+  
+  console.log(`✅ Validation passed for ${changeType}`);
+  return { warnings, errors, isValid: true };
+}
+
+// Update staff member role
+app.put('/api/staff/:id/role', 
+  validateRequiredFields(['role']),
+  async (req, res) => {
   try {
     const { id } = req.params;
+    const { role, reason = '', effective_from_date = null } = req.body;
+    const changed_by = getAuditActor(req).username;
     
-    // Check if staff member exists and get current status
-    const checkResult = await pool.query(`
-      SELECT staff_name, is_active 
-      FROM human_resource 
-      WHERE unique_id = $1
-    `, [id]);
+    // Validate role
+    if (!['team leader', 'staff member'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid role',
+        message: 'Role must be either "team leader" or "staff member"'
+      });
+    }
+    
+    // Check if staff member exists
+    const checkResult = await pool.query(
+      'SELECT staff_name, role as current_role FROM human_resource WHERE unique_id = $1',
+      [id]
+    );
     
     if (checkResult.rows.length === 0) {
       return res.status(404).json({
@@ -1988,21 +2852,13 @@ app.put('/api/staff/:id/toggle-active', async (req, res) => {
       });
     }
     
-    const currentStatus = checkResult.rows[0].is_active;
+    const currentRole = checkResult.rows[0].current_role;
     const staffName = checkResult.rows[0].staff_name;
-    const newStatus = !currentStatus;
-    
-    console.log(`🔄 Toggle active status: ${staffName} from ${currentStatus} to ${newStatus}`);
-    
-    // Get the change information from request body
-    const { changed_by = 'system', reason = '', effective_from_date = null } = req.body;
     
     // Validate change request before proceeding
-    console.log(`🔍 Validating change request for ${staffName}...`);
-    const validation = await validateChangeRequest(id, 'active_status_change', currentStatus.toString(), newStatus.toString());
+    const validation = await validateChangeRequest(id, 'role_change', currentRole, role);
     
     if (!validation.isValid) {
-      console.log(`❌ Validation failed for ${staffName}:`, validation.errors);
       return res.status(400).json({
         success: false,
         error: 'Change request validation failed',
@@ -2011,208 +2867,182 @@ app.put('/api/staff/:id/toggle-active', async (req, res) => {
       });
     }
     
-    console.log(`✅ Validation passed for ${staffName}`);
-    
-    // Update the active status
-    console.log(`🔄 Updating human_resource table for ${staffName}...`);
-    const result = await pool.query(`
-      UPDATE human_resource 
-              SET is_active = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London') 
-      WHERE unique_id = $2 
-      RETURNING *
-    `, [newStatus, id]);
-    console.log(`✅ human_resource updated for ${staffName}`);
-    
-    // Log the change in history
+    // Determine effective date
     const effectiveDate = effective_from_date ? new Date(effective_from_date).toISOString() : new Date().toISOString();
-    console.log(`📝 Inserting change request for ${staffName} with values:`, {
-      staff_id: id,
-      staff_name: staffName,
-      change_type: 'active_status_change',
-      old_value: currentStatus.toString(),
-      new_value: newStatus.toString(),
-      effective_from_date: effectiveDate,
-      changed_by,
-      reason
-    });
-    
-    try {
-      const insertResult = await pool.query(`
-        INSERT INTO change_requests (
-          id, staff_id, staff_name, change_type, field_name, old_value, new_value, effective_from_date, changed_at, changed_by, reason
-        ) VALUES (uuid_change_request($1, $3, 'is_active', $6), $1, $2, $3, 'is_active', $4, $5, $6, $6, $7, $8)
-        RETURNING id
-      `, [id, staffName, 'active_status_change', currentStatus.toString(), newStatus.toString(), effectiveDate, changed_by, reason]);
-      console.log(`✅ Change request inserted for active status change: ${insertResult.rows[0].id}`);
-    } catch (insertError) {
-      console.error('❌ Error inserting change request for active status change:', insertError);
-      console.error('❌ Error details:', {
-        message: insertError.message,
-        code: insertError.code,
-        detail: insertError.detail,
-        stack: insertError.stack
+    // Fix timezone issue: compare dates properly by adding seconds if needed
+    const effectiveDateTime = effective_from_date ? 
+      (effective_from_date.includes(':') && !effective_from_date.includes(':', 16) ? 
+        effective_from_date + ':00' : effective_from_date) : null;
+    const isImmediate = !effective_from_date || new Date(effectiveDateTime) <= new Date();
+
+    if (isImmediate) {
+      // Apply change immediately
+      const result = await pool.query(
+        'UPDATE human_resource SET role = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2 AND ($3::integer IS NULL OR version = $3) RETURNING *',
+        [role, id, req.expectedVersion]
+      );
+      
+      if (result.rows.length === 0) {
+        if (await sendVersionConflict(pool, req, res, 'staff', [id])) {
+          return;
+        }
+        return res.status(404).json({
+          success: false,
+          error: 'Staff member not found',
+          message: 'No staff member found with the specified ID'
+        });
+      }
+      
+      // Log the change in history
+      try {
+        const insertResult = await pool.query(`
+          INSERT INTO change_requests (
+            id, staff_id, staff_name, change_type, field_name, old_value, new_value, effective_from_date, changed_at, changed_by, reason
+          ) VALUES (uuid_change_request($1, $3, 'role', $6), $1, $2, $3, 'role', $4, $5, $6, $6, $7, $8)
+          RETURNING id
+        `, [id, staffName, 'role_change', currentRole, role, effectiveDate, changed_by, reason]);
+        console.log(`✅ Change request inserted for role change: ${insertResult.rows[0].id}`);
+      } catch (insertError) {
+        console.error('❌ Error inserting change request for role change:', insertError);
+        throw insertError;
+      }
+      
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: `Staff member role updated to ${role} successfully`,
+        applied_immediately: true,
+        warnings: validation.warnings.length > 0 ? validation.warnings : undefined
       });
-      throw insertError;
-    }
-    
-    // Verify the change request was inserted
-    const verifyResult = await pool.query(`
-      SELECT id FROM change_requests 
-      WHERE staff_id = $1 
-        AND change_type = 'active_status_change'
-        AND old_value = $2
-        AND new_value = $3
-        AND effective_from_date = $4
-      ORDER BY changed_at DESC
-      LIMIT 1
-    `, [id, currentStatus.toString(), newStatus.toString(), effectiveDate]);
-    
-    if (verifyResult.rows.length > 0) {
-      console.log(`✅ Verified change request exists: ${verifyResult.rows[0].id}`);
     } else {
-      console.error(`❌ WARNING: Change request was not found after insertion!`);
-    }
-    
-    res.json({
-      success: true,
-      data: result.rows[0],
-      message: `Staff member ${newStatus ? 'activated' : 'deactivated'} successfully`,
-      warnings: validation.warnings.length > 0 ? validation.warnings : undefined,
-      change_request_id: verifyResult.rows.length > 0 ? verifyResult.rows[0].id : null
-    });
-  } catch (err) {
-    console.error('Error toggling staff active status:', err);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to toggle staff active status',
-      message: err.message
-    });
-  }
-});
+      // Create change request for future application (only while the staff member is at the If-Match version)
+      try {
+        const changeRequestResult = await pool.query(`
+          INSERT INTO change_requests (
+            id, staff_id, staff_name, change_type, field_name, old_value, new_value, 
+            effective_from_date, changed_at, changed_by, reason
+          )
+          SELECT uuid_change_request($1, $3, 'role', $6), $1, $2, $3, 'role', $4, $5, $6, $6, $7, $8
+          WHERE EXISTS (
+            SELECT 1 FROM human_resource WHERE unique_id = $1 AND ($9::integer IS NULL OR version = $9)
+          )
+          RETURNING *
+        `, [id, staffName, 'role_change', currentRole, role, effectiveDate, changed_by, reason, req.expectedVersion]);
+        
+        if (changeRequestResult.rows.length === 0) {
+          if (await sendVersionConflict(pool, req, res, 'staff', [id])) {
+            return;
+          }
+          return res.status(404).json({
+            success: false,
+            error: 'Staff member not found',
+            message: 'No staff member found with the specified ID'
+          });
+        }
+        console.log(`✅ Change request inserted for future role change: ${changeRequestResult.rows[0].id}`);
 
-// Get all periods
-app.get('/api/periods', async (req, res) => {
-  try {
-    const result = await pool.query('SELECT * FROM periods ORDER BY start_date');
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows.length
-    });
+        res.json({
+          success: true,
+          data: changeRequestResult.rows[0],
+          message: `Change request created for role update to ${role} (effective ${new Date(effective_from_date).toLocaleString()})`,
+          applied_immediately: false,
+          effective_date: effectiveDate,
+          warnings: validation.warnings.length > 0 ? validation.warnings : undefined
+        });
+      } catch (insertError) {
+        console.error('❌ Error inserting change request for future role change:', insertError);
+        throw insertError;
+      }
+    }
   } catch (err) {
-    console.error('Error fetching periods:', err);
+    console.error('Error updating staff member role:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch periods',
+      error: 'Failed to update staff member role',
       message: err.message
     });
   }
 });
 
-// Get shifts for a specific period
-app.get('/api/shifts/period/:periodId', async (req, res) => {
+// Get change requests for a staff member
+app.get('/api/staff/:id/change-requests', async (req, res) => {
   try {
-    const { periodId } = req.params;
+    const { id } = req.params;
     
-    // Validate periodId format
-    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(periodId)) {
-      return res.status(400).json({
+    // Check if staff member exists
+    const checkResult = await pool.query(
+      'SELECT staff_name FROM human_resource WHERE unique_id = $1',
+      [id]
+    );
+    
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
         success: false,
-        error: 'Invalid period ID format',
-        message: 'Period ID must be a valid UUID'
+        error: 'Staff member not found',
+        message: 'No staff member found with the specified ID'
       });
     }
     
-    const result = await executeQueryWithRetry(`
+    // Get pending change requests (future effective dates)
+    const result = await pool.query(`
       SELECT 
-        s.id as shift_id,
-        s.period_id,
-        s.week_number,
-        s.staff_name,
-        s.shift_start_datetime,
-        s.shift_end_datetime,
-        s.shift_type,
-        
-        s.solo_shift,
-        s.training,
-        s.short_notice,
-        s.call_out,
-        s.overtime,
-        s.payment_period_end,
-        s.financial_year_end,
-        s.notes,
-        hr.role as staff_role,
-        p.start_date,
-        p.end_date
-      FROM shifts s 
-      LEFT JOIN human_resource hr ON s.staff_name = hr.staff_name 
-      LEFT JOIN periods p ON s.period_id = p.period_id
-      WHERE s.period_id = $1
-      ORDER BY s.week_number, s.shift_start_datetime, s.staff_name
-    `, [periodId]);
+        id, staff_id, staff_name, change_type, old_value, new_value,
+        effective_from_date, changed_at, changed_by, reason
+      FROM change_requests 
+      WHERE staff_id = $1 AND effective_from_date > NOW()
+      ORDER BY effective_from_date ASC
+    `, [id]);
     
     res.json({
       success: true,
       data: result.rows,
-      count: result.rows.length,
-      periodId: periodId
+      count: result.rows.length
     });
   } catch (err) {
-    console.error('Error fetching shifts for period:', err);
+    console.error('Error getting change requests:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch shifts for period',
+      error: 'Failed to get change requests',
       message: err.message
     });
   }
 });
 
-// Get all shifts
-app.get('/api/shifts', async (req, res) => {
+
+// Get role history for a staff member
+app.get('/api/staff/:id/role-history', async (req, res) => {
   try {
-    const { from, to } = req.query;
-    
-    let query = `
-      SELECT 
-        s.id as shift_id,
-        s.period_id,
-        s.week_number,
-        s.staff_name,
-        s.shift_start_datetime,
-        s.shift_end_datetime,
-        s.shift_type,
-        s.solo_shift,
-        s.training,
-        s.short_notice,
-        s.call_out,
-        s.overtime,
-        s.payment_period_end,
-        s.financial_year_end,
-        s.notes,
-        hr.role as staff_role,
-        p.start_date,
-        p.end_date
-      FROM shifts s 
-      LEFT JOIN human_resource hr ON s.staff_name = hr.staff_name 
-      LEFT JOIN periods p ON s.period_id = p.period_id
-    `;
+    const { id } = req.params;
     
-    let params = [];
+    // Check if staff member exists
+    const checkResult = await pool.query(
+      'SELECT staff_name FROM human_resource WHERE unique_id = $1',
+      [id]
+    );
     
-    // Add date filtering if from and to parameters are provided
-    if (from && to) {
-      query += ` WHERE DATE(s.shift_start_datetime) >= $1 AND DATE(s.shift_start_datetime) <= $2`;
-      params = [from, to];
-      console.log(`📊 Fetching shifts from ${from} to ${to}...`);
-    } else {
-      console.log('📊 Fetching all shifts...');
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found',
+        message: 'No staff member found with the specified ID'
+      });
     }
     
-    query += ` ORDER BY s.shift_start_datetime, s.staff_name`;
-    
-    const result = await pool.query(query, params);
-    
-    console.log('✅ Shifts query successful, found:', result.rows.length, 'shifts');
+    // Get role history from change_requests
+    const result = await pool.query(`
+      SELECT 
+        cr.id,
+        cr.staff_id,
+        cr.staff_name,
+        cr.old_value as previous_role,
+        cr.new_value as new_role,
+        cr.changed_at,
+        cr.changed_by,
+        cr.reason
+      FROM change_requests cr
+      WHERE cr.staff_id = $1 AND cr.change_type = 'role_change'
+      ORDER BY cr.changed_at DESC
+    `, [id]);
     
     res.json({
       success: true,
@@ -2220,1133 +3050,10447 @@ app.get('/api/shifts', async (req, res) => {
       count: result.rows.length
     });
   } catch (err) {
-    console.error('❌ Error fetching shifts:', err);
-    console.error('❌ Error details:', {
-      message: err.message,
-      code: err.code,
-      detail: err.detail,
-      hint: err.hint
-    });
-    
+    console.error('Error fetching role history:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch shifts',
-      message: err.message,
-      details: {
-        code: err.code,
-        detail: err.detail,
-        hint: err.hint
-      }
+      error: 'Failed to fetch role history',
+      message: err.message
     });
   }
 });
 
-// Get shifts for a specific staff member
-app.get('/api/shifts/staff/:staffName', async (req, res) => {
+// Update staff member pay rate
+app.put('/api/staff/:id/pay-rate', async (req, res) => {
   try {
-    const { staffName } = req.params;
-    const { from, to } = req.query;
+    const { id } = req.params;
+    const { pay_rate, reason = '', effective_from_date = null } = req.body;
+    const changed_by = getAuditActor(req).username;
     
-    if (!staffName || staffName.trim() === '') {
+    if (pay_rate === undefined || pay_rate === null || pay_rate < 0) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid staff name',
-        message: 'Staff name is required'
+        error: 'Invalid pay rate',
+        message: 'Pay rate must be a positive number'
       });
     }
     
-    let query = `
-      SELECT 
-        s.id as shift_id,
-        s.period_id,
-        s.week_number,
-        s.staff_name,
-        s.shift_start_datetime,
-        s.shift_end_datetime,
-        s.shift_type,
-        s.solo_shift,
-        s.training,
-        s.short_notice,
-        s.call_out,
-        s.overtime,
-        s.payment_period_end,
-        s.financial_year_end,
-        s.notes,
-        hr.role as staff_role,
-        p.start_date,
-        p.end_date
-      FROM shifts s 
-      LEFT JOIN human_resource hr ON s.staff_name = hr.staff_name 
-      LEFT JOIN periods p ON s.period_id = p.period_id
-      WHERE s.staff_name = $1
-    `;
+    // Check if staff member exists and get current data
+    const checkResult = await pool.query(`
+      SELECT staff_name, pay_rate as current_pay_rate
+      FROM human_resource
+      WHERE unique_id = $1
+    `, [id]);
     
-    let params = [staffName.trim()];
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found',
+        message: 'No staff member found with the specified ID'
+      });
+    }
     
-    // Add date filtering if from and to parameters are provided
-    if (from && to) {
-      // Validate date format
-      const fromDate = new Date(from);
-      const toDate = new Date(to);
+    const currentPayRate = checkResult.rows[0].current_pay_rate || 0;
+    const staffName = checkResult.rows[0].staff_name;
+    
+    // Validate change request before proceeding
+    const validation = await validateChangeRequest(id, 'pay_rate_change', currentPayRate.toString(), pay_rate.toString());
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Change request validation failed',
+        message: validation.errors.join(' '),
+        warnings: validation.warnings
+      });
+    }
+    
+    // Start transaction
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
       
-      if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
-        return res.status(400).json({
+      // Update the human_resource table directly
+      const updateResult = await client.query(`
+        UPDATE human_resource 
+        SET pay_rate = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London') 
+        WHERE unique_id = $2 AND ($3::integer IS NULL OR version = $3)
+      `, [pay_rate, id, req.expectedVersion]);
+      
+      if (updateResult.rowCount === 0) {
+        await client.query('ROLLBACK');
+        if (await sendVersionConflict(pool, req, res, 'staff', [id])) {
+          return;
+        }
+        return res.status(404).json({
           success: false,
-          error: 'Invalid date format',
-          message: 'Dates must be in YYYY-MM-DD format'
+          error: 'Staff member not found',
+          message: 'No staff member found with the specified ID'
         });
       }
       
-      query += ` AND DATE(s.shift_start_datetime) >= $2 AND DATE(s.shift_start_datetime) <= $3`;
-      params.push(from, to);
-      console.log(`📊 Fetching shifts for ${staffName} from ${from} to ${to}`);
-    } else {
-      console.log(`📊 Fetching all shifts for ${staffName}`);
+      // Log the change in history
+      const effectiveDate = effective_from_date ? new Date(effective_from_date).toISOString() : new Date().toISOString();
+      try {
+        const insertResult = await client.query(`
+          INSERT INTO change_requests (
+            id, staff_id, staff_name, change_type, field_name, old_value, new_value, effective_from_date, changed_at, changed_by, reason
+          ) VALUES (uuid_change_request($1, $3, 'pay_rate', $6), $1, $2, $3, 'pay_rate', $4, $5, $6, $6, $7, $8)
+          RETURNING id
+        `, [id, staffName, 'pay_rate_change', currentPayRate.toString(), pay_rate.toString(), effectiveDate, changed_by, reason]);
+        console.log(`✅ Change request inserted for pay rate change: ${insertResult.rows[0].id}`);
+      } catch (insertError) {
+        console.error('❌ Error inserting change request for pay rate change:', insertError);
+        throw insertError;
+      }
+      
+      await client.query('COMMIT');
+      
+      // Get updated data
+      const result = await pool.query(`
+        SELECT * FROM human_resource WHERE unique_id = $1
+      `, [id]);
+      
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: 'Pay rate updated successfully in human_resource table',
+        warnings: validation.warnings.length > 0 ? validation.warnings : undefined
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
-    
-    query += ` ORDER BY s.shift_start_datetime`;
-    
-    const result = await pool.query(query, params);
-    
-    console.log(`📊 Found ${result.rows.length} shifts for ${staffName}${from && to ? ` in date range ${from} to ${to}` : ''}`);
-    
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows.length,
-      staffName: staffName.trim(),
-      dateRange: from && to ? { from, to } : null
-    });
   } catch (err) {
-    console.error('Error fetching shifts for staff member:', err);
+    console.error('Error updating staff pay rate:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch shifts for staff member',
+      error: 'Failed to update staff pay rate',
       message: err.message
     });
   }
 });
 
-// Get shifts for a specific staff member within a date range
-app.get('/api/shifts/employee/:staffName', async (req, res) => {
+// Update staff member contracted hours
+app.put('/api/staff/:id/contracted-hours', async (req, res) => {
   try {
-    const { staffName } = req.params;
-    const { from, to } = req.query;
+    const { id } = req.params;
+    const { contracted_hours, reason = '', effective_from_date = null } = req.body;
+    const changed_by = getAuditActor(req).username;
     
-    if (!staffName || staffName.trim() === '') {
+    if (contracted_hours === undefined || contracted_hours === null || contracted_hours < 0) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid staff name',
-        message: 'Staff name is required'
+        error: 'Invalid contracted hours',
+        message: 'Contracted hours must be a positive number'
       });
     }
     
-    if (!from || !to) {
+    // Check if staff member exists and get current data
+    const checkResult = await pool.query(`
+      SELECT staff_name, contracted_hours as current_contracted_hours
+      FROM human_resource
+      WHERE unique_id = $1
+    `, [id]);
+    
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found',
+        message: 'No staff member found with the specified ID'
+      });
+    }
+    
+    const currentContractedHours = checkResult.rows[0].current_contracted_hours || 0;
+    const staffName = checkResult.rows[0].staff_name;
+    
+    // Validate change request before proceeding
+    const validation = await validateChangeRequest(id, 'contracted_hours_change', currentContractedHours.toString(), contracted_hours.toString());
+    
+    if (!validation.isValid) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid date range',
-        message: 'Both from and to dates are required'
+        error: 'Change request validation failed',
+        message: validation.errors.join(' '),
+        warnings: validation.warnings
       });
     }
     
-    // Validate date format
-    const fromDate = new Date(from);
-    const toDate = new Date(to);
+    // Start transaction
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      
+      // Update the human_resource table directly
+      const updateResult = await client.query(`
+        UPDATE human_resource 
+        SET contracted_hours = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London') 
+        WHERE unique_id = $2 AND ($3::integer IS NULL OR version = $3)
+      `, [contracted_hours, id, req.expectedVersion]);
+      
+      if (updateResult.rowCount === 0) {
+        await client.query('ROLLBACK');
+        if (await sendVersionConflict(pool, req, res, 'staff', [id])) {
+          return;
+        }
+        return res.status(404).json({
+          success: false,
+          error: 'Staff member not found',
+          message: 'No staff member found with the specified ID'
+        });
+      }
+      
+      // Log the change in history
+      const effectiveDate = effective_from_date ? new Date(effective_from_date).toISOString() : new Date().toISOString();
+      try {
+        const insertResult = await client.query(`
+          INSERT INTO change_requests (
+            id, staff_id, staff_name, change_type, field_name, old_value, new_value, effective_from_date, changed_at, changed_by, reason
+          ) VALUES (uuid_change_request($1, $3, 'contracted_hours', $6), $1, $2, $3, 'contracted_hours', $4, $5, $6, $6, $7, $8)
+          RETURNING id
+        `, [id, staffName, 'contracted_hours_change', currentContractedHours.toString(), contracted_hours.toString(), effectiveDate, changed_by, reason]);
+        console.log(`✅ Change request inserted for contracted hours change: ${insertResult.rows[0].id}`);
+      } catch (insertError) {
+        console.error('❌ Error inserting change request for contracted hours change:', insertError);
+        throw insertError;
+      }
+      
+      await client.query('COMMIT');
+      
+      // Get updated data
+      const result = await pool.query(`
+        SELECT * FROM human_resource WHERE unique_id = $1
+      `, [id]);
+      
+      // Recalculate holiday entitlement after contracted hours change
+      try {
+        await pool.query('SELECT recalculate_holiday_entitlement($1, $2)', [
+          id, 
+          result.rows[0].employment_end_date
+        ]);
+        console.log('✅ Holiday entitlement recalculated after contracted hours change');
+      } catch (holidayError) {
+        console.error('⚠️ Failed to recalculate holiday entitlement after contracted hours change:', holidayError.message);
+        // Don't fail the entire request if holiday entitlement recalculation fails
+      }
+
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: 'Contracted hours updated successfully in human_resource table',
+        warnings: validation.warnings.length > 0 ? validation.warnings : undefined
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('Error updating staff contracted hours:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update staff contracted hours',
+      message: err.message
+    });
+  }
+});
+
+// Update staff member employment start date
+app.put('/api/staff/:id/employment-date', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { employment_start_date, reason = '', effective_from_date = null } = req.body;
+    const changed_by = getAuditActor(req).username;
     
-    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+    if (!employment_start_date) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid date format',
-        message: 'Dates must be in YYYY-MM-DD format'
+        error: 'Missing required fields',
+        message: 'employment_start_date is required'
       });
     }
     
-    console.log(`📊 Fetching shifts for ${staffName} from ${from} to ${to}`);
+    // Check if staff member exists and get current data
+    const checkResult = await pool.query(`
+      SELECT staff_name, employment_start_date as current_employment_date
+      FROM human_resource
+      WHERE unique_id = $1
+    `, [id]);
     
-    const result = await pool.query(`
-      SELECT 
-        s.id as shift_id,
-        s.period_id,
-        s.week_number,
-        s.staff_name,
-        s.shift_start_datetime,
-        s.shift_end_datetime,
-        s.shift_type,
-        s.solo_shift,
-        s.training,
-        s.short_notice,
-        s.call_out,
-        s.overtime,
-        s.payment_period_end,
-        s.financial_year_end,
-        s.notes,
-        hr.role as staff_role,
-        p.start_date,
-        p.end_date
-      FROM shifts s 
-      LEFT JOIN human_resource hr ON s.staff_name = hr.staff_name 
-      LEFT JOIN periods p ON s.period_id = p.period_id
-      WHERE s.staff_name = $1 
-        AND DATE(s.shift_start_datetime) >= $2 
-        AND DATE(s.shift_start_datetime) <= $3
-      ORDER BY s.shift_start_datetime
-    `, [staffName.trim(), from, to]);
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found',
+        message: 'No staff member found with the specified ID'
+      });
+    }
     
-    console.log(`📊 Found ${result.rows.length} shifts for ${staffName} in date range`);
+    const currentDate = checkResult.rows[0].current_employment_date || '';
+    const staffName = checkResult.rows[0].staff_name;
     
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows.length,
-      staffName: staffName.trim(),
-      dateRange: { from, to }
-    });
+    // Validate change request before proceeding
+    const validation = await validateChangeRequest(id, 'employment_date_change', currentDate || 'NULL', employment_start_date);
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Change request validation failed',
+        message: validation.errors.join(' '),
+        warnings: validation.warnings
+      });
+    }
+    
+    // Start transaction
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      
+      // Update the human_resource table directly
+      const updateResult = await client.query(`
+        UPDATE human_resource 
+        SET employment_start_date = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London') 
+        WHERE unique_id = $2 AND ($3::integer IS NULL OR version = $3)
+      `, [employment_start_date, id, req.expectedVersion]);
+      
+      if (updateResult.rowCount === 0) {
+        await client.query('ROLLBACK');
+        if (await sendVersionConflict(pool, req, res, 'staff', [id])) {
+          return;
+        }
+        return res.status(404).json({
+          success: false,
+          error: 'Staff member not found',
+          message: 'No staff member found with the specified ID'
+        });
+      }
+      
+      // Log the change in history
+      const effectiveDate = effective_from_date ? new Date(effective_from_date).toISOString() : new Date().toISOString();
+      try {
+        const insertResult = await client.query(`
+          INSERT INTO change_requests (
+            id, staff_id, staff_name, change_type, field_name, old_value, new_value, effective_from_date, changed_at, changed_by, reason
+          ) VALUES (uuid_change_request($1, $3, 'employment_start_date', $6), $1, $2, $3, 'employment_start_date', $4, $5, $6, $6, $7, $8)
+          RETURNING id
+        `, [id, staffName, 'employment_date_change', currentDate || 'NULL', employment_start_date, effectiveDate, changed_by, reason]);
+        console.log(`✅ Change request inserted for employment date change: ${insertResult.rows[0].id}`);
+      } catch (insertError) {
+        console.error('❌ Error inserting change request for employment date change:', insertError);
+        throw insertError;
+      }
+      
+      await client.query('COMMIT');
+      
+      // Get updated data
+      const result = await pool.query(`
+        SELECT * FROM human_resource WHERE unique_id = $1
+      `, [id]);
+      
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: 'Employment start date updated successfully in human_resource table',
+        warnings: validation.warnings.length > 0 ? validation.warnings : undefined
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   } catch (err) {
-    console.error('Error fetching shifts for staff member by date range:', err);
+    console.error('Error updating staff employment start date:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch shifts for staff member',
+      error: 'Failed to update staff employment start date',
       message: err.message
     });
   }
 });
 
-// Get sick leave shifts (SSP and CSP) for all staff members - Summary format
-app.get('/api/shifts/sick-leave', async (req, res) => {
+// Update staff member employment end date
+app.put('/api/staff/:id/employment-end-date', async (req, res) => {
   try {
-    console.log('🏥 Fetching sick leave shifts (SSP & CSP) summary...');
-    
-    // Calculate current financial year dates
-    const currentDate = new Date();
-    const currentYear = currentDate.getFullYear();
+    const { id } = req.params;
+    const { employment_end_date, reason = '', effective_from_date = null } = req.body;
+    const changed_by = getAuditActor(req).username;
     
-    let financialYearStart, financialYearEnd;
+    // Check if staff member exists and get current data
+    const checkResult = await pool.query(`
+      SELECT staff_name, employment_end_date as current_employment_end_date
+      FROM human_resource
+      WHERE unique_id = $1
+    `, [id]);
     
-    // Financial year runs from April 6th to April 5th next year
-    const month = currentDate.getMonth(); // 0-based (0=Jan, 3=Apr)
-    const day = currentDate.getDate();
-    const isOnOrAfterApril6 = (month > 3) || (month === 3 && day >= 6);
-    if (isOnOrAfterApril6) {
-      // On or after April 6th - we're in the current financial year
-      financialYearStart = new Date(currentYear, 3, 6); // April 6th current year
-      financialYearEnd = new Date(currentYear + 1, 3, 5); // April 5th next year
-    } else {
-      // Before April 6th - we're in the previous financial year
-      financialYearStart = new Date(currentYear - 1, 3, 6); // April 6th previous year
-      financialYearEnd = new Date(currentYear, 3, 5); // April 5th current year
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found',
+        message: 'No staff member found with the specified ID'
+      });
     }
     
-    // Format dates for SQL query
-    const formatDate = (date) => {
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const day = String(date.getDate()).padStart(2, '0');
-      return `${year}-${month}-${day}`;
-    };
-    
-    const fromDate = formatDate(financialYearStart);
-    const toDate = formatDate(financialYearEnd);
-    
-    console.log(`📅 Financial Year: ${fromDate} to ${toDate}`);
+    const currentEndDate = checkResult.rows[0].current_employment_end_date || '';
+    const staffName = checkResult.rows[0].staff_name;
     
-    const result = await pool.query(`
-      SELECT 
-        s.id as shift_id,
-        s.period_id,
-        s.week_number,
-        s.staff_name,
-        s.shift_start_datetime,
-        s.shift_end_datetime,
-        s.shift_type,
-        s.solo_shift,
-        s.training,
-        s.short_notice,
-        s.call_out,
-        s.overtime,
-        s.payment_period_end,
-        s.financial_year_end,
-        s.notes,
-        hr.role as staff_role,
-        p.period_name,
-        p.start_date,
-        p.end_date
-      FROM shifts s 
-      LEFT JOIN human_resource hr ON s.staff_name = hr.staff_name 
-      LEFT JOIN periods p ON s.period_id = p.period_id
-      WHERE s.shift_type IN ('SSP', 'CSP')
-        AND DATE(s.shift_start_datetime) >= $1 
-        AND DATE(s.shift_start_datetime) <= $2
-      ORDER BY s.staff_name, s.shift_start_datetime DESC
-    `, [fromDate, toDate]);
+    // Validate change request before proceeding
+    const validation = await validateChangeRequest(id, 'employment_end_date_change', currentEndDate || 'NULL', employment_end_date || 'NULL');
     
-    console.log(`✅ Found ${result.rows.length} sick leave shifts`);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Change request validation failed',
+        message: validation.errors.join(' '),
+        warnings: validation.warnings
+      });
+    }
     
-    // Group shifts by staff member and calculate summary statistics
-    const staffSummaries = {};
-    result.rows.forEach(shift => {
-      if (!staffSummaries[shift.staff_name]) {
-        staffSummaries[shift.staff_name] = {
-          name: shift.staff_name,
-          role: shift.staff_role || 'Staff Member',
-          totalShifts: 0,
-          sspShifts: 0,
-          cspShifts: 0,
-          totalHours: 0,
-          cumulativeHours: 0,
-          totalPay: 0,
-          shifts: []
-        };
-      }
+    // Start transaction
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
       
-      const hours = (new Date(shift.shift_end_datetime) - new Date(shift.shift_start_datetime)) / (1000 * 60 * 60);
-      staffSummaries[shift.staff_name].totalShifts += 1;
-      staffSummaries[shift.staff_name].totalHours += hours;
-      staffSummaries[shift.staff_name].shifts.push(shift);
+      // Update the human_resource table directly
+      const updateResult = await client.query(`
+        UPDATE human_resource 
+        SET employment_end_date = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London') 
+        WHERE unique_id = $2 AND ($3::integer IS NULL OR version = $3)
+      `, [employment_end_date || null, id, req.expectedVersion]);
       
-      if (shift.shift_type === 'SSP') {
-        staffSummaries[shift.staff_name].sspShifts += 1;
-      } else if (shift.shift_type === 'CSP') {
-        staffSummaries[shift.staff_name].cspShifts += 1;
+      if (updateResult.rowCount === 0) {
+        await client.query('ROLLBACK');
+        if (await sendVersionConflict(pool, req, res, 'staff', [id])) {
+          return;
+        }
+        return res.status(404).json({
+          success: false,
+          error: 'Staff member not found',
+          message: 'No staff member found with the specified ID'
+        });
       }
-    });
-    
-    // Calculate cumulative hours and pay for each staff member
-    const summaries = Object.values(staffSummaries).map(summary => {
-      // Calculate cumulative hours (same as total for sick leave)
-      summary.cumulativeHours = summary.totalHours;
       
-      // Calculate pay based on role and hours (simplified calculation)
-      // This would need to be updated with actual pay rates
-      const hourlyRate = summary.role === 'Manager' ? 25 : 15; // Example rates
-      summary.totalPay = summary.totalHours * hourlyRate;
+      // Log the change in history
+      const effectiveDate = effective_from_date ? new Date(effective_from_date).toISOString() : new Date().toISOString();
+      try {
+        const insertResult = await client.query(`
+          INSERT INTO change_requests (
+            id, staff_id, staff_name, change_type, field_name, old_value, new_value, effective_from_date, changed_at, changed_by, reason
+          ) VALUES (uuid_change_request($1, $3, 'employment_end_date', $6), $1, $2, $3, 'employment_end_date', $4, $5, $6, $6, $7, $8)
+          RETURNING id
+        `, [id, staffName, 'employment_end_date_change', currentEndDate || 'NULL', employment_end_date || 'NULL', effectiveDate, changed_by, reason]);
+        console.log(`✅ Change request inserted for employment end date change: ${insertResult.rows[0].id}`);
+      } catch (insertError) {
+        console.error('❌ Error inserting change request for employment end date change:', insertError);
+        throw insertError;
+      }
       
-      return summary;
-    });
-    
-    // Calculate overall totals
-    const totals = summaries.reduce((acc, summary) => {
-      acc.totalShifts += summary.totalShifts;
-      acc.totalSsp += summary.sspShifts;
-      acc.totalCsp += summary.cspShifts;
-      acc.totalHours += summary.totalHours;
-      acc.totalPay += summary.totalPay;
-      return acc;
-    }, { totalShifts: 0, totalSsp: 0, totalCsp: 0, totalHours: 0, totalPay: 0 });
-    
-    res.json({
-      success: true,
-      summaries: summaries,
-      totals: totals,
-      count: result.rows.length
-    });
+      await client.query('COMMIT');
+      
+      // Get updated data
+      const result = await pool.query(`
+        SELECT * FROM human_resource WHERE unique_id = $1
+      `, [id]);
+      
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: 'Employment end date updated successfully in human_resource table',
+        warnings: validation.warnings.length > 0 ? validation.warnings : undefined
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   } catch (err) {
-    console.error('❌ Error fetching sick leave shifts:', err);
+    console.error('Error updating staff employment end date:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch sick leave shifts',
+      error: 'Failed to update staff employment end date',
       message: err.message
     });
   }
 });
 
-// Get current financial year dates based on financial_year_end flags
-app.get('/api/financial-year/dates', async (req, res) => {
+// Get contract history for a staff member
+app.get('/api/staff/:id/contract-history', async (req, res) => {
   try {
-    console.log('📅 Fetching current financial year dates from flags...');
-    
-    // Find the most recent financial year end date from shifts
-    const result = await pool.query(`
-      SELECT 
-        DATE(shift_start_datetime) as fy_end_date
-      FROM shifts
-      WHERE financial_year_end = true
-        AND DATE(shift_start_datetime) <= CURRENT_DATE
-      ORDER BY shift_start_datetime DESC
-      LIMIT 1
-    `);
+    const { id } = req.params;
     
-    let financialYearStart, financialYearEnd;
+    // Check if staff member exists
+    const checkResult = await pool.query(
+      'SELECT staff_name FROM human_resource WHERE unique_id = $1',
+      [id]
+    );
     
-    if (result.rows.length > 0 && result.rows[0].fy_end_date) {
-      // Use the financial year end date from flags
-      const fyEndDate = new Date(result.rows[0].fy_end_date);
-      financialYearStart = new Date(fyEndDate);
-      financialYearStart.setDate(financialYearStart.getDate() + 1); // Day after FY end = April 6th
-      financialYearEnd = new Date(financialYearStart);
-      financialYearEnd.setFullYear(financialYearEnd.getFullYear() + 1);
-      financialYearEnd.setDate(financialYearEnd.getDate() - 1); // April 5th next year
-      
-      console.log(`📅 Financial year from flags: ${financialYearStart.toISOString().split('T')[0]} to ${financialYearEnd.toISOString().split('T')[0]}`);
-    } else {
-      // Fallback to calculating based on current date
-      const currentDate = new Date();
-      const currentYear = currentDate.getFullYear();
-      const month = currentDate.getMonth();
-      const day = currentDate.getDate();
-      const isOnOrAfterApril6 = (month > 3) || (month === 3 && day >= 6);
-      
-      if (isOnOrAfterApril6) {
-        financialYearStart = new Date(currentYear, 3, 6);
-        financialYearEnd = new Date(currentYear + 1, 3, 5);
-      } else {
-        financialYearStart = new Date(currentYear - 1, 3, 6);
-        financialYearEnd = new Date(currentYear, 3, 5);
-      }
-      
-      console.log(`📅 Financial year calculated (no flags found): ${financialYearStart.toISOString().split('T')[0]} to ${financialYearEnd.toISOString().split('T')[0]}`);
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found',
+        message: 'No staff member found with the specified ID'
+      });
     }
     
-    // Format dates
-    const formatDate = (date) => {
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const day = String(date.getDate()).padStart(2, '0');
-      return `${year}-${month}-${day}`;
-    };
+    // Get contract history
+    const result = await pool.query(`
+      SELECT 
+        id,
+        staff_id,
+        staff_name,
+        contracted_hours,
+        pay_rate,
+        effective_from_date,
+        is_current,
+        created_at,
+        updated_at
+      FROM human_resource_contracts
+      WHERE staff_id = $1
+      ORDER BY effective_from_date DESC
+    `, [id]);
     
     res.json({
       success: true,
-      financialYearStart: formatDate(financialYearStart),
-      financialYearEnd: formatDate(financialYearEnd),
-      fromFlags: result.rows.length > 0
+      data: result.rows,
+      count: result.rows.length
     });
   } catch (err) {
-    console.error('❌ Error fetching financial year dates:', err);
+    console.error('Error fetching contract history:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch financial year dates',
+      error: 'Failed to fetch contract history',
       message: err.message
     });
   }
 });
 
-// Save or update shift assignment
-app.post('/api/shifts', 
-  validateRequiredFields(['periodId', 'weekNumber', 'shiftStartDatetime', 'shiftType', 'staffAssignments']),
-  async (req, res) => {
-  const client = await pool.connect();
+// Function to revert a staff change (without cascade deletion)
+async function revertStaffChange(changeRequest) {
   try {
-    await client.query('BEGIN');
+    const { staff_id, change_type, old_value, effective_from_date } = changeRequest;
     
-    const {
-      periodId,
-      weekNumber,
-      shiftStartDatetime,
-      shiftEndDatetime,
-      shiftType,
-      staffAssignments,
-      removedShiftIds = [], // IDs of shifts to delete
-      newAssignments = [] // Only new assignments (without shiftId) to insert
-    } = req.body;
-
-    // Validate week number
-    if (weekNumber < 1 || weekNumber > 4) {
-      await client.query('ROLLBACK');
-      client.release();
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid week number',
-        message: 'Week number must be between 1 and 4'
-      });
-    }
-
-    // Validate shift type
-    const validShiftTypes = ['Tom Day', 'Charlotte Day', 'Double Up', 'Tom Night', 'Charlotte Night', 'HOLIDAY', 'SSP', 'CSP'];
-    if (!validShiftTypes.includes(shiftType)) {
-      await client.query('ROLLBACK');
-      client.release();
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid shift type',
-        message: `Shift type must be one of: ${validShiftTypes.join(', ')}`
-      });
+    console.log(`🔍 Debug - revertStaffChange called with:`, {
+      staff_id,
+      change_type,
+      old_value,
+      old_value_type: typeof old_value,
+      effective_from_date
+    });
+    
+    // Find the latest change of the same type that was applied before the deleted change
+    const latestChangeResult = await pool.query(`
+      SELECT new_value, effective_from_date
+      FROM change_requests 
+      WHERE staff_id = $1 
+        AND change_type = $2
+        AND effective_from_date < $3
+        AND effective_from_date <= (NOW() AT TIME ZONE 'Europe/London')
+      ORDER BY effective_from_date DESC
+      LIMIT 1
+    `, [staff_id, change_type, effective_from_date]);
+    
+    let revertValue;
+    if (latestChangeResult.rows.length > 0) {
+      // Use the new_value from the latest change
+      revertValue = latestChangeResult.rows[0].new_value;
+      console.log(`🔄 Reverting ${change_type} for staff ${staff_id} to latest change value: ${revertValue}`);
+    } else {
+      // No previous change found, use the old_value from the deleted change
+      revertValue = old_value;
+      console.log(`🔄 No previous change found, reverting ${change_type} for staff ${staff_id} to old_value: ${revertValue} (type: ${typeof revertValue})`);
     }
-
-    // Validate periodId format
-    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(periodId)) {
-      await client.query('ROLLBACK');
-      client.release();
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid period ID format',
-        message: 'Period ID must be a valid UUID'
-      });
+    
+    // Update the human_resource table with the revert value
+    switch (change_type) {
+      case 'role_change':
+        await pool.query('UPDATE human_resource SET role = $1 WHERE unique_id = $2', [revertValue, staff_id]);
+        break;
+      case 'pay_rate_change':
+        await pool.query('UPDATE human_resource SET pay_rate = $1 WHERE unique_id = $2', [parseFloat(revertValue), staff_id]);
+        break;
+      case 'contracted_hours_change':
+        await pool.query('UPDATE human_resource SET contracted_hours = $1 WHERE unique_id = $2', [parseFloat(revertValue), staff_id]);
+        break;
+      case 'employment_date_change':
+        const startDateValue = (revertValue === 'NULL' || revertValue === null || revertValue === undefined || revertValue === '') ? null : revertValue;
+        console.log(`🔍 Debug - Setting employment_start_date to: ${startDateValue} (type: ${typeof startDateValue})`);
+        await pool.query('UPDATE human_resource SET employment_start_date = $1 WHERE unique_id = $2', [startDateValue, staff_id]);
+        break;
+      case 'employment_end_date_change':
+        const endDateValue = (revertValue === 'NULL' || revertValue === null || revertValue === undefined || revertValue === '') ? null : revertValue;
+        console.log(`🔍 Debug - Setting employment_end_date to: ${endDateValue} (type: ${typeof endDateValue})`);
+        await pool.query('UPDATE human_resource SET employment_end_date = $1 WHERE unique_id = $2', [endDateValue, staff_id]);
+        break;
+      case 'color_code_change':
+        await pool.query('UPDATE human_resource SET color_code = $1 WHERE unique_id = $2', [revertValue, staff_id]);
+        break;
+      case 'active_status_change':
+        await pool.query('UPDATE human_resource SET is_active = $1 WHERE unique_id = $2', [revertValue === 'true', staff_id]);
+        break;
+      default:
+        console.warn('Unknown change type for reversion:', change_type);
     }
+    
+    console.log(`✅ Reverted ${change_type} for staff ${staff_id} to ${revertValue}`);
+    
+    return {
+      revertedValue: revertValue
+    };
+  } catch (error) {
+    console.error('❌ Error reverting staff change:', error);
+    throw error;
+  }
+}
 
-    // Handle time-off cells differently - create single record with multiple staff
-    if (staffAssignments && staffAssignments.length > 0) {
-      const createdShifts = [];
-      
-      // Check if this is a time-off cell (HOLIDAY, SSP, or CSP)
-      const isTimeOffCell = ['HOLIDAY', 'SSP', 'CSP'].includes(shiftType);
-      
-      // Validate that we have at least one valid assignment
-      const firstAssignment = staffAssignments.find(a => a.staffName && a.startTime && a.endTime);
-      if (!firstAssignment) {
-        await client.query('ROLLBACK');
-        client.release();
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid assignments',
-          message: 'At least one valid assignment is required'
+// Delete a change request and revert to previous state
+app.delete('/api/staff/:id/change-request/:changeId', async (req, res) => {
+  try {
+    const { id, changeId } = req.params;
+    
+    console.log(`🔍 DELETE request - Staff ID: ${id}, Change ID: ${changeId}`);
+    
+    // Get the change request details - try with explicit UUID casting
+    let changeResult = await pool.query(`
+      SELECT * FROM change_requests 
+      WHERE id::text = $1 AND staff_id::text = $2
+    `, [changeId, id]);
+    
+    // If not found, try without staff_id constraint (in case of ID mismatch)
+    if (changeResult.rows.length === 0) {
+      console.log(`⚠️ Not found with staff_id constraint, trying without...`);
+      changeResult = await pool.query(`
+        SELECT * FROM change_requests 
+        WHERE id::text = $1
+      `, [changeId]);
+      
+      // If found but staff_id doesn't match, return error
+      if (changeResult.rows.length > 0 && changeResult.rows[0].staff_id.toString() !== id) {
+        console.log(`❌ Change found but staff_id mismatch: ${changeResult.rows[0].staff_id} vs ${id}`);
+        return res.status(403).json({
+          success: false,
+          error: 'Change request belongs to different staff member',
+          message: 'The specified change request does not belong to this staff member'
         });
       }
+    }
+    
+    if (changeResult.rows.length === 0) {
+      // Log all change requests for this staff to help debug
+      const allChanges = await pool.query(`
+        SELECT id, staff_id, change_type, effective_from_date 
+        FROM change_requests 
+        WHERE staff_id::text = $1
+      `, [id]);
+      console.log(`❌ Change request not found. Available changes for staff ${id}:`, allChanges.rows);
       
-      // Extract the date directly from shiftStartDatetime (which comes from frontend as ISO string)
-      // The frontend sends shiftStartDatetime in ISO format (e.g., "2025-12-10T20:00:00.000Z")
-      // Extract the date part (YYYY-MM-DD) to match what's stored in the database
-      let shiftDate;
-      if (typeof shiftStartDatetime === 'string' && shiftStartDatetime.includes('T')) {
-        // If it's an ISO string, extract the date part directly
-        shiftDate = shiftStartDatetime.split('T')[0];
-      } else {
-        // Fallback: parse as Date and extract UTC date components
-        const shiftStartDateObj = new Date(shiftStartDatetime);
-        const year = shiftStartDateObj.getUTCFullYear();
-        const month = String(shiftStartDateObj.getUTCMonth() + 1).padStart(2, '0');
-        const day = String(shiftStartDateObj.getUTCDate()).padStart(2, '0');
-        shiftDate = `${year}-${month}-${day}`;
+      return res.status(404).json({
+        success: false,
+        error: 'Change request not found',
+        message: 'The specified change request does not exist'
+      });
+    }
+    
+    const changeRequest = changeResult.rows[0];
+    const actualChangeId = changeRequest.id; // Use the actual ID from database
+    
+    console.log(`✅ Found change request: ${actualChangeId}, type: ${changeRequest.change_type}`);
+    
+    // Allow deletion of all change requests (both pending and applied)
+    const now = new Date();
+    const effectiveDate = new Date(changeRequest.effective_from_date);
+    
+    let revertResult = null;
+    
+    // If this is an applied change, we need to revert the staff member to previous state
+    if (effectiveDate <= now) {
+      // This is an applied change, need to revert and delete future changes
+      revertResult = await revertStaffChange(changeRequest);
+    }
+    
+    // Delete the change request using the actual ID from database
+    await pool.query('DELETE FROM change_requests WHERE id = $1', [actualChangeId]);
+    
+    res.json({
+      success: true,
+      message: effectiveDate <= now ? 
+        'Change request deleted and reverted successfully.' : 
+        'Change request deleted successfully',
+      data: {
+        deleted_change: changeRequest,
+        reverted: effectiveDate <= now,
+        reverted_value: revertResult ? revertResult.revertedValue : null
       }
-      
-      // Efficient approach: Only delete removed shifts and insert new ones
-      // This avoids unnecessary delete/re-insert operations for unchanged shifts
-      // If removedShiftIds/newAssignments not provided, fall back to old behavior (delete all, insert all)
-      const useEfficientMode = Array.isArray(removedShiftIds) && Array.isArray(newAssignments);
-      
-      console.log('🔄 Shift update mode:', useEfficientMode ? 'EFFICIENT (delete removed, insert new only)' : 'FULL REPLACE (delete all, insert all)');
-      console.log('🔄 Update details:', {
-        periodId,
-        weekNumber,
-        shiftDate,
-        shiftType,
-        removedShiftIds: removedShiftIds || [],
-        removedCount: removedShiftIds ? removedShiftIds.length : 0,
-        newAssignmentsCount: newAssignments ? newAssignments.length : 0,
-        totalAssignments: staffAssignments.length
+    });
+    
+  } catch (err) {
+    console.error('Error deleting change request:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete change request',
+      message: err.message
+    });
+  }
+});
+
+// Get all changes history for a staff member
+app.get('/api/staff/:id/changes-history', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Check if staff member exists
+    const checkResult = await executeQueryWithRetry(
+      'SELECT staff_name FROM human_resource WHERE unique_id = $1',
+      [id]
+    );
+    
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found',
+        message: 'No staff member found with the specified ID'
       });
-      
-      if (useEfficientMode) {
-        // Step 1: Delete only the shifts that were removed (by their IDs)
-        if (removedShiftIds && removedShiftIds.length > 0) {
-          const deleteQuery = 'DELETE FROM shifts WHERE id = ANY($1::uuid[]) RETURNING id, staff_name, shift_start_datetime::date as date, shift_type';
-          const deleteResult = await client.query(deleteQuery, [removedShiftIds]);
-          
-          if (deleteResult.rows.length > 0) {
-            console.log(`✅ Deleted ${deleteResult.rows.length} removed shift(s):`, deleteResult.rows.map(r => ({ id: r.id, staff: r.staff_name, date: r.date, type: r.shift_type })));
-          } else {
-            console.log('⚠️ No shifts found to delete (IDs may not exist)');
-          }
-        } else {
-          console.log('ℹ️ No shifts to delete (removedShiftIds is empty)');
-        }
-        
-        // Step 2: Insert only new assignments (those without shiftId)
-        // IMPORTANT: If newAssignments is provided (even if empty), use it exclusively
-        // This ensures we don't accidentally insert existing shifts when only deleting
-        let assignmentsToInsert = [];
-        
-        if (Array.isArray(newAssignments)) {
-          // Use newAssignments if explicitly provided (even if empty array)
-          // This means the frontend has explicitly calculated which assignments are new
-          assignmentsToInsert = newAssignments;
-          console.log(`➕ Using newAssignments array (explicitly provided): ${assignmentsToInsert.length} assignment(s) to insert`);
-          
-          // Double-check: filter out any assignments that somehow have shiftId (shouldn't happen, but safety check)
-          assignmentsToInsert = assignmentsToInsert.filter(a => !a.shiftId);
-          if (assignmentsToInsert.length < newAssignments.length) {
-            console.warn(`⚠️ Filtered out ${newAssignments.length - assignmentsToInsert.length} assignment(s) that had shiftId (shouldn't be in newAssignments)`);
-          }
-        } else {
-          // Fallback: newAssignments not provided, filter staffAssignments for those without shiftId
-          // This is for backward compatibility
-          assignmentsToInsert = staffAssignments.filter(a => !a.shiftId || a.shiftId === null || a.shiftId === undefined);
-          console.log(`➕ Fallback mode: Filtered ${assignmentsToInsert.length} new assignment(s) from staffAssignments (newAssignments not provided)`);
-        }
-        
-        console.log(`➕ Final: Inserting ${assignmentsToInsert.length} new shift(s)`);
-        if (assignmentsToInsert.length > 0) {
-          console.log(`➕ Assignments to insert:`, assignmentsToInsert.map(a => ({ 
-            staffName: a.staffName, 
-            shiftId: a.shiftId,
-            startTime: a.startTime,
-            endTime: a.endTime
-          })));
-        } else {
-          console.log(`ℹ️ No new assignments to insert (all remaining shifts already exist in database)`);
-        }
-        
-        // Create separate shift records for each new assignment
-        for (const assignment of assignmentsToInsert) {
-        if (!assignment.staffName || !assignment.startTime || !assignment.endTime) {
-          console.warn('⚠️ Skipping invalid assignment:', assignment);
-          continue; // Skip invalid assignments
-        }
+    }
+    
+    // Get all changes history (only applied changes - past or current effective dates)
+    const result = await executeQueryWithRetry(`
+      SELECT 
+        id,
+        staff_id,
+        staff_name,
+        change_type,
+        old_value,
+        new_value,
+        effective_from_date,
+        changed_at,
+        changed_by,
+        reason
+      FROM change_requests
+      WHERE staff_id = $1 
+        AND effective_from_date <= NOW()
+      ORDER BY changed_at DESC
+    `, [id]);
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (err) {
+    console.error('Error fetching changes history:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch changes history',
+      message: err.message
+    });
+  }
+});
 
-        // Validate that the staff member exists in the database
-        const staffCheck = await client.query(
-          'SELECT staff_name FROM human_resource WHERE staff_name = $1 AND is_active = true',
-          [assignment.staffName]
-        );
-        
-        if (staffCheck.rows.length === 0) {
-          await client.query('ROLLBACK');
-          client.release();
-          console.error(`❌ Staff member '${assignment.staffName}' not found in database`);
-          return res.status(400).json({
-            success: false,
-            error: 'Invalid staff member',
-            message: `Staff member '${assignment.staffName}' does not exist or is not active`
-          });
-        }
+// Routes moved to before /api/staff/:id to prevent route conflicts
 
-        // Calculate the actual shift start and end times based on assignment
-        const assignmentShiftStart = new Date(shiftStartDatetime);
-        const [assignmentStartHour, assignmentStartMinute] = assignment.startTime.split(':');
-        assignmentShiftStart.setHours(parseInt(assignmentStartHour), parseInt(assignmentStartMinute), 0, 0);
-        
-        const assignmentShiftEnd = new Date(shiftStartDatetime);
-        const [assignmentEndHour, assignmentEndMinute] = assignment.endTime.split(':');
-        assignmentShiftEnd.setHours(parseInt(assignmentEndHour), parseInt(assignmentEndMinute), 0, 0);
-        
-        // Handle overnight shifts
-        if (assignmentShiftEnd < assignmentShiftStart) {
-          assignmentShiftEnd.setDate(assignmentShiftEnd.getDate() + 1);
-        }
-          
-        // Calculate total hours
-        const totalHours = (assignmentShiftEnd - assignmentShiftStart) / (1000 * 60 * 60);
-        
-        // Determine shift type for this specific assignment
-        // For time-off cells, use individual assignment's CSP/SSP flags
-        let assignmentShiftType = shiftType;
-        if (isTimeOffCell) {
-          if (assignment.csp) {
-            assignmentShiftType = 'CSP';
-          } else if (assignment.ssp) {
-            assignmentShiftType = 'SSP';
-          } else {
-            // Default to the cell's shift type if no flags are set
-            assignmentShiftType = shiftType;
-          }
-        }
-        
-        // Insert individual shift record
-        const result = await client.query(`
-          INSERT INTO shifts (
-            id, period_id, week_number, staff_name, shift_start_datetime, shift_end_datetime, 
-            shift_type, solo_shift, training, short_notice, call_out, payment_period_end, financial_year_end, notes, overtime
-          ) VALUES (uuid_shift($1, $3, $4::timestamptz, $6), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING *
-        `, [
-          periodId, 
-          weekNumber, 
-          assignment.staffName, 
-          assignmentShiftStart.toISOString(), 
-          assignmentShiftEnd.toISOString(),
-          assignmentShiftType, 
-          assignment.soloShift || false,
-          assignment.training || false,
-          assignment.shortNotice || false,
-          assignment.callout || false,
-          assignment.paymentPeriodEnd || false,
-          assignment.financialYearEnd || false,
-          assignment.notes || '',
-          assignment.overtime || false
-        ]);
-        
-        createdShifts.push(result.rows[0]);
-        console.log(`✅ Created shift record for ${assignment.staffName} (${assignmentShiftType})`);
+// Update history field
+app.put('/api/history/:id/:field', async (req, res) => {
+  try {
+    const { id, field } = req.params;
+    const { value } = req.body;
+    
+    // Validate field name to prevent SQL injection
+    const allowedFields = ['changed_by', 'reason'];
+    if (!allowedFields.includes(field)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid field',
+        message: 'Only changed_by and reason fields can be updated'
+      });
+    }
+    
+    // Update the specific field
+    const result = await pool.query(`
+      UPDATE change_requests 
+              SET ${field} = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London') 
+      WHERE id = $2
+      RETURNING *
+    `, [value, id]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'History record not found',
+        message: 'No history record found with the specified ID'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: `${field} updated successfully`
+    });
+  } catch (err) {
+    console.error('Error updating history field:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update history field',
+      message: err.message
+    });
+  }
+});
+
+// Toggle staff member active status
+app.put('/api/staff/:id/toggle-active', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Check if staff member exists and get current status
+    const checkResult = await pool.query(`
+      SELECT staff_name, is_active 
+      FROM human_resource 
+      WHERE unique_id = $1
+    `, [id]);
+    
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found',
+        message: 'No staff member found with the specified ID'
+      });
+    }
+    
+    const currentStatus = checkResult.rows[0].is_active;
+    const staffName = checkResult.rows[0].staff_name;
+    const newStatus = !currentStatus;
+    
+    console.log(`🔄 Toggle active status: ${staffName} from ${currentStatus} to ${newStatus}`);
+    
+    // Get the change information from request body
+    const { reason = '', effective_from_date = null } = req.body;
+    const changed_by = getAuditActor(req).username;
+    
+    // Validate change request before proceeding
+    console.log(`🔍 Validating change request for ${staffName}...`);
+    const validation = await validateChangeRequest(id, 'active_status_change', currentStatus.toString(), newStatus.toString());
+    
+    if (!validation.isValid) {
+      console.log(`❌ Validation failed for ${staffName}:`, validation.errors);
+      return res.status(400).json({
+        success: false,
+        error: 'Change request validation failed',
+        message: validation.errors.join(' '),
+        warnings: validation.warnings
+      });
+    }
+    
+    console.log(`✅ Validation passed for ${staffName}`);
+    
+    // Update the active status
+    console.log(`🔄 Updating human_resource table for ${staffName}...`);
+    const result = await pool.query(`
+      UPDATE human_resource 
+              SET is_active = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London') 
+      WHERE unique_id = $2 AND ($3::integer IS NULL OR version = $3)
+      RETURNING *
+    `, [newStatus, id, req.expectedVersion]);
+    
+    if (result.rows.length === 0) {
+      if (await sendVersionConflict(pool, req, res, 'staff', [id])) {
+        return;
       }
-      } else {
-        // Fallback: Old behavior - delete all shifts for this cell, then insert all
-        // This is used for backward compatibility or when efficient mode data is not available
-        console.log('🔄 Using full replace mode (backward compatibility)');
-        
-        // Extract staff names from assignments for deletion
-        const staffNames = staffAssignments.map(a => a.staffName).filter(Boolean);
-        
-        // Delete all shifts for this cell
-        let deleteQuery;
-        let deleteParams;
-        
-        if (isTimeOffCell) {
-          if (staffNames.length > 0) {
-            deleteQuery = `DELETE FROM shifts 
-              WHERE period_id = $1 
-              AND week_number = $2 
-              AND shift_start_datetime::date = $3 
-              AND shift_type IN ($4, $5, $6)
-              AND staff_name = ANY($7::text[])
-              RETURNING id, staff_name, shift_start_datetime::date as date, shift_type`;
-            deleteParams = [periodId, weekNumber, shiftDate, 'HOLIDAY', 'SSP', 'CSP', staffNames];
-          } else {
-            deleteQuery = 'DELETE FROM shifts WHERE period_id = $1 AND week_number = $2 AND shift_start_datetime::date = $3 AND shift_type IN ($4, $5, $6) RETURNING id, staff_name, shift_start_datetime::date as date, shift_type';
-            deleteParams = [periodId, weekNumber, shiftDate, 'HOLIDAY', 'SSP', 'CSP'];
-          }
-        } else {
-          if (staffNames.length > 0) {
-            deleteQuery = `DELETE FROM shifts 
-              WHERE period_id = $1 
-              AND week_number = $2 
-              AND shift_start_datetime::date = $3 
-              AND shift_type = $4
-              AND staff_name = ANY($5::text[])
-              RETURNING id, staff_name, shift_start_datetime::date as date, shift_type`;
-            deleteParams = [periodId, weekNumber, shiftDate, shiftType, staffNames];
-          } else {
-            deleteQuery = 'DELETE FROM shifts WHERE period_id = $1 AND week_number = $2 AND shift_start_datetime::date = $3 AND shift_type = $4 RETURNING id, staff_name, shift_start_datetime::date as date, shift_type';
-            deleteParams = [periodId, weekNumber, shiftDate, shiftType];
-          }
-        }
-        
-        const deleteResult = await client.query(deleteQuery, deleteParams);
-        if (deleteResult.rows.length > 0) {
-          console.log(`✅ Deleted ${deleteResult.rows.length} existing shift(s) for full replace:`, deleteResult.rows.map(r => ({ id: r.id, staff: r.staff_name, date: r.date, type: r.shift_type })));
-        }
-        
-        // Insert all assignments
-        for (const assignment of staffAssignments) {
-          if (!assignment.staffName || !assignment.startTime || !assignment.endTime) {
-            console.warn('⚠️ Skipping invalid assignment:', assignment);
-            continue;
-          }
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found',
+        message: 'No staff member found with the specified ID'
+      });
+    }
+    console.log(`✅ human_resource updated for ${staffName}`);
+    
+    // Log the change in history
+    const effectiveDate = effective_from_date ? new Date(effective_from_date).toISOString() : new Date().toISOString();
+    console.log(`📝 Inserting change request for ${staffName} with values:`, {
+      staff_id: id,
+      staff_name: staffName,
+      change_type: 'active_status_change',
+      old_value: currentStatus.toString(),
+      new_value: newStatus.toString(),
+      effective_from_date: effectiveDate,
+      changed_by,
+      reason
+    });
+    
+    try {
+      const insertResult = await pool.query(`
+        INSERT INTO change_requests (
+          id, staff_id, staff_name, change_type, field_name, old_value, new_value, effective_from_date, changed_at, changed_by, reason
+        ) VALUES (uuid_change_request($1, $3, 'is_active', $6), $1, $2, $3, 'is_active', $4, $5, $6, $6, $7, $8)
+        RETURNING id
+      `, [id, staffName, 'active_status_change', currentStatus.toString(), newStatus.toString(), effectiveDate, changed_by, reason]);
+      console.log(`✅ Change request inserted for active status change: ${insertResult.rows[0].id}`);
+    } catch (insertError) {
+      console.error('❌ Error inserting change request for active status change:', insertError);
+      console.error('❌ Error details:', {
+        message: insertError.message,
+        code: insertError.code,
+        detail: insertError.detail,
+        stack: insertError.stack
+      });
+      throw insertError;
+    }
+    
+    // Verify the change request was inserted
+    const verifyResult = await pool.query(`
+      SELECT id FROM change_requests 
+      WHERE staff_id = $1 
+        AND change_type = 'active_status_change'
+        AND old_value = $2
+        AND new_value = $3
+        AND effective_from_date = $4
+      ORDER BY changed_at DESC
+      LIMIT 1
+    `, [id, currentStatus.toString(), newStatus.toString(), effectiveDate]);
+    
+    if (verifyResult.rows.length > 0) {
+      console.log(`✅ Verified change request exists: ${verifyResult.rows[0].id}`);
+    } else {
+      console.error(`❌ WARNING: Change request was not found after insertion!`);
+    }
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: `Staff member ${newStatus ? 'activated' : 'deactivated'} successfully`,
+      warnings: validation.warnings.length > 0 ? validation.warnings : undefined,
+      change_request_id: verifyResult.rows.length > 0 ? verifyResult.rows[0].id : null
+    });
+  } catch (err) {
+    console.error('Error toggling staff active status:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to toggle staff active status',
+      message: err.message
+    });
+  }
+});
+
+// =====================================================
+// PERIOD MANAGEMENT
+// =====================================================
+
+const PERIOD_LENGTH_DAYS = 28;
+const FUTURE_PERIODS_SETTING = 'Future periods to keep';
+const DEFAULT_FUTURE_PERIODS = 13;
+
+// Helper function to get how many 4-week periods after today the period generator keeps created
+async function getFuturePeriodsToKeep() {
+  const value = parseInt(await getSettingValue(FUTURE_PERIODS_SETTING, DEFAULT_FUTURE_PERIODS), 10);
+  return isNaN(value) || value < 0 ? DEFAULT_FUTURE_PERIODS : value;
+}
+
+// Helper function to add days to a YYYY-MM-DD date
+function addDaysToDateString(date, days) {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + days);
+  return value.toISOString().substring(0, 10);
+}
+
+// Helper function to validate period dates - returns an error response body or null
+function validatePeriodDates(startDate, endDate) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || !/^\d{4}-\d{2}-\d{2}$/.test(endDate || '')) {
+    return {
+      success: false,
+      error: 'Invalid date format',
+      message: 'start_date and end_date must be in YYYY-MM-DD format'
+    };
+  }
+  
+  if (endDate < startDate) {
+    return {
+      success: false,
+      error: 'Invalid date range',
+      message: 'end_date must be on or after start_date'
+    };
+  }
+  
+  return null;
+}
+
+// Function to find a period overlapping startDate..endDate (excludePeriodId skips the period being edited)
+async function findOverlappingPeriod(db, startDate, endDate, excludePeriodId = null) {
+  const result = await db.query(`
+    SELECT period_id, period_name, start_date::TEXT AS start_date, end_date::TEXT AS end_date
+    FROM periods
+    WHERE start_date <= $2::DATE
+      AND end_date >= $1::DATE
+      AND ($3::UUID IS NULL OR period_id <> $3::UUID)
+    ORDER BY start_date
+    LIMIT 1
+  `, [startDate, endDate, excludePeriodId]);
+  return result.rows[0] || null;
+}
+
+// Helper function to build the 409 response for an overlapping period
+function getOverlappingPeriodResponse(overlap) {
+  return {
+    success: false,
+    error: 'Period overlaps an existing period',
+    message: `${overlap.period_name} already covers ${overlap.start_date} to ${overlap.end_date}`,
+    overlapping_period: overlap
+  };
+}
+
+// Function to build the default name for a period, matching the seeded names:
+// 'Period NN YYYY' - NN counts the periods up to this one, YYYY is the financial year the period starts in
+async function getDefaultPeriodName(db, startDate) {
+  const result = await db.query(`
+    SELECT
+      (SELECT COUNT(*) FROM periods WHERE start_date < $1::DATE)::INTEGER + 1 AS period_number,
+      CASE
+        WHEN EXTRACT(MONTH FROM $1::DATE) >= 4 THEN EXTRACT(YEAR FROM $1::DATE)::INTEGER
+        ELSE EXTRACT(YEAR FROM $1::DATE)::INTEGER - 1
+      END AS financial_year
+  `, [startDate]);
+  const { period_number, financial_year } = result.rows[0];
+  return `Period ${String(period_number).padStart(2, '0')} ${financial_year}`;
+}
+
+// Function to create 4-week periods after the latest period until the configured number of
+// future periods exists (starts from the current Monday when there are no periods).
+// Used by the scheduled period generator and POST /api/periods/generate; returns the created periods.
+async function ensureFuturePeriods(req = null) {
+  const futurePeriods = await getFuturePeriodsToKeep();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Stop a concurrent generator or period edit creating overlapping periods
+    await client.query('LOCK TABLE periods IN EXCLUSIVE MODE');
+    
+    const horizonResult = await client.query(`
+      SELECT
+        (SELECT MAX(end_date) FROM periods)::TEXT AS last_end_date,
+        ((NOW() AT TIME ZONE 'Europe/London')::DATE + $1::INTEGER)::TEXT AS horizon_date,
+        DATE_TRUNC('week', NOW() AT TIME ZONE 'Europe/London')::DATE::TEXT AS current_monday
+    `, [futurePeriods * PERIOD_LENGTH_DAYS]);
+    const { horizon_date, current_monday } = horizonResult.rows[0];
+    let lastEndDate = horizonResult.rows[0].last_end_date;
+    
+    const created = [];
+    while (!lastEndDate || lastEndDate < horizon_date) {
+      const startDate = lastEndDate ? addDaysToDateString(lastEndDate, 1) : current_monday;
+      const endDate = addDaysToDateString(startDate, PERIOD_LENGTH_DAYS - 1);
+      const periodName = await getDefaultPeriodName(client, startDate);
+      
+      const insertResult = await client.query(`
+        INSERT INTO periods (period_id, period_name, start_date, end_date)
+        VALUES (uuid_period($1, $2::DATE), $1, $2, $3)
+        RETURNING *
+      `, [periodName, startDate, endDate]);
+      
+      await recordAuditEvent(client, req, {
+        action: 'create',
+        entityType: 'period',
+        entityId: insertResult.rows[0].period_id,
+        entityDate: startDate,
+        after: insertResult.rows[0]
+      });
+      
+      created.push(insertResult.rows[0]);
+      lastEndDate = endDate;
+    }
+    
+    await client.query('COMMIT');
+    
+    if (created.length > 0) {
+      console.log(`📅 Created ${created.length} future period(s): ${created[0].period_name} to ${created[created.length - 1].period_name}`);
+    }
+    return created;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Background job keeping the rolling horizon of future periods
+async function processFuturePeriods() {
+  try {
+    await ensureFuturePeriods();
+  } catch (error) {
+    console.error('❌ Error in future period generator:', error);
+  }
+}
+
+// Get all periods
+app.get('/api/periods', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT p.*, (SELECT MAX(version_number) FROM rota_versions v WHERE v.period_id = p.period_id) AS published_version
+      FROM periods p
+      ORDER BY p.start_date
+    `);
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (err) {
+    console.error('Error fetching periods:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch periods',
+      message: err.message
+    });
+  }
+});
+
+// Create a period (end_date defaults to 4 weeks after start_date, period_name to the next 'Period NN YYYY')
+app.post('/api/periods', 
+  validateRequiredFields(['start_date']),
+  async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { start_date } = req.body;
+    const end_date = req.body.end_date || (/^\d{4}-\d{2}-\d{2}$/.test(start_date) ? addDaysToDateString(start_date, PERIOD_LENGTH_DAYS - 1) : null);
+    
+    const dateError = validatePeriodDates(start_date, end_date);
+    if (dateError) {
+      return res.status(400).json(dateError);
+    }
+    
+    await client.query('BEGIN');
+    await client.query('LOCK TABLE periods IN EXCLUSIVE MODE');
+    
+    const overlap = await findOverlappingPeriod(client, start_date, end_date);
+    if (overlap) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(getOverlappingPeriodResponse(overlap));
+    }
+    
+    const periodName = (req.body.period_name || '').trim() || await getDefaultPeriodName(client, start_date);
+    
+    console.log(`📅 Creating period ${periodName}: ${start_date} to ${end_date}`);
+    
+    const result = await client.query(`
+      INSERT INTO periods (period_id, period_name, start_date, end_date)
+      VALUES (uuid_period($1, $2::DATE), $1, $2, $3)
+      RETURNING *
+    `, [periodName, start_date, end_date]);
+    
+    await recordAuditEvent(client, req, {
+      action: 'create',
+      entityType: 'period',
+      entityId: result.rows[0].period_id,
+      entityDate: start_date,
+      after: result.rows[0]
+    });
+    
+    await client.query('COMMIT');
+    
+    res.status(201).json({
+      success: true,
+      data: result.rows[0],
+      message: 'Period created successfully'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error creating period:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create period',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Create future periods now instead of waiting for the scheduled period generator
+app.post('/api/periods/generate', async (req, res) => {
+  try {
+    const created = await ensureFuturePeriods(req);
+    
+    res.json({
+      success: true,
+      data: created,
+      count: created.length,
+      message: created.length > 0 ? `Created ${created.length} period(s)` : 'Future periods are already up to date'
+    });
+  } catch (err) {
+    console.error('❌ Error generating periods:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate periods',
+      message: err.message
+    });
+  }
+});
+
+// Update a period's name or dates
+// Refused when the new dates overlap another period or would leave existing shifts outside the period
+app.put('/api/periods/:id', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid period ID format',
+        message: 'Period ID must be a valid UUID'
+      });
+    }
+    
+    await client.query('BEGIN');
+    await client.query('LOCK TABLE periods IN EXCLUSIVE MODE');
+    
+    const existingResult = await client.query(`
+      SELECT *, start_date::TEXT AS start_date_text, end_date::TEXT AS end_date_text
+      FROM periods WHERE period_id = $1
+    `, [id]);
+    
+    if (existingResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Period not found',
+        message: `No period found with ID ${id}`
+      });
+    }
+    
+    const { start_date_text, end_date_text, ...existing } = existingResult.rows[0];
+    const periodName = req.body.period_name !== undefined ? String(req.body.period_name).trim() : existing.period_name;
+    const startDate = req.body.start_date || start_date_text;
+    const endDate = req.body.end_date || end_date_text;
+    
+    if (!periodName) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid period name',
+        message: 'period_name cannot be empty'
+      });
+    }
+    
+    const dateError = validatePeriodDates(startDate, endDate);
+    if (dateError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json(dateError);
+    }
+    
+    const overlap = await findOverlappingPeriod(client, startDate, endDate, id);
+    if (overlap) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(getOverlappingPeriodResponse(overlap));
+    }
+    
+    const outsideResult = await client.query(`
+      SELECT COUNT(*)::INTEGER AS shift_count
+      FROM shifts
+      WHERE period_id = $1
+        AND ((shift_start_datetime AT TIME ZONE 'Europe/London')::DATE < $2::DATE
+          OR (shift_start_datetime AT TIME ZONE 'Europe/London')::DATE > $3::DATE)
+    `, [id, startDate, endDate]);
+    
+    if (outsideResult.rows[0].shift_count > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Period has shifts outside the new dates',
+        message: `${outsideResult.rows[0].shift_count} shift(s) in this period fall outside ${startDate} to ${endDate}`
+      });
+    }
+    
+    console.log(`📅 Updating period ${existing.period_name}: ${startDate} to ${endDate}`);
+    
+    const result = await client.query(`
+      UPDATE periods
+      SET period_name = $2, start_date = $3, end_date = $4
+      WHERE period_id = $1
+      RETURNING *
+    `, [id, periodName, startDate, endDate]);
+    
+    await recordAuditEvent(client, req, {
+      action: 'update',
+      entityType: 'period',
+      entityId: id,
+      entityDate: startDate,
+      before: existing,
+      after: result.rows[0]
+    });
+    
+    await client.query('COMMIT');
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Period updated successfully'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error updating period:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update period',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Archive or restore a period ({ archived: true | false })
+// Archived periods keep their shifts and stay in GET /api/periods with is_active = false
+app.put('/api/periods/:id/archive', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const archived = req.body.archived !== false;
+    
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid period ID format',
+        message: 'Period ID must be a valid UUID'
+      });
+    }
+    
+    await client.query('BEGIN');
+    
+    const existingResult = await client.query(`
+      SELECT period_name, start_date::TEXT AS start_date, is_active
+      FROM periods WHERE period_id = $1
+      FOR UPDATE
+    `, [id]);
+    
+    if (existingResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Period not found',
+        message: `No period found with ID ${id}`
+      });
+    }
+    
+    const existing = existingResult.rows[0];
+    
+    const result = await client.query(`
+      UPDATE periods SET is_active = $2 WHERE period_id = $1 RETURNING *
+    `, [id, !archived]);
+    
+    await recordAuditEvent(client, req, {
+      action: archived ? 'archive' : 'restore',
+      entityType: 'period',
+      entityId: id,
+      entityDate: existing.start_date,
+      before: { is_active: existing.is_active },
+      after: { is_active: result.rows[0].is_active }
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log(`📅 ${archived ? 'Archived' : 'Restored'} period ${existing.period_name}`);
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: `Period ${archived ? 'archived' : 'restored'} successfully`
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error archiving period:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to archive period',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Rota publishing - new periods start as 'draft' and their work shifts are hidden from staff
+// members until published. Publishing freezes a numbered snapshot of the period's shifts in
+// rota_versions; later edits are listed against the latest snapshot, and staff members keep
+// seeing that snapshot, until it is published again
+const ROTA_VERSION_FLAG_LABELS = {
+  solo_shift: 'solo',
+  training: 'training',
+  short_notice: 'short notice',
+  call_out: 'call-out',
+  overtime: 'overtime'
+};
+
+// Holiday and sick shifts - staff members see these as soon as they are saved (approved time off
+// shows straight away). Expects the shift as s
+const TIME_OFF_SHIFT_CONDITION = `
+  EXISTS (
+    SELECT 1 FROM shift_types st_visible WHERE st_visible.name = s.shift_type AND st_visible.category <> 'work'
+  )
+`;
+
+// Shifts a staff member can see, used in place of the shifts table (FROM ${PUBLISHED_SHIFTS} s):
+// holiday and sick shifts as they are now, and the work shifts of the latest published version of
+// each published period. The snapshot fields are laid over the live row, so columns the snapshot
+// does not keep (version, payment_period_end...) are current, and are null for shifts deleted since
+const PUBLISHED_SHIFTS = `(
+  SELECT s.* FROM shifts s WHERE ${TIME_OFF_SHIFT_CONDITION}
+  UNION ALL
+  SELECT s.*
+  FROM periods p
+  JOIN rota_versions v ON v.period_id = p.period_id
+    AND v.version_number = (SELECT MAX(version_number) FROM rota_versions latest WHERE latest.period_id = p.period_id)
+  CROSS JOIN jsonb_array_elements(v.shifts) AS entry(shift)
+  LEFT JOIN shifts live ON live.id = (entry.shift->>'id')::uuid
+  CROSS JOIN LATERAL jsonb_populate_record(live, entry.shift || jsonb_build_object('period_id', p.period_id)) AS s
+  WHERE p.status = 'published' AND NOT ${TIME_OFF_SHIFT_CONDITION}
+)`;
+
+// Helper function to check whether the signed-in user can see draft rotas (team leaders and admins)
+function canViewDraftRotas(req) {
+  return !!req.user && ACCESS_LEVELS[req.user.role] >= ACCESS_LEVELS['team leader'];
+}
+
+// Function to take the snapshot of a period's shifts stored in rota_versions.shifts
+// (migration 022 builds the version 1 snapshots with the same fields)
+async function getPeriodShiftSnapshot(db, periodId) {
+  const result = await db.query(`
+    SELECT 
+      COALESCE(jsonb_agg(jsonb_build_object(
+        'id', s.id,
+        'week_number', s.week_number,
+        'staff_name', s.staff_name,
+        'shift_type', s.shift_type,
+        'shift_start_datetime', s.shift_start_datetime,
+        'shift_end_datetime', s.shift_end_datetime,
+        'solo_shift', COALESCE(s.solo_shift, false),
+        'training', COALESCE(s.training, false),
+        'short_notice', COALESCE(s.short_notice, false),
+        'call_out', COALESCE(s.call_out, false),
+        'overtime', COALESCE(s.overtime, false),
+        'notes', COALESCE(s.notes, '')
+      ) ORDER BY s.shift_start_datetime, s.shift_type, s.staff_name), '[]'::jsonb) as shifts
+    FROM shifts s
+    WHERE s.period_id = $1
+  `, [periodId]);
+  return result.rows[0].shifts;
+}
+
+// Function to load a rota version (withShifts = false leaves out the snapshot)
+async function getRotaVersion(db, periodId, versionNumber, withShifts = true) {
+  const result = await db.query(`
+    SELECT version_id, period_id, version_number, shift_count, notes, published_by, published_at
+      ${withShifts ? ', shifts' : ''}
+    FROM rota_versions
+    WHERE period_id = $1 AND version_number = $2
+  `, [periodId, versionNumber]);
+  return result.rows[0] || null;
+}
+
+// Helper function to describe a shift for the rota diff, e.g. 'Tom Day Mon 3 Nov 08:00-20:00'
+function describeRotaShift(shift) {
+  const timeOptions = { timeZone: 'Europe/London', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+  const start = new Date(shift.shift_start_datetime);
+  const day = start.toLocaleDateString('en-GB', { timeZone: 'Europe/London', weekday: 'short', day: 'numeric', month: 'short' });
+  return `${shift.shift_type} ${day} ${start.toLocaleTimeString('en-GB', timeOptions)}-${new Date(shift.shift_end_datetime).toLocaleTimeString('en-GB', timeOptions)}`;
+}
+
+// Helper function to list what changed between two snapshots of the same shift
+function getRotaShiftChanges(before, after) {
+  const changes = [];
+  if (before.staff_name !== after.staff_name) {
+    changes.push(`${before.staff_name} → ${after.staff_name}`);
+  }
+  if (before.shift_type !== after.shift_type) {
+    changes.push(`shift type ${before.shift_type} → ${after.shift_type}`);
+  }
+  if (new Date(before.shift_start_datetime).getTime() !== new Date(after.shift_start_datetime).getTime() ||
+      new Date(before.shift_end_datetime).getTime() !== new Date(after.shift_end_datetime).getTime()) {
+    changes.push(`moved to ${describeRotaShift(after)}`);
+  }
+  Object.entries(ROTA_VERSION_FLAG_LABELS).forEach(([field, label]) => {
+    if (!!before[field] !== !!after[field]) {
+      changes.push(`${label} ${after[field] ? 'on' : 'off'}`);
+    }
+  });
+  if ((before.notes || '') !== (after.notes || '')) {
+    changes.push(after.notes ? `notes "${after.notes}"` : 'notes removed');
+  }
+  return changes;
+}
+
+// Function to compare two shift snapshots (arrays of rota_versions.shifts entries)
+// Shifts are matched by ID. A removed and an added shift with the same type and times are reported
+// as a reassignment, since deleting and re-adding a cell gives the new shift a new ID.
+// Returns added, removed and changed shifts plus human-readable lines in shift order
+function diffRotaSnapshots(fromShifts, toShifts) {
+  const fromById = new Map(fromShifts.map(shift => [shift.id, shift]));
+  const toById = new Map(toShifts.map(shift => [shift.id, shift]));
+  const slotKey = (shift) => `${shift.shift_type}|${new Date(shift.shift_start_datetime).getTime()}|${new Date(shift.shift_end_datetime).getTime()}`;
+  
+  const removed = fromShifts.filter(shift => !toById.has(shift.id));
+  const added = toShifts.filter(shift => !fromById.has(shift.id));
+  const changed = [];
+  
+  toShifts.forEach(after => {
+    const before = fromById.get(after.id);
+    if (!before) return;
+    const changes = getRotaShiftChanges(before, after);
+    if (changes.length > 0) {
+      changed.push({ shift_id: after.id, before, after, changes });
+    }
+  });
+  
+  // Pair removed and added shifts in the same slot as reassignments
+  removed.slice().forEach(before => {
+    const index = added.findIndex(after => slotKey(after) === slotKey(before));
+    if (index === -1) return;
+    const after = added.splice(index, 1)[0];
+    removed.splice(removed.indexOf(before), 1);
+    changed.push({ shift_id: after.id, before, after, changes: getRotaShiftChanges(before, after) });
+  });
+  
+  const entries = [
+    ...added.map(shift => ({ shift, line: `+ ${describeRotaShift(shift)}: ${shift.staff_name} added` })),
+    ...removed.map(shift => ({ shift, line: `- ${describeRotaShift(shift)}: ${shift.staff_name} removed` })),
+    ...changed.map(change => ({
+      shift: change.after,
+      line: `~ ${describeRotaShift(change.before)} (${change.before.staff_name}): ${change.changes.join(', ')}`
+    }))
+  ];
+  entries.sort((a, b) => new Date(a.shift.shift_start_datetime) - new Date(b.shift.shift_start_datetime) ||
+    a.shift.shift_type.localeCompare(b.shift.shift_type));
+  
+  return {
+    added,
+    removed,
+    changed,
+    lines: entries.map(entry => entry.line),
+    summary: `${added.length} added, ${removed.length} removed, ${changed.length} changed`
+  };
+}
+
+// Function to queue the notifications for the work shift changes of a newly published version
+// A shift moved to someone else is removed for the old staff member and created for the new one
+async function queueRotaVersionNotifications(db, diff) {
+  const reassigned = diff.changed.filter(change => change.before.staff_name !== change.after.staff_name);
+  await queueShiftNotifications(db, 'shift_created', [...diff.added, ...reassigned.map(change => change.after)], null, true);
+  await queueShiftNotifications(db, 'shift_removed', [...diff.removed, ...reassigned.map(change => change.before)], null, true);
+  
+  for (const change of diff.changed.filter(change => !reassigned.includes(change))) {
+    const description = change.changes.join(', ');
+    await queueShiftNotifications(db, 'flag_changed', [change.after], `${description.charAt(0).toUpperCase()}${description.slice(1)}`, true);
+  }
+}
+
+// Helper function to load a period for the publishing routes - returns { period } or { status, body }
+async function getPeriodForPublishing(db, periodId, lockRow = false) {
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(periodId)) {
+    return { status: 400, body: { success: false, error: 'Invalid period ID format', message: 'Period ID must be a valid UUID' } };
+  }
+  
+  const result = await db.query(`
+    SELECT p.period_id, p.period_name, p.start_date::TEXT AS start_date, p.status,
+      (SELECT MAX(version_number) FROM rota_versions v WHERE v.period_id = p.period_id) as published_version
+    FROM periods p
+    WHERE p.period_id = $1
+    ${lockRow ? 'FOR UPDATE' : ''}
+  `, [periodId]);
+  
+  if (result.rows.length === 0) {
+    return { status: 404, body: { success: false, error: 'Period not found', message: `No period found with ID ${periodId}` } };
+  }
+  return { period: result.rows[0] };
+}
+
+// Publish a period's rota - saves the next version snapshot and makes its shifts visible to staff
+// Body: optional notes. Refused with 409 when nothing changed since the latest version
+app.post('/api/periods/:id/publish', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { notes = '' } = req.body;
+    
+    await client.query('BEGIN');
+    
+    const lookup = await getPeriodForPublishing(client, id, true);
+    if (!lookup.period) {
+      await client.query('ROLLBACK');
+      return res.status(lookup.status).json(lookup.body);
+    }
+    const { period } = lookup;
+    
+    const shifts = await getPeriodShiftSnapshot(client, id);
+    const latestVersion = period.published_version ? await getRotaVersion(client, id, period.published_version) : null;
+    const diff = diffRotaSnapshots(latestVersion ? latestVersion.shifts : [], shifts);
+    
+    if (latestVersion && period.status === 'published' && diff.lines.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Nothing to publish',
+        message: `${period.period_name} has not changed since version ${latestVersion.version_number}`
+      });
+    }
+    
+    const versionNumber = (period.published_version || 0) + 1;
+    console.log(`📣 Publishing ${period.period_name} as version ${versionNumber} (${shifts.length} shifts)`);
+    
+    await client.query(`
+      INSERT INTO rota_versions (version_id, period_id, version_number, shifts, shift_count, notes, published_by)
+      VALUES (uuid_rota_version($1, $2), $1, $2, $3::jsonb, $4, $5, $6)
+    `, [id, versionNumber, JSON.stringify(shifts), shifts.length, notes || '', getAuditActor(req).username]);
+    
+    await client.query(`UPDATE periods SET status = 'published' WHERE period_id = $1`, [id]);
+    
+    // Staff members see the changes from now on (the first version is the whole rota, so nothing is sent for it)
+    if (latestVersion) {
+      await queueRotaVersionNotifications(client, diff);
+    }
+    
+    await recordAuditEvent(client, req, {
+      action: 'publish',
+      entityType: 'period',
+      entityId: id,
+      entityDate: period.start_date,
+      before: { status: period.status, version_number: period.published_version },
+      after: { status: 'published', version_number: versionNumber, shift_count: shifts.length, changes: diff.summary },
+      reason: notes || null
+    });
+    
+    await client.query('COMMIT');
+    
+    res.status(201).json({
+      success: true,
+      data: await getRotaVersion(pool, id, versionNumber, false),
+      changes: diff,
+      message: `${period.period_name} published as version ${versionNumber}${latestVersion ? ` (${diff.summary})` : ''}`
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error publishing period:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to publish period',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Get the published versions of a period (newest first, without the snapshots)
+app.get('/api/periods/:id/versions', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const lookup = await getPeriodForPublishing(pool, id);
+    if (!lookup.period) {
+      return res.status(lookup.status).json(lookup.body);
+    }
+    
+    const result = await pool.query(`
+      SELECT version_id, period_id, version_number, shift_count, notes, published_by, published_at
+      FROM rota_versions
+      WHERE period_id = $1
+      ORDER BY version_number DESC
+    `, [id]);
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length,
+      status: lookup.period.status
+    });
+  } catch (err) {
+    console.error('❌ Error fetching rota versions:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rota versions',
+      message: err.message
+    });
+  }
+});
+
+// Compare two published versions of a period (?from=&to= version numbers)
+// IMPORTANT: Must come BEFORE /api/periods/:id/versions/:version
+app.get('/api/periods/:id/versions/diff', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const fromVersion = parseInt(req.query.from, 10);
+    const toVersion = parseInt(req.query.to, 10);
+    
+    if (isNaN(fromVersion) || isNaN(toVersion)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid version',
+        message: 'from and to must be version numbers'
+      });
+    }
+    
+    const lookup = await getPeriodForPublishing(pool, id);
+    if (!lookup.period) {
+      return res.status(lookup.status).json(lookup.body);
+    }
+    
+    const [from, to] = await Promise.all([
+      getRotaVersion(pool, id, fromVersion),
+      getRotaVersion(pool, id, toVersion)
+    ]);
+    
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found',
+        message: `${lookup.period.period_name} has no version ${!from ? fromVersion : toVersion}`
+      });
+    }
+    
+    const diff = diffRotaSnapshots(from.shifts, to.shifts);
+    
+    res.json({
+      success: true,
+      data: diff,
+      from_version: fromVersion,
+      to_version: toVersion,
+      message: `Version ${fromVersion} to ${toVersion}: ${diff.summary}`
+    });
+  } catch (err) {
+    console.error('❌ Error comparing rota versions:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare rota versions',
+      message: err.message
+    });
+  }
+});
+
+// Get one published version of a period with its shift snapshot
+app.get('/api/periods/:id/versions/:version', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const versionNumber = parseInt(req.params.version, 10);
+    
+    if (isNaN(versionNumber)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid version',
+        message: 'Version must be a version number'
+      });
+    }
+    
+    const lookup = await getPeriodForPublishing(pool, id);
+    if (!lookup.period) {
+      return res.status(lookup.status).json(lookup.body);
+    }
+    
+    const version = await getRotaVersion(pool, id, versionNumber);
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found',
+        message: `${lookup.period.period_name} has no version ${versionNumber}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: version
+    });
+  } catch (err) {
+    console.error('❌ Error fetching rota version:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rota version',
+      message: err.message
+    });
+  }
+});
+
+// Get the changes made to a period since its latest published version
+// (every shift is 'added' for a period that has never been published)
+app.get('/api/periods/:id/changes', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const lookup = await getPeriodForPublishing(pool, id);
+    if (!lookup.period) {
+      return res.status(lookup.status).json(lookup.body);
+    }
+    const { period } = lookup;
+    
+    const latestVersion = period.published_version ? await getRotaVersion(pool, id, period.published_version) : null;
+    const diff = diffRotaSnapshots(latestVersion ? latestVersion.shifts : [], await getPeriodShiftSnapshot(pool, id));
+    
+    res.json({
+      success: true,
+      data: diff,
+      status: period.status,
+      published_version: period.published_version,
+      message: latestVersion
+        ? `Since version ${latestVersion.version_number}: ${diff.summary}`
+        : `${period.period_name} has not been published`
+    });
+  } catch (err) {
+    console.error('❌ Error fetching rota changes:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rota changes',
+      message: err.message
+    });
+  }
+});
+
+// Get shifts for a specific period
+app.get('/api/shifts/period/:periodId', async (req, res) => {
+  try {
+    const { periodId } = req.params;
+    
+    // Validate periodId format
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(periodId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid period ID format',
+        message: 'Period ID must be a valid UUID'
+      });
+    }
+    
+    const result = await executeQueryWithRetry(`
+      SELECT 
+        s.id as shift_id,
+        s.period_id,
+        s.week_number,
+        s.staff_name,
+        s.shift_start_datetime,
+        s.shift_end_datetime,
+        s.shift_type,
+        
+        s.solo_shift,
+        s.training,
+        s.short_notice,
+        s.call_out,
+        s.overtime,
+        s.payment_period_end,
+        s.financial_year_end,
+        s.notes,
+        s.version,
+        ${WORKED_SHIFT_COLUMNS},
+        hr.role as staff_role,
+        p.start_date,
+        p.end_date
+      FROM shifts s 
+      LEFT JOIN human_resource hr ON s.staff_name = hr.staff_name 
+      LEFT JOIN periods p ON s.period_id = p.period_id
+      ${APPROVED_TIMESHEET_JOIN}
+      WHERE s.period_id = $1
+      ORDER BY s.week_number, s.shift_start_datetime, s.staff_name
+    `, [periodId]);
+    
+    res.json({
+      success: true,
+      data: await addShiftPaidHours(result.rows),
+      count: result.rows.length,
+      periodId: periodId
+    });
+  } catch (err) {
+    console.error('Error fetching shifts for period:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shifts for period',
+      message: err.message
+    });
+  }
+});
+
+// Get all shifts
+app.get('/api/shifts', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    
+    let query = `
+      SELECT 
+        s.id as shift_id,
+        s.period_id,
+        s.week_number,
+        s.staff_name,
+        s.shift_start_datetime,
+        s.shift_end_datetime,
+        s.shift_type,
+        s.solo_shift,
+        s.training,
+        s.short_notice,
+        s.call_out,
+        s.overtime,
+        s.payment_period_end,
+        s.financial_year_end,
+        s.notes,
+        s.version,
+        ${WORKED_SHIFT_COLUMNS},
+        hr.role as staff_role,
+        p.start_date,
+        p.end_date
+      FROM shifts s 
+      LEFT JOIN human_resource hr ON s.staff_name = hr.staff_name 
+      LEFT JOIN periods p ON s.period_id = p.period_id
+      ${APPROVED_TIMESHEET_JOIN}
+    `;
+    
+    let params = [];
+    
+    // Add date filtering if from and to parameters are provided
+    if (from && to) {
+      query += ` WHERE DATE(s.shift_start_datetime) >= $1 AND DATE(s.shift_start_datetime) <= $2`;
+      params = [from, to];
+      console.log(`📊 Fetching shifts from ${from} to ${to}...`);
+    } else {
+      console.log('📊 Fetching all shifts...');
+    }
+    
+    query += ` ORDER BY s.shift_start_datetime, s.staff_name`;
+    
+    const result = await pool.query(query, params);
+    
+    console.log('✅ Shifts query successful, found:', result.rows.length, 'shifts');
+    
+    res.json({
+      success: true,
+      data: await addShiftPaidHours(result.rows),
+      count: result.rows.length
+    });
+  } catch (err) {
+    console.error('❌ Error fetching shifts:', err);
+    console.error('❌ Error details:', {
+      message: err.message,
+      code: err.code,
+      detail: err.detail,
+      hint: err.hint
+    });
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shifts',
+      message: err.message,
+      details: {
+        code: err.code,
+        detail: err.detail,
+        hint: err.hint
+      }
+    });
+  }
+});
+
+// Get shifts for a specific staff member
+app.get('/api/shifts/staff/:staffName', async (req, res) => {
+  try {
+    const { staffName } = req.params;
+    const { from, to } = req.query;
+    
+    if (!staffName || staffName.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid staff name',
+        message: 'Staff name is required'
+      });
+    }
+    
+    let query = `
+      SELECT 
+        s.id as shift_id,
+        s.period_id,
+        s.week_number,
+        s.staff_name,
+        s.shift_start_datetime,
+        s.shift_end_datetime,
+        s.shift_type,
+        s.solo_shift,
+        s.training,
+        s.short_notice,
+        s.call_out,
+        s.overtime,
+        s.payment_period_end,
+        s.financial_year_end,
+        s.notes,
+        s.version,
+        ${WORKED_SHIFT_COLUMNS},
+        hr.role as staff_role,
+        p.start_date,
+        p.end_date
+      FROM ${canViewDraftRotas(req) ? 'shifts' : PUBLISHED_SHIFTS} s 
+      LEFT JOIN human_resource hr ON s.staff_name = hr.staff_name 
+      LEFT JOIN periods p ON s.period_id = p.period_id
+      ${APPROVED_TIMESHEET_JOIN}
+      WHERE s.staff_name = $1
+    `;
+    
+    let params = [staffName.trim()];
+    
+    // Add date filtering if from and to parameters are provided
+    if (from && to) {
+      // Validate date format
+      const fromDate = new Date(from);
+      const toDate = new Date(to);
+      
+      if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date format',
+          message: 'Dates must be in YYYY-MM-DD format'
+        });
+      }
+      
+      query += ` AND DATE(s.shift_start_datetime) >= $2 AND DATE(s.shift_start_datetime) <= $3`;
+      params.push(from, to);
+      console.log(`📊 Fetching shifts for ${staffName} from ${from} to ${to}`);
+    } else {
+      console.log(`📊 Fetching all shifts for ${staffName}`);
+    }
+    
+    query += ` ORDER BY s.shift_start_datetime`;
+    
+    const result = await pool.query(query, params);
+    
+    console.log(`📊 Found ${result.rows.length} shifts for ${staffName}${from && to ? ` in date range ${from} to ${to}` : ''}`);
+    
+    res.json({
+      success: true,
+      data: await addShiftPaidHours(result.rows),
+      count: result.rows.length,
+      staffName: staffName.trim(),
+      dateRange: from && to ? { from, to } : null
+    });
+  } catch (err) {
+    console.error('Error fetching shifts for staff member:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shifts for staff member',
+      message: err.message
+    });
+  }
+});
+
+// Get shifts for a specific staff member within a date range
+app.get('/api/shifts/employee/:staffName', async (req, res) => {
+  try {
+    const { staffName } = req.params;
+    const { from, to } = req.query;
+    
+    if (!staffName || staffName.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid staff name',
+        message: 'Staff name is required'
+      });
+    }
+    
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range',
+        message: 'Both from and to dates are required'
+      });
+    }
+    
+    // Validate date format
+    const fromDate = new Date(from);
+    const toDate = new Date(to);
+    
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date format',
+        message: 'Dates must be in YYYY-MM-DD format'
+      });
+    }
+    
+    console.log(`📊 Fetching shifts for ${staffName} from ${from} to ${to}`);
+    
+    const result = await pool.query(`
+      SELECT 
+        s.id as shift_id,
+        s.period_id,
+        s.week_number,
+        s.staff_name,
+        s.shift_start_datetime,
+        s.shift_end_datetime,
+        s.shift_type,
+        s.solo_shift,
+        s.training,
+        s.short_notice,
+        s.call_out,
+        s.overtime,
+        s.payment_period_end,
+        s.financial_year_end,
+        s.notes,
+        s.version,
+        ${WORKED_SHIFT_COLUMNS},
+        hr.role as staff_role,
+        p.start_date,
+        p.end_date
+      FROM ${canViewDraftRotas(req) ? 'shifts' : PUBLISHED_SHIFTS} s 
+      LEFT JOIN human_resource hr ON s.staff_name = hr.staff_name 
+      LEFT JOIN periods p ON s.period_id = p.period_id
+      ${APPROVED_TIMESHEET_JOIN}
+      WHERE s.staff_name = $1 
+        AND DATE(s.shift_start_datetime) >= $2 
+        AND DATE(s.shift_start_datetime) <= $3
+      ORDER BY s.shift_start_datetime
+    `, [staffName.trim(), from, to]);
+    
+    console.log(`📊 Found ${result.rows.length} shifts for ${staffName} in date range`);
+    
+    res.json({
+      success: true,
+      data: await addShiftPaidHours(result.rows),
+      count: result.rows.length,
+      staffName: staffName.trim(),
+      dateRange: { from, to }
+    });
+  } catch (err) {
+    console.error('Error fetching shifts for staff member by date range:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shifts for staff member',
+      message: err.message
+    });
+  }
+});
+
+// Get sick leave shifts (SSP and CSP) for all staff members - Summary format
+app.get('/api/shifts/sick-leave', async (req, res) => {
+  try {
+    console.log('🏥 Fetching sick leave shifts (SSP & CSP) summary...');
+    
+    // Calculate current financial year dates
+    const currentDate = new Date();
+    const currentYear = currentDate.getFullYear();
+    
+    let financialYearStart, financialYearEnd;
+    
+    // Financial year runs from April 6th to April 5th next year
+    const month = currentDate.getMonth(); // 0-based (0=Jan, 3=Apr)
+    const day = currentDate.getDate();
+    const isOnOrAfterApril6 = (month > 3) || (month === 3 && day >= 6);
+    if (isOnOrAfterApril6) {
+      // On or after April 6th - we're in the current financial year
+      financialYearStart = new Date(currentYear, 3, 6); // April 6th current year
+      financialYearEnd = new Date(currentYear + 1, 3, 5); // April 5th next year
+    } else {
+      // Before April 6th - we're in the previous financial year
+      financialYearStart = new Date(currentYear - 1, 3, 6); // April 6th previous year
+      financialYearEnd = new Date(currentYear, 3, 5); // April 5th current year
+    }
+    
+    // Format dates for SQL query
+    const formatDate = (date) => {
+      const year = date.getFullYear();
+      const month = String(date.getMonth() + 1).padStart(2, '0');
+      const day = String(date.getDate()).padStart(2, '0');
+      return `${year}-${month}-${day}`;
+    };
+    
+    const fromDate = formatDate(financialYearStart);
+    const toDate = formatDate(financialYearEnd);
+    
+    console.log(`📅 Financial Year: ${fromDate} to ${toDate}`);
+    
+    const result = await pool.query(`
+      SELECT 
+        s.id as shift_id,
+        s.period_id,
+        s.week_number,
+        s.staff_name,
+        s.shift_start_datetime,
+        s.shift_end_datetime,
+        s.shift_type,
+        s.solo_shift,
+        s.training,
+        s.short_notice,
+        s.call_out,
+        s.overtime,
+        s.payment_period_end,
+        s.financial_year_end,
+        s.notes,
+        s.version,
+        hr.role as staff_role,
+        p.period_name,
+        p.start_date,
+        p.end_date
+      FROM shifts s 
+      LEFT JOIN human_resource hr ON s.staff_name = hr.staff_name 
+      LEFT JOIN periods p ON s.period_id = p.period_id
+      WHERE s.shift_type IN ('SSP', 'CSP')
+        AND DATE(s.shift_start_datetime) >= $1 
+        AND DATE(s.shift_start_datetime) <= $2
+      ORDER BY s.staff_name, s.shift_start_datetime DESC
+    `, [fromDate, toDate]);
+    
+    console.log(`✅ Found ${result.rows.length} sick leave shifts`);
+    
+    // Group shifts by staff member and calculate summary statistics
+    const staffSummaries = {};
+    result.rows.forEach(shift => {
+      if (!staffSummaries[shift.staff_name]) {
+        staffSummaries[shift.staff_name] = {
+          name: shift.staff_name,
+          role: shift.staff_role || 'Staff Member',
+          totalShifts: 0,
+          sspShifts: 0,
+          cspShifts: 0,
+          totalHours: 0,
+          cumulativeHours: 0,
+          totalPay: 0,
+          shifts: []
+        };
+      }
+      
+      const hours = (new Date(shift.shift_end_datetime) - new Date(shift.shift_start_datetime)) / (1000 * 60 * 60);
+      staffSummaries[shift.staff_name].totalShifts += 1;
+      staffSummaries[shift.staff_name].totalHours += hours;
+      staffSummaries[shift.staff_name].shifts.push(shift);
+      
+      if (shift.shift_type === 'SSP') {
+        staffSummaries[shift.staff_name].sspShifts += 1;
+      } else if (shift.shift_type === 'CSP') {
+        staffSummaries[shift.staff_name].cspShifts += 1;
+      }
+    });
+    
+    // Calculate cumulative hours and pay for each staff member
+    const summaries = Object.values(staffSummaries).map(summary => {
+      // Calculate cumulative hours (same as total for sick leave)
+      summary.cumulativeHours = summary.totalHours;
+      
+      // Calculate pay based on role and hours (simplified calculation)
+      // This would need to be updated with actual pay rates
+      const hourlyRate = summary.role === 'Manager' ? 25 : 15; // Example rates
+      summary.totalPay = summary.totalHours * hourlyRate;
+      
+      return summary;
+    });
+    
+    // Calculate overall totals
+    const totals = summaries.reduce((acc, summary) => {
+      acc.totalShifts += summary.totalShifts;
+      acc.totalSsp += summary.sspShifts;
+      acc.totalCsp += summary.cspShifts;
+      acc.totalHours += summary.totalHours;
+      acc.totalPay += summary.totalPay;
+      return acc;
+    }, { totalShifts: 0, totalSsp: 0, totalCsp: 0, totalHours: 0, totalPay: 0 });
+    
+    res.json({
+      success: true,
+      summaries: summaries,
+      totals: totals,
+      count: result.rows.length
+    });
+  } catch (err) {
+    console.error('❌ Error fetching sick leave shifts:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sick leave shifts',
+      message: err.message
+    });
+  }
+});
+
+// Get current financial year dates based on financial_year_end flags
+app.get('/api/financial-year/dates', async (req, res) => {
+  try {
+    console.log('📅 Fetching current financial year dates from flags...');
+    
+    // Find the most recent financial year end date from shifts
+    const result = await pool.query(`
+      SELECT 
+        DATE(shift_start_datetime) as fy_end_date
+      FROM shifts
+      WHERE financial_year_end = true
+        AND DATE(shift_start_datetime) <= CURRENT_DATE
+      ORDER BY shift_start_datetime DESC
+      LIMIT 1
+    `);
+    
+    let financialYearStart, financialYearEnd;
+    
+    if (result.rows.length > 0 && result.rows[0].fy_end_date) {
+      // Use the financial year end date from flags
+      const fyEndDate = new Date(result.rows[0].fy_end_date);
+      financialYearStart = new Date(fyEndDate);
+      financialYearStart.setDate(financialYearStart.getDate() + 1); // Day after FY end = April 6th
+      financialYearEnd = new Date(financialYearStart);
+      financialYearEnd.setFullYear(financialYearEnd.getFullYear() + 1);
+      financialYearEnd.setDate(financialYearEnd.getDate() - 1); // April 5th next year
+      
+      console.log(`📅 Financial year from flags: ${financialYearStart.toISOString().split('T')[0]} to ${financialYearEnd.toISOString().split('T')[0]}`);
+    } else {
+      // Fallback to calculating based on current date
+      const currentDate = new Date();
+      const currentYear = currentDate.getFullYear();
+      const month = currentDate.getMonth();
+      const day = currentDate.getDate();
+      const isOnOrAfterApril6 = (month > 3) || (month === 3 && day >= 6);
+      
+      if (isOnOrAfterApril6) {
+        financialYearStart = new Date(currentYear, 3, 6);
+        financialYearEnd = new Date(currentYear + 1, 3, 5);
+      } else {
+        financialYearStart = new Date(currentYear - 1, 3, 6);
+        financialYearEnd = new Date(currentYear, 3, 5);
+      }
+      
+      console.log(`📅 Financial year calculated (no flags found): ${financialYearStart.toISOString().split('T')[0]} to ${financialYearEnd.toISOString().split('T')[0]}`);
+    }
+    
+    // Format dates
+    const formatDate = (date) => {
+      const year = date.getFullYear();
+      const month = String(date.getMonth() + 1).padStart(2, '0');
+      const day = String(date.getDate()).padStart(2, '0');
+      return `${year}-${month}-${day}`;
+    };
+    
+    res.json({
+      success: true,
+      financialYearStart: formatDate(financialYearStart),
+      financialYearEnd: formatDate(financialYearEnd),
+      fromFlags: result.rows.length > 0
+    });
+  } catch (err) {
+    console.error('❌ Error fetching financial year dates:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch financial year dates',
+      message: err.message
+    });
+  }
+});
+
+// Save or update shift assignment
+app.post('/api/shifts', 
+  validateRequiredFields(['periodId', 'weekNumber', 'shiftStartDatetime', 'shiftType', 'staffAssignments']),
+  async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    const {
+      periodId,
+      weekNumber,
+      shiftStartDatetime,
+      shiftEndDatetime,
+      shiftType,
+      staffAssignments,
+      removedShiftIds = [], // IDs of shifts to delete
+      newAssignments = [], // Only new assignments (without shiftId) to insert
+      acknowledgeConflicts = false, // Save anyway when conflicts are detected (conflicts returned as warnings)
+      expectedVersions = null // { shiftId: version } of the cell's shifts when it was loaded (409 if the cell changed since)
+    } = req.body;
+
+    // Validate week number
+    if (weekNumber < 1 || weekNumber > 4) {
+      await client.query('ROLLBACK');
+      client.release();
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid week number',
+        message: 'Week number must be between 1 and 4'
+      });
+    }
+
+    // Validate shift type against the shift type catalogue
+    const shiftTypeRecord = await findShiftType(shiftType, true);
+    if (!shiftTypeRecord) {
+      await client.query('ROLLBACK');
+      client.release();
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid shift type',
+        message: await getInvalidShiftTypeMessage(true)
+      });
+    }
+
+    // Validate periodId format
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(periodId)) {
+      await client.query('ROLLBACK');
+      client.release();
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid period ID format',
+        message: 'Period ID must be a valid UUID'
+      });
+    }
+
+    // Validate expectedVersions format
+    const expectedVersionsError = expectedVersions === null ? null : getInvalidExpectedVersionsMessage(expectedVersions);
+    if (expectedVersionsError) {
+      await client.query('ROLLBACK');
+      client.release();
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid expectedVersions',
+        message: expectedVersionsError
+      });
+    }
+
+    // Handle time-off cells differently - create single record with multiple staff
+    if (staffAssignments && staffAssignments.length > 0) {
+      const createdShifts = [];
+      const deletedShifts = [];
+      
+      // Check if this is a time-off cell (holiday or sick shift type, e.g. HOLIDAY, SSP, CSP)
+      const isTimeOffCell = isTimeOffShiftType(shiftTypeRecord);
+      const timeOffShiftTypes = isTimeOffCell ? await getTimeOffShiftTypeNames() : [];
+      
+      // Validate that we have at least one valid assignment
+      const firstAssignment = staffAssignments.find(a => a.staffName && a.startTime && a.endTime);
+      if (!firstAssignment) {
+        await client.query('ROLLBACK');
+        client.release();
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid assignments',
+          message: 'At least one valid assignment is required'
+        });
+      }
+      
+      // Extract the date directly from shiftStartDatetime (which comes from frontend as ISO string)
+      // The frontend sends shiftStartDatetime in ISO format (e.g., "2025-12-10T20:00:00.000Z")
+      // Extract the date part (YYYY-MM-DD) to match what's stored in the database
+      let shiftDate;
+      if (typeof shiftStartDatetime === 'string' && shiftStartDatetime.includes('T')) {
+        // If it's an ISO string, extract the date part directly
+        shiftDate = shiftStartDatetime.split('T')[0];
+      } else {
+        // Fallback: parse as Date and extract UTC date components
+        const shiftStartDateObj = new Date(shiftStartDatetime);
+        const year = shiftStartDateObj.getUTCFullYear();
+        const month = String(shiftStartDateObj.getUTCMonth() + 1).padStart(2, '0');
+        const day = String(shiftStartDateObj.getUTCDate()).padStart(2, '0');
+        shiftDate = `${year}-${month}-${day}`;
+      }
+      
+      // Refuse the save if someone else changed the cell since this browser loaded it
+      // (removedShiftIds and newAssignments were worked out from the browser's copy of the cell)
+      if (expectedVersions) {
+        const currentShifts = await lockRotaCellShifts(client, {
+          periodId,
+          weekNumber,
+          date: shiftDate,
+          shiftTypes: isTimeOffCell ? timeOffShiftTypes : [shiftType],
+          shiftIds: Object.keys(expectedVersions)
+        });
+        const versionConflicts = findShiftVersionConflicts(expectedVersions, currentShifts);
+        
+        if (versionConflicts.length > 0) {
+          await client.query('ROLLBACK');
+          client.release();
+          console.warn(`⚠️ Shift save rejected: cell changed by someone else (${versionConflicts.length} conflict(s))`);
+          return res.status(409).json(buildShiftVersionConflictResponse(versionConflicts, currentShifts));
+        }
+      }
+      
+      // Efficient approach: Only delete removed shifts and insert new ones
+      // This avoids unnecessary delete/re-insert operations for unchanged shifts
+      // If removedShiftIds/newAssignments not provided, fall back to old behavior (delete all, insert all)
+      const useEfficientMode = Array.isArray(removedShiftIds) && Array.isArray(newAssignments);
+      
+      // Conflicts (overlap, rest gap, unavailability) found for the shifts being inserted
+      const conflicts = [];
+      const minimumRestHours = await getMinimumRestHours();
+      
+      console.log('🔄 Shift update mode:', useEfficientMode ? 'EFFICIENT (delete removed, insert new only)' : 'FULL REPLACE (delete all, insert all)');
+      console.log('🔄 Update details:', {
+        periodId,
+        weekNumber,
+        shiftDate,
+        shiftType,
+        removedShiftIds: removedShiftIds || [],
+        removedCount: removedShiftIds ? removedShiftIds.length : 0,
+        newAssignmentsCount: newAssignments ? newAssignments.length : 0,
+        totalAssignments: staffAssignments.length
+      });
+      
+      if (useEfficientMode) {
+        // Step 1: Delete only the shifts that were removed (by their IDs)
+        if (removedShiftIds && removedShiftIds.length > 0) {
+          const deleteResult = await deleteShiftsWithAudit(client, req, 'id = ANY($1::uuid[])', [removedShiftIds]);
+          deletedShifts.push(...deleteResult.rows);
+          
+          if (deleteResult.rows.length > 0) {
+            console.log(`✅ Deleted ${deleteResult.rows.length} removed shift(s):`, deleteResult.rows.map(r => ({ id: r.id, staff: r.staff_name, date: r.date, type: r.shift_type })));
+          } else {
+            console.log('⚠️ No shifts found to delete (IDs may not exist)');
+          }
+        } else {
+          console.log('ℹ️ No shifts to delete (removedShiftIds is empty)');
+        }
+        
+        // Step 2: Insert only new assignments (those without shiftId)
+        // IMPORTANT: If newAssignments is provided (even if empty), use it exclusively
+        // This ensures we don't accidentally insert existing shifts when only deleting
+        let assignmentsToInsert = [];
+        
+        if (Array.isArray(newAssignments)) {
+          // Use newAssignments if explicitly provided (even if empty array)
+          // This means the frontend has explicitly calculated which assignments are new
+          assignmentsToInsert = newAssignments;
+          console.log(`➕ Using newAssignments array (explicitly provided): ${assignmentsToInsert.length} assignment(s) to insert`);
+          
+          // Double-check: filter out any assignments that somehow have shiftId (shouldn't happen, but safety check)
+          assignmentsToInsert = assignmentsToInsert.filter(a => !a.shiftId);
+          if (assignmentsToInsert.length < newAssignments.length) {
+            console.warn(`⚠️ Filtered out ${newAssignments.length - assignmentsToInsert.length} assignment(s) that had shiftId (shouldn't be in newAssignments)`);
+          }
+        } else {
+          // Fallback: newAssignments not provided, filter staffAssignments for those without shiftId
+          // This is for backward compatibility
+          assignmentsToInsert = staffAssignments.filter(a => !a.shiftId || a.shiftId === null || a.shiftId === undefined);
+          console.log(`➕ Fallback mode: Filtered ${assignmentsToInsert.length} new assignment(s) from staffAssignments (newAssignments not provided)`);
+        }
+        
+        console.log(`➕ Final: Inserting ${assignmentsToInsert.length} new shift(s)`);
+        if (assignmentsToInsert.length > 0) {
+          console.log(`➕ Assignments to insert:`, assignmentsToInsert.map(a => ({ 
+            staffName: a.staffName, 
+            shiftId: a.shiftId,
+            startTime: a.startTime,
+            endTime: a.endTime
+          })));
+        } else {
+          console.log(`ℹ️ No new assignments to insert (all remaining shifts already exist in database)`);
+        }
+        
+        // Create separate shift records for each new assignment
+        for (const assignment of assignmentsToInsert) {
+        if (!assignment.staffName || !assignment.startTime || !assignment.endTime) {
+          console.warn('⚠️ Skipping invalid assignment:', assignment);
+          continue; // Skip invalid assignments
+        }
+
+        // Validate that the staff member exists in the database
+        const staffCheck = await client.query(
+          'SELECT staff_name FROM human_resource WHERE staff_name = $1 AND is_active = true',
+          [assignment.staffName]
+        );
+        
+        if (staffCheck.rows.length === 0) {
+          await client.query('ROLLBACK');
+          client.release();
+          console.error(`❌ Staff member '${assignment.staffName}' not found in database`);
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid staff member',
+            message: `Staff member '${assignment.staffName}' does not exist or is not active`
+          });
+        }
+
+        // Calculate the actual shift start and end times based on assignment
+        const assignmentShiftStart = new Date(shiftStartDatetime);
+        const [assignmentStartHour, assignmentStartMinute] = assignment.startTime.split(':');
+        assignmentShiftStart.setHours(parseInt(assignmentStartHour), parseInt(assignmentStartMinute), 0, 0);
+        
+        const assignmentShiftEnd = new Date(shiftStartDatetime);
+        const [assignmentEndHour, assignmentEndMinute] = assignment.endTime.split(':');
+        assignmentShiftEnd.setHours(parseInt(assignmentEndHour), parseInt(assignmentEndMinute), 0, 0);
+        
+        // Handle overnight shifts
+        if (assignmentShiftEnd < assignmentShiftStart) {
+          assignmentShiftEnd.setDate(assignmentShiftEnd.getDate() + 1);
+        }
+          
+        // Calculate total hours
+        const totalHours = (assignmentShiftEnd - assignmentShiftStart) / (1000 * 60 * 60);
+        
+        // Determine shift type for this specific assignment
+        // For time-off cells, use individual assignment's CSP/SSP flags
+        let assignmentShiftType = shiftType;
+        if (isTimeOffCell) {
+          if (assignment.csp) {
+            assignmentShiftType = 'CSP';
+          } else if (assignment.ssp) {
+            assignmentShiftType = 'SSP';
+          } else {
+            // Default to the cell's shift type if no flags are set
+            assignmentShiftType = shiftType;
+          }
+        }
+        
+        // Check for overlap, rest gap and unavailability conflicts
+        const assignmentConflicts = await detectShiftConflicts(client, {
+          staffName: assignment.staffName,
+          shiftStart: assignmentShiftStart,
+          shiftEnd: assignmentShiftEnd,
+          shiftType: assignmentShiftType
+        }, [], minimumRestHours);
+        conflicts.push(...assignmentConflicts);
+        
+        // Insert individual shift record
+        const result = await client.query(`
+          INSERT INTO shifts (
+            id, period_id, week_number, staff_name, shift_start_datetime, shift_end_datetime, 
+            shift_type, solo_shift, training, short_notice, call_out, payment_period_end, financial_year_end, notes, overtime
+          ) VALUES (uuid_shift($1, $3, $4::timestamptz, $6), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING *
+        `, [
+          periodId, 
+          weekNumber, 
+          assignment.staffName, 
+          assignmentShiftStart.toISOString(), 
+          assignmentShiftEnd.toISOString(),
+          assignmentShiftType, 
+          assignment.soloShift || false,
+          assignment.training || false,
+          assignment.shortNotice || false,
+          assignment.callout || false,
+          assignment.paymentPeriodEnd || false,
+          assignment.financialYearEnd || false,
+          assignment.notes || '',
+          assignment.overtime || false
+        ]);
+        
+        createdShifts.push(result.rows[0]);
+        console.log(`✅ Created shift record for ${assignment.staffName} (${assignmentShiftType})`);
+      }
+      } else {
+        // Fallback: Old behavior - delete all shifts for this cell, then insert all
+        // This is used for backward compatibility or when efficient mode data is not available
+        console.log('🔄 Using full replace mode (backward compatibility)');
+        
+        // Extract staff names from assignments for deletion
+        const staffNames = staffAssignments.map(a => a.staffName).filter(Boolean);
+        
+        // Delete all shifts for this cell (deleteQuery is the WHERE clause)
+        let deleteQuery;
+        let deleteParams;
+        
+        if (isTimeOffCell) {
+          if (staffNames.length > 0) {
+            deleteQuery = `period_id = $1 
+              AND week_number = $2 
+              AND shift_start_datetime::date = $3 
+              AND shift_type = ANY($4::text[])
+              AND staff_name = ANY($5::text[])`;
+            deleteParams = [periodId, weekNumber, shiftDate, timeOffShiftTypes, staffNames];
+          } else {
+            deleteQuery = 'period_id = $1 AND week_number = $2 AND shift_start_datetime::date = $3 AND shift_type = ANY($4::text[])';
+            deleteParams = [periodId, weekNumber, shiftDate, timeOffShiftTypes];
+          }
+        } else {
+          if (staffNames.length > 0) {
+            deleteQuery = `period_id = $1 
+              AND week_number = $2 
+              AND shift_start_datetime::date = $3 
+              AND shift_type = $4
+              AND staff_name = ANY($5::text[])`;
+            deleteParams = [periodId, weekNumber, shiftDate, shiftType, staffNames];
+          } else {
+            deleteQuery = 'period_id = $1 AND week_number = $2 AND shift_start_datetime::date = $3 AND shift_type = $4';
+            deleteParams = [periodId, weekNumber, shiftDate, shiftType];
+          }
+        }
+        
+        const deleteResult = await deleteShiftsWithAudit(client, req, deleteQuery, deleteParams);
+        deletedShifts.push(...deleteResult.rows);
+        if (deleteResult.rows.length > 0) {
+          console.log(`✅ Deleted ${deleteResult.rows.length} existing shift(s) for full replace:`, deleteResult.rows.map(r => ({ id: r.id, staff: r.staff_name, date: r.date, type: r.shift_type })));
+        }
+        
+        // Insert all assignments
+        for (const assignment of staffAssignments) {
+          if (!assignment.staffName || !assignment.startTime || !assignment.endTime) {
+            console.warn('⚠️ Skipping invalid assignment:', assignment);
+            continue;
+          }
+
+          // Validate that the staff member exists
+          const staffCheck = await client.query(
+            'SELECT staff_name FROM human_resource WHERE staff_name = $1 AND is_active = true',
+            [assignment.staffName]
+          );
+          
+          if (staffCheck.rows.length === 0) {
+            await client.query('ROLLBACK');
+            client.release();
+            console.error(`❌ Staff member '${assignment.staffName}' not found in database`);
+            return res.status(400).json({
+              success: false,
+              error: 'Invalid staff member',
+              message: `Staff member '${assignment.staffName}' does not exist or is not active`
+            });
+          }
+
+          // Calculate shift times
+          const assignmentShiftStart = new Date(shiftStartDatetime);
+          const [assignmentStartHour, assignmentStartMinute] = assignment.startTime.split(':');
+          assignmentShiftStart.setHours(parseInt(assignmentStartHour), parseInt(assignmentStartMinute), 0, 0);
+          
+          const assignmentShiftEnd = new Date(shiftStartDatetime);
+          const [assignmentEndHour, assignmentEndMinute] = assignment.endTime.split(':');
+          assignmentShiftEnd.setHours(parseInt(assignmentEndHour), parseInt(assignmentEndMinute), 0, 0);
+          
+          if (assignmentShiftEnd < assignmentShiftStart) {
+            assignmentShiftEnd.setDate(assignmentShiftEnd.getDate() + 1);
+          }
+          
+          let assignmentShiftType = shiftType;
+          if (isTimeOffCell) {
+            if (assignment.csp) {
+              assignmentShiftType = 'CSP';
+            } else if (assignment.ssp) {
+              assignmentShiftType = 'SSP';
+            } else {
+              assignmentShiftType = shiftType;
+            }
+          }
+          
+          // Check for overlap, rest gap and unavailability conflicts
+          const assignmentConflicts = await detectShiftConflicts(client, {
+            staffName: assignment.staffName,
+            shiftStart: assignmentShiftStart,
+            shiftEnd: assignmentShiftEnd,
+            shiftType: assignmentShiftType
+          }, [], minimumRestHours);
+          conflicts.push(...assignmentConflicts);
+          
+          // Insert shift record
+          const result = await client.query(`
+            INSERT INTO shifts (
+              id, period_id, week_number, staff_name, shift_start_datetime, shift_end_datetime, 
+              shift_type, solo_shift, training, short_notice, call_out, payment_period_end, financial_year_end, notes, overtime
+            ) VALUES (uuid_shift($1, $3, $4::timestamptz, $6), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING *
+          `, [
+            periodId, 
+            weekNumber, 
+            assignment.staffName, 
+            assignmentShiftStart.toISOString(), 
+            assignmentShiftEnd.toISOString(),
+            assignmentShiftType, 
+            assignment.soloShift || false,
+            assignment.training || false,
+            assignment.shortNotice || false,
+            assignment.callout || false,
+            assignment.paymentPeriodEnd || false,
+            assignment.financialYearEnd || false,
+            assignment.notes || '',
+            assignment.overtime || false
+          ]);
+          
+          createdShifts.push(result.rows[0]);
+          console.log(`✅ Created shift record for ${assignment.staffName} (${assignmentShiftType})`);
+        }
+      }
+      
+      // Reject the whole save when conflicts are found, unless the user chose to save anyway
+      if (conflicts.length > 0 && !acknowledgeConflicts) {
+        await client.query('ROLLBACK');
+        client.release();
+        console.warn(`⚠️ Shift save rejected: ${conflicts.length} conflict(s) detected`);
+        return res.status(409).json({
+          success: false,
+          error: 'Shift conflicts detected',
+          message: conflicts.map(conflict => conflict.message).join('; '),
+          conflicts: conflicts
+        });
+      }
+      
+      await recordShiftAuditEvents(client, req, 'create', createdShifts);
+      const operationId = await recordRotaOperation(client, req, {
+        operationType: 'assign',
+        description: `Updated ${shiftType} on ${shiftDate}, week ${weekNumber}`,
+        periodId,
+        before: deletedShifts,
+        after: createdShifts
+      });
+      
+      await client.query('COMMIT');
+      client.release();
+      
+      // Build response message
+      let message = 'Shifts updated successfully';
+      const deletedCount = removedShiftIds ? removedShiftIds.length : 0;
+      const insertedCount = createdShifts.length;
+      
+      if (deletedCount > 0 && insertedCount > 0) {
+        message = `Deleted ${deletedCount} shift(s) and inserted ${insertedCount} new shift(s)`;
+      } else if (deletedCount > 0) {
+        message = `Deleted ${deletedCount} shift(s)`;
+      } else if (insertedCount > 0) {
+        message = `Inserted ${insertedCount} new shift(s)`;
+      } else {
+        message = 'No changes needed (all shifts unchanged)';
+      }
+      
+      if (isTimeOffCell && staffAssignments.length > 1) {
+        console.log(`✅ ${message} for time-off cell with multiple staff`);
+      } else {
+        console.log(`✅ ${message}`);
+      }
+      
+      res.json({
+        success: true,
+        data: createdShifts,
+        count: createdShifts.length,
+        deletedCount: deletedCount,
+        insertedCount: insertedCount,
+        conflicts: conflicts, // Acknowledged conflicts (warnings)
+        operationId: operationId, // Undo with POST /api/operations/:id/undo
+        message: message
+      });
+      
+    } else {
+      await client.query('COMMIT');
+      client.release();
+      res.json({
+        success: true,
+        data: [],
+        count: 0,
+        message: 'No shifts to create'
+      });
+    }
+    
+  } catch (err) {
+    await client.query('ROLLBACK');
+    client.release();
+    console.error('Error saving shift:', err);
+    if (err.code === '23505') { // Unique constraint violation - the same shift was added by another save
+      res.status(409).json({
+        success: false,
+        error: 'Version conflict',
+        message: 'This shift was added by someone else at the same time - review the cell and try again'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save shift',
+        message: err.message
+      });
+    }
+  }
+});
+
+
+// Check proposed shift assignments for conflicts without saving them
+// Used by the assignment dialog to show conflicts inline before saving
+app.post('/api/shifts/check-conflicts', 
+  validateRequiredFields(['shiftStartDatetime', 'shiftType', 'assignments']),
+  async (req, res) => {
+  try {
+    const { shiftStartDatetime, shiftType, assignments, excludeShiftIds = [] } = req.body;
+    
+    if (!Array.isArray(assignments)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid assignments',
+        message: 'Assignments must be an array'
+      });
+    }
+    
+    if (!(await findShiftType(shiftType))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid shift type',
+        message: await getInvalidShiftTypeMessage()
+      });
+    }
+    
+    const validExcludeIds = (Array.isArray(excludeShiftIds) ? excludeShiftIds : [])
+      .filter(id => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id));
+    const minimumRestHours = await getMinimumRestHours();
+    const conflicts = [];
+    
+    for (const assignment of assignments) {
+      if (!assignment.staffName || !assignment.startTime || !assignment.endTime) {
+        continue;
+      }
+      
+      const { start, end } = calculateAssignmentTimes(shiftStartDatetime, assignment.startTime, assignment.endTime);
+      let assignmentShiftType = shiftType;
+      if (assignment.csp) {
+        assignmentShiftType = 'CSP';
+      } else if (assignment.ssp) {
+        assignmentShiftType = 'SSP';
+      }
+      
+      conflicts.push(...await detectShiftConflicts(pool, {
+        staffName: assignment.staffName,
+        shiftStart: start,
+        shiftEnd: end,
+        shiftType: assignmentShiftType
+      }, validExcludeIds, minimumRestHours));
+    }
+    
+    console.log(`🔍 Conflict check: ${conflicts.length} conflict(s) for ${assignments.length} assignment(s)`);
+    
+    res.json({
+      success: true,
+      data: conflicts,
+      count: conflicts.length,
+      minimumRestHours: minimumRestHours
+    });
+  } catch (err) {
+    console.error('Error checking shift conflicts:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check shift conflicts',
+      message: err.message
+    });
+  }
+});
+
+// Delete shift assignment
+app.delete('/api/shifts/delete', 
+  validateRequiredFields(['periodId', 'weekNumber', 'shiftStartDatetime', 'shiftType']),
+  async (req, res) => {
+  try {
+    const {
+      periodId,
+      weekNumber,
+      shiftStartDatetime,
+      shiftType
+    } = req.body;
+
+      // Validate periodId format
+      if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(periodId)) {
+      return res.status(400).json({ 
+          success: false,
+          error: 'Invalid period ID format',
+          message: 'Period ID must be a valid UUID'
+        });
+      }
+
+      // Use the same date logic as the insert operation
+      const shiftStart = new Date(shiftStartDatetime);
+      const shiftDate = shiftStart.toISOString().split('T')[0];
+
+      console.log('Delete request:', {
+        periodId,
+        weekNumber,
+        shiftStartDatetime,
+        shiftType,
+        calculatedDate: shiftDate
+      });
+
+      // First, let's see what's actually in the database for debugging
+      const debugQuery = await pool.query(`
+        SELECT id, staff_name, shift_start_datetime::date as date, shift_type, week_number, period_id 
+        FROM shifts 
+        WHERE period_id = $1 AND week_number = $2 AND shift_type = $3
+        ORDER BY shift_start_datetime::date, staff_name
+      `, [periodId, weekNumber, shiftType]);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Delete all shifts for this time slot and shift type (handles multiple staff)
+      const result = await deleteShiftsWithAudit(client, req,
+          'period_id = $1 AND week_number = $2 AND shift_start_datetime::date = $3 AND shift_type = $4',
+          [periodId, weekNumber, shiftDate, shiftType]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.json({
+          success: false,
+          message: 'No shift assignments found to delete',
+          deletedCount: 0,
+          debug: {
+            requestedDate: shiftDate,
+            foundInDatabase: debugQuery.rows.length
+          }
+        });
+      }
+
+      const operationId = await recordRotaOperation(client, req, {
+        operationType: 'clear',
+        description: describeRotaClear({ weekNumber, date: shiftDate, shiftType }),
+        periodId,
+        before: result.rows
+      });
+
+      await client.query('COMMIT');
+
+      res.json({ 
+          success: true,
+        message: 'Shift assignments deleted successfully', 
+        deletedCount: result.rows.length,
+          deletedShifts: result.rows,
+          operationId: operationId,
+          debug: {
+            requestedDate: shiftDate,
+            foundInDatabase: debugQuery.rows.length,
+            deleted: result.rows.length
+          }
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('Error deleting shift:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete shift',
+        message: err.message
+      });
+    }
+  }
+);
+
+// Clear all shifts for a specific period and week
+app.delete('/api/shifts/clear', 
+  validateRequiredFields(['periodId']),
+  async (req, res) => {
+  try {
+    const {
+      periodId,
+      weekNumber,
+      date,
+      shiftType
+    } = req.body;
+
+      // Validate periodId format
+      if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(periodId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid period ID format',
+          message: 'Period ID must be a valid UUID'
+        });
+      }
+
+      console.log('Clear request:', { periodId, weekNumber, date, shiftType });
+
+    let query = 'period_id = $1';
+    let params = [periodId];
+    let paramIndex = 2;
+
+    // Add week number filter if provided
+      if (weekNumber !== undefined && weekNumber !== null) {
+        if (weekNumber < 1 || weekNumber > 4) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid week number',
+            message: 'Week number must be between 1 and 4'
+          });
+        }
+      query += ` AND week_number = $${paramIndex}`;
+      params.push(weekNumber);
+      paramIndex++;
+    }
+
+    // Add date filter if provided
+    if (date) {
+      query += ` AND shift_start_datetime::date = $${paramIndex}`;
+      params.push(date);
+      paramIndex++;
+    }
+
+    // Add shift type filter if provided
+    if (shiftType) {
+        if (!(await findShiftType(shiftType))) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid shift type',
+            message: await getInvalidShiftTypeMessage()
+          });
+        }
+      query += ` AND shift_type = $${paramIndex}`;
+      params.push(shiftType);
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await deleteShiftsWithAudit(client, req, query, params);
+
+      const operationId = await recordRotaOperation(client, req, {
+        operationType: 'clear',
+        description: describeRotaClear({ weekNumber, date, shiftType }),
+        periodId,
+        before: result.rows
+      });
+
+      await client.query('COMMIT');
+
+      res.json({ 
+          success: true,
+        message: 'Shifts cleared successfully', 
+        clearedCount: result.rows.length,
+        clearedShifts: result.rows,
+        operationId: operationId
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (err) {
+    console.error('Error clearing shifts:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to clear shifts',
+        message: err.message
+      });
+    }
+  }
+);
+
+// Clear specific cell with multiple staff
+app.delete('/api/shifts/clear-cell', 
+  validateRequiredFields(['periodId', 'weekNumber', 'date', 'shiftType']),
+  async (req, res) => {
+  try {
+    const {
+      periodId,
+      weekNumber,
+      date,
+      shiftType,
+      expectedVersions = null // { shiftId: version } of the cell's shifts when it was loaded (409 if the cell changed since)
+    } = req.body;
+
+      // Validate periodId format
+      if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(periodId)) {
+      return res.status(400).json({ 
+          success: false,
+          error: 'Invalid period ID format',
+          message: 'Period ID must be a valid UUID'
+        });
+      }
+
+      // Validate week number
+      if (weekNumber < 1 || weekNumber > 4) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid week number',
+          message: 'Week number must be between 1 and 4'
+        });
+      }
+
+      // Validate shift type
+      if (!(await findShiftType(shiftType))) {
+      return res.status(400).json({ 
+          success: false,
+          error: 'Invalid shift type',
+          message: await getInvalidShiftTypeMessage()
+        });
+      }
+
+      // Validate expectedVersions format
+      const expectedVersionsError = expectedVersions === null ? null : getInvalidExpectedVersionsMessage(expectedVersions);
+      if (expectedVersionsError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid expectedVersions',
+          message: expectedVersionsError
+        });
+      }
+
+      console.log('Clear cell request:', { periodId, weekNumber, date, shiftType });
+
+      // First, let's see what's in the database for debugging
+      const debugQuery = await pool.query(`
+        SELECT id, staff_name, shift_start_datetime::date as date, shift_type, week_number, period_id 
+        FROM shifts 
+        WHERE period_id = $1 AND week_number = $2 AND shift_type = $3
+        ORDER BY shift_start_datetime::date, staff_name
+      `, [periodId, weekNumber, shiftType]);
+
+    // Clear all shifts for this specific cell
+    const deleteQuery = `
+      period_id = $1 
+        AND week_number = $2 
+          AND shift_start_datetime::date = $3
+        AND shift_type = $4
+    `;
+    const deleteParams = [periodId, weekNumber, date, shiftType];
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Refuse the clear if someone else changed the cell since this browser loaded it
+      if (expectedVersions) {
+        const currentShifts = await lockRotaCellShifts(client, {
+          periodId,
+          weekNumber,
+          date,
+          shiftTypes: [shiftType],
+          shiftIds: Object.keys(expectedVersions)
+        });
+        const versionConflicts = findShiftVersionConflicts(expectedVersions, currentShifts);
+
+        if (versionConflicts.length > 0) {
+          await client.query('ROLLBACK');
+          console.warn(`⚠️ Clear cell rejected: cell changed by someone else (${versionConflicts.length} conflict(s))`);
+          return res.status(409).json(buildShiftVersionConflictResponse(versionConflicts, currentShifts));
+        }
+      }
+
+      const result = await deleteShiftsWithAudit(client, req, deleteQuery, deleteParams);
+
+      const operationId = await recordRotaOperation(client, req, {
+        operationType: 'clear',
+        description: describeRotaClear({ weekNumber, date, shiftType }),
+        periodId,
+        before: result.rows
+      });
+
+      await client.query('COMMIT');
+
+      res.json({ 
+          success: true,
+        message: 'Cell shifts cleared successfully', 
+        clearedCount: result.rows.length,
+          clearedShifts: result.rows,
+          operationId: operationId,
+          debug: {
+            requestedDate: date,
+            foundInDatabase: debugQuery.rows.length,
+            cleared: result.rows.length
+          }
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (err) {
+    console.error('Error clearing cell shifts:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to clear cell shifts',
+        message: err.message
+      });
+    }
+  }
+);
+
+// Clear shifts directly (for frontend compatibility)
+app.delete('/api/shifts/clear-direct', 
+  validateRequiredFields(['periodId']),
+  async (req, res) => {
+  try {
+    const {
+      periodId,
+      weekNumber,
+      date,
+      shiftType
+    } = req.body;
+
+    // Validate periodId format
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(periodId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid period ID format',
+        message: 'Period ID must be a valid UUID'
+      });
+    }
+
+    console.log('Clear direct request:', { periodId, weekNumber, date, shiftType });
+
+    let query = 'period_id = $1';
+    let params = [periodId];
+    let paramIndex = 2;
+
+    // Add week number filter if provided
+    if (weekNumber !== undefined && weekNumber !== null) {
+      if (weekNumber < 1 || weekNumber > 4) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid week number',
+          message: 'Week number must be between 1 and 4'
+        });
+      }
+      query += ` AND week_number = $${paramIndex}`;
+      params.push(weekNumber);
+      paramIndex++;
+    }
+
+    // Add date filter if provided
+    if (date) {
+      query += ` AND shift_start_datetime::date = $${paramIndex}`;
+      params.push(date);
+      paramIndex++;
+    }
+
+    // Add shift type filter if provided
+    if (shiftType) {
+      if (!(await findShiftType(shiftType))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid shift type',
+          message: await getInvalidShiftTypeMessage()
+        });
+      }
+      query += ` AND shift_type = $${paramIndex}`;
+      params.push(shiftType);
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await deleteShiftsWithAudit(client, req, query, params);
+
+      const operationId = await recordRotaOperation(client, req, {
+        operationType: 'clear',
+        description: describeRotaClear({ weekNumber, date, shiftType }),
+        periodId,
+        before: result.rows
+      });
+
+      await client.query('COMMIT');
+
+      res.json({ 
+        success: true,
+        message: 'Shifts cleared successfully', 
+        clearedCount: result.rows.length,
+        clearedShifts: result.rows,
+        operationId: operationId
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (err) {
+    console.error('Error clearing shifts directly:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear shifts',
+      message: err.message
+    });
+  }
+});
+
+// Test database connection and table structure
+app.get('/api/test-db', async (req, res) => {
+  try {
+    // Test basic connection
+    const connectionTest = await pool.query('SELECT NOW()');
+    
+    // Check if tables exist
+    const tablesQuery = await pool.query(`
+      SELECT table_name 
+      FROM information_schema.tables 
+      WHERE table_schema = 'public' 
+      AND table_name IN ('shifts', 'human_resource', 'periods')
+    `);
+    
+    // Check shifts table structure
+    const shiftsColumns = await pool.query(`
+      SELECT column_name, data_type 
+      FROM information_schema.columns 
+      WHERE table_name = 'shifts'
+    `);
+    
+    // Check current data in tables
+    const shiftsCount = await pool.query('SELECT COUNT(*) as count FROM shifts');
+    const staffCount = await pool.query('SELECT COUNT(*) as count FROM human_resource');
+    const periodsCount = await pool.query('SELECT COUNT(*) as count FROM periods');
+    
+    res.json({
+      success: true,
+      connection: 'success',
+      tables: tablesQuery.rows.map(r => r.table_name),
+      shiftsColumns: shiftsColumns.rows,
+      dataCounts: {
+        shifts: parseInt(shiftsCount.rows[0].count),
+        staff: parseInt(staffCount.rows[0].count),
+        periods: parseInt(periodsCount.rows[0].count)
+      }
+    });
+  } catch (err) {
+    console.error('Database test failed:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database test failed',
+      message: err.message
+    });
+  }
+});
+
+// Debug endpoint removed - not essential functionality
+
+// Debug endpoint to inspect specific shift data
+app.get('/api/debug/shifts/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const result = await pool.query(`
+      SELECT s.*, hr.role as staff_role, p.start_date, p.end_date
+      FROM shifts s 
+      LEFT JOIN human_resource hr ON s.staff_name = hr.staff_name 
+      LEFT JOIN periods p ON s.period_id = p.period_id
+      WHERE s.id = $1
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shift not found',
+        message: `No shift found with ID: ${id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (err) {
+    console.error('Error in debug shift by ID:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to debug shift',
+      message: err.message
+    });
+  }
+});
+
+// Update staff member active status
+app.put('/api/staff/:id/active-status', 
+  validateRequiredFields(['is_active']),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { is_active } = req.body;
+
+      // Validate UUID
+      if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid staff ID format',
+          message: 'Staff ID must be a valid UUID'
+        });
+      }
+
+      // Validate boolean value
+      if (typeof is_active !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid active status value',
+          message: 'is_active must be a boolean value (true/false)'
+        });
+      }
+
+      // Check if staff member exists
+      const staffCheck = await pool.query(
+        'SELECT staff_name, role FROM human_resource WHERE unique_id = $1',
+        [id]
+      );
+
+      if (staffCheck.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Staff member not found',
+          message: `No staff member found with ID: ${id}`
+        });
+      }
+
+      // Update active status
+      const result = await pool.query(
+        'UPDATE human_resource SET is_active = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2 AND ($3::integer IS NULL OR version = $3) RETURNING unique_id, staff_name, role, is_active, updated_at, version',
+        [is_active, id, req.expectedVersion]
+      );
+
+      if (result.rows.length === 0) {
+        if (await sendVersionConflict(pool, req, res, 'staff', [id])) {
+          return;
+        }
+        return res.status(404).json({
+          success: false,
+          error: 'Staff member not found',
+          message: `No staff member found with ID: ${id}`
+        });
+      }
+
+      console.log(`✅ Staff member ${result.rows[0].staff_name} active status updated to: ${is_active}`);
+
+      res.json({
+        success: true,
+        message: 'Active status updated successfully',
+        data: result.rows[0]
+      });
+
+    } catch (err) {
+      console.error('Error updating staff active status:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update staff active status',
+        message: err.message,
+        details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+      });
+    }
+  }
+);
+
+// Database inspection endpoint to check current schema
+app.get('/api/migrate/check-schema', async (req, res) => {
+  try {
+    console.log('🔍 Checking current database schema...');
+    
+    // Get information about the shifts table structure
+    const result = await pool.query(`
+      SELECT 
+        column_name,
+        data_type,
+        is_nullable,
+        column_default
+      FROM information_schema.columns 
+      WHERE table_name = 'shifts' 
+      ORDER BY ordinal_position;
+    `);
+    
+    console.log('✅ Schema check completed');
+    console.log('📋 Current columns:', result.rows.map(col => col.column_name));
+    
+    res.json({
+      success: true,
+      message: 'Database schema check completed',
+      columns: result.rows,
+      count: result.rows.length
+    });
+    
+  } catch (err) {
+    console.error('❌ Error checking database schema:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Schema check failed',
+      message: err.message
+    });
+  }
+});
+
+// Database migration endpoint to fix shift_type constraint and add missing columns
+app.post('/api/migrate/fix-shift-types', async (req, res) => {
+  try {
+    console.log('🔄 Starting comprehensive database migration...');
+    
+    // Force add the missing columns (ignore if they already exist)
+    console.log('🔄 Adding missing columns...');
+    
+    try {
+      await pool.query('ALTER TABLE shifts ADD COLUMN total_hours DECIMAL(4,2)');
+      console.log('✅ Added total_hours column');
+    } catch (err) {
+      if (err.code === '42701') { // column already exists
+        console.log('ℹ️ total_hours column already exists');
+      } else {
+        throw err;
+      }
+    }
+    
+    try {
+      await pool.query('ALTER TABLE shifts ADD COLUMN date DATE');
+      console.log('✅ Added date column');
+    } catch (err) {
+      if (err.code === '42701') { // column already exists
+        console.log('ℹ️ date column already exists');
+      } else {
+        throw err;
+      }
+    }
+    
+    try {
+      await pool.query('ALTER TABLE shifts ADD COLUMN start_time TIME');
+      console.log('✅ Added start_time column');
+    } catch (err) {
+      if (err.code === '42701') { // column already exists
+        console.log('ℹ️ start_time column already exists');
+      } else {
+        throw err;
+      }
+    }
+    
+    try {
+      await pool.query('ALTER TABLE shifts ADD COLUMN end_time TIME');
+      console.log('✅ Added end_time column');
+    } catch (err) {
+      if (err.code === '42701') { // column already exists
+        console.log('ℹ️ end_time column already exists');
+      } else {
+        throw err;
+      }
+    }
+    
+    try {
+      await pool.query('ALTER TABLE shifts ADD COLUMN payment_period_end BOOLEAN DEFAULT FALSE');
+      console.log('✅ Added payment_period_end column');
+    } catch (err) {
+      if (err.code === '42701') { // column already exists
+        console.log('ℹ️ payment_period_end column already exists');
+      } else {
+        throw err;
+      }
+    }
+    
+    try {
+      await pool.query('ALTER TABLE shifts ADD COLUMN financial_year_end BOOLEAN DEFAULT FALSE');
+      console.log('✅ Added financial_year_end column');
+    } catch (err) {
+      if (err.code === '42701') { // column already exists
+        console.log('ℹ️ financial_year_end column already exists');
+      } else {
+        throw err;
+      }
+    }
+    
+    try {
+      await pool.query('ALTER TABLE shifts ADD COLUMN call_out BOOLEAN DEFAULT FALSE');
+      console.log('✅ Added call_out column');
+    } catch (err) {
+      if (err.code === '42701') { // column already exists
+        console.log('ℹ️ call_out column already exists');
+      } else {
+        throw err;
+      }
+    }
+    
+    // Handle constraint management safely
+    console.log('🔄 Managing shift_type constraint...');
+    
+    try {
+      // Drop the existing constraint if it exists
+      await pool.query(`
+        DO $$ 
+        BEGIN
+          IF EXISTS (SELECT 1 FROM information_schema.table_constraints WHERE constraint_name = 'shifts_shift_type_check') THEN
+            ALTER TABLE shifts DROP CONSTRAINT shifts_shift_type_check;
+            RAISE NOTICE 'Dropped existing shift_type constraint';
+          END IF;
+        END $$;
+      `);
+      console.log('✅ Constraint check completed');
+    } catch (err) {
+      console.log('ℹ️ Constraint drop handled:', err.message);
+    }
+    
+    try {
+      // Shift types are validated against the shift_types catalogue (no hard-coded CHECK list)
+      await pool.query(`
+        ALTER TABLE shifts ADD CONSTRAINT shifts_shift_type_fkey 
+          FOREIGN KEY (shift_type) REFERENCES shift_types(name) ON UPDATE CASCADE;
+      `);
+      console.log('✅ Added shift_type foreign key to shift_types');
+    } catch (err) {
+      if (err.code === '42710') { // constraint already exists
+        console.log('ℹ️ shift_type foreign key already exists');
+      } else {
+        throw err;
+      }
+    }
+    
+    console.log('✅ Successfully completed comprehensive database migration');
+    
+    res.json({
+      success: true,
+      message: 'Database migration completed successfully',
+      details: 'Added all missing columns and linked shift_type to the shift_types catalogue'
+    });
+    
+  } catch (err) {
+    console.error('❌ Error during database migration:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database migration failed',
+      message: err.message,
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+// Remove extra columns migration endpoint
+app.post('/api/migrate/remove-extra-columns', async (req, res) => {
+  console.log('🗑️ Removing extra columns from shifts table...');
+  
+  try {
+    // Remove start_time column
+    try {
+      await pool.query('ALTER TABLE shifts DROP COLUMN IF EXISTS start_time');
+      console.log('✅ Removed start_time column');
+    } catch (err) {
+      console.log('ℹ️ start_time column removal handled:', err.message);
+    }
+    
+    // Remove end_time column
+    try {
+      await pool.query('ALTER TABLE shifts DROP COLUMN IF EXISTS end_time');
+      console.log('✅ Removed end_time column');
+    } catch (err) {
+      console.log('ℹ️ end_time column removal handled:', err.message);
+    }
+    
+    // Remove date column
+    try {
+      await pool.query('ALTER TABLE shifts DROP COLUMN IF EXISTS date');
+      console.log('✅ Removed date column');
+    } catch (err) {
+      console.log('ℹ️ date column removal handled:', err.message);
+    }
+    
+    // Remove total_hours column (also extra)
+    try {
+      await pool.query('ALTER TABLE shifts DROP COLUMN IF EXISTS total_hours');
+      console.log('✅ Removed total_hours column');
+    } catch (err) {
+      console.log('ℹ️ total_hours column removal handled:', err.message);
+    }
+    
+    console.log('✅ Successfully removed extra columns from shifts table');
+    
+    res.json({
+      success: true,
+      message: 'Extra columns removed successfully',
+      details: 'Removed start_time, end_time, date, and total_hours columns'
+    });
+    
+  } catch (err) {
+    console.error('❌ Error removing extra columns:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove extra columns',
+      message: err.message,
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+// Clear multiple shifts endpoint
+app.post('/api/shifts/clear-multiple', async (req, res) => {
+  console.log('🗑️ Clearing multiple shifts from database...');
+  
+  try {
+    const { shifts } = req.body;
+    
+    if (!shifts || !Array.isArray(shifts) || shifts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        message: 'No shifts provided for clearing'
+      });
+    }
+    
+    console.log(`🗑️ Attempting to clear ${shifts.length} shifts...`);
+    
+    let clearedCount = 0;
+    const clearedShifts = [];
+    
+    // The selection is cleared all or nothing, together with its undo operation
+    const client = await pool.connect();
+    let operationId;
+    try {
+      await client.query('BEGIN');
+      
+      // Clear each shift individually
+      for (const shift of shifts) {
+        const { period_id, week_number, shift_start_datetime, shift_end_datetime, shift_type, staff_name } = shift;
+        
+        // Delete the shift from database
+        const result = await deleteShiftsWithAudit(client, req, `
+          period_id = $1 
+            AND week_number = $2 
+            AND shift_start_datetime = $3 
+            AND shift_end_datetime = $4 
+            AND shift_type = $5 
+            AND staff_name = $6
+        `, [period_id, week_number, shift_start_datetime, shift_end_datetime, shift_type, staff_name]);
+        
+        if (result.rowCount > 0) {
+          clearedCount++;
+          clearedShifts.push(...result.rows);
+          console.log(`✅ Cleared shift: ${staff_name} on ${shift_start_datetime}`);
+        } else {
+          console.log(`ℹ️ No matching shift found for: ${staff_name} on ${shift_start_datetime}`);
+        }
+      }
+      
+      // The whole selection is undone as one operation
+      operationId = await recordRotaOperation(client, req, {
+        operationType: 'clear',
+        description: `Cleared ${clearedShifts.length} selected shift(s)`,
+        before: clearedShifts
+      });
+      
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+    console.log(`✅ Successfully cleared ${clearedCount} shifts from database`);
+    
+    res.json({
+      success: true,
+      message: `Successfully cleared ${clearedCount} shifts from database`,
+      cleared_count: clearedCount,
+      total_requested: shifts.length,
+      operation_id: operationId
+    });
+    
+  } catch (error) {
+    console.error('❌ Error clearing multiple shifts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear shifts',
+      message: error.message
+    });
+  }
+});
+
+// Add color_code column to human_resource table
+app.post('/api/migrate/add-color-code', async (req, res) => {
+  try {
+    console.log('🎨 Adding color_code column to human_resource table...');
+    
+    // Check if color_code column already exists
+    const columnCheck = await pool.query(`
+      SELECT column_name 
+      FROM information_schema.columns 
+      WHERE table_name = 'human_resource' AND column_name = 'color_code'
+    `);
+    
+    if (columnCheck.rows.length === 0) {
+      // Add color_code column to human_resource table
+      await pool.query(`
+        ALTER TABLE human_resource 
+        ADD COLUMN color_code VARCHAR(7) DEFAULT '#3b82f6'
+      `);
+      console.log('✅ color_code column added to human_resource table');
+    } else {
+      console.log('ℹ️ color_code column already exists');
+    }
+    
+    // Check if change_requests table exists
+    const tableCheck = await pool.query(`
+      SELECT table_name 
+      FROM information_schema.tables 
+      WHERE table_name = 'change_requests'
+    `);
+    
+    if (tableCheck.rows.length === 0) {
+      // Create change_requests table if it doesn't exist
+      await pool.query(`
+        CREATE TABLE change_requests (
+          id UUID PRIMARY KEY DEFAULT uuid_change_request(staff_id, change_type, field_name, changed_at),
+          staff_id UUID NOT NULL REFERENCES human_resource(unique_id) ON DELETE CASCADE,
+          staff_name TEXT NOT NULL,
+          change_type TEXT NOT NULL,
+          field_name TEXT,
+          old_value TEXT,
+          new_value TEXT,
+          effective_from_date TIMESTAMPTZ DEFAULT NOW(),
+          changed_at TIMESTAMPTZ DEFAULT NOW(),
+          changed_by TEXT DEFAULT 'system',
+          reason TEXT
+        )
+      `);
+      console.log('✅ change_requests table created');
+    } else {
+      console.log('ℹ️ change_requests table already exists');
+    }
+    
+    // Create indexes for change_requests table (ignore if they already exist)
+    try {
+      await pool.query(`
+        CREATE INDEX idx_change_requests_staff_id ON change_requests(staff_id)
+      `);
+    } catch (err) {
+      if (err.code !== '42P07') console.log('ℹ️ staff_id index already exists');
+    }
+    
+    try {
+      await pool.query(`
+        CREATE INDEX idx_change_requests_staff_name ON change_requests(staff_name)
+      `);
+    } catch (err) {
+      if (err.code !== '42P07') console.log('ℹ️ staff_name index already exists');
+    }
+    
+    try {
+      await pool.query(`
+        CREATE INDEX idx_change_requests_change_type ON change_requests(change_type)
+      `);
+    } catch (err) {
+      if (err.code !== '42P07') console.log('ℹ️ change_type index already exists');
+    }
+    
+    try {
+      await pool.query(`
+        CREATE INDEX idx_change_requests_changed_at ON change_requests(changed_at)
+      `);
+    } catch (err) {
+      if (err.code !== '42P07') console.log('ℹ️ changed_at index already exists');
+    }
+    
+    // CRITICAL: Create index on effective_from_date for fast queries in processor
+    try {
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_change_requests_effective_from_date ON change_requests(effective_from_date)
+      `);
+      console.log('✅ Index created: idx_change_requests_effective_from_date (CRITICAL for performance)');
+    } catch (err) {
+      if (err.code !== '42P07') {
+        console.log('ℹ️ effective_from_date index already exists');
+      }
+    }
+    
+    console.log('✅ Indexes created for change_requests table');
+    
+    // Update existing staff members with predefined colors
+    const predefinedColors = {
+      'Helen': '#EE0000',
+      'Fung': '#FFFF00', 
+      'Anne': '#00B050',
+      'Annie': '#247A00',
+      'Lisa': '#CC99FF',
+      'Janet': '#FF66FF',
+      'Clara': '#0070C0',
+      'John': '#00B0F0',
+      'Vania': '#7030A0',
+      'Yasser': '#C4BC96',
+      'Matt': '#FFC000',
+      'FW': '#935CC3',
+      'HC': '#D52BD5'
+    };
+    
+    let updatedCount = 0;
+    for (const [staffName, colorCode] of Object.entries(predefinedColors)) {
+      const result = await pool.query(`
+        UPDATE human_resource 
+        SET color_code = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London')
+        WHERE staff_name = $2 AND (color_code IS NULL OR color_code = '#3b82f6')
+      `, [colorCode, staffName]);
+      
+      if (result.rowCount > 0) {
+        updatedCount += result.rowCount;
+        console.log(`✅ Updated ${staffName} with color ${colorCode}`);
+      }
+    }
+    
+    // Get all staff members to return
+    const staffResult = await pool.query(`
+      SELECT unique_id, staff_name, role, color_code
+      FROM human_resource
+      ORDER BY staff_name
+    `);
+    
+    res.json({
+      success: true,
+      message: 'Color code column added successfully',
+      count: updatedCount,
+      data: staffResult.rows
+    });
+    
+  } catch (err) {
+    console.error('❌ Error adding color_code column:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add color_code column',
+      message: err.message
+    });
+  }
+});
+
+// Update staff member color code
+app.put('/api/staff/:id/color-code', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { color_code, reason = '', effective_from_date = null } = req.body;
+    const changed_by = getAuditActor(req).username;
+
+    // Validate UUID
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid staff ID format',
+        message: 'Staff ID must be a valid UUID'
+      });
+    }
+
+    // Validate color code format
+    if (!/^#[0-9A-F]{6}$/i.test(color_code)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid color code format',
+        message: 'Color code must be a valid hex color (e.g., #3b82f6)'
+      });
+    }
+    
+    // Check if staff member exists and get current color
+    const staffCheck = await pool.query(
+      'SELECT staff_name, role, color_code FROM human_resource WHERE unique_id = $1',
+      [id]
+    );
+
+    if (staffCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found',
+        message: `No staff member found with ID: ${id}`
+      });
+    }
+
+    const currentColor = staffCheck.rows[0].color_code || '#3b82f6';
+    const staffName = staffCheck.rows[0].staff_name;
+
+    // Validate change request before proceeding
+    const validation = await validateChangeRequest(id, 'color_code_change', currentColor, color_code);
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Change request validation failed',
+        message: validation.errors.join(' '),
+        warnings: validation.warnings
+      });
+    }
+
+    // Start transaction
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      
+      // Update color code
+      const updateResult = await client.query(
+        'UPDATE human_resource SET color_code = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2 AND ($3::integer IS NULL OR version = $3)',
+        [color_code, id, req.expectedVersion]
+      );
+      
+      if (updateResult.rowCount === 0) {
+        await client.query('ROLLBACK');
+        if (await sendVersionConflict(pool, req, res, 'staff', [id])) {
+          return;
+        }
+        return res.status(404).json({
+          success: false,
+          error: 'Staff member not found',
+          message: `No staff member found with ID: ${id}`
+        });
+      }
+      
+      // Log the change in history
+      const effectiveDate = effective_from_date ? new Date(effective_from_date).toISOString() : new Date().toISOString();
+      try {
+        const insertResult = await client.query(`
+          INSERT INTO change_requests (
+            id, staff_id, staff_name, change_type, field_name, old_value, new_value, effective_from_date, changed_at, changed_by, reason
+          ) VALUES (uuid_change_request($1, $3, 'color_code', $6), $1, $2, $3, 'color_code', $4, $5, $6, $6, $7, $8)
+          RETURNING id
+        `, [id, staffName, 'color_code_change', currentColor, color_code, effectiveDate, changed_by, reason]);
+        console.log(`✅ Change request inserted for color code change: ${insertResult.rows[0].id}`);
+      } catch (insertError) {
+        console.error('❌ Error inserting change request for color code change:', insertError);
+        throw insertError;
+      }
+      
+      await client.query('COMMIT');
+      
+      // Get updated data
+      const result = await pool.query(
+        'SELECT unique_id, staff_name, role, color_code, updated_at FROM human_resource WHERE unique_id = $1',
+        [id]
+      );
+
+      console.log(`✅ Staff member ${result.rows[0].staff_name} color code updated from ${currentColor} to ${color_code}`);
+
+      res.json({
+        success: true,
+        message: 'Color code updated successfully',
+        data: result.rows[0],
+        warnings: validation.warnings.length > 0 ? validation.warnings : undefined
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (err) {
+    console.error('Error updating staff color code:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update staff color code',
+      message: err.message,
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+// Get color code history for a staff member
+app.get('/api/staff/:id/color-history', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Check if staff member exists
+    const checkResult = await pool.query(
+      'SELECT staff_name FROM human_resource WHERE unique_id = $1',
+      [id]
+    );
+    
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found',
+        message: 'No staff member found with the specified ID'
+      });
+    }
+    
+    // Get color code history
+    const result = await pool.query(`
+      SELECT 
+        id,
+        staff_id,
+        staff_name,
+        change_type,
+        old_value,
+        new_value,
+        effective_from_date,
+        changed_at,
+        changed_by,
+        reason
+      FROM change_requests
+      WHERE staff_id = $1 AND change_type = 'color_code_change'
+      ORDER BY changed_at DESC
+    `, [id]);
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (err) {
+    console.error('Error fetching color history:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch color history',
+      message: err.message
+    });
+  }
+});
+
+// Test timezone endpoint
+app.get('/api/test-timezone', async (req, res) => {
+  try {
+    // Get current timezone setting
+    const timezoneResult = await pool.query("SELECT current_setting('timezone') as current_timezone");
+    
+    // Get current time in database
+    const timeResult = await pool.query("SELECT NOW() as current_time, (NOW() AT TIME ZONE 'Europe/London') as london_time");
+    
+    // Test creating a record
+    const testResult = await pool.query(`
+      INSERT INTO human_resource (unique_id, staff_name, role, is_active) 
+      VALUES (uuid_human_resource($1), $1, $2, $3) 
+      RETURNING unique_id, staff_name, created_at, updated_at
+    `, ['TestStaff_Timezone', 'staff member', true]);
+    
+    const testStaff = testResult.rows[0];
+    
+    // Clean up test data
+    await pool.query('DELETE FROM human_resource WHERE unique_id = $1', [testStaff.unique_id]);
+    
+    res.json({
+      success: true,
+      timezone: timezoneResult.rows[0].current_timezone,
+      database_time: timeResult.rows[0].current_time,
+      london_time: timeResult.rows[0].london_time,
+      test_record: {
+        created_at: testStaff.created_at,
+        updated_at: testStaff.updated_at
+      },
+      message: 'Timezone test completed successfully'
+    });
+  } catch (error) {
+    console.error('Error testing timezone:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test timezone',
+      message: error.message
+    });
+  }
+});
+
+// Update shift solo_shift flag
+app.put('/api/shifts/:id/solo-shift', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { solo_shift } = req.body;
+    
+    if (typeof solo_shift !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid solo_shift value',
+        message: 'solo_shift must be a boolean value'
+      });
+    }
+    
+    await client.query('BEGIN');
+    
+    const result = await updateShiftFieldWithAudit(client, req, id, 'solo_shift', solo_shift);
+    
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      if (await sendVersionConflict(pool, req, res, 'shift', [id])) {
+        return;
+      }
+      return res.status(404).json({
+        success: false,
+        error: 'Shift not found',
+        message: 'No shift found with the specified ID'
+      });
+    }
+    
+    await client.query('COMMIT');
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: `Solo shift flag ${solo_shift ? 'enabled' : 'disabled'} successfully`
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error updating solo shift flag:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update solo shift flag',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+
+// Update shift training flag
+app.put('/api/shifts/:id/training', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { training } = req.body;
+    
+    if (typeof training !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid training value',
+        message: 'training must be a boolean value'
+      });
+    }
+    
+    await client.query('BEGIN');
+    
+    const result = await updateShiftFieldWithAudit(client, req, id, 'training', training);
+    
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      if (await sendVersionConflict(pool, req, res, 'shift', [id])) {
+        return;
+      }
+      return res.status(404).json({
+        success: false,
+        error: 'Shift not found',
+        message: 'No shift found with the specified ID'
+      });
+    }
+    
+    await client.query('COMMIT');
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: `Training flag ${training ? 'enabled' : 'disabled'} successfully`
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error updating training flag:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update training flag',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Update shift short_notice flag
+app.put('/api/shifts/:id/short-notice', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { short_notice } = req.body;
+    
+    if (typeof short_notice !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid short_notice value',
+        message: 'short_notice must be a boolean value'
+      });
+    }
+    
+    await client.query('BEGIN');
+    
+    const result = await updateShiftFieldWithAudit(client, req, id, 'short_notice', short_notice);
+    
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      if (await sendVersionConflict(pool, req, res, 'shift', [id])) {
+        return;
+      }
+      return res.status(404).json({
+        success: false,
+        error: 'Shift not found',
+        message: 'No shift found with the specified ID'
+      });
+    }
+    
+    await client.query('COMMIT');
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: `Short notice flag ${short_notice ? 'enabled' : 'disabled'} successfully`
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error updating short notice flag:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update short notice flag',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Update shift payment_period_end flag
+app.put('/api/shifts/:id/payment-period-end', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { payment_period_end } = req.body;
+    
+    if (typeof payment_period_end !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid payment_period_end value',
+        message: 'payment_period_end must be a boolean value'
+      });
+    }
+    
+    await client.query('BEGIN');
+    
+    const result = await updateShiftFieldWithAudit(client, req, id, 'payment_period_end', payment_period_end);
+    
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      if (await sendVersionConflict(pool, req, res, 'shift', [id])) {
+        return;
+      }
+      return res.status(404).json({
+        success: false,
+        error: 'Shift not found',
+        message: 'No shift found with the specified ID'
+      });
+    }
+    
+    await client.query('COMMIT');
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: `Payment period end flag ${payment_period_end ? 'enabled' : 'disabled'} successfully`
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error updating payment period end flag:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update payment period end flag',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Update shift overtime flag
+app.put('/api/shifts/:id/overtime', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { overtime } = req.body;
+    
+    if (typeof overtime !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid overtime value',
+        message: 'overtime must be a boolean value'
+      });
+    }
+    
+    await client.query('BEGIN');
+    
+    const result = await updateShiftFieldWithAudit(client, req, id, 'overtime', overtime);
+    
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      if (await sendVersionConflict(pool, req, res, 'shift', [id])) {
+        return;
+      }
+      return res.status(404).json({
+        success: false,
+        error: 'Shift not found',
+        message: 'No shift found with the specified ID'
+      });
+    }
+    
+    await client.query('COMMIT');
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: `Overtime flag ${overtime ? 'enabled' : 'disabled'} successfully`
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error updating overtime flag:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update overtime flag',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Update shift callout flag
+app.put('/api/shifts/:id/call-out', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { call_out } = req.body;
+    
+    if (typeof call_out !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid call_out value',
+        message: 'call_out must be a boolean value'
+      });
+    }
+    
+    await client.query('BEGIN');
+    
+    const result = await updateShiftFieldWithAudit(client, req, id, 'call_out', call_out);
+    
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      if (await sendVersionConflict(pool, req, res, 'shift', [id])) {
+        return;
+      }
+      return res.status(404).json({
+        success: false,
+        error: 'Shift not found',
+        message: 'No shift found with the specified ID'
+      });
+    }
+    
+    await client.query('COMMIT');
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: `Callout flag ${call_out ? 'enabled' : 'disabled'} successfully`
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error updating callout flag:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update callout flag',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Update shift notes
+app.put('/api/shifts/:id/notes', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { notes } = req.body;
+    
+    if (typeof notes !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid notes value',
+        message: 'notes must be a string value'
+      });
+    }
+    
+    await client.query('BEGIN');
+    
+    const result = await updateShiftFieldWithAudit(client, req, id, 'notes', notes);
+    
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      if (await sendVersionConflict(pool, req, res, 'shift', [id])) {
+        return;
+      }
+      return res.status(404).json({
+        success: false,
+        error: 'Shift not found',
+        message: 'No shift found with the specified ID'
+      });
+    }
+    
+    await client.query('COMMIT');
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Notes updated successfully'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error updating notes:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notes',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// =====================================================
+// ROTA UNDO AND REDO API ENDPOINTS
+// =====================================================
+
+// Every rota edit (assign, clear, flag/notes change, template, auto-fill) is logged in rota_operations
+// with the shift rows it touched before and after. Undo puts back before_shifts and redo puts back
+// after_shifts as one group; both are refused when a later edit changed the same shifts
+const ROTA_OPERATION_SHIFT_FIELDS = [
+  'period_id', 'week_number', 'staff_name', 'shift_type', 'shift_start_datetime', 'shift_end_datetime',
+  'solo_shift', 'training', 'short_notice', 'call_out', 'payment_period_end', 'financial_year_end', 'overtime', 'notes'
+];
+
+const ROTA_OPERATION_FLAG_FIELDS = ['solo_shift', 'training', 'short_notice', 'call_out', 'payment_period_end', 'financial_year_end', 'overtime'];
+
+const ROTA_OPERATION_SELECT = `
+  SELECT 
+    operation_id,
+    period_id,
+    operation_type,
+    description,
+    shift_count,
+    status,
+    actor_username,
+    created_at,
+    undone_at,
+    redone_at
+  FROM rota_operations
+`;
+
+// Helper function to get the hash of the request's session token (the undo stack is per session)
+function getSessionTokenHash(req) {
+  const token = getRequestCookie(req, authConfig.sessionCookieName);
+  return token ? hashSessionToken(token) : null;
+}
+
+// Helper function to keep the shift columns that undo and redo restore
+function toRotaShiftSnapshot(shift) {
+  const snapshot = { id: shift.id };
+  ROTA_OPERATION_SHIFT_FIELDS.forEach(field => {
+    snapshot[field] = shift[field] === undefined ? null : shift[field];
+  });
+  snapshot.created_at = shift.created_at || null;
+  return snapshot;
+}
+
+// Helper function to describe a clear of rota shifts (e.g. 'Cleared Early on 2025-12-10, week 2')
+function describeRotaClear({ weekNumber, date, shiftType }) {
+  let description = `Cleared ${shiftType || 'all shifts'}`;
+  if (date) description += ` on ${date}`;
+  if (weekNumber) description += `, week ${weekNumber}`;
+  return description;
+}
+
+// Function to log a rota edit so it can be undone
+// operation: { operationType, description, periodId, before (rows deleted or changed), after (rows created or changed) }
+// Edits sent with the same X-Rota-Operation-Group header join the session's operation for that key
+// (the grid's bulk delete clears one cell per request but is undone as one)
+// Pass the transaction client as db so the entry is committed or rolled back with the edit
+// Returns the operation ID (null when the edit touched no shifts)
+async function recordRotaOperation(db, req, operation) {
+  const before = (operation.before || []).map(toRotaShiftSnapshot);
+  const after = (operation.after || []).map(toRotaShiftSnapshot);
+  if (before.length === 0 && after.length === 0) return null;
+  
+  const actor = getAuditActor(req);
+  const sessionTokenHash = getSessionTokenHash(req);
+  const groupKey = req.get('X-Rota-Operation-Group') || null;
+  const shiftCount = new Set([...before, ...after].map(shift => shift.id)).size;
+  
+  if (groupKey && sessionTokenHash) {
+    const merged = await db.query(`
+      UPDATE rota_operations
+      SET before_shifts = before_shifts || $3::jsonb,
+          after_shifts = after_shifts || $4::jsonb,
+          shift_count = shift_count + $5,
+          description = 'Bulk ' || operation_type || ' of ' || (shift_count + $5) || ' shift(s)'
+      WHERE session_token_hash = $1 AND group_key = $2 AND status = 'applied'
+      RETURNING operation_id
+    `, [sessionTokenHash, groupKey, JSON.stringify(before), JSON.stringify(after), shiftCount]);
+    if (merged.rows.length > 0) {
+      return merged.rows[0].operation_id;
+    }
+  }
+  
+  const result = await db.query(`
+    INSERT INTO rota_operations (
+      period_id, operation_type, description, before_shifts, after_shifts, shift_count,
+      actor_account_id, actor_username, session_token_hash, group_key
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING operation_id
+  `, [
+    operation.periodId || [...after, ...before][0].period_id,
+    operation.operationType,
+    operation.description,
+    JSON.stringify(before),
+    JSON.stringify(after),
+    shiftCount,
+    actor.accountId,
+    actor.username,
+    sessionTokenHash,
+    groupKey
+  ]);
+  
+  return result.rows[0].operation_id;
+}
+
+// Helper function to put a shift field in a comparable form (snapshots hold JSON, rows hold Dates)
+function normalizeRotaShiftValue(field, value) {
+  if (field === 'shift_start_datetime' || field === 'shift_end_datetime') {
+    return value ? new Date(value).getTime() : null;
+  }
+  if (ROTA_OPERATION_FLAG_FIELDS.includes(field)) return !!value;
+  if (field === 'notes') return value || '';
+  if (field === 'week_number') return value === null || value === undefined ? null : Number(value);
+  return value === undefined ? null : value;
+}
+
+// Helper function to list the fields that differ between a shift snapshot and a shift row
+function getRotaShiftFieldDifferences(snapshot, shift) {
+  return ROTA_OPERATION_SHIFT_FIELDS.filter(field =>
+    normalizeRotaShiftValue(field, snapshot[field]) !== normalizeRotaShiftValue(field, shift[field])
+  );
+}
+
+// Function to move an operation's shifts from one state to the other
+// (undo: after_shifts -> before_shifts, redo: before_shifts -> after_shifts)
+// The current rows must still be in the 'from' state; otherwise nothing is changed and the conflicts are returned
+// Returns { conflicts, deleted, inserted, updated }
+async function applyRotaOperationState(db, req, fromShifts, toShifts) {
+  const fromById = new Map(fromShifts.map(shift => [shift.id, shift]));
+  const toById = new Map(toShifts.map(shift => [shift.id, shift]));
+  const shiftIds = [...new Set([...fromById.keys(), ...toById.keys()])];
+  
+  const currentResult = await db.query('SELECT * FROM shifts WHERE id = ANY($1::uuid[]) FOR UPDATE', [shiftIds]);
+  const currentById = new Map(currentResult.rows.map(shift => [shift.id, shift]));
+  
+  // Shifts being put back need their staff member (shifts.staff_name references human_resource)
+  const restoredStaffNames = [...new Set(toShifts.filter(shift => !fromById.has(shift.id)).map(shift => shift.staff_name))];
+  const staffResult = await db.query('SELECT staff_name FROM human_resource WHERE staff_name = ANY($1::text[])', [restoredStaffNames]);
+  const existingStaffNames = new Set(staffResult.rows.map(row => row.staff_name));
+  
+  const conflicts = [];
+  for (const shiftId of shiftIds) {
+    const expected = fromById.get(shiftId);
+    const current = currentById.get(shiftId);
+    const shift = expected || toById.get(shiftId);
+    const label = `${shift.staff_name}'s ${describeRotaShift(shift)}`;
+    
+    if (expected && !current) {
+      conflicts.push({ type: 'deleted', shiftId, message: `${label} was deleted by a later edit` });
+    } else if (expected) {
+      const fields = getRotaShiftFieldDifferences(expected, current);
+      if (fields.length > 0) {
+        conflicts.push({ type: 'changed', shiftId, fields, message: `${label} was changed by a later edit (${fields.join(', ')})` });
+      }
+    } else if (current) {
+      conflicts.push({ type: 'exists', shiftId, message: `${label} has been added again by a later edit` });
+    } else if (!existingStaffNames.has(shift.staff_name)) {
+      conflicts.push({ type: 'missing_staff', shiftId, message: `${label} cannot be put back because ${shift.staff_name} no longer exists` });
+    }
+  }
+  
+  if (conflicts.length > 0) {
+    return { conflicts, deleted: [], inserted: [], updated: [] };
+  }
+  
+  const deleteIds = shiftIds.filter(shiftId => fromById.has(shiftId) && !toById.has(shiftId));
+  const deleted = deleteIds.length > 0
+    ? (await deleteShiftsWithAudit(db, req, 'id = ANY($1::uuid[])', [deleteIds])).rows
+    : [];
+  
+  const insertShifts = toShifts.filter(shift => !fromById.has(shift.id));
+  let inserted = [];
+  if (insertShifts.length > 0) {
+    const columns = ROTA_OPERATION_SHIFT_FIELDS.join(', ');
+    const insertResult = await db.query(`
+      INSERT INTO shifts (id, ${columns}, created_at)
+      SELECT id, ${columns}, COALESCE(created_at, NOW() AT TIME ZONE 'Europe/London')
+      FROM jsonb_populate_recordset(NULL::shifts, $1::jsonb)
+      RETURNING *
+    `, [JSON.stringify(insertShifts)]);
+    inserted = insertResult.rows;
+    await recordShiftAuditEvents(db, req, 'create', inserted);
+  }
+  
+  const updated = [];
+  for (const shift of toShifts.filter(shift => fromById.has(shift.id))) {
+    const current = currentById.get(shift.id);
+    const fields = getRotaShiftFieldDifferences(shift, current);
+    if (fields.length === 0) continue;
+    
+    const updateResult = await db.query(`
+      UPDATE shifts s
+      SET ${ROTA_OPERATION_SHIFT_FIELDS.map(field => `${field} = r.${field}`).join(', ')},
+          updated_at = (NOW() AT TIME ZONE 'Europe/London')
+      FROM jsonb_populate_record(NULL::shifts, $1::jsonb) r
+      WHERE s.id = r.id
+      RETURNING s.*
+    `, [JSON.stringify(shift)]);
+    const row = updateResult.rows[0];
+    
+    await recordAuditEvent(db, req, {
+      action: 'update',
+      entityType: 'shift',
+      entityId: row.id,
+      staffName: row.staff_name,
+      entityDate: getLondonDate(row.shift_start_datetime),
+      before: Object.fromEntries(fields.map(field => [field, current[field]])),
+      after: Object.fromEntries(fields.map(field => [field, row[field]]))
+    });
+    updated.push(row);
+  }
+  
+  return { conflicts, deleted, inserted, updated };
+}
+
+// Helper function to build the 400 response for an invalid operation ID (null when the ID is valid)
+function getInvalidRotaOperationIdResponse(id) {
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+    return null;
+  }
+  return {
+    success: false,
+    error: 'Invalid operation ID format',
+    message: 'Operation ID must be a valid UUID'
+  };
+}
+
+// Function to undo or redo one rota operation in a transaction (action: 'undo' or 'redo')
+async function changeRotaOperationState(req, res, action) {
+  const { id } = req.params;
+  const invalidIdResponse = getInvalidRotaOperationIdResponse(id);
+  if (invalidIdResponse) {
+    return res.status(400).json(invalidIdResponse);
+  }
+  
+  const isUndo = action === 'undo';
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    const operationResult = await client.query('SELECT * FROM rota_operations WHERE operation_id = $1 FOR UPDATE', [id]);
+    if (operationResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Operation not found',
+        message: 'No rota operation found with the specified ID'
+      });
+    }
+    const operation = operationResult.rows[0];
+    
+    if (operation.status !== (isUndo ? 'applied' : 'undone')) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: isUndo ? 'Operation already undone' : 'Operation not undone',
+        message: isUndo ? `'${operation.description}' has already been undone` : `'${operation.description}' has not been undone`
+      });
+    }
+    
+    const outcome = isUndo
+      ? await applyRotaOperationState(client, req, operation.after_shifts, operation.before_shifts)
+      : await applyRotaOperationState(client, req, operation.before_shifts, operation.after_shifts);
+    
+    if (outcome.conflicts.length > 0) {
+      await client.query('ROLLBACK');
+      console.warn(`⚠️ ${isUndo ? 'Undo' : 'Redo'} of '${operation.description}' refused: ${outcome.conflicts.length} conflict(s)`);
+      return res.status(409).json({
+        success: false,
+        error: `Later edits conflict with this ${action}`,
+        message: outcome.conflicts.map(conflict => conflict.message).join('; '),
+        conflicts: outcome.conflicts
+      });
+    }
+    
+    const result = await client.query(`
+      UPDATE rota_operations
+      SET status = $2,
+          undone_at = CASE WHEN $2 = 'undone' THEN (NOW() AT TIME ZONE 'Europe/London') ELSE undone_at END,
+          redone_at = CASE WHEN $2 = 'applied' THEN (NOW() AT TIME ZONE 'Europe/London') ELSE redone_at END
+      WHERE operation_id = $1
+      RETURNING operation_id
+    `, [id, isUndo ? 'undone' : 'applied']);
+    
+    const counts = {
+      deletedCount: outcome.deleted.length,
+      restoredCount: outcome.inserted.length,
+      updatedCount: outcome.updated.length
+    };
+    
+    await recordAuditEvent(client, req, {
+      action: action,
+      entityType: 'rota_operation',
+      entityId: id,
+      before: { status: operation.status, description: operation.description },
+      after: { status: isUndo ? 'undone' : 'applied', ...counts }
+    });
+    
+    await client.query('COMMIT');
+    
+    const saved = await pool.query(`${ROTA_OPERATION_SELECT} WHERE operation_id = $1`, [result.rows[0].operation_id]);
+    console.log(`↩️ ${isUndo ? 'Undid' : 'Redid'} '${operation.description}': ${counts.deletedCount} deleted, ${counts.restoredCount} restored, ${counts.updatedCount} updated`);
+    
+    res.json({
+      success: true,
+      data: saved.rows[0],
+      ...counts,
+      message: `${isUndo ? 'Undid' : 'Redid'} '${operation.description}'`
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(`❌ Error during rota ${action}:`, err);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${action} rota operation`,
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+}
+
+// Get the current session's rota operations (newest first) with the next operation to undo and to redo
+// Query params: limit (default 50)
+app.get('/api/operations', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    
+    const result = await pool.query(`
+      ${ROTA_OPERATION_SELECT}
+      WHERE session_token_hash = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [getSessionTokenHash(req), limit]);
+    
+    // Undo takes the latest applied (or redone) edit and redo the latest undone one,
+    // until the session makes a new edit after that undo
+    const getTime = value => (value ? new Date(value).getTime() : 0);
+    const latestEdit = Math.max(0, ...result.rows.map(operation => getTime(operation.created_at)));
+    const nextUndo = result.rows
+      .filter(operation => operation.status === 'applied')
+      .sort((a, b) => Math.max(getTime(b.created_at), getTime(b.redone_at)) - Math.max(getTime(a.created_at), getTime(a.redone_at)))[0];
+    const nextRedo = result.rows
+      .filter(operation => operation.status === 'undone' && getTime(operation.undone_at) > latestEdit)
+      .sort((a, b) => getTime(b.undone_at) - getTime(a.undone_at))[0];
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length,
+      undoOperationId: nextUndo ? nextUndo.operation_id : null,
+      redoOperationId: nextRedo ? nextRedo.operation_id : null,
+      message: `Found ${result.rows.length} rota operation(s) for this session`
+    });
+  } catch (err) {
+    console.error('❌ Error fetching rota operations:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rota operations',
+      message: err.message
+    });
+  }
+});
+
+// Undo a rota operation (puts back the shifts as they were before it)
+// Returns 409 with the conflicts when a later edit changed the same shifts
+app.post('/api/operations/:id/undo', async (req, res) => {
+  await changeRotaOperationState(req, res, 'undo');
+});
+
+// Redo an undone rota operation (puts back the shifts as they were after it)
+// Returns 409 with the conflicts when a later edit changed the same shifts
+app.post('/api/operations/:id/redo', async (req, res) => {
+  await changeRotaOperationState(req, res, 'redo');
+});
+
+// =====================================================
+// LIVE UPDATE EVENTS API ENDPOINTS
+// =====================================================
+
+// Triggers on shifts, unavailable_staff_daily, human_resource and settings announce committed changes on
+// the 'live_updates' channel. One listening connection pushes them to the open rota grids over
+// Server-Sent Events - shift and unavailability changes only to the grids viewing that period
+const LIVE_UPDATE_CHANNEL = 'live_updates';
+const LIVE_UPDATE_BATCH_MS = 200; // Changes within this window (a bulk delete, a template) are sent as one event
+const LIVE_UPDATE_HEARTBEAT_MS = 25000; // Keeps proxies from closing idle streams
+const LIVE_UPDATE_RETRY_MS = 5000;
+
+const liveUpdateClients = new Set();
+let liveUpdateListener = null;
+let pendingLiveUpdates = new Map();
+let liveUpdateFlushTimer = null;
+
+// Helper function to write one Server-Sent Event
+function writeLiveUpdateEvent(res, eventName, data) {
+  res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Send the batched changes - one event per type and period
+function flushLiveUpdates() {
+  const batches = Array.from(pendingLiveUpdates.values());
+  pendingLiveUpdates = new Map();
+  liveUpdateFlushTimer = null;
+  
+  batches.forEach(batch => {
+    const data = { periodId: batch.periodId, changes: Array.from(batch.changes.values()) };
+    let sentCount = 0;
+    liveUpdateClients.forEach(client => {
+      // Period changes only go to the grids viewing that period
+      if (batch.periodId && client.periodId !== batch.periodId) return;
+      writeLiveUpdateEvent(client.res, batch.type, data);
+      sentCount++;
+    });
+    if (sentCount > 0) {
+      console.log(`📡 Sent ${batch.changes.size} ${batch.type} change(s) to ${sentCount} live client(s)`);
+    }
+  });
+}
+
+// Collect a notification from the live_updates channel into the next batch
+function handleLiveUpdateNotification(notification) {
+  if (notification.channel !== LIVE_UPDATE_CHANNEL) return;
+  
+  let change;
+  try {
+    change = JSON.parse(notification.payload);
+  } catch (err) {
+    console.error('❌ Invalid live update notification:', notification.payload);
+    return;
+  }
+  
+  const { type, periodId = null, ...details } = change;
+  if (!type) return;
+  
+  const batchKey = `${type}:${periodId || ''}`;
+  if (!pendingLiveUpdates.has(batchKey)) {
+    pendingLiveUpdates.set(batchKey, { type, periodId, changes: new Map() });
+  }
+  pendingLiveUpdates.get(batchKey).changes.set(JSON.stringify(details), details);
+  
+  if (!liveUpdateFlushTimer) {
+    liveUpdateFlushTimer = setTimeout(flushLiveUpdates, LIVE_UPDATE_BATCH_MS);
+  }
+}
+
+// Open the connection that listens on the live_updates channel (reconnects after an error)
+// It is a dedicated client rather than a pool connection - LISTEN keeps the connection for good
+async function startLiveUpdateListener() {
+  const listener = new Client(dbConfig);
+  let restarting = false;
+  
+  const restart = (err) => {
+    if (restarting) return;
+    restarting = true;
+    if (liveUpdateListener === listener) {
+      liveUpdateListener = null;
+    }
+    console.error(`❌ Live update listener stopped${err ? `: ${err.message}` : ''} - retrying in ${LIVE_UPDATE_RETRY_MS / 1000}s`);
+    listener.end().catch(() => {});
+    setTimeout(startLiveUpdateListener, LIVE_UPDATE_RETRY_MS);
+  };
+  
+  listener.on('notification', handleLiveUpdateNotification);
+  listener.on('error', restart);
+  listener.on('end', () => restart());
+  
+  try {
+    await listener.connect();
+    await listener.query(`LISTEN ${LIVE_UPDATE_CHANNEL}`);
+    liveUpdateListener = listener;
+    console.log(`📡 Listening for live updates on '${LIVE_UPDATE_CHANNEL}'`);
+  } catch (err) {
+    restart(err);
+  }
+}
+
+// Stream live updates to a rota grid (Server-Sent Events)
+// ?periodId= is the period the grid shows - its shift and unavailability changes are sent,
+// staff and settings changes are sent to every grid
+app.get('/api/events', (req, res) => {
+  const { periodId } = req.query;
+  
+  if (periodId && !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(periodId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid period ID format',
+      message: 'Period ID must be a valid UUID'
+    });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${LIVE_UPDATE_RETRY_MS}\n\n`);
+  
+  const client = { res, periodId: periodId || null, username: req.user.username };
+  liveUpdateClients.add(client);
+  console.log(`📡 Live client connected (${client.username}, period ${client.periodId || 'none'}) - ${liveUpdateClients.size} open`);
+  
+  writeLiveUpdateEvent(res, 'connected', {
+    periodId: client.periodId,
+    listening: liveUpdateListener !== null
+  });
+  
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), LIVE_UPDATE_HEARTBEAT_MS);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    liveUpdateClients.delete(client);
+    console.log(`📡 Live client disconnected (${client.username}) - ${liveUpdateClients.size} open`);
+  });
+});
+
+// =====================================================
+// TIME-OFF MANAGEMENT API ENDPOINTS
+// =====================================================
+
+
+// Get holiday entitlements
+app.get('/api/time-off/holiday-entitlements', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT * FROM current_holiday_entitlements
+      WHERE is_active = true
+      ORDER BY staff_name
+    `);
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      message: 'Holiday entitlements retrieved successfully'
+    });
+  } catch (err) {
+    console.error('Error fetching holiday entitlements:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch holiday entitlements',
+      message: err.message
+    });
+  }
+});
+
+// Sync holiday entitlements for all staff members
+app.post('/api/time-off/holiday-entitlements/sync-all', async (req, res) => {
+  try {
+    // Get all active staff members
+    const staffResult = await pool.query(`
+      SELECT unique_id, staff_name, employment_end_date 
+      FROM human_resource 
+      WHERE is_active = true
+    `);
+    
+    const syncResults = [];
+    let successCount = 0;
+    let errorCount = 0;
+    
+    for (const staff of staffResult.rows) {
+      try {
+        // Recalculate holiday entitlement for this staff member
+        await pool.query('SELECT recalculate_holiday_entitlement($1, $2)', [
+          staff.unique_id, 
+          staff.employment_end_date
+        ]);
+        
+        // Verify entitlement was created/updated
+        const entitlementCheck = await pool.query(
+          'SELECT COUNT(*) as entitlement_count FROM holiday_entitlements WHERE staff_id = $1',
+          [staff.unique_id]
+        );
+        
+        if (parseInt(entitlementCheck.rows[0].entitlement_count) > 0) {
+          syncResults.push({
+            staff_id: staff.unique_id,
+            staff_name: staff.staff_name,
+            status: 'success',
+            message: 'Holiday entitlement synced successfully'
+          });
+          successCount++;
+        } else {
+          syncResults.push({
+            staff_id: staff.unique_id,
+            staff_name: staff.staff_name,
+            status: 'warning',
+            message: 'No holiday entitlement found after sync'
+          });
+          errorCount++;
+        }
+      } catch (error) {
+        syncResults.push({
+          staff_id: staff.unique_id,
+          staff_name: staff.staff_name,
+          status: 'error',
+          message: error.message
+        });
+        errorCount++;
+      }
+    }
+    
+    res.json({
+      success: true,
+      message: `Holiday entitlements sync completed. ${successCount} successful, ${errorCount} errors`,
+      data: {
+        total_staff: staffResult.rows.length,
+        successful: successCount,
+        errors: errorCount,
+        results: syncResults
+      }
+    });
+    
+  } catch (err) {
+    console.error('Error syncing holiday entitlements:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync holiday entitlements',
+      message: err.message
+    });
+  }
+});
+
+// Comprehensive sync endpoint that checks human_resource table and updates holiday_entitlements
+app.post('/api/time-off/holiday-entitlements/check-and-sync', async (req, res) => {
+  try {
+    console.log('🔍 Starting comprehensive holiday entitlements check and sync...');
+    
+    // Get all staff members (both active and inactive)
+    const allStaffResult = await pool.query(`
+      SELECT 
+        unique_id, 
+        staff_name, 
+        employment_start_date,
+        employment_end_date,
+        contracted_hours,
+        is_active
+      FROM human_resource 
+      ORDER BY staff_name
+    `);
+    
+    // Get all existing holiday entitlements
+    const existingEntitlementsResult = await pool.query(`
+      SELECT 
+        staff_id, 
+        staff_name,
+        holiday_year_start,
+        holiday_year_end
+      FROM holiday_entitlements 
+      ORDER BY staff_name
+    `);
+    
+    const existingEntitlements = new Map();
+    existingEntitlementsResult.rows.forEach(entitlement => {
+      const key = `${entitlement.staff_id}_${entitlement.holiday_year_start}`;
+      existingEntitlements.set(key, entitlement);
+    });
+    
+    const syncResults = [];
+    let createdCount = 0;
+    let updatedCount = 0;
+    let deletedCount = 0;
+    let errorCount = 0;
+    let skippedCount = 0;
+    
+    // Process each staff member
+    for (const staff of allStaffResult.rows) {
+      try {
+        console.log(`Processing staff: ${staff.staff_name} (ID: ${staff.unique_id})`);
+        
+        // Skip staff with null contracted_hours (they should be fixed separately)
+        if (staff.contracted_hours === null) {
+          syncResults.push({
+            staff_id: staff.unique_id,
+            staff_name: staff.staff_name,
+            status: 'skipped',
+            message: 'Skipped - contracted_hours is null (needs manual fix)',
+            action: 'none'
+          });
+          skippedCount++;
+          continue;
+        }
+        
+        // Recalculate holiday entitlement for this staff member
+        await pool.query('SELECT recalculate_holiday_entitlement($1, $2)', [
+          staff.unique_id, 
+          staff.employment_end_date
+        ]);
+        
+        // Check if entitlement was created or updated
+        const entitlementCheck = await pool.query(`
+          SELECT 
+            entitlement_id,
+            statutory_entitlement_days,
+            statutory_entitlement_hours,
+            created_at,
+            updated_at
+          FROM holiday_entitlements 
+          WHERE staff_id = $1
+          ORDER BY created_at DESC
+          LIMIT 1
+        `, [staff.unique_id]);
+        
+        if (entitlementCheck.rows.length > 0) {
+          const entitlement = entitlementCheck.rows[0];
+          const isNew = entitlement.created_at.getTime() === entitlement.updated_at.getTime();
+          
+          syncResults.push({
+            staff_id: staff.unique_id,
+            staff_name: staff.staff_name,
+            status: 'success',
+            message: isNew ? 'Holiday entitlement created' : 'Holiday entitlement updated',
+            action: isNew ? 'created' : 'updated',
+            entitlement_days: entitlement.statutory_entitlement_days,
+            entitlement_hours: entitlement.statutory_entitlement_hours
+          });
+          
+          if (isNew) {
+            createdCount++;
+          } else {
+            updatedCount++;
+          }
+        } else {
+          syncResults.push({
+            staff_id: staff.unique_id,
+            staff_name: staff.staff_name,
+            status: 'error',
+            message: 'Failed to create/update holiday entitlement',
+            action: 'failed'
+          });
+          errorCount++;
+        }
+        
+      } catch (error) {
+        console.error(`Error processing staff ${staff.staff_name}:`, error.message);
+        syncResults.push({
+          staff_id: staff.unique_id,
+          staff_name: staff.staff_name,
+          status: 'error',
+          message: error.message,
+          action: 'failed'
+        });
+        errorCount++;
+      }
+    }
+    
+    // Check for orphaned holiday entitlements (staff deleted but entitlements remain)
+    const activeStaffIds = new Set(allStaffResult.rows.map(staff => staff.unique_id));
+    const orphanedEntitlements = existingEntitlementsResult.rows.filter(
+      entitlement => !activeStaffIds.has(entitlement.staff_id)
+    );
+    
+    // Delete orphaned entitlements
+    for (const orphaned of orphanedEntitlements) {
+      try {
+        await pool.query('DELETE FROM holiday_entitlements WHERE staff_id = $1', [orphaned.staff_id]);
+        syncResults.push({
+          staff_id: orphaned.staff_id,
+          staff_name: orphaned.staff_name,
+          status: 'success',
+          message: 'Orphaned holiday entitlement deleted',
+          action: 'deleted'
+        });
+        deletedCount++;
+      } catch (error) {
+        syncResults.push({
+          staff_id: orphaned.staff_id,
+          staff_name: orphaned.staff_name,
+          status: 'error',
+          message: `Failed to delete orphaned entitlement: ${error.message}`,
+          action: 'failed'
+        });
+        errorCount++;
+      }
+    }
+    
+    // Get final statistics
+    const finalStats = await pool.query(`
+      SELECT 
+        COUNT(*) as total_staff,
+        COUNT(*) FILTER (WHERE is_active = true) as active_staff,
+        COUNT(*) FILTER (WHERE contracted_hours IS NOT NULL) as staff_with_hours
+      FROM human_resource
+    `);
+    
+    const finalEntitlementStats = await pool.query(`
+      SELECT COUNT(*) as total_entitlements
+      FROM holiday_entitlements
+    `);
+    
+    console.log('✅ Comprehensive sync completed');
+    
+    res.json({
+      success: true,
+      message: `Comprehensive holiday entitlements check and sync completed`,
+      data: {
+        summary: {
+          total_staff: finalStats.rows[0].total_staff,
+          active_staff: finalStats.rows[0].active_staff,
+          staff_with_hours: finalStats.rows[0].staff_with_hours,
+          total_entitlements: finalEntitlementStats.rows[0].total_entitlements,
+          created: createdCount,
+          updated: updatedCount,
+          deleted: deletedCount,
+          skipped: skippedCount,
+          errors: errorCount
+        },
+        results: syncResults
+      }
+    });
+    
+  } catch (err) {
+    console.error('Error in comprehensive sync:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to perform comprehensive sync',
+      message: err.message
+    });
+  }
+});
+
+// Get holiday entitlement for specific staff member
+app.get('/api/time-off/holiday-entitlements/:staffId', async (req, res) => {
+  try {
+    const { staffId } = req.params;
+    
+    const result = await pool.query(`
+      SELECT * FROM current_holiday_entitlements
+      WHERE staff_id = $1
+    `, [staffId]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Entitlement not found',
+        message: 'No holiday entitlement found for this staff member'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Holiday entitlement retrieved successfully'
+    });
+  } catch (err) {
+    console.error('Error fetching holiday entitlement:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch holiday entitlement',
+      message: err.message
+    });
+  }
+});
+
+// Create or update holiday entitlement
+// Holiday entitlement creation endpoint removed - use recalculate endpoint instead
+app.post('/api/time-off/holiday-entitlements', async (req, res) => {
+  try {
+    const { staff_id } = req.body;
+    
+    if (!staff_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'staff_id is required'
+      });
+    }
+    
+    // Redirect to recalculate endpoint
+    res.json({
+      success: true,
+      message: 'Use PUT /api/time-off/holiday-entitlements/:staffId/recalculate instead',
+      redirect: `/api/time-off/holiday-entitlements/${staff_id}/recalculate`
+    });
+    
+    // Get current holiday year dates
+    const yearResult = await pool.query('SELECT * FROM get_holiday_year_dates()');
+    const { holiday_year_start, holiday_year_end } = yearResult.rows[0];
+    
+    // Get staff information from database if not provided
+    const staffResult = await pool.query(`
+      SELECT 
+        staff_name,
+        contracted_hours,
+        employment_start_date, 
+        employment_end_date 
+      FROM human_resource 
+      WHERE unique_id = $1
+    `, [staff_id]);
+    
+    if (staffResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff not found',
+        message: 'Staff member not found'
+      });
+    }
+    
+    const staff = staffResult.rows[0];
+    const { 
+      staff_name: db_staff_name, 
+      contracted_hours: db_contracted_hours,
+      employment_start_date, 
+      employment_end_date 
+    } = staff;
+    
+    // Use provided values or fall back to database values
+    const finalStaffName = staff_name || db_staff_name;
+    const finalContractedHours = contracted_hours_per_week || db_contracted_hours;
+    
+    // Calculate pro-rated entitlement considering employment dates
+    const entitlementResult = await pool.query(`
+      SELECT calculate_financial_year_entitlement($1, $2, $3) as days
+    `, [finalContractedHours, employment_start_date, employment_end_date]);
+    
+    const statutory_entitlement_days = entitlementResult.rows[0].days;
+    const statutory_entitlement_hours = statutory_entitlement_days * 12;
+    
+    // Check if entitlement already exists for this year
+    const existingResult = await pool.query(`
+      SELECT * FROM holiday_entitlements 
+      WHERE staff_id = $1 AND holiday_year_start = $2 AND holiday_year_end = $3
+    `, [staff_id, holiday_year_start, holiday_year_end]);
+    
+    if (existingResult.rows.length > 0) {
+      // Update existing entitlement
+      const result = await pool.query(`
+        UPDATE holiday_entitlements 
+        SET contracted_hours_per_week = $1, statutory_entitlement_days = $2, statutory_entitlement_hours = $3, is_zero_hours = $4
+        WHERE staff_id = $5 AND holiday_year_start = $6 AND holiday_year_end = $7
+        RETURNING *
+      `, [finalContractedHours, statutory_entitlement_days, statutory_entitlement_hours, is_zero_hours, staff_id, holiday_year_start, holiday_year_end]);
+      
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: 'Holiday entitlement updated successfully'
+      });
+    } else {
+      // Create new entitlement
+      const result = await pool.query(`
+        INSERT INTO holiday_entitlements (
+          entitlement_id, staff_id, staff_name, holiday_year_start, holiday_year_end,
+          contracted_hours_per_week, statutory_entitlement_days, statutory_entitlement_hours, is_zero_hours
+        ) VALUES (uuid_holiday_entitlement($1, $3), $1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `, [staff_id, finalStaffName, holiday_year_start, holiday_year_end, finalContractedHours, statutory_entitlement_days, statutory_entitlement_hours, is_zero_hours]);
+      
+      res.json({
+        success: true,
+        data: result.rows[0],
+        message: 'Holiday entitlement created successfully'
+      });
+    }
+  } catch (err) {
+    console.error('Error creating/updating holiday entitlement:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create/update holiday entitlement',
+      message: err.message
+    });
+  }
+});
+
+// Recalculate holiday entitlement when employment dates change
+app.put('/api/time-off/holiday-entitlements/:staffId/recalculate', async (req, res) => {
+  try {
+    const { staffId } = req.params;
+    const { employment_end_date } = req.body;
+    
+    // Use the database function to recalculate entitlement
+    await pool.query('SELECT recalculate_holiday_entitlement($1, $2)', [staffId, employment_end_date]);
+    
+    // Get the updated entitlement
+    const result = await pool.query(`
+      SELECT * FROM current_holiday_entitlements 
+      WHERE staff_id = $1
+    `, [staffId]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Entitlement not found',
+        message: 'No current holiday entitlement found for this staff member'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Holiday entitlement recalculated successfully'
+    });
+    
+  } catch (err) {
+    console.error('Error recalculating holiday entitlement:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to recalculate holiday entitlement',
+      message: err.message
+    });
+  }
+});
+
+// Bulk recalculate holiday entitlements for staff with early termination
+app.post('/api/time-off/holiday-entitlements/recalculate-early-terminations', async (req, res) => {
+  try {
+    // Get current holiday year dates
+    const yearResult = await pool.query('SELECT * FROM get_holiday_year_dates()');
+    const { holiday_year_end } = yearResult.rows[0];
+    
+    // Find staff members with employment end dates before the end of the financial year
+    const earlyTerminationResult = await pool.query(`
+      SELECT 
+        unique_id as staff_id,
+        staff_name,
+        employment_start_date,
+        employment_end_date,
+        contracted_hours,
+        is_active
+      FROM human_resource 
+      WHERE employment_end_date IS NOT NULL 
+        AND employment_end_date < $1
+    `, [holiday_year_end]);
+    
+    const results = [];
+    
+    for (const staff of earlyTerminationResult.rows) {
+      try {
+        // Recalculate entitlement for this staff member
+        await pool.query('SELECT recalculate_holiday_entitlement($1, $2)', [staff.staff_id, staff.employment_end_date]);
+        
+        // Get the updated entitlement
+        const entitlementResult = await pool.query(`
+          SELECT * FROM current_holiday_entitlements 
+          WHERE staff_id = $1
+        `, [staff.staff_id]);
+        
+        results.push({
+          staff_id: staff.staff_id,
+          staff_name: staff.staff_name,
+          employment_end_date: staff.employment_end_date,
+          is_active: staff.is_active,
+          success: true,
+          entitlement: entitlementResult.rows[0] || null
+        });
+      } catch (error) {
+        results.push({
+          staff_id: staff.staff_id,
+          staff_name: staff.staff_name,
+          employment_end_date: staff.employment_end_date,
+          is_active: staff.is_active,
+          success: false,
+          error: error.message
+        });
+      }
+    }
+    
+    const successCount = results.filter(r => r.success).length;
+    const failureCount = results.filter(r => !r.success).length;
+    
+    res.json({
+      success: true,
+      data: {
+        total_processed: results.length,
+        successful: successCount,
+        failed: failureCount,
+        results: results
+      },
+      message: `Processed ${results.length} staff members: ${successCount} successful, ${failureCount} failed`
+    });
+    
+  } catch (err) {
+    console.error('Error bulk recalculating holiday entitlements:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to bulk recalculate holiday entitlements',
+      message: err.message
+    });
+  }
+});
+
+// Check if staff member has fully utilized holiday entitlement
+app.get('/api/time-off/holiday-entitlements/:staffId/status', async (req, res) => {
+  try {
+    const { staffId } = req.params;
+    
+    const result = await pool.query(`
+      SELECT 
+        he.*,
+        hr.contracted_hours,
+        hr.employment_start_date,
+        hr.employment_end_date,
+        CASE 
+          WHEN he.days_remaining <= 0 THEN true 
+          ELSE false 
+        END as is_fully_utilized,
+        CASE 
+          WHEN he.is_zero_hours THEN 'zero_hours'
+          ELSE 'contracted'
+        END as employee_type
+      FROM current_holiday_entitlements he
+      JOIN human_resource hr ON he.staff_id = hr.unique_id
+      WHERE he.staff_id = $1
+    `, [staffId]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Holiday entitlement not found',
+        message: 'No holiday entitlement found for this staff member'
+      });
+    }
+    
+    const entitlement = result.rows[0];
+    
+    res.json({
+      success: true,
+      data: {
+        staff_id: entitlement.staff_id,
+        staff_name: entitlement.staff_name,
+        employee_type: entitlement.employee_type,
+        contracted_hours: entitlement.contracted_hours,
+        statutory_entitlement_days: entitlement.statutory_entitlement_days,
+        days_taken: entitlement.days_taken,
+        days_remaining: entitlement.days_remaining,
+        is_fully_utilized: entitlement.is_fully_utilized,
+        holiday_year_start: entitlement.holiday_year_start,
+        holiday_year_end: entitlement.holiday_year_end
+      },
+      message: 'Holiday entitlement status retrieved successfully'
+    });
+    
+  } catch (error) {
+    console.error('❌ Error checking holiday entitlement status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Database error',
+      message: 'Failed to check holiday entitlement status'
+    });
+  }
+});
+
+// Update holiday entitlement usage (automatically calculated from time-off requests)
+app.put('/api/time-off/holiday-entitlements/:staffId/usage', async (req, res) => {
+  try {
+    const { staffId } = req.params;
+    
+    // Use the database function to automatically calculate usage from time-off requests
+    await pool.query('SELECT update_holiday_entitlement_usage($1)', [staffId]);
+    
+    // Get the updated entitlement
+    const result = await pool.query(`
+      SELECT * FROM current_holiday_entitlements 
+      WHERE staff_id = $1
+    `, [staffId]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Holiday entitlement not found',
+        message: 'No holiday entitlement found for this staff member'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Holiday entitlement usage updated successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error updating holiday entitlement usage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update holiday entitlement usage',
+      message: error.message
+    });
+  }
+});
+
+// Refresh all holiday entitlements (update taken/remaining from time-off requests)
+app.post('/api/time-off/holiday-entitlements/refresh', async (req, res) => {
+  try {
+    // Use the database function to update all staff members' holiday usage
+    await pool.query('SELECT update_all_holiday_entitlement_usage()');
+    
+    // Get all updated entitlements
+    const result = await pool.query(`
+      SELECT * FROM current_holiday_entitlements
+      ORDER BY staff_name
+    `);
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      message: 'All holiday entitlements refreshed successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error refreshing holiday entitlements:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh holiday entitlements',
+      message: error.message
+    });
+  }
+});
+
+// Get time-off summary (redirects to holiday entitlements)
+app.get('/api/time-off/summary', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT * FROM current_holiday_entitlements
+      ORDER BY staff_name
+    `);
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      message: 'Time-off summary retrieved successfully'
+    });
+  } catch (err) {
+    console.error('Error fetching time-off summary:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch time-off summary',
+      message: err.message
+    });
+  }
+});
+
+// =====================================================
+// LEAVE REQUESTS API ENDPOINTS
+// =====================================================
+
+// Holiday is booked in whole days of HOLIDAY_HOURS_PER_DAY (matches statutory_entitlement_hours = days * 12)
+const HOLIDAY_HOURS_PER_DAY = 12;
+const LEAVE_REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+const LEAVE_REQUEST_DECISIONS = ['approved', 'rejected'];
+
+const LEAVE_REQUEST_COLUMNS = `
+  leave_request_id,
+  staff_id,
+  staff_name,
+  to_char(start_date, 'YYYY-MM-DD') as start_date,
+  to_char(end_date, 'YYYY-MM-DD') as end_date,
+  hours_requested,
+  notes,
+  status,
+  decided_by,
+  decided_at,
+  decision_notes,
+  created_at,
+  updated_at
+`;
+
+// Helper function to count the days in a leave request (inclusive)
+function getLeaveRequestDays(startDate, endDate) {
+  return Math.round((new Date(endDate) - new Date(startDate)) / (24 * 60 * 60 * 1000)) + 1;
+}
+
+// Function to check requested holiday hours against the current holiday entitlement
+// (server-side version of the rota popup's checkHolidayEntitlementWarning)
+async function checkHolidayEntitlement(db, staffId, hoursRequested) {
+  const result = await db.query(`
+    SELECT hours_remaining, days_remaining
+    FROM current_holiday_entitlements
+    WHERE staff_id = $1
+  `, [staffId]);
+  
+  if (result.rows.length === 0) {
+    return { hasEntitlement: false, hoursRemaining: 0, isFullyUtilized: true, exceedsEntitlement: true };
+  }
+  
+  const hoursRemaining = parseFloat(result.rows[0].hours_remaining) || 0;
+  return {
+    hasEntitlement: true,
+    hoursRemaining: hoursRemaining,
+    isFullyUtilized: parseFloat(result.rows[0].days_remaining) <= 0,
+    exceedsEntitlement: hoursRequested > hoursRemaining
+  };
+}
+
+// Helper function to build the 409 response for a request over the remaining entitlement
+function getEntitlementExceededResponse(entitlementCheck, hoursRequested) {
+  return {
+    success: false,
+    error: 'Holiday entitlement exceeded',
+    message: entitlementCheck.hasEntitlement
+      ? `${hoursRequested} hours requested but only ${entitlementCheck.hoursRemaining} hours of holiday remain`
+      : 'No holiday entitlement found for the current holiday year',
+    requiresOverride: true,
+    hoursRemaining: entitlementCheck.hoursRemaining
+  };
+}
+
+// Function to list the dates in a range that no rota period covers
+async function getDaysWithoutPeriod(db, startDate, endDate) {
+  const result = await db.query(`
+    SELECT to_char(day, 'YYYY-MM-DD') as day
+    FROM generate_series($1::date, $2::date, interval '1 day') AS day
+    WHERE NOT EXISTS (
+      SELECT 1 FROM periods p WHERE day::date BETWEEN p.start_date AND p.end_date
+    )
+    ORDER BY day
+  `, [startDate, endDate]);
+  return result.rows.map(row => row.day);
+}
+
+// Function to create the HOLIDAY shifts for an approved leave request
+// One shift per day from the HOLIDAY default start time, with the requested hours split evenly.
+// Days that already have a HOLIDAY shift for the staff member are skipped.
+// The shifts carry the request's leave_request_id so cancelling it removes only them.
+async function createLeaveRequestShifts(db, req, leaveRequest) {
+  const days = getLeaveRequestDays(leaveRequest.start_date, leaveRequest.end_date);
+  const secondsPerDay = (parseFloat(leaveRequest.hours_requested) / days) * 60 * 60;
+  
+  const result = await db.query(`
+    WITH new_shifts AS (
+      SELECT 
+        p.period_id,
+        ((leave_day.day::date - p.start_date) / 7) + 1 as week_number,
+        ((leave_day.day::date + COALESCE(st.default_start_time, '08:00'::time)) AT TIME ZONE 'Europe/London') as shift_start
+      FROM generate_series($2::date, $3::date, interval '1 day') AS leave_day(day)
+      JOIN periods p ON leave_day.day::date BETWEEN p.start_date AND p.end_date
+      LEFT JOIN shift_types st ON st.name = 'HOLIDAY'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM shifts s
+        WHERE s.staff_name = $1 
+          AND s.shift_type = 'HOLIDAY'
+          AND (s.shift_start_datetime AT TIME ZONE 'Europe/London')::date = leave_day.day::date
+      )
+    )
+    INSERT INTO shifts (
+      id, period_id, week_number, staff_name, shift_start_datetime, shift_end_datetime, shift_type, notes, leave_request_id
+    )
+    SELECT 
+      uuid_shift(period_id, $1, shift_start, 'HOLIDAY'), period_id, week_number, $1,
+      shift_start, shift_start + make_interval(secs => $4), 'HOLIDAY', $5, $6
+    FROM new_shifts
+    RETURNING *
+  `, [leaveRequest.staff_name, leaveRequest.start_date, leaveRequest.end_date, secondsPerDay, leaveRequest.notes || '', leaveRequest.leave_request_id]);
+  
+  await recordShiftAuditEvents(db, req, 'create', result.rows);
+  await db.query('SELECT update_holiday_entitlement_usage($1)', [leaveRequest.staff_id]);
+  
+  return result.rows;
+}
+
+// Get all leave requests (team leaders)
+// Query params: status (pending, approved, rejected, cancelled), staffName
+app.get('/api/leave-requests', async (req, res) => {
+  try {
+    const { status, staffName } = req.query;
+    
+    if (status && !LEAVE_REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: `status must be one of: ${LEAVE_REQUEST_STATUSES.join(', ')}`
+      });
+    }
+    
+    const conditions = [];
+    const params = [];
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (staffName) {
+      params.push(staffName);
+      conditions.push(`staff_name = $${params.length}`);
+    }
+    
+    const result = await pool.query(`
+      SELECT ${LEAVE_REQUEST_COLUMNS}
+      FROM leave_requests
+      ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+      ORDER BY (status = 'pending') DESC, start_date, staff_name
+    `, params);
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (err) {
+    console.error('❌ Error fetching leave requests:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch leave requests',
+      message: err.message
+    });
+  }
+});
+
+// Get leave requests for one staff member (staff members can read their own)
+app.get('/api/leave-requests/staff/:staffName', async (req, res) => {
+  try {
+    const { staffName } = req.params;
+    
+    const result = await pool.query(`
+      SELECT ${LEAVE_REQUEST_COLUMNS}
+      FROM leave_requests
+      WHERE staff_name = $1
+      ORDER BY start_date DESC
+    `, [staffName.trim()]);
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (err) {
+    console.error('❌ Error fetching staff leave requests:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch leave requests',
+      message: err.message
+    });
+  }
+});
+
+// Submit a holiday request (staff members can submit their own)
+// hours_requested defaults to one HOLIDAY_HOURS_PER_DAY day per date in the range.
+// Requests over the remaining entitlement are refused unless a team leader sends override_entitlement: true
+app.post('/api/leave-requests', 
+  validateRequiredFields(['staff_name', 'start_date', 'end_date']),
+  async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { staff_name, start_date, end_date, hours_requested, notes = '', override_entitlement = false } = req.body;
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start_date) || !/^\d{4}-\d{2}-\d{2}$/.test(end_date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date format',
+        message: 'start_date and end_date must be in YYYY-MM-DD format'
+      });
+    }
+    
+    if (end_date < start_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range',
+        message: 'end_date must be on or after start_date'
+      });
+    }
+    
+    const days = getLeaveRequestDays(start_date, end_date);
+    const hours = hours_requested !== undefined && hours_requested !== null && hours_requested !== ''
+      ? parseFloat(hours_requested)
+      : days * HOLIDAY_HOURS_PER_DAY;
+    
+    if (isNaN(hours) || hours <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid hours',
+        message: 'hours_requested must be a positive number'
+      });
+    }
+    
+    const staffResult = await pool.query(
+      'SELECT unique_id, staff_name FROM human_resource WHERE staff_name = $1',
+      [staff_name.trim()]
+    );
+    
+    if (staffResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found',
+        message: `No staff member named ${staff_name}`
+      });
+    }
+    
+    const staff = staffResult.rows[0];
+    
+    const entitlementCheck = await checkHolidayEntitlement(pool, staff.unique_id, hours);
+    const canOverride = ACCESS_LEVELS[req.user.role] >= ACCESS_LEVELS['team leader'];
+    if (entitlementCheck.exceedsEntitlement && !(override_entitlement && canOverride)) {
+      return res.status(409).json(getEntitlementExceededResponse(entitlementCheck, hours));
+    }
+    
+    console.log(`🏖️ Holiday request from ${staff.staff_name}: ${start_date} to ${end_date} (${hours}h)`);
+    
+    await client.query('BEGIN');
+    
+    const result = await client.query(`
+      INSERT INTO leave_requests (staff_id, staff_name, start_date, end_date, hours_requested, notes)
+      VALUES ($1, $2, $3::date, $4::date, $5, $6)
+      RETURNING ${LEAVE_REQUEST_COLUMNS}
+    `, [staff.unique_id, staff.staff_name, start_date, end_date, hours, notes]);
+    
+    await recordAuditEvent(client, req, {
+      action: 'create',
+      entityType: 'leave_request',
+      entityId: result.rows[0].leave_request_id,
+      staffName: staff.staff_name,
+      entityDate: start_date,
+      after: result.rows[0]
+    });
+    
+    await client.query('COMMIT');
+    
+    res.status(201).json({
+      success: true,
+      data: result.rows[0],
+      message: 'Holiday request submitted'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error submitting leave request:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit leave request',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Approve or reject a pending leave request (team leaders)
+// Approving creates the HOLIDAY shifts and updates holiday_entitlements.hours_taken.
+// Requests over the remaining entitlement need override_entitlement: true
+app.put('/api/leave-requests/:id/decision', 
+  validateRequiredFields(['status']),
+  async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { status, decision_notes = null, override_entitlement = false } = req.body;
+    
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid leave request ID format',
+        message: 'Leave request ID must be a valid UUID'
+      });
+    }
+    
+    if (!LEAVE_REQUEST_DECISIONS.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: `status must be one of: ${LEAVE_REQUEST_DECISIONS.join(', ')}`
+      });
+    }
+    
+    await client.query('BEGIN');
+    
+    const previousResult = await client.query(`
+      SELECT ${LEAVE_REQUEST_COLUMNS} FROM leave_requests WHERE leave_request_id = $1 FOR UPDATE
+    `, [id]);
+    
+    if (previousResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Leave request not found',
+        message: `No leave request with ID ${id}`
+      });
+    }
+    
+    const previous = previousResult.rows[0];
+    if (previous.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Leave request already decided',
+        message: `This request was already ${previous.status}`
+      });
+    }
+    
+    let createdShifts = [];
+    if (status === 'approved') {
+      const hoursRequested = parseFloat(previous.hours_requested);
+      const entitlementCheck = await checkHolidayEntitlement(client, previous.staff_id, hoursRequested);
+      if (entitlementCheck.exceedsEntitlement && !override_entitlement) {
+        await client.query('ROLLBACK');
+        return res.status(409).json(getEntitlementExceededResponse(entitlementCheck, hoursRequested));
+      }
+      
+      const missingPeriodDays = await getDaysWithoutPeriod(client, previous.start_date, previous.end_date);
+      if (missingPeriodDays.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          error: 'No period for dates',
+          message: `No rota period covers: ${missingPeriodDays.join(', ')}`
+        });
+      }
+      
+      createdShifts = await createLeaveRequestShifts(client, req, previous);
+    }
+    
+    const result = await client.query(`
+      UPDATE leave_requests
+      SET status = $1,
+          decided_by = $2,
+          decided_at = (NOW() AT TIME ZONE 'Europe/London'),
+          decision_notes = $3
+      WHERE leave_request_id = $4
+      RETURNING ${LEAVE_REQUEST_COLUMNS}
+    `, [status, getAuditActor(req).username, decision_notes, id]);
+    
+    await recordAuditEvent(client, req, {
+      action: 'update',
+      entityType: 'leave_request',
+      entityId: id,
+      staffName: previous.staff_name,
+      entityDate: previous.start_date,
+      before: { status: previous.status },
+      after: { status, decision_notes, override_entitlement: !!override_entitlement },
+      reason: decision_notes
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log(`${status === 'approved' ? '✅' : '❌'} Leave request for ${previous.staff_name} ${status}${createdShifts.length > 0 ? ` (${createdShifts.length} HOLIDAY shifts created)` : ''}`);
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      shifts: createdShifts,
+      message: `Leave request ${status}`
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error deciding leave request:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update leave request',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Cancel a pending or approved leave request
+// Staff members can cancel their own requests that have not started; cancelling an approved
+// request removes the HOLIDAY shifts its approval created and gives the hours back to the entitlement
+app.put('/api/leave-requests/:id/cancel', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid leave request ID format',
+        message: 'Leave request ID must be a valid UUID'
+      });
+    }
+    
+    await client.query('BEGIN');
+    
+    const previousResult = await client.query(`
+      SELECT ${LEAVE_REQUEST_COLUMNS}, start_date <= CURRENT_DATE as has_started
+      FROM leave_requests WHERE leave_request_id = $1 FOR UPDATE
+    `, [id]);
+    
+    if (previousResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Leave request not found',
+        message: `No leave request with ID ${id}`
+      });
+    }
+    
+    const previous = previousResult.rows[0];
+    const isTeamLeader = ACCESS_LEVELS[req.user.role] >= ACCESS_LEVELS['team leader'];
+    
+    if (!isTeamLeader && previous.staff_name !== req.user.staffName) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Staff members can only access their own records'
+      });
+    }
+    
+    if (!['pending', 'approved'].includes(previous.status)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Leave request cannot be cancelled',
+        message: `This request was already ${previous.status}`
+      });
+    }
+    
+    if (!isTeamLeader && previous.has_started) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Leave request cannot be cancelled',
+        message: 'Holiday that has already started can only be cancelled by a team leader'
+      });
+    }
+    
+    let removedShifts = [];
+    if (previous.status === 'approved') {
+      const deleteResult = await deleteShiftsWithAudit(client, req, 'leave_request_id = $1', [id]);
+      removedShifts = deleteResult.rows;
+      
+      await client.query('SELECT update_holiday_entitlement_usage($1)', [previous.staff_id]);
+    }
+    
+    const result = await client.query(`
+      UPDATE leave_requests
+      SET status = 'cancelled'
+      WHERE leave_request_id = $1
+      RETURNING ${LEAVE_REQUEST_COLUMNS}
+    `, [id]);
+    
+    await recordAuditEvent(client, req, {
+      action: 'update',
+      entityType: 'leave_request',
+      entityId: id,
+      staffName: previous.staff_name,
+      entityDate: previous.start_date,
+      before: { status: previous.status },
+      after: { status: 'cancelled' }
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log(`🚫 Leave request for ${previous.staff_name} cancelled${removedShifts.length > 0 ? ` (${removedShifts.length} HOLIDAY shifts removed)` : ''}`);
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      removedShifts: removedShifts.length,
+      message: 'Leave request cancelled'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error cancelling leave request:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel leave request',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// =====================================================
+// SHIFT SWAP REQUESTS API ENDPOINTS
+// =====================================================
+
+// Swaps move from 'offered' (a staff member offers a shift) to 'accepted' (another staff member
+// gives one of their shifts in return) to 'approved' or 'rejected' by a team leader
+const SHIFT_SWAP_STATUSES = ['offered', 'accepted', 'approved', 'rejected', 'cancelled'];
+const SHIFT_SWAP_DECISIONS = ['approved', 'rejected'];
+
+const SHIFT_SWAP_SELECT = `
+  SELECT 
+    ssr.swap_request_id,
+    ssr.offered_shift_id,
+    ssr.offered_by,
+    offered.shift_type as offered_shift_type,
+    offered.shift_start_datetime as offered_shift_start,
+    offered.shift_end_datetime as offered_shift_end,
+    ssr.accepted_shift_id,
+    ssr.accepted_by,
+    ssr.accepted_at,
+    accepted.shift_type as accepted_shift_type,
+    accepted.shift_start_datetime as accepted_shift_start,
+    accepted.shift_end_datetime as accepted_shift_end,
+    ssr.notes,
+    ssr.status,
+    ssr.decided_by,
+    ssr.decided_at,
+    ssr.decision_notes,
+    ssr.created_at,
+    ssr.updated_at
+  FROM shift_swap_requests ssr
+  JOIN shifts offered ON offered.id = ssr.offered_shift_id
+  LEFT JOIN shifts accepted ON accepted.id = ssr.accepted_shift_id
+`;
+
+// Function to load one swap request with its shift details
+async function getShiftSwap(db, swapRequestId) {
+  const result = await db.query(`${SHIFT_SWAP_SELECT} WHERE ssr.swap_request_id = $1`, [swapRequestId]);
+  return result.rows[0] || null;
+}
+
+// Function to load a shift that a staff member wants to swap
+// Returns an error body when the shift cannot be swapped, otherwise { shift }
+async function getSwappableShift(db, shiftId, staffName, lockRow = false) {
+  const result = await db.query(`
+    SELECT s.*, s.shift_start_datetime <= NOW() as has_started,
+      (SELECT p.status FROM periods p WHERE p.period_id = s.period_id) as period_status
+    FROM shifts s
+    WHERE s.id = $1
+    ${lockRow ? 'FOR UPDATE' : ''}
+  `, [shiftId]);
+  
+  if (result.rows.length === 0) {
+    return { status: 404, body: { success: false, error: 'Shift not found', message: `No shift with ID ${shiftId}` } };
+  }
+  
+  const shift = result.rows[0];
+  if (shift.staff_name !== staffName) {
+    return { status: 400, body: { success: false, error: 'Shift not owned', message: `This shift belongs to ${shift.staff_name}, not ${staffName}` } };
+  }
+  
+  if (isTimeOffShiftType(await findShiftType(shift.shift_type))) {
+    return { status: 400, body: { success: false, error: 'Shift cannot be swapped', message: `${shift.shift_type} shifts cannot be swapped` } };
+  }
+  
+  if (shift.has_started) {
+    return { status: 400, body: { success: false, error: 'Shift cannot be swapped', message: 'Shifts that have already started cannot be swapped' } };
+  }
+  
+  if (shift.period_status === 'draft') {
+    return { status: 400, body: { success: false, error: 'Shift cannot be swapped', message: 'Shifts in a draft rota cannot be swapped until the rota is published' } };
+  }
+  
+  return { shift };
+}
+
+// Function to check both sides of a swap before it is accepted or approved
+// Each staff member is checked against the shift they would take, ignoring both swapped shifts.
+// Returns the detectShiftConflicts results plus 'time_off' conflicts (holiday or sick leave that day)
+async function checkShiftSwapConflicts(db, offeredShift, acceptedShift) {
+  const minimumRestHours = await getMinimumRestHours();
+  const swappedShiftIds = [offeredShift.id, acceptedShift.id];
+  const conflicts = [];
+  
+  const checks = [
+    { staffName: acceptedShift.staff_name, shift: offeredShift },
+    { staffName: offeredShift.staff_name, shift: acceptedShift }
+  ];
+  
+  for (const check of checks) {
+    const shiftConflicts = await detectShiftConflicts(db, {
+      staffName: check.staffName,
+      shiftStart: check.shift.shift_start_datetime,
+      shiftEnd: check.shift.shift_end_datetime,
+      shiftType: check.shift.shift_type
+    }, swappedShiftIds, minimumRestHours);
+    conflicts.push(...shiftConflicts);
+    
+    const timeOffShifts = await findTimeOffShiftsOnDate(db, check.staffName, check.shift.shift_start_datetime, swappedShiftIds);
+    
+    timeOffShifts
+      .filter(existing => !shiftConflicts.some(conflict => conflict.conflictingShift && conflict.conflictingShift.id === existing.id))
+      .forEach(existing => {
+        conflicts.push({
+          type: 'time_off',
+          staffName: check.staffName,
+          shiftType: check.shift.shift_type,
+          shiftStart: check.shift.shift_start_datetime,
+          shiftEnd: check.shift.shift_end_datetime,
+          conflictingShift: existing,
+          message: `${check.staffName} has ${existing.shift_type} on ${getLondonDate(check.shift.shift_start_datetime)}`
+        });
+      });
+  }
+  
+  return conflicts;
+}
+
+// Helper function to build the 409 response for a swap with conflicts
+function getShiftSwapConflictResponse(conflicts) {
+  return {
+    success: false,
+    error: 'Shift swap conflicts',
+    message: conflicts.map(conflict => conflict.message).join('; '),
+    conflicts: conflicts,
+    requiresAcknowledgement: true
+  };
+}
+
+// Helper function to validate a swap request ID
+function getInvalidShiftSwapIdResponse(id) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (uuidRegex.test(id)) {
+    return null;
+  }
+  return {
+    success: false,
+    error: 'Invalid shift swap ID format',
+    message: 'Shift swap ID must be a valid UUID'
+  };
+}
+
+// Get all shift swaps (team leaders)
+// Query params: status (offered, accepted, approved, rejected, cancelled), staffName (offered or accepted by)
+app.get('/api/shift-swaps', async (req, res) => {
+  try {
+    const { status, staffName } = req.query;
+    
+    if (status && !SHIFT_SWAP_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: `status must be one of: ${SHIFT_SWAP_STATUSES.join(', ')}`
+      });
+    }
+    
+    const conditions = [];
+    const params = [];
+    if (status) {
+      params.push(status);
+      conditions.push(`ssr.status = $${params.length}`);
+    }
+    if (staffName) {
+      params.push(staffName);
+      conditions.push(`(ssr.offered_by = $${params.length} OR ssr.accepted_by = $${params.length})`);
+    }
+    
+    const result = await pool.query(`
+      ${SHIFT_SWAP_SELECT}
+      ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+      ORDER BY (ssr.status = 'accepted') DESC, (ssr.status = 'offered') DESC, offered.shift_start_datetime, ssr.offered_by
+    `, params);
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (err) {
+    console.error('❌ Error fetching shift swaps:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shift swaps',
+      message: err.message
+    });
+  }
+});
+
+// Get open swap offers on shifts that have not started (any staff member can accept them)
+app.get('/api/shift-swaps/open', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      ${SHIFT_SWAP_SELECT}
+      WHERE ssr.status = 'offered'
+        AND offered.shift_start_datetime > NOW()
+      ORDER BY offered.shift_start_datetime
+    `);
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (err) {
+    console.error('❌ Error fetching open shift swaps:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shift swaps',
+      message: err.message
+    });
+  }
+});
+
+// Get swaps offered or accepted by one staff member (staff members can read their own)
+app.get('/api/shift-swaps/staff/:staffName', async (req, res) => {
+  try {
+    const { staffName } = req.params;
+    
+    const result = await pool.query(`
+      ${SHIFT_SWAP_SELECT}
+      WHERE ssr.offered_by = $1 OR ssr.accepted_by = $1
+      ORDER BY offered.shift_start_datetime DESC
+    `, [staffName.trim()]);
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (err) {
+    console.error('❌ Error fetching staff shift swaps:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shift swaps',
+      message: err.message
+    });
+  }
+});
+
+// Offer a shift for swapping (staff members can offer their own future work shifts)
+app.post('/api/shift-swaps', 
+  validateRequiredFields(['staff_name', 'shift_id']),
+  async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { staff_name, shift_id, notes = '' } = req.body;
+    
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(shift_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid shift ID format',
+        message: 'Shift ID must be a valid UUID'
+      });
+    }
+    
+    const swappable = await getSwappableShift(pool, shift_id, staff_name.trim());
+    if (swappable.body) {
+      return res.status(swappable.status).json(swappable.body);
+    }
+    
+    const existingResult = await pool.query(`
+      SELECT swap_request_id, status FROM shift_swap_requests
+      WHERE offered_shift_id = $1 AND status IN ('offered', 'accepted')
+    `, [shift_id]);
+    
+    if (existingResult.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Shift already offered',
+        message: `This shift already has an ${existingResult.rows[0].status} swap`
+      });
+    }
+    
+    const shift = swappable.shift;
+    console.log(`🔁 Shift swap offered by ${shift.staff_name}: ${shift.shift_type} on ${getLondonDate(shift.shift_start_datetime)}`);
+    
+    await client.query('BEGIN');
+    
+    const insertResult = await client.query(`
+      INSERT INTO shift_swap_requests (offered_shift_id, offered_by, notes)
+      VALUES ($1, $2, $3)
+      RETURNING swap_request_id
+    `, [shift.id, shift.staff_name, notes]);
+    
+    const swap = await getShiftSwap(client, insertResult.rows[0].swap_request_id);
+    
+    await recordAuditEvent(client, req, {
+      action: 'create',
+      entityType: 'shift_swap',
+      entityId: swap.swap_request_id,
+      staffName: shift.staff_name,
+      entityDate: getLondonDate(shift.shift_start_datetime),
+      after: swap
+    });
+    
+    await client.query('COMMIT');
+    
+    res.status(201).json({
+      success: true,
+      data: swap,
+      message: 'Shift offered for swap'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error offering shift swap:', err);
+    if (err.code === '23505') { // Unique constraint violation - offered twice at the same time
+      res.status(409).json({
+        success: false,
+        error: 'Shift already offered',
+        message: 'This shift already has an open swap'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to offer shift swap',
+        message: err.message
+      });
+    }
+  } finally {
+    client.release();
+  }
+});
+
+// Accept an offered swap, giving one of your own future work shifts in return
+// Conflicts for either staff member (overlap, rest, unavailability, time off) are refused here;
+// a team leader can still approve them later with acknowledge_conflicts
+app.put('/api/shift-swaps/:id/accept', 
+  validateRequiredFields(['staff_name', 'shift_id']),
+  async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { staff_name, shift_id } = req.body;
+    
+    const invalidIdResponse = getInvalidShiftSwapIdResponse(id);
+    if (invalidIdResponse) {
+      return res.status(400).json(invalidIdResponse);
+    }
+    
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(shift_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid shift ID format',
+        message: 'Shift ID must be a valid UUID'
+      });
+    }
+    
+    await client.query('BEGIN');
+    
+    const previousResult = await client.query(
+      'SELECT * FROM shift_swap_requests WHERE swap_request_id = $1 FOR UPDATE',
+      [id]
+    );
+    
+    if (previousResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Shift swap not found',
+        message: `No shift swap with ID ${id}`
+      });
+    }
+    
+    const previous = previousResult.rows[0];
+    if (previous.status !== 'offered') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Shift swap not open',
+        message: `This swap is already ${previous.status}`
+      });
+    }
+    
+    if (previous.offered_by === staff_name.trim()) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid shift swap',
+        message: 'You cannot accept your own swap offer'
+      });
+    }
+    
+    const offered = await getSwappableShift(client, previous.offered_shift_id, previous.offered_by);
+    if (offered.body) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Offered shift has changed',
+        message: offered.body.message
+      });
+    }
+    
+    const accepted = await getSwappableShift(client, shift_id, staff_name.trim());
+    if (accepted.body) {
+      await client.query('ROLLBACK');
+      return res.status(accepted.status).json(accepted.body);
+    }
+    
+    const conflicts = await checkShiftSwapConflicts(client, offered.shift, accepted.shift);
+    if (conflicts.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(getShiftSwapConflictResponse(conflicts));
+    }
+    
+    await client.query(`
+      UPDATE shift_swap_requests
+      SET status = 'accepted',
+          accepted_shift_id = $1,
+          accepted_by = $2,
+          accepted_at = (NOW() AT TIME ZONE 'Europe/London')
+      WHERE swap_request_id = $3
+    `, [accepted.shift.id, accepted.shift.staff_name, id]);
+    
+    const swap = await getShiftSwap(client, id);
+    
+    await recordAuditEvent(client, req, {
+      action: 'update',
+      entityType: 'shift_swap',
+      entityId: id,
+      staffName: previous.offered_by,
+      entityDate: getLondonDate(offered.shift.shift_start_datetime),
+      before: { status: previous.status },
+      after: { status: 'accepted', accepted_by: accepted.shift.staff_name, accepted_shift_id: accepted.shift.id }
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log(`🤝 Shift swap from ${previous.offered_by} accepted by ${accepted.shift.staff_name}`);
+    
+    res.json({
+      success: true,
+      data: swap,
+      message: 'Shift swap accepted - waiting for team leader approval'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error accepting shift swap:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept shift swap',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Approve or reject an accepted swap (team leaders)
+// Approving re-checks both staff members and swaps staff_name on the two shifts in one transaction,
+// keeping each shift's ID, flags and notes. Conflicts need acknowledge_conflicts: true
+app.put('/api/shift-swaps/:id/decision', 
+  validateRequiredFields(['status']),
+  async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { status, decision_notes = null, acknowledge_conflicts = false } = req.body;
+    
+    const invalidIdResponse = getInvalidShiftSwapIdResponse(id);
+    if (invalidIdResponse) {
+      return res.status(400).json(invalidIdResponse);
+    }
+    
+    if (!SHIFT_SWAP_DECISIONS.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: `status must be one of: ${SHIFT_SWAP_DECISIONS.join(', ')}`
+      });
+    }
+    
+    await client.query('BEGIN');
+    
+    const previousResult = await client.query(
+      'SELECT * FROM shift_swap_requests WHERE swap_request_id = $1 FOR UPDATE',
+      [id]
+    );
+    
+    if (previousResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Shift swap not found',
+        message: `No shift swap with ID ${id}`
+      });
+    }
+    
+    const previous = previousResult.rows[0];
+    if (previous.status !== 'accepted') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Shift swap cannot be decided',
+        message: previous.status === 'offered'
+          ? 'This swap has not been accepted yet'
+          : `This swap was already ${previous.status}`
+      });
+    }
+    
+    let swappedShifts = [];
+    let conflicts = [];
+    if (status === 'approved') {
+      const shiftsResult = await client.query(`
+        SELECT * FROM shifts WHERE id = ANY($1::uuid[]) ORDER BY id FOR UPDATE
+      `, [[previous.offered_shift_id, previous.accepted_shift_id]]);
+      
+      const offeredShift = shiftsResult.rows.find(shift => shift.id === previous.offered_shift_id);
+      const acceptedShift = shiftsResult.rows.find(shift => shift.id === previous.accepted_shift_id);
+      
+      if (!offeredShift || !acceptedShift ||
+          offeredShift.staff_name !== previous.offered_by ||
+          acceptedShift.staff_name !== previous.accepted_by) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          error: 'Shifts have changed',
+          message: 'One of the shifts was deleted or reassigned after the swap was accepted'
+        });
+      }
+      
+      conflicts = await checkShiftSwapConflicts(client, offeredShift, acceptedShift);
+      if (conflicts.length > 0 && !acknowledge_conflicts) {
+        await client.query('ROLLBACK');
+        return res.status(409).json(getShiftSwapConflictResponse(conflicts));
+      }
+      
+      const swaps = [
+        { shift: offeredShift, newStaffName: acceptedShift.staff_name },
+        { shift: acceptedShift, newStaffName: offeredShift.staff_name }
+      ];
+      
+      for (const swap of swaps) {
+        const updateResult = await client.query(`
+          UPDATE shifts
+          SET staff_name = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London')
+          WHERE id = $2
+          RETURNING *
+        `, [swap.newStaffName, swap.shift.id]);
+        swappedShifts.push(updateResult.rows[0]);
+        
+        await recordAuditEvent(client, req, {
+          action: 'swap',
+          entityType: 'shift',
+          entityId: swap.shift.id,
+          staffName: swap.newStaffName,
+          entityDate: getLondonDate(swap.shift.shift_start_datetime),
+          before: { staff_name: swap.shift.staff_name },
+          after: { staff_name: swap.newStaffName, swap_request_id: id },
+          reason: decision_notes
+        });
+      }
+    }
+    
+    await client.query(`
+      UPDATE shift_swap_requests
+      SET status = $1,
+          decided_by = $2,
+          decided_at = (NOW() AT TIME ZONE 'Europe/London'),
+          decision_notes = $3
+      WHERE swap_request_id = $4
+    `, [status, getAuditActor(req).username, decision_notes, id]);
+    
+    const swap = await getShiftSwap(client, id);
+    
+    await recordAuditEvent(client, req, {
+      action: 'update',
+      entityType: 'shift_swap',
+      entityId: id,
+      staffName: previous.offered_by,
+      entityDate: getLondonDate(swap.offered_shift_start),
+      before: { status: previous.status },
+      after: { status, decision_notes, acknowledged_conflicts: conflicts.length > 0 },
+      reason: decision_notes
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log(`${status === 'approved' ? '✅' : '❌'} Shift swap between ${previous.offered_by} and ${previous.accepted_by} ${status}`);
+    
+    res.json({
+      success: true,
+      data: swap,
+      shifts: swappedShifts,
+      conflicts: conflicts,
+      message: `Shift swap ${status}`
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error deciding shift swap:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update shift swap',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Cancel an offered or accepted swap
+// Staff members can cancel swaps they offered or accepted; team leaders can cancel any open swap
+app.put('/api/shift-swaps/:id/cancel', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    
+    const invalidIdResponse = getInvalidShiftSwapIdResponse(id);
+    if (invalidIdResponse) {
+      return res.status(400).json(invalidIdResponse);
+    }
+    
+    await client.query('BEGIN');
+    
+    const previousResult = await client.query(
+      'SELECT * FROM shift_swap_requests WHERE swap_request_id = $1 FOR UPDATE',
+      [id]
+    );
+    
+    if (previousResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Shift swap not found',
+        message: `No shift swap with ID ${id}`
+      });
+    }
+    
+    const previous = previousResult.rows[0];
+    const isTeamLeader = ACCESS_LEVELS[req.user.role] >= ACCESS_LEVELS['team leader'];
+    
+    if (!isTeamLeader && previous.offered_by !== req.user.staffName && previous.accepted_by !== req.user.staffName) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Staff members can only access their own records'
+      });
+    }
+    
+    if (!['offered', 'accepted'].includes(previous.status)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Shift swap cannot be cancelled',
+        message: `This swap was already ${previous.status}`
+      });
+    }
+    
+    await client.query(`
+      UPDATE shift_swap_requests
+      SET status = 'cancelled'
+      WHERE swap_request_id = $1
+    `, [id]);
+    
+    const swap = await getShiftSwap(client, id);
+    
+    await recordAuditEvent(client, req, {
+      action: 'update',
+      entityType: 'shift_swap',
+      entityId: id,
+      staffName: previous.offered_by,
+      entityDate: getLondonDate(swap.offered_shift_start),
+      before: { status: previous.status },
+      after: { status: 'cancelled' }
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log(`🚫 Shift swap offered by ${previous.offered_by} cancelled`);
+    
+    res.json({
+      success: true,
+      data: swap,
+      message: 'Shift swap cancelled'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error cancelling shift swap:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel shift swap',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// =====================================================
+// OPEN SHIFTS API ENDPOINTS
+// =====================================================
+
+// An open shift is an uncovered shift published for staff to volunteer for.
+// It stays 'open' until a team leader picks a volunteer ('filled') or withdraws it ('cancelled')
+const OPEN_SHIFT_STATUSES = ['open', 'filled', 'cancelled'];
+const SHORT_NOTICE_WINDOW_SETTING = 'Short notice window (hours)';
+const DEFAULT_SHORT_NOTICE_WINDOW_HOURS = 12;
+
+const OPEN_SHIFT_SELECT = `
+  SELECT 
+    os.open_shift_id,
+    os.period_id,
+    os.week_number,
+    os.shift_type,
+    os.shift_start_datetime,
+    os.shift_end_datetime,
+    to_char((os.shift_start_datetime AT TIME ZONE 'Europe/London')::date, 'YYYY-MM-DD') as shift_date,
+    os.notes,
+    os.status,
+    os.created_by,
+    os.filled_by,
+    os.filled_shift_id,
+    os.filled_at,
+    os.created_at,
+    os.updated_at,
+    COALESCE((
+      SELECT json_agg(json_build_object('staff_name', v.staff_name, 'notes', v.notes, 'created_at', v.created_at) ORDER BY v.created_at)
+      FROM open_shift_volunteers v
+      WHERE v.open_shift_id = os.open_shift_id
+    ), '[]'::json) as volunteers
+  FROM open_shifts os
+`;
+
+// Helper function to get the configured short notice window (shifts filled closer to their start are short notice)
+async function getShortNoticeWindowHours() {
+  const value = parseFloat(await getSettingValue(SHORT_NOTICE_WINDOW_SETTING, DEFAULT_SHORT_NOTICE_WINDOW_HOURS));
+  return isNaN(value) || value < 0 ? DEFAULT_SHORT_NOTICE_WINDOW_HOURS : value;
+}
+
+// Function to load one open shift with its volunteers
+async function getOpenShift(db, openShiftId) {
+  const result = await db.query(`${OPEN_SHIFT_SELECT} WHERE os.open_shift_id = $1`, [openShiftId]);
+  return result.rows[0] || null;
+}
+
+// Function to check whether a staff member can work an open shift
+// Returns 'not_employed' and 'time_off' problems plus the detectShiftConflicts results
+async function checkOpenShiftEligibility(db, openShift, staffName, minimumRestHours = null) {
+  const shiftDate = getLondonDate(openShift.shift_start_datetime);
+  const staffResult = await db.query(`
+    SELECT is_active,
+      employment_start_date > $2::date as not_started,
+      employment_end_date < $2::date as has_left
+    FROM human_resource WHERE staff_name = $1
+  `, [staffName, shiftDate]);
+  const staff = staffResult.rows[0];
+  
+  if (!staff || !staff.is_active || staff.not_started || staff.has_left) {
+    return [{
+      type: 'not_employed',
+      staffName: staffName,
+      message: `${staffName} is not an active staff member on ${shiftDate}`
+    }];
+  }
+  
+  const conflicts = await detectShiftConflicts(db, {
+    staffName: staffName,
+    shiftStart: openShift.shift_start_datetime,
+    shiftEnd: openShift.shift_end_datetime,
+    shiftType: openShift.shift_type
+  }, [], minimumRestHours);
+  
+  const timeOffShifts = await findTimeOffShiftsOnDate(db, staffName, openShift.shift_start_datetime);
+  timeOffShifts
+    .filter(existing => !conflicts.some(conflict => conflict.conflictingShift && conflict.conflictingShift.id === existing.id))
+    .forEach(existing => {
+      conflicts.push({
+        type: 'time_off',
+        staffName: staffName,
+        shiftType: openShift.shift_type,
+        conflictingShift: existing,
+        message: `${staffName} has ${existing.shift_type} on ${shiftDate}`
+      });
+    });
+  
+  return conflicts;
+}
+
+// Helper function to validate an open shift ID
+function getInvalidOpenShiftIdResponse(id) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (uuidRegex.test(id)) {
+    return null;
+  }
+  return {
+    success: false,
+    error: 'Invalid open shift ID format',
+    message: 'Open shift ID must be a valid UUID'
+  };
+}
+
+// Get open shifts with their volunteers (team leaders)
+// Query params: status (open, filled, cancelled), periodId
+app.get('/api/open-shifts', async (req, res) => {
+  try {
+    const { status, periodId } = req.query;
+    
+    if (status && !OPEN_SHIFT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: `status must be one of: ${OPEN_SHIFT_STATUSES.join(', ')}`
+      });
+    }
+    
+    const conditions = [];
+    const params = [];
+    if (status) {
+      params.push(status);
+      conditions.push(`os.status = $${params.length}`);
+    }
+    if (periodId) {
+      params.push(periodId);
+      conditions.push(`os.period_id = $${params.length}`);
+    }
+    
+    const result = await pool.query(`
+      ${OPEN_SHIFT_SELECT}
+      ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+      ORDER BY (os.status = 'open') DESC, os.shift_start_datetime
+    `, params);
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (err) {
+    console.error('❌ Error fetching open shifts:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch open shifts',
+      message: err.message
+    });
+  }
+});
+
+// Get open shifts that have not started for one staff member (staff members can read their own)
+// Each shift has volunteered (true when the staff member has volunteered) and the conflicts that stop them volunteering.
+// Other volunteers' names are not returned
+app.get('/api/open-shifts/staff/:staffName', async (req, res) => {
+  try {
+    const staffName = req.params.staffName.trim();
+    
+    const result = await pool.query(`
+      ${OPEN_SHIFT_SELECT}
+      WHERE os.status = 'open'
+        AND os.shift_start_datetime > NOW()
+      ORDER BY os.shift_start_datetime
+    `);
+    
+    const minimumRestHours = await getMinimumRestHours();
+    const openShifts = [];
+    for (const openShift of result.rows) {
+      const volunteered = openShift.volunteers.some(volunteer => volunteer.staff_name === staffName);
+      const { volunteers, ...details } = openShift;
+      openShifts.push({
+        ...details,
+        volunteer_count: volunteers.length,
+        volunteered: volunteered,
+        conflicts: volunteered ? [] : await checkOpenShiftEligibility(pool, openShift, staffName, minimumRestHours)
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: openShifts,
+      count: openShifts.length
+    });
+  } catch (err) {
+    console.error('❌ Error fetching staff open shifts:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch open shifts',
+      message: err.message
+    });
+  }
+});
+
+// Publish an open shift (team leaders)
+// start_time / end_time (HH:MM) default to the shift type's default times; an end time before the start runs overnight
+app.post('/api/open-shifts', 
+  validateRequiredFields(['date', 'shift_type']),
+  async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { date, shift_type, notes = '' } = req.body;
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date format',
+        message: 'date must be in YYYY-MM-DD format'
+      });
+    }
+    
+    const shiftType = await findShiftType(shift_type, true);
+    if (!shiftType || isTimeOffShiftType(shiftType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid shift type',
+        message: 'Open shifts must use an active work shift type'
+      });
+    }
+    
+    const startTime = req.body.start_time || shiftType.default_start_time;
+    const endTime = req.body.end_time || shiftType.default_end_time;
+    if (!/^\d{2}:\d{2}$/.test(startTime) || !/^\d{2}:\d{2}$/.test(endTime)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid time format',
+        message: 'start_time and end_time must be in HH:MM format'
+      });
+    }
+    
+    const periodResult = await pool.query(`
+      SELECT 
+        period_id,
+        ((($1::date - start_date) / 7) + 1) as week_number,
+        ($1::date + $2::time) AT TIME ZONE 'Europe/London' as shift_start,
+        (($1::date + CASE WHEN $3::time <= $2::time THEN 1 ELSE 0 END) + $3::time) AT TIME ZONE 'Europe/London' as shift_end
+      FROM periods
+      WHERE $1::date BETWEEN start_date AND end_date
+      ORDER BY start_date
+      LIMIT 1
+    `, [date, startTime, endTime]);
+    
+    if (periodResult.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No period for date',
+        message: `No rota period covers ${date}`
+      });
+    }
+    
+    const slot = periodResult.rows[0];
+    
+    const duplicateResult = await pool.query(`
+      SELECT open_shift_id FROM open_shifts
+      WHERE status = 'open' AND shift_type = $1 AND shift_start_datetime = $2
+    `, [shiftType.name, slot.shift_start]);
+    
+    if (duplicateResult.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Open shift already published',
+        message: `${shiftType.name} at ${startTime} on ${date} is already an open shift`
+      });
+    }
+    
+    console.log(`📢 Publishing open shift: ${shiftType.name} on ${date} ${startTime}-${endTime}`);
+    
+    await client.query('BEGIN');
+    
+    const insertResult = await client.query(`
+      INSERT INTO open_shifts (
+        period_id, week_number, shift_type, shift_start_datetime, shift_end_datetime, notes, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING open_shift_id
+    `, [slot.period_id, slot.week_number, shiftType.name, slot.shift_start, slot.shift_end, notes, getAuditActor(req).username]);
+    
+    const openShift = await getOpenShift(client, insertResult.rows[0].open_shift_id);
+    
+    await recordAuditEvent(client, req, {
+      action: 'create',
+      entityType: 'open_shift',
+      entityId: openShift.open_shift_id,
+      entityDate: date,
+      after: openShift
+    });
+    
+    await client.query('COMMIT');
+    
+    res.status(201).json({
+      success: true,
+      data: openShift,
+      message: 'Open shift published'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error publishing open shift:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to publish open shift',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Volunteer for an open shift (staff members can volunteer themselves)
+// Staff members who are not employed that day, are on holiday or sick leave, or would have an
+// overlap, too little rest or an unavailability conflict cannot volunteer
+app.post('/api/open-shifts/:id/volunteers', 
+  validateRequiredFields(['staff_name']),
+  async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { staff_name, notes = '' } = req.body;
+    const staffName = staff_name.trim();
+    
+    const invalidIdResponse = getInvalidOpenShiftIdResponse(id);
+    if (invalidIdResponse) {
+      return res.status(400).json(invalidIdResponse);
+    }
+    
+    await client.query('BEGIN');
+    
+    // Lock the open shift so it cannot be filled or cancelled while the volunteer is added
+    const lockResult = await client.query(
+      'SELECT status FROM open_shifts WHERE open_shift_id = $1 FOR UPDATE',
+      [id]
+    );
+    
+    if (lockResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Open shift not found',
+        message: `No open shift with ID ${id}`
+      });
+    }
+    
+    const openShift = await getOpenShift(client, id);
+    if (openShift.status !== 'open' || new Date(openShift.shift_start_datetime) <= new Date()) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Open shift closed',
+        message: openShift.status !== 'open' ? `This shift is already ${openShift.status}` : 'This shift has already started'
+      });
+    }
+    
+    const conflicts = await checkOpenShiftEligibility(client, openShift, staffName);
+    if (conflicts.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Not eligible for open shift',
+        message: conflicts.map(conflict => conflict.message).join('; '),
+        conflicts: conflicts
+      });
+    }
+    
+    const result = await client.query(`
+      INSERT INTO open_shift_volunteers (open_shift_id, staff_name, notes)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (open_shift_id, staff_name) DO NOTHING
+      RETURNING *
+    `, [id, staffName, notes]);
+    
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Already volunteered',
+        message: `${staffName} has already volunteered for this shift`
+      });
+    }
+    
+    await recordAuditEvent(client, req, {
+      action: 'create',
+      entityType: 'open_shift_volunteer',
+      entityId: id,
+      staffName: staffName,
+      entityDate: openShift.shift_date,
+      after: result.rows[0]
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log(`🙋 ${staffName} volunteered for open ${openShift.shift_type} shift on ${openShift.shift_date}`);
+    
+    res.status(201).json({
+      success: true,
+      data: await getOpenShift(pool, id),
+      message: 'Volunteered for open shift'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error volunteering for open shift:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to volunteer for open shift',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Withdraw from an open shift that is still open (staff members can withdraw themselves)
+app.delete('/api/open-shifts/:id/volunteers/:staffName', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const staffName = req.params.staffName.trim();
+    
+    const invalidIdResponse = getInvalidOpenShiftIdResponse(id);
+    if (invalidIdResponse) {
+      return res.status(400).json(invalidIdResponse);
+    }
+    
+    await client.query('BEGIN');
+    
+    const result = await client.query(`
+      DELETE FROM open_shift_volunteers v
+      USING open_shifts os
+      WHERE v.open_shift_id = os.open_shift_id
+        AND v.open_shift_id = $1
+        AND v.staff_name = $2
+        AND os.status = 'open'
+      RETURNING v.*, to_char((os.shift_start_datetime AT TIME ZONE 'Europe/London')::date, 'YYYY-MM-DD') as shift_date
+    `, [id, staffName]);
+    
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Volunteer not found',
+        message: `${staffName} has not volunteered for an open shift with ID ${id}`
+      });
+    }
+    
+    const { shift_date, ...volunteer } = result.rows[0];
+    await recordAuditEvent(client, req, {
+      action: 'delete',
+      entityType: 'open_shift_volunteer',
+      entityId: id,
+      staffName: staffName,
+      entityDate: shift_date,
+      before: volunteer
+    });
+    
+    await client.query('COMMIT');
+    
+    res.json({
+      success: true,
+      data: await getOpenShift(pool, id),
+      message: 'Withdrawn from open shift'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error withdrawing from open shift:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to withdraw from open shift',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Fill an open shift with one of its volunteers (team leaders)
+// Creates the shift for the volunteer, with short_notice set when it starts within the short notice window.
+// Conflicts found since they volunteered need acknowledge_conflicts: true
+app.put('/api/open-shifts/:id/assign', 
+  validateRequiredFields(['staff_name']),
+  async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { staff_name, acknowledge_conflicts = false } = req.body;
+    const staffName = staff_name.trim();
+    
+    const invalidIdResponse = getInvalidOpenShiftIdResponse(id);
+    if (invalidIdResponse) {
+      return res.status(400).json(invalidIdResponse);
+    }
+    
+    await client.query('BEGIN');
+    
+    const lockResult = await client.query(
+      'SELECT status FROM open_shifts WHERE open_shift_id = $1 FOR UPDATE',
+      [id]
+    );
+    
+    if (lockResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Open shift not found',
+        message: `No open shift with ID ${id}`
+      });
+    }
+    
+    const openShift = await getOpenShift(client, id);
+    if (openShift.status !== 'open') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Open shift closed',
+        message: `This shift is already ${openShift.status}`
+      });
+    }
+    
+    if (!openShift.volunteers.some(volunteer => volunteer.staff_name === staffName)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'Not a volunteer',
+        message: `${staffName} has not volunteered for this shift`
+      });
+    }
+    
+    const conflicts = await checkOpenShiftEligibility(client, openShift, staffName);
+    const notEmployed = conflicts.find(conflict => conflict.type === 'not_employed');
+    if (notEmployed) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'Not employed',
+        message: notEmployed.message
+      });
+    }
+    
+    if (conflicts.length > 0 && !acknowledge_conflicts) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Open shift conflicts',
+        message: conflicts.map(conflict => conflict.message).join('; '),
+        conflicts: conflicts,
+        requiresAcknowledgement: true
+      });
+    }
+    
+    const shortNoticeHours = await getShortNoticeWindowHours();
+    const hoursUntilStart = (new Date(openShift.shift_start_datetime) - new Date()) / (60 * 60 * 1000);
+    const shortNotice = hoursUntilStart < shortNoticeHours;
+    
+    const shiftResult = await client.query(`
+      INSERT INTO shifts (
+        id, period_id, week_number, staff_name, shift_start_datetime, shift_end_datetime,
+        shift_type, short_notice, notes
+      ) VALUES (uuid_shift($1, $3, $4::timestamptz, $6), $1, $2, $3, $4, $5, $6, $7, $8) RETURNING *
+    `, [
+      openShift.period_id,
+      openShift.week_number,
+      staffName,
+      openShift.shift_start_datetime,
+      openShift.shift_end_datetime,
+      openShift.shift_type,
+      shortNotice,
+      openShift.notes || ''
+    ]);
+    const shift = shiftResult.rows[0];
+    await recordShiftAuditEvents(client, req, 'create', [shift]);
+    
+    await client.query(`
+      UPDATE open_shifts
+      SET status = 'filled',
+          filled_by = $1,
+          filled_shift_id = $2,
+          filled_at = (NOW() AT TIME ZONE 'Europe/London')
+      WHERE open_shift_id = $3
+    `, [staffName, shift.id, id]);
+    
+    await recordAuditEvent(client, req, {
+      action: 'update',
+      entityType: 'open_shift',
+      entityId: id,
+      staffName: staffName,
+      entityDate: openShift.shift_date,
+      before: { status: openShift.status },
+      after: { status: 'filled', filled_by: staffName, filled_shift_id: shift.id, short_notice: shortNotice, acknowledged_conflicts: conflicts.length > 0 }
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log(`✅ Open ${openShift.shift_type} shift on ${openShift.shift_date} filled by ${staffName}${shortNotice ? ' (short notice)' : ''}`);
+    
+    res.json({
+      success: true,
+      data: await getOpenShift(pool, id),
+      shift: shift,
+      conflicts: conflicts,
+      message: `Open shift filled by ${staffName}${shortNotice ? ' (short notice)' : ''}`
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error filling open shift:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fill open shift',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Withdraw an open shift that has not been filled (team leaders)
+app.put('/api/open-shifts/:id/cancel', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    
+    const invalidIdResponse = getInvalidOpenShiftIdResponse(id);
+    if (invalidIdResponse) {
+      return res.status(400).json(invalidIdResponse);
+    }
+    
+    await client.query('BEGIN');
+    
+    const result = await client.query(`
+      UPDATE open_shifts
+      SET status = 'cancelled'
+      WHERE open_shift_id = $1 AND status = 'open'
+      RETURNING open_shift_id, to_char((shift_start_datetime AT TIME ZONE 'Europe/London')::date, 'YYYY-MM-DD') as shift_date
+    `, [id]);
+    
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      const existing = await getOpenShift(pool, id);
+      return res.status(existing ? 409 : 404).json({
+        success: false,
+        error: existing ? 'Open shift closed' : 'Open shift not found',
+        message: existing ? `This shift is already ${existing.status}` : `No open shift with ID ${id}`
+      });
+    }
+    
+    await recordAuditEvent(client, req, {
+      action: 'update',
+      entityType: 'open_shift',
+      entityId: id,
+      entityDate: result.rows[0].shift_date,
+      before: { status: 'open' },
+      after: { status: 'cancelled' }
+    });
+    
+    await client.query('COMMIT');
+    
+    res.json({
+      success: true,
+      data: await getOpenShift(pool, id),
+      message: 'Open shift cancelled'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error cancelling open shift:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel open shift',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// =====================================================
+// STAFFING RULES AND COVERAGE API ENDPOINTS
+// =====================================================
+
+// A staffing rule sets the headcount for a work shift type on one ISO day of week
+// (1 = Monday .. 7 = Sunday) or every day (day_of_week null). A rule for a specific
+// day overrides the every-day rule for the same shift type
+const STAFFING_RULE_DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const STAFFING_RULE_SELECT = `
+  SELECT 
+    r.staffing_rule_id,
+    r.shift_type,
+    r.day_of_week,
+    r.min_staff,
+    r.max_staff,
+    r.min_non_training,
+    r.notes,
+    r.created_at,
+    r.updated_at
+  FROM staffing_rules r
+  LEFT JOIN shift_types st ON st.name = r.shift_type
+`;
+
+// Helper function to validate staffing rule fields (only validates fields that are provided)
+// existing: the stored rule when updating, so min/max are compared with the values that will be saved
+async function validateStaffingRuleFields(fields, existing = null) {
+  if (fields.shift_type !== undefined) {
+    const shiftType = await findShiftType(fields.shift_type);
+    if (!shiftType || isTimeOffShiftType(shiftType)) {
+      return { error: 'Invalid shift type', message: `${fields.shift_type} is not a work shift type` };
+    }
+  }
+  
+  if (fields.day_of_week !== undefined && fields.day_of_week !== null && fields.day_of_week !== '' &&
+      !(Number.isInteger(Number(fields.day_of_week)) && Number(fields.day_of_week) >= 1 && Number(fields.day_of_week) <= 7)) {
+    return { error: 'Invalid day of week', message: 'Day of week must be 1 (Monday) to 7 (Sunday), or null for every day' };
+  }
+  
+  for (const column of ['min_staff', 'max_staff', 'min_non_training']) {
+    const value = fields[column];
+    if (value === undefined || (column === 'max_staff' && (value === null || value === ''))) continue;
+    if (value === null || value === '' || !Number.isInteger(Number(value)) || Number(value) < 0) {
+      return { error: 'Invalid headcount', message: `${column} must be a whole number of 0 or more` };
+    }
+  }
+  
+  const minStaff = fields.min_staff !== undefined ? Number(fields.min_staff) : (existing ? existing.min_staff : 1);
+  const maxStaff = fields.max_staff !== undefined ? fields.max_staff : (existing ? existing.max_staff : null);
+  if (maxStaff !== null && maxStaff !== '' && Number(maxStaff) < minStaff) {
+    return { error: 'Invalid headcount', message: 'Maximum staff cannot be less than minimum staff' };
+  }
+  
+  return null;
+}
+
+// Function to load one staffing rule (lock = true locks the row until the transaction ends)
+async function getStaffingRule(db, staffingRuleId, lock = false) {
+  const result = await db.query(`${STAFFING_RULE_SELECT} WHERE r.staffing_rule_id = $1${lock ? ' FOR UPDATE OF r' : ''}`, [staffingRuleId]);
+  return result.rows[0] || null;
+}
+
+// Helper function to build the 400 response for an invalid staffing rule ID (null when the ID is valid)
+function getInvalidStaffingRuleIdResponse(id) {
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+    return null;
+  }
+  return {
+    success: false,
+    error: 'Invalid staffing rule ID format',
+    message: 'Staffing rule ID must be a valid UUID'
+  };
+}
+
+// Helper function to describe when a staffing rule applies
+function describeStaffingRuleDay(dayOfWeek) {
+  return dayOfWeek ? STAFFING_RULE_DAY_NAMES[dayOfWeek - 1] : 'every day';
+}
+
+// Function to compare the staffing rules with the shifts of a period
+// Returns one cell per day and ruled shift type with status 'under', 'over' or 'ok'
+async function buildCoverageReport(db, periodId) {
+  const result = await db.query(`
+    WITH days AS (
+      SELECT day::date as day, ((day::date - p.start_date) / 7) + 1 as week_number
+      FROM periods p
+      CROSS JOIN generate_series(p.start_date, p.end_date, interval '1 day') AS day
+      WHERE p.period_id = $1
+    ),
+    day_rules AS (
+      SELECT DISTINCT ON (d.day, r.shift_type)
+        d.day, d.week_number, r.staffing_rule_id, r.shift_type, r.day_of_week, r.min_staff, r.max_staff, r.min_non_training
+      FROM days d
+      JOIN staffing_rules r ON r.day_of_week IS NULL OR r.day_of_week = EXTRACT(ISODOW FROM d.day)
+      ORDER BY d.day, r.shift_type, r.day_of_week NULLS LAST
+    )
+    SELECT 
+      to_char(dr.day, 'YYYY-MM-DD') as shift_date,
+      dr.week_number,
+      EXTRACT(ISODOW FROM dr.day)::int as day_of_week,
+      dr.shift_type,
+      dr.staffing_rule_id,
+      dr.min_staff,
+      dr.max_staff,
+      dr.min_non_training,
+      COUNT(s.id)::int as staff_count,
+      (COUNT(s.id) FILTER (WHERE NOT COALESCE(s.training, false)))::int as non_training_count,
+      COALESCE(array_agg(s.staff_name ORDER BY s.staff_name) FILTER (WHERE s.id IS NOT NULL), '{}') as staff_names
+    FROM day_rules dr
+    JOIN shift_types st ON st.name = dr.shift_type AND st.is_active = true
+    LEFT JOIN shifts s ON s.shift_type = dr.shift_type
+      AND (s.shift_start_datetime AT TIME ZONE 'Europe/London')::date = dr.day
+    GROUP BY dr.day, dr.week_number, dr.shift_type, dr.staffing_rule_id, dr.min_staff, dr.max_staff, dr.min_non_training, st.display_order
+    ORDER BY dr.day, st.display_order, dr.shift_type
+  `, [periodId]);
+  
+  return result.rows.map(cell => {
+    const problems = [];
+    if (cell.staff_count < cell.min_staff) {
+      problems.push(`${cell.staff_count} of ${cell.min_staff} staff`);
+    }
+    if (cell.non_training_count < cell.min_non_training) {
+      problems.push(`${cell.non_training_count} of ${cell.min_non_training} non-training staff`);
+    }
+    const isUnder = problems.length > 0;
+    if (cell.max_staff !== null && cell.staff_count > cell.max_staff) {
+      problems.push(`${cell.staff_count} staff, maximum ${cell.max_staff}`);
+    }
+    
+    // A gap outranks over-staffing (e.g. three trainees on a night that needs one trained worker)
+    return {
+      ...cell,
+      status: isUnder ? 'under' : (problems.length > 0 ? 'over' : 'ok'),
+      shortfall: Math.max(cell.min_staff - cell.staff_count, cell.min_non_training - cell.non_training_count, 0),
+      message: problems.length > 0 ? `${cell.shift_type} on ${cell.shift_date}: ${problems.join(', ')}` : null
+    };
+  });
+}
+
+// Get all staffing rules (team leaders)
+app.get('/api/staffing-rules', async (req, res) => {
+  try {
+    console.log('👥 Fetching staffing rules...');
+    
+    const result = await pool.query(`${STAFFING_RULE_SELECT} ORDER BY st.display_order, r.shift_type, r.day_of_week NULLS FIRST`);
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (err) {
+    console.error('Error fetching staffing rules:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch staffing rules',
+      message: err.message
+    });
+  }
+});
+
+// Add a staffing rule (team leaders)
+// Body: shift_type, optional day_of_week (null = every day), min_staff, max_staff, min_non_training, notes
+app.post('/api/staffing-rules', 
+  validateRequiredFields(['shift_type']),
+  async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const {
+      shift_type,
+      day_of_week = null,
+      min_staff = 1,
+      max_staff = null,
+      min_non_training = 0,
+      notes = ''
+    } = req.body;
+    
+    const validationError = await validateStaffingRuleFields({ shift_type, day_of_week, min_staff, max_staff, min_non_training });
+    if (validationError) {
+      return res.status(400).json({ success: false, ...validationError });
+    }
+    
+    const dayOfWeek = day_of_week === null || day_of_week === '' ? null : Number(day_of_week);
+    console.log(`➕ Adding staffing rule for ${shift_type} (${describeStaffingRuleDay(dayOfWeek)})`);
+    
+    await client.query('BEGIN');
+    
+    const result = await client.query(`
+      INSERT INTO staffing_rules (
+        staffing_rule_id, shift_type, day_of_week, min_staff, max_staff, min_non_training, notes
+      ) VALUES (
+        uuid_staffing_rule($1, $2::integer), $1, $2, $3, $4, $5, $6
+      )
+      RETURNING staffing_rule_id
+    `, [
+      shift_type,
+      dayOfWeek,
+      Number(min_staff),
+      max_staff === null || max_staff === '' ? null : Number(max_staff),
+      Number(min_non_training),
+      notes || ''
+    ]);
+    
+    const staffingRule = await getStaffingRule(client, result.rows[0].staffing_rule_id);
+    
+    await recordAuditEvent(client, req, {
+      action: 'create',
+      entityType: 'staffing_rule',
+      entityId: staffingRule.staffing_rule_id,
+      after: staffingRule
+    });
+    
+    await client.query('COMMIT');
+    
+    res.status(201).json({
+      success: true,
+      data: staffingRule,
+      message: 'Staffing rule added successfully'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error adding staffing rule:', err);
+    if (err.code === '23505') { // Unique constraint violation
+      res.status(409).json({
+        success: false,
+        error: 'Staffing rule already exists',
+        message: 'A staffing rule for this shift type and day already exists. Edit the existing rule instead.'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add staffing rule',
+        message: err.message
+      });
+    }
+  } finally {
+    client.release();
+  }
+});
+
+// Update a staffing rule (team leaders)
+app.put('/api/staffing-rules/:id', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const fields = req.body;
+    
+    const invalidIdResponse = getInvalidStaffingRuleIdResponse(id);
+    if (invalidIdResponse) {
+      return res.status(400).json(invalidIdResponse);
+    }
+    
+    await client.query('BEGIN');
+    
+    const previousRule = await getStaffingRule(client, id, true);
+    if (!previousRule) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Staffing rule not found',
+        message: 'No staffing rule found with the specified ID'
+      });
+    }
+    
+    const validationError = await validateStaffingRuleFields(fields, previousRule);
+    if (validationError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, ...validationError });
+    }
+    
+    const toCount = (value) => value !== undefined && value !== null && value !== '' ? Number(value) : null;
+    
+    console.log(`✏️ Updating staffing rule ${id}`);
+    
+    await client.query(`
+      UPDATE staffing_rules SET
+        shift_type = COALESCE($2, shift_type),
+        day_of_week = CASE WHEN $3::boolean THEN $4::integer ELSE day_of_week END,
+        min_staff = COALESCE($5, min_staff),
+        max_staff = CASE WHEN $6::boolean THEN $7::integer ELSE max_staff END,
+        min_non_training = COALESCE($8, min_non_training),
+        notes = COALESCE($9, notes),
+        updated_at = (NOW() AT TIME ZONE 'Europe/London')
+      WHERE staffing_rule_id = $1
+    `, [
+      id,
+      fields.shift_type || null,
+      fields.day_of_week !== undefined,
+      toCount(fields.day_of_week),
+      toCount(fields.min_staff),
+      fields.max_staff !== undefined,
+      toCount(fields.max_staff),
+      toCount(fields.min_non_training),
+      fields.notes !== undefined ? fields.notes : null
+    ]);
+    
+    const staffingRule = await getStaffingRule(client, id);
+    
+    await recordAuditEvent(client, req, {
+      action: 'update',
+      entityType: 'staffing_rule',
+      entityId: id,
+      before: previousRule,
+      after: staffingRule
+    });
+    
+    await client.query('COMMIT');
+    
+    res.json({
+      success: true,
+      data: staffingRule,
+      message: 'Staffing rule updated successfully'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error updating staffing rule:', err);
+    if (err.code === '23505') { // Unique constraint violation
+      res.status(409).json({
+        success: false,
+        error: 'Staffing rule already exists',
+        message: 'A staffing rule for this shift type and day already exists'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update staffing rule',
+        message: err.message
+      });
+    }
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a staffing rule (team leaders)
+app.delete('/api/staffing-rules/:id', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    
+    const invalidIdResponse = getInvalidStaffingRuleIdResponse(id);
+    if (invalidIdResponse) {
+      return res.status(400).json(invalidIdResponse);
+    }
+    
+    await client.query('BEGIN');
+    
+    const previousRule = await getStaffingRule(client, id, true);
+    if (!previousRule) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Staffing rule not found',
+        message: 'No staffing rule found with the specified ID'
+      });
+    }
+    
+    const result = await client.query(`
+      DELETE FROM staffing_rules WHERE staffing_rule_id = $1
+      RETURNING staffing_rule_id, shift_type, day_of_week
+    `, [id]);
+    
+    await recordAuditEvent(client, req, {
+      action: 'delete',
+      entityType: 'staffing_rule',
+      entityId: id,
+      before: previousRule
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log(`🗑️ Deleted staffing rule for ${result.rows[0].shift_type} (${describeStaffingRuleDay(result.rows[0].day_of_week)})`);
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Staffing rule deleted successfully'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error deleting staffing rule:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete staffing rule',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Coverage report - compares the staffing rules with the shifts of a period (team leaders)
+// Query: issuesOnly=true to return only under- and over-staffed cells
+app.get('/api/periods/:periodId/coverage', async (req, res) => {
+  try {
+    const { periodId } = req.params;
+    const issuesOnly = req.query.issuesOnly === 'true';
+    
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(periodId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid period ID format',
+        message: 'Period ID must be a valid UUID'
+      });
+    }
+    
+    const periodResult = await pool.query('SELECT period_id, period_name FROM periods WHERE period_id = $1', [periodId]);
+    if (periodResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Period not found',
+        message: `No period with ID ${periodId}`
+      });
+    }
+    
+    console.log(`👥 Building coverage report for ${periodResult.rows[0].period_name}...`);
+    const cells = await buildCoverageReport(pool, periodId);
+    
+    const summary = { under: 0, over: 0, ok: 0 };
+    cells.forEach(cell => summary[cell.status]++);
+    const data = issuesOnly ? cells.filter(cell => cell.status !== 'ok') : cells;
+    
+    res.json({
+      success: true,
+      data: data,
+      count: data.length,
+      summary: summary,
+      message: summary.under + summary.over === 0
+        ? `All ${cells.length} ruled cells are covered`
+        : `${summary.under} under-staffed and ${summary.over} over-staffed of ${cells.length} ruled cells`
+    });
+  } catch (err) {
+    console.error('❌ Error building coverage report:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build coverage report',
+      message: err.message
+    });
+  }
+});
+
+// =====================================================
+// CALENDAR FEED API ENDPOINTS
+// =====================================================
+
+// Shifts from this many days ago onwards are published in the calendar feed
+const CALENDAR_FEED_PAST_DAYS = 90;
+
+// Shift flags listed in the calendar event description
+const CALENDAR_FLAG_LABELS = {
+  solo_shift: 'Solo shift',
+  training: 'Training',
+  short_notice: 'Short notice',
+  call_out: 'Call-out',
+  overtime: 'Overtime',
+  payment_period_end: 'Payment period end',
+  financial_year_end: 'Financial year end'
+};
+
+// Europe/London VTIMEZONE (GMT in winter, BST from the last Sunday in March to the last Sunday in October)
+const EUROPE_LONDON_VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  'TZID:Europe/London',
+  'X-LIC-LOCATION:Europe/London',
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:+0000',
+  'TZOFFSETTO:+0100',
+  'TZNAME:BST',
+  'DTSTART:19700329T010000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0000',
+  'TZNAME:GMT',
+  'DTSTART:19701025T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+// Helper function to escape TEXT values (RFC 5545 section 3.3.11)
+function escapeIcsText(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Helper function to fold content lines longer than 75 octets
+function foldIcsLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    // Continuation lines start with a space, so they hold one octet less
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+// Helper function to format a timestamp as London local time (YYYYMMDDTHHMMSS) for TZID=Europe/London
+function formatIcsLondonDateTime(value) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone: 'Europe/London',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(value)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return `${parts.year}${parts.month}${parts.day}T${parts.hour}${parts.minute}${parts.second}`;
+}
+
+// Helper function to format a timestamp in UTC (YYYYMMDDTHHMMSSZ) for DTSTAMP
+function formatIcsUtcDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Helper function to format a YYYY-MM-DD date (plus a number of days) as YYYYMMDD for all-day events
+function formatIcsDate(date, addDays = 0) {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + addDays);
+  return value.toISOString().substring(0, 10).replace(/-/g, '');
+}
+
+// Function to build the VEVENT lines for one shift
+// Time-off shifts (holiday, SSP, CSP) are all-day events on the London date of the shift
+function buildShiftCalendarEvent(shift, shiftType, host) {
+  const flags = Object.keys(CALENDAR_FLAG_LABELS)
+    .filter(flag => shift[flag])
+    .map(flag => CALENDAR_FLAG_LABELS[flag]);
+  
+  const description = [`Shift type: ${shift.shift_type}`];
+  if (flags.length > 0) description.push(`Flags: ${flags.join(', ')}`);
+  if (shift.notes) description.push(`Notes: ${shift.notes}`);
+  
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${shift.id}@${host}`,
+    `DTSTAMP:${formatIcsUtcDateTime(shift.updated_at || shift.created_at || new Date())}`
+  ];
+  
+  if (isTimeOffShiftType(shiftType)) {
+    const date = getLondonDate(shift.shift_start_datetime);
+    lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(date)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatIcsDate(date, 1)}`);
+    lines.push('TRANSP:TRANSPARENT');
+  } else {
+    lines.push(`DTSTART;TZID=Europe/London:${formatIcsLondonDateTime(shift.shift_start_datetime)}`);
+    lines.push(`DTEND;TZID=Europe/London:${formatIcsLondonDateTime(shift.shift_end_datetime)}`);
+  }
+  
+  lines.push(`SUMMARY:${escapeIcsText(shift.shift_type)}`);
+  lines.push(`DESCRIPTION:${escapeIcsText(description.join('\n'))}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// Create (or replace) the calendar feed link for a staff member
+// Only a SHA-256 hash of the token is stored, so the link is only shown once; creating a new link revokes the old one
+app.post('/api/calendar/:staffId/link', async (req, res) => {
+  try {
+    const { staffId } = req.params;
+    
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(staffId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid staff ID format',
+        message: 'Staff ID must be a valid UUID'
+      });
+    }
+    
+    const staffResult = await pool.query('SELECT staff_name FROM human_resource WHERE unique_id = $1', [staffId]);
+    if (staffResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found',
+        message: `No staff member with ID ${staffId}`
+      });
+    }
+    
+    const token = crypto.randomBytes(32).toString('hex');
+    await pool.query(`
+      INSERT INTO calendar_feed_tokens (staff_id, token_hash)
+      VALUES ($1, $2)
+      ON CONFLICT (staff_id) DO UPDATE SET
+        token_hash = EXCLUDED.token_hash,
+        created_at = (NOW() AT TIME ZONE 'Europe/London')
+    `, [staffId, hashSessionToken(token)]);
+    
+    const url = `${req.protocol}://${req.get('host')}/api/calendar/${staffId}.ics?token=${token}`;
+    console.log(`📆 Created calendar feed link for ${staffResult.rows[0].staff_name}`);
+    
+    res.status(201).json({
+      success: true,
+      data: {
+        url: url,
+        webcalUrl: url.replace(/^https?:/, 'webcal:')
+      },
+      message: 'Calendar link created - any previous link no longer works'
+    });
+  } catch (err) {
+    console.error('❌ Error creating calendar feed link:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create calendar link',
+      message: err.message
+    });
+  }
+});
+
+// Revoke the calendar feed link for a staff member
+app.delete('/api/calendar/:staffId/link', async (req, res) => {
+  try {
+    const { staffId } = req.params;
+    
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(staffId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid staff ID format',
+        message: 'Staff ID must be a valid UUID'
+      });
+    }
+    
+    const result = await pool.query('DELETE FROM calendar_feed_tokens WHERE staff_id = $1 RETURNING staff_id', [staffId]);
+    
+    res.json({
+      success: true,
+      revoked: result.rows.length > 0,
+      message: result.rows.length > 0 ? 'Calendar link revoked' : 'No calendar link to revoke'
+    });
+  } catch (err) {
+    console.error('❌ Error revoking calendar feed link:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke calendar link',
+      message: err.message
+    });
+  }
+});
+
+// iCalendar feed of a staff member's shifts (public route - protected by the ?token= from the calendar link)
+app.get('/api/calendar/:staffId.ics', async (req, res) => {
+  try {
+    const { staffId } = req.params;
+    const { token } = req.query;
+    
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(staffId) || !token) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar not found',
+        message: 'Unknown calendar link'
+      });
+    }
+    
+    const staffResult = await pool.query(`
+      SELECT hr.staff_name
+      FROM calendar_feed_tokens cft
+      JOIN human_resource hr ON hr.unique_id = cft.staff_id
+      WHERE cft.staff_id = $1 AND cft.token_hash = $2
+    `, [staffId, hashSessionToken(String(token))]);
+    
+    if (staffResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar not found',
+        message: 'Unknown calendar link'
+      });
+    }
+    
+    const staffName = staffResult.rows[0].staff_name;
+    // Work shifts come from the latest published version - draft rotas and later edits are left out until published
+    const shiftsResult = await pool.query(`
+      SELECT s.*
+      FROM ${PUBLISHED_SHIFTS} s
+      WHERE s.staff_name = $1
+        AND s.shift_start_datetime >= NOW() - make_interval(days => $2)
+      ORDER BY s.shift_start_datetime
+    `, [staffName, CALENDAR_FEED_PAST_DAYS]);
+    
+    const shiftTypes = await getShiftTypes();
+    const host = req.hostname || 'rota';
+    
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//T&C//Staff Rota//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeIcsText(`Rota - ${staffName}`)}`,
+      'X-WR-TIMEZONE:Europe/London',
+      ...EUROPE_LONDON_VTIMEZONE
+    ];
+    
+    shiftsResult.rows.forEach(shift => {
+      const shiftType = shiftTypes.find(type => type.name === shift.shift_type);
+      lines.push(...buildShiftCalendarEvent(shift, shiftType, host));
+    });
+    lines.push('END:VCALENDAR');
+    
+    console.log(`📆 Calendar feed for ${staffName}: ${shiftsResult.rows.length} shifts`);
+    
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="rota-${staffId}.ics"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(lines.map(foldIcsLine).join('\r\n') + '\r\n');
+  } catch (err) {
+    console.error('❌ Error building calendar feed:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build calendar feed',
+      message: err.message
+    });
+  }
+});
+
+// =====================================================
+// ROTA PDF EXPORT API ENDPOINTS
+// =====================================================
+
+// Page layouts for the period rota PDF
+// standard: A4 portrait, two weeks per page - wall: A3 landscape, the whole period on one sheet
+const ROTA_PDF_LAYOUTS = {
+  standard: { format: 'A4', landscape: false, weeksPerPage: 2, fontSize: 10 },
+  wall: { format: 'A3', landscape: true, weeksPerPage: 4, fontSize: 9 }
+};
+
+// Shift flags shown as badges in the PDFs (same labels and colours as the rota grid)
+const ROTA_PDF_FLAGS = [
+  { column: 'solo_shift', label: 'Solo', color: '#f7931e' },
+  { column: 'training', label: 'Training', color: '#44a08d' },
+  { column: 'short_notice', label: '<12h Notice', color: '#ee5a52' },
+  { column: 'overtime', label: 'Overtime', color: '#8e44ad' },
+  { column: 'call_out', label: 'Call-out', color: '#c0392b' }
+];
+
+// Colour used for staff members without a color_code (same fallback as the rota grid)
+const DEFAULT_STAFF_COLOR = '#3b82f6';
+
+// Shared headless Chrome for PDF rendering - started on the first export and reused, each PDF gets its own page
+let pdfBrowserPromise = null;
+
+function getPdfBrowser() {
+  if (!pdfBrowserPromise) {
+    pdfBrowserPromise = puppeteer.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+    }).then(browser => {
+      // Start a new browser on the next export if this one crashes
+      browser.on('disconnected', () => {
+        pdfBrowserPromise = null;
+      });
+      return browser;
+    }).catch(err => {
+      pdfBrowserPromise = null;
+      throw err;
+    });
+  }
+  return pdfBrowserPromise;
+}
+
+// Function to print an HTML document to a PDF (returns a Buffer)
+// The footer carries the print time and page numbers, like the browser print layout
+async function renderPdf(html, { format = 'A4', landscape = false } = {}) {
+  const browser = await getPdfBrowser();
+  const page = await browser.newPage();
+  
+  try {
+    await page.setContent(html, { waitUntil: 'load' });
+    
+    const printedAt = new Date().toLocaleString('en-GB', {
+      timeZone: 'Europe/London',
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+    
+    const pdf = await page.pdf({
+      format: format,
+      landscape: landscape,
+      printBackground: true,
+      displayHeaderFooter: true,
+      headerTemplate: '<span></span>',
+      footerTemplate: `
+        <div style="width: 100%; font-size: 8px; color: #6b7280; padding: 0 10mm; display: flex; justify-content: space-between;">
+          <span>Printed: ${printedAt}</span>
+          <span>Page <span class="pageNumber"></span> of <span class="totalPages"></span></span>
+        </div>`,
+      margin: { top: '10mm', right: '10mm', bottom: '14mm', left: '10mm' }
+    });
+    
+    return Buffer.from(pdf);
+  } finally {
+    await page.close();
+  }
+}
+
+// Helper function to escape text for the PDF HTML
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Helper function to pick dark or white text for a staff colour
+function getReadableTextColor(hexColor) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hexColor || '');
+  if (!match) return '#ffffff';
+  
+  const value = parseInt(match[1], 16);
+  const brightness = (0.299 * (value >> 16) + 0.587 * ((value >> 8) & 255) + 0.114 * (value & 255)) / 255;
+  return brightness > 0.6 ? '#111827' : '#ffffff';
+}
+
+// Helper function to list the YYYY-MM-DD dates from startDate to endDate
+function getDatesBetween(startDate, endDate) {
+  const dates = [];
+  const day = new Date(`${startDate}T00:00:00Z`);
+  const last = new Date(`${endDate}T00:00:00Z`);
+  while (day <= last) {
+    dates.push(day.toISOString().substring(0, 10));
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  return dates;
+}
+
+// Helper function to format a YYYY-MM-DD date for the PDFs, e.g. 'Mon 3 Nov'
+function formatPdfDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', { timeZone: 'UTC', weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+// Function to load a period and the shifts shown in its PDFs
+// includeDrafts = false shows the work shifts of the latest published version only (what staff members can see)
+// staffName limits the shifts to one staff member (personal rota)
+async function loadRotaPdfData(db, periodId, { includeDrafts, staffName = null }) {
+  const periodResult = await db.query(`
+    SELECT
+      period_id, period_name, status,
+      to_char(start_date, 'YYYY-MM-DD') as start_date,
+      to_char(end_date, 'YYYY-MM-DD') as end_date
+    FROM periods
+    WHERE period_id = $1
+  `, [periodId]);
+  
+  if (periodResult.rows.length === 0) {
+    return null;
+  }
+  
+  const shiftsResult = await db.query(`
+    SELECT
+      s.id, s.staff_name, s.shift_type, s.notes,
+      COALESCE(s.solo_shift, false) as solo_shift,
+      COALESCE(s.training, false) as training,
+      COALESCE(s.short_notice, false) as short_notice,
+      COALESCE(s.call_out, false) as call_out,
+      COALESCE(s.overtime, false) as overtime,
+      to_char(s.shift_start_datetime AT TIME ZONE 'Europe/London', 'YYYY-MM-DD') as shift_date,
+      to_char(s.shift_start_datetime AT TIME ZONE 'Europe/London', 'HH24:MI') as start_time,
+      to_char(s.shift_end_datetime AT TIME ZONE 'Europe/London', 'HH24:MI') as end_time,
+      EXTRACT(EPOCH FROM (s.shift_end_datetime - s.shift_start_datetime)) / 3600 as hours,
+      hr.color_code
+    FROM ${includeDrafts ? 'shifts' : PUBLISHED_SHIFTS} s
+    LEFT JOIN human_resource hr ON hr.staff_name = s.staff_name
+    WHERE s.period_id = $1
+      AND ($2::text IS NULL OR s.staff_name = $2)
+    ORDER BY s.shift_start_datetime, s.staff_name
+  `, [periodId, staffName]);
+  
+  return {
+    period: periodResult.rows[0],
+    shifts: shiftsResult.rows,
+    includeDrafts: includeDrafts
+  };
+}
+
+// Helper function to build the flag badges of a shift
+function buildPdfFlagBadges(shift) {
+  return ROTA_PDF_FLAGS
+    .filter(flag => shift[flag.column])
+    .map(flag => `<span class="flag" style="background: ${flag.color};">${escapeHtml(flag.label)}</span>`)
+    .join('');
+}
+
+// Helper function to build the staff chip (staff colour, flags and notes) of a shift in a rota cell
+function buildPdfShiftChip(shift, label) {
+  const color = shift.color_code || DEFAULT_STAFF_COLOR;
+  const flags = buildPdfFlagBadges(shift);
+  
+  return `
+    <div class="shift">
+      <div class="staff" style="background: ${escapeHtml(color)}; color: ${getReadableTextColor(color)};">${escapeHtml(label)}</div>
+      ${flags ? `<div class="flags">${flags}</div>` : ''}
+      ${shift.notes ? `<div class="note">${escapeHtml(shift.notes)}</div>` : ''}
+    </div>`;
+}
+
+// Function to build the table of one rota week: a row per work shift type, then Time-Off and Unavailable
+function buildRotaPdfWeekTable(weekNumber, dates, shiftTypes, shifts, unavailability) {
+  const workTypes = shiftTypes.filter(type => !isTimeOffShiftType(type));
+  const timeOffNames = shiftTypes.filter(isTimeOffShiftType).map(type => type.name);
+  
+  const headerCells = dates.map(date => `<th>${escapeHtml(formatPdfDate(date))}</th>`).join('');
+  
+  const workRows = workTypes.map(type => {
+    const cells = dates.map(date => {
+      const chips = shifts
+        .filter(shift => shift.shift_date === date && shift.shift_type === type.name)
+        .map(shift => buildPdfShiftChip(shift, shift.staff_name))
+        .join('');
+      return `<td>${chips}</td>`;
+    }).join('');
+    return `<tr><th class="row-label" style="border-left: 4px solid ${escapeHtml(type.color_code || '#d1d5db')};">${escapeHtml(type.name)}</th>${cells}</tr>`;
+  }).join('');
+  
+  const timeOffCells = dates.map(date => {
+    const chips = shifts
+      .filter(shift => shift.shift_date === date && timeOffNames.includes(shift.shift_type))
+      .map(shift => buildPdfShiftChip(shift, `${shift.staff_name} (${shift.shift_type})`))
+      .join('');
+    return `<td>${chips}</td>`;
+  }).join('');
+  
+  const unavailableCells = dates.map(date => {
+    const entry = unavailability[date];
+    if (!entry) return '<td></td>';
+    return `<td class="unavailable">${escapeHtml(entry.unavailable)}${entry.notes ? `<div class="note">${escapeHtml(entry.notes)}</div>` : ''}</td>`;
+  }).join('');
+  
+  return `
+    <div class="week">
+      <h3>Week ${weekNumber}</h3>
+      <table>
+        <thead><tr><th class="row-label">Shift</th>${headerCells}</tr></thead>
+        <tbody>
+          ${workRows}
+          <tr class="time-off-row"><th class="row-label">Time-Off</th>${timeOffCells}</tr>
+          <tr class="unavailable-row"><th class="row-label">Unavailable</th>${unavailableCells}</tr>
+        </tbody>
+      </table>
+    </div>`;
+}
+
+// Function to wrap PDF content in a page with the T&C header and the shared styles
+function buildPdfDocument(title, subtitle, content, fontSize = 10) {
+  return `<!DOCTYPE html>
+<html lang="en-GB">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} - ${escapeHtml(subtitle)}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { font-family: Arial, Helvetica, sans-serif; font-size: ${fontSize}px; color: #111827; margin: 0; }
+    .page { page-break-after: always; }
+    .page:last-child { page-break-after: auto; }
+    .page-header { text-align: center; margin-bottom: 8px; }
+    .page-header h1 { font-size: 20px; margin: 0; }
+    .page-header h2 { font-size: 13px; font-weight: normal; margin: 2px 0 0 0; color: #374151; }
+    .page-header .draft { color: #b91c1c; font-weight: bold; }
+    .week { page-break-inside: avoid; margin-bottom: 10px; }
+    .week h3 { font-size: 12px; margin: 6px 0 4px 0; }
+    table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+    th, td { border: 1px solid #d1d5db; padding: 3px; vertical-align: top; text-align: center; }
+    thead th { background: #f3f4f6; }
+    .row-label { width: 13%; text-align: left; background: #f9fafb; }
+    .time-off-row td, .time-off-row th { background: #f0fdf4; }
+    .unavailable-row td, .unavailable-row th { background: #fef2f2; }
+    .shift { margin-bottom: 3px; }
+    .staff { border-radius: 4px; padding: 2px 3px; font-weight: bold; -webkit-print-color-adjust: exact; }
+    .flags { margin-top: 2px; }
+    .flag { display: inline-block; color: #ffffff; border-radius: 8px; padding: 0 4px; margin: 1px; font-size: 0.8em; font-weight: bold; }
+    .note { font-size: 0.85em; font-style: italic; color: #4b5563; margin-top: 1px; }
+    .unavailable { color: #991b1b; }
+    .shift-list td { text-align: left; }
+    .shift-list .staff { display: inline-block; }
+    .totals { margin-top: 8px; font-weight: bold; }
+  </style>
+</head>
+<body>
+${content}
+</body>
+</html>`;
+}
+
+// Helper function to build the T&C page header
+function buildPdfPageHeader(subtitle, isDraft) {
+  return `
+    <div class="page-header">
+      <h1>T&amp;C</h1>
+      <h2>${escapeHtml(subtitle)}${isDraft ? ' <span class="draft">DRAFT - not published</span>' : ''}</h2>
+    </div>`;
+}
+
+// Function to build the period rota PDF document (the rota grid: every shift with staff colours,
+// flags, the Time-Off row and the Unavailable row)
+async function buildRotaPdfHtml(data, unavailability, layout) {
+  const { period, shifts } = data;
+  const shiftTypes = (await getShiftTypes())
+    .filter(type => type.is_active || shifts.some(shift => shift.shift_type === type.name));
+  const dates = getDatesBetween(period.start_date, period.end_date);
+  
+  const weeks = [];
+  for (let i = 0; i < dates.length; i += 7) {
+    weeks.push(buildRotaPdfWeekTable(weeks.length + 1, dates.slice(i, i + 7), shiftTypes, shifts, unavailability));
+  }
+  
+  const pages = [];
+  for (let i = 0; i < weeks.length; i += layout.weeksPerPage) {
+    pages.push(`
+      <div class="page">
+        ${buildPdfPageHeader(period.period_name, period.status === 'draft')}
+        ${weeks.slice(i, i + layout.weeksPerPage).join('')}
+      </div>`);
+  }
+  
+  return buildPdfDocument('Staff Rota', period.period_name, pages.join(''), layout.fontSize);
+}
+
+// Function to build a staff member's personal rota PDF document (their shifts of the period as a list)
+async function buildPersonalRotaPdfHtml(data, staffName) {
+  const { period, shifts, includeDrafts } = data;
+  const shiftTypes = await getShiftTypes();
+  
+  const rows = shifts.map(shift => `
+    <tr>
+      <td>${escapeHtml(formatPdfDate(shift.shift_date))}</td>
+      <td>${buildPdfShiftChip(shift, shift.shift_type)}</td>
+      <td>${escapeHtml(shift.start_time)}-${escapeHtml(shift.end_time)}</td>
+      <td>${Number(shift.hours).toFixed(2)}</td>
+    </tr>`).join('');
+  
+  const workShifts = shifts.filter(shift => !isTimeOffShiftType(shiftTypes.find(type => type.name === shift.shift_type)));
+  const workHours = workShifts.reduce((total, shift) => total + Number(shift.hours), 0);
+  
+  const content = `
+    <div class="page">
+      ${buildPdfPageHeader(`${staffName} - ${period.period_name}`, period.status === 'draft')}
+      ${period.status === 'draft' && !includeDrafts ? '<p class="note">This rota has not been published yet - only holiday and sick leave are shown.</p>' : ''}
+      ${shifts.length > 0 ? `
+        <table class="shift-list">
+          <thead><tr><th>Date</th><th>Shift</th><th>Time</th><th>Hours</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+        <p class="totals">${workShifts.length} shift${workShifts.length === 1 ? '' : 's'}, ${workHours.toFixed(2)} hours</p>
+      ` : '<p>No shifts in this period.</p>'}
+    </div>`;
+  
+  return buildPdfDocument(`Rota - ${staffName}`, period.period_name, content);
+}
+
+// Helper function to send a PDF as a download
+function sendPdf(res, pdf, filename) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(pdf);
+}
+
+// Helper function to turn a name into a safe file name part, e.g. 'Period 3 2025' -> 'period-3-2025'
+function toPdfFilename(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'rota';
+}
+
+// Rota PDF of a period (team leaders) - the rota grid with staff colours, flags, Time-Off and Unavailable rows
+// Query: layout=standard (A4 portrait, two weeks per page - default) or layout=wall (A3 landscape wall chart)
+app.get('/api/periods/:periodId/rota.pdf', async (req, res) => {
+  try {
+    const { periodId } = req.params;
+    const layoutName = req.query.layout || 'standard';
+    
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(periodId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid period ID format',
+        message: 'Period ID must be a valid UUID'
+      });
+    }
+    
+    const layout = ROTA_PDF_LAYOUTS[layoutName];
+    if (!layout) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid layout',
+        message: `Layout must be one of: ${Object.keys(ROTA_PDF_LAYOUTS).join(', ')}`
+      });
+    }
+    
+    const data = await loadRotaPdfData(pool, periodId, { includeDrafts: true });
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Period not found',
+        message: `No period with ID ${periodId}`
+      });
+    }
+    
+    const unavailabilityResult = await pool.query(`
+      SELECT to_char(date, 'YYYY-MM-DD') as date, unavailable, notes
+      FROM unavailable_staff_daily
+      WHERE period_id = $1 AND (unavailable <> '' OR COALESCE(notes, '') <> '')
+    `, [periodId]);
+    const unavailability = {};
+    unavailabilityResult.rows.forEach(row => {
+      unavailability[row.date] = row;
+    });
+    
+    console.log(`📄 Rendering ${layoutName} rota PDF for ${data.period.period_name} (${data.shifts.length} shifts)...`);
+    const html = await buildRotaPdfHtml(data, unavailability, layout);
+    const pdf = await renderPdf(html, layout);
+    
+    sendPdf(res, pdf, `rota-${toPdfFilename(data.period.period_name)}${layoutName === 'wall' ? '-wall-chart' : ''}.pdf`);
+  } catch (err) {
+    console.error('❌ Error rendering rota PDF:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render rota PDF',
+      message: err.message
+    });
+  }
+});
+
+// Personal rota PDF - one staff member's shifts of a period
+// Staff members can download their own; like the calendar feed, work shifts of a draft rota are only shown to team leaders
+app.get('/api/periods/:periodId/staff/:staffId/rota.pdf', async (req, res) => {
+  try {
+    const { periodId, staffId } = req.params;
+    
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(periodId) || !uuidRegex.test(staffId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ID format',
+        message: 'Period ID and staff ID must be valid UUIDs'
+      });
+    }
+    
+    const staffResult = await pool.query('SELECT staff_name FROM human_resource WHERE unique_id = $1', [staffId]);
+    if (staffResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found',
+        message: `No staff member with ID ${staffId}`
+      });
+    }
+    
+    const staffName = staffResult.rows[0].staff_name;
+    const data = await loadRotaPdfData(pool, periodId, { includeDrafts: canViewDraftRotas(req), staffName: staffName });
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Period not found',
+        message: `No period with ID ${periodId}`
+      });
+    }
+    
+    console.log(`📄 Rendering personal rota PDF for ${staffName}, ${data.period.period_name} (${data.shifts.length} shifts)...`);
+    const html = await buildPersonalRotaPdfHtml(data, staffName);
+    const pdf = await renderPdf(html, ROTA_PDF_LAYOUTS.standard);
+    
+    sendPdf(res, pdf, `rota-${toPdfFilename(staffName)}-${toPdfFilename(data.period.period_name)}.pdf`);
+  } catch (err) {
+    console.error('❌ Error rendering personal rota PDF:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render personal rota PDF',
+      message: err.message
+    });
+  }
+});
 
-          // Validate that the staff member exists
-          const staffCheck = await client.query(
-            'SELECT staff_name FROM human_resource WHERE staff_name = $1 AND is_active = true',
-            [assignment.staffName]
-          );
-          
-          if (staffCheck.rows.length === 0) {
-            await client.query('ROLLBACK');
-            client.release();
-            console.error(`❌ Staff member '${assignment.staffName}' not found in database`);
-            return res.status(400).json({
-              success: false,
-              error: 'Invalid staff member',
-              message: `Staff member '${assignment.staffName}' does not exist or is not active`
-            });
-          }
+// =====================================================
+// NOTIFICATION OUTBOX
+// =====================================================
 
-          // Calculate shift times
-          const assignmentShiftStart = new Date(shiftStartDatetime);
-          const [assignmentStartHour, assignmentStartMinute] = assignment.startTime.split(':');
-          assignmentShiftStart.setHours(parseInt(assignmentStartHour), parseInt(assignmentStartMinute), 0, 0);
-          
-          const assignmentShiftEnd = new Date(shiftStartDatetime);
-          const [assignmentEndHour, assignmentEndMinute] = assignment.endTime.split(':');
-          assignmentShiftEnd.setHours(parseInt(assignmentEndHour), parseInt(assignmentEndMinute), 0, 0);
-          
-          if (assignmentShiftEnd < assignmentShiftStart) {
-            assignmentShiftEnd.setDate(assignmentShiftEnd.getDate() + 1);
-          }
-          
-          let assignmentShiftType = shiftType;
-          if (isTimeOffCell) {
-            if (assignment.csp) {
-              assignmentShiftType = 'CSP';
-            } else if (assignment.ssp) {
-              assignmentShiftType = 'SSP';
-            } else {
-              assignmentShiftType = shiftType;
-            }
-          }
-          
-          // Insert shift record
-          const result = await client.query(`
-            INSERT INTO shifts (
-              id, period_id, week_number, staff_name, shift_start_datetime, shift_end_datetime, 
-              shift_type, solo_shift, training, short_notice, call_out, payment_period_end, financial_year_end, notes, overtime
-            ) VALUES (uuid_shift($1, $3, $4::timestamptz, $6), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING *
-          `, [
-            periodId, 
-            weekNumber, 
-            assignment.staffName, 
-            assignmentShiftStart.toISOString(), 
-            assignmentShiftEnd.toISOString(),
-            assignmentShiftType, 
-            assignment.soloShift || false,
-            assignment.training || false,
-            assignment.shortNotice || false,
-            assignment.callout || false,
-            assignment.paymentPeriodEnd || false,
-            assignment.financialYearEnd || false,
-            assignment.notes || '',
-            assignment.overtime || false
-          ]);
-          
-          createdShifts.push(result.rows[0]);
-          console.log(`✅ Created shift record for ${assignment.staffName} (${assignmentShiftType})`);
-        }
+const NOTIFICATION_EVENT_TYPES = ['shift_created', 'shift_removed', 'flag_changed', 'holiday_entitlement_exhausted', 'change_request_applied'];
+const NOTIFICATION_DIGESTS = ['immediate', 'daily'];
+const NOTIFICATION_STATUSES = ['pending', 'sent', 'failed', 'skipped'];
+
+// Labels and value formats of the change requests applied by processChangeRequests
+const CHANGE_REQUEST_NOTIFICATION_LABELS = {
+  role_change: 'Role',
+  pay_rate_change: 'Pay rate',
+  contracted_hours_change: 'Contracted hours',
+  employment_date_change: 'Employment start date',
+  employment_end_date_change: 'Employment end date',
+  color_code_change: 'Rota colour',
+  active_status_change: 'Active status'
+};
+
+// Function to add notifications to the outbox
+// Pass the transaction client as db so a notification is only sent if the change it describes is committed
+// notifications: [{ staffId, staffName, eventType, subject, body, payload }]
+async function queueNotifications(db, notifications) {
+  if (notifications.length === 0) return;
+  
+  await db.query(`
+    INSERT INTO notification_outbox (staff_id, staff_name, event_type, subject, body, payload, next_attempt_at)
+    SELECT
+      n.staff_id, n.staff_name, n.event_type, n.subject, n.body,
+      COALESCE(n.payload, '{}'::jsonb), NOW() + make_interval(secs => $2)
+    FROM jsonb_to_recordset($1::jsonb) AS n(staff_id uuid, staff_name text, event_type text, subject text, body text, payload jsonb)
+    ON CONFLICT (notification_id) DO NOTHING
+  `, [JSON.stringify(notifications.map(notification => ({
+    staff_id: notification.staffId,
+    staff_name: notification.staffName,
+    event_type: notification.eventType,
+    subject: notification.subject,
+    body: notification.body,
+    payload: notification.payload || {}
+  }))), notificationConfig.batchSeconds]);
+}
+
+// Helper function to build the subject and text of a shift notification
+// change: what changed for flag_changed, e.g. 'Training on'
+function buildShiftNotification(eventType, shift, change) {
+  const description = describeRotaShift(shift);
+  switch (eventType) {
+    case 'shift_created':
+      return { subject: `New shift: ${description}`, body: `You have been added to the rota: ${description}.` };
+    case 'shift_removed':
+      return { subject: `Shift removed: ${description}`, body: `You have been taken off the rota: ${description}.` };
+    default:
+      return {
+        subject: `Shift changed: ${description}`,
+        body: `${change} for your ${description} shift.${change === 'Notes changed' && shift.notes ? `\nNotes: ${shift.notes}` : ''}`
+      };
+  }
+}
+
+// Function to queue shift_created, shift_removed or flag_changed notifications for shift rows
+// Holiday and sick shifts are sent as they are saved. Work shifts are sent when their period is
+// published (published = true) - staff cannot see work shift edits until then
+async function queueShiftNotifications(db, eventType, shifts, change, published = false) {
+  if (shifts.length === 0) return;
+  
+  const result = await db.query(`
+    SELECT s.id, hr.unique_id as staff_id
+    FROM jsonb_to_recordset($1::jsonb) AS s(id uuid, staff_name text, shift_type text)
+    JOIN human_resource hr ON hr.staff_name = s.staff_name
+    WHERE (${TIME_OFF_SHIFT_CONDITION}) <> $2::boolean
+  `, [JSON.stringify(shifts.map(shift => ({
+    id: shift.id,
+    staff_name: shift.staff_name,
+    shift_type: shift.shift_type
+  }))), published]);
+  
+  const staffIds = new Map(result.rows.map(row => [row.id, row.staff_id]));
+  await queueNotifications(db, shifts
+    .filter(shift => staffIds.has(shift.id))
+    .map(shift => ({
+      staffId: staffIds.get(shift.id),
+      staffName: shift.staff_name,
+      eventType: eventType,
+      ...buildShiftNotification(eventType, shift, change),
+      payload: {
+        shiftId: shift.id,
+        shiftType: shift.shift_type,
+        date: getLondonDate(shift.shift_start_datetime),
+        ...(change ? { change: change } : {})
       }
-      
+    })));
+}
+
+// Function to queue a holiday_entitlement_exhausted notification when new HOLIDAY shifts use up
+// the rest of a staff member's entitlement (once per holiday year)
+async function queueHolidayExhaustedNotifications(db, shifts) {
+  const staffNames = [...new Set(shifts.filter(shift => shift.shift_type === 'HOLIDAY').map(shift => shift.staff_name))];
+  if (staffNames.length === 0) return;
+  
+  const result = await db.query(`
+    SELECT
+      che.staff_id, che.staff_name, che.statutory_entitlement_hours,
+      to_char(che.holiday_year_start, 'YYYY-MM-DD') as holiday_year_start,
+      to_char(che.holiday_year_end, 'YYYY-MM-DD') as holiday_year_end
+    FROM current_holiday_entitlements che
+    WHERE che.staff_name = ANY($1)
+      AND che.statutory_entitlement_hours > 0
+      AND che.hours_remaining <= 0
+      AND NOT EXISTS (
+        SELECT 1 FROM notification_outbox o
+        WHERE o.staff_id = che.staff_id
+          AND o.event_type = 'holiday_entitlement_exhausted'
+          AND o.payload->>'holidayYearStart' = to_char(che.holiday_year_start, 'YYYY-MM-DD')
+      )
+  `, [staffNames]);
+  
+  await queueNotifications(db, result.rows.map(row => ({
+    staffId: row.staff_id,
+    staffName: row.staff_name,
+    eventType: 'holiday_entitlement_exhausted',
+    subject: 'Holiday entitlement used up',
+    body: `You have booked all ${parseFloat(row.statutory_entitlement_hours)} hours of your holiday entitlement for ${row.holiday_year_start} to ${row.holiday_year_end}.`,
+    payload: { holidayYearStart: row.holiday_year_start, holidayYearEnd: row.holiday_year_end }
+  })));
+}
+
+// Helper function to show a change request value in an email
+function formatChangeRequestValue(changeType, value) {
+  if (value === null || value === undefined || value === '' || value === 'NULL') return 'not set';
+  switch (changeType) {
+    case 'employment_date_change':
+    case 'employment_end_date_change':
+      return new Date(value).toLocaleDateString('en-GB', { timeZone: 'Europe/London', day: 'numeric', month: 'long', year: 'numeric' });
+    case 'active_status_change':
+      return value === 'true' ? 'active' : 'inactive';
+    case 'pay_rate_change':
+      return `£${parseFloat(value).toFixed(2)}`;
+    default:
+      return value;
+  }
+}
+
+// Function to queue the change_request_applied notification for a change request processChangeRequests applied
+async function queueChangeRequestNotification(db, request) {
+  const label = CHANGE_REQUEST_NOTIFICATION_LABELS[request.change_type] || request.change_type;
+  await queueNotifications(db, [{
+    staffId: request.staff_id,
+    staffName: request.staff_name,
+    eventType: 'change_request_applied',
+    subject: `${label} updated`,
+    body: `${label} changed from ${formatChangeRequestValue(request.change_type, request.old_value)} to ` +
+      `${formatChangeRequestValue(request.change_type, request.new_value)} (effective ${getLondonDate(request.effective_from_date)}).`,
+    payload: { changeRequestId: request.id, changeType: request.change_type, newValue: request.new_value }
+  }]);
+}
+
+let notificationTransport = null;
+let notificationWorkerRunning = false;
+
+// Helper function to get the SMTP transport (created on first use)
+function getNotificationTransport() {
+  if (!notificationTransport) {
+    const smtp = notificationConfig.smtp;
+    notificationTransport = nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined
+    });
+  }
+  return notificationTransport;
+}
+
+// Helper function to build one email from a staff member's pending notifications
+// A single notification is sent as it is, several are joined into one digest email
+function buildNotificationEmail(staffName, notifications) {
+  if (notifications.length === 1) {
+    return {
+      subject: notifications[0].subject,
+      text: `Hi ${staffName},\n\n${notifications[0].body}\n`
+    };
+  }
+  
+  return {
+    subject: `Rota updates: ${notifications.length} changes`,
+    text: `Hi ${staffName},\n\n` +
+      notifications.map(notification => `- ${notification.body.replace(/\n/g, '\n  ')}`).join('\n') +
+      '\n'
+  };
+}
+
+// Helper function to find shift_removed/shift_created pairs for the same shift (a rota cell saved by
+// replacing its shifts recreates them with the same ID) - the shift did not change, so neither is sent
+function getCancelledShiftNotificationIds(notifications) {
+  const cancelled = new Set();
+  notifications.forEach((removed, index) => {
+    if (removed.event_type !== 'shift_removed' || cancelled.has(removed.notification_id)) return;
+    const created = notifications.slice(index + 1).find(notification =>
+      notification.event_type === 'shift_created' &&
+      !cancelled.has(notification.notification_id) &&
+      notification.payload.shiftId === removed.payload.shiftId
+    );
+    if (created) {
+      cancelled.add(removed.notification_id);
+      cancelled.add(created.notification_id);
+    }
+  });
+  return cancelled;
+}
+
+// Function to send a staff member's pending notifications as one email
+// The rows are locked (SKIP LOCKED) so a notification cannot be sent twice by two workers.
+// A failed send is retried after the next retry delay and marked failed after max attempts.
+async function deliverStaffNotifications(transport, staffId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(`
+      SELECT o.notification_id, o.staff_name, o.event_type, o.subject, o.body, o.payload, np.email
+      FROM notification_outbox o
+      JOIN notification_preferences np ON np.staff_id = o.staff_id
+      WHERE o.staff_id = $1 AND o.status = 'pending'
+      ORDER BY o.created_at, o.notification_id
+      FOR UPDATE OF o SKIP LOCKED
+    `, [staffId]);
+    
+    if (result.rows.length === 0) {
       await client.query('COMMIT');
-      client.release();
-      
-      // Build response message
-      let message = 'Shifts updated successfully';
-      const deletedCount = removedShiftIds ? removedShiftIds.length : 0;
-      const insertedCount = createdShifts.length;
+      return { sent: 0, failed: 0 };
+    }
+    
+    const cancelledIds = getCancelledShiftNotificationIds(result.rows);
+    if (cancelledIds.size > 0) {
+      await client.query(`
+        UPDATE notification_outbox SET status = 'skipped' WHERE notification_id = ANY($1)
+      `, [[...cancelledIds]]);
+    }
+    
+    const notifications = result.rows.filter(row => !cancelledIds.has(row.notification_id));
+    if (notifications.length === 0) {
+      await client.query('COMMIT');
+      return { sent: 0, failed: 0 };
+    }
+    
+    const { staff_name: staffName, email } = notifications[0];
+    const notificationIds = notifications.map(row => row.notification_id);
+    const message = buildNotificationEmail(staffName, notifications);
+    let outcome;
+    
+    try {
+      await transport.sendMail({ from: notificationConfig.from, to: email, subject: message.subject, text: message.text });
       
-      if (deletedCount > 0 && insertedCount > 0) {
-        message = `Deleted ${deletedCount} shift(s) and inserted ${insertedCount} new shift(s)`;
-      } else if (deletedCount > 0) {
-        message = `Deleted ${deletedCount} shift(s)`;
-      } else if (insertedCount > 0) {
-        message = `Inserted ${insertedCount} new shift(s)`;
-      } else {
-        message = 'No changes needed (all shifts unchanged)';
-      }
+      await client.query(`
+        UPDATE notification_outbox
+        SET status = 'sent', attempts = attempts + 1, sent_at = NOW(), last_error = NULL
+        WHERE notification_id = ANY($1)
+      `, [notificationIds]);
+      await client.query(`
+        UPDATE notification_preferences SET last_digest_at = NOW() WHERE staff_id = $1 AND digest = 'daily'
+      `, [staffId]);
+      outcome = { sent: notificationIds.length, failed: 0 };
+    } catch (sendError) {
+      console.error(`❌ Error sending notifications to ${staffName}:`, sendError.message);
       
-      if (isTimeOffCell && staffAssignments.length > 1) {
-        console.log(`✅ ${message} for time-off cell with multiple staff`);
-      } else {
-        console.log(`✅ ${message}`);
+      await client.query(`
+        UPDATE notification_outbox
+        SET attempts = attempts + 1,
+            last_error = $2,
+            status = CASE WHEN attempts + 1 >= $3 THEN 'failed' ELSE 'pending' END,
+            next_attempt_at = NOW() + make_interval(mins => ($4::int[])[LEAST(attempts + 1, array_length($4::int[], 1))])
+        WHERE notification_id = ANY($1)
+      `, [notificationIds, sendError.message, notificationConfig.maxAttempts, notificationConfig.retryDelayMinutes]);
+      outcome = { sent: 0, failed: notificationIds.length };
+    }
+    
+    await client.query('COMMIT');
+    return outcome;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Background worker for the notification outbox
+// Does nothing until SMTP_HOST is set - notifications stay pending until then.
+// Returns the counts, or null when the previous run is still going
+async function processNotificationOutbox() {
+  if (!notificationConfig.smtp.host || notificationWorkerRunning) return null;
+  notificationWorkerRunning = true;
+  
+  try {
+    // Staff members without an address, with email off or who muted the event type get nothing
+    const skipped = await pool.query(`
+      UPDATE notification_outbox o
+      SET status = 'skipped'
+      WHERE o.status = 'pending'
+        AND NOT EXISTS (
+          SELECT 1 FROM notification_preferences np
+          WHERE np.staff_id = o.staff_id
+            AND np.email_enabled
+            AND COALESCE(np.email, '') <> ''
+            AND NOT (o.event_type = ANY(np.muted_event_types))
+        )
+    `);
+    
+    // Recipients with a notification past its batching window or retry delay
+    // (daily digests wait for the digest hour and go out once a day)
+    const recipients = await pool.query(`
+      SELECT o.staff_id
+      FROM notification_outbox o
+      JOIN notification_preferences np ON np.staff_id = o.staff_id
+      WHERE o.status = 'pending'
+      GROUP BY o.staff_id, np.digest, np.last_digest_at
+      HAVING MIN(o.next_attempt_at) <= NOW()
+        AND (np.digest = 'immediate' OR (
+          EXTRACT(HOUR FROM NOW() AT TIME ZONE 'Europe/London') >= $1
+          AND (np.last_digest_at IS NULL OR
+               (np.last_digest_at AT TIME ZONE 'Europe/London')::date < (NOW() AT TIME ZONE 'Europe/London')::date)
+        ))
+      ORDER BY MIN(o.next_attempt_at)
+      LIMIT 100
+    `, [notificationConfig.digestHour]);
+    
+    const totals = { recipients: recipients.rows.length, sent: 0, failed: 0, skipped: skipped.rowCount };
+    if (recipients.rows.length === 0) return totals;
+    
+    const transport = getNotificationTransport();
+    for (const recipient of recipients.rows) {
+      try {
+        const outcome = await deliverStaffNotifications(transport, recipient.staff_id);
+        totals.sent += outcome.sent;
+        totals.failed += outcome.failed;
+      } catch (error) {
+        console.error(`❌ Error delivering notifications for staff ${recipient.staff_id}:`, error);
       }
-      
-      res.json({
-        success: true,
-        data: createdShifts,
-        count: createdShifts.length,
-        deletedCount: deletedCount,
-        insertedCount: insertedCount,
-        message: message
+    }
+    
+    console.log(`📧 Notification outbox: ${totals.sent} sent, ${totals.failed} failed, ${totals.skipped} skipped`);
+    return totals;
+  } catch (error) {
+    console.error('❌ Error in notification outbox worker:', error);
+    return null;
+  } finally {
+    notificationWorkerRunning = false;
+  }
+}
+
+// Get a staff member's notification preferences (defaults when they have not saved any)
+app.get('/api/notifications/preferences/:staffId', async (req, res) => {
+  try {
+    const { staffId } = req.params;
+    
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(staffId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid staff ID format',
+        message: 'Staff ID must be a valid UUID'
+      });
+    }
+    
+    const result = await pool.query(`
+      SELECT hr.unique_id as staff_id, hr.staff_name,
+             np.email, COALESCE(np.email_enabled, true) as email_enabled,
+             COALESCE(np.digest, 'immediate') as digest,
+             COALESCE(np.muted_event_types, '{}') as muted_event_types,
+             np.last_digest_at, np.updated_at
+      FROM human_resource hr
+      LEFT JOIN notification_preferences np ON np.staff_id = hr.unique_id
+      WHERE hr.unique_id = $1
+    `, [staffId]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found',
+        message: `No staff member with ID ${staffId}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      eventTypes: NOTIFICATION_EVENT_TYPES
+    });
+  } catch (err) {
+    console.error('❌ Error fetching notification preferences:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error',
+      message: err.message
+    });
+  }
+});
+
+// Save a staff member's notification preferences
+// Body: { email, emailEnabled, digest ('immediate' or 'daily'), mutedEventTypes }
+app.put('/api/notifications/preferences/:staffId', async (req, res) => {
+  try {
+    const { staffId } = req.params;
+    const { email, emailEnabled = true, digest = 'immediate', mutedEventTypes = [] } = req.body;
+    
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(staffId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid staff ID format',
+        message: 'Staff ID must be a valid UUID'
+      });
+    }
+    
+    const trimmedEmail = typeof email === 'string' ? email.trim() : '';
+    if (trimmedEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmedEmail)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid email',
+        message: `'${trimmedEmail}' is not a valid email address`
+      });
+    }
+    
+    if (!NOTIFICATION_DIGESTS.includes(digest)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid digest',
+        message: `Digest must be one of: ${NOTIFICATION_DIGESTS.join(', ')}`
+      });
+    }
+    
+    if (!Array.isArray(mutedEventTypes) || mutedEventTypes.some(eventType => !NOTIFICATION_EVENT_TYPES.includes(eventType))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid event types',
+        message: `Muted event types must be from: ${NOTIFICATION_EVENT_TYPES.join(', ')}`
       });
-      
-    } else {
-      await client.query('COMMIT');
-      client.release();
-      res.json({
-        success: true,
-        data: [],
-        count: 0,
-        message: 'No shifts to create'
+    }
+    
+    const result = await pool.query(`
+      INSERT INTO notification_preferences (staff_id, email, email_enabled, digest, muted_event_types)
+      SELECT hr.unique_id, $2, $3, $4, $5
+      FROM human_resource hr
+      WHERE hr.unique_id = $1
+      ON CONFLICT (staff_id) DO UPDATE SET
+        email = EXCLUDED.email,
+        email_enabled = EXCLUDED.email_enabled,
+        digest = EXCLUDED.digest,
+        muted_event_types = EXCLUDED.muted_event_types,
+        updated_at = (NOW() AT TIME ZONE 'Europe/London')
+      RETURNING *
+    `, [staffId, trimmedEmail || null, emailEnabled !== false, digest, [...new Set(mutedEventTypes)]]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found',
+        message: `No staff member with ID ${staffId}`
       });
     }
     
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Notification preferences saved'
+    });
   } catch (err) {
-    await client.query('ROLLBACK');
-    client.release();
-    console.error('Error saving shift:', err);
+    console.error('❌ Error saving notification preferences:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to save shift',
+      error: 'Database error',
       message: err.message
     });
   }
 });
 
+// Get the notification outbox (team leaders)
+// Query params: status (pending, sent, failed, skipped), staffName, limit
+app.get('/api/notifications/outbox', async (req, res) => {
+  try {
+    const { status, staffName, limit = 200 } = req.query;
+    
+    if (status && !NOTIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: `Status must be one of: ${NOTIFICATION_STATUSES.join(', ')}`
+      });
+    }
+    
+    const conditions = [];
+    const params = [];
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (staffName) {
+      params.push(staffName);
+      conditions.push(`staff_name = $${params.length}`);
+    }
+    params.push(Math.min(parseInt(limit, 10) || 200, 1000));
+    
+    const result = await pool.query(`
+      SELECT notification_id, staff_id, staff_name, event_type, subject, body, payload,
+             status, attempts, next_attempt_at, last_error, sent_at, created_at
+      FROM notification_outbox
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at DESC
+      LIMIT $${params.length}
+    `, params);
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (err) {
+    console.error('❌ Error fetching notification outbox:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error',
+      message: err.message
+    });
+  }
+});
 
+// Send a failed or skipped notification again (team leaders) - it goes out on the worker's next run
+app.post('/api/notifications/:notificationId/retry', async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+    
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(notificationId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid notification ID format',
+        message: 'Notification ID must be a valid UUID'
+      });
+    }
+    
+    const result = await pool.query(`
+      UPDATE notification_outbox
+      SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL
+      WHERE notification_id = $1 AND status IN ('failed', 'skipped')
+      RETURNING *
+    `, [notificationId]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found',
+        message: 'No failed or skipped notification with that ID'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Notification queued to be sent again'
+    });
+  } catch (err) {
+    console.error('❌ Error retrying notification:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error',
+      message: err.message
+    });
+  }
+});
 
-// Delete shift assignment
-app.delete('/api/shifts/delete', 
-  validateRequiredFields(['periodId', 'weekNumber', 'shiftStartDatetime', 'shiftType']),
-  async (req, res) => {
+// Run the notification worker now instead of waiting for the next minute (admin)
+app.post('/api/notifications/process', async (req, res) => {
   try {
-    const {
-      periodId,
-      weekNumber,
-      shiftStartDatetime,
-      shiftType
-    } = req.body;
+    if (!notificationConfig.smtp.host) {
+      return res.status(400).json({
+        success: false,
+        error: 'SMTP not configured',
+        message: 'Set SMTP_HOST to send email notifications'
+      });
+    }
+    
+    const totals = await processNotificationOutbox();
+    if (!totals) {
+      return res.status(409).json({
+        success: false,
+        error: 'Worker busy',
+        message: 'The notification worker is already running - try again shortly'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: totals,
+      message: `${totals.sent} notifications sent, ${totals.failed} failed, ${totals.skipped} skipped`
+    });
+  } catch (err) {
+    console.error('❌ Error processing notification outbox:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process notifications',
+      message: err.message
+    });
+  }
+});
 
-      // Validate periodId format
-      if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(periodId)) {
-      return res.status(400).json({ 
-          success: false,
-          error: 'Invalid period ID format',
-          message: 'Period ID must be a valid UUID'
-        });
-      }
+// Send a test email to check the SMTP settings (admin)
+// Body: { to }
+app.post('/api/notifications/test', async (req, res) => {
+  try {
+    const { to } = req.body;
+    
+    if (!notificationConfig.smtp.host) {
+      return res.status(400).json({
+        success: false,
+        error: 'SMTP not configured',
+        message: 'Set SMTP_HOST to send email notifications'
+      });
+    }
+    
+    if (typeof to !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid email',
+        message: 'to must be a valid email address'
+      });
+    }
+    
+    const info = await getNotificationTransport().sendMail({
+      from: notificationConfig.from,
+      to: to.trim(),
+      subject: 'Staff Rota test email',
+      text: `This is a test email from the Staff Rota server (${notificationConfig.smtp.host}:${notificationConfig.smtp.port}).\n`
+    });
+    
+    res.json({
+      success: true,
+      data: { messageId: info.messageId },
+      message: `Test email sent to ${to.trim()}`
+    });
+  } catch (err) {
+    console.error('❌ Error sending test email:', err);
+    res.status(502).json({
+      success: false,
+      error: 'Failed to send test email',
+      message: err.message
+    });
+  }
+});
 
-      // Use the same date logic as the insert operation
-      const shiftStart = new Date(shiftStartDatetime);
-      const shiftDate = shiftStart.toISOString().split('T')[0];
+// =====================================================
+// ROTA TEMPLATES API ENDPOINTS
+// =====================================================
 
-      console.log('Delete request:', {
-        periodId,
-        weekNumber,
-        shiftStartDatetime,
-        shiftType,
-        calculatedDate: shiftDate
-      });
+const ROTA_TEMPLATE_COLUMNS = `
+  rt.template_id, rt.template_name, rt.description, rt.cycle_days, rt.created_by, rt.created_at, rt.updated_at
+`;
 
-      // First, let's see what's actually in the database for debugging
-      const debugQuery = await pool.query(`
-        SELECT id, staff_name, shift_start_datetime::date as date, shift_type, week_number, period_id 
-        FROM shifts 
-        WHERE period_id = $1 AND week_number = $2 AND shift_type = $3
-        ORDER BY shift_start_datetime::date, staff_name
-      `, [periodId, weekNumber, shiftType]);
+// Helper function to check a 'HH:MM' time
+function isValidTemplateTime(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value);
+}
 
-      console.log('Shifts found in database:', debugQuery.rows);
+// Helper function to validate template shifts and rolling patterns
+// Templates only hold work shifts - holiday and sick leave come from leave requests and the Time-Off row
+async function validateRotaTemplateEntries(cycleDays, shifts, patterns) {
+  if (!Number.isInteger(cycleDays) || cycleDays < 1 || cycleDays > 366) {
+    return { error: 'Invalid cycle length', message: 'cycle_days must be a whole number of days between 1 and 366' };
+  }
+  
+  for (const entry of [...shifts, ...patterns]) {
+    if (!entry.staff_name || !entry.shift_type) {
+      return { error: 'Invalid template entry', message: 'Each template shift and pattern needs staff_name and shift_type' };
+    }
+    if (!isValidTemplateTime(entry.start_time) || !isValidTemplateTime(entry.end_time)) {
+      return { error: 'Invalid time', message: `Times for ${entry.staff_name} must be in HH:MM format` };
+    }
+    
+    const shiftType = await findShiftType(entry.shift_type, true);
+    if (!shiftType) {
+      return { error: 'Invalid shift type', message: await getInvalidShiftTypeMessage(true) };
+    }
+    if (isTimeOffShiftType(shiftType)) {
+      return { error: 'Invalid shift type', message: `${entry.shift_type} is a time-off shift type - templates only hold work shifts` };
+    }
+  }
+  
+  for (const shift of shifts) {
+    if (!Number.isInteger(shift.day_offset) || shift.day_offset < 0 || shift.day_offset >= cycleDays) {
+      return { error: 'Invalid day offset', message: `day_offset must be between 0 and ${cycleDays - 1}` };
+    }
+  }
+  
+  for (const pattern of patterns) {
+    if (!Number.isInteger(pattern.days_on) || pattern.days_on < 1 || !Number.isInteger(pattern.days_off) || pattern.days_off < 0) {
+      return { error: 'Invalid pattern', message: 'days_on must be at least 1 and days_off at least 0' };
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(pattern.cycle_start_date || '')) {
+      return { error: 'Invalid pattern', message: 'cycle_start_date (first "on" day of the cycle) must be in YYYY-MM-DD format' };
+    }
+  }
+  
+  return null;
+}
 
-    // Find all shifts to delete (multiple staff members may be assigned)
-    const shiftsToDelete = await pool.query(
-        'SELECT id, staff_name, shift_start_datetime::date as date FROM shifts WHERE period_id = $1 AND week_number = $2 AND shift_start_datetime::date = $3 AND shift_type = $4',
-        [periodId, weekNumber, shiftDate, shiftType]
-    );
+// Function to insert template shifts and rolling patterns
+async function insertRotaTemplateEntries(db, templateId, shifts, patterns) {
+  for (const shift of shifts) {
+    await db.query(`
+      INSERT INTO rota_template_shifts (
+        template_id, day_offset, staff_name, shift_type, start_time, end_time, solo_shift, training, notes
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+      templateId, shift.day_offset, shift.staff_name, shift.shift_type, shift.start_time, shift.end_time,
+      !!shift.solo_shift, !!shift.training, shift.notes || ''
+    ]);
+  }
+  
+  for (const pattern of patterns) {
+    await db.query(`
+      INSERT INTO rota_template_patterns (
+        template_id, staff_name, shift_type, start_time, end_time, days_on, days_off, cycle_start_date
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [
+      templateId, pattern.staff_name, pattern.shift_type, pattern.start_time, pattern.end_time,
+      pattern.days_on, pattern.days_off, pattern.cycle_start_date
+    ]);
+  }
+}
 
-      console.log('Shifts to delete:', shiftsToDelete.rows);
+// Function to load a template with its shifts and rolling patterns (null if not found)
+async function getRotaTemplate(db, templateId) {
+  const templateResult = await db.query(`SELECT ${ROTA_TEMPLATE_COLUMNS} FROM rota_templates rt WHERE rt.template_id = $1`, [templateId]);
+  if (templateResult.rows.length === 0) {
+    return null;
+  }
+  
+  const shiftsResult = await db.query(`
+    SELECT 
+      template_shift_id, day_offset, staff_name, shift_type,
+      to_char(start_time, 'HH24:MI') as start_time,
+      to_char(end_time, 'HH24:MI') as end_time,
+      solo_shift, training, notes
+    FROM rota_template_shifts
+    WHERE template_id = $1
+    ORDER BY day_offset, start_time, staff_name
+  `, [templateId]);
+  
+  const patternsResult = await db.query(`
+    SELECT 
+      pattern_id, staff_name, shift_type,
+      to_char(start_time, 'HH24:MI') as start_time,
+      to_char(end_time, 'HH24:MI') as end_time,
+      days_on, days_off,
+      to_char(cycle_start_date, 'YYYY-MM-DD') as cycle_start_date
+    FROM rota_template_patterns
+    WHERE template_id = $1
+    ORDER BY staff_name, cycle_start_date
+  `, [templateId]);
+  
+  return {
+    ...templateResult.rows[0],
+    shifts: shiftsResult.rows,
+    patterns: patternsResult.rows
+  };
+}
 
-    if (shiftsToDelete.rows.length > 0) {
-      // Delete all shifts for this time slot and shift type (handles multiple staff)
-      const result = await pool.query(
-          'DELETE FROM shifts WHERE period_id = $1 AND week_number = $2 AND shift_start_datetime::date = $3 AND shift_type = $4 RETURNING id, staff_name',
-          [periodId, weekNumber, shiftDate, shiftType]
-      );
+// Helper function to turn a unique name violation into a 409 response body
+function getDuplicateTemplateNameResponse(templateName) {
+  return {
+    success: false,
+    error: 'Template already exists',
+    message: `A rota template called '${templateName}' already exists`
+  };
+}
 
-        console.log('Delete result:', result.rows);
+// Get all rota templates with their shift and pattern counts
+app.get('/api/rota-templates', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT 
+        ${ROTA_TEMPLATE_COLUMNS},
+        (SELECT COUNT(*) FROM rota_template_shifts ts WHERE ts.template_id = rt.template_id)::int as shift_count,
+        (SELECT COUNT(*) FROM rota_template_patterns tp WHERE tp.template_id = rt.template_id)::int as pattern_count
+      FROM rota_templates rt
+      ORDER BY rt.template_name
+    `);
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (err) {
+    console.error('❌ Error fetching rota templates:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rota templates',
+      message: err.message
+    });
+  }
+});
 
-      res.json({ 
-          success: true,
-        message: 'Shift assignments deleted successfully', 
-        deletedCount: result.rows.length,
-          deletedShifts: result.rows,
-          debug: {
-            requestedDate: shiftDate,
-            foundInDatabase: debugQuery.rows.length,
-            deleted: result.rows.length
-          }
+// Get one rota template with its shifts and rolling patterns
+app.get('/api/rota-templates/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid template ID format',
+        message: 'Template ID must be a valid UUID'
       });
-    } else {
-        // Try alternative deletion method - use shift_start_datetime instead of date
-        const alternativeDelete = await pool.query(
-          'DELETE FROM shifts WHERE period_id = $1 AND week_number = $2 AND shift_start_datetime::date = $3 AND shift_type = $4 RETURNING id, staff_name',
-          [periodId, weekNumber, shiftDate, shiftType]
-        );
+    }
+    
+    const template = await getRotaTemplate(pool, id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rota template not found',
+        message: `No rota template with ID ${id}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (err) {
+    console.error('❌ Error fetching rota template:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rota template',
+      message: err.message
+    });
+  }
+});
 
-        if (alternativeDelete.rows.length > 0) {
-          console.log('Alternative delete successful:', alternativeDelete.rows);
-          res.json({
-            success: true,
-            message: 'Shift assignments deleted successfully (alternative method)',
-            deletedCount: alternativeDelete.rows.length,
-            deletedShifts: alternativeDelete.rows,
-            debug: {
-              requestedDate: shiftDate,
-              method: 'alternative',
-              deleted: alternativeDelete.rows.length
-            }
+// Create a rota template from explicit shifts and/or rolling patterns
+// Body: template_name, description, cycle_days (default 28),
+//   shifts: [{ day_offset, staff_name, shift_type, start_time, end_time, solo_shift, training, notes }]
+//   patterns: [{ staff_name, shift_type, start_time, end_time, days_on, days_off, cycle_start_date }]
+// A pattern repeats days_on working days then days_off rest days from cycle_start_date (e.g. 4 on / 4 off)
+app.post('/api/rota-templates', 
+  validateRequiredFields(['template_name']),
+  async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { template_name, description = '', cycle_days = 28, shifts = [], patterns = [] } = req.body;
+    const cycleDays = parseInt(cycle_days);
+    
+    if (!Array.isArray(shifts) || !Array.isArray(patterns) || (shifts.length === 0 && patterns.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Empty template',
+        message: 'A rota template needs at least one shift or rolling pattern'
       });
-    } else {
-          res.json({
-            success: false,
-            message: 'No shift assignments found to delete',
-            deletedCount: 0,
-            debug: {
-              requestedDate: shiftDate,
-              foundInDatabase: debugQuery.rows.length,
-              method: 'both failed'
-            }
-          });
-        }
     }
+    
+    const validationError = await validateRotaTemplateEntries(cycleDays, shifts, patterns);
+    if (validationError) {
+      return res.status(400).json({ success: false, ...validationError });
+    }
+    
+    await client.query('BEGIN');
+    
+    const templateResult = await client.query(`
+      INSERT INTO rota_templates (template_name, description, cycle_days, created_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING template_id
+    `, [template_name.trim(), description, cycleDays, getAuditActor(req).username]);
+    
+    const templateId = templateResult.rows[0].template_id;
+    await insertRotaTemplateEntries(client, templateId, shifts, patterns);
+    const template = await getRotaTemplate(client, templateId);
+    
+    await client.query('COMMIT');
+    
+    console.log(`📋 Created rota template '${template.template_name}' (${shifts.length} shifts, ${patterns.length} patterns)`);
+    
+    res.status(201).json({
+      success: true,
+      data: template,
+      message: 'Rota template created successfully'
+    });
   } catch (err) {
-    console.error('Error deleting shift:', err);
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error creating rota template:', err);
+    if (err.code === '23505') { // Unique constraint violation
+      res.status(409).json(getDuplicateTemplateNameResponse(req.body.template_name));
+    } else {
       res.status(500).json({
         success: false,
-        error: 'Failed to delete shift',
+        error: 'Failed to create rota template',
         message: err.message
       });
     }
+  } finally {
+    client.release();
   }
-);
+});
 
-// Clear all shifts for a specific period and week
-app.delete('/api/shifts/clear', 
-  validateRequiredFields(['periodId']),
+// Save the work shifts of a period (or one week of it) as a rota template
+// Body: template_name, description, period_id, week_number (optional - saves a 7-day template)
+app.post('/api/rota-templates/from-period', 
+  validateRequiredFields(['template_name', 'period_id']),
   async (req, res) => {
+  const client = await pool.connect();
   try {
-    const {
-      periodId,
-      weekNumber,
-      date,
-      shiftType
-    } = req.body;
-
-      // Validate periodId format
-      if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(periodId)) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid period ID format',
-          message: 'Period ID must be a valid UUID'
-        });
-      }
-
-      console.log('Clear request:', { periodId, weekNumber, date, shiftType });
-
-    let query = 'DELETE FROM shifts WHERE period_id = $1';
-    let params = [periodId];
-    let paramIndex = 2;
-
-    // Add week number filter if provided
-      if (weekNumber !== undefined && weekNumber !== null) {
-        if (weekNumber < 1 || weekNumber > 4) {
-          return res.status(400).json({
-            success: false,
-            error: 'Invalid week number',
-            message: 'Week number must be between 1 and 4'
-          });
-        }
-      query += ` AND week_number = $${paramIndex}`;
-      params.push(weekNumber);
-      paramIndex++;
+    const { template_name, description = '', period_id, week_number = null } = req.body;
+    
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(period_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid period ID format',
+        message: 'Period ID must be a valid UUID'
+      });
     }
-
-    // Add date filter if provided
-    if (date) {
-      query += ` AND date = $${paramIndex}`;
-      params.push(date);
-      paramIndex++;
+    
+    const weekNumber = week_number !== null && week_number !== '' ? parseInt(week_number) : null;
+    if (weekNumber !== null && (isNaN(weekNumber) || weekNumber < 1 || weekNumber > 4)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid week number',
+        message: 'Week number must be between 1 and 4'
+      });
     }
-
-    // Add shift type filter if provided
-    if (shiftType) {
-        const validShiftTypes = ['Tom Day', 'Charlotte Day', 'Double Up', 'Tom Night', 'Charlotte Night', 'HOLIDAY', 'SSP', 'CSP'];
-        if (!validShiftTypes.includes(shiftType)) {
-          return res.status(400).json({
-            success: false,
-            error: 'Invalid shift type',
-            message: `Shift type must be one of: ${validShiftTypes.join(', ')}`
-          });
-        }
-      query += ` AND shift_type = $${paramIndex}`;
-      params.push(shiftType);
+    
+    const periodResult = await client.query('SELECT period_id, start_date FROM periods WHERE period_id = $1', [period_id]);
+    if (periodResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Period not found',
+        message: `No period with ID ${period_id}`
+      });
     }
-
-    query += ' RETURNING id, staff_name, shift_type, date, start_time, end_time';
-
-      console.log('Clear query:', query);
-      console.log('Clear params:', params);
-
-    const result = await pool.query(query, params);
-
-      console.log('Clear result:', result.rows);
-
-    res.json({ 
-        success: true,
-      message: 'Shifts cleared successfully', 
-      clearedCount: result.rows.length,
-      clearedShifts: result.rows
+    
+    // Day offsets count from the start of the period (or of the week) in London local time
+    const shiftsResult = await client.query(`
+      SELECT 
+        ((s.shift_start_datetime AT TIME ZONE 'Europe/London')::date - p.start_date) - $3::int as day_offset,
+        s.staff_name, s.shift_type,
+        to_char(s.shift_start_datetime AT TIME ZONE 'Europe/London', 'HH24:MI') as start_time,
+        to_char(s.shift_end_datetime AT TIME ZONE 'Europe/London', 'HH24:MI') as end_time,
+        s.solo_shift, s.training, s.notes
+      FROM shifts s
+      JOIN periods p ON p.period_id = s.period_id
+      JOIN shift_types st ON st.name = s.shift_type AND st.category = 'work'
+      WHERE s.period_id = $1
+        AND ($2::int IS NULL OR s.week_number = $2)
+      ORDER BY s.shift_start_datetime, s.staff_name
+    `, [period_id, weekNumber, weekNumber ? (weekNumber - 1) * 7 : 0]);
+    
+    const cycleDays = weekNumber ? 7 : 28;
+    const shifts = shiftsResult.rows.filter(shift => shift.day_offset >= 0 && shift.day_offset < cycleDays);
+    
+    if (shifts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Empty template',
+        message: `There are no work shifts in this ${weekNumber ? 'week' : 'period'} to save`
+      });
+    }
+    
+    await client.query('BEGIN');
+    
+    const templateResult = await client.query(`
+      INSERT INTO rota_templates (template_name, description, cycle_days, created_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING template_id
+    `, [template_name.trim(), description, cycleDays, getAuditActor(req).username]);
+    
+    const templateId = templateResult.rows[0].template_id;
+    await insertRotaTemplateEntries(client, templateId, shifts, []);
+    const template = await getRotaTemplate(client, templateId);
+    
+    await client.query('COMMIT');
+    
+    console.log(`📋 Saved ${weekNumber ? `week ${weekNumber}` : 'period'} as rota template '${template.template_name}' (${shifts.length} shifts)`);
+    
+    res.status(201).json({
+      success: true,
+      data: template,
+      message: `Saved ${shifts.length} shift(s) as rota template '${template.template_name}'`
     });
-
   } catch (err) {
-    console.error('Error clearing shifts:', err);
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error saving rota template from period:', err);
+    if (err.code === '23505') { // Unique constraint violation
+      res.status(409).json(getDuplicateTemplateNameResponse(req.body.template_name));
+    } else {
       res.status(500).json({
         success: false,
-        error: 'Failed to clear shifts',
+        error: 'Failed to save rota template',
         message: err.message
       });
     }
+  } finally {
+    client.release();
   }
-);
+});
 
-// Clear specific cell with multiple staff
-app.delete('/api/shifts/clear-cell', 
-  validateRequiredFields(['periodId', 'weekNumber', 'date', 'shiftType']),
+// Add a rolling pattern to an existing template (e.g. a 4 on / 4 off cycle for one staff member)
+app.post('/api/rota-templates/:id/patterns', 
+  validateRequiredFields(['staff_name', 'shift_type', 'start_time', 'end_time', 'days_on', 'days_off', 'cycle_start_date']),
   async (req, res) => {
   try {
-    const {
-      periodId,
-      weekNumber,
-      date,
-      shiftType
-    } = req.body;
+    const { id } = req.params;
+    const pattern = {
+      ...req.body,
+      days_on: parseInt(req.body.days_on),
+      days_off: parseInt(req.body.days_off)
+    };
+    
+    const template = await getRotaTemplate(pool, id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rota template not found',
+        message: `No rota template with ID ${id}`
+      });
+    }
+    
+    const validationError = await validateRotaTemplateEntries(template.cycle_days, [], [pattern]);
+    if (validationError) {
+      return res.status(400).json({ success: false, ...validationError });
+    }
+    
+    await insertRotaTemplateEntries(pool, id, [], [pattern]);
+    
+    console.log(`🔁 Added ${pattern.days_on} on / ${pattern.days_off} off pattern for ${pattern.staff_name} to '${template.template_name}'`);
+    
+    res.status(201).json({
+      success: true,
+      data: await getRotaTemplate(pool, id),
+      message: 'Rolling pattern added successfully'
+    });
+  } catch (err) {
+    console.error('❌ Error adding rolling pattern:', err);
+    if (err.code === '23505') { // Unique constraint violation
+      res.status(409).json({
+        success: false,
+        error: 'Pattern already exists',
+        message: 'This staff member already has a pattern for this shift type starting on that date'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add rolling pattern',
+        message: err.message
+      });
+    }
+  }
+});
 
-      // Validate periodId format
-      if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(periodId)) {
-      return res.status(400).json({ 
-          success: false,
-          error: 'Invalid period ID format',
-          message: 'Period ID must be a valid UUID'
-        });
-      }
+// Remove a rolling pattern from a template
+app.delete('/api/rota-templates/:id/patterns/:patternId', async (req, res) => {
+  try {
+    const { id, patternId } = req.params;
+    
+    const result = await pool.query(
+      'DELETE FROM rota_template_patterns WHERE template_id = $1 AND pattern_id = $2 RETURNING pattern_id',
+      [id, patternId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pattern not found',
+        message: `No rolling pattern with ID ${patternId} in this template`
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Rolling pattern removed successfully'
+    });
+  } catch (err) {
+    console.error('❌ Error removing rolling pattern:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove rolling pattern',
+      message: err.message
+    });
+  }
+});
 
-      // Validate week number
-      if (weekNumber < 1 || weekNumber > 4) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid week number',
-          message: 'Week number must be between 1 and 4'
-        });
+// Delete a rota template (shifts already created from it are kept)
+app.delete('/api/rota-templates/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const result = await pool.query('DELETE FROM rota_templates WHERE template_id = $1 RETURNING template_name', [id]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rota template not found',
+        message: `No rota template with ID ${id}`
+      });
+    }
+    
+    console.log(`🗑️ Deleted rota template '${result.rows[0].template_name}'`);
+    
+    res.json({
+      success: true,
+      message: `Rota template '${result.rows[0].template_name}' deleted`
+    });
+  } catch (err) {
+    console.error('❌ Error deleting rota template:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete rota template',
+      message: err.message
+    });
+  }
+});
+
+// Apply a rota template to a period (or one week of it)
+// Body: period_id, week_number (optional), dry_run (optional - returns what would be created without saving)
+// Template day N lands on period day N (repeating every cycle_days); rolling patterns follow their own cycle.
+// Shifts are skipped for staff who are unknown, inactive, have left (or not yet started), are marked in
+// unavailable_staff_daily, or already have an overlapping shift. Rest gap conflicts are returned as warnings.
+app.post('/api/rota-templates/:id/apply', 
+  validateRequiredFields(['period_id']),
+  async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { period_id, week_number = null, dry_run = false } = req.body;
+    
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(id) || !uuidRegex.test(period_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ID format',
+        message: 'Template ID and period ID must be valid UUIDs'
+      });
+    }
+    
+    const weekNumber = week_number !== null && week_number !== '' ? parseInt(week_number) : null;
+    if (weekNumber !== null && (isNaN(weekNumber) || weekNumber < 1 || weekNumber > 4)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid week number',
+        message: 'Week number must be between 1 and 4'
+      });
+    }
+    
+    await client.query('BEGIN');
+    
+    const template = await getRotaTemplate(client, id);
+    const periodResult = await client.query('SELECT period_id, period_name FROM periods WHERE period_id = $1', [period_id]);
+    if (!template || periodResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: template ? 'Period not found' : 'Rota template not found',
+        message: template ? `No period with ID ${period_id}` : `No rota template with ID ${id}`
+      });
+    }
+    
+    // Expand the template shifts and rolling patterns onto the days of the period
+    const candidatesResult = await client.query(`
+      WITH target_days AS (
+        SELECT 
+          day::date as day,
+          p.period_id,
+          p.start_date,
+          ((day::date - p.start_date) / 7) + 1 as week_number
+        FROM periods p, generate_series(p.start_date, p.end_date, interval '1 day') AS day
+        WHERE p.period_id = $1
+      ),
+      candidates AS (
+        SELECT 
+          td.day, td.period_id, td.week_number, ts.staff_name, ts.shift_type, ts.start_time, ts.end_time,
+          ts.solo_shift, ts.training, ts.notes
+        FROM target_days td
+        JOIN rota_templates rt ON rt.template_id = $2
+        JOIN rota_template_shifts ts ON ts.template_id = rt.template_id 
+          AND ts.day_offset = (td.day - td.start_date) % rt.cycle_days
+        UNION ALL
+        SELECT 
+          td.day, td.period_id, td.week_number, tp.staff_name, tp.shift_type, tp.start_time, tp.end_time,
+          false, false, ''
+        FROM target_days td
+        JOIN rota_template_patterns tp ON tp.template_id = $2
+        WHERE (((td.day - tp.cycle_start_date) % (tp.days_on + tp.days_off)) + (tp.days_on + tp.days_off)) % (tp.days_on + tp.days_off) < tp.days_on
+      )
+      SELECT 
+        to_char(c.day, 'YYYY-MM-DD') as shift_date,
+        c.period_id, c.week_number, c.staff_name, c.shift_type, c.solo_shift, c.training, c.notes,
+        (c.day + c.start_time) AT TIME ZONE 'Europe/London' as shift_start,
+        (c.day + c.end_time + CASE WHEN c.end_time <= c.start_time THEN interval '1 day' ELSE interval '0' END) AT TIME ZONE 'Europe/London' as shift_end,
+        hr.staff_name IS NOT NULL as staff_exists,
+        hr.is_active,
+        hr.employment_start_date > c.day as not_started,
+        hr.employment_end_date < c.day as has_left
+      FROM candidates c
+      LEFT JOIN human_resource hr ON hr.staff_name = c.staff_name
+      WHERE ($3::int IS NULL OR c.week_number = $3)
+      ORDER BY c.day, c.start_time, c.staff_name
+    `, [period_id, id, weekNumber]);
+    
+    const createdShifts = [];
+    const skipped = [];
+    const warnings = [];
+    const minimumRestHours = await getMinimumRestHours();
+    
+    for (const candidate of candidatesResult.rows) {
+      const skip = (reason, message) => skipped.push({
+        date: candidate.shift_date,
+        staffName: candidate.staff_name,
+        shiftType: candidate.shift_type,
+        reason: reason,
+        message: message
+      });
+      
+      if (!candidate.staff_exists) {
+        skip('unknown_staff', `${candidate.staff_name} is not a staff member`);
+        continue;
+      }
+      if (!candidate.is_active) {
+        skip('inactive', `${candidate.staff_name} is not active`);
+        continue;
+      }
+      if (candidate.has_left) {
+        skip('left', `${candidate.staff_name} has left (employment end date before ${candidate.shift_date})`);
+        continue;
       }
-
-      // Validate shift type
-      const validShiftTypes = ['Tom Day', 'Charlotte Day', 'Double Up', 'Tom Night', 'Charlotte Night', 'HOLIDAY', 'SSP', 'CSP'];
-      if (!validShiftTypes.includes(shiftType)) {
-      return res.status(400).json({ 
-          success: false,
-          error: 'Invalid shift type',
-          message: `Shift type must be one of: ${validShiftTypes.join(', ')}`
-        });
+      if (candidate.not_started) {
+        skip('not_started', `${candidate.staff_name} has not started yet on ${candidate.shift_date}`);
+        continue;
       }
+      if (!(await findShiftType(candidate.shift_type, true))) {
+        skip('inactive_shift_type', `${candidate.shift_type} is no longer an active shift type`);
+        continue;
+      }
+      
+      // Shifts created earlier in this transaction are seen, so overlapping template entries are skipped too
+      const conflicts = await detectShiftConflicts(client, {
+        staffName: candidate.staff_name,
+        shiftStart: candidate.shift_start,
+        shiftEnd: candidate.shift_end,
+        shiftType: candidate.shift_type
+      }, [], minimumRestHours);
+      
+      const blockingConflict = conflicts.find(conflict => conflict.type === 'unavailable' || conflict.type === 'overlap');
+      if (blockingConflict) {
+        skip(blockingConflict.type, blockingConflict.message);
+        continue;
+      }
+      warnings.push(...conflicts);
+      
+      const result = await client.query(`
+        INSERT INTO shifts (
+          id, period_id, week_number, staff_name, shift_start_datetime, shift_end_datetime,
+          shift_type, solo_shift, training, notes
+        ) VALUES (uuid_shift($1, $3, $4::timestamptz, $6), $1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *
+      `, [
+        candidate.period_id,
+        candidate.week_number,
+        candidate.staff_name,
+        candidate.shift_start,
+        candidate.shift_end,
+        candidate.shift_type,
+        candidate.solo_shift,
+        candidate.training,
+        candidate.notes || ''
+      ]);
+      createdShifts.push(result.rows[0]);
+    }
+    
+    const target = `${periodResult.rows[0].period_name}${weekNumber ? ` week ${weekNumber}` : ''}`;
+    let operationId = null;
+    if (dry_run) {
+      await client.query('ROLLBACK');
+    } else {
+      await recordShiftAuditEvents(client, req, 'create', createdShifts);
+      operationId = await recordRotaOperation(client, req, {
+        operationType: 'template',
+        description: `Applied template '${template.template_name}' to ${target}`,
+        periodId: period_id,
+        after: createdShifts
+      });
+      await client.query('COMMIT');
+    }
+    
+    console.log(`📋 ${dry_run ? 'Previewed' : 'Applied'} rota template '${template.template_name}' to ${target}: ${createdShifts.length} created, ${skipped.length} skipped`);
+    
+    res.json({
+      success: true,
+      data: createdShifts,
+      count: createdShifts.length,
+      skipped: skipped,
+      warnings: warnings,
+      dryRun: !!dry_run,
+      operationId: operationId,
+      message: `${dry_run ? 'Would create' : 'Created'} ${createdShifts.length} shift(s) from '${template.template_name}'${skipped.length > 0 ? ` - ${skipped.length} skipped` : ''}`
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error applying rota template:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply rota template',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
 
-      console.log('Clear cell request:', { periodId, weekNumber, date, shiftType });
-
-      // First, let's see what's in the database for debugging
-      const debugQuery = await pool.query(`
-        SELECT id, staff_name, shift_start_datetime::date as date, shift_type, week_number, period_id 
-        FROM shifts 
-        WHERE period_id = $1 AND week_number = $2 AND shift_type = $3
-        ORDER BY shift_start_datetime::date, staff_name
-      `, [periodId, weekNumber, shiftType]);
+// =====================================================
+// ROTA AUTO-FILL API ENDPOINTS
+// =====================================================
 
-      console.log('Shifts found for cell clear:', debugQuery.rows);
+// Reasons a staff member cannot take an empty cell (reported for cells left unfilled)
+const AUTO_FILL_BLOCK_REASONS = {
+  not_employed: 'not employed on the day',
+  unavailable: 'marked unavailable',
+  time_off: 'on holiday or sick leave',
+  overlap: 'already working',
+  insufficient_rest: 'not enough rest',
+  contracted_hours: 'at contracted hours',
+  weekly_limit: 'at 48 hours for the week'
+};
 
-    // Clear all shifts for this specific cell
-    const deleteQuery = `
-      DELETE FROM shifts 
-      WHERE period_id = $1 
-        AND week_number = $2 
-          AND shift_start_datetime::date = $3
-        AND shift_type = $4 
-      RETURNING id, staff_name, shift_type, shift_start_datetime::date as date
-    `;
-    const deleteParams = [periodId, weekNumber, date, shiftType];
+// Helper function to check the shift_types list sent to the auto-fill routes - returns an error message or null
+async function validateAutoFillShiftTypes(shiftTypes) {
+  if (!Array.isArray(shiftTypes)) {
+    return 'shift_types must be an array of work shift type names';
+  }
+  
+  const workTypes = (await getShiftTypes()).filter(type => type.is_active && !isTimeOffShiftType(type));
+  const unknown = shiftTypes.filter(name => !workTypes.some(type => type.name === name));
+  if (unknown.length > 0) {
+    return `${unknown.join(', ')} ${unknown.length === 1 ? 'is not an active work shift type' : 'are not active work shift types'}. Shift type must be one of: ${workTypes.map(type => type.name).join(', ')}`;
+  }
+  
+  return null;
+}
 
-      console.log('Clear cell query:', deleteQuery);
-      console.log('Clear cell params:', deleteParams);
+// Function to load the empty cells of a period - one per day and active work shift type with no shift of that type
+// Times come from the shift type defaults (end before start = overnight shift)
+async function getEmptyRotaCells(db, periodId, shiftTypes = []) {
+  const result = await db.query(`
+    SELECT 
+      to_char(day, 'YYYY-MM-DD') as shift_date,
+      ((day::date - p.start_date) / 7) + 1 as week_number,
+      EXTRACT(ISODOW FROM day) >= 6 as is_weekend,
+      st.name as shift_type,
+      to_char(st.default_start_time, 'HH24:MI') as start_time,
+      to_char(st.default_end_time, 'HH24:MI') as end_time,
+      st.default_end_time <= st.default_start_time as is_night,
+      (day::date + st.default_start_time) AT TIME ZONE 'Europe/London' as shift_start,
+      (day::date + st.default_end_time + CASE WHEN st.default_end_time <= st.default_start_time THEN interval '1 day' ELSE interval '0' END) AT TIME ZONE 'Europe/London' as shift_end
+    FROM periods p
+    CROSS JOIN generate_series(p.start_date, p.end_date, interval '1 day') AS day
+    JOIN shift_types st ON st.category = 'work' AND st.is_active = true
+    WHERE p.period_id = $1
+      AND (cardinality($2::text[]) = 0 OR st.name = ANY($2::text[]))
+      AND NOT EXISTS (
+        SELECT 1 FROM shifts s
+        WHERE s.shift_type = st.name
+          AND (s.shift_start_datetime AT TIME ZONE 'Europe/London')::date = day::date
+      )
+    ORDER BY day, st.display_order, st.name
+  `, [periodId, shiftTypes]);
+  return result.rows;
+}
 
-    const result = await pool.query(deleteQuery, deleteParams);
+// Helper function to find why a staff member cannot take a cell - returns an AUTO_FILL_BLOCK_REASONS key or null
+// state: the staff member's shifts (existing and proposed), time off, unavailability and hours per week
+function getAutoFillBlockReason(state, cell, minimumRestHours) {
+  const cellStart = new Date(cell.shift_start).getTime();
+  const cellEnd = new Date(cell.shift_end).getTime();
+  const cellHours = (cellEnd - cellStart) / HOUR_MS;
+  const restMs = minimumRestHours * HOUR_MS;
+  
+  if ((state.staff.employment_start_date && state.staff.employment_start_date > cell.shift_date) ||
+      (state.staff.employment_end_date && state.staff.employment_end_date < cell.shift_date)) {
+    return 'not_employed';
+  }
+  if (state.unavailableDates.has(cell.shift_date)) {
+    return 'unavailable';
+  }
+  if (state.timeOffDates.has(cell.shift_date)) {
+    return 'time_off';
+  }
+  if (state.shifts.some(shift => shift.start < cellEnd && shift.end > cellStart)) {
+    return 'overlap';
+  }
+  if (restMs > 0 && state.shifts.some(shift => shift.isWork && (
+    (shift.end <= cellStart && cellStart - shift.end < restMs) ||
+    (shift.start >= cellEnd && shift.start - cellEnd < restMs)
+  ))) {
+    return 'insufficient_rest';
+  }
+  
+  const weekHours = (state.weekHours[cell.week_number] || 0) + cellHours;
+  if (state.contractedHours > 0 && weekHours > state.contractedHours) {
+    return 'contracted_hours';
+  }
+  if (state.contractedHours <= 0 && weekHours > WORKING_TIME_RULES.maxAverageWeeklyHours) {
+    return 'weekly_limit';
+  }
+  
+  return null;
+}
 
-      console.log('Clear cell result:', result.rows);
+// Helper function to add a shift to a staff member's auto-fill state
+// Time off counts towards the weekly hours; nights and weekends only count for work shifts in the period
+function addAutoFillShift(state, shift) {
+  state.shifts.push(shift);
+  if (!shift.isWork) {
+    state.timeOffDates.add(shift.date);
+  }
+  if (shift.weekNumber) {
+    state.weekHours[shift.weekNumber] = (state.weekHours[shift.weekNumber] || 0) + shift.hours;
+    state.periodHours += shift.hours;
+    if (shift.isWork && shift.isNight) state.nights++;
+    if (shift.isWork && shift.isWeekend) state.weekends++;
+  }
+}
 
-    res.json({ 
-        success: true,
-      message: 'Cell shifts cleared successfully', 
-      clearedCount: result.rows.length,
-        clearedShifts: result.rows,
-        debug: {
-          requestedDate: date,
-          foundInDatabase: debugQuery.rows.length,
-          cleared: result.rows.length
-        }
+// Function to propose a staff member for every empty cell of a period (nothing is written)
+// Cells are filled in date order. Staff are skipped when inactive, not employed on the day, marked in
+// unavailable_staff_daily, on HOLIDAY/SSP/CSP that day, already working, short of the minimum rest or
+// at their contracted hours for the week (zero-hour staff: 48 hours). Of the rest, contracted staff come
+// before zero-hour staff, then fewest nights (night cells) and weekend shifts (weekend cells) in the
+// period, then the largest share of contracted hours still to work.
+async function buildAutoFillDraft(db, periodId, shiftTypes = []) {
+  const minimumRestHours = await getMinimumRestHours();
+  const cells = await getEmptyRotaCells(db, periodId, shiftTypes);
+  
+  const periodResult = await db.query(`
+    SELECT (end_date - start_date + 1) / 7.0 as period_weeks FROM periods WHERE period_id = $1
+  `, [periodId]);
+  const periodWeeks = parseFloat(periodResult.rows[0].period_weeks);
+  
+  const staffResult = await db.query(`
+    SELECT 
+      staff_name,
+      contracted_hours,
+      employment_start_date::TEXT as employment_start_date,
+      employment_end_date::TEXT as employment_end_date
+    FROM human_resource
+    WHERE is_active = true
+    ORDER BY staff_name
+  `);
+  
+  // Shifts from the day before the period to two days after (for overlap and rest checks)
+  const shiftsResult = await db.query(`
+    SELECT 
+      s.staff_name,
+      s.shift_start_datetime,
+      s.shift_end_datetime,
+      COALESCE(st.category, 'work') = 'work' as is_work,
+      to_char(s.shift_start_datetime AT TIME ZONE 'Europe/London', 'YYYY-MM-DD') as shift_date,
+      CASE WHEN (s.shift_start_datetime AT TIME ZONE 'Europe/London')::date BETWEEN p.start_date AND p.end_date
+        THEN (((s.shift_start_datetime AT TIME ZONE 'Europe/London')::date - p.start_date) / 7) + 1
+      END as week_number,
+      EXTRACT(ISODOW FROM s.shift_start_datetime AT TIME ZONE 'Europe/London') >= 6 as is_weekend,
+      (s.shift_end_datetime AT TIME ZONE 'Europe/London')::date > (s.shift_start_datetime AT TIME ZONE 'Europe/London')::date as is_night
+    FROM shifts s
+    JOIN periods p ON p.period_id = $1
+    LEFT JOIN shift_types st ON st.name = s.shift_type
+    WHERE s.shift_end_datetime > (p.start_date - 1)::timestamp AT TIME ZONE 'Europe/London'
+      AND s.shift_start_datetime < (p.end_date + 2)::timestamp AT TIME ZONE 'Europe/London'
+  `, [periodId]);
+  
+  const unavailableResult = await db.query(`
+    SELECT to_char(u.date, 'YYYY-MM-DD') as date, u.unavailable
+    FROM unavailable_staff_daily u
+    JOIN periods p ON p.period_id = $1
+    WHERE u.date BETWEEN p.start_date AND p.end_date
+  `, [periodId]);
+  
+  const staffStates = new Map();
+  staffResult.rows.forEach(staff => {
+    staffStates.set(staff.staff_name, {
+      staff: staff,
+      contractedHours: parseFloat(staff.contracted_hours) || 0,
+      shifts: [],
+      timeOffDates: new Set(),
+      unavailableDates: new Set(),
+      weekHours: {},
+      periodHours: 0,
+      existingHours: 0,
+      proposedHours: 0,
+      nights: 0,
+      weekends: 0
     });
-
-  } catch (err) {
-    console.error('Error clearing cell shifts:', err);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to clear cell shifts',
-        message: err.message
+  });
+  
+  shiftsResult.rows.forEach(row => {
+    const state = staffStates.get(row.staff_name);
+    if (!state) return;
+    
+    const start = new Date(row.shift_start_datetime).getTime();
+    const end = new Date(row.shift_end_datetime).getTime();
+    addAutoFillShift(state, {
+      start: start,
+      end: end,
+      hours: (end - start) / HOUR_MS,
+      date: row.shift_date,
+      weekNumber: row.week_number,
+      isWork: row.is_work,
+      isNight: row.is_night,
+      isWeekend: row.is_weekend
+    });
+  });
+  
+  unavailableResult.rows.forEach(row => {
+    (row.unavailable || '').split(',').map(name => name.trim()).filter(Boolean).forEach(name => {
+      const state = staffStates.get(name);
+      if (state) state.unavailableDates.add(row.date);
+    });
+  });
+  
+  staffStates.forEach(state => {
+    state.existingHours = state.periodHours;
+  });
+  
+  // Share of the period's contracted hours still to work (zero-hour staff: fewest hours first)
+  const getRemainingShare = (state) => state.contractedHours > 0
+    ? 1 - state.periodHours / (state.contractedHours * periodWeeks)
+    : -state.periodHours;
+  
+  const proposals = [];
+  const unfilled = [];
+  
+  for (const cell of cells) {
+    const eligible = [];
+    const reasons = {};
+    
+    staffStates.forEach(state => {
+      const reason = getAutoFillBlockReason(state, cell, minimumRestHours);
+      if (reason) {
+        reasons[reason] = (reasons[reason] || 0) + 1;
+      } else {
+        eligible.push(state);
+      }
+    });
+    
+    if (eligible.length === 0) {
+      unfilled.push({
+        date: cell.shift_date,
+        week_number: cell.week_number,
+        shift_type: cell.shift_type,
+        reasons: reasons,
+        message: `No staff available - ${Object.keys(reasons).map(reason => `${reasons[reason]} ${AUTO_FILL_BLOCK_REASONS[reason]}`).join(', ') || 'no active staff'}`
       });
+      continue;
     }
+    
+    eligible.sort((a, b) =>
+      ((a.contractedHours > 0 ? 0 : 1) - (b.contractedHours > 0 ? 0 : 1)) ||
+      (cell.is_night ? a.nights - b.nights : 0) ||
+      (cell.is_weekend ? a.weekends - b.weekends : 0) ||
+      (getRemainingShare(b) - getRemainingShare(a)) ||
+      a.staff.staff_name.localeCompare(b.staff.staff_name)
+    );
+    
+    const chosen = eligible[0];
+    const start = new Date(cell.shift_start).getTime();
+    const end = new Date(cell.shift_end).getTime();
+    const hours = (end - start) / HOUR_MS;
+    
+    addAutoFillShift(chosen, {
+      start: start,
+      end: end,
+      hours: hours,
+      date: cell.shift_date,
+      weekNumber: cell.week_number,
+      isWork: true,
+      isNight: cell.is_night,
+      isWeekend: cell.is_weekend
+    });
+    chosen.proposedHours += hours;
+    
+    proposals.push({
+      date: cell.shift_date,
+      week_number: cell.week_number,
+      shift_type: cell.shift_type,
+      staff_name: chosen.staff.staff_name,
+      start_time: cell.start_time,
+      end_time: cell.end_time,
+      shift_start: cell.shift_start,
+      shift_end: cell.shift_end,
+      hours: roundHours(hours),
+      is_night: cell.is_night,
+      is_weekend: cell.is_weekend
+    });
   }
-);
+  
+  const staffSummary = Array.from(staffStates.values()).map(state => ({
+    staff_name: state.staff.staff_name,
+    contracted_hours: state.contractedHours,
+    period_contracted_hours: roundHours(state.contractedHours * periodWeeks),
+    existing_hours: roundHours(state.existingHours),
+    proposed_hours: roundHours(state.proposedHours),
+    nights: state.nights,
+    weekends: state.weekends
+  }));
+  
+  return { cellCount: cells.length, proposals, unfilled, staffSummary };
+}
 
-// Clear shifts directly (for frontend compatibility)
-app.delete('/api/shifts/clear-direct', 
-  validateRequiredFields(['periodId']),
-  async (req, res) => {
+// Propose staff for every empty rota cell of a period - returns a draft, nothing is saved
+// Body: optional shift_types (work shift types to fill, defaults to every active work type)
+// Accepted proposals are saved with POST /api/periods/:periodId/auto-fill/accept
+app.post('/api/periods/:periodId/auto-fill', async (req, res) => {
   try {
-    const {
-      periodId,
-      weekNumber,
-      date,
-      shiftType
-    } = req.body;
-
-    // Validate periodId format
+    const { periodId } = req.params;
+    const { shift_types = [] } = req.body;
+    
     if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(periodId)) {
       return res.status(400).json({
         success: false,
@@ -3354,2104 +13498,3623 @@ app.delete('/api/shifts/clear-direct',
         message: 'Period ID must be a valid UUID'
       });
     }
-
-    console.log('Clear direct request:', { periodId, weekNumber, date, shiftType });
-
-    let query = 'DELETE FROM shifts WHERE period_id = $1';
-    let params = [periodId];
-    let paramIndex = 2;
-
-    // Add week number filter if provided
-    if (weekNumber !== undefined && weekNumber !== null) {
-      if (weekNumber < 1 || weekNumber > 4) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid week number',
-          message: 'Week number must be between 1 and 4'
-        });
-      }
-      query += ` AND week_number = $${paramIndex}`;
-      params.push(weekNumber);
-      paramIndex++;
-    }
-
-    // Add date filter if provided
-    if (date) {
-      query += ` AND shift_start_datetime::date = $${paramIndex}`;
-      params.push(date);
-      paramIndex++;
+    
+    const shiftTypeError = await validateAutoFillShiftTypes(shift_types);
+    if (shiftTypeError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid shift type',
+        message: shiftTypeError
+      });
     }
-
-    // Add shift type filter if provided
-    if (shiftType) {
-      const validShiftTypes = ['Tom Day', 'Charlotte Day', 'Double Up', 'Tom Night', 'Charlotte Night', 'HOLIDAY', 'SSP', 'CSP'];
-      if (!validShiftTypes.includes(shiftType)) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid shift type',
-          message: `Shift type must be one of: ${validShiftTypes.join(', ')}`
-        });
-      }
-      query += ` AND shift_type = $${paramIndex}`;
-      params.push(shiftType);
+    
+    const periodResult = await pool.query('SELECT period_id, period_name FROM periods WHERE period_id = $1', [periodId]);
+    if (periodResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Period not found',
+        message: `No period with ID ${periodId}`
+      });
     }
-
-    query += ' RETURNING id, staff_name, shift_type, shift_start_datetime::date as date';
-
-    console.log('Clear direct query:', query);
-    console.log('Clear direct params:', params);
-
-    const result = await pool.query(query, params);
-
-    console.log('Clear direct result:', result.rows);
-
-    res.json({ 
+    
+    console.log(`🪄 Building auto-fill draft for ${periodResult.rows[0].period_name}...`);
+    const draft = await buildAutoFillDraft(pool, periodId, shift_types);
+    console.log(`🪄 Auto-fill draft: ${draft.proposals.length} of ${draft.cellCount} empty cells filled, ${draft.unfilled.length} unfilled`);
+    
+    res.json({
       success: true,
-      message: 'Shifts cleared successfully', 
-      clearedCount: result.rows.length,
-      clearedShifts: result.rows
+      data: draft.proposals,
+      count: draft.proposals.length,
+      unfilled: draft.unfilled,
+      staffSummary: draft.staffSummary,
+      message: `Proposed staff for ${draft.proposals.length} of ${draft.cellCount} empty cells${draft.unfilled.length > 0 ? ` - ${draft.unfilled.length} could not be filled` : ''}`
     });
-
   } catch (err) {
-    console.error('Error clearing shifts directly:', err);
+    console.error('❌ Error building auto-fill draft:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to clear shifts',
+      error: 'Failed to build auto-fill draft',
       message: err.message
     });
   }
 });
 
-// Test database connection and table structure
-app.get('/api/test-db', async (req, res) => {
+// Create shifts for the auto-fill proposals the team leader accepted
+// Body: assignments [{ date, shift_type, staff_name }] - times come from the shift type defaults.
+// Cells filled since the draft was built, inactive staff, unavailability, time off and overlapping
+// shifts are skipped; rest gap conflicts are returned as warnings.
+app.post('/api/periods/:periodId/auto-fill/accept', 
+  validateRequiredFields(['assignments']),
+  async (req, res) => {
+  const client = await pool.connect();
   try {
-    // Test basic connection
-    const connectionTest = await pool.query('SELECT NOW()');
+    const { periodId } = req.params;
+    const { assignments } = req.body;
     
-    // Check if tables exist
-    const tablesQuery = await pool.query(`
-      SELECT table_name 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public' 
-      AND table_name IN ('shifts', 'human_resource', 'periods')
-    `);
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(periodId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid period ID format',
+        message: 'Period ID must be a valid UUID'
+      });
+    }
     
-    // Check shifts table structure
-    const shiftsColumns = await pool.query(`
-      SELECT column_name, data_type 
-      FROM information_schema.columns 
-      WHERE table_name = 'shifts'
-    `);
+    if (!Array.isArray(assignments) || assignments.some(assignment => !assignment || !assignment.date || !assignment.shift_type || !assignment.staff_name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid assignments',
+        message: 'assignments must be an array of { date, shift_type, staff_name }'
+      });
+    }
+    
+    const shiftTypes = [...new Set(assignments.map(assignment => assignment.shift_type))];
+    const shiftTypeError = await validateAutoFillShiftTypes(shiftTypes);
+    if (shiftTypeError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid shift type',
+        message: shiftTypeError
+      });
+    }
+    
+    await client.query('BEGIN');
+    
+    const periodResult = await client.query('SELECT period_id, period_name FROM periods WHERE period_id = $1', [periodId]);
+    if (periodResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Period not found',
+        message: `No period with ID ${periodId}`
+      });
+    }
+    
+    const emptyCells = new Map();
+    (await getEmptyRotaCells(client, periodId, shiftTypes)).forEach(cell => {
+      emptyCells.set(`${cell.shift_date}|${cell.shift_type}`, cell);
+    });
+    
+    const createdShifts = [];
+    const skipped = [];
+    const warnings = [];
+    const minimumRestHours = await getMinimumRestHours();
+    
+    for (const assignment of assignments) {
+      const skip = (reason, message) => skipped.push({
+        date: assignment.date,
+        staffName: assignment.staff_name,
+        shiftType: assignment.shift_type,
+        reason: reason,
+        message: message
+      });
+      
+      const cellKey = `${assignment.date}|${assignment.shift_type}`;
+      const cell = emptyCells.get(cellKey);
+      if (!cell) {
+        skip('cell_filled', `${assignment.shift_type} on ${assignment.date} already has a shift or is not in this period`);
+        continue;
+      }
+      
+      const staffResult = await client.query(`
+        SELECT is_active,
+          employment_start_date > $2::date as not_started,
+          employment_end_date < $2::date as has_left
+        FROM human_resource WHERE staff_name = $1
+      `, [assignment.staff_name, cell.shift_date]);
+      const staff = staffResult.rows[0];
+      
+      if (!staff || !staff.is_active || staff.not_started || staff.has_left) {
+        skip('not_employed', `${assignment.staff_name} is not an active staff member on ${cell.shift_date}`);
+        continue;
+      }
+      
+      const timeOffResult = await client.query(`
+        SELECT s.shift_type FROM shifts s
+        JOIN shift_types st ON st.name = s.shift_type AND st.category <> 'work'
+        WHERE s.staff_name = $1
+          AND (s.shift_start_datetime AT TIME ZONE 'Europe/London')::date = $2::date
+        LIMIT 1
+      `, [assignment.staff_name, cell.shift_date]);
+      if (timeOffResult.rows.length > 0) {
+        skip('time_off', `${assignment.staff_name} has ${timeOffResult.rows[0].shift_type} on ${cell.shift_date}`);
+        continue;
+      }
+      
+      // Shifts created earlier in this transaction are seen, so accepting two clashing cells skips the second
+      const conflicts = await detectShiftConflicts(client, {
+        staffName: assignment.staff_name,
+        shiftStart: cell.shift_start,
+        shiftEnd: cell.shift_end,
+        shiftType: cell.shift_type
+      }, [], minimumRestHours);
+      
+      const blockingConflict = conflicts.find(conflict => conflict.type === 'unavailable' || conflict.type === 'overlap');
+      if (blockingConflict) {
+        skip(blockingConflict.type, blockingConflict.message);
+        continue;
+      }
+      warnings.push(...conflicts);
+      
+      const result = await client.query(`
+        INSERT INTO shifts (
+          id, period_id, week_number, staff_name, shift_start_datetime, shift_end_datetime, shift_type, notes
+        ) VALUES (uuid_shift($1, $3, $4::timestamptz, $6), $1, $2, $3, $4, $5, $6, '') RETURNING *
+      `, [
+        periodId,
+        cell.week_number,
+        assignment.staff_name,
+        cell.shift_start,
+        cell.shift_end,
+        cell.shift_type
+      ]);
+      createdShifts.push(result.rows[0]);
+      emptyCells.delete(cellKey);
+    }
     
-    // Check current data in tables
-    const shiftsCount = await pool.query('SELECT COUNT(*) as count FROM shifts');
-    const staffCount = await pool.query('SELECT COUNT(*) as count FROM human_resource');
-    const periodsCount = await pool.query('SELECT COUNT(*) as count FROM periods');
+    await recordShiftAuditEvents(client, req, 'create', createdShifts);
+    const operationId = await recordRotaOperation(client, req, {
+      operationType: 'auto-fill',
+      description: `Accepted auto-fill for ${periodResult.rows[0].period_name}`,
+      periodId,
+      after: createdShifts
+    });
+    await client.query('COMMIT');
+    
+    console.log(`🪄 Accepted auto-fill for ${periodResult.rows[0].period_name}: ${createdShifts.length} created, ${skipped.length} skipped`);
     
     res.json({
       success: true,
-      connection: 'success',
-      tables: tablesQuery.rows.map(r => r.table_name),
-      shiftsColumns: shiftsColumns.rows,
-      dataCounts: {
-        shifts: parseInt(shiftsCount.rows[0].count),
-        staff: parseInt(staffCount.rows[0].count),
-        periods: parseInt(periodsCount.rows[0].count)
-      }
+      data: createdShifts,
+      count: createdShifts.length,
+      skipped: skipped,
+      warnings: warnings,
+      operationId: operationId,
+      message: `Created ${createdShifts.length} shift(s)${skipped.length > 0 ? ` - ${skipped.length} skipped` : ''}`
     });
   } catch (err) {
-    console.error('Database test failed:', err);
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error accepting auto-fill draft:', err);
     res.status(500).json({
       success: false,
-      error: 'Database test failed',
+      error: 'Failed to accept auto-fill draft',
       message: err.message
     });
+  } finally {
+    client.release();
   }
 });
 
-// Debug endpoint removed - not essential functionality
+// Note: Moved 404 handler to the very end of API route registrations
 
-// Debug endpoint to inspect specific shift data
-app.get('/api/debug/shifts/:id', async (req, res) => {
+// Serve the main HTML file
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+// Background processor for change requests (OPTIMIZED - uses SQL to filter already-applied requests)
+async function processChangeRequests() {
+  const client = await pool.connect();
   try {
-    const { id } = req.params;
+    // Set a longer statement timeout for this operation (60 seconds)
+    await client.query('SET statement_timeout = 60000');
+    await client.query('BEGIN');
     
-    const result = await pool.query(`
-      SELECT s.*, hr.role as staff_role, p.start_date, p.end_date
-      FROM shifts s 
-      LEFT JOIN human_resource hr ON s.staff_name = hr.staff_name 
-      LEFT JOIN periods p ON s.period_id = p.period_id
-      WHERE s.id = $1
-    `, [id]);
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Shift not found',
-        message: `No shift found with ID: ${id}`
-      });
+    const now = new Date().toISOString();
+    
+    // OPTIMIZED: Use SQL to filter out already-applied requests by checking current state
+    // This eliminates the need for an applied_at column by using effective_from_date + state verification
+    const pendingRequests = await client.query(`
+      SELECT cr.* FROM change_requests cr
+      LEFT JOIN human_resource hr ON cr.staff_id = hr.unique_id
+      WHERE cr.effective_from_date <= $1
+        AND cr.effective_from_date > NOW() - INTERVAL '7 days'
+        AND (
+          -- Role changes: check if current role matches new_value
+          (cr.change_type = 'role_change' AND (hr.role IS NULL OR hr.role != cr.new_value))
+          OR
+          -- Pay rate changes: check if current pay_rate matches new_value (with tolerance for floats)
+          (cr.change_type = 'pay_rate_change' AND (hr.pay_rate IS NULL OR ABS(CAST(hr.pay_rate AS NUMERIC) - CAST(cr.new_value AS NUMERIC)) >= 0.01))
+          OR
+          -- Contracted hours changes: check if current hours matches new_value
+          (cr.change_type = 'contracted_hours_change' AND (hr.contracted_hours IS NULL OR ABS(CAST(hr.contracted_hours AS NUMERIC) - CAST(cr.new_value AS NUMERIC)) >= 0.01))
+          OR
+          -- Active status changes: check if current status matches new_value
+          (cr.change_type = 'active_status_change' AND (hr.is_active IS NULL OR hr.is_active::text != cr.new_value))
+          OR
+          -- Color code changes: check if current color matches new_value
+          (cr.change_type = 'color_code_change' AND (hr.color_code IS NULL OR hr.color_code != cr.new_value))
+          OR
+          -- Employment start date changes: check if current date matches new_value
+          (cr.change_type = 'employment_date_change' AND (
+            hr.employment_start_date IS NULL 
+            OR cr.new_value IS NULL 
+            OR DATE(hr.employment_start_date) != DATE(cr.new_value::timestamp)
+          ))
+          OR
+          -- Employment end date changes: check if current date matches new_value
+          (cr.change_type = 'employment_end_date_change' AND (
+            (cr.new_value = 'NULL' OR cr.new_value IS NULL) != (hr.employment_end_date IS NULL)
+            OR (cr.new_value != 'NULL' AND cr.new_value IS NOT NULL AND hr.employment_end_date IS NOT NULL 
+                AND DATE(hr.employment_end_date) != DATE(cr.new_value::timestamp))
+          ))
+        )
+      ORDER BY cr.effective_from_date ASC
+      LIMIT 50
+    `, [now]);
+    
+    if (pendingRequests.rows.length === 0) {
+      await client.query('COMMIT');
+      return; // No pending requests, exit silently
     }
-
-    res.json({
-      success: true,
-      data: result.rows[0]
-    });
-  } catch (err) {
-    console.error('Error in debug shift by ID:', err);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to debug shift',
-      message: err.message
-    });
+    
+    console.log(`🔄 Processing ${pendingRequests.rows.length} change requests...`);
+    
+    let processedCount = 0;
+    let errorCount = 0;
+    
+    // Process changes in batches using a transaction
+    for (const request of pendingRequests.rows) {
+      try {
+        console.log(`🔄 Processing change request: ${request.change_type} for ${request.staff_name}`);
+        
+        // Apply the change based on type
+        let updateQuery = '';
+        let updateParams = [];
+        
+        switch (request.change_type) {
+          case 'role_change':
+            updateQuery = 'UPDATE human_resource SET role = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2';
+            updateParams = [request.new_value, request.staff_id];
+            break;
+          case 'pay_rate_change':
+            updateQuery = 'UPDATE human_resource SET pay_rate = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2';
+            updateParams = [request.new_value, request.staff_id];
+            break;
+          case 'contracted_hours_change':
+            updateQuery = 'UPDATE human_resource SET contracted_hours = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2';
+            updateParams = [request.new_value, request.staff_id];
+            break;
+          case 'employment_date_change':
+            updateQuery = 'UPDATE human_resource SET employment_start_date = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2';
+            updateParams = [request.new_value, request.staff_id];
+            break;
+          case 'employment_end_date_change':
+            updateQuery = 'UPDATE human_resource SET employment_end_date = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2';
+            updateParams = [request.new_value === 'NULL' ? null : request.new_value, request.staff_id];
+            break;
+          case 'color_code_change':
+            updateQuery = 'UPDATE human_resource SET color_code = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2';
+            updateParams = [request.new_value, request.staff_id];
+            break;
+          case 'active_status_change':
+            updateQuery = 'UPDATE human_resource SET is_active = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2';
+            updateParams = [request.new_value === 'true', request.staff_id];
+            break;
+          default:
+            console.error(`❌ Unknown change type: ${request.change_type}`);
+            errorCount++;
+            continue;
+        }
+        
+        // Apply the change to human_resource and let the staff member know
+        await client.query(updateQuery, updateParams);
+        await queueChangeRequestNotification(client, request);
+        
+        console.log(`✅ Applied change request: ${request.change_type} for ${request.staff_name}`);
+        processedCount++;
+        
+      } catch (error) {
+        errorCount++;
+        console.error(`❌ Error applying change request ${request.id}:`, error);
+        // Continue processing other requests even if one fails
+      }
+    }
+    
+    await client.query('COMMIT');
+    
+    if (processedCount > 0 || errorCount > 0) {
+      console.log(`✅ Completed processing: ${processedCount} applied, ${errorCount} errors`);
+    }
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Error in change request processor:', error);
+  } finally {
+    client.release();
   }
-});
+}
 
-// Update staff member active status
-app.put('/api/staff/:id/active-status', 
-  validateRequiredFields(['is_active']),
-  async (req, res) => {
-    try {
-      const { id } = req.params;
-      const { is_active } = req.body;
+// Run change request processor every minute
+setInterval(processChangeRequests, 60000); // 60 seconds
 
-      // Validate UUID
-      if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid staff ID format',
-          message: 'Staff ID must be a valid UUID'
-        });
-      }
+// Send queued email notifications every minute
+setInterval(processNotificationOutbox, 60000); // 60 seconds
 
-      // Validate boolean value
-      if (typeof is_active !== 'boolean') {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid active status value',
-          message: 'is_active must be a boolean value (true/false)'
-        });
-      }
+// Keep the rolling horizon of future periods - on startup, then every 6 hours
+processFuturePeriods();
+setInterval(processFuturePeriods, 6 * 60 * 60 * 1000); // 6 hours
 
-      // Check if staff member exists
-      const staffCheck = await pool.query(
-        'SELECT staff_name, role FROM human_resource WHERE unique_id = $1',
-        [id]
-      );
+// Push committed rota changes to the open rota grids
+startLiveUpdateListener();
 
-      if (staffCheck.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          error: 'Staff member not found',
-          message: `No staff member found with ID: ${id}`
-        });
-      }
+// =====================================================
+// DATABASE SETUP ENDPOINTS
+// =====================================================
 
-      // Update active status
-      const result = await pool.query(
-        'UPDATE human_resource SET is_active = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2 RETURNING unique_id, staff_name, role, is_active, updated_at',
-        [is_active, id]
-      );
+// Create settings table
+app.post('/api/setup/create-settings-table', async (req, res) => {
+  try {
+    console.log('🔧 Creating settings table...');
+    
+    // Create settings table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS settings (
+        setting_id UUID PRIMARY KEY DEFAULT uuid_setting(type_of_setting),
+        type_of_setting TEXT NOT NULL UNIQUE,
+        value TEXT NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
+        updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
+      )
+    `);
+    
+    // Create indexes
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_settings_type ON settings(type_of_setting)
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_settings_updated_at ON settings(updated_at)
+    `);
+    
+    // Create trigger for updated_at
+    await pool.query(`
+      DROP TRIGGER IF EXISTS update_settings_updated_at ON settings
+    `);
+    
+    await pool.query(`
+      CREATE TRIGGER update_settings_updated_at 
+        BEFORE UPDATE ON settings 
+        FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
+    `);
+    
+    // Insert default settings
+    await pool.query(`
+      INSERT INTO settings (setting_id, type_of_setting, value) VALUES
+        (uuid_setting('Flat rate for SSP per week'), 'Flat rate for SSP per week', '109.40'),
+        (uuid_setting('Flat rate for CSP'), 'Flat rate for CSP', '49'),
+        (uuid_setting('Minimum rest between shifts (hours)'), 'Minimum rest between shifts (hours)', '11')
+      ON CONFLICT (type_of_setting) DO NOTHING
+    `);
+    
+    res.json({
+      success: true,
+      message: 'Settings table created successfully with default values'
+    });
+  } catch (error) {
+    console.error('❌ Error creating settings table:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create settings table',
+      details: error.message
+    });
+  }
+});
 
-      console.log(`✅ Staff member ${result.rows[0].staff_name} active status updated to: ${is_active}`);
+// =====================================================
+// SHIFT TYPES API ENDPOINTS
+// =====================================================
 
-      res.json({
-        success: true,
-        message: 'Active status updated successfully',
-        data: result.rows[0]
-      });
+const SHIFT_TYPE_CATEGORIES = ['work', 'holiday', 'sick'];
 
-    } catch (err) {
-      console.error('Error updating staff active status:', err);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to update staff active status',
-        message: err.message,
-        details: process.env.NODE_ENV === 'development' ? err.stack : undefined
-      });
-    }
+// Helper function to validate shift type fields (only validates fields that are provided)
+function validateShiftTypeFields({ name, default_start_time, default_end_time, category, color_code, display_order }) {
+  if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+    return { error: 'Invalid shift type name', message: 'Shift type name must be a non-empty string' };
   }
-);
+  
+  const timeRegex = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (default_start_time !== undefined && !timeRegex.test(default_start_time)) {
+    return { error: 'Invalid default start time', message: 'Default start time must be in HH:MM format' };
+  }
+  if (default_end_time !== undefined && !timeRegex.test(default_end_time)) {
+    return { error: 'Invalid default end time', message: 'Default end time must be in HH:MM format' };
+  }
+  
+  if (category !== undefined && !SHIFT_TYPE_CATEGORIES.includes(category)) {
+    return { error: 'Invalid category', message: `Category must be one of: ${SHIFT_TYPE_CATEGORIES.join(', ')}` };
+  }
+  
+  if (color_code !== undefined && !/^#[0-9A-F]{6}$/i.test(color_code)) {
+    return { error: 'Invalid color code format', message: 'Color code must be a valid hex color (e.g., #3b82f6)' };
+  }
+  
+  if (display_order !== undefined && (isNaN(parseInt(display_order)) || parseInt(display_order) < 0)) {
+    return { error: 'Invalid display order', message: 'Display order must be a whole number (0 or greater)' };
+  }
+  
+  return null;
+}
 
-// Database inspection endpoint to check current schema
-app.get('/api/migrate/check-schema', async (req, res) => {
+// Get all shift types (optionally only active ones)
+app.get('/api/shift-types', async (req, res) => {
   try {
-    console.log('🔍 Checking current database schema...');
-    
-    // Get information about the shifts table structure
-    const result = await pool.query(`
-      SELECT 
-        column_name,
-        data_type,
-        is_nullable,
-        column_default
-      FROM information_schema.columns 
-      WHERE table_name = 'shifts' 
-      ORDER BY ordinal_position;
-    `);
+    const { active } = req.query;
+    console.log('📋 Fetching shift types...');
     
-    console.log('✅ Schema check completed');
-    console.log('📋 Current columns:', result.rows.map(col => col.column_name));
+    const shiftTypes = await getShiftTypes();
+    const data = active === 'true' ? shiftTypes.filter(type => type.is_active) : shiftTypes;
     
     res.json({
       success: true,
-      message: 'Database schema check completed',
-      columns: result.rows,
-      count: result.rows.length
+      data: data,
+      count: data.length
     });
-    
   } catch (err) {
-    console.error('❌ Error checking database schema:', err);
+    console.error('Error fetching shift types:', err);
     res.status(500).json({
       success: false,
-      error: 'Schema check failed',
+      error: 'Failed to fetch shift types',
       message: err.message
     });
   }
 });
 
-// Database migration endpoint to fix shift_type constraint and add missing columns
-app.post('/api/migrate/fix-shift-types', async (req, res) => {
+// Get single shift type
+app.get('/api/shift-types/:id', async (req, res) => {
   try {
-    console.log('🔄 Starting comprehensive database migration...');
-    
-    // Force add the missing columns (ignore if they already exist)
-    console.log('🔄 Adding missing columns...');
-    
-    try {
-      await pool.query('ALTER TABLE shifts ADD COLUMN total_hours DECIMAL(4,2)');
-      console.log('✅ Added total_hours column');
-    } catch (err) {
-      if (err.code === '42701') { // column already exists
-        console.log('ℹ️ total_hours column already exists');
-      } else {
-        throw err;
-      }
-    }
-    
-    try {
-      await pool.query('ALTER TABLE shifts ADD COLUMN date DATE');
-      console.log('✅ Added date column');
-    } catch (err) {
-      if (err.code === '42701') { // column already exists
-        console.log('ℹ️ date column already exists');
-      } else {
-        throw err;
-      }
-    }
-    
-    try {
-      await pool.query('ALTER TABLE shifts ADD COLUMN start_time TIME');
-      console.log('✅ Added start_time column');
-    } catch (err) {
-      if (err.code === '42701') { // column already exists
-        console.log('ℹ️ start_time column already exists');
-      } else {
-        throw err;
-      }
-    }
-    
-    try {
-      await pool.query('ALTER TABLE shifts ADD COLUMN end_time TIME');
-      console.log('✅ Added end_time column');
-    } catch (err) {
-      if (err.code === '42701') { // column already exists
-        console.log('ℹ️ end_time column already exists');
-      } else {
-        throw err;
-      }
-    }
-    
-    try {
-      await pool.query('ALTER TABLE shifts ADD COLUMN payment_period_end BOOLEAN DEFAULT FALSE');
-      console.log('✅ Added payment_period_end column');
-    } catch (err) {
-      if (err.code === '42701') { // column already exists
-        console.log('ℹ️ payment_period_end column already exists');
-      } else {
-        throw err;
-      }
-    }
-    
-    try {
-      await pool.query('ALTER TABLE shifts ADD COLUMN financial_year_end BOOLEAN DEFAULT FALSE');
-      console.log('✅ Added financial_year_end column');
-    } catch (err) {
-      if (err.code === '42701') { // column already exists
-        console.log('ℹ️ financial_year_end column already exists');
-      } else {
-        throw err;
-      }
-    }
+    const { id } = req.params;
     
-    try {
-      await pool.query('ALTER TABLE shifts ADD COLUMN call_out BOOLEAN DEFAULT FALSE');
-      console.log('✅ Added call_out column');
-    } catch (err) {
-      if (err.code === '42701') { // column already exists
-        console.log('ℹ️ call_out column already exists');
-      } else {
-        throw err;
-      }
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid shift type ID format',
+        message: 'Shift type ID must be a valid UUID'
+      });
     }
     
-    // Handle constraint management safely
-    console.log('🔄 Managing shift_type constraint...');
-    
-    try {
-      // Drop the existing constraint if it exists
-      await pool.query(`
-        DO $$ 
-        BEGIN
-          IF EXISTS (SELECT 1 FROM information_schema.table_constraints WHERE constraint_name = 'shifts_shift_type_check') THEN
-            ALTER TABLE shifts DROP CONSTRAINT shifts_shift_type_check;
-            RAISE NOTICE 'Dropped existing shift_type constraint';
-          END IF;
-        END $$;
-      `);
-      console.log('✅ Constraint check completed');
-    } catch (err) {
-      console.log('ℹ️ Constraint drop handled:', err.message);
-    }
+    const shiftTypes = await getShiftTypes();
+    const shiftType = shiftTypes.find(type => type.shift_type_id === id);
     
-    try {
-      // Add the new constraint with updated shift types
-      await pool.query(`
-        ALTER TABLE shifts ADD CONSTRAINT shifts_shift_type_check 
-          CHECK (shift_type IN ('Tom Day', 'Charlotte Day', 'Double Up', 'Tom Night', 'Charlotte Night', 'HOLIDAY'));
-      `);
-      console.log('✅ Added new shift_type constraint');
-    } catch (err) {
-      if (err.code === '42710') { // constraint already exists
-        console.log('ℹ️ shift_type constraint already exists');
-      } else {
-        throw err;
-      }
+    if (!shiftType) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shift type not found',
+        message: 'No shift type found with the specified ID'
+      });
     }
     
-    console.log('✅ Successfully completed comprehensive database migration');
-    
     res.json({
       success: true,
-      message: 'Database migration completed successfully',
-      details: 'Added all missing columns and updated shift_type constraint'
+      data: shiftType
     });
-    
   } catch (err) {
-    console.error('❌ Error during database migration:', err);
+    console.error('Error fetching shift type:', err);
     res.status(500).json({
       success: false,
-      error: 'Database migration failed',
-      message: err.message,
-      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+      error: 'Failed to fetch shift type',
+      message: err.message
     });
   }
 });
 
-// Remove extra columns migration endpoint
-app.post('/api/migrate/remove-extra-columns', async (req, res) => {
-  console.log('🗑️ Removing extra columns from shifts table...');
-  
+// Add new shift type
+app.post('/api/shift-types', 
+  validateRequiredFields(['name']),
+  async (req, res) => {
   try {
-    // Remove start_time column
-    try {
-      await pool.query('ALTER TABLE shifts DROP COLUMN IF EXISTS start_time');
-      console.log('✅ Removed start_time column');
-    } catch (err) {
-      console.log('ℹ️ start_time column removal handled:', err.message);
-    }
-    
-    // Remove end_time column
-    try {
-      await pool.query('ALTER TABLE shifts DROP COLUMN IF EXISTS end_time');
-      console.log('✅ Removed end_time column');
-    } catch (err) {
-      console.log('ℹ️ end_time column removal handled:', err.message);
-    }
+    const {
+      name,
+      default_start_time = '08:00',
+      default_end_time = '20:00',
+      category = 'work',
+      color_code = '#3b82f6',
+      display_order,
+      is_active = true
+    } = req.body;
     
-    // Remove date column
-    try {
-      await pool.query('ALTER TABLE shifts DROP COLUMN IF EXISTS date');
-      console.log('✅ Removed date column');
-    } catch (err) {
-      console.log('ℹ️ date column removal handled:', err.message);
+    const validationError = validateShiftTypeFields({ name, default_start_time, default_end_time, category, color_code, display_order });
+    if (validationError) {
+      return res.status(400).json({ success: false, ...validationError });
     }
     
-    // Remove total_hours column (also extra)
-    try {
-      await pool.query('ALTER TABLE shifts DROP COLUMN IF EXISTS total_hours');
-      console.log('✅ Removed total_hours column');
-    } catch (err) {
-      console.log('ℹ️ total_hours column removal handled:', err.message);
-    }
+    console.log(`➕ Adding shift type: ${name.trim()} (${category})`);
     
-    console.log('✅ Successfully removed extra columns from shifts table');
+    // New shift types go to the end of the rota unless an order is given
+    const result = await pool.query(`
+      INSERT INTO shift_types (
+        shift_type_id, name, default_start_time, default_end_time, category, color_code, display_order, is_active
+      ) VALUES (
+        uuid_shift_type($1), $1, $2, $3, $4, $5,
+        COALESCE($6, (SELECT COALESCE(MAX(display_order), 0) + 1 FROM shift_types)),
+        $7
+      )
+      RETURNING shift_type_id
+    `, [name.trim(), default_start_time, default_end_time, category, color_code, display_order !== undefined ? parseInt(display_order) : null, is_active !== false]);
     
-    res.json({
-      success: true,
-      message: 'Extra columns removed successfully',
-      details: 'Removed start_time, end_time, date, and total_hours columns'
-    });
+    clearShiftTypeCache();
+    const shiftTypes = await getShiftTypes();
     
-  } catch (err) {
-    console.error('❌ Error removing extra columns:', err);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to remove extra columns',
-      message: err.message,
-      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    res.status(201).json({
+      success: true,
+      data: shiftTypes.find(type => type.shift_type_id === result.rows[0].shift_type_id),
+      message: 'Shift type added successfully'
     });
+  } catch (err) {
+    console.error('Error adding shift type:', err);
+    if (err.code === '23505') { // Unique constraint violation
+      res.status(409).json({
+        success: false,
+        error: 'Shift type already exists',
+        message: 'A shift type with this name already exists'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add shift type',
+        message: err.message
+      });
+    }
   }
 });
 
-// Clear multiple shifts endpoint
-app.post('/api/shifts/clear-multiple', async (req, res) => {
-  console.log('🗑️ Clearing multiple shifts from database...');
-  
+// Update shift type (renaming cascades to existing shifts)
+app.put('/api/shift-types/:id', async (req, res) => {
   try {
-    const { shifts } = req.body;
+    const { id } = req.params;
+    const { name, default_start_time, default_end_time, category, color_code, display_order, is_active } = req.body;
     
-    if (!shifts || !Array.isArray(shifts) || shifts.length === 0) {
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid request',
-        message: 'No shifts provided for clearing'
+        error: 'Invalid shift type ID format',
+        message: 'Shift type ID must be a valid UUID'
       });
     }
     
-    console.log(`🗑️ Attempting to clear ${shifts.length} shifts...`);
+    const validationError = validateShiftTypeFields({ name, default_start_time, default_end_time, category, color_code, display_order });
+    if (validationError) {
+      return res.status(400).json({ success: false, ...validationError });
+    }
     
-    let clearedCount = 0;
+    console.log(`✏️ Updating shift type ${id}`);
     
-    // Clear each shift individually
-    for (const shift of shifts) {
-      try {
-        const { period_id, week_number, shift_start_datetime, shift_end_datetime, shift_type, staff_name } = shift;
-        
-        // Delete the shift from database
-        const result = await pool.query(`
-          DELETE FROM shifts 
-          WHERE period_id = $1 
-            AND week_number = $2 
-            AND shift_start_datetime = $3 
-            AND shift_end_datetime = $4 
-            AND shift_type = $5 
-            AND staff_name = $6
-        `, [period_id, week_number, shift_start_datetime, shift_end_datetime, shift_type, staff_name]);
-        
-        if (result.rowCount > 0) {
-          clearedCount++;
-          console.log(`✅ Cleared shift: ${staff_name} on ${shift_start_datetime}`);
-        } else {
-          console.log(`ℹ️ No matching shift found for: ${staff_name} on ${shift_start_datetime}`);
-        }
-        
-      } catch (error) {
-        console.error(`❌ Error clearing shift:`, error);
-        // Continue with other shifts even if one fails
-      }
+    const result = await pool.query(`
+      UPDATE shift_types SET
+        name = COALESCE($2, name),
+        default_start_time = COALESCE($3::time, default_start_time),
+        default_end_time = COALESCE($4::time, default_end_time),
+        category = COALESCE($5, category),
+        color_code = COALESCE($6, color_code),
+        display_order = COALESCE($7, display_order),
+        is_active = COALESCE($8, is_active),
+        updated_at = (NOW() AT TIME ZONE 'Europe/London')
+      WHERE shift_type_id = $1
+      RETURNING shift_type_id, name
+    `, [
+      id,
+      name !== undefined ? name.trim() : null,
+      default_start_time || null,
+      default_end_time || null,
+      category || null,
+      color_code || null,
+      display_order !== undefined ? parseInt(display_order) : null,
+      typeof is_active === 'boolean' ? is_active : null
+    ]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shift type not found',
+        message: 'No shift type found with the specified ID'
+      });
     }
     
-    console.log(`✅ Successfully cleared ${clearedCount} shifts from database`);
+    clearShiftTypeCache();
+    const shiftTypes = await getShiftTypes();
     
     res.json({
       success: true,
-      message: `Successfully cleared ${clearedCount} shifts from database`,
-      cleared_count: clearedCount,
-      total_requested: shifts.length
-    });
-    
-  } catch (error) {
-    console.error('❌ Error clearing multiple shifts:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to clear shifts',
-      message: error.message
+      data: shiftTypes.find(type => type.shift_type_id === id),
+      message: 'Shift type updated successfully'
     });
+  } catch (err) {
+    console.error('Error updating shift type:', err);
+    if (err.code === '23505') { // Unique constraint violation
+      res.status(409).json({
+        success: false,
+        error: 'Shift type already exists',
+        message: 'A shift type with this name already exists'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update shift type',
+        message: err.message
+      });
+    }
   }
 });
 
-// Add color_code column to human_resource table
-app.post('/api/migrate/add-color-code', async (req, res) => {
+// Delete shift type (only allowed when no shifts use it - otherwise deactivate it instead)
+app.delete('/api/shift-types/:id', async (req, res) => {
   try {
-    console.log('🎨 Adding color_code column to human_resource table...');
+    const { id } = req.params;
     
-    // Check if color_code column already exists
-    const columnCheck = await pool.query(`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = 'human_resource' AND column_name = 'color_code'
-    `);
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid shift type ID format',
+        message: 'Shift type ID must be a valid UUID'
+      });
+    }
     
-    if (columnCheck.rows.length === 0) {
-      // Add color_code column to human_resource table
-      await pool.query(`
-        ALTER TABLE human_resource 
-        ADD COLUMN color_code VARCHAR(7) DEFAULT '#3b82f6'
-      `);
-      console.log('✅ color_code column added to human_resource table');
-    } else {
-      console.log('ℹ️ color_code column already exists');
+    const result = await pool.query(
+      'DELETE FROM shift_types WHERE shift_type_id = $1 RETURNING shift_type_id, name',
+      [id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shift type not found',
+        message: 'No shift type found with the specified ID'
+      });
     }
     
-    // Check if change_requests table exists
-    const tableCheck = await pool.query(`
-      SELECT table_name 
-      FROM information_schema.tables 
-      WHERE table_name = 'change_requests'
-    `);
+    clearShiftTypeCache();
+    console.log(`🗑️ Deleted shift type: ${result.rows[0].name}`);
     
-    if (tableCheck.rows.length === 0) {
-      // Create change_requests table if it doesn't exist
-      await pool.query(`
-        CREATE TABLE change_requests (
-          id UUID PRIMARY KEY DEFAULT uuid_change_request(staff_id, change_type, field_name, changed_at),
-          staff_id UUID NOT NULL REFERENCES human_resource(unique_id) ON DELETE CASCADE,
-          staff_name TEXT NOT NULL,
-          change_type TEXT NOT NULL,
-          field_name TEXT,
-          old_value TEXT,
-          new_value TEXT,
-          effective_from_date TIMESTAMPTZ DEFAULT NOW(),
-          changed_at TIMESTAMPTZ DEFAULT NOW(),
-          changed_by TEXT DEFAULT 'system',
-          reason TEXT
-        )
-      `);
-      console.log('✅ change_requests table created');
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Shift type deleted successfully'
+    });
+  } catch (err) {
+    console.error('Error deleting shift type:', err);
+    if (err.code === '23503') { // Foreign key violation - shifts still use this type
+      res.status(409).json({
+        success: false,
+        error: 'Shift type in use',
+        message: 'This shift type is used by existing shifts. Deactivate it instead of deleting it.'
+      });
     } else {
-      console.log('ℹ️ change_requests table already exists');
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete shift type',
+        message: err.message
+      });
     }
-    
-    // Create indexes for change_requests table (ignore if they already exist)
-    try {
-      await pool.query(`
-        CREATE INDEX idx_change_requests_staff_id ON change_requests(staff_id)
-      `);
-    } catch (err) {
-      if (err.code !== '42P07') console.log('ℹ️ staff_id index already exists');
+  }
+});
+
+// =====================================================
+// WORKING TIME COMPLIANCE API ENDPOINTS
+// =====================================================
+
+// UK Working Time Regulations 1998 limits used by the compliance report
+const WORKING_TIME_RULES = {
+  referenceWeeks: 17, // Reference period for averaging
+  maxAverageWeeklyHours: 48, // Reg 4 - average working week
+  minimumDailyRestHours: 11, // Reg 10 - rest between working days
+  minimumWeeklyRestHours: 24, // Reg 11 - uninterrupted rest in each 7 days...
+  minimumFortnightlyRestHours: 48, // ...or 48 hours in each 14 days
+  nightStartHour: 23, // Night time is 23:00 - 06:00
+  nightEndHour: 6,
+  nightWorkerMinimumHours: 3, // Night worker: normally works at least 3 hours at night
+  nightWorkerShiftShare: 1 / 3, // "Normally" = at least a third of their shifts
+  maxNightAverageHoursPer24: 8 // Reg 6 - night worker average per 24 hours
+};
+
+const HOUR_MS = 1000 * 60 * 60;
+const DAY_MS = HOUR_MS * 24;
+const WEEK_MS = DAY_MS * 7;
+
+// Helper function to format a Date as YYYY-MM-DD (local date)
+function formatComplianceDate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// Helper function to get the Monday (00:00 local) of the week containing date
+function getWeekStart(date) {
+  const weekStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const dayOfWeek = (weekStart.getDay() + 6) % 7; // Monday = 0
+  weekStart.setDate(weekStart.getDate() - dayOfWeek);
+  return weekStart;
+}
+
+// Helper function to add whole days to a date (safe across clock changes)
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+// Helper function to get the hours of a shift that fall inside [windowStart, windowEnd)
+function getOverlapHours(shift, windowStart, windowEnd) {
+  const start = Math.max(shift.start.getTime(), windowStart.getTime());
+  const end = Math.min(shift.end.getTime(), windowEnd.getTime());
+  return end > start ? (end - start) / HOUR_MS : 0;
+}
+
+// Helper function to get the hours of a shift worked during night time (23:00 - 06:00)
+function getNightHours(shift) {
+  let nightHours = 0;
+  let day = addDays(new Date(shift.start.getFullYear(), shift.start.getMonth(), shift.start.getDate()), -1);
+  
+  while (day < shift.end) {
+    const nightStart = new Date(day.getFullYear(), day.getMonth(), day.getDate(), WORKING_TIME_RULES.nightStartHour);
+    const nightEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1, WORKING_TIME_RULES.nightEndHour);
+    nightHours += getOverlapHours(shift, nightStart, nightEnd);
+    day = addDays(day, 1);
+  }
+  
+  return nightHours;
+}
+
+// Helper function to get the longest uninterrupted rest (hours) inside [windowStart, windowEnd)
+// shifts must be sorted by start time
+function getLongestRestHours(shifts, windowStart, windowEnd) {
+  let longestRest = 0;
+  let restStart = windowStart.getTime();
+  
+  shifts.forEach(shift => {
+    if (shift.end <= windowStart || shift.start >= windowEnd) {
+      return;
     }
-    
-    try {
-      await pool.query(`
-        CREATE INDEX idx_change_requests_staff_name ON change_requests(staff_name)
-      `);
-    } catch (err) {
-      if (err.code !== '42P07') console.log('ℹ️ staff_name index already exists');
+    longestRest = Math.max(longestRest, shift.start.getTime() - restStart);
+    restStart = Math.max(restStart, shift.end.getTime());
+  });
+  
+  longestRest = Math.max(longestRest, windowEnd.getTime() - restStart);
+  return longestRest / HOUR_MS;
+}
+
+// Helper function to round hours to 2 decimal places
+function roundHours(hours) {
+  return Math.round(hours * 100) / 100;
+}
+
+// Function to check one staff member's work shifts against the Working Time Regulations
+// shifts: work shifts sorted by start, covering the reference period before fromDate up to toDate
+// Returns { isNightWorker, totalHours, averageWeeklyHours, breaches }
+function checkWorkingTimeCompliance(shifts, fromDate, toDate) {
+  const rules = WORKING_TIME_RULES;
+  const breaches = [];
+  const rangeEnd = addDays(toDate, 1);
+  const firstShiftStart = shifts.length > 0 ? shifts[0].start : fromDate;
+  
+  // Night worker: normally works at least 3 hours during night time
+  const nightShiftCount = shifts.filter(shift => getNightHours(shift) >= rules.nightWorkerMinimumHours).length;
+  const isNightWorker = shifts.length > 0 && nightShiftCount / shifts.length >= rules.nightWorkerShiftShare;
+  
+  // 1. Daily rest - 11 hours between consecutive shifts
+  for (let i = 1; i < shifts.length; i++) {
+    const previous = shifts[i - 1];
+    const current = shifts[i];
+    if (current.start < fromDate || current.start >= rangeEnd) {
+      continue;
     }
     
-    try {
-      await pool.query(`
-        CREATE INDEX idx_change_requests_change_type ON change_requests(change_type)
-      `);
-    } catch (err) {
-      if (err.code !== '42P07') console.log('ℹ️ change_type index already exists');
+    const restHours = (current.start - previous.end) / HOUR_MS;
+    // Overlapping shifts (negative rest) are reported by conflict detection instead
+    if (restHours >= 0 && restHours < rules.minimumDailyRestHours) {
+      breaches.push({
+        rule: 'daily_rest',
+        date: formatComplianceDate(current.start),
+        value: roundHours(restHours),
+        limit: rules.minimumDailyRestHours,
+        shiftIds: [previous.id, current.id],
+        message: `Only ${roundHours(restHours)}h rest before the ${current.shiftType} shift (minimum ${rules.minimumDailyRestHours}h)`
+      });
     }
-    
-    try {
-      await pool.query(`
-        CREATE INDEX idx_change_requests_changed_at ON change_requests(changed_at)
-      `);
-    } catch (err) {
-      if (err.code !== '42P07') console.log('ℹ️ changed_at index already exists');
+  }
+  
+  // 2-4. Weekly checks for each week in the requested range
+  let averageWeeklyHours = 0;
+  for (let weekStart = getWeekStart(fromDate); weekStart < rangeEnd; weekStart = addDays(weekStart, 7)) {
+    const weekEnd = addDays(weekStart, 7);
+    const weekLabel = formatComplianceDate(weekStart);
+    
+    // Reference period: the 17 weeks ending with this week (shorter for staff with less history)
+    const referenceStart = addDays(weekStart, -7 * (rules.referenceWeeks - 1));
+    const effectiveReferenceStart = firstShiftStart > referenceStart ? getWeekStart(firstShiftStart) : referenceStart;
+    const referenceWeeks = Math.max(1, Math.min(rules.referenceWeeks, Math.round((weekEnd - effectiveReferenceStart) / WEEK_MS)));
+    const referenceHours = shifts.reduce((sum, shift) => sum + getOverlapHours(shift, effectiveReferenceStart, weekEnd), 0);
+    averageWeeklyHours = roundHours(referenceHours / referenceWeeks);
+    
+    // 2. Average 48-hour week over the reference period
+    if (averageWeeklyHours > rules.maxAverageWeeklyHours) {
+      breaches.push({
+        rule: 'average_weekly_hours',
+        date: weekLabel,
+        value: averageWeeklyHours,
+        limit: rules.maxAverageWeeklyHours,
+        referenceWeeks: referenceWeeks,
+        message: `Average of ${averageWeeklyHours}h per week over ${referenceWeeks} week(s) (maximum ${rules.maxAverageWeeklyHours}h)`
+      });
     }
     
-    // CRITICAL: Create index on effective_from_date for fast queries in processor
-    try {
-      await pool.query(`
-        CREATE INDEX IF NOT EXISTS idx_change_requests_effective_from_date ON change_requests(effective_from_date)
-      `);
-      console.log('✅ Index created: idx_change_requests_effective_from_date (CRITICAL for performance)');
-    } catch (err) {
-      if (err.code !== '42P07') {
-        console.log('ℹ️ effective_from_date index already exists');
+    // 3. Weekly rest - 24 hours in the week, or 48 hours across the fortnight ending this week
+    const weeklyRestHours = roundHours(getLongestRestHours(shifts, weekStart, weekEnd));
+    if (weeklyRestHours < rules.minimumWeeklyRestHours) {
+      const fortnightRestHours = roundHours(getLongestRestHours(shifts, addDays(weekStart, -7), weekEnd));
+      if (fortnightRestHours < rules.minimumFortnightlyRestHours) {
+        breaches.push({
+          rule: 'weekly_rest',
+          date: weekLabel,
+          value: weeklyRestHours,
+          limit: rules.minimumWeeklyRestHours,
+          message: `Longest rest in the week starting ${weekLabel} is ${weeklyRestHours}h (minimum ${rules.minimumWeeklyRestHours}h, or ${rules.minimumFortnightlyRestHours}h over 14 days)`
+        });
       }
     }
     
-    console.log('✅ Indexes created for change_requests table');
-    
-    // Update existing staff members with predefined colors
-    const predefinedColors = {
-      'Helen': '#EE0000',
-      'Fung': '#FFFF00', 
-      'Anne': '#00B050',
-      'Annie': '#247A00',
-      'Lisa': '#CC99FF',
-      'Janet': '#FF66FF',
-      'Clara': '#0070C0',
-      'John': '#00B0F0',
-      'Vania': '#7030A0',
-      'Yasser': '#C4BC96',
-      'Matt': '#FFC000',
-      'FW': '#935CC3',
-      'HC': '#D52BD5'
-    };
+    // 4. Night workers - average 8 hours per 24 over the reference period
+    // (one weekly rest day per week is excluded from the number of days)
+    if (isNightWorker) {
+      const workingDays = referenceWeeks * 7 - referenceWeeks;
+      const nightAverage = roundHours(referenceHours / workingDays);
+      if (nightAverage > rules.maxNightAverageHoursPer24) {
+        breaches.push({
+          rule: 'night_work_average',
+          date: weekLabel,
+          value: nightAverage,
+          limit: rules.maxNightAverageHoursPer24,
+          referenceWeeks: referenceWeeks,
+          message: `Night worker averaging ${nightAverage}h per 24 hours over ${referenceWeeks} week(s) (maximum ${rules.maxNightAverageHoursPer24}h)`
+        });
+      }
+    }
+  }
+  
+  const totalHours = shifts.reduce((sum, shift) => sum + getOverlapHours(shift, fromDate, rangeEnd), 0);
+  
+  return {
+    isNightWorker: isNightWorker,
+    totalHours: roundHours(totalHours),
+    averageWeeklyHours: averageWeeklyHours,
+    breaches: breaches
+  };
+}
+
+// Working Time Regulations compliance report
+// Query params: fromDate, toDate (YYYY-MM-DD) or periodId; optional staffName
+// Defaults to the period containing today
+app.get('/api/compliance/working-time', async (req, res) => {
+  try {
+    const { periodId, staffName } = req.query;
+    let { fromDate, toDate } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
     
-    let updatedCount = 0;
-    for (const [staffName, colorCode] of Object.entries(predefinedColors)) {
-      const result = await pool.query(`
-        UPDATE human_resource 
-        SET color_code = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London')
-        WHERE staff_name = $2 AND (color_code IS NULL OR color_code = '#3b82f6')
-      `, [colorCode, staffName]);
+    if (periodId) {
+      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+      if (!uuidRegex.test(periodId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid period ID format',
+          message: 'Period ID must be a valid UUID'
+        });
+      }
+      
+      const periodResult = await pool.query(`
+        SELECT to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date
+        FROM periods WHERE period_id = $1
+      `, [periodId]);
+      
+      if (periodResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Period not found',
+          message: `No period found with ID ${periodId}`
+        });
+      }
       
-      if (result.rowCount > 0) {
-        updatedCount += result.rowCount;
-        console.log(`✅ Updated ${staffName} with color ${colorCode}`);
+      fromDate = periodResult.rows[0].start_date;
+      toDate = periodResult.rows[0].end_date;
+    } else if (!fromDate || !toDate) {
+      // Default to the period containing today, or the last 4 weeks if there isn't one
+      const today = formatComplianceDate(new Date());
+      const periodResult = await pool.query(`
+        SELECT to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date
+        FROM periods WHERE start_date <= $1 AND end_date >= $1
+        ORDER BY start_date LIMIT 1
+      `, [today]);
+      
+      if (periodResult.rows.length > 0) {
+        fromDate = periodResult.rows[0].start_date;
+        toDate = periodResult.rows[0].end_date;
+      } else {
+        fromDate = formatComplianceDate(addDays(new Date(), -27));
+        toDate = today;
       }
     }
     
-    // Get all staff members to return
-    const staffResult = await pool.query(`
-      SELECT unique_id, staff_name, role, color_code
-      FROM human_resource
-      ORDER BY staff_name
-    `);
+    if (!datePattern.test(fromDate) || !datePattern.test(toDate) || fromDate > toDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range',
+        message: 'fromDate and toDate must be YYYY-MM-DD and fromDate must not be after toDate'
+      });
+    }
+    
+    console.log(`⚖️ Checking working time compliance from ${fromDate} to ${toDate}${staffName ? ` for ${staffName}` : ''}...`);
+    
+    const [fromYear, fromMonth, fromDay] = fromDate.split('-').map(Number);
+    const [toYear, toMonth, toDay] = toDate.split('-').map(Number);
+    const rangeStart = new Date(fromYear, fromMonth - 1, fromDay);
+    const rangeEnd = new Date(toYear, toMonth - 1, toDay);
+    
+    // Load work shifts for the reference period before the range (plus a day either side for rest gaps)
+    const referenceStart = addDays(getWeekStart(rangeStart), -7 * WORKING_TIME_RULES.referenceWeeks - 1);
+    const shiftsResult = await pool.query(`
+      SELECT s.id, s.staff_name, s.shift_type, s.shift_start_datetime, s.shift_end_datetime, hr.role
+      FROM shifts s
+      JOIN shift_types st ON st.name = s.shift_type AND st.category = 'work'
+      LEFT JOIN human_resource hr ON hr.staff_name = s.staff_name
+      WHERE s.shift_end_datetime > $1
+        AND s.shift_start_datetime < $2
+        AND ($3::text IS NULL OR s.staff_name = $3)
+      ORDER BY s.staff_name, s.shift_start_datetime
+    `, [referenceStart.toISOString(), addDays(rangeEnd, 2).toISOString(), staffName || null]);
+    
+    const periodsResult = await pool.query(`
+      SELECT period_id, period_name,
+        to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date
+      FROM periods
+      WHERE end_date >= $1 AND start_date <= $2
+      ORDER BY start_date
+    `, [formatComplianceDate(getWeekStart(rangeStart)), toDate]);
+    const periods = periodsResult.rows;
+    
+    // Group shifts by staff member
+    const shiftsByStaff = {};
+    shiftsResult.rows.forEach(row => {
+      if (!shiftsByStaff[row.staff_name]) {
+        shiftsByStaff[row.staff_name] = { role: row.role || 'Staff Member', shifts: [] };
+      }
+      shiftsByStaff[row.staff_name].shifts.push({
+        id: row.id,
+        shiftType: row.shift_type,
+        start: new Date(row.shift_start_datetime),
+        end: new Date(row.shift_end_datetime)
+      });
+    });
+    
+    const byRule = { average_weekly_hours: 0, daily_rest: 0, weekly_rest: 0, night_work_average: 0 };
+    const staffReports = Object.keys(shiftsByStaff).sort().map(name => {
+      const { role, shifts } = shiftsByStaff[name];
+      const result = checkWorkingTimeCompliance(shifts, rangeStart, rangeEnd);
+      
+      // List breaches per period (breaches outside any period are grouped under null)
+      const breachesByPeriod = new Map();
+      result.breaches.forEach(breach => {
+        const period = periods.find(p => p.start_date <= breach.date && p.end_date >= breach.date) || null;
+        const key = period ? period.period_id : 'none';
+        if (!breachesByPeriod.has(key)) {
+          breachesByPeriod.set(key, {
+            periodId: period ? period.period_id : null,
+            periodName: period ? period.period_name : null,
+            startDate: period ? period.start_date : null,
+            endDate: period ? period.end_date : null,
+            breaches: []
+          });
+        }
+        breachesByPeriod.get(key).breaches.push(breach);
+        byRule[breach.rule] += 1;
+      });
+      
+      return {
+        staffName: name,
+        role: role,
+        isNightWorker: result.isNightWorker,
+        totalHours: result.totalHours,
+        averageWeeklyHours: result.averageWeeklyHours,
+        breachCount: result.breaches.length,
+        periods: Array.from(breachesByPeriod.values())
+      };
+    });
+    
+    const totalBreaches = staffReports.reduce((sum, report) => sum + report.breachCount, 0);
+    console.log(`✅ Working time check complete: ${totalBreaches} breach(es) across ${staffReports.length} staff`);
     
     res.json({
       success: true,
-      message: 'Color code column added successfully',
-      count: updatedCount,
-      data: staffResult.rows
+      data: staffReports,
+      count: staffReports.length,
+      summary: {
+        fromDate: fromDate,
+        toDate: toDate,
+        rules: WORKING_TIME_RULES,
+        staffChecked: staffReports.length,
+        staffWithBreaches: staffReports.filter(report => report.breachCount > 0).length,
+        totalBreaches: totalBreaches,
+        byRule: byRule
+      }
     });
-    
   } catch (err) {
-    console.error('❌ Error adding color_code column:', err);
+    console.error('❌ Error checking working time compliance:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to add color_code column',
+      error: 'Failed to check working time compliance',
       message: err.message
     });
   }
 });
 
-// Update staff member color code
-app.put('/api/staff/:id/color-code', async (req, res) => {
+// =====================================================
+// TIMESHEETS API ENDPOINTS
+// =====================================================
+
+// A timesheet is the actual start and end of a work shift - clocked in and out with a PIN on the
+// kiosk page (kiosk.html) or entered by a team leader. Once approved, its actual times replace the
+// rota times for pay (calculateHistoricalPay, the payroll export and the Shift Summary)
+const TIMESHEET_STATUSES = ['open', 'submitted', 'approved', 'rejected'];
+const TIMESHEET_VARIANCE_TOLERANCE_MINUTES = 5; // Differences up to this are not reported
+const KIOSK_CLOCK_IN_EARLY_MINUTES = 120; // Staff can clock in up to 2 hours before their shift
+const KIOSK_CLOCK_OUT_LIMIT_HOURS = 12; // Later than this after the shift a team leader enters the finish
+const KIOSK_PIN_MAX_ATTEMPTS = 5;
+const KIOSK_PIN_LOCK_MINUTES = 15;
+
+// Worked times of a shift - the approved timesheet's actual times, otherwise the rota times
+// Expects the shift as s; add APPROVED_TIMESHEET_JOIN to the FROM clause
+const APPROVED_TIMESHEET_JOIN = `LEFT JOIN timesheets ta ON ta.shift_id = s.id AND ta.status = 'approved'`;
+const WORKED_SHIFT_COLUMNS = `
+  COALESCE(ta.actual_start_datetime, s.shift_start_datetime) as worked_start_datetime,
+  COALESCE(ta.actual_end_datetime, s.shift_end_datetime) as worked_end_datetime,
+  (ta.timesheet_id IS NOT NULL) as hours_from_timesheet
+`;
+
+// Timesheet columns returned by the API (expects the timesheet as t and its shift as s)
+const TIMESHEET_COLUMNS = `
+  t.timesheet_id,
+  t.shift_id,
+  t.staff_name,
+  t.actual_start_datetime,
+  t.actual_end_datetime,
+  t.clock_in_source,
+  t.clock_out_source,
+  t.status,
+  t.notes,
+  t.recorded_by,
+  t.decided_by,
+  t.decided_at,
+  t.decision_notes,
+  t.updated_at,
+  s.shift_type,
+  s.shift_start_datetime,
+  s.shift_end_datetime
+`;
+
+// Helper function to compare a timesheet with the rota
+// row: shift_start_datetime, shift_end_datetime, actual_start_datetime, actual_end_datetime (null while clocked in)
+// Late starts, early finishes and unplanned extra time (early start + late finish) are only
+// reported as issues when they are over TIMESHEET_VARIANCE_TOLERANCE_MINUTES
+function getTimesheetVariance(row) {
+  const round = (value) => Math.round(value * 100) / 100;
+  const plannedStart = new Date(row.shift_start_datetime);
+  const plannedEnd = new Date(row.shift_end_datetime);
+  const plannedHours = (plannedEnd - plannedStart) / (1000 * 60 * 60);
+  const variance = {
+    plannedHours: round(plannedHours),
+    actualHours: null,
+    differenceHours: null,
+    lateStartMinutes: 0,
+    earlyStartMinutes: 0,
+    earlyFinishMinutes: 0,
+    lateFinishMinutes: 0,
+    unplannedExtraMinutes: 0,
+    issues: []
+  };
+  
+  if (!row.actual_start_datetime) {
+    return variance;
+  }
+  
+  const actualStart = new Date(row.actual_start_datetime);
+  const startDifference = Math.round((actualStart - plannedStart) / (1000 * 60));
+  variance.lateStartMinutes = Math.max(0, startDifference);
+  variance.earlyStartMinutes = Math.max(0, -startDifference);
+  
+  if (row.actual_end_datetime) {
+    const actualEnd = new Date(row.actual_end_datetime);
+    const endDifference = Math.round((actualEnd - plannedEnd) / (1000 * 60));
+    variance.earlyFinishMinutes = Math.max(0, -endDifference);
+    variance.lateFinishMinutes = Math.max(0, endDifference);
+    variance.actualHours = round((actualEnd - actualStart) / (1000 * 60 * 60));
+    variance.differenceHours = round(variance.actualHours - plannedHours);
+  }
+  
+  variance.unplannedExtraMinutes = variance.earlyStartMinutes + variance.lateFinishMinutes;
+  
+  if (variance.lateStartMinutes > TIMESHEET_VARIANCE_TOLERANCE_MINUTES) variance.issues.push('late_start');
+  if (variance.earlyFinishMinutes > TIMESHEET_VARIANCE_TOLERANCE_MINUTES) variance.issues.push('early_finish');
+  if (variance.unplannedExtraMinutes > TIMESHEET_VARIANCE_TOLERANCE_MINUTES) variance.issues.push('unplanned_extra_time');
+  
+  return variance;
+}
+
+// Function to get the hours a shift is paid for, its type, flags and worked start/end
+// Uses the approved timesheet's actual hours when there is one, otherwise the rota hours
+// (before unpaid breaks - see splitShiftHours)
+async function getShiftPayHours(shiftId) {
+  const result = await executeQueryWithRetry(`
+    SELECT
+      s.staff_name,
+      s.shift_type,
+      s.shift_start_datetime,
+      s.shift_end_datetime,
+      s.solo_shift,
+      s.training,
+      s.short_notice,
+      s.call_out,
+      s.overtime,
+      ${WORKED_SHIFT_COLUMNS}
+    FROM shifts s
+    ${APPROVED_TIMESHEET_JOIN}
+    WHERE s.id = $1
+  `, [shiftId]);
+  
+  if (result.rows.length === 0) {
+    return null;
+  }
+  
+  const row = result.rows[0];
+  const flags = {};
+  Object.keys(PAY_RULE_FLAG_COLUMNS).forEach(flag => {
+    if (row[flag]) flags[flag] = true;
+  });
+  
+  return {
+    staffName: row.staff_name,
+    shiftType: row.shift_type,
+    hours: (new Date(row.worked_end_datetime) - new Date(row.worked_start_datetime)) / (1000 * 60 * 60),
+    plannedHours: (new Date(row.shift_end_datetime) - new Date(row.shift_start_datetime)) / (1000 * 60 * 60),
+    workedStart: row.worked_start_datetime,
+    workedEnd: row.worked_end_datetime,
+    source: row.hours_from_timesheet ? 'timesheet' : 'rota',
+    flags: flags
+  };
+}
+
+// Function to get one timesheet with its shift times and variance (null if not found)
+async function getTimesheet(db, timesheetId) {
+  const result = await db.query(`
+    SELECT ${TIMESHEET_COLUMNS}
+    FROM timesheets t
+    JOIN shifts s ON s.id = t.shift_id
+    WHERE t.timesheet_id = $1
+  `, [timesheetId]);
+  
+  if (result.rows.length === 0) {
+    return null;
+  }
+  return { ...result.rows[0], variance: getTimesheetVariance(result.rows[0]) };
+}
+
+// Helper function to validate a timesheet ID from the URL
+function getInvalidTimesheetIdResponse(id) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (uuidRegex.test(id)) {
+    return null;
+  }
+  return {
+    success: false,
+    error: 'Invalid timesheet ID format',
+    message: 'Timesheet ID must be a valid UUID'
+  };
+}
+
+// Get the staff members who can use the kiosk (active, with a PIN) and whether they are clocked in
+app.get('/api/kiosk/staff', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { color_code, changed_by = 'system', reason = '', effective_from_date = null } = req.body;
+    const result = await pool.query(`
+      SELECT
+        hr.unique_id as staff_id,
+        hr.staff_name,
+        EXISTS (
+          SELECT 1 FROM timesheets t
+          JOIN shifts s ON s.id = t.shift_id
+          WHERE t.staff_name = hr.staff_name AND t.status = 'open'
+        ) as clocked_in
+      FROM human_resource hr
+      JOIN kiosk_pins kp ON kp.staff_id = hr.unique_id
+      WHERE hr.is_active = true
+      ORDER BY hr.staff_name
+    `);
+    
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+  } catch (err) {
+    console.error('❌ Error fetching kiosk staff:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch kiosk staff',
+      message: err.message
+    });
+  }
+});
 
-    // Validate UUID
-    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+// Clock in or out at the kiosk
+// Body: { staffId, pin }
+// Clocks out of the staff member's open timesheet, otherwise clocks in to their current or next
+// published work shift (starting within KIOSK_CLOCK_IN_EARLY_MINUTES)
+app.post('/api/kiosk/clock', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { staffId, pin } = req.body;
+    
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(staffId || '') || !pin) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid staff ID format',
-        message: 'Staff ID must be a valid UUID'
+        error: 'Missing required fields',
+        message: 'Choose your name and enter your PIN'
       });
     }
-
-    // Validate color code format
-    if (!/^#[0-9A-F]{6}$/i.test(color_code)) {
-      return res.status(400).json({
+    
+    await client.query('BEGIN');
+    
+    // Lock the PIN row so taps at the same time check it one after another -
+    // otherwise a burst of guesses would all pass the lock check before any failure is counted
+    const pinResult = await client.query(`
+      SELECT
+        kp.pin_hash,
+        hr.staff_name,
+        (kp.locked_until IS NOT NULL AND kp.locked_until > NOW()) as locked
+      FROM kiosk_pins kp
+      JOIN human_resource hr ON hr.unique_id = kp.staff_id
+      WHERE kp.staff_id = $1 AND hr.is_active = true
+      FOR UPDATE OF kp
+    `, [staffId]);
+    
+    if (pinResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({
         success: false,
-        error: 'Invalid color code format',
-        message: 'Color code must be a valid hex color (e.g., #3b82f6)'
+        error: 'Invalid PIN',
+        message: 'Name or PIN not recognised'
       });
     }
     
-    // Check if staff member exists and get current color
-    const staffCheck = await pool.query(
-      'SELECT staff_name, role, color_code FROM human_resource WHERE unique_id = $1',
-      [id]
-    );
-
-    if (staffCheck.rows.length === 0) {
-      return res.status(404).json({
+    const { pin_hash: pinHash, staff_name: staffName, locked } = pinResult.rows[0];
+    
+    if (locked) {
+      await client.query('ROLLBACK');
+      return res.status(423).json({
         success: false,
-        error: 'Staff member not found',
-        message: `No staff member found with ID: ${id}`
+        error: 'PIN locked',
+        message: `Too many wrong PINs - try again in ${KIOSK_PIN_LOCK_MINUTES} minutes or ask a team leader`
       });
     }
-
-    const currentColor = staffCheck.rows[0].color_code || '#3b82f6';
-    const staffName = staffCheck.rows[0].staff_name;
-
-    // Validate change request before proceeding
-    const validation = await validateChangeRequest(id, 'color_code_change', currentColor, color_code);
     
-    if (!validation.isValid) {
-      return res.status(400).json({
+    if (!(await verifyPassword(String(pin), pinHash))) {
+      // Lock the PIN after too many wrong attempts in a row
+      const failedResult = await client.query(`
+        UPDATE kiosk_pins
+        SET failed_attempts = failed_attempts + 1,
+            locked_until = CASE WHEN failed_attempts + 1 >= $2 THEN NOW() + make_interval(mins => $3) ELSE NULL END
+        WHERE staff_id = $1
+        RETURNING failed_attempts, locked_until
+      `, [staffId, KIOSK_PIN_MAX_ATTEMPTS, KIOSK_PIN_LOCK_MINUTES]);
+      
+      await client.query('COMMIT');
+      
+      if (failedResult.rows[0].locked_until) {
+        console.log(`🔒 Kiosk PIN locked for ${staffName} after ${failedResult.rows[0].failed_attempts} wrong attempts`);
+        return res.status(423).json({
+          success: false,
+          error: 'PIN locked',
+          message: `Too many wrong PINs - try again in ${KIOSK_PIN_LOCK_MINUTES} minutes or ask a team leader`
+        });
+      }
+      
+      return res.status(401).json({
         success: false,
-        error: 'Change request validation failed',
-        message: validation.errors.join(' '),
-        warnings: validation.warnings
+        error: 'Invalid PIN',
+        message: 'Name or PIN not recognised'
       });
     }
-
-    // Start transaction
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
+    
+    // The PIN was right - the answers below commit (not roll back) so this reset is kept
+    await client.query(`
+      UPDATE kiosk_pins SET failed_attempts = 0, locked_until = NULL
+      WHERE staff_id = $1 AND (failed_attempts > 0 OR locked_until IS NOT NULL)
+    `, [staffId]);
+    
+    const openResult = await client.query(`
+      SELECT
+        t.*,
+        s.shift_end_datetime,
+        (s.shift_end_datetime < NOW() - make_interval(hours => $2)) as too_late,
+        (t.actual_start_datetime > NOW() - INTERVAL '1 minute') as too_soon
+      FROM timesheets t
+      JOIN shifts s ON s.id = t.shift_id
+      WHERE t.staff_name = $1 AND t.status = 'open'
+      ORDER BY t.actual_start_datetime DESC
+      LIMIT 1
+      FOR UPDATE OF t
+    `, [staffName, KIOSK_CLOCK_OUT_LIMIT_HOURS]);
+    
+    if (openResult.rows.length > 0) {
+      const previous = openResult.rows[0];
       
-      // Update color code
-      await client.query(
-        'UPDATE human_resource SET color_code = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2',
-        [color_code, id]
-      );
+      if (previous.too_late) {
+        await client.query('COMMIT');
+        return res.status(409).json({
+          success: false,
+          error: 'Shift already finished',
+          message: 'Your last shift finished a while ago - ask a team leader to enter your finish time'
+        });
+      }
       
-      // Log the change in history
-      const effectiveDate = effective_from_date ? new Date(effective_from_date).toISOString() : new Date().toISOString();
-      try {
-        const insertResult = await client.query(`
-          INSERT INTO change_requests (
-            id, staff_id, staff_name, change_type, field_name, old_value, new_value, effective_from_date, changed_at, changed_by, reason
-          ) VALUES (uuid_change_request($1, $3, 'color_code', $6), $1, $2, $3, 'color_code', $4, $5, $6, $6, $7, $8)
-          RETURNING id
-        `, [id, staffName, 'color_code_change', currentColor, color_code, effectiveDate, changed_by, reason]);
-        console.log(`✅ Change request inserted for color code change: ${insertResult.rows[0].id}`);
-      } catch (insertError) {
-        console.error('❌ Error inserting change request for color code change:', insertError);
-        throw insertError;
+      if (previous.too_soon) {
+        await client.query('COMMIT');
+        return res.status(409).json({
+          success: false,
+          error: 'Already clocked in',
+          message: 'You clocked in less than a minute ago'
+        });
       }
       
+      await client.query(`
+        UPDATE timesheets
+        SET actual_end_datetime = NOW(),
+            clock_out_source = 'kiosk',
+            status = 'submitted',
+            updated_at = (NOW() AT TIME ZONE 'Europe/London')
+        WHERE timesheet_id = $1
+      `, [previous.timesheet_id]);
+      
+      const timesheet = await getTimesheet(client, previous.timesheet_id);
+      
+      await recordAuditEvent(client, req, {
+        action: 'update',
+        entityType: 'timesheet',
+        entityId: previous.timesheet_id,
+        staffName: staffName,
+        entityDate: getLondonDate(timesheet.shift_start_datetime),
+        before: { status: previous.status, actual_end_datetime: null },
+        after: { status: timesheet.status, actual_end_datetime: timesheet.actual_end_datetime },
+        reason: 'Clocked out at the kiosk'
+      });
+      
       await client.query('COMMIT');
       
-      // Get updated data
-      const result = await pool.query(
-        'SELECT unique_id, staff_name, role, color_code, updated_at FROM human_resource WHERE unique_id = $1',
-        [id]
-      );
+      console.log(`⏱️ ${staffName} clocked out at the kiosk`);
+      
+      return res.json({
+        success: true,
+        action: 'clock_out',
+        data: timesheet,
+        message: `Goodbye ${staffName} - clocked out at ${formatKioskTime(timesheet.actual_end_datetime)}`
+      });
+    }
+    
+    const shiftResult = await client.query(`
+      SELECT s.id, s.shift_start_datetime
+      FROM shifts s
+      JOIN shift_types st ON st.name = s.shift_type AND st.category = 'work'
+      JOIN periods p ON p.period_id = s.period_id AND p.status = 'published'
+      LEFT JOIN timesheets t ON t.shift_id = s.id
+      WHERE s.staff_name = $1
+        AND t.timesheet_id IS NULL
+        AND s.shift_start_datetime <= NOW() + make_interval(mins => $2)
+        AND s.shift_end_datetime > NOW()
+      ORDER BY s.shift_start_datetime
+      LIMIT 1
+    `, [staffName, KIOSK_CLOCK_IN_EARLY_MINUTES]);
+    
+    if (shiftResult.rows.length === 0) {
+      await client.query('COMMIT');
+      return res.status(404).json({
+        success: false,
+        error: 'No shift to clock in to',
+        message: `You have no shift starting in the next ${KIOSK_CLOCK_IN_EARLY_MINUTES / 60} hours`
+      });
+    }
+    
+    const shift = shiftResult.rows[0];
+    const insertResult = await client.query(`
+      INSERT INTO timesheets (shift_id, staff_name, actual_start_datetime, clock_in_source, status, recorded_by)
+      VALUES ($1, $2, NOW(), 'kiosk', 'open', $2)
+      RETURNING timesheet_id
+    `, [shift.id, staffName]);
+    
+    const timesheet = await getTimesheet(client, insertResult.rows[0].timesheet_id);
+    
+    await recordAuditEvent(client, req, {
+      action: 'create',
+      entityType: 'timesheet',
+      entityId: timesheet.timesheet_id,
+      staffName: staffName,
+      entityDate: getLondonDate(shift.shift_start_datetime),
+      after: timesheet,
+      reason: 'Clocked in at the kiosk'
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log(`⏱️ ${staffName} clocked in at the kiosk`);
+    
+    res.status(201).json({
+      success: true,
+      action: 'clock_in',
+      data: timesheet,
+      message: `Hello ${staffName} - clocked in at ${formatKioskTime(timesheet.actual_start_datetime)}`
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    
+    // Two taps at once both find the shift free - the second insert hits UNIQUE(shift_id)
+    if (err.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'Already clocked in',
+        message: 'You clocked in less than a minute ago'
+      });
+    }
+    
+    console.error('❌ Error clocking in or out at the kiosk:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clock in or out',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
 
-      console.log(`✅ Staff member ${result.rows[0].staff_name} color code updated from ${currentColor} to ${color_code}`);
+// Helper function to format a clock time for kiosk messages (HH:MM, London time)
+function formatKioskTime(value) {
+  return new Date(value).toLocaleTimeString('en-GB', { timeZone: 'Europe/London', hour: '2-digit', minute: '2-digit' });
+}
 
-      res.json({
-        success: true,
-        message: 'Color code updated successfully',
-        data: result.rows[0],
-        warnings: validation.warnings.length > 0 ? validation.warnings : undefined
+// Check whether a staff member has a kiosk PIN (and whether it is locked)
+app.get('/api/kiosk/pins/:staffId', async (req, res) => {
+  try {
+    const { staffId } = req.params;
+    
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(staffId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid staff ID format',
+        message: 'Staff ID must be a valid UUID'
+      });
+    }
+    
+    const result = await pool.query(`
+      SELECT updated_at, (locked_until IS NOT NULL AND locked_until > NOW()) as locked
+      FROM kiosk_pins
+      WHERE staff_id = $1
+    `, [staffId]);
+    
+    res.json({
+      success: true,
+      data: {
+        hasPin: result.rows.length > 0,
+        locked: result.rows.length > 0 && result.rows[0].locked,
+        updatedAt: result.rows.length > 0 ? result.rows[0].updated_at : null
+      }
+    });
+  } catch (err) {
+    console.error('❌ Error fetching kiosk PIN:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Database error',
+      message: err.message
+    });
+  }
+});
+
+// Set a staff member's kiosk PIN (also unlocks it)
+// Body: { pin } - 4 to 8 digits
+app.put('/api/kiosk/pins/:staffId', async (req, res) => {
+  try {
+    const { staffId } = req.params;
+    const { pin } = req.body;
+    
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(staffId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid staff ID format',
+        message: 'Staff ID must be a valid UUID'
       });
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
     }
-
+    
+    if (typeof pin !== 'string' || !/^\d{4,8}$/.test(pin)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid PIN',
+        message: 'PIN must be 4 to 8 digits'
+      });
+    }
+    
+    const pinHash = await hashPassword(pin);
+    const result = await pool.query(`
+      INSERT INTO kiosk_pins (staff_id, pin_hash)
+      SELECT hr.unique_id, $2
+      FROM human_resource hr
+      WHERE hr.unique_id = $1
+      ON CONFLICT (staff_id) DO UPDATE SET
+        pin_hash = EXCLUDED.pin_hash,
+        failed_attempts = 0,
+        locked_until = NULL,
+        updated_at = (NOW() AT TIME ZONE 'Europe/London')
+      RETURNING staff_id, updated_at
+    `, [staffId, pinHash]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found',
+        message: `No staff member with ID ${staffId}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: { hasPin: true, locked: false, updatedAt: result.rows[0].updated_at },
+      message: 'Kiosk PIN saved'
+    });
   } catch (err) {
-    console.error('Error updating staff color code:', err);
+    console.error('❌ Error saving kiosk PIN:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to update staff color code',
-      message: err.message,
-      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+      error: 'Database error',
+      message: err.message
     });
   }
 });
 
-// Get color code history for a staff member
-app.get('/api/staff/:id/color-history', async (req, res) => {
+// Remove a staff member's kiosk PIN
+app.delete('/api/kiosk/pins/:staffId', async (req, res) => {
   try {
-    const { id } = req.params;
+    const { staffId } = req.params;
     
-    // Check if staff member exists
-    const checkResult = await pool.query(
-      'SELECT staff_name FROM human_resource WHERE unique_id = $1',
-      [id]
-    );
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(staffId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid staff ID format',
+        message: 'Staff ID must be a valid UUID'
+      });
+    }
     
-    if (checkResult.rows.length === 0) {
+    const result = await pool.query('DELETE FROM kiosk_pins WHERE staff_id = $1 RETURNING staff_id', [staffId]);
+    
+    if (result.rows.length === 0) {
       return res.status(404).json({
         success: false,
-        error: 'Staff member not found',
-        message: 'No staff member found with the specified ID'
+        error: 'Kiosk PIN not found',
+        message: `No kiosk PIN for staff member ${staffId}`
       });
     }
     
-    // Get color code history
-    const result = await pool.query(`
-      SELECT 
-        id,
-        staff_id,
-        staff_name,
-        change_type,
-        old_value,
-        new_value,
-        effective_from_date,
-        changed_at,
-        changed_by,
-        reason
-      FROM change_requests
-      WHERE staff_id = $1 AND change_type = 'color_code_change'
-      ORDER BY changed_at DESC
-    `, [id]);
-    
     res.json({
       success: true,
-      data: result.rows,
-      count: result.rows.length
+      message: 'Kiosk PIN removed'
     });
   } catch (err) {
-    console.error('Error fetching color history:', err);
+    console.error('❌ Error removing kiosk PIN:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch color history',
+      error: 'Database error',
       message: err.message
     });
   }
 });
 
-// Test timezone endpoint
-app.get('/api/test-timezone', async (req, res) => {
+// Timesheet report - every work shift in the date range with its timesheet and variance
+// Query params: fromDate, toDate (YYYY-MM-DD), optional staffName and status
+// status is a timesheet status, 'missing' (shift finished, no timesheet) or 'scheduled' (not finished yet)
+app.get('/api/timesheets', async (req, res) => {
   try {
-    // Get current timezone setting
-    const timezoneResult = await pool.query("SELECT current_setting('timezone') as current_timezone");
+    const { fromDate, toDate, staffName, status } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const reportStatuses = [...TIMESHEET_STATUSES, 'missing', 'scheduled'];
     
-    // Get current time in database
-    const timeResult = await pool.query("SELECT NOW() as current_time, (NOW() AT TIME ZONE 'Europe/London') as london_time");
+    if (!datePattern.test(fromDate || '') || !datePattern.test(toDate || '') || fromDate > toDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range',
+        message: 'fromDate and toDate must be YYYY-MM-DD and fromDate must not be after toDate'
+      });
+    }
     
-    // Test creating a record
-    const testResult = await pool.query(`
-      INSERT INTO human_resource (unique_id, staff_name, role, is_active) 
-      VALUES (uuid_human_resource($1), $1, $2, $3) 
-      RETURNING unique_id, staff_name, created_at, updated_at
-    `, ['TestStaff_Timezone', 'staff member', true]);
+    if (status && !reportStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: `Status must be one of: ${reportStatuses.join(', ')}`
+      });
+    }
     
-    const testStaff = testResult.rows[0];
+    console.log(`⏱️ Fetching timesheets from ${fromDate} to ${toDate}${staffName ? ` for ${staffName}` : ''}...`);
     
-    // Clean up test data
-    await pool.query('DELETE FROM human_resource WHERE unique_id = $1', [testStaff.unique_id]);
+    const result = await pool.query(`
+      SELECT
+        s.id as shift_id,
+        s.staff_name,
+        s.shift_type,
+        s.shift_start_datetime,
+        s.shift_end_datetime,
+        (s.shift_end_datetime < NOW()) as shift_finished,
+        t.timesheet_id,
+        t.actual_start_datetime,
+        t.actual_end_datetime,
+        t.clock_in_source,
+        t.clock_out_source,
+        t.status as timesheet_status,
+        t.notes,
+        t.recorded_by,
+        t.decided_by,
+        t.decided_at,
+        t.decision_notes,
+        t.updated_at
+      FROM shifts s
+      JOIN shift_types st ON st.name = s.shift_type AND st.category = 'work'
+      LEFT JOIN timesheets t ON t.shift_id = s.id
+      WHERE (s.shift_start_datetime AT TIME ZONE 'Europe/London')::date BETWEEN $1::date AND $2::date
+        AND ($3::text IS NULL OR s.staff_name = $3)
+      ORDER BY s.shift_start_datetime, s.staff_name
+    `, [fromDate, toDate, staffName || null]);
+    
+    const rows = result.rows.map(row => {
+      const { shift_finished: shiftFinished, timesheet_status: timesheetStatus, ...timesheet } = row;
+      return {
+        ...timesheet,
+        status: timesheetStatus || (shiftFinished ? 'missing' : 'scheduled'),
+        variance: getTimesheetVariance(row)
+      };
+    });
+    
+    // Totals per staff member (actual hours are recorded timesheets, approved or not)
+    const round = (value) => Math.round(value * 100) / 100;
+    const summary = {
+      shifts: rows.length,
+      byStatus: Object.fromEntries(reportStatuses.map(key => [key, 0])),
+      lateStarts: 0,
+      earlyFinishes: 0,
+      unplannedExtraHours: 0
+    };
+    const byStaff = {};
+    
+    rows.forEach(row => {
+      if (!byStaff[row.staff_name]) {
+        byStaff[row.staff_name] = {
+          staffName: row.staff_name,
+          shifts: 0,
+          plannedHours: 0,
+          actualHours: 0,
+          approvedHours: 0,
+          lateStarts: 0,
+          earlyFinishes: 0,
+          unplannedExtraHours: 0,
+          missing: 0,
+          awaitingApproval: 0
+        };
+      }
+      const staff = byStaff[row.staff_name];
+      const { variance } = row;
+      staff.shifts += 1;
+      staff.plannedHours += variance.plannedHours;
+      staff.actualHours += variance.actualHours || 0;
+      if (row.status === 'approved') staff.approvedHours += variance.actualHours;
+      if (row.status === 'missing') staff.missing += 1;
+      if (row.status === 'submitted') staff.awaitingApproval += 1;
+      if (variance.issues.includes('late_start')) staff.lateStarts += 1;
+      if (variance.issues.includes('early_finish')) staff.earlyFinishes += 1;
+      if (variance.issues.includes('unplanned_extra_time')) staff.unplannedExtraHours += variance.unplannedExtraMinutes / 60;
+      
+      summary.byStatus[row.status] += 1;
+    });
+    
+    const staffTotals = Object.values(byStaff).map(staff => {
+      ['plannedHours', 'actualHours', 'approvedHours', 'unplannedExtraHours'].forEach(field => {
+        staff[field] = round(staff[field]);
+      });
+      summary.lateStarts += staff.lateStarts;
+      summary.earlyFinishes += staff.earlyFinishes;
+      summary.unplannedExtraHours += staff.unplannedExtraHours;
+      return staff;
+    });
+    summary.unplannedExtraHours = round(summary.unplannedExtraHours);
+    
+    const data = status ? rows.filter(row => row.status === status) : rows;
     
     res.json({
       success: true,
-      timezone: timezoneResult.rows[0].current_timezone,
-      database_time: timeResult.rows[0].current_time,
-      london_time: timeResult.rows[0].london_time,
-      test_record: {
-        created_at: testStaff.created_at,
-        updated_at: testStaff.updated_at
-      },
-      message: 'Timezone test completed successfully'
+      data: data,
+      count: data.length,
+      fromDate: fromDate,
+      toDate: toDate,
+      summary: summary,
+      byStaff: staffTotals
     });
-  } catch (error) {
-    console.error('Error testing timezone:', error);
+  } catch (err) {
+    console.error('❌ Error fetching timesheets:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to test timezone',
-      message: error.message
+      error: 'Failed to fetch timesheets',
+      message: err.message
     });
   }
 });
 
-// Update shift solo_shift flag
-app.put('/api/shifts/:id/solo-shift', async (req, res) => {
+// Enter or correct the timesheet of a shift (team leaders)
+// Body: { actualStart, actualEnd (optional while still working), notes, approve }
+// Times that change are marked as entered manually; a changed approved timesheet goes back for
+// approval unless approve is set
+app.put('/api/timesheets/shift/:shiftId', async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { id } = req.params;
-    const { solo_shift } = req.body;
+    const { shiftId } = req.params;
+    const { actualStart, actualEnd, notes, approve = false } = req.body;
     
-    if (typeof solo_shift !== 'boolean') {
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(shiftId)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid solo_shift value',
-        message: 'solo_shift must be a boolean value'
+        error: 'Invalid shift ID format',
+        message: 'Shift ID must be a valid UUID'
       });
     }
     
-    const result = await pool.query(`
-      UPDATE shifts 
-      SET solo_shift = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London')
-      WHERE id = $2 
-      RETURNING *
-    `, [solo_shift, id]);
+    const start = actualStart ? new Date(actualStart) : null;
+    const end = actualEnd ? new Date(actualEnd) : null;
     
-    if (result.rows.length === 0) {
+    if (!start || isNaN(start.getTime()) || (end && isNaN(end.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid times',
+        message: 'actualStart is required and times must be valid dates'
+      });
+    }
+    
+    if (end && (end <= start || end - start > 24 * 60 * 60 * 1000)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid times',
+        message: 'The finish must be after the start and within 24 hours of it'
+      });
+    }
+    
+    if (approve && !end) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing finish time',
+        message: 'A timesheet needs a finish time before it can be approved'
+      });
+    }
+    
+    await client.query('BEGIN');
+    
+    const shiftResult = await client.query(`
+      SELECT s.id, s.staff_name, s.shift_start_datetime, st.category
+      FROM shifts s
+      LEFT JOIN shift_types st ON st.name = s.shift_type
+      WHERE s.id = $1
+    `, [shiftId]);
+    
+    if (shiftResult.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
         error: 'Shift not found',
-        message: 'No shift found with the specified ID'
+        message: `No shift with ID ${shiftId}`
+      });
+    }
+    
+    const shift = shiftResult.rows[0];
+    if (shift.category !== 'work') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'Not a work shift',
+        message: 'Timesheets can only be recorded for work shifts'
       });
     }
     
+    const previousResult = await client.query('SELECT * FROM timesheets WHERE shift_id = $1 FOR UPDATE', [shiftId]);
+    const previous = previousResult.rows[0] || null;
+    const sameTime = (a, b) => (a ? new Date(a).getTime() : null) === (b ? b.getTime() : null);
+    const startChanged = !previous || !sameTime(previous.actual_start_datetime, start);
+    const endChanged = !previous || !sameTime(previous.actual_end_datetime, end);
+    
+    let status = end ? 'submitted' : 'open';
+    if (approve) {
+      status = 'approved';
+    } else if (previous && end && !startChanged && !endChanged && previous.status !== 'open') {
+      // Only the notes changed - keep the decision
+      status = previous.status;
+    }
+    const keepDecision = !approve && previous && status === previous.status;
+    
+    await client.query(`
+      INSERT INTO timesheets (
+        shift_id, staff_name, actual_start_datetime, actual_end_datetime,
+        clock_in_source, clock_out_source, status, notes, recorded_by,
+        decided_by, decided_at, decision_notes
+      ) VALUES ($1, $2, $3, $4, 'manual', $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (shift_id) DO UPDATE SET
+        actual_start_datetime = EXCLUDED.actual_start_datetime,
+        actual_end_datetime = EXCLUDED.actual_end_datetime,
+        clock_in_source = CASE WHEN $12 THEN 'manual' ELSE timesheets.clock_in_source END,
+        clock_out_source = CASE WHEN $13 THEN EXCLUDED.clock_out_source ELSE timesheets.clock_out_source END,
+        status = EXCLUDED.status,
+        notes = EXCLUDED.notes,
+        recorded_by = EXCLUDED.recorded_by,
+        decided_by = EXCLUDED.decided_by,
+        decided_at = EXCLUDED.decided_at,
+        decision_notes = EXCLUDED.decision_notes,
+        updated_at = (NOW() AT TIME ZONE 'Europe/London')
+    `, [
+      shiftId,
+      shift.staff_name,
+      start.toISOString(),
+      end ? end.toISOString() : null,
+      end ? 'manual' : null,
+      status,
+      notes !== undefined ? (notes || null) : (previous ? previous.notes : null),
+      getAuditActor(req).username,
+      approve ? getAuditActor(req).username : (keepDecision ? previous.decided_by : null),
+      approve ? new Date().toISOString() : (keepDecision ? previous.decided_at : null),
+      keepDecision ? previous.decision_notes : null,
+      startChanged,
+      endChanged
+    ]);
+    
+    const timesheetResult = await client.query('SELECT timesheet_id FROM timesheets WHERE shift_id = $1', [shiftId]);
+    const timesheet = await getTimesheet(client, timesheetResult.rows[0].timesheet_id);
+    
+    await recordAuditEvent(client, req, {
+      action: previous ? 'update' : 'create',
+      entityType: 'timesheet',
+      entityId: timesheet.timesheet_id,
+      staffName: shift.staff_name,
+      entityDate: getLondonDate(shift.shift_start_datetime),
+      before: previous,
+      after: timesheet
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log(`⏱️ Timesheet for ${shift.staff_name} on ${getLondonDate(shift.shift_start_datetime)} saved (${status})`);
+    
     res.json({
       success: true,
-      data: result.rows[0],
-      message: `Solo shift flag ${solo_shift ? 'enabled' : 'disabled'} successfully`
+      data: timesheet,
+      message: status === 'approved' ? 'Timesheet saved and approved' : 'Timesheet saved'
     });
   } catch (err) {
-    console.error('Error updating solo shift flag:', err);
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error saving timesheet:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to update solo shift flag',
+      error: 'Failed to save timesheet',
       message: err.message
     });
+  } finally {
+    client.release();
   }
 });
 
-
-// Update shift training flag
-app.put('/api/shifts/:id/training', async (req, res) => {
+// Approve or reject a timesheet (team leaders)
+// Body: { notes }
+// Approved timesheets are paid on their actual times, rejected ones on the rota times
+async function decideTimesheet(req, res, decision) {
+  const client = await pool.connect();
   try {
-    const { id } = req.params;
-    const { training } = req.body;
+    const { timesheetId } = req.params;
+    const { notes } = req.body;
     
-    if (typeof training !== 'boolean') {
-      return res.status(400).json({
+    const invalidIdResponse = getInvalidTimesheetIdResponse(timesheetId);
+    if (invalidIdResponse) {
+      return res.status(400).json(invalidIdResponse);
+    }
+    
+    await client.query('BEGIN');
+    
+    const previousResult = await client.query('SELECT * FROM timesheets WHERE timesheet_id = $1 FOR UPDATE', [timesheetId]);
+    
+    if (previousResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
         success: false,
-        error: 'Invalid training value',
-        message: 'training must be a boolean value'
+        error: 'Timesheet not found',
+        message: `No timesheet with ID ${timesheetId}`
       });
     }
     
-    const result = await pool.query(`
-      UPDATE shifts 
-      SET training = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London')
-      WHERE id = $2 
-      RETURNING *
-    `, [training, id]);
+    const previous = previousResult.rows[0];
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({
+    if (previous.status === 'open') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
         success: false,
-        error: 'Shift not found',
-        message: 'No shift found with the specified ID'
+        error: 'Timesheet still open',
+        message: `${previous.staff_name} has not clocked out yet - enter the finish time first`
+      });
+    }
+    
+    if (previous.status === decision) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `Timesheet already ${decision}`,
+        message: `This timesheet was already ${decision}`
       });
     }
     
+    await client.query(`
+      UPDATE timesheets
+      SET status = $2,
+          decided_by = $3,
+          decided_at = NOW(),
+          decision_notes = $4,
+          updated_at = (NOW() AT TIME ZONE 'Europe/London')
+      WHERE timesheet_id = $1
+    `, [timesheetId, decision, getAuditActor(req).username, notes || null]);
+    
+    const timesheet = await getTimesheet(client, timesheetId);
+    
+    await recordAuditEvent(client, req, {
+      action: 'update',
+      entityType: 'timesheet',
+      entityId: timesheetId,
+      staffName: previous.staff_name,
+      entityDate: getLondonDate(timesheet ? timesheet.shift_start_datetime : previous.actual_start_datetime),
+      before: { status: previous.status },
+      after: { status: decision, decision_notes: notes || null }
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log(`⏱️ Timesheet for ${previous.staff_name} ${decision}`);
+    
     res.json({
       success: true,
-      data: result.rows[0],
-      message: `Training flag ${training ? 'enabled' : 'disabled'} successfully`
+      data: timesheet,
+      message: `Timesheet ${decision}`
     });
   } catch (err) {
-    console.error('Error updating training flag:', err);
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(`❌ Error updating timesheet to ${decision}:`, err);
     res.status(500).json({
       success: false,
-      error: 'Failed to update training flag',
+      error: 'Failed to update timesheet',
       message: err.message
     });
+  } finally {
+    client.release();
   }
-});
+}
 
-// Update shift short_notice flag
-app.put('/api/shifts/:id/short-notice', async (req, res) => {
+app.post('/api/timesheets/:timesheetId/approve', (req, res) => decideTimesheet(req, res, 'approved'));
+app.post('/api/timesheets/:timesheetId/reject', (req, res) => decideTimesheet(req, res, 'rejected'));
+
+// Delete a timesheet (team leaders) - the shift is paid on its rota times again
+app.delete('/api/timesheets/:timesheetId', async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { id } = req.params;
-    const { short_notice } = req.body;
+    const { timesheetId } = req.params;
     
-    if (typeof short_notice !== 'boolean') {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid short_notice value',
-        message: 'short_notice must be a boolean value'
-      });
+    const invalidIdResponse = getInvalidTimesheetIdResponse(timesheetId);
+    if (invalidIdResponse) {
+      return res.status(400).json(invalidIdResponse);
     }
     
-    const result = await pool.query(`
-      UPDATE shifts 
-      SET short_notice = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London')
-      WHERE id = $2 
-      RETURNING *
-    `, [short_notice, id]);
+    await client.query('BEGIN');
+    
+    const result = await client.query('DELETE FROM timesheets WHERE timesheet_id = $1 RETURNING *', [timesheetId]);
     
     if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
-        error: 'Shift not found',
-        message: 'No shift found with the specified ID'
+        error: 'Timesheet not found',
+        message: `No timesheet with ID ${timesheetId}`
       });
     }
     
+    const deleted = result.rows[0];
+    await recordAuditEvent(client, req, {
+      action: 'delete',
+      entityType: 'timesheet',
+      entityId: timesheetId,
+      staffName: deleted.staff_name,
+      entityDate: getLondonDate(deleted.actual_start_datetime),
+      before: deleted
+    });
+    
+    await client.query('COMMIT');
+    
     res.json({
-      success: true,
-      data: result.rows[0],
-      message: `Short notice flag ${short_notice ? 'enabled' : 'disabled'} successfully`
+      success: true,
+      data: deleted,
+      message: 'Timesheet deleted'
     });
   } catch (err) {
-    console.error('Error updating short notice flag:', err);
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error deleting timesheet:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to update short notice flag',
+      error: 'Failed to delete timesheet',
       message: err.message
     });
+  } finally {
+    client.release();
   }
 });
 
-// Update shift payment_period_end flag
-app.put('/api/shifts/:id/payment-period-end', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { payment_period_end } = req.body;
-    
-    if (typeof payment_period_end !== 'boolean') {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid payment_period_end value',
-        message: 'payment_period_end must be a boolean value'
-      });
+// =====================================================
+// PAY RULES API ENDPOINTS
+// =====================================================
+
+const PAY_RULE_COMBINE_MODES = ['max', 'stack'];
+
+// Helper function to validate pay rule fields (only validates fields that are provided)
+function validatePayRuleFields(fields) {
+  if (fields.effective_from !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(fields.effective_from)) {
+    return { error: 'Invalid effective from date', message: 'Effective from date must be in YYYY-MM-DD format' };
+  }
+  
+  for (const column of Object.values(PAY_RULE_FLAG_COLUMNS)) {
+    const value = fields[column];
+    if (value !== undefined && (isNaN(parseFloat(value)) || parseFloat(value) < 1 || parseFloat(value) >= 100)) {
+      return { error: 'Invalid multiplier', message: `${column} must be a number between 1 and 99.99` };
     }
+  }
+  
+  if (fields.combine_mode !== undefined && !PAY_RULE_COMBINE_MODES.includes(fields.combine_mode)) {
+    return { error: 'Invalid combine mode', message: `Combine mode must be one of: ${PAY_RULE_COMBINE_MODES.join(', ')}` };
+  }
+  
+  return null;
+}
+
+// Get all pay rules (ordered by effective date)
+app.get('/api/pay-rules', async (req, res) => {
+  try {
+    console.log('💷 Fetching pay rules...');
     
-    const result = await pool.query(`
-      UPDATE shifts 
-      SET payment_period_end = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London')
-      WHERE id = $2 
-      RETURNING *
-    `, [payment_period_end, id]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Shift not found',
-        message: 'No shift found with the specified ID'
-      });
-    }
+    const payRules = await getPayRules();
     
     res.json({
       success: true,
-      data: result.rows[0],
-      message: `Payment period end flag ${payment_period_end ? 'enabled' : 'disabled'} successfully`
+      data: payRules,
+      count: payRules.length
     });
   } catch (err) {
-    console.error('Error updating payment period end flag:', err);
+    console.error('Error fetching pay rules:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to update payment period end flag',
+      error: 'Failed to fetch pay rules',
       message: err.message
     });
   }
 });
 
-// Update shift overtime flag
-app.put('/api/shifts/:id/overtime', async (req, res) => {
+// Get the pay rule in force on a date (?date=YYYY-MM-DD, defaults to today)
+// IMPORTANT: Must come BEFORE /api/pay-rules/:id
+app.get('/api/pay-rules/effective', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { overtime } = req.body;
+    const date = req.query.date || new Date().toISOString().split('T')[0];
     
-    if (typeof overtime !== 'boolean') {
+    if (!/^\d{4}-\d{2}-\d{2}/.test(date)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid overtime value',
-        message: 'overtime must be a boolean value'
+        error: 'Invalid date',
+        message: 'Date must be in YYYY-MM-DD format'
       });
     }
     
-    const result = await pool.query(`
-      UPDATE shifts 
-      SET overtime = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London')
-      WHERE id = $2 
-      RETURNING *
-    `, [overtime, id]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Shift not found',
-        message: 'No shift found with the specified ID'
-      });
-    }
+    const payRule = await getPayRuleForDate(date);
     
     res.json({
       success: true,
-      data: result.rows[0],
-      message: `Overtime flag ${overtime ? 'enabled' : 'disabled'} successfully`
+      data: payRule
     });
   } catch (err) {
-    console.error('Error updating overtime flag:', err);
+    console.error('Error fetching effective pay rule:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to update overtime flag',
+      error: 'Failed to fetch effective pay rule',
       message: err.message
     });
   }
 });
 
-// Update shift callout flag
-app.put('/api/shifts/:id/call-out', async (req, res) => {
+// Add new pay rule
+app.post('/api/pay-rules', 
+  validateRequiredFields(['effective_from']),
+  async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { id } = req.params;
-    const { call_out } = req.body;
+    const {
+      effective_from,
+      solo_shift_multiplier = DEFAULT_PAY_RULE.solo_shift_multiplier,
+      training_multiplier = DEFAULT_PAY_RULE.training_multiplier,
+      short_notice_multiplier = DEFAULT_PAY_RULE.short_notice_multiplier,
+      call_out_multiplier = DEFAULT_PAY_RULE.call_out_multiplier,
+      overtime_multiplier = DEFAULT_PAY_RULE.overtime_multiplier,
+      combine_mode = DEFAULT_PAY_RULE.combine_mode,
+      notes = null
+    } = req.body;
     
-    if (typeof call_out !== 'boolean') {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid call_out value',
-        message: 'call_out must be a boolean value'
-      });
+    const validationError = validatePayRuleFields({
+      effective_from, solo_shift_multiplier, training_multiplier, short_notice_multiplier,
+      call_out_multiplier, overtime_multiplier, combine_mode
+    });
+    if (validationError) {
+      return res.status(400).json({ success: false, ...validationError });
     }
     
-    const result = await pool.query(`
-      UPDATE shifts 
-      SET call_out = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London')
-      WHERE id = $2 
-      RETURNING *
-    `, [call_out, id]);
+    console.log(`➕ Adding pay rule effective from ${effective_from} (${combine_mode})`);
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Shift not found',
-        message: 'No shift found with the specified ID'
-      });
-    }
+    await client.query('BEGIN');
     
-    res.json({
+    const result = await client.query(`
+      INSERT INTO pay_rules (
+        pay_rule_id, effective_from, solo_shift_multiplier, training_multiplier, short_notice_multiplier,
+        call_out_multiplier, overtime_multiplier, combine_mode, notes
+      ) VALUES (
+        uuid_pay_rule($1::date), $1, $2, $3, $4, $5, $6, $7, $8
+      )
+      RETURNING ${PAY_RULE_COLUMNS}
+    `, [
+      effective_from,
+      parseFloat(solo_shift_multiplier),
+      parseFloat(training_multiplier),
+      parseFloat(short_notice_multiplier),
+      parseFloat(call_out_multiplier),
+      parseFloat(overtime_multiplier),
+      combine_mode,
+      notes
+    ]);
+    const payRule = parsePayRule(result.rows[0]);
+    
+    await recordAuditEvent(client, req, {
+      action: 'create',
+      entityType: 'pay_rule',
+      entityId: payRule.pay_rule_id,
+      entityDate: payRule.effective_from,
+      after: payRule
+    });
+    
+    await client.query('COMMIT');
+    clearPayRulesCache();
+    
+    res.status(201).json({
       success: true,
-      data: result.rows[0],
-      message: `Callout flag ${call_out ? 'enabled' : 'disabled'} successfully`
+      data: payRule,
+      message: 'Pay rule added successfully'
     });
   } catch (err) {
-    console.error('Error updating callout flag:', err);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to update callout flag',
-      message: err.message
-    });
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error adding pay rule:', err);
+    if (err.code === '23505') { // Unique constraint violation
+      res.status(409).json({
+        success: false,
+        error: 'Pay rule already exists',
+        message: 'A pay rule with this effective from date already exists'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add pay rule',
+        message: err.message
+      });
+    }
+  } finally {
+    client.release();
   }
 });
 
-// Update shift notes
-app.put('/api/shifts/:id/notes', async (req, res) => {
+// Update pay rule
+app.put('/api/pay-rules/:id', async (req, res) => {
+  const client = await pool.connect();
   try {
     const { id } = req.params;
-    const { notes } = req.body;
+    const fields = req.body;
     
-    if (typeof notes !== 'string') {
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid notes value',
-        message: 'notes must be a string value'
+        error: 'Invalid pay rule ID format',
+        message: 'Pay rule ID must be a valid UUID'
       });
     }
     
-    const result = await pool.query(`
-      UPDATE shifts 
-      SET notes = $1, updated_at = (NOW() AT TIME ZONE 'Europe/London')
-      WHERE id = $2 
-      RETURNING *
-    `, [notes, id]);
+    const validationError = validatePayRuleFields(fields);
+    if (validationError) {
+      return res.status(400).json({ success: false, ...validationError });
+    }
     
-    if (result.rows.length === 0) {
+    const toNumber = (value) => value !== undefined && value !== null ? parseFloat(value) : null;
+    
+    console.log(`✏️ Updating pay rule ${id}`);
+    
+    await client.query('BEGIN');
+    
+    const previousResult = await client.query(`
+      SELECT ${PAY_RULE_COLUMNS} FROM pay_rules WHERE pay_rule_id = $1 FOR UPDATE
+    `, [id]);
+    
+    if (previousResult.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
-        error: 'Shift not found',
-        message: 'No shift found with the specified ID'
+        error: 'Pay rule not found',
+        message: 'No pay rule found with the specified ID'
       });
     }
     
-    res.json({
-      success: true,
-      data: result.rows[0],
-      message: 'Notes updated successfully'
+    const result = await client.query(`
+      UPDATE pay_rules SET
+        effective_from = COALESCE($2::date, effective_from),
+        solo_shift_multiplier = COALESCE($3, solo_shift_multiplier),
+        training_multiplier = COALESCE($4, training_multiplier),
+        short_notice_multiplier = COALESCE($5, short_notice_multiplier),
+        call_out_multiplier = COALESCE($6, call_out_multiplier),
+        overtime_multiplier = COALESCE($7, overtime_multiplier),
+        combine_mode = COALESCE($8, combine_mode),
+        notes = COALESCE($9, notes),
+        updated_at = (NOW() AT TIME ZONE 'Europe/London')
+      WHERE pay_rule_id = $1
+      RETURNING ${PAY_RULE_COLUMNS}
+    `, [
+      id,
+      fields.effective_from || null,
+      toNumber(fields.solo_shift_multiplier),
+      toNumber(fields.training_multiplier),
+      toNumber(fields.short_notice_multiplier),
+      toNumber(fields.call_out_multiplier),
+      toNumber(fields.overtime_multiplier),
+      fields.combine_mode || null,
+      fields.notes !== undefined ? fields.notes : null
+    ]);
+    const payRule = parsePayRule(result.rows[0]);
+    
+    await recordAuditEvent(client, req, {
+      action: 'update',
+      entityType: 'pay_rule',
+      entityId: id,
+      entityDate: payRule.effective_from,
+      before: parsePayRule(previousResult.rows[0]),
+      after: payRule
     });
-  } catch (err) {
-    console.error('Error updating notes:', err);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to update notes',
-      message: err.message
-    });
-  }
-});
-
-// =====================================================
-// TIME-OFF MANAGEMENT API ENDPOINTS
-// =====================================================
-
-
-// Get holiday entitlements
-app.get('/api/time-off/holiday-entitlements', async (req, res) => {
-  try {
-    const result = await pool.query(`
-      SELECT * FROM current_holiday_entitlements
-      WHERE is_active = true
-      ORDER BY staff_name
-    `);
+    
+    await client.query('COMMIT');
+    clearPayRulesCache();
     
     res.json({
       success: true,
-      data: result.rows,
-      message: 'Holiday entitlements retrieved successfully'
+      data: payRule,
+      message: 'Pay rule updated successfully'
     });
   } catch (err) {
-    console.error('Error fetching holiday entitlements:', err);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch holiday entitlements',
-      message: err.message
-    });
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error updating pay rule:', err);
+    if (err.code === '23505') { // Unique constraint violation
+      res.status(409).json({
+        success: false,
+        error: 'Pay rule already exists',
+        message: 'A pay rule with this effective from date already exists'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update pay rule',
+        message: err.message
+      });
+    }
+  } finally {
+    client.release();
   }
 });
 
-// Sync holiday entitlements for all staff members
-app.post('/api/time-off/holiday-entitlements/sync-all', async (req, res) => {
+// Delete pay rule (the last remaining rule cannot be deleted)
+app.delete('/api/pay-rules/:id', async (req, res) => {
+  const client = await pool.connect();
   try {
-    // Get all active staff members
-    const staffResult = await pool.query(`
-      SELECT unique_id, staff_name, employment_end_date 
-      FROM human_resource 
-      WHERE is_active = true
-    `);
+    const { id } = req.params;
     
-    const syncResults = [];
-    let successCount = 0;
-    let errorCount = 0;
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pay rule ID format',
+        message: 'Pay rule ID must be a valid UUID'
+      });
+    }
     
-    for (const staff of staffResult.rows) {
-      try {
-        // Recalculate holiday entitlement for this staff member
-        await pool.query('SELECT recalculate_holiday_entitlement($1, $2)', [
-          staff.unique_id, 
-          staff.employment_end_date
-        ]);
-        
-        // Verify entitlement was created/updated
-        const entitlementCheck = await pool.query(
-          'SELECT COUNT(*) as entitlement_count FROM holiday_entitlements WHERE staff_id = $1',
-          [staff.unique_id]
-        );
-        
-        if (parseInt(entitlementCheck.rows[0].entitlement_count) > 0) {
-          syncResults.push({
-            staff_id: staff.unique_id,
-            staff_name: staff.staff_name,
-            status: 'success',
-            message: 'Holiday entitlement synced successfully'
-          });
-          successCount++;
-        } else {
-          syncResults.push({
-            staff_id: staff.unique_id,
-            staff_name: staff.staff_name,
-            status: 'warning',
-            message: 'No holiday entitlement found after sync'
-          });
-          errorCount++;
-        }
-      } catch (error) {
-        syncResults.push({
-          staff_id: staff.unique_id,
-          staff_name: staff.staff_name,
-          status: 'error',
-          message: error.message
-        });
-        errorCount++;
-      }
+    await client.query('BEGIN');
+    
+    // Lock the rules so two deletes cannot both pass the last-rule check
+    const countResult = await client.query('SELECT pay_rule_id FROM pay_rules FOR UPDATE');
+    if (countResult.rows.length <= 1) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot delete last pay rule',
+        message: 'At least one pay rule is required. Edit the existing rule instead.'
+      });
+    }
+    
+    const result = await client.query(`
+      DELETE FROM pay_rules WHERE pay_rule_id = $1
+      RETURNING ${PAY_RULE_COLUMNS}
+    `, [id]);
+    
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Pay rule not found',
+        message: 'No pay rule found with the specified ID'
+      });
     }
     
+    const payRule = parsePayRule(result.rows[0]);
+    
+    await recordAuditEvent(client, req, {
+      action: 'delete',
+      entityType: 'pay_rule',
+      entityId: id,
+      entityDate: payRule.effective_from,
+      before: payRule
+    });
+    
+    await client.query('COMMIT');
+    clearPayRulesCache();
+    console.log(`🗑️ Deleted pay rule effective from ${payRule.effective_from}`);
+    
     res.json({
       success: true,
-      message: `Holiday entitlements sync completed. ${successCount} successful, ${errorCount} errors`,
-      data: {
-        total_staff: staffResult.rows.length,
-        successful: successCount,
-        errors: errorCount,
-        results: syncResults
-      }
+      data: payRule,
+      message: 'Pay rule deleted successfully'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error deleting pay rule:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete pay rule',
+      message: err.message
     });
+  } finally {
+    client.release();
+  }
+});
+
+// =====================================================
+// BREAK RULES API ENDPOINTS
+// =====================================================
+
+// A break rule deducts unpaid minutes from work shifts longer than min_shift_hours, for one work
+// shift type or every work shift type (shift_type null). See findBreakRule and splitShiftHours
+const BREAK_RULE_MAX_UNPAID_MINUTES = 240;
+
+// Helper function to validate break rule fields (only validates fields that are provided)
+async function validateBreakRuleFields(fields) {
+  if (fields.shift_type !== undefined && fields.shift_type !== null && fields.shift_type !== '') {
+    const shiftType = await findShiftType(fields.shift_type);
+    if (!shiftType || isTimeOffShiftType(shiftType)) {
+      return { error: 'Invalid shift type', message: `${fields.shift_type} is not a work shift type` };
+    }
+  }
+  
+  if (fields.min_shift_hours !== undefined &&
+      (fields.min_shift_hours === null || fields.min_shift_hours === '' || isNaN(Number(fields.min_shift_hours)) ||
+       Number(fields.min_shift_hours) < 0 || Number(fields.min_shift_hours) >= 24)) {
+    return { error: 'Invalid shift length', message: 'min_shift_hours must be a number of hours from 0 to 23.99' };
+  }
+  
+  if (fields.unpaid_minutes !== undefined &&
+      (fields.unpaid_minutes === null || fields.unpaid_minutes === '' || !Number.isInteger(Number(fields.unpaid_minutes)) ||
+       Number(fields.unpaid_minutes) < 0 || Number(fields.unpaid_minutes) > BREAK_RULE_MAX_UNPAID_MINUTES)) {
+    return { error: 'Invalid unpaid minutes', message: `unpaid_minutes must be a whole number from 0 to ${BREAK_RULE_MAX_UNPAID_MINUTES}` };
+  }
+  
+  if (fields.paid_flags !== undefined &&
+      (!Array.isArray(fields.paid_flags) || fields.paid_flags.some(flag => !PAY_RULE_FLAG_COLUMNS[flag]))) {
+    return { error: 'Invalid paid flags', message: `paid_flags must be a list of: ${Object.keys(PAY_RULE_FLAG_COLUMNS).join(', ')}` };
+  }
+  
+  return null;
+}
+
+// Helper function to build the 400 response for an invalid break rule ID (null when the ID is valid)
+function getInvalidBreakRuleIdResponse(id) {
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+    return null;
+  }
+  return {
+    success: false,
+    error: 'Invalid break rule ID format',
+    message: 'Break rule ID must be a valid UUID'
+  };
+}
+
+// Helper function to describe which shifts a break rule applies to
+function describeBreakRule(rule) {
+  return `${rule.shift_type || 'all work shifts'} over ${Number(rule.min_shift_hours)} hours`;
+}
+
+// Get all break rules
+app.get('/api/break-rules', async (req, res) => {
+  try {
+    console.log('☕ Fetching break rules...');
     
+    const breakRules = await getBreakRules();
+    
+    res.json({
+      success: true,
+      data: breakRules,
+      count: breakRules.length
+    });
   } catch (err) {
-    console.error('Error syncing holiday entitlements:', err);
+    console.error('Error fetching break rules:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to sync holiday entitlements',
+      error: 'Failed to fetch break rules',
       message: err.message
     });
   }
 });
 
-// Comprehensive sync endpoint that checks human_resource table and updates holiday_entitlements
-app.post('/api/time-off/holiday-entitlements/check-and-sync', async (req, res) => {
+// Add a break rule (team leaders)
+// Body: unpaid_minutes, optional shift_type (null = all work shifts), min_shift_hours, paid_flags, notes
+app.post('/api/break-rules', async (req, res) => {
+  const client = await pool.connect();
   try {
-    console.log('🔍 Starting comprehensive holiday entitlements check and sync...');
+    const {
+      shift_type = null,
+      min_shift_hours = 0,
+      unpaid_minutes,
+      paid_flags = [],
+      notes = ''
+    } = req.body;
     
-    // Get all staff members (both active and inactive)
-    const allStaffResult = await pool.query(`
-      SELECT 
-        unique_id, 
-        staff_name, 
-        employment_start_date,
-        employment_end_date,
-        contracted_hours,
-        is_active
-      FROM human_resource 
-      ORDER BY staff_name
-    `);
+    if (unpaid_minutes === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'unpaid_minutes is required'
+      });
+    }
     
-    // Get all existing holiday entitlements
-    const existingEntitlementsResult = await pool.query(`
-      SELECT 
-        staff_id, 
-        staff_name,
-        holiday_year_start,
-        holiday_year_end
-      FROM holiday_entitlements 
-      ORDER BY staff_name
-    `);
+    const validationError = await validateBreakRuleFields({ shift_type, min_shift_hours, unpaid_minutes, paid_flags });
+    if (validationError) {
+      return res.status(400).json({ success: false, ...validationError });
+    }
     
-    const existingEntitlements = new Map();
-    existingEntitlementsResult.rows.forEach(entitlement => {
-      const key = `${entitlement.staff_id}_${entitlement.holiday_year_start}`;
-      existingEntitlements.set(key, entitlement);
+    const shiftType = shift_type || null;
+    console.log(`➕ Adding break rule for ${describeBreakRule({ shift_type: shiftType, min_shift_hours })}: ${unpaid_minutes} minutes unpaid`);
+    
+    await client.query('BEGIN');
+    
+    const result = await client.query(`
+      INSERT INTO break_rules (
+        break_rule_id, shift_type, min_shift_hours, unpaid_minutes, paid_flags, notes
+      ) VALUES (
+        uuid_break_rule($1, $2::numeric), $1, $2, $3, $4, $5
+      )
+      RETURNING ${BREAK_RULE_COLUMNS}
+    `, [
+      shiftType,
+      Number(min_shift_hours),
+      Number(unpaid_minutes),
+      paid_flags,
+      notes || ''
+    ]);
+    
+    const breakRule = parseBreakRule(result.rows[0]);
+    
+    await recordAuditEvent(client, req, {
+      action: 'create',
+      entityType: 'break_rule',
+      entityId: breakRule.break_rule_id,
+      after: breakRule
     });
     
-    const syncResults = [];
-    let createdCount = 0;
-    let updatedCount = 0;
-    let deletedCount = 0;
-    let errorCount = 0;
-    let skippedCount = 0;
+    await client.query('COMMIT');
+    clearBreakRulesCache();
     
-    // Process each staff member
-    for (const staff of allStaffResult.rows) {
-      try {
-        console.log(`Processing staff: ${staff.staff_name} (ID: ${staff.unique_id})`);
-        
-        // Skip staff with null contracted_hours (they should be fixed separately)
-        if (staff.contracted_hours === null) {
-          syncResults.push({
-            staff_id: staff.unique_id,
-            staff_name: staff.staff_name,
-            status: 'skipped',
-            message: 'Skipped - contracted_hours is null (needs manual fix)',
-            action: 'none'
-          });
-          skippedCount++;
-          continue;
-        }
-        
-        // Recalculate holiday entitlement for this staff member
-        await pool.query('SELECT recalculate_holiday_entitlement($1, $2)', [
-          staff.unique_id, 
-          staff.employment_end_date
-        ]);
-        
-        // Check if entitlement was created or updated
-        const entitlementCheck = await pool.query(`
-          SELECT 
-            entitlement_id,
-            statutory_entitlement_days,
-            statutory_entitlement_hours,
-            created_at,
-            updated_at
-          FROM holiday_entitlements 
-          WHERE staff_id = $1
-          ORDER BY created_at DESC
-          LIMIT 1
-        `, [staff.unique_id]);
-        
-        if (entitlementCheck.rows.length > 0) {
-          const entitlement = entitlementCheck.rows[0];
-          const isNew = entitlement.created_at.getTime() === entitlement.updated_at.getTime();
-          
-          syncResults.push({
-            staff_id: staff.unique_id,
-            staff_name: staff.staff_name,
-            status: 'success',
-            message: isNew ? 'Holiday entitlement created' : 'Holiday entitlement updated',
-            action: isNew ? 'created' : 'updated',
-            entitlement_days: entitlement.statutory_entitlement_days,
-            entitlement_hours: entitlement.statutory_entitlement_hours
-          });
-          
-          if (isNew) {
-            createdCount++;
-          } else {
-            updatedCount++;
-          }
-        } else {
-          syncResults.push({
-            staff_id: staff.unique_id,
-            staff_name: staff.staff_name,
-            status: 'error',
-            message: 'Failed to create/update holiday entitlement',
-            action: 'failed'
-          });
-          errorCount++;
-        }
-        
-      } catch (error) {
-        console.error(`Error processing staff ${staff.staff_name}:`, error.message);
-        syncResults.push({
-          staff_id: staff.unique_id,
-          staff_name: staff.staff_name,
-          status: 'error',
-          message: error.message,
-          action: 'failed'
-        });
-        errorCount++;
-      }
+    res.status(201).json({
+      success: true,
+      data: breakRule,
+      message: 'Break rule added successfully'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error adding break rule:', err);
+    if (err.code === '23505') { // Unique constraint violation
+      res.status(409).json({
+        success: false,
+        error: 'Break rule already exists',
+        message: 'A break rule for this shift type and shift length already exists. Edit the existing rule instead.'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add break rule',
+        message: err.message
+      });
     }
+  } finally {
+    client.release();
+  }
+});
+
+// Update a break rule (team leaders)
+app.put('/api/break-rules/:id', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const fields = req.body;
     
-    // Check for orphaned holiday entitlements (staff deleted but entitlements remain)
-    const activeStaffIds = new Set(allStaffResult.rows.map(staff => staff.unique_id));
-    const orphanedEntitlements = existingEntitlementsResult.rows.filter(
-      entitlement => !activeStaffIds.has(entitlement.staff_id)
-    );
+    const invalidIdResponse = getInvalidBreakRuleIdResponse(id);
+    if (invalidIdResponse) {
+      return res.status(400).json(invalidIdResponse);
+    }
     
-    // Delete orphaned entitlements
-    for (const orphaned of orphanedEntitlements) {
-      try {
-        await pool.query('DELETE FROM holiday_entitlements WHERE staff_id = $1', [orphaned.staff_id]);
-        syncResults.push({
-          staff_id: orphaned.staff_id,
-          staff_name: orphaned.staff_name,
-          status: 'success',
-          message: 'Orphaned holiday entitlement deleted',
-          action: 'deleted'
-        });
-        deletedCount++;
-      } catch (error) {
-        syncResults.push({
-          staff_id: orphaned.staff_id,
-          staff_name: orphaned.staff_name,
-          status: 'error',
-          message: `Failed to delete orphaned entitlement: ${error.message}`,
-          action: 'failed'
-        });
-        errorCount++;
-      }
+    const validationError = await validateBreakRuleFields(fields);
+    if (validationError) {
+      return res.status(400).json({ success: false, ...validationError });
+    }
+    
+    console.log(`✏️ Updating break rule ${id}`);
+    
+    await client.query('BEGIN');
+    
+    const previousResult = await client.query(`
+      SELECT ${BREAK_RULE_COLUMNS} FROM break_rules WHERE break_rule_id = $1 FOR UPDATE
+    `, [id]);
+    
+    if (previousResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Break rule not found',
+        message: 'No break rule found with the specified ID'
+      });
+    }
+    
+    const result = await client.query(`
+      UPDATE break_rules SET
+        shift_type = CASE WHEN $2::boolean THEN $3 ELSE shift_type END,
+        min_shift_hours = COALESCE($4, min_shift_hours),
+        unpaid_minutes = COALESCE($5, unpaid_minutes),
+        paid_flags = COALESCE($6, paid_flags),
+        notes = COALESCE($7, notes),
+        updated_at = (NOW() AT TIME ZONE 'Europe/London')
+      WHERE break_rule_id = $1
+      RETURNING ${BREAK_RULE_COLUMNS}
+    `, [
+      id,
+      fields.shift_type !== undefined,
+      fields.shift_type || null,
+      fields.min_shift_hours !== undefined ? Number(fields.min_shift_hours) : null,
+      fields.unpaid_minutes !== undefined ? Number(fields.unpaid_minutes) : null,
+      fields.paid_flags !== undefined ? fields.paid_flags : null,
+      fields.notes !== undefined ? fields.notes : null
+    ]);
+    
+    const breakRule = parseBreakRule(result.rows[0]);
+    
+    await recordAuditEvent(client, req, {
+      action: 'update',
+      entityType: 'break_rule',
+      entityId: id,
+      before: parseBreakRule(previousResult.rows[0]),
+      after: breakRule
+    });
+    
+    await client.query('COMMIT');
+    clearBreakRulesCache();
+    
+    res.json({
+      success: true,
+      data: breakRule,
+      message: 'Break rule updated successfully'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error updating break rule:', err);
+    if (err.code === '23505') { // Unique constraint violation
+      res.status(409).json({
+        success: false,
+        error: 'Break rule already exists',
+        message: 'A break rule for this shift type and shift length already exists'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update break rule',
+        message: err.message
+      });
     }
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a break rule (team leaders)
+app.delete('/api/break-rules/:id', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
     
-    // Get final statistics
-    const finalStats = await pool.query(`
-      SELECT 
-        COUNT(*) as total_staff,
-        COUNT(*) FILTER (WHERE is_active = true) as active_staff,
-        COUNT(*) FILTER (WHERE contracted_hours IS NOT NULL) as staff_with_hours
-      FROM human_resource
-    `);
+    const invalidIdResponse = getInvalidBreakRuleIdResponse(id);
+    if (invalidIdResponse) {
+      return res.status(400).json(invalidIdResponse);
+    }
     
-    const finalEntitlementStats = await pool.query(`
-      SELECT COUNT(*) as total_entitlements
-      FROM holiday_entitlements
-    `);
+    await client.query('BEGIN');
     
-    console.log('✅ Comprehensive sync completed');
+    const result = await client.query(`
+      DELETE FROM break_rules WHERE break_rule_id = $1
+      RETURNING ${BREAK_RULE_COLUMNS}
+    `, [id]);
+    
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Break rule not found',
+        message: 'No break rule found with the specified ID'
+      });
+    }
+    
+    const breakRule = parseBreakRule(result.rows[0]);
+    
+    await recordAuditEvent(client, req, {
+      action: 'delete',
+      entityType: 'break_rule',
+      entityId: id,
+      before: breakRule
+    });
+    
+    await client.query('COMMIT');
+    clearBreakRulesCache();
+    console.log(`🗑️ Deleted break rule for ${describeBreakRule(breakRule)}`);
     
     res.json({
       success: true,
-      message: `Comprehensive holiday entitlements check and sync completed`,
-      data: {
-        summary: {
-          total_staff: finalStats.rows[0].total_staff,
-          active_staff: finalStats.rows[0].active_staff,
-          staff_with_hours: finalStats.rows[0].staff_with_hours,
-          total_entitlements: finalEntitlementStats.rows[0].total_entitlements,
-          created: createdCount,
-          updated: updatedCount,
-          deleted: deletedCount,
-          skipped: skippedCount,
-          errors: errorCount
-        },
-        results: syncResults
-      }
+      data: breakRule,
+      message: 'Break rule deleted successfully'
     });
-    
   } catch (err) {
-    console.error('Error in comprehensive sync:', err);
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error deleting break rule:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to perform comprehensive sync',
+      error: 'Failed to delete break rule',
       message: err.message
     });
+  } finally {
+    client.release();
   }
 });
 
-// Get holiday entitlement for specific staff member
-app.get('/api/time-off/holiday-entitlements/:staffId', async (req, res) => {
+// =====================================================
+// PAY BANDS AND BANK HOLIDAYS API ENDPOINTS
+// =====================================================
+
+// A pay band is a premium for the hours of a work shift inside a Europe/London time band - nights
+// (every day 22:00-06:00), Sundays or bank holidays - either a rate multiplier or an amount per hour.
+// See splitShiftPayBands and priceShiftPayBands
+const PAY_BAND_PREMIUM_TYPES = ['multiplier', 'per_hour'];
+
+// Helper function to validate pay band fields (only validates fields that are provided)
+// existing: the stored band when updating, so bank_holiday/day_of_week and the effective dates are
+// checked against the values that will be saved
+function validatePayBandFields(fields, existing = null) {
+  if (fields.name !== undefined && (typeof fields.name !== 'string' || !fields.name.trim())) {
+    return { error: 'Invalid name', message: 'name is required' };
+  }
+  
+  if (fields.day_of_week !== undefined && fields.day_of_week !== null && fields.day_of_week !== '' &&
+      !(Number.isInteger(Number(fields.day_of_week)) && Number(fields.day_of_week) >= 1 && Number(fields.day_of_week) <= 7)) {
+    return { error: 'Invalid day of week', message: 'Day of week must be 1 (Monday) to 7 (Sunday), or null for every day' };
+  }
+  
+  if (fields.bank_holiday !== undefined && typeof fields.bank_holiday !== 'boolean') {
+    return { error: 'Invalid bank holiday', message: 'bank_holiday must be true or false' };
+  }
+  
+  for (const column of ['start_time', 'end_time']) {
+    if (fields[column] !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(fields[column] || '')) {
+      return { error: 'Invalid time', message: `${column} must be a time in HH:MM format` };
+    }
+  }
+  
+  if (fields.premium_type !== undefined && !PAY_BAND_PREMIUM_TYPES.includes(fields.premium_type)) {
+    return { error: 'Invalid premium type', message: `premium_type must be one of: ${PAY_BAND_PREMIUM_TYPES.join(', ')}` };
+  }
+  
+  if (fields.premium !== undefined &&
+      (fields.premium === null || fields.premium === '' || isNaN(Number(fields.premium)) || Number(fields.premium) <= 0)) {
+    return { error: 'Invalid premium', message: 'premium must be a number greater than 0' };
+  }
+  
+  for (const column of ['effective_from', 'effective_to']) {
+    const value = fields[column];
+    if (value === undefined || (column === 'effective_to' && (value === null || value === ''))) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+      return { error: 'Invalid date', message: `${column} must be a date in YYYY-MM-DD format` };
+    }
+  }
+  
+  const band = { ...existing, ...fields };
+  if (band.bank_holiday && band.day_of_week) {
+    return { error: 'Invalid day of week', message: 'A bank holiday band applies on any day of the week - leave day_of_week empty' };
+  }
+  if ((band.premium_type || 'multiplier') === 'multiplier' && band.premium !== undefined && Number(band.premium) < 1) {
+    return { error: 'Invalid premium', message: 'A multiplier premium must be at least 1 (1.5 = time-and-a-half)' };
+  }
+  if (band.effective_from && band.effective_to && band.effective_to < band.effective_from) {
+    return { error: 'Invalid date', message: 'effective_to cannot be before effective_from' };
+  }
+  
+  return null;
+}
+
+// Helper function to build the 400 response for an invalid ID (null when the ID is valid)
+function getInvalidPayBandIdResponse(id, label = 'Pay band') {
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+    return null;
+  }
+  return {
+    success: false,
+    error: `Invalid ${label.toLowerCase()} ID format`,
+    message: `${label} ID must be a valid UUID`
+  };
+}
+
+// Helper function to describe when a pay band applies and what it pays
+function describePayBand(band) {
+  const day = band.bank_holiday ? 'bank holidays' : describeStaffingRuleDay(band.day_of_week);
+  const premium = band.premium_type === 'per_hour' ? `+£${Number(band.premium).toFixed(2)}/h` : `${Number(band.premium)}x`;
+  return `${band.name} (${day} ${band.start_time}-${band.end_time}, ${premium})`;
+}
+
+// Get all pay bands
+app.get('/api/pay-bands', async (req, res) => {
   try {
-    const { staffId } = req.params;
-    
-    const result = await pool.query(`
-      SELECT * FROM current_holiday_entitlements
-      WHERE staff_id = $1
-    `, [staffId]);
+    console.log('🌙 Fetching pay bands...');
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Entitlement not found',
-        message: 'No holiday entitlement found for this staff member'
-      });
-    }
+    const payBands = await getPayBands();
     
     res.json({
       success: true,
-      data: result.rows[0],
-      message: 'Holiday entitlement retrieved successfully'
+      data: payBands,
+      count: payBands.length
     });
   } catch (err) {
-    console.error('Error fetching holiday entitlement:', err);
+    console.error('Error fetching pay bands:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch holiday entitlement',
+      error: 'Failed to fetch pay bands',
       message: err.message
     });
   }
 });
 
-// Create or update holiday entitlement
-// Holiday entitlement creation endpoint removed - use recalculate endpoint instead
-app.post('/api/time-off/holiday-entitlements', async (req, res) => {
+// Add a pay band (team leaders)
+// Body: name, premium, optional premium_type ('multiplier' or 'per_hour'), day_of_week (1 = Monday .. 7 = Sunday,
+// null = every day), bank_holiday, start_time and end_time (HH:MM London time, 00:00-00:00 = whole day),
+// effective_from, effective_to, notes
+app.post('/api/pay-bands', async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { staff_id } = req.body;
+    const {
+      name,
+      day_of_week = null,
+      bank_holiday = false,
+      start_time = '00:00',
+      end_time = '00:00',
+      premium_type = 'multiplier',
+      premium,
+      effective_from = getLondonDate(new Date()),
+      effective_to = null,
+      notes = ''
+    } = req.body;
     
-    if (!staff_id) {
+    if (!name || premium === undefined) {
       return res.status(400).json({
         success: false,
         error: 'Missing required fields',
-        message: 'staff_id is required'
+        message: 'name and premium are required'
       });
     }
     
-    // Redirect to recalculate endpoint
-    res.json({
-      success: true,
-      message: 'Use PUT /api/time-off/holiday-entitlements/:staffId/recalculate instead',
-      redirect: `/api/time-off/holiday-entitlements/${staff_id}/recalculate`
+    const validationError = validatePayBandFields({
+      name, day_of_week, bank_holiday, start_time, end_time, premium_type, premium, effective_from, effective_to
     });
+    if (validationError) {
+      return res.status(400).json({ success: false, ...validationError });
+    }
     
-    // Get current holiday year dates
-    const yearResult = await pool.query('SELECT * FROM get_holiday_year_dates()');
-    const { holiday_year_start, holiday_year_end } = yearResult.rows[0];
+    const dayOfWeek = day_of_week === null || day_of_week === '' ? null : Number(day_of_week);
+    console.log(`➕ Adding pay band ${describePayBand({ name, day_of_week: dayOfWeek, bank_holiday, start_time, end_time, premium_type, premium })}`);
     
-    // Get staff information from database if not provided
-    const staffResult = await pool.query(`
-      SELECT 
-        staff_name,
-        contracted_hours,
-        employment_start_date, 
-        employment_end_date 
-      FROM human_resource 
-      WHERE unique_id = $1
-    `, [staff_id]);
+    await client.query('BEGIN');
     
-    if (staffResult.rows.length === 0) {
-      return res.status(404).json({
+    const result = await client.query(`
+      INSERT INTO pay_bands (
+        pay_band_id, name, day_of_week, bank_holiday, start_time, end_time,
+        premium_type, premium, effective_from, effective_to, notes
+      ) VALUES (
+        uuid_pay_band($1), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10
+      )
+      RETURNING ${PAY_BAND_COLUMNS}
+    `, [
+      name.trim(),
+      dayOfWeek,
+      bank_holiday,
+      start_time,
+      end_time,
+      premium_type,
+      Number(premium),
+      effective_from,
+      effective_to || null,
+      notes || ''
+    ]);
+    
+    const payBand = parsePayBand(result.rows[0]);
+    
+    await recordAuditEvent(client, req, {
+      action: 'create',
+      entityType: 'pay_band',
+      entityId: payBand.pay_band_id,
+      after: payBand
+    });
+    
+    await client.query('COMMIT');
+    clearPayBandsCache();
+    
+    res.status(201).json({
+      success: true,
+      data: payBand,
+      message: 'Pay band added successfully'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error adding pay band:', err);
+    if (err.code === '23505') { // Unique constraint violation
+      res.status(409).json({
         success: false,
-        error: 'Staff not found',
-        message: 'Staff member not found'
+        error: 'Pay band already exists',
+        message: `A pay band named ${req.body.name} already exists. Edit the existing band instead.`
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add pay band',
+        message: err.message
       });
     }
+  } finally {
+    client.release();
+  }
+});
+
+// Update a pay band (team leaders)
+app.put('/api/pay-bands/:id', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const fields = req.body;
     
-    const staff = staffResult.rows[0];
-    const { 
-      staff_name: db_staff_name, 
-      contracted_hours: db_contracted_hours,
-      employment_start_date, 
-      employment_end_date 
-    } = staff;
+    const invalidIdResponse = getInvalidPayBandIdResponse(id);
+    if (invalidIdResponse) {
+      return res.status(400).json(invalidIdResponse);
+    }
     
-    // Use provided values or fall back to database values
-    const finalStaffName = staff_name || db_staff_name;
-    const finalContractedHours = contracted_hours_per_week || db_contracted_hours;
+    await client.query('BEGIN');
     
-    // Calculate pro-rated entitlement considering employment dates
-    const entitlementResult = await pool.query(`
-      SELECT calculate_financial_year_entitlement($1, $2, $3) as days
-    `, [finalContractedHours, employment_start_date, employment_end_date]);
+    const previousResult = await client.query(`
+      SELECT ${PAY_BAND_COLUMNS} FROM pay_bands WHERE pay_band_id = $1 FOR UPDATE
+    `, [id]);
     
-    const statutory_entitlement_days = entitlementResult.rows[0].days;
-    const statutory_entitlement_hours = statutory_entitlement_days * 12;
+    if (previousResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Pay band not found',
+        message: 'No pay band found with the specified ID'
+      });
+    }
     
-    // Check if entitlement already exists for this year
-    const existingResult = await pool.query(`
-      SELECT * FROM holiday_entitlements 
-      WHERE staff_id = $1 AND holiday_year_start = $2 AND holiday_year_end = $3
-    `, [staff_id, holiday_year_start, holiday_year_end]);
+    const previousBand = parsePayBand(previousResult.rows[0]);
+    const validationError = validatePayBandFields(fields, previousBand);
+    if (validationError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, ...validationError });
+    }
     
-    if (existingResult.rows.length > 0) {
-      // Update existing entitlement
-      const result = await pool.query(`
-        UPDATE holiday_entitlements 
-        SET contracted_hours_per_week = $1, statutory_entitlement_days = $2, statutory_entitlement_hours = $3, is_zero_hours = $4
-        WHERE staff_id = $5 AND holiday_year_start = $6 AND holiday_year_end = $7
-        RETURNING *
-      `, [finalContractedHours, statutory_entitlement_days, statutory_entitlement_hours, is_zero_hours, staff_id, holiday_year_start, holiday_year_end]);
-      
-      res.json({
-        success: true,
-        data: result.rows[0],
-        message: 'Holiday entitlement updated successfully'
+    console.log(`✏️ Updating pay band ${id}`);
+    
+    const result = await client.query(`
+      UPDATE pay_bands SET
+        name = COALESCE($2, name),
+        day_of_week = CASE WHEN $3::boolean THEN $4::integer ELSE day_of_week END,
+        bank_holiday = COALESCE($5, bank_holiday),
+        start_time = COALESCE($6::time, start_time),
+        end_time = COALESCE($7::time, end_time),
+        premium_type = COALESCE($8, premium_type),
+        premium = COALESCE($9, premium),
+        effective_from = COALESCE($10::date, effective_from),
+        effective_to = CASE WHEN $11::boolean THEN $12::date ELSE effective_to END,
+        notes = COALESCE($13, notes),
+        updated_at = (NOW() AT TIME ZONE 'Europe/London')
+      WHERE pay_band_id = $1
+      RETURNING ${PAY_BAND_COLUMNS}
+    `, [
+      id,
+      fields.name !== undefined ? fields.name.trim() : null,
+      fields.day_of_week !== undefined,
+      fields.day_of_week === undefined || fields.day_of_week === null || fields.day_of_week === '' ? null : Number(fields.day_of_week),
+      fields.bank_holiday !== undefined ? fields.bank_holiday : null,
+      fields.start_time !== undefined ? fields.start_time : null,
+      fields.end_time !== undefined ? fields.end_time : null,
+      fields.premium_type !== undefined ? fields.premium_type : null,
+      fields.premium !== undefined ? Number(fields.premium) : null,
+      fields.effective_from !== undefined ? fields.effective_from : null,
+      fields.effective_to !== undefined,
+      fields.effective_to || null,
+      fields.notes !== undefined ? fields.notes : null
+    ]);
+    
+    const payBand = parsePayBand(result.rows[0]);
+    
+    await recordAuditEvent(client, req, {
+      action: 'update',
+      entityType: 'pay_band',
+      entityId: id,
+      before: previousBand,
+      after: payBand
+    });
+    
+    await client.query('COMMIT');
+    clearPayBandsCache();
+    
+    res.json({
+      success: true,
+      data: payBand,
+      message: 'Pay band updated successfully'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error updating pay band:', err);
+    if (err.code === '23505') { // Unique constraint violation
+      res.status(409).json({
+        success: false,
+        error: 'Pay band already exists',
+        message: `A pay band named ${req.body.name} already exists`
       });
     } else {
-      // Create new entitlement
-      const result = await pool.query(`
-        INSERT INTO holiday_entitlements (
-          entitlement_id, staff_id, staff_name, holiday_year_start, holiday_year_end,
-          contracted_hours_per_week, statutory_entitlement_days, statutory_entitlement_hours, is_zero_hours
-        ) VALUES (uuid_holiday_entitlement($1, $3), $1, $2, $3, $4, $5, $6, $7, $8)
-        RETURNING *
-      `, [staff_id, finalStaffName, holiday_year_start, holiday_year_end, finalContractedHours, statutory_entitlement_days, statutory_entitlement_hours, is_zero_hours]);
-      
-      res.json({
-        success: true,
-        data: result.rows[0],
-        message: 'Holiday entitlement created successfully'
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update pay band',
+        message: err.message
       });
     }
-  } catch (err) {
-    console.error('Error creating/updating holiday entitlement:', err);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to create/update holiday entitlement',
-      message: err.message
-    });
+  } finally {
+    client.release();
   }
 });
 
-// Recalculate holiday entitlement when employment dates change
-app.put('/api/time-off/holiday-entitlements/:staffId/recalculate', async (req, res) => {
+// Delete a pay band (team leaders)
+// To stop a band from a date and keep it for earlier shifts, set effective_to instead
+app.delete('/api/pay-bands/:id', async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { staffId } = req.params;
-    const { employment_end_date } = req.body;
-    
-    // Use the database function to recalculate entitlement
-    await pool.query('SELECT recalculate_holiday_entitlement($1, $2)', [staffId, employment_end_date]);
+    const { id } = req.params;
     
-    // Get the updated entitlement
-    const result = await pool.query(`
-      SELECT * FROM current_holiday_entitlements 
-      WHERE staff_id = $1
-    `, [staffId]);
+    const invalidIdResponse = getInvalidPayBandIdResponse(id);
+    if (invalidIdResponse) {
+      return res.status(400).json(invalidIdResponse);
+    }
+    
+    await client.query('BEGIN');
+    
+    const result = await client.query(`
+      DELETE FROM pay_bands WHERE pay_band_id = $1
+      RETURNING ${PAY_BAND_COLUMNS}
+    `, [id]);
     
     if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
-        error: 'Entitlement not found',
-        message: 'No current holiday entitlement found for this staff member'
+        error: 'Pay band not found',
+        message: 'No pay band found with the specified ID'
       });
     }
     
+    const payBand = parsePayBand(result.rows[0]);
+    
+    await recordAuditEvent(client, req, {
+      action: 'delete',
+      entityType: 'pay_band',
+      entityId: id,
+      before: payBand
+    });
+    
+    await client.query('COMMIT');
+    clearPayBandsCache();
+    console.log(`🗑️ Deleted pay band ${payBand.name}`);
+    
     res.json({
       success: true,
-      data: result.rows[0],
-      message: 'Holiday entitlement recalculated successfully'
+      data: payBand,
+      message: 'Pay band deleted successfully'
     });
-    
   } catch (err) {
-    console.error('Error recalculating holiday entitlement:', err);
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error deleting pay band:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to recalculate holiday entitlement',
+      error: 'Failed to delete pay band',
       message: err.message
     });
+  } finally {
+    client.release();
   }
 });
 
-// Bulk recalculate holiday entitlements for staff with early termination
-app.post('/api/time-off/holiday-entitlements/recalculate-early-terminations', async (req, res) => {
+// Get bank holidays
+// Query params: year (optional, e.g. 2026)
+app.get('/api/bank-holidays', async (req, res) => {
   try {
-    // Get current holiday year dates
-    const yearResult = await pool.query('SELECT * FROM get_holiday_year_dates()');
-    const { holiday_year_end } = yearResult.rows[0];
-    
-    // Find staff members with employment end dates before the end of the financial year
-    const earlyTerminationResult = await pool.query(`
-      SELECT 
-        unique_id as staff_id,
-        staff_name,
-        employment_start_date,
-        employment_end_date,
-        contracted_hours,
-        is_active
-      FROM human_resource 
-      WHERE employment_end_date IS NOT NULL 
-        AND employment_end_date < $1
-    `, [holiday_year_end]);
-    
-    const results = [];
+    const { year } = req.query;
     
-    for (const staff of earlyTerminationResult.rows) {
-      try {
-        // Recalculate entitlement for this staff member
-        await pool.query('SELECT recalculate_holiday_entitlement($1, $2)', [staff.staff_id, staff.employment_end_date]);
-        
-        // Get the updated entitlement
-        const entitlementResult = await pool.query(`
-          SELECT * FROM current_holiday_entitlements 
-          WHERE staff_id = $1
-        `, [staff.staff_id]);
-        
-        results.push({
-          staff_id: staff.staff_id,
-          staff_name: staff.staff_name,
-          employment_end_date: staff.employment_end_date,
-          is_active: staff.is_active,
-          success: true,
-          entitlement: entitlementResult.rows[0] || null
-        });
-      } catch (error) {
-        results.push({
-          staff_id: staff.staff_id,
-          staff_name: staff.staff_name,
-          employment_end_date: staff.employment_end_date,
-          is_active: staff.is_active,
-          success: false,
-          error: error.message
-        });
-      }
+    if (year && !/^\d{4}$/.test(year)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid year',
+        message: 'year must be a four digit year'
+      });
     }
     
-    const successCount = results.filter(r => r.success).length;
-    const failureCount = results.filter(r => !r.success).length;
+    console.log(`📅 Fetching bank holidays${year ? ` for ${year}` : ''}...`);
+    
+    const result = await pool.query(`
+      SELECT 
+        bank_holiday_id,
+        TO_CHAR(holiday_date, 'YYYY-MM-DD') as holiday_date,
+        name,
+        created_at
+      FROM bank_holidays
+      WHERE $1::int IS NULL OR EXTRACT(YEAR FROM holiday_date) = $1::int
+      ORDER BY holiday_date
+    `, [year ? Number(year) : null]);
     
     res.json({
       success: true,
-      data: {
-        total_processed: results.length,
-        successful: successCount,
-        failed: failureCount,
-        results: results
-      },
-      message: `Processed ${results.length} staff members: ${successCount} successful, ${failureCount} failed`
+      data: result.rows,
+      count: result.rows.length
     });
-    
   } catch (err) {
-    console.error('Error bulk recalculating holiday entitlements:', err);
+    console.error('Error fetching bank holidays:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to bulk recalculate holiday entitlements',
+      error: 'Failed to fetch bank holidays',
       message: err.message
     });
   }
 });
 
-// Check if staff member has fully utilized holiday entitlement
-app.get('/api/time-off/holiday-entitlements/:staffId/status', async (req, res) => {
+// Add a bank holiday (team leaders)
+// Body: holiday_date (YYYY-MM-DD), name
+app.post('/api/bank-holidays', async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { staffId } = req.params;
+    const { holiday_date, name } = req.body;
     
-    const result = await pool.query(`
-      SELECT 
-        he.*,
-        hr.contracted_hours,
-        hr.employment_start_date,
-        hr.employment_end_date,
-        CASE 
-          WHEN he.days_remaining <= 0 THEN true 
-          ELSE false 
-        END as is_fully_utilized,
-        CASE 
-          WHEN he.is_zero_hours THEN 'zero_hours'
-          ELSE 'contracted'
-        END as employee_type
-      FROM current_holiday_entitlements he
-      JOIN human_resource hr ON he.staff_id = hr.unique_id
-      WHERE he.staff_id = $1
-    `, [staffId]);
+    if (!holiday_date || !name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'holiday_date and name are required'
+      });
+    }
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(holiday_date)) {
+      return res.status(400).json({
         success: false,
-        error: 'Holiday entitlement not found',
-        message: 'No holiday entitlement found for this staff member'
+        error: 'Invalid date',
+        message: 'holiday_date must be a date in YYYY-MM-DD format'
       });
     }
     
-    const entitlement = result.rows[0];
+    console.log(`➕ Adding bank holiday ${name} on ${holiday_date}`);
     
-    res.json({
-      success: true,
-      data: {
-        staff_id: entitlement.staff_id,
-        staff_name: entitlement.staff_name,
-        employee_type: entitlement.employee_type,
-        contracted_hours: entitlement.contracted_hours,
-        statutory_entitlement_days: entitlement.statutory_entitlement_days,
-        days_taken: entitlement.days_taken,
-        days_remaining: entitlement.days_remaining,
-        is_fully_utilized: entitlement.is_fully_utilized,
-        holiday_year_start: entitlement.holiday_year_start,
-        holiday_year_end: entitlement.holiday_year_end
-      },
-      message: 'Holiday entitlement status retrieved successfully'
+    await client.query('BEGIN');
+    
+    const result = await client.query(`
+      INSERT INTO bank_holidays (bank_holiday_id, holiday_date, name)
+      VALUES (uuid_bank_holiday($1::date), $1, $2)
+      RETURNING bank_holiday_id, TO_CHAR(holiday_date, 'YYYY-MM-DD') as holiday_date, name, created_at
+    `, [holiday_date, String(name).trim()]);
+    
+    await recordAuditEvent(client, req, {
+      action: 'create',
+      entityType: 'bank_holiday',
+      entityId: result.rows[0].bank_holiday_id,
+      entityDate: holiday_date,
+      after: result.rows[0]
     });
     
-  } catch (error) {
-    console.error('❌ Error checking holiday entitlement status:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Database error',
-      message: 'Failed to check holiday entitlement status'
+    await client.query('COMMIT');
+    clearPayBandsCache();
+    
+    res.status(201).json({
+      success: true,
+      data: result.rows[0],
+      message: 'Bank holiday added successfully'
     });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error adding bank holiday:', err);
+    if (err.code === '23505') { // Unique constraint violation
+      res.status(409).json({
+        success: false,
+        error: 'Bank holiday already exists',
+        message: `${req.body.holiday_date} is already a bank holiday`
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add bank holiday',
+        message: err.message
+      });
+    }
+  } finally {
+    client.release();
   }
 });
 
-// Update holiday entitlement usage (automatically calculated from time-off requests)
-app.put('/api/time-off/holiday-entitlements/:staffId/usage', async (req, res) => {
+// Delete a bank holiday (team leaders)
+app.delete('/api/bank-holidays/:id', async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { staffId } = req.params;
+    const { id } = req.params;
     
-    // Use the database function to automatically calculate usage from time-off requests
-    await pool.query('SELECT update_holiday_entitlement_usage($1)', [staffId]);
+    const invalidIdResponse = getInvalidPayBandIdResponse(id, 'Bank holiday');
+    if (invalidIdResponse) {
+      return res.status(400).json(invalidIdResponse);
+    }
     
-    // Get the updated entitlement
-    const result = await pool.query(`
-      SELECT * FROM current_holiday_entitlements 
-      WHERE staff_id = $1
-    `, [staffId]);
+    await client.query('BEGIN');
+    
+    const result = await client.query(`
+      DELETE FROM bank_holidays WHERE bank_holiday_id = $1
+      RETURNING bank_holiday_id, TO_CHAR(holiday_date, 'YYYY-MM-DD') as holiday_date, name
+    `, [id]);
     
     if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
-        error: 'Holiday entitlement not found',
-        message: 'No holiday entitlement found for this staff member'
+        error: 'Bank holiday not found',
+        message: 'No bank holiday found with the specified ID'
       });
     }
     
+    await recordAuditEvent(client, req, {
+      action: 'delete',
+      entityType: 'bank_holiday',
+      entityId: id,
+      entityDate: result.rows[0].holiday_date,
+      before: result.rows[0]
+    });
+    
+    await client.query('COMMIT');
+    clearPayBandsCache();
+    console.log(`🗑️ Deleted bank holiday ${result.rows[0].name} on ${result.rows[0].holiday_date}`);
+    
     res.json({
       success: true,
       data: result.rows[0],
-      message: 'Holiday entitlement usage updated successfully'
+      message: 'Bank holiday deleted successfully'
     });
-  } catch (error) {
-    console.error('❌ Error updating holiday entitlement usage:', error);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error deleting bank holiday:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to update holiday entitlement usage',
-      message: error.message
+      error: 'Failed to delete bank holiday',
+      message: err.message
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// =====================================================
+// PAYROLL EXPORT API ENDPOINTS
+// =====================================================
+
+// Payroll export formatters
+// Each formatter turns the payroll lines into a file:
+//   { contentType, extension, format(lines, meta) => string }
+// lines: one per staff member (see buildPayrollLines), meta: { periodStart, periodEnd, multipliers, timeBands }
+// Add a bureau layout with registerPayrollFormatter(name, formatter)
+const payrollFormatters = {};
+
+function registerPayrollFormatter(name, formatter) {
+  if (!formatter || typeof formatter.format !== 'function') {
+    throw new Error(`Payroll formatter '${name}' must have a format(lines, meta) function`);
+  }
+  payrollFormatters[name] = {
+    contentType: 'text/plain; charset=utf-8',
+    extension: 'txt',
+    ...formatter
+  };
+}
+
+// Helper function to escape a value for CSV (quotes values containing commas, quotes or newlines)
+function escapeCsvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Helper function to get the columns shared by the payroll formatters
+// Flagged hours get one hours/pay column pair per multiplier used in the period, and time-band
+// premiums one pair per pay band used
+function getPayrollColumns(meta) {
+  const columns = [
+    { header: 'Staff Name', value: line => line.staff_name },
+    { header: 'Role', value: line => line.role },
+    { header: 'Period Start', value: () => meta.periodStart },
+    { header: 'Period End', value: () => meta.periodEnd },
+    { header: 'Base Hours', value: line => line.base_hours.toFixed(2) },
+    { header: 'Base Pay', value: line => line.base_pay.toFixed(2) }
+  ];
+  
+  meta.multipliers.forEach(multiplier => {
+    const flagged = line => line.flagged.find(entry => entry.multiplier === multiplier) || { hours: 0, pay: 0 };
+    columns.push({ header: `Hours @${multiplier}x`, value: line => flagged(line).hours.toFixed(2) });
+    columns.push({ header: `Pay @${multiplier}x`, value: line => flagged(line).pay.toFixed(2) });
+  });
+  
+  meta.timeBands.forEach(name => {
+    const timeBand = line => line.time_bands.find(entry => entry.name === name) || { hours: 0, pay: 0 };
+    columns.push({ header: `${name} Hours`, value: line => timeBand(line).hours.toFixed(2) });
+    columns.push({ header: `${name} Premium`, value: line => timeBand(line).pay.toFixed(2) });
+  });
+  
+  columns.push(
+    { header: 'Holiday Hours', value: line => line.holiday_hours.toFixed(2) },
+    { header: 'Holiday Pay', value: line => line.holiday_pay.toFixed(2) },
+    { header: 'SSP Days', value: line => line.ssp_days },
+    { header: 'SSP Pay', value: line => line.ssp_pay.toFixed(2) },
+    { header: 'CSP Days', value: line => line.csp_days },
+    { header: 'CSP Pay', value: line => line.csp_pay.toFixed(2) },
+    { header: 'Total Hours', value: line => line.total_hours.toFixed(2) },
+    { header: 'Unpaid Break Hours', value: line => line.unpaid_break_hours.toFixed(2) },
+    { header: 'Gross Pay', value: line => line.gross_pay.toFixed(2) }
+  );
+  
+  return columns;
+}
+
+// Helper function to build a fixed-width formatter from a column layout
+// layout: [{ field: (line, meta) => value, width, align: 'left' | 'right' }]
+function createFixedWidthFormatter(layout) {
+  return {
+    contentType: 'text/plain; charset=utf-8',
+    extension: 'txt',
+    format: (lines, meta) => lines.map(line => layout.map(column => {
+      const text = String(column.field(line, meta) ?? '').substring(0, column.width);
+      return column.align === 'right' ? text.padStart(column.width) : text.padEnd(column.width);
+    }).join('')).join('\r\n') + '\r\n'
+  };
+}
+
+// CSV - one row per staff member with a header row
+registerPayrollFormatter('csv', {
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+  format: (lines, meta) => {
+    const columns = getPayrollColumns(meta);
+    const rows = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+    lines.forEach(line => {
+      rows.push(columns.map(column => escapeCsvValue(column.value(line))).join(','));
     });
+    return rows.join('\r\n') + '\r\n';
   }
 });
 
-// Refresh all holiday entitlements (update taken/remaining from time-off requests)
-app.post('/api/time-off/holiday-entitlements/refresh', async (req, res) => {
-  try {
-    // Use the database function to update all staff members' holiday usage
-    await pool.query('SELECT update_all_holiday_entitlement_usage()');
-    
-    // Get all updated entitlements
-    const result = await pool.query(`
-      SELECT * FROM current_holiday_entitlements
-      ORDER BY staff_name
-    `);
+// Fixed-width example layout (name, period end, hours and pay in pence)
+// Replace or add a layout matching the payroll bureau's specification
+registerPayrollFormatter('fixed', createFixedWidthFormatter([
+  { field: line => line.staff_name.toUpperCase(), width: 30 },
+  { field: (line, meta) => meta.periodEnd.replace(/-/g, ''), width: 8 },
+  { field: line => Math.round(line.total_hours * 100), width: 8, align: 'right' },
+  { field: line => Math.round(line.holiday_pay * 100), width: 10, align: 'right' },
+  { field: line => Math.round((line.ssp_pay + line.csp_pay) * 100), width: 10, align: 'right' },
+  { field: line => Math.round(line.gross_pay * 100), width: 10, align: 'right' }
+]));
+
+// Function to find the pay period ending on periodEnd
+// The period starts the day after the previous payment_period_end flag
+// (or 4 weeks before periodEnd if there is no earlier flag)
+async function getPayrollPeriod(periodEnd) {
+  const result = await pool.query(`
+    SELECT 
+      (SELECT to_char(MAX((shift_start_datetime AT TIME ZONE 'Europe/London')::date), 'YYYY-MM-DD')
+       FROM shifts
+       WHERE payment_period_end = true
+         AND (shift_start_datetime AT TIME ZONE 'Europe/London')::date < $1::date) as previous_end,
+      EXISTS (
+        SELECT 1 FROM shifts
+        WHERE payment_period_end = true
+          AND (shift_start_datetime AT TIME ZONE 'Europe/London')::date = $1::date
+      ) as has_end_flag,
+      to_char($1::date - 27, 'YYYY-MM-DD') as fallback_start
+  `, [periodEnd]);
+  
+  const row = result.rows[0];
+  let periodStart = row.fallback_start;
+  if (row.previous_end) {
+    const [year, month, day] = row.previous_end.split('-').map(Number);
+    const start = new Date(Date.UTC(year, month - 1, day + 1));
+    periodStart = start.toISOString().split('T')[0];
+  }
+  
+  return {
+    periodStart: periodStart,
+    periodEnd: periodEnd,
+    startFromFlag: !!row.previous_end,
+    endFromFlag: row.has_end_flag
+  };
+}
+
+// Function to build one payroll line per staff member for a pay period
+// Each shift is priced with the pay rate and pay rule in force on the shift date
+// (on its approved timesheet hours when it has one, less unpaid breaks)
+// Holiday shifts are paid statutory holiday pay (calculateHistoricalHolidayPay, as in the Shift Summary)
+// Time-band premiums are paid on top of the base or flagged pay of work shifts (time_bands)
+async function buildPayrollLines(periodStart, periodEnd) {
+  const shiftsResult = await pool.query(`
+    SELECT 
+      s.staff_name,
+      s.shift_type,
+      s.shift_start_datetime,
+      s.shift_end_datetime,
+      s.solo_shift,
+      s.training,
+      s.short_notice,
+      s.call_out,
+      s.overtime,
+      ${WORKED_SHIFT_COLUMNS},
+      to_char((s.shift_start_datetime AT TIME ZONE 'Europe/London')::date, 'YYYY-MM-DD') as shift_date,
+      st.category,
+      hr.role,
+      hr.contracted_hours
+    FROM shifts s
+    LEFT JOIN shift_types st ON st.name = s.shift_type
+    LEFT JOIN human_resource hr ON hr.staff_name = s.staff_name
+    ${APPROVED_TIMESHEET_JOIN}
+    WHERE (s.shift_start_datetime AT TIME ZONE 'Europe/London')::date BETWEEN $1::date AND $2::date
+    ORDER BY s.staff_name, s.shift_start_datetime
+  `, [periodStart, periodEnd]);
+  
+  const sspFlatRate = parseFloat(await getSettingValue('Flat rate for SSP per week', '109.40')) || 0;
+  const cspFlatRate = parseFloat(await getSettingValue('Flat rate for CSP', '49')) || 0;
+  const breakRules = await getBreakRules();
+  const payBands = await getPayBands();
+  const bankHolidayDates = await getBankHolidayDates();
+  const round = (value) => Math.round(value * 100) / 100;
+  const lines = {};
+  
+  for (const shift of shiftsResult.rows) {
+    if (!lines[shift.staff_name]) {
+      lines[shift.staff_name] = {
+        staff_name: shift.staff_name,
+        role: shift.role || '',
+        base_hours: 0,
+        base_pay: 0,
+        flagged: [],
+        time_bands: [],
+        holiday_hours: 0,
+        holiday_pay: 0,
+        ssp_days: 0,
+        ssp_pay: 0,
+        csp_days: 0,
+        csp_pay: 0,
+        total_hours: 0,
+        unpaid_break_hours: 0,
+        gross_pay: 0,
+        shift_count: 0
+      };
+    }
+    const line = lines[shift.staff_name];
+    // Approved timesheets are paid on their actual times, unpaid breaks are not paid
+    const workedHours = (new Date(shift.worked_end_datetime) - new Date(shift.worked_start_datetime)) / (1000 * 60 * 60);
+    const { paidHours: hours, unpaidHours } = splitShiftHours(breakRules, shift, workedHours);
+    line.shift_count += 1;
+    
+    // Sick leave is a flat amount per shift (same formulas as the Shift Summary)
+    if (shift.category === 'sick') {
+      if (shift.shift_type === 'CSP') {
+        line.csp_days += 1;
+        line.csp_pay += cspFlatRate;
+      } else {
+        // SSP: flat weekly rate ÷ (contracted hours ÷ 12), zero-hour contracts use 12 hours
+        const contractedHours = parseFloat(shift.contracted_hours) > 0 ? parseFloat(shift.contracted_hours) : 12;
+        line.ssp_days += 1;
+        line.ssp_pay += sspFlatRate / (contractedHours / 12);
+      }
+      continue;
+    }
     
-    res.json({
-      success: true,
-      data: result.rows,
-      message: 'All holiday entitlements refreshed successfully'
-    });
-  } catch (error) {
-    console.error('❌ Error refreshing holiday entitlements:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to refresh holiday entitlements',
-      message: error.message
-    });
+    const payCalculation = await calculateHistoricalPay(shift.staff_name, shift.shift_date);
+    const payRate = payCalculation.effective_pay_rate;
+    const payRule = await getPayRuleForDate(shift.shift_date);
+    const multiplier = calculateMultiplier(shift, payRule);
+    const pay = payRate * hours * multiplier;
+    line.total_hours += hours;
+    line.unpaid_break_hours += unpaidHours;
+    
+    if (shift.category !== 'holiday') {
+      const payBandHours = splitShiftPayBands(payBands, bankHolidayDates, shift.worked_start_datetime, shift.worked_end_datetime, workedHours > 0 ? hours / workedHours : 1);
+      priceShiftPayBands(payBandHours, payRate, multiplier, payRule).forEach(band => {
+        let timeBand = line.time_bands.find(entry => entry.name === band.name);
+        if (!timeBand) {
+          timeBand = { name: band.name, hours: 0, pay: 0 };
+          line.time_bands.push(timeBand);
+        }
+        timeBand.hours += band.hours;
+        timeBand.pay += band.premium_pay;
+      });
+    }
+    
+    if (shift.category === 'holiday') {
+      const holidayPayCalculation = await calculateHistoricalHolidayPay(shift.staff_name, shift.shift_date);
+      line.holiday_hours += hours;
+      line.holiday_pay += holidayPayCalculation.holiday_pay;
+    } else if (multiplier > 1) {
+      let flagged = line.flagged.find(entry => entry.multiplier === multiplier);
+      if (!flagged) {
+        flagged = { multiplier: multiplier, hours: 0, pay: 0 };
+        line.flagged.push(flagged);
+      }
+      flagged.hours += hours;
+      flagged.pay += pay;
+    } else {
+      line.base_hours += hours;
+      line.base_pay += pay;
+    }
   }
-});
+  
+  // Round totals once all shifts are added
+  return Object.values(lines).map(line => {
+    line.flagged = line.flagged
+      .map(entry => ({ multiplier: entry.multiplier, hours: round(entry.hours), pay: round(entry.pay) }))
+      .sort((a, b) => a.multiplier - b.multiplier);
+    line.time_bands = line.time_bands
+      .map(entry => ({ name: entry.name, hours: round(entry.hours), pay: round(entry.pay) }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    ['base_hours', 'base_pay', 'holiday_hours', 'holiday_pay', 'ssp_pay', 'csp_pay', 'total_hours', 'unpaid_break_hours'].forEach(field => {
+      line[field] = round(line[field]);
+    });
+    line.gross_pay = round(line.base_pay + line.flagged.reduce((sum, entry) => sum + entry.pay, 0) +
+      line.time_bands.reduce((sum, entry) => sum + entry.pay, 0) +
+      line.holiday_pay + line.ssp_pay + line.csp_pay);
+    return line;
+  });
+}
 
-// Get time-off summary (redirects to holiday entitlements)
-app.get('/api/time-off/summary', async (req, res) => {
+// Get payment period end dates (dates of shifts flagged payment_period_end)
+app.get('/api/payroll/period-ends', async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT * FROM current_holiday_entitlements
-      ORDER BY staff_name
+      SELECT DISTINCT to_char((shift_start_datetime AT TIME ZONE 'Europe/London')::date, 'YYYY-MM-DD') as period_end
+      FROM shifts
+      WHERE payment_period_end = true
+      ORDER BY period_end DESC
     `);
     
     res.json({
       success: true,
-      data: result.rows,
-      message: 'Time-off summary retrieved successfully'
+      data: result.rows.map(row => row.period_end),
+      count: result.rows.length,
+      formats: Object.keys(payrollFormatters)
     });
   } catch (err) {
-    console.error('Error fetching time-off summary:', err);
+    console.error('❌ Error fetching payment period ends:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch time-off summary',
+      error: 'Failed to fetch payment period ends',
       message: err.message
     });
   }
 });
 
-// Note: Moved 404 handler to the very end of API route registrations
-
-// Serve the main HTML file
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'index.html'));
-});
-
-// Background processor for change requests (OPTIMIZED - uses SQL to filter already-applied requests)
-async function processChangeRequests() {
-  const client = await pool.connect();
+// Export payroll for the pay period ending on periodEnd
+// Query params: periodEnd (YYYY-MM-DD, required), format (csv by default, 'json' for the raw lines)
+app.get('/api/payroll/export', async (req, res) => {
   try {
-    // Set a longer statement timeout for this operation (60 seconds)
-    await client.query('SET statement_timeout = 60000');
-    await client.query('BEGIN');
-    
-    const now = new Date().toISOString();
-    
-    // OPTIMIZED: Use SQL to filter out already-applied requests by checking current state
-    // This eliminates the need for an applied_at column by using effective_from_date + state verification
-    const pendingRequests = await client.query(`
-      SELECT cr.* FROM change_requests cr
-      LEFT JOIN human_resource hr ON cr.staff_id = hr.unique_id
-      WHERE cr.effective_from_date <= $1
-        AND cr.effective_from_date > NOW() - INTERVAL '7 days'
-        AND (
-          -- Role changes: check if current role matches new_value
-          (cr.change_type = 'role_change' AND (hr.role IS NULL OR hr.role != cr.new_value))
-          OR
-          -- Pay rate changes: check if current pay_rate matches new_value (with tolerance for floats)
-          (cr.change_type = 'pay_rate_change' AND (hr.pay_rate IS NULL OR ABS(CAST(hr.pay_rate AS NUMERIC) - CAST(cr.new_value AS NUMERIC)) >= 0.01))
-          OR
-          -- Contracted hours changes: check if current hours matches new_value
-          (cr.change_type = 'contracted_hours_change' AND (hr.contracted_hours IS NULL OR ABS(CAST(hr.contracted_hours AS NUMERIC) - CAST(cr.new_value AS NUMERIC)) >= 0.01))
-          OR
-          -- Active status changes: check if current status matches new_value
-          (cr.change_type = 'active_status_change' AND (hr.is_active IS NULL OR hr.is_active::text != cr.new_value))
-          OR
-          -- Color code changes: check if current color matches new_value
-          (cr.change_type = 'color_code_change' AND (hr.color_code IS NULL OR hr.color_code != cr.new_value))
-          OR
-          -- Employment start date changes: check if current date matches new_value
-          (cr.change_type = 'employment_date_change' AND (
-            hr.employment_start_date IS NULL 
-            OR cr.new_value IS NULL 
-            OR DATE(hr.employment_start_date) != DATE(cr.new_value::timestamp)
-          ))
-          OR
-          -- Employment end date changes: check if current date matches new_value
-          (cr.change_type = 'employment_end_date_change' AND (
-            (cr.new_value = 'NULL' OR cr.new_value IS NULL) != (hr.employment_end_date IS NULL)
-            OR (cr.new_value != 'NULL' AND cr.new_value IS NOT NULL AND hr.employment_end_date IS NOT NULL 
-                AND DATE(hr.employment_end_date) != DATE(cr.new_value::timestamp))
-          ))
-        )
-      ORDER BY cr.effective_from_date ASC
-      LIMIT 50
-    `, [now]);
-    
-    if (pendingRequests.rows.length === 0) {
-      await client.query('COMMIT');
-      return; // No pending requests, exit silently
-    }
-    
-    console.log(`🔄 Processing ${pendingRequests.rows.length} change requests...`);
-    
-    let processedCount = 0;
-    let errorCount = 0;
+    const { periodEnd, format = 'csv' } = req.query;
     
-    // Process changes in batches using a transaction
-    for (const request of pendingRequests.rows) {
-      try {
-        console.log(`🔄 Processing change request: ${request.change_type} for ${request.staff_name}`);
-        
-        // Apply the change based on type
-        let updateQuery = '';
-        let updateParams = [];
-        
-        switch (request.change_type) {
-          case 'role_change':
-            updateQuery = 'UPDATE human_resource SET role = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2';
-            updateParams = [request.new_value, request.staff_id];
-            break;
-          case 'pay_rate_change':
-            updateQuery = 'UPDATE human_resource SET pay_rate = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2';
-            updateParams = [request.new_value, request.staff_id];
-            break;
-          case 'contracted_hours_change':
-            updateQuery = 'UPDATE human_resource SET contracted_hours = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2';
-            updateParams = [request.new_value, request.staff_id];
-            break;
-          case 'employment_date_change':
-            updateQuery = 'UPDATE human_resource SET employment_start_date = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2';
-            updateParams = [request.new_value, request.staff_id];
-            break;
-          case 'employment_end_date_change':
-            updateQuery = 'UPDATE human_resource SET employment_end_date = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2';
-            updateParams = [request.new_value === 'NULL' ? null : request.new_value, request.staff_id];
-            break;
-          case 'color_code_change':
-            updateQuery = 'UPDATE human_resource SET color_code = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2';
-            updateParams = [request.new_value, request.staff_id];
-            break;
-          case 'active_status_change':
-            updateQuery = 'UPDATE human_resource SET is_active = $1, updated_at = (NOW() AT TIME ZONE \'Europe/London\') WHERE unique_id = $2';
-            updateParams = [request.new_value === 'true', request.staff_id];
-            break;
-          default:
-            console.error(`❌ Unknown change type: ${request.change_type}`);
-            errorCount++;
-            continue;
-        }
-        
-        // Apply the change to human_resource
-        await client.query(updateQuery, updateParams);
-        
-        console.log(`✅ Applied change request: ${request.change_type} for ${request.staff_name}`);
-        processedCount++;
-        
-      } catch (error) {
-        errorCount++;
-        console.error(`❌ Error applying change request ${request.id}:`, error);
-        // Continue processing other requests even if one fails
-      }
+    if (!periodEnd || !/^\d{4}-\d{2}-\d{2}$/.test(periodEnd)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid period end',
+        message: 'periodEnd is required in YYYY-MM-DD format'
+      });
     }
     
-    await client.query('COMMIT');
-    
-    if (processedCount > 0 || errorCount > 0) {
-      console.log(`✅ Completed processing: ${processedCount} applied, ${errorCount} errors`);
+    if (format !== 'json' && !payrollFormatters[format]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: `Format must be one of: json, ${Object.keys(payrollFormatters).join(', ')}`
+      });
     }
     
-  } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('❌ Error in change request processor:', error);
-  } finally {
-    client.release();
-  }
-}
-
-// Run change request processor every minute
-setInterval(processChangeRequests, 60000); // 60 seconds
-
-// =====================================================
-// DATABASE SETUP ENDPOINTS
-// =====================================================
-
-// Create settings table
-app.post('/api/setup/create-settings-table', async (req, res) => {
-  try {
-    console.log('🔧 Creating settings table...');
-    
-    // Create settings table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS settings (
-        setting_id UUID PRIMARY KEY DEFAULT uuid_setting(type_of_setting),
-        type_of_setting TEXT NOT NULL UNIQUE,
-        value TEXT NOT NULL,
-        created_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London'),
-        updated_at TIMESTAMPTZ DEFAULT (NOW() AT TIME ZONE 'Europe/London')
-      )
-    `);
-    
-    // Create indexes
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_settings_type ON settings(type_of_setting)
-    `);
+    const period = await getPayrollPeriod(periodEnd);
+    console.log(`💷 Exporting payroll for ${period.periodStart} to ${period.periodEnd} (${format})...`);
     
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_settings_updated_at ON settings(updated_at)
-    `);
+    const lines = await buildPayrollLines(period.periodStart, period.periodEnd);
+    const multipliers = [...new Set(lines.flatMap(line => line.flagged.map(entry => entry.multiplier)))].sort((a, b) => a - b);
+    const timeBands = [...new Set(lines.flatMap(line => line.time_bands.map(entry => entry.name)))].sort((a, b) => a.localeCompare(b));
     
-    // Create trigger for updated_at
-    await pool.query(`
-      DROP TRIGGER IF EXISTS update_settings_updated_at ON settings
-    `);
+    console.log(`✅ Payroll export built: ${lines.length} staff member(s)`);
     
-    await pool.query(`
-      CREATE TRIGGER update_settings_updated_at 
-        BEFORE UPDATE ON settings 
-        FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
-    `);
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: lines,
+        count: lines.length,
+        period: period,
+        multipliers: multipliers,
+        timeBands: timeBands
+      });
+    }
     
-    // Insert default settings
-    await pool.query(`
-      INSERT INTO settings (setting_id, type_of_setting, value) VALUES
-        (uuid_setting('Flat rate for SSP per week'), 'Flat rate for SSP per week', '109.40'),
-        (uuid_setting('Flat rate for CSP'), 'Flat rate for CSP', '49')
-      ON CONFLICT (type_of_setting) DO NOTHING
-    `);
+    const formatter = payrollFormatters[format];
+    const output = formatter.format(lines, { ...period, multipliers, timeBands });
     
-    res.json({
-      success: true,
-      message: 'Settings table created successfully with default values'
-    });
-  } catch (error) {
-    console.error('❌ Error creating settings table:', error);
+    res.setHeader('Content-Type', formatter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="payroll-${period.periodEnd}.${formatter.extension}"`);
+    res.send(output);
+  } catch (err) {
+    console.error('❌ Error exporting payroll:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to create settings table',
-      details: error.message
+      error: 'Failed to export payroll',
+      message: err.message
     });
   }
 });
@@ -5487,6 +17150,7 @@ app.get('/api/settings', async (req, res) => {
 
 // Update a setting
 app.put('/api/settings', async (req, res) => {
+  const client = await pool.connect();
   try {
     const { type_of_setting, value } = req.body;
     
@@ -5499,7 +17163,13 @@ app.put('/api/settings', async (req, res) => {
     
     console.log(`⚙️ Updating setting: ${type_of_setting} = ${value}`);
     
-    const result = await pool.query(`
+    await client.query('BEGIN');
+    
+    const previousResult = await client.query(`
+      SELECT value FROM settings WHERE type_of_setting = $1 FOR UPDATE
+    `, [type_of_setting]);
+    
+    const result = await client.query(`
       INSERT INTO settings (setting_id, type_of_setting, value)
       VALUES (uuid_setting($1), $1, $2)
       ON CONFLICT (type_of_setting)
@@ -5509,18 +17179,31 @@ app.put('/api/settings', async (req, res) => {
       RETURNING setting_id, type_of_setting, value, created_at, updated_at
     `, [type_of_setting, value]);
     
+    await recordAuditEvent(client, req, {
+      action: previousResult.rows.length > 0 ? 'update' : 'create',
+      entityType: 'setting',
+      entityId: type_of_setting,
+      before: previousResult.rows.length > 0 ? { value: previousResult.rows[0].value } : null,
+      after: { value: result.rows[0].value }
+    });
+    
+    await client.query('COMMIT');
+    
     res.json({
       success: true,
       data: result.rows[0],
       message: 'Setting updated successfully'
     });
   } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
     console.error('❌ Error updating setting:', error);
     res.status(500).json({
       success: false,
       error: 'Failed to update setting',
       details: error.message
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -5531,6 +17214,8 @@ app.listen(PORT, () => {
   console.log('API endpoints available at /api/*');
   console.log('Database connection:', pool.totalCount > 0 ? 'Active' : 'Inactive');
   console.log('🔄 Change request processor started (runs every 60 seconds)');
+  console.log('📅 Future period generator started (runs every 6 hours)');
+  console.log('📡 Live updates available at /api/events');
 });
 // REMOTE SYSTEM: Bind to all interfaces (uncomment for remote UI access)
 // app.listen(PORT, '0.0.0.0', () => {
@@ -5574,6 +17259,7 @@ app.get('/api/unavailable-staff/period/:periodId/date/:date', async (req, res) =
         us.date,
         us.unavailable,
         us.notes,
+        us.version,
         us.created_at,
         us.updated_at,
         p.period_name,
@@ -5586,6 +17272,7 @@ app.get('/api/unavailable-staff/period/:periodId/date/:date', async (req, res) =
     
     if (result.rows.length === 0) {
       // Return empty unavailable list if no record exists
+      setVersionETag(res, 0);
       return res.json({
         success: true,
         data: {
@@ -5594,6 +17281,7 @@ app.get('/api/unavailable-staff/period/:periodId/date/:date', async (req, res) =
           date: date,
           unavailable: '',
           notes: '',
+          version: 0,
           created_at: null,
           updated_at: null,
           period_name: null,
@@ -5604,6 +17292,7 @@ app.get('/api/unavailable-staff/period/:periodId/date/:date', async (req, res) =
       });
     }
     
+    setVersionETag(res, result.rows[0].version);
     res.json({
       success: true,
       data: result.rows[0],
@@ -5657,6 +17346,7 @@ app.get('/api/unavailable-staff/period/:periodId', async (req, res) => {
         us.date,
         us.unavailable,
         us.notes,
+        us.version,
         us.created_at,
         us.updated_at
       FROM unavailable_staff_daily us
@@ -5691,6 +17381,7 @@ app.get('/api/unavailable-staff/period/:periodId', async (req, res) => {
         date: normalizedDate,
         unavailable: row.unavailable || '',
         notes: row.notes || '',
+        version: row.version,
         created_at: row.created_at,
         updated_at: row.updated_at
       };
@@ -5714,6 +17405,7 @@ app.get('/api/unavailable-staff/period/:periodId', async (req, res) => {
 
 // Update unavailable staff for a specific period and date
 app.put('/api/unavailable-staff/period/:periodId/date/:date', async (req, res) => {
+  const client = await pool.connect();
   try {
     const { periodId, date } = req.params;
     const { unavailable, notes } = req.body;
@@ -5800,6 +17492,8 @@ app.put('/api/unavailable-staff/period/:periodId/date/:date', async (req, res) =
       });
     }
     
+    await client.query('BEGIN');
+    
     // If unavailable is empty (no staff selected), delete the row instead of updating
     // We delete regardless of notes, as clearing all staff means clearing the unavailable entry
     // Check multiple ways to ensure we catch empty strings
@@ -5823,34 +17517,52 @@ app.put('/api/unavailable-staff/period/:periodId/date/:date', async (req, res) =
       console.log('🗑️ Delete query parameters:', { periodId, date, dateType: typeof date });
       
       // First check if the record exists
-      const checkResult = await pool.query(`
+      const checkResult = await client.query(`
         SELECT id, period_id, date, unavailable, notes 
         FROM unavailable_staff_daily
         WHERE period_id = $1 AND date = $2::date
+        FOR UPDATE
       `, [periodId, date]);
       
       console.log('🗑️ Records found before delete:', checkResult.rows.length, checkResult.rows);
       
       // Delete the row
-      const deleteResult = await pool.query(`
+      const deleteResult = await client.query(`
         DELETE FROM unavailable_staff_daily
-        WHERE period_id = $1 AND date = $2::date
+        WHERE period_id = $1 AND date = $2::date AND ($3::integer IS NULL OR version = $3)
         RETURNING *
-      `, [periodId, date]);
+      `, [periodId, date, req.expectedVersion]);
+      
+      if (deleteResult.rows.length === 0 && await sendVersionConflict(client, req, res, 'unavailability', [periodId, date])) {
+        await client.query('ROLLBACK');
+        return;
+      }
       
       console.log('🗑️ Delete result:', {
         rowsDeleted: deleteResult.rows.length,
         deletedRow: deleteResult.rows[0] || null
       });
       
+      if (deleteResult.rows.length > 0) {
+        await recordAuditEvent(client, req, {
+          action: 'delete',
+          entityType: 'unavailable_staff_daily',
+          entityId: deleteResult.rows[0].id,
+          entityDate: date,
+          before: { unavailable: deleteResult.rows[0].unavailable, notes: deleteResult.rows[0].notes }
+        });
+      }
+      
       // Verify deletion
-      const verifyResult = await pool.query(`
+      const verifyResult = await client.query(`
         SELECT id FROM unavailable_staff_daily
         WHERE period_id = $1 AND date = $2::date
       `, [periodId, date]);
       
       console.log('🗑️ Verification after delete - records remaining:', verifyResult.rows.length);
       
+      await client.query('COMMIT');
+      
       if (deleteResult.rows.length > 0) {
         res.json({
           success: true,
@@ -5867,17 +17579,46 @@ app.put('/api/unavailable-staff/period/:periodId/date/:date', async (req, res) =
         });
       }
     } else {
+      const previousResult = await client.query(`
+        SELECT unavailable, notes FROM unavailable_staff_daily
+        WHERE period_id = $1 AND date = $2::date
+        FOR UPDATE
+      `, [periodId, date]);
+      
       // Use UPSERT to insert or update
-      const result = await pool.query(`
+      // With If-Match the row is only inserted for version 0 (no row) and only updated at the same version
+      const result = await client.query(`
         INSERT INTO unavailable_staff_daily (id, period_id, date, unavailable, notes)
-        VALUES (uuid_unavailable_staff_daily($1, $2::date), $1, $2, $3, $4)
+        SELECT uuid_unavailable_staff_daily($1, $2::date), $1, $2::date, $3, $4
+        WHERE $5::integer IS NULL OR $5 = 0
         ON CONFLICT (period_id, date)
         DO UPDATE SET 
           unavailable = EXCLUDED.unavailable,
           notes = EXCLUDED.notes,
           updated_at = (NOW() AT TIME ZONE 'Europe/London')
+        WHERE $5::integer IS NULL OR unavailable_staff_daily.version = $5
         RETURNING *
-      `, [periodId, date, trimmedUnavailable, trimmedNotes]);
+      `, [periodId, date, trimmedUnavailable, trimmedNotes, req.expectedVersion]);
+      
+      if (result.rows.length === 0) {
+        if (await sendVersionConflict(client, req, res, 'unavailability', [periodId, date])) {
+          await client.query('ROLLBACK');
+          return;
+        }
+        // The row was deleted again after the save missed it (back to version 0)
+        throw new Error('Unavailable staff for this date changed while saving - please try again');
+      }
+      
+      await recordAuditEvent(client, req, {
+        action: previousResult.rows.length > 0 ? 'update' : 'create',
+        entityType: 'unavailable_staff_daily',
+        entityId: result.rows[0].id,
+        entityDate: date,
+        before: previousResult.rows[0] || null,
+        after: { unavailable: result.rows[0].unavailable, notes: result.rows[0].notes }
+      });
+      
+      await client.query('COMMIT');
       
       res.json({
         success: true,
@@ -5886,12 +17627,15 @@ app.put('/api/unavailable-staff/period/:periodId/date/:date', async (req, res) =
       });
     }
   } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
     console.error('Error updating unavailable staff:', err);
     res.status(500).json({
       success: false,
       error: 'Failed to update unavailable staff',
       message: err.message
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -5899,7 +17643,7 @@ app.put('/api/unavailable-staff/period/:periodId/date/:date', async (req, res) =
 app.get('/api/active-staff', async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT staff_name, color_code, role
+      SELECT unique_id, staff_name, color_code, role
       FROM human_resource 
       WHERE is_active = true 
       ORDER BY staff_name
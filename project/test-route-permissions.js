@@ -0,0 +1,68 @@
+// Route permission checks (run with: npm test)
+// Express matches routes without regard to case, so the permission rules must too -
+// otherwise /api/Shifts/clear reaches the admin-only handler with the default 'team leader' access
+
+const assert = require('assert');
+const { ACCESS_LEVELS, DEFAULT_ROUTE_ACCESS, findRoutePermission } = require('./route-permissions');
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+// Helper function to check whether a role may make a request
+function canAccess(role, method, requestPath) {
+  const { rule } = findRoutePermission(method, requestPath);
+  return ACCESS_LEVELS[role] >= ACCESS_LEVELS[rule.access];
+}
+
+test('admin routes need admin', () => {
+  assert.strictEqual(findRoutePermission('DELETE', '/api/shifts/clear').rule.access, 'admin');
+  assert.strictEqual(findRoutePermission('POST', '/api/migrate/run').rule.access, 'admin');
+  assert.strictEqual(canAccess('team leader', 'DELETE', '/api/shifts/clear'), false);
+  assert.strictEqual(canAccess('admin', 'DELETE', '/api/shifts/clear'), true);
+});
+
+test('mixed-case paths are refused to team leaders', () => {
+  [
+    ['DELETE', '/api/Shifts/clear'],
+    ['DELETE', '/API/SHIFTS/CLEAR'],
+    ['DELETE', '/api/shifts/Clear/'],
+    ['POST', '/api/MIGRATE/run'],
+    ['POST', '/api/Setup/database'],
+    ['GET', '/api/Debug/shifts'],
+    ['GET', '/api/Auth/Accounts']
+  ].forEach(([method, requestPath]) => {
+    assert.strictEqual(findRoutePermission(method, requestPath).rule.access, 'admin', `${method} ${requestPath}`);
+    assert.strictEqual(canAccess('team leader', method, requestPath), false, `${method} ${requestPath}`);
+  });
+});
+
+test('mixed-case owner routes still capture the staff member', () => {
+  const { rule, params } = findRoutePermission('GET', '/api/Shifts/Staff/Alice');
+  assert.strictEqual(rule.access, 'staff member');
+  assert.ok(rule.owner);
+  assert.strictEqual(params.staffName, 'Alice');
+});
+
+test('public routes match in any case', () => {
+  assert.strictEqual(findRoutePermission('POST', '/api/Auth/Login').rule.access, 'public');
+});
+
+test('unlisted routes need the default access', () => {
+  assert.strictEqual(findRoutePermission('PUT', '/api/shifts/unknown-route').rule.access, DEFAULT_ROUTE_ACCESS);
+});
+
+let failed = 0;
+tests.forEach(({ name, fn }) => {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed += 1;
+    console.error(`❌ ${name}: ${error.message}`);
+  }
+});
+
+console.log(`${tests.length - failed}/${tests.length} route permission tests passed`);
+process.exit(failed > 0 ? 1 : 0);